@@ -0,0 +1,6 @@
+// Tests never load transformer models; embeddings are mocked where they are needed
+module.exports = {
+  pipeline: jest.fn(),
+  AutoTokenizer: { from_pretrained: jest.fn() },
+  AutoModelForSequenceClassification: { from_pretrained: jest.fn() }
+};
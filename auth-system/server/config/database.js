@@ -72,6 +72,80 @@ class Database {
         )
       `;
 
+      const createEmailVerificationTable = `
+        CREATE TABLE IF NOT EXISTS email_verification_tokens (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL,
+          token TEXT UNIQUE NOT NULL,
+          expires_at DATETIME NOT NULL,
+          used BOOLEAN DEFAULT 0,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+        )
+      `;
+
+      // Personal API keys for scripts; only a hash of each key is stored
+      const createApiKeysTable = `
+        CREATE TABLE IF NOT EXISTS api_keys (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL,
+          name TEXT NOT NULL,
+          key_prefix TEXT NOT NULL,
+          key_hash TEXT UNIQUE NOT NULL,
+          scopes TEXT NOT NULL,
+          rate_limit_per_minute INTEGER NOT NULL,
+          expires_at DATETIME,
+          last_used_at DATETIME,
+          revoked_at DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+        )
+      `;
+
+      // Failed sign-in and password reset attempts, per account (email) and per IP address
+      const createAuthFailuresTable = `
+        CREATE TABLE IF NOT EXISTS auth_failures (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          action TEXT NOT NULL,
+          subject_type TEXT NOT NULL,
+          subject TEXT NOT NULL,
+          failure_count INTEGER NOT NULL DEFAULT 0,
+          last_failed_at DATETIME,
+          locked_until DATETIME,
+          unlock_token_hash TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (action, subject_type, subject)
+        )
+      `;
+
+      // Audit trail: one row for every lockout
+      const createAuthLockoutsTable = `
+        CREATE TABLE IF NOT EXISTS auth_lockouts (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          action TEXT NOT NULL,
+          subject_type TEXT NOT NULL,
+          subject TEXT NOT NULL,
+          user_id INTEGER,
+          ip_address TEXT,
+          failure_count INTEGER NOT NULL,
+          locked_until DATETIME NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE SET NULL
+        )
+      `;
+
+      // Recovery codes sign in when the authenticator app is unavailable; each works once
+      const createTwoFactorRecoveryCodesTable = `
+        CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL,
+          code_hash TEXT NOT NULL,
+          used_at DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+        )
+      `;
+
       const createDocumentsTable = `
         CREATE TABLE IF NOT EXISTS documents (
           id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -121,6 +195,58 @@ class Database {
         )
       `;
 
+      const createVectorEmbeddingsTable = `
+        CREATE TABLE IF NOT EXISTS vector_embeddings (
+          id TEXT NOT NULL,
+          namespace TEXT NOT NULL,
+          embedding BLOB NOT NULL,
+          dimension INTEGER NOT NULL,
+          metadata TEXT DEFAULT '{}',
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (namespace, id)
+        )
+      `;
+
+      // Chunk text for keyword (BM25) search, kept next to the documents table.
+      // The FTS5 index uses external content and is synced by triggers.
+      const createDocumentChunksTable = `
+        CREATE TABLE IF NOT EXISTS document_chunks (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          namespace TEXT NOT NULL,
+          chunk_id TEXT NOT NULL,
+          document_id INTEGER,
+          file_name TEXT NOT NULL,
+          chunk_index INTEGER NOT NULL DEFAULT 0,
+          text TEXT NOT NULL,
+          metadata TEXT DEFAULT '{}',
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (namespace, chunk_id)
+        )
+      `;
+
+      const createDocumentChunksFts = `
+        CREATE VIRTUAL TABLE IF NOT EXISTS document_chunks_fts USING fts5(
+          text,
+          content='document_chunks',
+          content_rowid='id',
+          tokenize='porter unicode61'
+        )
+      `;
+
+      const createDocumentChunksTriggers = [
+        `CREATE TRIGGER IF NOT EXISTS document_chunks_ai AFTER INSERT ON document_chunks BEGIN
+          INSERT INTO document_chunks_fts(rowid, text) VALUES (new.id, new.text);
+        END`,
+        `CREATE TRIGGER IF NOT EXISTS document_chunks_ad AFTER DELETE ON document_chunks BEGIN
+          INSERT INTO document_chunks_fts(document_chunks_fts, rowid, text) VALUES ('delete', old.id, old.text);
+        END`,
+        `CREATE TRIGGER IF NOT EXISTS document_chunks_au AFTER UPDATE ON document_chunks BEGIN
+          INSERT INTO document_chunks_fts(document_chunks_fts, rowid, text) VALUES ('delete', old.id, old.text);
+          INSERT INTO document_chunks_fts(rowid, text) VALUES (new.id, new.text);
+        END`
+      ];
+
       // Create indexes for better performance
       const createIndexes = [
         'CREATE INDEX IF NOT EXISTS idx_users_email ON users(email)',
@@ -130,11 +256,19 @@ class Database {
         'CREATE INDEX IF NOT EXISTS idx_sessions_refresh_token ON sessions(refresh_token)',
         'CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_token ON password_reset_tokens(token)',
         'CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user_id ON password_reset_tokens(user_id)',
+        'CREATE INDEX IF NOT EXISTS idx_email_verification_tokens_token ON email_verification_tokens(token)',
+        'CREATE INDEX IF NOT EXISTS idx_email_verification_tokens_user_id ON email_verification_tokens(user_id)',
+        'CREATE INDEX IF NOT EXISTS idx_api_keys_user_id ON api_keys(user_id)',
+        'CREATE INDEX IF NOT EXISTS idx_two_factor_recovery_codes_user_id ON two_factor_recovery_codes(user_id)',
+        'CREATE INDEX IF NOT EXISTS idx_auth_failures_unlock_token_hash ON auth_failures(unlock_token_hash)',
+        'CREATE INDEX IF NOT EXISTS idx_auth_lockouts_created_at ON auth_lockouts(created_at)',
         'CREATE INDEX IF NOT EXISTS idx_documents_user_id ON documents(user_id)',
         'CREATE INDEX IF NOT EXISTS idx_documents_pinecone_id ON documents(pinecone_id)',
         'CREATE INDEX IF NOT EXISTS idx_documents_vector_id ON documents(vector_id)',
         'CREATE INDEX IF NOT EXISTS idx_chats_user_id ON chats(user_id)',
-        'CREATE INDEX IF NOT EXISTS idx_chat_messages_chat_id ON chat_messages(chat_id)'
+        'CREATE INDEX IF NOT EXISTS idx_chat_messages_chat_id ON chat_messages(chat_id)',
+        'CREATE INDEX IF NOT EXISTS idx_vector_embeddings_namespace ON vector_embeddings(namespace)',
+        'CREATE INDEX IF NOT EXISTS idx_document_chunks_namespace_file ON document_chunks(namespace, file_name)'
       ];
 
       this.db.serialize(() => {
@@ -162,6 +296,46 @@ class Database {
           }
         });
 
+        this.db.run(createEmailVerificationTable, (err) => {
+          if (err) {
+            console.error('Error creating email verification tokens table:', err.message);
+            reject(err);
+            return;
+          }
+        });
+
+        this.db.run(createApiKeysTable, (err) => {
+          if (err) {
+            console.error('Error creating api_keys table:', err.message);
+            reject(err);
+            return;
+          }
+        });
+
+        this.db.run(createAuthFailuresTable, (err) => {
+          if (err) {
+            console.error('Error creating auth_failures table:', err.message);
+            reject(err);
+            return;
+          }
+        });
+
+        this.db.run(createAuthLockoutsTable, (err) => {
+          if (err) {
+            console.error('Error creating auth_lockouts table:', err.message);
+            reject(err);
+            return;
+          }
+        });
+
+        this.db.run(createTwoFactorRecoveryCodesTable, (err) => {
+          if (err) {
+            console.error('Error creating two_factor_recovery_codes table:', err.message);
+            reject(err);
+            return;
+          }
+        });
+
         this.db.run(createDocumentsTable, (err) => {
           if (err) {
             console.error('Error creating documents table:', err.message);
@@ -186,6 +360,38 @@ class Database {
           }
         });
 
+        this.db.run(createVectorEmbeddingsTable, (err) => {
+          if (err) {
+            console.error('Error creating vector_embeddings table:', err.message);
+            reject(err);
+            return;
+          }
+        });
+
+        this.db.run(createDocumentChunksTable, (err) => {
+          if (err) {
+            console.error('Error creating document_chunks table:', err.message);
+            reject(err);
+            return;
+          }
+        });
+
+        this.db.run(createDocumentChunksFts, (err) => {
+          if (err) {
+            console.error('Error creating document_chunks_fts table:', err.message);
+            reject(err);
+            return;
+          }
+        });
+
+        createDocumentChunksTriggers.forEach(triggerQuery => {
+          this.db.run(triggerQuery, (err) => {
+            if (err) {
+              console.error('Error creating document_chunks trigger:', err.message);
+            }
+          });
+        });
+
         // Create indexes
         createIndexes.forEach(indexQuery => {
           this.db.run(indexQuery, (err) => {
@@ -204,6 +410,68 @@ class Database {
           }
         });
 
+        // Default answer profile for the user's chats
+        this.db.run(`
+          ALTER TABLE users ADD COLUMN answer_profile TEXT DEFAULT 'legal'
+        `, (err) => {
+          if (err && !err.message.includes('duplicate column name')) {
+            console.error('Error adding answer_profile column:', err.message);
+          }
+        });
+
+        // Updates of existing rows for a column a migration has just added; they run once
+        // the migrations are done (see the end), so only on the start that adds the column
+        const backfills = [];
+
+        // When the address was verified. The column is added once, on the first start with email
+        // verification: accounts that exist then never got a link, so they count as verified
+        // rather than losing uploads and chat
+        this.db.run(`
+          ALTER TABLE users ADD COLUMN email_verified_at DATETIME
+        `, (err) => {
+          if (err) {
+            if (!err.message.includes('duplicate column name')) {
+              console.error('Error adding email_verified_at column:', err.message);
+            }
+            return;
+          }
+          backfills.push({
+            description: 'marking existing users as verified',
+            query: 'UPDATE users SET email_verified = 1, email_verified_at = CURRENT_TIMESTAMP WHERE email_verified = 0'
+          });
+        });
+
+        // Sessions record the device they were last used from, shown when listing sessions
+        const sessionMigrations = [
+          'ALTER TABLE sessions ADD COLUMN user_agent TEXT',
+          'ALTER TABLE sessions ADD COLUMN ip_address TEXT',
+          'ALTER TABLE sessions ADD COLUMN last_refreshed_at DATETIME'
+        ];
+
+        sessionMigrations.forEach(migration => {
+          this.db.run(migration, (err) => {
+            if (err && !err.message.includes('duplicate column name')) {
+              console.error('Error in session migration:', err.message);
+            }
+          });
+        });
+
+        // Two-factor authentication: the authenticator secret (encrypted), whether enrollment was
+        // confirmed, and the time step of the last accepted code so a code cannot be used twice
+        const twoFactorMigrations = [
+          'ALTER TABLE users ADD COLUMN two_factor_enabled BOOLEAN DEFAULT 0',
+          'ALTER TABLE users ADD COLUMN two_factor_secret TEXT',
+          'ALTER TABLE users ADD COLUMN two_factor_last_step INTEGER'
+        ];
+
+        twoFactorMigrations.forEach(migration => {
+          this.db.run(migration, (err) => {
+            if (err && !err.message.includes('duplicate column name')) {
+              console.error('Error in two-factor migration:', err.message);
+            }
+          });
+        });
+
         // Add migrations for enhanced document tracking columns
         const documentMigrations = [
           'ALTER TABLE documents ADD COLUMN chunk_count INTEGER DEFAULT 0',
@@ -212,7 +480,16 @@ class Database {
           'ALTER TABLE documents ADD COLUMN chunk_size INTEGER DEFAULT 200',
           'ALTER TABLE documents ADD COLUMN chunk_overlap INTEGER DEFAULT 40',
           'ALTER TABLE documents ADD COLUMN file_hash TEXT',
-          'ALTER TABLE documents ADD COLUMN validation_warnings TEXT'
+          'ALTER TABLE documents ADD COLUMN validation_warnings TEXT',
+          'ALTER TABLE documents ADD COLUMN tags TEXT',
+          "ALTER TABLE documents ADD COLUMN chunking_strategy TEXT DEFAULT 'recursive'",
+          'ALTER TABLE documents ADD COLUMN parent_document_id INTEGER',
+          'ALTER TABLE documents ADD COLUMN folder_path TEXT',
+          'ALTER TABLE documents ADD COLUMN version INTEGER DEFAULT 1',
+          'ALTER TABLE documents ADD COLUMN version_group_id INTEGER',
+          'ALTER TABLE documents ADD COLUMN superseded_at DATETIME',
+          'ALTER TABLE documents ADD COLUMN chunk_hashes TEXT',
+          'ALTER TABLE documents ADD COLUMN chunk_ids TEXT'
         ];
 
         documentMigrations.forEach(migration => {
@@ -223,8 +500,77 @@ class Database {
           });
         });
 
-        console.log('Database tables initialized successfully');
-        resolve();
+        // Keyword index rows name their document, so searches can filter and deletes can match by
+        // document id; rows indexed before the column existed take it from their metadata
+        this.db.run(`
+          ALTER TABLE document_chunks ADD COLUMN document_id INTEGER
+        `, (err) => {
+          if (err) {
+            if (!err.message.includes('duplicate column name')) {
+              console.error('Error adding document_chunks document_id column:', err.message);
+            }
+            return;
+          }
+          backfills.push({
+            description: 'copying document ids into document_chunks',
+            query: "UPDATE document_chunks SET document_id = json_extract(metadata, '$.documentId') WHERE json_extract(metadata, '$.documentId') IS NOT NULL"
+          });
+        });
+        this.db.run('CREATE INDEX IF NOT EXISTS idx_document_chunks_namespace_document ON document_chunks(namespace, document_id)', (err) => {
+          if (err) {
+            console.error('Error creating index:', err.message);
+          }
+        });
+
+        // Assistant messages can be cut short when a streamed response is cancelled
+        this.db.run(`
+          ALTER TABLE chat_messages ADD COLUMN status TEXT DEFAULT 'complete'
+        `, (err) => {
+          if (err && !err.message.includes('duplicate column name')) {
+            console.error('Error adding chat_messages status column:', err.message);
+          }
+        });
+
+        // Retrieval strategy, document scope and answer profile chosen per chat; strategy, rewritten search query and grounding check per answer
+        const chatMigrations = [
+          "ALTER TABLE chats ADD COLUMN strategy TEXT DEFAULT 'auto'",
+          'ALTER TABLE chats ADD COLUMN scope TEXT',
+          'ALTER TABLE chats ADD COLUMN answer_profile TEXT',
+          'ALTER TABLE chat_messages ADD COLUMN strategy TEXT',
+          'ALTER TABLE chat_messages ADD COLUMN strategy_params TEXT',
+          'ALTER TABLE chat_messages ADD COLUMN query_rewrite TEXT',
+          'ALTER TABLE chat_messages ADD COLUMN grounding TEXT'
+        ];
+
+        chatMigrations.forEach(migration => {
+          this.db.run(migration, (err) => {
+            if (err && !err.message.includes('duplicate column name')) {
+              console.error('Error in chat migration:', err.message);
+            }
+          });
+        });
+
+        // Statements run in order inside serialize, so this callback fires once
+        // every table, index and migration above has been applied
+        this.db.get('SELECT 1', () => {
+          const runBackfills = () => {
+            const backfill = backfills.shift();
+            if (!backfill) {
+              console.log('Database tables initialized successfully');
+              resolve();
+              return;
+            }
+
+            this.db.run(backfill.query, (err) => {
+              if (err) {
+                console.error(`Error ${backfill.description}:`, err.message);
+              }
+              runBackfills();
+            });
+          };
+
+          runBackfills();
+        });
       });
     });
   }
@@ -0,0 +1,89 @@
+const apiKeyService = require('../services/apiKeyService');
+
+class ApiKeyController {
+  /**
+   * GET /api/api-keys
+   */
+  async listKeys(req, res) {
+    try {
+      const apiKeys = await apiKeyService.list(req.user);
+
+      res.json({
+        success: true,
+        data: {
+          apiKeys,
+          scopes: apiKeyService.config.scopes
+        }
+      });
+    } catch (error) {
+      console.error('List API keys error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get API keys'
+      });
+    }
+  }
+
+  /**
+   * Create a key; the key itself is only in this response
+   * POST /api/api-keys
+   */
+  async createKey(req, res) {
+    try {
+      const { maxKeysPerUser } = apiKeyService.config;
+      if (await apiKeyService.countActive(req.user) >= maxKeysPerUser) {
+        return res.status(409).json({
+          success: false,
+          error: `You can have up to ${maxKeysPerUser} active API keys - revoke one you no longer use first`,
+          code: 'API_KEY_LIMIT_REACHED'
+        });
+      }
+
+      const { apiKey, key } = await apiKeyService.create(req.user, req.validatedData);
+
+      res.status(201).json({
+        success: true,
+        message: 'API key created - copy it now, it will not be shown again',
+        data: {
+          apiKey,
+          key
+        }
+      });
+    } catch (error) {
+      console.error('Create API key error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create API key'
+      });
+    }
+  }
+
+  /**
+   * DELETE /api/api-keys/:id
+   */
+  async revokeKey(req, res) {
+    try {
+      const apiKey = await apiKeyService.revoke(req.user, parseInt(req.params.id, 10));
+      if (!apiKey) {
+        return res.status(404).json({
+          success: false,
+          error: 'API key not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'API key revoked - requests with it are now rejected',
+        data: { apiKey }
+      });
+    } catch (error) {
+      console.error('Revoke API key error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to revoke API key'
+      });
+    }
+  }
+}
+
+module.exports = new ApiKeyController();
@@ -1,8 +1,12 @@
 const User = require('../models/User');
 const Session = require('../models/Session');
 const PasswordResetToken = require('../models/PasswordResetToken');
-const { generateTokens, verifyRefreshToken, getTokenExpiration } = require('../utils/jwt');
+const { generateTwoFactorChallenge, verifyTwoFactorChallenge, getTokenExpiration } = require('../utils/jwt');
 const { normalizeEmail, isValidEmail, isDisposableEmail } = require('../utils/emailUtils');
+const twoFactorService = require('../services/twoFactorService');
+const emailVerificationService = require('../services/emailVerificationService');
+const sessionService = require('../services/sessionService');
+const bruteForceService = require('../services/bruteForceService');
 const nodemailer = require('nodemailer');
 
 // Email sending function
@@ -99,6 +103,27 @@ The Auth System Team
   }
 }
 
+// Refuse an attempt blocked by brute-force protection (see bruteForceService)
+function tooManyAttempts(res, blocked, action) {
+  const waitMinutes = Math.ceil(blocked.retryAfter / 60);
+  let error = `Too many failed attempts - please wait ${blocked.retryAfter} seconds before trying again`;
+  if (blocked.reason === 'locked') {
+    error = blocked.subjectType === 'account' && action === 'login'
+      ? `Too many failed sign in attempts - this account is locked for ${waitMinutes} minutes. If it is yours, check your email for a link to unlock it`
+      : `Too many failed attempts - please try again in ${waitMinutes} minutes`;
+  }
+
+  res.set('Retry-After', String(blocked.retryAfter));
+  return res.status(429).json({
+    success: false,
+    error,
+    code: blocked.reason === 'locked' && blocked.subjectType === 'account' ? 'ACCOUNT_LOCKED' : 'TOO_MANY_ATTEMPTS',
+    details: {
+      retryAfter: blocked.retryAfter
+    }
+  });
+}
+
 class AuthController {
   async signup(req, res) {
     try {
@@ -128,16 +153,24 @@ class AuthController {
         profilePicture: profilePictureUrl
       });
 
+      // The account exists either way; a failed email can be resent from the app
+      try {
+        await emailVerificationService.sendVerification(user);
+      } catch (emailError) {
+        console.error('Verification email error:', emailError);
+      }
+
       res.status(201).json({
         success: true,
-        message: 'Account created successfully - welcome! You can now sign in with your credentials',
+        message: 'Account created successfully - check your inbox for a link to verify your email address',
         data: {
           userId: user.id,
           email: user.email,
           firstName: user.firstName,
           lastName: user.lastName,
           userIndex: user.userIndex,
-          profilePictureUrl: user.profilePicture
+          profilePictureUrl: user.profilePicture,
+          emailVerified: false
         }
       });
     } catch (error) {
@@ -172,10 +205,20 @@ class AuthController {
     try {
       // Use validated data from middleware
       const { email, password } = req.validatedData || req.body;
+      const identity = { email, ip: req.ip };
+
+      const blocked = await bruteForceService.check('login', identity);
+      if (!blocked.allowed) {
+        return tooManyAttempts(res, blocked, 'login');
+      }
 
       // Find user with enhanced error handling
       const user = await User.findByEmail(email);
       if (!user) {
+        const next = await bruteForceService.recordFailure('login', identity);
+        if (next.reason === 'locked') {
+          return tooManyAttempts(res, next, 'login');
+        }
         return res.status(401).json({
           success: false,
           error: 'Account not found - no account exists with these credentials. Please check your email and password or create a new account',
@@ -190,6 +233,10 @@ class AuthController {
       // Validate password with enhanced error handling
       const isValidPassword = await user.validatePassword(password);
       if (!isValidPassword) {
+        const next = await bruteForceService.recordFailure('login', identity);
+        if (next.reason === 'locked') {
+          return tooManyAttempts(res, next, 'login');
+        }
         return res.status(401).json({
           success: false,
           error: 'Incorrect password - please check your password and try again. If you forgot your password, use the reset option',
@@ -201,23 +248,29 @@ class AuthController {
         });
       }
 
-      // Generate tokens
-      const { accessToken, refreshToken } = generateTokens(user.id);
-      const refreshTokenExpiry = getTokenExpiration(refreshToken);
+      // With two-factor authentication on, tokens are only issued for a valid code, and the
+      // failures are kept so that code guesses count too
+      if (user.twoFactorEnabled) {
+        const challengeToken = generateTwoFactorChallenge(user.id, twoFactorService.config.challengeExpiresIn);
+        return res.json({
+          success: true,
+          message: 'Enter the code from your authenticator app to finish signing in',
+          data: {
+            twoFactorRequired: true,
+            challengeToken,
+            expiresAt: getTokenExpiration(challengeToken)
+          }
+        });
+      }
 
-      // Store refresh token in database
-      await Session.create(user.id, refreshToken, refreshTokenExpiry);
+      await bruteForceService.recordSuccess('login', identity);
 
       res.json({
         success: true,
         message: 'Welcome back - you\'re now signed in to your account',
         data: {
           user: user.toJSON(),
-          tokens: {
-            accessToken,
-            refreshToken,
-            expiresAt: getTokenExpiration(accessToken)
-          }
+          tokens: await sessionService.start(user, req)
         }
       });
     } catch (error) {
@@ -233,29 +286,104 @@ class AuthController {
     }
   }
 
+  async completeTwoFactorLogin(req, res) {
+    try {
+      const { challengeToken, code, recoveryCode } = req.body;
+
+      let challenge;
+      try {
+        challenge = verifyTwoFactorChallenge(challengeToken);
+      } catch (error) {
+        return res.status(401).json({
+          success: false,
+          error: 'Sign in expired - please enter your email and password again',
+          code: 'INVALID_TWO_FACTOR_CHALLENGE',
+          details: {
+            suggestion: 'Sign in again and enter a new code within 5 minutes'
+          }
+        });
+      }
+
+      const user = await User.findById(challenge.userId);
+      if (!user || !user.twoFactorEnabled) {
+        return res.status(401).json({
+          success: false,
+          error: 'Sign in expired - please enter your email and password again',
+          code: 'INVALID_TWO_FACTOR_CHALLENGE',
+          details: {
+            suggestion: 'Sign in again with your email and password'
+          }
+        });
+      }
+
+      const identity = { email: user.email, ip: req.ip };
+      const blocked = await bruteForceService.check('login', identity);
+      if (!blocked.allowed) {
+        return tooManyAttempts(res, blocked, 'login');
+      }
+
+      const result = await twoFactorService.verifySecondFactor(user, { code, recoveryCode });
+      if (!result.valid) {
+        const next = await bruteForceService.recordFailure('login', identity);
+        if (next.reason === 'locked') {
+          return tooManyAttempts(res, next, 'login');
+        }
+        return res.status(401).json({
+          success: false,
+          error: recoveryCode
+            ? 'Invalid recovery code - it may have been used already'
+            : 'Invalid authentication code - please enter the current code from your authenticator app',
+          code: recoveryCode ? 'INVALID_RECOVERY_CODE' : 'INVALID_TWO_FACTOR_CODE',
+          details: {
+            field: recoveryCode ? 'recoveryCode' : 'code',
+            suggestion: recoveryCode
+              ? 'Check the code, or use another of your recovery codes'
+              : 'Check that the time on your device is correct, or use a recovery code'
+          }
+        });
+      }
+
+      await bruteForceService.recordSuccess('login', identity);
+
+      res.json({
+        success: true,
+        message: 'Welcome back - you\'re now signed in to your account',
+        data: {
+          user: user.toJSON(),
+          tokens: await sessionService.start(user, req),
+          ...(result.method === 'recovery-code' ? { recoveryCodesRemaining: result.recoveryCodesRemaining } : {})
+        }
+      });
+    } catch (error) {
+      console.error('Two-factor login error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Sign in failed - please try again',
+        code: 'LOGIN_FAILED',
+        details: {
+          suggestion: 'Please check your connection and try again'
+        }
+      });
+    }
+  }
+
   async refreshToken(req, res) {
     try {
       const { refreshToken } = req.body;
+      const result = await sessionService.refresh(refreshToken, req);
 
-      // Verify refresh token
-      const decoded = verifyRefreshToken(refreshToken);
-      
-      // Check if session exists and is valid
-      const session = await Session.findByRefreshToken(refreshToken);
-      if (!session) {
+      if (result.status === 'reused') {
         return res.status(401).json({
           success: false,
-          error: 'Invalid refresh token - please sign in again',
-          code: 'INVALID_REFRESH_TOKEN',
+          error: 'This sign in was ended because its refresh token was used twice - please sign in again',
+          code: 'REFRESH_TOKEN_REUSED',
           details: {
-            suggestion: 'Please sign in again to get a new session'
+            suggestion: 'If you did not sign in on another device, change your password'
           }
         });
       }
 
-      // Get user
-      const user = await User.findById(decoded.userId);
-      if (!user) {
+      if (result.status === 'user-not-found') {
         return res.status(401).json({
           success: false,
           error: 'User not found - please sign in again',
@@ -266,24 +394,23 @@ class AuthController {
         });
       }
 
-      // Generate new tokens
-      const { accessToken, refreshToken: newRefreshToken } = generateTokens(user.id);
-      const newRefreshTokenExpiry = getTokenExpiration(newRefreshToken);
-
-      // Delete old session and create new one
-      await session.delete();
-      await Session.create(user.id, newRefreshToken, newRefreshTokenExpiry);
+      if (result.status !== 'refreshed') {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid refresh token - please sign in again',
+          code: 'INVALID_REFRESH_TOKEN',
+          details: {
+            suggestion: 'Please sign in again to get a new session'
+          }
+        });
+      }
 
       res.json({
         success: true,
         message: 'Session refreshed successfully',
         data: {
-          user: user.toJSON(),
-          tokens: {
-            accessToken,
-            refreshToken: newRefreshToken,
-            expiresAt: getTokenExpiration(accessToken)
-          }
+          user: result.user.toJSON(),
+          tokens: result.tokens
         }
       });
     } catch (error) {
@@ -318,6 +445,9 @@ class AuthController {
       if (refreshToken) {
         // Delete specific session
         await Session.deleteByRefreshToken(refreshToken);
+      } else if (req.sessionId) {
+        // Delete the session of the access token
+        await Session.deleteById(req.sessionId);
       } else if (req.user) {
         // Delete all sessions for user
         await Session.deleteByUserId(req.user.id);
@@ -336,6 +466,76 @@ class AuthController {
     }
   }
 
+  /**
+   * GET /api/auth/sessions
+   */
+  async listSessions(req, res) {
+    try {
+      res.json({
+        success: true,
+        data: {
+          sessions: await sessionService.list(req.user, req.sessionId)
+        }
+      });
+    } catch (error) {
+      console.error('List sessions error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get sessions'
+      });
+    }
+  }
+
+  /**
+   * Sign out one session, e.g. a lost device
+   * DELETE /api/auth/sessions/:sessionId
+   */
+  async revokeSession(req, res) {
+    try {
+      const revoked = await sessionService.revoke(req.user, parseInt(req.params.sessionId, 10));
+      if (!revoked) {
+        return res.status(404).json({
+          success: false,
+          error: 'Session not found',
+          code: 'SESSION_NOT_FOUND'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Session signed out'
+      });
+    } catch (error) {
+      console.error('Revoke session error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to sign out session'
+      });
+    }
+  }
+
+  /**
+   * Sign out every session except the current one
+   * DELETE /api/auth/sessions
+   */
+  async revokeOtherSessions(req, res) {
+    try {
+      const revokedCount = await sessionService.revokeOthers(req.user, req.sessionId);
+
+      res.json({
+        success: true,
+        message: `Signed out ${revokedCount} other session${revokedCount === 1 ? '' : 's'}`,
+        data: { revokedCount }
+      });
+    } catch (error) {
+      console.error('Revoke other sessions error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to sign out other sessions'
+      });
+    }
+  }
+
   async getProfile(req, res) {
     try {
       res.json({
@@ -390,9 +590,131 @@ class AuthController {
     }
   }
 
+  /**
+   * GET /api/auth/verify-email/:token
+   */
+  async verifyEmail(req, res) {
+    try {
+      const user = await emailVerificationService.verify(req.params.token);
+      if (!user) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid or expired verification link. Please request a new verification email.',
+          code: 'INVALID_VERIFICATION_TOKEN'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Email verified successfully - you can now use all features',
+        data: {
+          email: user.email,
+          firstName: user.firstName
+        }
+      });
+    } catch (error) {
+      console.error('Verify email error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to verify email. Please try again.',
+        code: 'EMAIL_VERIFICATION_FAILED'
+      });
+    }
+  }
+
+  /**
+   * End a sign-in lockout with the link from the account locked email
+   * GET /api/auth/unlock-account/:token
+   */
+  async unlockAccount(req, res) {
+    try {
+      if (!(await bruteForceService.unlock(req.params.token))) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid or expired unlock link. The lockout may have ended already - try signing in.',
+          code: 'INVALID_UNLOCK_TOKEN'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Your account is unlocked - you can sign in again'
+      });
+    } catch (error) {
+      console.error('Unlock account error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to unlock account. Please try again.',
+        code: 'UNLOCK_FAILED'
+      });
+    }
+  }
+
+  /**
+   * Send a new verification email, to the signed-in user or to the account with `email`
+   * POST /api/auth/verify-email/resend
+   */
+  async resendVerificationEmail(req, res) {
+    try {
+      const signedIn = Boolean(req.user);
+      const user = req.user || (req.body.email ? await User.findByEmail(normalizeEmail(req.body.email)) : null);
+      const result = user ? await emailVerificationService.sendVerification(user) : { sent: false };
+
+      // Without a session, don't reveal whether the account exists or is verified
+      if (!signedIn) {
+        return res.json({
+          success: true,
+          message: 'If an unverified account with this email exists, you will receive a verification link shortly.'
+        });
+      }
+
+      if (result.reason === 'already-verified') {
+        return res.status(409).json({
+          success: false,
+          error: 'Your email address is already verified',
+          code: 'EMAIL_ALREADY_VERIFIED'
+        });
+      }
+
+      if (result.reason === 'throttled') {
+        res.set('Retry-After', String(result.retryAfter));
+        return res.status(429).json({
+          success: false,
+          error: `A verification email was sent recently - please wait ${result.retryAfter} seconds before requesting another`,
+          code: 'VERIFICATION_EMAIL_THROTTLED',
+          details: {
+            retryAfter: result.retryAfter,
+            suggestion: 'Check your spam folder for the earlier email'
+          }
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Verification email sent - check your inbox'
+      });
+    } catch (error) {
+      console.error('Resend verification email error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to send verification email. Please try again.',
+        code: 'VERIFICATION_EMAIL_FAILED'
+      });
+    }
+  }
+
   async requestPasswordReset(req, res) {
     try {
       const { email } = req.validatedData || req.body;
+      const identity = { email, ip: req.ip };
+
+      const blocked = await bruteForceService.check('password-reset', identity);
+      if (!blocked.allowed) {
+        return tooManyAttempts(res, blocked, 'password-reset');
+      }
+
+      // Every request counts as an attempt, whether or not the account exists
+      await bruteForceService.recordFailure('password-reset', identity);
 
       // Find user by email
       const user = await User.findByEmail(email);
@@ -434,10 +756,17 @@ class AuthController {
   async verifyResetToken(req, res) {
     try {
       const { token } = req.params;
+      const identity = { ip: req.ip };
+
+      const blocked = await bruteForceService.check('reset-token', identity);
+      if (!blocked.allowed) {
+        return tooManyAttempts(res, blocked, 'reset-token');
+      }
 
       // Find and validate reset token
       const resetToken = await PasswordResetToken.findByToken(token);
       if (!resetToken || !resetToken.isValid()) {
+        await bruteForceService.recordFailure('reset-token', identity);
         return res.status(400).json({
           success: false,
           error: 'Invalid or expired reset token. Please request a new password reset.',
@@ -476,10 +805,17 @@ class AuthController {
   async resetPassword(req, res) {
     try {
       const { token, newPassword } = req.validatedData || req.body;
+      const identity = { ip: req.ip };
+
+      const blocked = await bruteForceService.check('reset-token', identity);
+      if (!blocked.allowed) {
+        return tooManyAttempts(res, blocked, 'reset-token');
+      }
 
       // Find and validate reset token
       const resetToken = await PasswordResetToken.findByToken(token);
       if (!resetToken || !resetToken.isValid()) {
+        await bruteForceService.recordFailure('reset-token', identity);
         return res.status(400).json({
           success: false,
           error: 'Invalid or expired reset token. Please request a new password reset.',
@@ -506,6 +842,9 @@ class AuthController {
       // Delete all sessions for this user (force re-login)
       await Session.deleteByUserId(user.id);
 
+      // The new password also ends a sign-in lockout
+      await bruteForceService.recordSuccess('login', { email: user.email });
+
       res.json({
         success: true,
         message: 'Password reset successfully. Please sign in with your new password.'
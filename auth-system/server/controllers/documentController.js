@@ -5,6 +5,11 @@ const advancedDocumentService = require('../services/advancedDocumentService');
 const fileValidationService = require('../services/fileValidationService');
 const concurrentProcessingManager = require('../services/concurrentProcessingManager');
 const activityService = require('../services/activityService');
+const emailParsingService = require('../services/emailParsingService');
+const archiveExtractionService = require('../services/archiveExtractionService');
+const documentVersionService = require('../services/documentVersionService');
+const documentChunkService = require('../services/documentChunkService');
+const ConfigurationManager = require('../services/ConfigurationManager');
 const fs = require('fs');
 const path = require('path');
 
@@ -32,6 +37,48 @@ class DocumentController {
       }
 
       const file = req.file;
+
+      const { chunkingStrategy, error: chunkingError } = advancedDocumentService.parseChunkingRequest(req.body.chunkingStrategy);
+      if (chunkingError) {
+        if (fs.existsSync(file.path)) {
+          fs.unlinkSync(file.path);
+        }
+        return res.status(400).json({
+          success: false,
+          error: chunkingError
+        });
+      }
+      const chunking = advancedDocumentService.getChunkingSettings(chunkingStrategy, file.path);
+
+      // An upload with the name of an existing document, or uploaded as a new version of
+      // one, is the next version of that document
+      const { previousVersionId, error: versionError } = documentVersionService.parseVersionRequest(req.body.previousVersionId);
+      if (versionError) {
+        if (fs.existsSync(file.path)) {
+          fs.unlinkSync(file.path);
+        }
+        return res.status(400).json({
+          success: false,
+          error: versionError
+        });
+      }
+
+      let previousVersion = null;
+      if (previousVersionId) {
+        const versionOf = await Document.findById(previousVersionId);
+        if (!versionOf || versionOf.userId !== userId) {
+          if (fs.existsSync(file.path)) {
+            fs.unlinkSync(file.path);
+          }
+          return res.status(404).json({
+            success: false,
+            error: 'Document to create a new version of was not found'
+          });
+        }
+        previousVersion = await documentVersionService.getLatestVersion(versionOf);
+      } else {
+        previousVersion = await Document.findLatestVersion(userId, file.originalname);
+      }
       
       // Enhanced file validation
       console.log(`📄 Validating uploaded file: ${file.originalname}`);
@@ -43,7 +90,8 @@ class DocumentController {
         path: file.path
       });
       
-      const validationResult = await fileValidationService.validateFile(file, userId);
+      // Source files are only accepted when they are uploaded as code documents
+      const validationResult = await fileValidationService.validateFile(file, userId, { codeDocuments: chunkingStrategy === 'code' });
       console.log(`📄 Validation result:`, validationResult);
       
       if (!validationResult.isValid) {
@@ -96,14 +144,16 @@ class DocumentController {
         pineconeId: user.pineconeId,
         fileName: file.filename,
         originalName: file.originalname,
-        fileType: advancedDocumentService.getFileTypeFromMime(file.mimetype),
+        fileType: advancedDocumentService.getFileTypeFromMime(file.mimetype, file.originalname),
         fileSize: file.size,
         filePath: file.path,
         extractedText: extractedText,
         uploadStatus: 'processing',
         embeddingModel: 'all-MiniLM-L6-v2',
-        chunkSize: 200,  // Updated to match new smaller chunk size
-        chunkOverlap: 40, // Updated to match new smaller overlap
+        chunkingStrategy: chunking.chunkingStrategy,
+        chunkSize: chunking.chunkSize,
+        chunkOverlap: chunking.chunkOverlap,
+        ...(await documentVersionService.getVersionFields(previousVersion)),
         // Add validation metadata
         fileHash: validationResult.fileInfo.hash,
         validationWarnings: validationResult.warnings.length > 0 ? validationResult.warnings : null
@@ -122,11 +172,14 @@ class DocumentController {
         // Enhanced processing with metrics - but make it optional if embeddings fail
         let vectorId = null;
         try {
-          vectorId = await advancedDocumentService.storeInPinecone(
+          const stored = await advancedDocumentService.storeInPinecone(
             user.pineconeId,
-            documentData,
+            { ...documentData, documentId: document.id },
             extractedText
           );
+          vectorId = stored.vectorId;
+          chunkCount = stored.chunkIds.length;
+          await this.recordStoredVersion(document, documentData, stored, user.pineconeId);
         } catch (embeddingError) {
           console.warn('⚠️ Embedding generation failed, storing document without embeddings:', embeddingError.message);
           // Continue without embeddings - document will still be stored in database
@@ -136,9 +189,6 @@ class DocumentController {
         const totalProcessingTime = processingEnd - startTime;
         embeddingTime = processingEnd - processingStart - extractionTime;
         
-        // Calculate chunk count (estimate based on text length and chunk size)
-        chunkCount = Math.ceil(extractedText.length / 160); // Approximate chunks considering overlap (200-40=160 effective)
-        
         // Update document with enhanced processing status and metrics
         await document.updateProcessingStatus('completed', chunkCount, totalProcessingTime);
         if (vectorId) {
@@ -146,6 +196,8 @@ class DocumentController {
         }
         document.chunkCount = chunkCount;
         document.processingTime = totalProcessingTime;
+
+        const attachments = await this.ingestEmailAttachments(document, user, chunkingStrategy);
         
         // Collect processing metrics
         const processingMetrics = {
@@ -167,6 +219,7 @@ class DocumentController {
             textPreview: extractedText.substring(0, 200) + '...',
             wordCount: extractedText.split(/\s+/).length,
             processingMetrics: processingMetrics,
+            attachments,
             validationInfo: {
               warnings: validationResult.warnings,
               fileInfo: validationResult.fileInfo,
@@ -221,6 +274,122 @@ class DocumentController {
     }
   }
 
+  /**
+   * Ingest the supported attachments of an uploaded email as documents of their own, linked
+   * to the email through parentDocumentId. Their chunks carry the sender and date of the
+   * message they came with. An attachment that fails does not fail the email upload
+   * @param {Document} document - The email document
+   * @param {Object} user - Uploading user
+   * @param {string} chunkingStrategy - Strategy requested for the upload
+   * @returns {Promise<Array<Object>>} Per attachment { fileName, success, document } or { fileName, success, error }
+   */
+  async ingestEmailAttachments(document, user, chunkingStrategy) {
+    if (!emailParsingService.isEmail(document.filePath)) {
+      return [];
+    }
+
+    const { maxAttachments = 20, maxAttachmentSize = 10 * 1024 * 1024 } = ConfigurationManager.getServiceConfig('emails');
+    const attachments = advancedDocumentService.extractMessages(document.filePath)
+      .flatMap(message => message.attachments.map(attachment => ({ message, attachment })))
+      .filter(({ attachment }) => attachment.fileName && advancedDocumentService.isFileSupported(attachment.fileName));
+    const results = [];
+
+    for (const { message, attachment } of attachments) {
+      if (results.length >= maxAttachments) {
+        results.push({ fileName: attachment.fileName, success: false, error: `Only the first ${maxAttachments} attachments are ingested` });
+        continue;
+      }
+      if (attachment.size > maxAttachmentSize) {
+        results.push({ fileName: attachment.fileName, success: false, error: 'Attachment is too large' });
+        continue;
+      }
+
+      // Stored next to the email under a generated name, like uploaded files
+      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+      const fileName = `doc-${uniqueSuffix}${path.extname(attachment.fileName).toLowerCase()}`;
+      const file = {
+        originalname: attachment.fileName,
+        filename: fileName,
+        mimetype: advancedDocumentService.getFileType(attachment.fileName),
+        size: attachment.size,
+        path: path.join(path.dirname(document.filePath), fileName)
+      };
+
+      try {
+        fs.writeFileSync(file.path, attachment.content);
+
+        const validationResult = await fileValidationService.validateFile(file, user.id, { codeDocuments: chunkingStrategy === 'code' });
+        if (!validationResult.isValid) {
+          throw new Error(validationResult.errors.join('; '));
+        }
+
+        const extractedText = await advancedDocumentService.extractTextFromFile(file.path);
+        const chunking = advancedDocumentService.getChunkingSettings(chunkingStrategy, file.path);
+        const documentData = {
+          userId: user.id,
+          pineconeId: user.pineconeId,
+          fileName: file.filename,
+          originalName: file.originalname,
+          fileType: advancedDocumentService.getFileTypeFromMime(file.mimetype, file.originalname),
+          fileSize: file.size,
+          filePath: file.path,
+          extractedText,
+          uploadStatus: 'processing',
+          embeddingModel: 'all-MiniLM-L6-v2',
+          chunkingStrategy: chunking.chunkingStrategy,
+          chunkSize: chunking.chunkSize,
+          chunkOverlap: chunking.chunkOverlap,
+          parentDocumentId: document.id,
+          folderPath: document.folderPath,
+          emailMetadata: { ...emailParsingService.getMessageMetadata(message), parentDocumentId: document.id }
+        };
+
+        const child = await Document.create(documentData);
+        try {
+          const { vectorId, chunkIds, chunkHashes } = await advancedDocumentService.storeInPinecone(
+            user.pineconeId,
+            { ...documentData, documentId: child.id },
+            extractedText
+          );
+          await child.updateChunkManifest(chunkIds, chunkHashes);
+          const chunkCount = chunkIds.length;
+          await child.updateProcessingStatus('completed', chunkCount, 0);
+          child.vectorId = vectorId;
+          child.chunkCount = chunkCount;
+          child.uploadStatus = 'completed';
+        } catch (error) {
+          await child.updateProcessingStatus('failed', 0, 0);
+          child.uploadStatus = 'failed';
+        }
+
+        results.push({ fileName: attachment.fileName, success: child.uploadStatus === 'completed', document: child.toJSON() });
+      } catch (error) {
+        console.warn(`⚠️ Skipping attachment ${attachment.fileName}:`, error.message);
+        if (fs.existsSync(file.path)) {
+          fs.unlinkSync(file.path);
+        }
+        results.push({ fileName: attachment.fileName, success: false, error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Keep the chunk manifest of a document that was stored in the search indexes and, for a
+   * new version, mark the version it replaces as superseded
+   * @param {Document} document - Stored document
+   * @param {Object} documentData - Data it was created from, with `previousVersion` for a new version
+   * @param {Object} stored - Result of advancedDocumentService.storeInPinecone
+   * @param {string} pineconeId - User's namespace
+   */
+  async recordStoredVersion(document, documentData, stored, pineconeId) {
+    await document.updateChunkManifest(stored.chunkIds, stored.chunkHashes);
+    if (documentData.previousVersion) {
+      await documentVersionService.supersede(documentData.previousVersion, pineconeId);
+    }
+  }
+
   async batchUploadDocuments(req, res) {
     const batchStartTime = Date.now();
     
@@ -243,10 +412,26 @@ class DocumentController {
       }
 
       const files = Array.isArray(req.files) ? req.files : [req.files];
+
+      // One chunking strategy applies to every file in the batch; spreadsheets are always chunked by rows,
+      // and the code strategy only applies to source files
+      const { chunkingStrategy, error: chunkingError } = advancedDocumentService.parseChunkingRequest(req.body.chunkingStrategy);
+      if (chunkingError) {
+        files.forEach(file => {
+          if (file.path && fs.existsSync(file.path)) {
+            fs.unlinkSync(file.path);
+          }
+        });
+
+        return res.status(400).json({
+          success: false,
+          error: chunkingError
+        });
+      }
       
       // Enhanced batch validation
       console.log(`📦 Validating batch upload: ${files.length} files`);
-      const batchValidationResult = await fileValidationService.validateBatch(files, userId);
+      const batchValidationResult = await fileValidationService.validateBatch(files, userId, { codeDocuments: chunkingStrategy === 'code' });
       
       if (!batchValidationResult.isValid) {
         // Clean up all uploaded files
@@ -283,9 +468,9 @@ class DocumentController {
       const useConcurrentProcessing = validFiles.length > 3; // Use concurrent processing for 4+ files
       
       if (useConcurrentProcessing) {
-        return await this.processBatchConcurrently(req, res, validFiles, batchValidationResult, user, batchStartTime);
+        return await this.processBatchConcurrently(req, res, validFiles, batchValidationResult, user, batchStartTime, chunkingStrategy);
       } else {
-        return await this.processBatchSequentially(req, res, validFiles, batchValidationResult, user, batchStartTime);
+        return await this.processBatchSequentially(req, res, validFiles, batchValidationResult, user, batchStartTime, chunkingStrategy);
       }
       
     } catch (error) {
@@ -297,10 +482,130 @@ class DocumentController {
     }
   }
 
+  /**
+   * Upload a ZIP archive and process every supported file in it as its own document
+   * POST /api/documents/upload-archive
+   */
+  async uploadArchive(req, res) {
+    const archive = req.file;
+
+    try {
+      if (!archive) {
+        return res.status(400).json({
+          success: false,
+          error: 'No archive uploaded'
+        });
+      }
+
+      const removeArchive = () => {
+        if (fs.existsSync(archive.path)) {
+          fs.unlinkSync(archive.path);
+        }
+      };
+
+      const user = await User.findById(req.user.id);
+      if (!user) {
+        removeArchive();
+        return res.status(404).json({
+          success: false,
+          error: 'User not found'
+        });
+      }
+
+      const { chunkingStrategy, error: chunkingError } = advancedDocumentService.parseChunkingRequest(req.body.chunkingStrategy);
+      const { maxArchiveSize = 100 * 1024 * 1024 } = ConfigurationManager.getServiceConfig('archives');
+      const archiveError = chunkingError
+        || (!archiveExtractionService.isArchive(archive.originalname) && 'Only .zip archives can be uploaded')
+        || (archive.size > maxArchiveSize && `Archive is too large. Maximum size: ${fileValidationService.formatFileSize(maxArchiveSize)}`);
+      if (archiveError) {
+        removeArchive();
+        return res.status(400).json({
+          success: false,
+          error: archiveError
+        });
+      }
+
+      // Entries are expanded next to the archive under generated names; the archive itself is not kept
+      let extracted;
+      try {
+        extracted = await archiveExtractionService.extractArchive(archive.path, {
+          isSupported: fileName => advancedDocumentService.isFileSupported(fileName),
+          getMimeType: fileName => advancedDocumentService.getFileType(fileName)
+        });
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: `Failed to extract archive: ${error.message}`
+        });
+      } finally {
+        removeArchive();
+      }
+
+      const archiveInfo = {
+        fileName: archive.originalname,
+        extractedFiles: extracted.files.length,
+        skippedEntries: extracted.skipped
+      };
+
+      if (extracted.files.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Archive contains no supported documents',
+          details: { archive: archiveInfo }
+        });
+      }
+
+      console.log(`📦 Validating ${extracted.files.length} files from archive ${archive.originalname}`);
+      const batchValidationResult = await fileValidationService.validateBatch(extracted.files, user.id, {
+        codeDocuments: chunkingStrategy === 'code',
+        maxBatchSize: extracted.files.length,
+        maxTotalBatchSize: Infinity
+      });
+
+      // Files that failed validation are not processed, so they are not kept either
+      batchValidationResult.invalidFiles.forEach(result => {
+        const file = extracted.files[result.batchIndex];
+        archiveInfo.skippedEntries.push({
+          entryName: file.folderPath ? `${file.folderPath}/${file.originalname}` : file.originalname,
+          reason: result.errors.join('; ')
+        });
+      });
+      archiveExtractionService.removeFiles(batchValidationResult.invalidFiles.map(result => extracted.files[result.batchIndex]));
+
+      if (!batchValidationResult.isValid) {
+        archiveExtractionService.removeFiles(extracted.files);
+        return res.status(400).json({
+          success: false,
+          error: 'Batch validation failed',
+          details: {
+            errors: batchValidationResult.errors,
+            archive: archiveInfo,
+            invalidFiles: batchValidationResult.invalidFiles.map(f => ({
+              fileName: f.fileInfo.originalName,
+              errors: f.errors,
+              warnings: f.warnings
+            }))
+          }
+        });
+      }
+
+      // Archives are processed as a queued job whatever their size, since they can hold hundreds of files
+      req.files = extracted.files;
+      return await this.processBatchConcurrently(req, res, batchValidationResult.validFiles, batchValidationResult, user, Date.now(), chunkingStrategy, archiveInfo);
+    } catch (error) {
+      console.error('Archive upload error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Archive upload failed'
+      });
+    }
+  }
+
   /**
    * Process batch using concurrent processing manager (for larger batches)
+   * @param {Object} archive - For files expanded from a ZIP upload, the archive summary to include in the response
    */
-  async processBatchConcurrently(req, res, validFiles, batchValidationResult, user, batchStartTime) {
+  async processBatchConcurrently(req, res, validFiles, batchValidationResult, user, batchStartTime, chunkingStrategy, archive = null) {
     try {
       // Create processor function for concurrent processing
       const batchProcessor = async (files, options, context) => {
@@ -343,19 +648,23 @@ class DocumentController {
               const extractionTime = Date.now() - extractionStart;
 
               // Create document record with enhanced tracking
+              const chunking = advancedDocumentService.getChunkingSettings(chunkingStrategy, file.path);
               const documentData = {
                 userId: user.id,
                 pineconeId: user.pineconeId,
                 fileName: file.filename,
                 originalName: file.originalname,
-                fileType: advancedDocumentService.getFileTypeFromMime(file.mimetype),
+                fileType: advancedDocumentService.getFileTypeFromMime(file.mimetype, file.originalname),
                 fileSize: file.size,
                 filePath: file.path,
                 extractedText: extractedText,
                 uploadStatus: 'processing',
                 embeddingModel: 'all-MiniLM-L6-v2',
-                chunkSize: 200,  // Updated to match new smaller chunk size
-                chunkOverlap: 40, // Updated to match new smaller overlap
+                chunkingStrategy: chunking.chunkingStrategy,
+                chunkSize: chunking.chunkSize,
+                chunkOverlap: chunking.chunkOverlap,
+                folderPath: file.folderPath || null,
+                ...(await documentVersionService.getVersionFields(await Document.findLatestVersion(user.id, file.originalname, file.folderPath || null))),
                 fileHash: validationResult.fileInfo.hash,
                 validationWarnings: validationResult.warnings.length > 0 ? validationResult.warnings : null
               };
@@ -365,23 +674,25 @@ class DocumentController {
               // Store in Pinecone with enhanced processing
               try {
                 const processingStart = Date.now();
-                const vectorId = await advancedDocumentService.storeInPinecone(
+                const stored = await advancedDocumentService.storeInPinecone(
                   user.pineconeId,
-                  documentData,
+                  { ...documentData, documentId: document.id },
                   extractedText
                 );
+                await this.recordStoredVersion(document, documentData, stored, user.pineconeId);
                 
                 const fileProcessingTime = Date.now() - fileStartTime;
                 const embeddingTime = Date.now() - processingStart - extractionTime;
                 
-                // Calculate chunk count
-                const chunkCount = Math.ceil(extractedText.length / 160); // Approximate chunks considering overlap (200-40=160 effective)
+                const chunkCount = stored.chunkIds.length;
                 
                 // Update document with enhanced metrics
                 await document.updateProcessingStatus('completed', chunkCount, fileProcessingTime);
-                document.vectorId = vectorId;
+                document.vectorId = stored.vectorId;
                 document.chunkCount = chunkCount;
                 document.processingTime = fileProcessingTime;
+
+                const attachments = await this.ingestEmailAttachments(document, user, chunkingStrategy);
                 
                 // Update batch metrics
                 batchMetrics.totalChunks += chunkCount;
@@ -393,6 +704,7 @@ class DocumentController {
                   success: true,
                   document: document.toJSON(),
                   wordCount: extractedText.split(/\s+/).length,
+                  attachments,
                   processingMetrics: {
                     extractionTime: extractionTime,
                     embeddingTime: embeddingTime,
@@ -493,7 +805,8 @@ class DocumentController {
             invalidFiles: batchValidationResult.invalidFiles.length,
             duplicatesDetected: batchValidationResult.batchInfo.duplicateCount,
             warnings: batchValidationResult.warnings
-          }
+          },
+          ...(archive ? { archive } : {})
         }
       });
 
@@ -510,7 +823,7 @@ class DocumentController {
   /**
    * Process batch sequentially with real-time progress updates (for smaller batches)
    */
-  async processBatchSequentially(req, res, validFiles, batchValidationResult, user, batchStartTime) {
+  async processBatchSequentially(req, res, validFiles, batchValidationResult, user, batchStartTime, chunkingStrategy) {
     const results = [];
     
     // Enhanced batch processing metrics
@@ -585,7 +898,7 @@ class DocumentController {
       sendProgressEvent('file-started', {
         fileName: file.originalname,
         fileSize: file.size,
-        fileType: advancedDocumentService.getFileTypeFromMime(file.mimetype),
+        fileType: advancedDocumentService.getFileTypeFromMime(file.mimetype, file.originalname),
         progress: {
           completed: results.length,
           total: validFiles.length + batchValidationResult.invalidFiles.length,
@@ -608,19 +921,23 @@ class DocumentController {
         });
 
         // Create document record with enhanced tracking
+        const chunking = advancedDocumentService.getChunkingSettings(chunkingStrategy, file.path);
         const documentData = {
           userId: user.id,
           pineconeId: user.pineconeId,
           fileName: file.filename,
           originalName: file.originalname,
-          fileType: advancedDocumentService.getFileTypeFromMime(file.mimetype),
+          fileType: advancedDocumentService.getFileTypeFromMime(file.mimetype, file.originalname),
           fileSize: file.size,
           filePath: file.path,
           extractedText: extractedText,
           uploadStatus: 'processing',
           embeddingModel: 'all-MiniLM-L6-v2',
-          chunkSize: 200,  // Updated to match new smaller chunk size
-          chunkOverlap: 40, // Updated to match new smaller overlap
+          chunkingStrategy: chunking.chunkingStrategy,
+          chunkSize: chunking.chunkSize,
+          chunkOverlap: chunking.chunkOverlap,
+          folderPath: file.folderPath || null,
+          ...(await documentVersionService.getVersionFields(await Document.findLatestVersion(user.id, file.originalname, file.folderPath || null))),
           fileHash: validationResult.fileInfo.hash,
           validationWarnings: validationResult.warnings.length > 0 ? validationResult.warnings : null
         };
@@ -630,23 +947,25 @@ class DocumentController {
         // Store in Pinecone with enhanced processing
         try {
           const processingStart = Date.now();
-          const vectorId = await advancedDocumentService.storeInPinecone(
+          const stored = await advancedDocumentService.storeInPinecone(
             user.pineconeId,
-            documentData,
+            { ...documentData, documentId: document.id },
             extractedText
           );
+          await this.recordStoredVersion(document, documentData, stored, user.pineconeId);
           
           const fileProcessingTime = Date.now() - fileStartTime;
           const embeddingTime = Date.now() - processingStart - extractionTime;
           
-          // Calculate chunk count
-          const chunkCount = Math.ceil(extractedText.length / 160); // Approximate chunks considering overlap (200-40=160 effective)
+          const chunkCount = stored.chunkIds.length;
           
           // Update document with enhanced metrics
           await document.updateProcessingStatus('completed', chunkCount, fileProcessingTime);
-          document.vectorId = vectorId;
+          document.vectorId = stored.vectorId;
           document.chunkCount = chunkCount;
           document.processingTime = fileProcessingTime;
+
+          const attachments = await this.ingestEmailAttachments(document, user, chunkingStrategy);
           
           // Update batch metrics
           batchMetrics.totalChunks += chunkCount;
@@ -658,6 +977,7 @@ class DocumentController {
             success: true,
             document: document.toJSON(),
             wordCount: extractedText.split(/\s+/).length,
+            attachments,
             processingMetrics: {
               extractionTime: extractionTime,
               embeddingTime: embeddingTime,
@@ -794,9 +1114,14 @@ class DocumentController {
   async getUserDocuments(req, res) {
     try {
       const userId = req.user.id;
-      const { page = 1, limit = 20, search, fileType } = req.query;
+      const { page = 1, limit = 20, search, fileType, includeVersions } = req.query;
       
       let documents = await Document.findByUserId(userId);
+
+      // Superseded versions are listed only on request
+      if (includeVersions !== 'true') {
+        documents = documents.filter(doc => doc.isLatestVersion);
+      }
       
       // Apply filters
       if (search) {
@@ -857,7 +1182,7 @@ class DocumentController {
   async searchDocuments(req, res) {
     try {
       const userId = req.user.id;
-      const { query, limit = 5 } = req.body;
+      const { query, limit = 5, mode, weights } = req.body;
       
       if (!query || query.trim().length === 0) {
         return res.status(400).json({
@@ -866,6 +1191,14 @@ class DocumentController {
         });
       }
 
+      const { retrieval, error: retrievalError } = advancedDocumentService.parseRetrievalRequest({ mode, weights });
+      if (retrievalError) {
+        return res.status(400).json({
+          success: false,
+          error: retrievalError
+        });
+      }
+
       const user = await User.findById(userId);
       if (!user) {
         return res.status(404).json({
@@ -874,11 +1207,12 @@ class DocumentController {
         });
       }
 
-      // Search documents in Pinecone using advanced service
+      // Hybrid (keyword + semantic) search using advanced service
       const searchResults = await advancedDocumentService.searchDocuments(
         user.pineconeId,
         query,
-        parseInt(limit)
+        parseInt(limit),
+        { retrieval }
       );
 
       // Get document details from database
@@ -890,12 +1224,14 @@ class DocumentController {
         fileType: docResult.fileType,
         fileSize: docResult.fileSize,
         uploadDate: docResult.uploadDate,
+        documentVersion: docResult.documentVersion,
         maxScore: docResult.maxScore,
         avgScore: docResult.avgScore,
         totalChunks: docResult.chunks.length,
         topChunks: docResult.chunks.slice(0, 3), // Return top 3 most relevant chunks
-        document: documents.find(doc => 
-          doc.originalName === docResult.fileName
+        document: documents.find(doc => (docResult.documentId
+          ? doc.id === docResult.documentId
+          : doc.originalName === docResult.fileName && doc.isLatestVersion)
         )?.toJSON()
       })) || [];
 
@@ -905,7 +1241,8 @@ class DocumentController {
           query: query,
           results: enrichedResults,
           count: enrichedResults.length,
-          totalChunks: searchResults.totalChunks
+          totalChunks: searchResults.totalChunks,
+          retrievalMode: searchResults.retrievalMode
         }
       });
     } catch (error) {
@@ -939,28 +1276,16 @@ class DocumentController {
         });
       }
 
-      // Delete file from filesystem
-      try {
-        if (fs.existsSync(document.filePath)) {
-          fs.unlinkSync(document.filePath);
-        }
-      } catch (error) {
-        console.error('Failed to delete file:', error);
-      }
-
-      // Delete from Pinecone
-      if (document.vectorId) {
-        try {
-          const pineconeService = require('../services/pineconeService');
-          await pineconeService.deleteDocument(document.vectorId);
-        } catch (error) {
-          console.error('Failed to delete from Pinecone:', error);
+      // All versions are deleted together, and attachments ingested from an email with it
+      const versions = await Document.findVersions(document.versionGroupId);
+      for (const version of versions) {
+        const attachments = await Document.findByParentId(version.id);
+        for (const attachment of attachments) {
+          await this.removeDocument(attachment, req.user.pineconeId);
         }
+        await this.removeDocument(version, req.user.pineconeId);
       }
 
-      // Delete from database
-      await document.delete();
-
       res.json({
         success: true,
         message: 'Document deleted successfully'
@@ -986,6 +1311,147 @@ class DocumentController {
     }
   }
 
+  /**
+   * Delete a document's file, its chunks from both search indexes and its database record
+   */
+  async removeDocument(document, pineconeId) {
+    // Delete file from filesystem
+    try {
+      if (fs.existsSync(document.filePath)) {
+        fs.unlinkSync(document.filePath);
+      }
+    } catch (error) {
+      console.error('Failed to delete file:', error);
+    }
+
+    // Delete every chunk in the document's manifest from the keyword index and vector store
+    try {
+      await documentChunkService.removeChunks(document, pineconeId);
+    } catch (error) {
+      console.error('Failed to delete from search indexes:', error);
+    }
+
+    // Delete from database
+    await document.delete();
+  }
+
+  /**
+   * List the versions of a document, oldest first
+   * GET /api/documents/:id/versions
+   */
+  async getDocumentVersions(req, res) {
+    try {
+      const document = await Document.findById(req.params.id);
+
+      if (!document) {
+        return res.status(404).json({
+          success: false,
+          error: 'Document not found'
+        });
+      }
+
+      if (document.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      const versions = await Document.findVersions(document.versionGroupId);
+
+      res.json({
+        success: true,
+        data: {
+          versionGroupId: document.versionGroupId,
+          versions: versions.map(version => version.toJSON()),
+          count: versions.length
+        }
+      });
+    } catch (error) {
+      console.error('Get document versions error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve document versions'
+      });
+    }
+  }
+
+  /**
+   * Report vectors in the user's vector store that no document owns, and documents
+   * whose chunks have no vectors
+   * GET /api/documents/consistency
+   */
+  async checkConsistency(req, res) {
+    try {
+      const report = await documentChunkService.checkConsistency(req.user);
+
+      res.json({
+        success: true,
+        data: {
+          ...report,
+          consistent: report.orphanedVectors.length === 0 && report.documentsWithoutVectors.length === 0
+        }
+      });
+    } catch (error) {
+      console.error('Consistency check error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to check search index consistency'
+      });
+    }
+  }
+
+  /**
+   * Replace a document's tags, used to scope chats to a group of documents
+   * PUT /api/documents/:id/tags
+   */
+  async updateDocumentTags(req, res) {
+    try {
+      const userId = req.user.id;
+      const documentId = req.params.id;
+      const { tags } = req.body;
+
+      if (!Array.isArray(tags) || !tags.every(tag => typeof tag === 'string')) {
+        return res.status(400).json({
+          success: false,
+          error: 'tags must be an array of strings'
+        });
+      }
+
+      const document = await Document.findById(documentId);
+
+      if (!document) {
+        return res.status(404).json({
+          success: false,
+          error: 'Document not found'
+        });
+      }
+
+      // Check if document belongs to user
+      if (document.userId !== userId) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      await document.updateTags([...new Set(tags.map(tag => tag.trim()).filter(Boolean))]);
+
+      res.json({
+        success: true,
+        data: {
+          document: document.toJSON()
+        }
+      });
+    } catch (error) {
+      console.error('Update document tags error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update document tags'
+      });
+    }
+  }
+
   async getDocumentContent(req, res) {
     try {
       const userId = req.user.id;
@@ -1,16 +1,38 @@
 const { Chat, ChatMessage } = require('../models/Chat');
 const User = require('../models/User');
-const chatService = require('../services/newChatService');
+const chatService = require('../services/chatService');
+const chatScopeService = require('../services/chatScopeService');
+const answerProfileService = require('../services/answerProfileService');
+const documentVersionService = require('../services/documentVersionService');
+const advancedDocumentService = require('../services/advancedDocumentService');
 
 class NewChatController {
+  constructor() {
+    // In-flight streamed responses keyed by `${userId}:${chatId}`, used for cancellation
+    this.activeStreams = new Map();
+  }
+
   async createChat(req, res) {
     try {
       const userId = req.user.id;
       const { title = 'New Chat' } = req.body;
 
+      const { strategy, error: strategyError } = chatService.parseStrategyRequest(req.body.strategy);
+      const { scope, error: scopeError } = chatScopeService.parseScopeRequest(req.body.scope);
+      const { answerProfile, error: answerProfileError } = answerProfileService.parseAnswerProfileRequest(req.body.answerProfile);
+      if (strategyError || scopeError || answerProfileError) {
+        return res.status(400).json({
+          success: false,
+          error: strategyError || scopeError || answerProfileError
+        });
+      }
+
       const chat = await Chat.create({
         userId: userId,
-        title: title
+        title: title,
+        strategy: strategy,
+        scope: scope,
+        answerProfile: answerProfile
       });
 
       res.status(201).json({
@@ -44,6 +66,20 @@ class NewChatController {
     }
   }
 
+  /**
+   * Answer profiles a chat can use, and the user's default
+   * GET /api/chat/answer-profiles
+   */
+  async getAnswerProfiles(req, res) {
+    res.json({
+      success: true,
+      data: {
+        profiles: answerProfileService.list(),
+        defaultProfile: answerProfileService.resolve(req.user.answerProfile)
+      }
+    });
+  }
+
   async getChatMessages(req, res) {
     try {
       const userId = req.user.id;
@@ -75,75 +111,114 @@ class NewChatController {
     }
   }
 
-  async sendMessage(req, res) {
-    try {
-      const userId = req.user.id;
-      const chatId = req.params.chatId;
-      const { message } = req.body;
+  /**
+   * Validate a message request and load the chat and user it is for
+   * @returns {Promise<Object>} { chat, user, message, retrieval, strategy }, or { status, error } when refused
+   */
+  async loadMessageRequest(req) {
+    const userId = req.user.id;
+    const { message, mode, weights } = req.body;
 
-      if (!message?.trim()) {
-        return res.status(400).json({
-          success: false,
-          error: 'Message is required'
-        });
-      }
-
-      // Verify chat belongs to user
-      const chat = await Chat.findById(chatId);
-      if (!chat || chat.userId !== userId) {
-        return res.status(404).json({
-          success: false,
-          error: 'Chat not found'
-        });
-      }
+    if (!message?.trim()) {
+      return { status: 400, error: 'Message is required' };
+    }
 
-      // Get user's Pinecone ID
-      const user = await User.findById(userId);
-      if (!user?.pineconeId) {
-        return res.status(400).json({
-          success: false,
-          error: 'User documents not found'
-        });
-      }
+    const { retrieval, error: retrievalError } = advancedDocumentService.parseRetrievalRequest({ mode, weights });
+    const { strategy, error: strategyError } = chatService.parseStrategyRequest(req.body.strategy);
+    if (retrievalError || strategyError) {
+      return { status: 400, error: retrievalError || strategyError };
+    }
 
-      // Get chat history for context
-      const existingMessages = await ChatMessage.findByChatId(chatId);
-      const chatHistory = existingMessages.map(msg => ({
-        role: msg.role,
-        content: msg.content
-      }));
+    // Verify chat belongs to user
+    const chat = await Chat.findById(req.params.chatId);
+    if (!chat || chat.userId !== userId) {
+      return { status: 404, error: 'Chat not found' };
+    }
 
-      // Save user message
-      const userMessage = await ChatMessage.create({
-        chatId: chatId,
-        role: 'user',
-        content: message.trim()
-      });
+    // Get user's Pinecone ID
+    const user = await User.findById(userId);
+    if (!user?.pineconeId) {
+      return { status: 400, error: 'User documents not found' };
+    }
 
-      console.log(`💬 User ${userId} asked: "${message}"`);
+    return { chat, user, message: message.trim(), retrieval, strategy };
+  }
 
-      // Get AI response
-      const aiResponse = await chatService.chat(
-        user.pineconeId,
-        message.trim(),
-        chatHistory
-      );
+  /**
+   * Answer a message and save both sides of the exchange. Shared by the JSON and
+   * streaming endpoints, which differ only in how the answer is generated.
+   * @param {Object} request - Loaded request (see loadMessageRequest)
+   * @param {Function} generate - (chatHistory, options, userMessage) => Promise of the chat service response
+   * @returns {Promise<Object>} { userMessage, assistantMessage, aiResponse }
+   */
+  async answerMessage({ chat, user, message, retrieval, strategy }, generate) {
+    // Get chat history for context
+    const existingMessages = await ChatMessage.findByChatId(chat.id);
+    const chatHistory = existingMessages.map(msg => ({
+      role: msg.role,
+      content: msg.content
+    }));
+
+    // Restrict retrieval to the documents the chat is scoped to
+    const scope = await chatScopeService.resolveScope(user.id, chat.scope);
+    // "What changed between versions 1 and 2" compares two versions of a document
+    const versionComparison = await documentVersionService.resolveComparison(user.id, message, scope.documents);
+
+    // Save user message
+    const userMessage = await ChatMessage.create({
+      chatId: chat.id,
+      role: 'user',
+      content: message
+    });
+
+    // A per-message strategy overrides the chat's default
+    const aiResponse = await generate(chatHistory, {
+      retrieval,
+      strategy: strategy || chat.strategy,
+      scope,
+      answerProfile: answerProfileService.resolve(chat.answerProfile, user.answerProfile),
+      versionComparison
+    }, userMessage);
+
+    // Save AI response
+    const assistantMessage = await ChatMessage.create({
+      chatId: chat.id,
+      role: 'assistant',
+      content: aiResponse.response,
+      sources: aiResponse.sources || [],
+      status: aiResponse.interrupted ? 'interrupted' : 'complete',
+      strategy: aiResponse.strategy?.name,
+      strategyParams: aiResponse.strategy?.params,
+      queryRewrite: aiResponse.queryRewrite,
+      grounding: aiResponse.grounding
+    });
+
+    // Update chat title if this is the first message
+    if (existingMessages.length === 0 && !aiResponse.interrupted) {
+      const title = await chatService.generateTitle(message, aiResponse.response);
+      await chat.updateTitle(title);
+    }
 
-      // Save AI response
-      const assistantMessage = await ChatMessage.create({
-        chatId: chatId,
-        role: 'assistant',
-        content: aiResponse.response,
-        sources: JSON.stringify(aiResponse.sources || [])
-      });
+    return { userMessage, assistantMessage, aiResponse };
+  }
 
-      // Update chat title if this is the first message
-      if (existingMessages.length === 0) {
-        const title = await chatService.generateTitle(message, aiResponse.response);
-        await chat.updateTitle(title);
+  async sendMessage(req, res) {
+    try {
+      const request = await this.loadMessageRequest(req);
+      if (request.error) {
+        return res.status(request.status).json({
+          success: false,
+          error: request.error
+        });
       }
 
-      console.log(`✅ Response generated with ${aiResponse.totalSources} sources`);
+      console.log(`💬 User ${req.user.id} asked: "${request.message}"`);
+
+      const { userMessage, assistantMessage, aiResponse } = await this.answerMessage(request, (chatHistory, options) =>
+        chatService.chatWithDocuments(request.user.pineconeId, request.message, chatHistory, options)
+      );
+
+      console.log(`✅ Response generated with ${aiResponse.totalSources || 0} sources (strategy: ${aiResponse.strategy?.name || 'none'})`);
 
       res.json({
         success: true,
@@ -152,7 +227,10 @@ class NewChatController {
           assistantMessage: assistantMessage.toJSON(),
           sources: aiResponse.sources,
           hasContext: aiResponse.hasContext,
-          totalSources: aiResponse.totalSources
+          totalSources: aiResponse.totalSources || 0,
+          strategy: aiResponse.strategy || null,
+          answerProfile: aiResponse.answerProfile || null,
+          grounding: aiResponse.grounding || null
         }
       });
 
@@ -165,6 +243,137 @@ class NewChatController {
     }
   }
 
+  /**
+   * Stream an answer over Server-Sent Events.
+   * Events: `sources` (retrieval results and the saved user message), `token` (answer
+   * deltas), then `done` with the persisted assistant message and formatted citations,
+   * or `error`. Cancelled or disconnected streams are saved as interrupted. A finished
+   * answer is followed by `grounding` once its claims have been checked; the chat is
+   * released at `done`, so it does not hold up the next message.
+   */
+  async streamMessage(req, res) {
+    let streamKey = null;
+
+    const sendEvent = (eventType, data) => {
+      if (res.writableEnded || res.destroyed) {
+        return;
+      }
+      res.write(`event: ${eventType}\n`);
+      res.write(`data: ${JSON.stringify(data)}\n\n`);
+    };
+
+    try {
+      const request = await this.loadMessageRequest(req);
+      if (request.error) {
+        return res.status(request.status).json({
+          success: false,
+          error: request.error
+        });
+      }
+
+      const key = `${req.user.id}:${req.params.chatId}`;
+      if (this.activeStreams.has(key)) {
+        return res.status(409).json({
+          success: false,
+          error: 'A response is already being generated for this chat'
+        });
+      }
+
+      // Claim the chat before anything is awaited, so a second request sees it at once
+      const abortController = new AbortController();
+      this.activeStreams.set(key, abortController);
+      streamKey = key;
+
+      // Stop generating if the client goes away; the partial answer is still saved
+      res.on('close', () => {
+        if (!res.writableEnded) {
+          abortController.abort();
+        }
+      });
+
+      console.log(`💬 User ${req.user.id} asked (streaming): "${request.message}"`);
+
+      const { assistantMessage, aiResponse } = await this.answerMessage(request, (chatHistory, options, userMessage) => {
+        res.writeHead(200, {
+          'Content-Type': 'text/event-stream',
+          'Cache-Control': 'no-cache',
+          'Connection': 'keep-alive',
+          'X-Accel-Buffering': 'no'
+        });
+
+        return chatService.streamChatWithDocuments(request.user.pineconeId, request.message, chatHistory, {
+          ...options,
+          signal: abortController.signal,
+          onSources: (data) => sendEvent('sources', { userMessage: userMessage.toJSON(), ...data }),
+          onToken: (delta) => sendEvent('token', { delta })
+        });
+      });
+
+      console.log(`✅ Streamed response ${aiResponse.interrupted ? 'interrupted' : 'completed'} with ${aiResponse.totalSources || 0} sources`);
+
+      sendEvent('done', {
+        assistantMessage: assistantMessage.toJSON(),
+        citations: aiResponse.citations || null,
+        sources: aiResponse.sources || [],
+        hasContext: aiResponse.hasContext,
+        totalSources: aiResponse.totalSources || 0,
+        strategy: aiResponse.strategy || null,
+        answerProfile: aiResponse.answerProfile || null,
+        interrupted: !!aiResponse.interrupted
+      });
+
+      this.activeStreams.delete(streamKey);
+      streamKey = null;
+
+      // The answer is already delivered, so a failed check is only logged
+      if (aiResponse.pendingGrounding) {
+        try {
+          const grounding = await aiResponse.pendingGrounding;
+          await assistantMessage.updateGrounding(grounding);
+          sendEvent('grounding', { messageId: assistantMessage.id, grounding });
+        } catch (error) {
+          console.error('Save grounding error:', error);
+        }
+      }
+    } catch (error) {
+      console.error('Stream message error:', error);
+      if (res.headersSent) {
+        sendEvent('error', { error: error.message || 'Failed to generate response' });
+      } else {
+        res.status(500).json({
+          success: false,
+          error: error.message || 'Failed to send message'
+        });
+      }
+    } finally {
+      if (streamKey) {
+        this.activeStreams.delete(streamKey);
+      }
+      if (res.headersSent && !res.writableEnded) {
+        res.end();
+      }
+    }
+  }
+
+  async cancelStream(req, res) {
+    const streamKey = `${req.user.id}:${req.params.chatId}`;
+    const abortController = this.activeStreams.get(streamKey);
+
+    if (!abortController) {
+      return res.status(404).json({
+        success: false,
+        error: 'No response is being generated for this chat'
+      });
+    }
+
+    abortController.abort();
+
+    res.json({
+      success: true,
+      message: 'Response cancelled'
+    });
+  }
+
   async deleteChat(req, res) {
     try {
       const userId = req.user.id;
@@ -228,6 +437,126 @@ class NewChatController {
       });
     }
   }
+
+  async updateChatStrategy(req, res) {
+    try {
+      const userId = req.user.id;
+      const chatId = req.params.chatId;
+
+      const { strategy, error: strategyError } = chatService.parseStrategyRequest(req.body.strategy);
+      if (!strategy || strategyError) {
+        return res.status(400).json({
+          success: false,
+          error: strategyError || 'Strategy is required'
+        });
+      }
+
+      const chat = await Chat.findById(chatId);
+      if (!chat || chat.userId !== userId) {
+        return res.status(404).json({
+          success: false,
+          error: 'Chat not found'
+        });
+      }
+
+      await chat.updateStrategy(strategy);
+
+      res.json({
+        success: true,
+        data: { chat: chat.toJSON() }
+      });
+    } catch (error) {
+      console.error('Update chat strategy error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update chat strategy'
+      });
+    }
+  }
+
+  /**
+   * Change which documents a chat searches. A null or empty scope resets it to all documents.
+   * PUT /api/chat/:chatId/scope
+   */
+  async updateChatScope(req, res) {
+    try {
+      const userId = req.user.id;
+      const chatId = req.params.chatId;
+
+      const { scope, error: scopeError } = chatScopeService.parseScopeRequest(req.body.scope);
+      if (scopeError) {
+        return res.status(400).json({
+          success: false,
+          error: scopeError
+        });
+      }
+
+      const chat = await Chat.findById(chatId);
+      if (!chat || chat.userId !== userId) {
+        return res.status(404).json({
+          success: false,
+          error: 'Chat not found'
+        });
+      }
+
+      await chat.updateScope(scope);
+      const { documents } = await chatScopeService.resolveScope(userId, scope);
+
+      res.json({
+        success: true,
+        data: {
+          chat: chat.toJSON(),
+          documents: documents
+        }
+      });
+    } catch (error) {
+      console.error('Update chat scope error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update chat scope'
+      });
+    }
+  }
+
+  /**
+   * Change how a chat's answers are laid out. A null profile falls back to the user's default.
+   * PUT /api/chat/:chatId/answer-profile
+   */
+  async updateChatAnswerProfile(req, res) {
+    try {
+      const userId = req.user.id;
+      const chatId = req.params.chatId;
+
+      const { answerProfile, error: answerProfileError } = answerProfileService.parseAnswerProfileRequest(req.body.answerProfile);
+      if (answerProfileError) {
+        return res.status(400).json({
+          success: false,
+          error: answerProfileError
+        });
+      }
+
+      const chat = await Chat.findById(chatId);
+      if (!chat || chat.userId !== userId) {
+        return res.status(404).json({
+          success: false,
+          error: 'Chat not found'
+        });
+      }
+
+      await chat.updateAnswerProfile(answerProfile);
+
+      res.json({
+        success: true,
+        data: { chat: chat.toJSON() }
+      });
+    } catch (error) {
+      console.error('Update chat answer profile error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update chat answer profile'
+      });
+    }
+  }
 }
 
 const newChatController = new NewChatController();
@@ -1,4 +1,5 @@
 const User = require('../models/User');
+const answerProfileService = require('../services/answerProfileService');
 const activityService = require('../services/activityService');
 const path = require('path');
 const fs = require('fs').promises;
@@ -37,6 +38,15 @@ class ProfileController {
       const { firstName, lastName, email, displayName, bio, timezone } = req.body;
       const user = req.user; // Get the user object directly from auth middleware
 
+      // Default answer profile for chats that don't choose their own
+      const { answerProfile, error: answerProfileError } = answerProfileService.parseAnswerProfileRequest(req.body.answerProfile);
+      if (answerProfileError) {
+        return res.status(400).json({
+          success: false,
+          error: answerProfileError
+        });
+      }
+
       // Validate required fields
       if (firstName !== undefined && (!firstName || firstName.trim().length === 0)) {
         return res.status(400).json({
@@ -97,7 +107,14 @@ class ProfileController {
       if (timezone !== undefined) updateData.timezone = timezone;
 
       // Update user directly using the user object
-      const updatedUser = await user.updateProfile(updateData);
+      let updatedUser = Object.keys(updateData).length > 0 || !answerProfile
+        ? await user.updateProfile(updateData)
+        : user;
+
+      if (updatedUser && answerProfile) {
+        updatedUser = await updatedUser.updateAnswerProfile(answerProfile);
+        updateData.answerProfile = answerProfile;
+      }
 
       if (!updatedUser) {
         return res.status(404).json({
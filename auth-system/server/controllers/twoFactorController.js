@@ -0,0 +1,210 @@
+const User = require('../models/User');
+const Session = require('../models/Session');
+const twoFactorService = require('../services/twoFactorService');
+
+const invalidCode = (res) => res.status(400).json({
+  success: false,
+  error: 'Invalid authentication code - please enter the current code from your authenticator app',
+  code: 'INVALID_TWO_FACTOR_CODE',
+  details: {
+    field: 'code',
+    suggestion: 'Check that the time on your device is correct'
+  }
+});
+
+class TwoFactorController {
+  /**
+   * GET /api/auth/2fa
+   */
+  async getStatus(req, res) {
+    try {
+      res.json({
+        success: true,
+        data: await twoFactorService.getStatus(req.user)
+      });
+    } catch (error) {
+      console.error('Get two-factor status error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get two-factor authentication status'
+      });
+    }
+  }
+
+  /**
+   * Start enrollment: returns the secret and otpauth URI for the authenticator app
+   * POST /api/auth/2fa/setup
+   */
+  async setup(req, res) {
+    try {
+      if (req.user.twoFactorEnabled) {
+        return res.status(409).json({
+          success: false,
+          error: 'Two-factor authentication is already on - turn it off first to use a new authenticator',
+          code: 'TWO_FACTOR_ALREADY_ENABLED'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: await twoFactorService.beginEnrollment(req.user)
+      });
+    } catch (error) {
+      console.error('Two-factor setup error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to start two-factor authentication setup'
+      });
+    }
+  }
+
+  /**
+   * Finish enrollment with a code; returns the recovery codes, shown once
+   * POST /api/auth/2fa/confirm
+   */
+  async confirm(req, res) {
+    try {
+      const user = req.user;
+      if (user.twoFactorEnabled || !user.twoFactorSecret) {
+        return res.status(409).json({
+          success: false,
+          error: user.twoFactorEnabled
+            ? 'Two-factor authentication is already on'
+            : 'Start two-factor authentication setup first',
+          code: user.twoFactorEnabled ? 'TWO_FACTOR_ALREADY_ENABLED' : 'TWO_FACTOR_SETUP_REQUIRED'
+        });
+      }
+
+      const recoveryCodes = await twoFactorService.confirmEnrollment(user, req.body.code);
+      if (!recoveryCodes) {
+        return invalidCode(res);
+      }
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication is on. Store your recovery codes somewhere safe',
+        data: { recoveryCodes }
+      });
+    } catch (error) {
+      console.error('Two-factor confirmation error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to turn on two-factor authentication'
+      });
+    }
+  }
+
+  /**
+   * Replace the recovery codes, with a current code
+   * POST /api/auth/2fa/recovery-codes
+   */
+  async regenerateRecoveryCodes(req, res) {
+    try {
+      const user = req.user;
+      if (!user.twoFactorEnabled) {
+        return res.status(409).json({
+          success: false,
+          error: 'Two-factor authentication is off',
+          code: 'TWO_FACTOR_NOT_ENABLED'
+        });
+      }
+
+      if (!(await twoFactorService.verifyCode(user, req.body.code))) {
+        return invalidCode(res);
+      }
+
+      res.json({
+        success: true,
+        message: 'New recovery codes created - the old ones no longer work',
+        data: { recoveryCodes: await twoFactorService.regenerateRecoveryCodes(user) }
+      });
+    } catch (error) {
+      console.error('Recovery code regeneration error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create new recovery codes'
+      });
+    }
+  }
+
+  /**
+   * Turn two-factor authentication off, with the password and a current or recovery code
+   * POST /api/auth/2fa/disable
+   */
+  async disable(req, res) {
+    try {
+      const user = req.user;
+      const { password, code, recoveryCode } = req.body;
+
+      if (!user.twoFactorEnabled) {
+        return res.status(409).json({
+          success: false,
+          error: 'Two-factor authentication is off',
+          code: 'TWO_FACTOR_NOT_ENABLED'
+        });
+      }
+
+      if (!password || !(await user.validatePassword(password))) {
+        return res.status(401).json({
+          success: false,
+          error: 'Incorrect password - please check your password and try again',
+          code: 'INCORRECT_PASSWORD',
+          details: {
+            field: 'password'
+          }
+        });
+      }
+
+      if (!(await twoFactorService.verifySecondFactor(user, { code, recoveryCode })).valid) {
+        return invalidCode(res);
+      }
+
+      await twoFactorService.disable(user);
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication is off'
+      });
+    } catch (error) {
+      console.error('Two-factor disable error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to turn off two-factor authentication'
+      });
+    }
+  }
+
+  /**
+   * Administrator reset for a user who lost their authenticator and recovery codes:
+   * turns two-factor authentication off and signs the user out everywhere
+   * POST /api/admin/users/:userId/2fa/reset
+   */
+  async resetForUser(req, res) {
+    try {
+      const user = await User.findById(req.params.userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found'
+        });
+      }
+
+      await twoFactorService.disable(user);
+      await Session.deleteByUserId(user.id);
+      console.log(`🔐 Two-factor authentication reset for user ${user.id} by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication was reset - the user can sign in with their password and set it up again'
+      });
+    } catch (error) {
+      console.error('Two-factor reset error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to reset two-factor authentication'
+      });
+    }
+  }
+}
+
+module.exports = new TwoFactorController();
@@ -1,9 +1,81 @@
 const jwt = require('jsonwebtoken');
+const rateLimit = require('express-rate-limit');
 const User = require('../models/User');
+const emailVerificationService = require('../services/emailVerificationService');
+const apiKeyService = require('../services/apiKeyService');
+const sessionService = require('../services/sessionService');
+
+// Each API key has its own requests-per-minute limit
+const apiKeyRateLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  limit: (req) => req.apiKey.rateLimitPerMinute,
+  keyGenerator: (req) => `api-key:${req.apiKey.id}`,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    error: 'Too many requests with this API key - please slow down',
+    code: 'API_KEY_RATE_LIMITED'
+  }
+});
+
+// Routes that accept API keys declare the scope a key needs; put it before authenticateToken
+const allowApiKey = (scope) => (req, res, next) => {
+  req.apiKeyScope = scope;
+  next();
+};
+
+const authenticateApiKey = async (req, res, next, key) => {
+  if (!req.apiKeyScope) {
+    return res.status(403).json({
+      success: false,
+      error: 'API keys cannot be used for this endpoint - please sign in instead',
+      code: 'API_KEY_NOT_ALLOWED'
+    });
+  }
+
+  const result = await apiKeyService.authenticate(key);
+  if (!result) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid API key - it may have been revoked or expired',
+      code: 'INVALID_API_KEY'
+    });
+  }
+
+  if (!result.apiKey.scopes.includes(req.apiKeyScope)) {
+    return res.status(403).json({
+      success: false,
+      error: `This API key does not have the ${req.apiKeyScope} scope`,
+      code: 'INSUFFICIENT_API_KEY_SCOPE',
+      details: {
+        requiredScope: req.apiKeyScope,
+        suggestion: 'Create a key with this scope from your profile settings'
+      }
+    });
+  }
+
+  req.user = result.user;
+  req.apiKey = result.apiKey;
+  apiKeyRateLimiter(req, res, next);
+};
 
 const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+  const apiKey = req.headers['x-api-key'] || (apiKeyService.isApiKey(token) ? token : null);
+
+  if (apiKey) {
+    try {
+      return await authenticateApiKey(req, res, next, apiKey);
+    } catch (error) {
+      console.error('API key authentication error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Authentication error'
+      });
+    }
+  }
 
   if (!token) {
     return res.status(401).json({
@@ -14,6 +86,23 @@ const authenticateToken = async (req, res, next) => {
 
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Access tokens carry no type; refresh tokens and two-factor challenges are not accepted here
+    if (decoded.type) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid token'
+      });
+    }
+
+    // Tokens of a revoked session stop working before they expire
+    if (decoded.sid && !(await sessionService.isActive(decoded.sid))) {
+      return res.status(401).json({
+        success: false,
+        error: 'Session ended - please sign in again',
+        code: 'SESSION_REVOKED'
+      });
+    }
+
     const user = await User.findById(decoded.userId);
     
     if (!user) {
@@ -24,6 +113,7 @@ const authenticateToken = async (req, res, next) => {
     }
 
     req.user = user;
+    req.sessionId = decoded.sid || null;
     next();
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
@@ -57,8 +147,9 @@ const optionalAuth = async (req, res, next) => {
 
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId);
-    req.user = user;
+    const active = !decoded.type && (!decoded.sid || await sessionService.isActive(decoded.sid));
+    req.user = active ? await User.findById(decoded.userId) : null;
+    req.sessionId = active ? decoded.sid || null : null;
   } catch (error) {
     req.user = null;
   }
@@ -66,7 +157,25 @@ const optionalAuth = async (req, res, next) => {
   next();
 };
 
+// Keeps unverified accounts from a feature when the email verification policy restricts it
+const requireVerifiedEmail = (feature) => (req, res, next) => {
+  if (req.user && !req.user.emailVerified && emailVerificationService.isRestricted(feature)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Please verify your email address first - check your inbox for the verification link',
+      code: 'EMAIL_NOT_VERIFIED',
+      details: {
+        suggestion: 'Request a new verification email if the link expired'
+      }
+    });
+  }
+
+  next();
+};
+
 module.exports = {
   authenticateToken,
-  optionalAuth
+  optionalAuth,
+  allowApiKey,
+  requireVerifiedEmail
 };
\ No newline at end of file
@@ -3,6 +3,7 @@
  */
 
 const { isValidEmail, normalizeEmail, isDisposableEmail } = require('../utils/emailUtils');
+const ConfigurationManager = require('../services/ConfigurationManager');
 
 class ValidationMiddleware {
   /**
@@ -256,6 +257,108 @@ class ValidationMiddleware {
     next();
   }
 
+  /**
+   * Validate the second sign-in step: the challenge from login and a code or recovery code
+   */
+  static validateTwoFactorLogin(req, res, next) {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || typeof challengeToken !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Sign in challenge is required - please enter your email and password first',
+        code: 'MISSING_TWO_FACTOR_CHALLENGE'
+      });
+    }
+
+    if (!code && !recoveryCode) {
+      return res.status(400).json({
+        success: false,
+        error: 'Authentication code is required - please enter the code from your authenticator app',
+        code: 'MISSING_TWO_FACTOR_CODE',
+        details: {
+          field: 'code',
+          suggestion: 'Enter the 6-digit code, or one of your recovery codes'
+        }
+      });
+    }
+
+    next();
+  }
+
+  /**
+   * Validate API key creation: a name, known scopes, and optional expiry and rate limit
+   */
+  static validateApiKeyCreation(req, res, next) {
+    const { name, scopes, expiresInDays, rateLimitPerMinute } = req.body;
+    const config = ConfigurationManager.getServiceConfig('apiKeys');
+    const errors = [];
+
+    if (!name || typeof name !== 'string' || name.trim().length === 0) {
+      errors.push({
+        field: 'name',
+        message: 'Key name is required - name it after the script that uses it',
+        code: 'FIELD_REQUIRED'
+      });
+    } else if (name.trim().length > 100) {
+      errors.push({
+        field: 'name',
+        message: 'Key name must be 100 characters or fewer',
+        code: 'NAME_TOO_LONG'
+      });
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      errors.push({
+        field: 'scopes',
+        message: `Choose at least one scope: ${config.scopes.join(', ')}`,
+        code: 'FIELD_REQUIRED'
+      });
+    } else if (scopes.some(scope => !config.scopes.includes(scope))) {
+      errors.push({
+        field: 'scopes',
+        message: `Unknown scope - use ${config.scopes.join(', ')}`,
+        code: 'INVALID_SCOPE'
+      });
+    }
+
+    if (expiresInDays !== undefined && expiresInDays !== null &&
+        (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > config.maxExpiresInDays)) {
+      errors.push({
+        field: 'expiresInDays',
+        message: `Expiry must be between 1 and ${config.maxExpiresInDays} days`,
+        code: 'INVALID_EXPIRY'
+      });
+    }
+
+    if (rateLimitPerMinute !== undefined && rateLimitPerMinute !== null &&
+        (!Number.isInteger(rateLimitPerMinute) || rateLimitPerMinute < 1 || rateLimitPerMinute > config.maxRateLimitPerMinute)) {
+      errors.push({
+        field: 'rateLimitPerMinute',
+        message: `Rate limit must be between 1 and ${config.maxRateLimitPerMinute} requests per minute`,
+        code: 'INVALID_RATE_LIMIT'
+      });
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please check your input and try again',
+        code: 'VALIDATION_FAILED',
+        details: errors
+      });
+    }
+
+    req.validatedData = {
+      name: name.trim(),
+      scopes: [...new Set(scopes)],
+      expiresInDays: expiresInDays || null,
+      rateLimitPerMinute: rateLimitPerMinute || null
+    };
+
+    next();
+  }
+
   /**
    * Analyze password strength
    */
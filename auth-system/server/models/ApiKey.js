@@ -0,0 +1,149 @@
+const database = require('../config/database');
+
+class ApiKey {
+  constructor(keyData) {
+    this.id = keyData.id;
+    this.userId = keyData.user_id;
+    this.name = keyData.name;
+    this.keyPrefix = keyData.key_prefix; // first characters of the key, to tell keys apart
+    this.keyHash = keyData.key_hash;
+    this.scopes = keyData.scopes ? JSON.parse(keyData.scopes) : [];
+    this.rateLimitPerMinute = keyData.rate_limit_per_minute;
+    this.expiresAt = keyData.expires_at;
+    this.lastUsedAt = keyData.last_used_at;
+    this.revokedAt = keyData.revoked_at;
+    this.createdAt = keyData.created_at;
+  }
+
+  static async create({ userId, name, keyPrefix, keyHash, scopes, rateLimitPerMinute, expiresAt = null }) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      const query = `
+        INSERT INTO api_keys (user_id, name, key_prefix, key_hash, scopes, rate_limit_per_minute, expires_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `;
+
+      const values = [userId, name, keyPrefix, keyHash, JSON.stringify(scopes), rateLimitPerMinute, expiresAt ? expiresAt.toISOString() : null];
+
+      db.run(query, values, function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          ApiKey.findById(this.lastID)
+            .then(apiKey => resolve(apiKey))
+            .catch(reject);
+        }
+      });
+    });
+  }
+
+  static async findById(id) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      const query = 'SELECT * FROM api_keys WHERE id = ?';
+
+      db.get(query, [id], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row ? new ApiKey(row) : null);
+        }
+      });
+    });
+  }
+
+  static async findByHash(keyHash) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      const query = 'SELECT * FROM api_keys WHERE key_hash = ?';
+
+      db.get(query, [keyHash], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row ? new ApiKey(row) : null);
+        }
+      });
+    });
+  }
+
+  static async findByUserId(userId) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      const query = 'SELECT * FROM api_keys WHERE user_id = ? ORDER BY created_at DESC, id DESC';
+
+      db.all(query, [userId], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows.map(row => new ApiKey(row)));
+        }
+      });
+    });
+  }
+
+  async revoke() {
+    const db = database.getDb();
+    const apiKey = this;
+
+    return new Promise((resolve, reject) => {
+      const query = 'UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL';
+
+      db.run(query, [apiKey.id], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          apiKey.revokedAt = apiKey.revokedAt || new Date().toISOString();
+          resolve(this.changes === 1);
+        }
+      });
+    });
+  }
+
+  async recordUse() {
+    const db = database.getDb();
+    const apiKey = this;
+
+    return new Promise((resolve, reject) => {
+      const lastUsedAt = new Date().toISOString();
+
+      db.run('UPDATE api_keys SET last_used_at = ? WHERE id = ?', [lastUsedAt, apiKey.id], (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          apiKey.lastUsedAt = lastUsedAt;
+          resolve();
+        }
+      });
+    });
+  }
+
+  isExpired() {
+    return Boolean(this.expiresAt) && new Date() > new Date(this.expiresAt);
+  }
+
+  isActive() {
+    return !this.revokedAt && !this.isExpired();
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      keyPrefix: this.keyPrefix,
+      scopes: this.scopes,
+      rateLimitPerMinute: this.rateLimitPerMinute,
+      expiresAt: this.expiresAt,
+      lastUsedAt: this.lastUsedAt,
+      revokedAt: this.revokedAt,
+      createdAt: this.createdAt,
+      status: this.revokedAt ? 'revoked' : this.isExpired() ? 'expired' : 'active'
+    };
+  }
+}
+
+module.exports = ApiKey;
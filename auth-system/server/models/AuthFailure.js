@@ -0,0 +1,149 @@
+const database = require('../config/database');
+
+class AuthFailure {
+  constructor(failureData) {
+    this.id = failureData.id;
+    this.action = failureData.action; // 'login', 'password-reset' or 'reset-token'
+    this.subjectType = failureData.subject_type; // 'account' or 'ip'
+    this.subject = failureData.subject; // normalized email or IP address
+    this.failureCount = failureData.failure_count;
+    this.lastFailedAt = failureData.last_failed_at;
+    this.lockedUntil = failureData.locked_until;
+    this.unlockTokenHash = failureData.unlock_token_hash;
+    this.createdAt = failureData.created_at;
+  }
+
+  static async find(action, subjectType, subject) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      const query = 'SELECT * FROM auth_failures WHERE action = ? AND subject_type = ? AND subject = ?';
+
+      db.get(query, [action, subjectType, subject], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row ? new AuthFailure(row) : null);
+        }
+      });
+    });
+  }
+
+  static async findByUnlockTokenHash(unlockTokenHash) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      const query = 'SELECT * FROM auth_failures WHERE unlock_token_hash = ?';
+
+      db.get(query, [unlockTokenHash], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row ? new AuthFailure(row) : null);
+        }
+      });
+    });
+  }
+
+  /**
+   * Count a failure; the count starts over when the previous failure is older than windowStart
+   * @returns {Promise<AuthFailure>} Updated counter
+   */
+  static async recordFailure(action, subjectType, subject, failedAt, windowStart) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      const query = `
+        INSERT INTO auth_failures (action, subject_type, subject, failure_count, last_failed_at)
+        VALUES (?, ?, ?, 1, ?)
+        ON CONFLICT (action, subject_type, subject) DO UPDATE SET
+          failure_count = CASE WHEN last_failed_at IS NULL OR last_failed_at < ? THEN 1 ELSE failure_count + 1 END,
+          last_failed_at = excluded.last_failed_at
+      `;
+
+      db.run(query, [action, subjectType, subject, failedAt.toISOString(), windowStart.toISOString()], (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          AuthFailure.find(action, subjectType, subject)
+            .then(failure => resolve(failure))
+            .catch(reject);
+        }
+      });
+    });
+  }
+
+  static async clear(action, subjectType, subject) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      const query = 'DELETE FROM auth_failures WHERE action = ? AND subject_type = ? AND subject = ?';
+
+      db.run(query, [action, subjectType, subject], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      });
+    });
+  }
+
+  // Remove counters with no failure since `before` and no lock in force
+  static async cleanupStale(before) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      const query = `
+        DELETE FROM auth_failures
+        WHERE last_failed_at < ? AND (locked_until IS NULL OR locked_until < ?)
+      `;
+
+      db.run(query, [before.toISOString(), new Date().toISOString()], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  }
+
+  /**
+   * Lock until the given time; the count starts over for when the lock ends
+   * @param {Date} lockedUntil - End of the lockout
+   * @param {string|null} unlockTokenHash - Hash of the token in the unlock email
+   */
+  async lock(lockedUntil, unlockTokenHash = null) {
+    const db = database.getDb();
+    const failure = this;
+
+    return new Promise((resolve, reject) => {
+      const query = 'UPDATE auth_failures SET failure_count = 0, locked_until = ?, unlock_token_hash = ? WHERE id = ?';
+
+      db.run(query, [lockedUntil.toISOString(), unlockTokenHash, failure.id], (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          Object.assign(failure, { failureCount: 0, lockedUntil: lockedUntil.toISOString(), unlockTokenHash });
+          resolve();
+        }
+      });
+    });
+  }
+
+  async delete() {
+    return AuthFailure.clear(this.action, this.subjectType, this.subject);
+  }
+
+  // Times in milliseconds, 0 when unset
+  getLastFailedAt() {
+    return this.lastFailedAt ? new Date(this.lastFailedAt).getTime() : 0;
+  }
+
+  getLockedUntil() {
+    return this.lockedUntil ? new Date(this.lockedUntil).getTime() : 0;
+  }
+}
+
+module.exports = AuthFailure;
@@ -0,0 +1,87 @@
+const database = require('../config/database');
+
+// Audit entry recorded when an account or IP address is locked out
+class AuthLockout {
+  constructor(lockoutData) {
+    this.id = lockoutData.id;
+    this.action = lockoutData.action;
+    this.subjectType = lockoutData.subject_type;
+    this.subject = lockoutData.subject;
+    this.userId = lockoutData.user_id;
+    this.ipAddress = lockoutData.ip_address; // address of the attempt that caused the lockout
+    this.failureCount = lockoutData.failure_count;
+    this.lockedUntil = lockoutData.locked_until;
+    this.createdAt = lockoutData.created_at;
+  }
+
+  static async create({ action, subjectType, subject, userId = null, ipAddress = null, failureCount, lockedUntil }) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      const query = `
+        INSERT INTO auth_lockouts (action, subject_type, subject, user_id, ip_address, failure_count, locked_until)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `;
+
+      const values = [action, subjectType, subject, userId, ipAddress, failureCount, lockedUntil.toISOString()];
+
+      db.run(query, values, function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          AuthLockout.findById(this.lastID)
+            .then(lockout => resolve(lockout))
+            .catch(reject);
+        }
+      });
+    });
+  }
+
+  static async findById(id) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      const query = 'SELECT * FROM auth_lockouts WHERE id = ?';
+
+      db.get(query, [id], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row ? new AuthLockout(row) : null);
+        }
+      });
+    });
+  }
+
+  static async findRecent(limit = 50, offset = 0) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      const query = 'SELECT * FROM auth_lockouts ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?';
+
+      db.all(query, [limit, offset], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows.map(row => new AuthLockout(row)));
+        }
+      });
+    });
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      action: this.action,
+      subjectType: this.subjectType,
+      subject: this.subject,
+      userId: this.userId,
+      ipAddress: this.ipAddress,
+      failureCount: this.failureCount,
+      lockedUntil: this.lockedUntil,
+      createdAt: this.createdAt
+    };
+  }
+}
+
+module.exports = AuthLockout;
@@ -5,21 +5,24 @@ class Chat {
     this.id = chatData.id;
     this.userId = chatData.user_id;
     this.title = chatData.title;
+    this.strategy = chatData.strategy || 'auto'; // default retrieval strategy for new messages
+    this.scope = chatData.scope ? JSON.parse(chatData.scope) : null; // null means all documents
+    this.answerProfile = chatData.answer_profile || null; // null means the user's default profile
     this.createdAt = chatData.created_at;
     this.updatedAt = chatData.updated_at;
   }
 
   static async create(chatData) {
     const db = database.getDb();
-    const { userId, title } = chatData;
+    const { userId, title, strategy = 'auto', scope = null, answerProfile = null } = chatData;
 
     return new Promise((resolve, reject) => {
       const query = `
-        INSERT INTO chats (user_id, title)
-        VALUES (?, ?)
+        INSERT INTO chats (user_id, title, strategy, scope, answer_profile)
+        VALUES (?, ?, ?, ?, ?)
       `;
       
-      db.run(query, [userId, title], function(err) {
+      db.run(query, [userId, title, strategy, scope ? JSON.stringify(scope) : null, answerProfile], function(err) {
         if (err) {
           console.error('Chat creation error:', err);
           reject(err);
@@ -83,6 +86,57 @@ class Chat {
     });
   }
 
+  async updateStrategy(strategy) {
+    const db = database.getDb();
+    
+    return new Promise((resolve, reject) => {
+      const query = 'UPDATE chats SET strategy = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?';
+      
+      db.run(query, [strategy, this.id], (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          this.strategy = strategy;
+          resolve();
+        }
+      });
+    });
+  }
+
+  async updateScope(scope) {
+    const db = database.getDb();
+    
+    return new Promise((resolve, reject) => {
+      const query = 'UPDATE chats SET scope = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?';
+      
+      db.run(query, [scope ? JSON.stringify(scope) : null, this.id], (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          this.scope = scope;
+          resolve();
+        }
+      });
+    });
+  }
+
+  async updateAnswerProfile(answerProfile) {
+    const db = database.getDb();
+    
+    return new Promise((resolve, reject) => {
+      const query = 'UPDATE chats SET answer_profile = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?';
+      
+      db.run(query, [answerProfile, this.id], (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          this.answerProfile = answerProfile;
+          resolve();
+        }
+      });
+    });
+  }
+
   async delete() {
     const db = database.getDb();
     
@@ -104,6 +158,9 @@ class Chat {
       id: this.id,
       userId: this.userId,
       title: this.title,
+      strategy: this.strategy,
+      scope: this.scope,
+      answerProfile: this.answerProfile,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt
     };
@@ -117,20 +174,37 @@ class ChatMessage {
     this.role = messageData.role; // 'user' or 'assistant'
     this.content = messageData.content;
     this.sources = messageData.sources ? JSON.parse(messageData.sources) : [];
+    this.status = messageData.status || 'complete'; // 'complete' or 'interrupted'
+    this.strategy = messageData.strategy || null; // retrieval strategy used for assistant messages
+    this.strategyParams = messageData.strategy_params ? JSON.parse(messageData.strategy_params) : null;
+    this.queryRewrite = messageData.query_rewrite ? JSON.parse(messageData.query_rewrite) : null; // { original, rewritten, method }
+    this.grounding = messageData.grounding ? JSON.parse(messageData.grounding) : null; // claim-level support check
     this.createdAt = messageData.created_at;
   }
 
   static async create(messageData) {
     const db = database.getDb();
-    const { chatId, role, content, sources = [] } = messageData;
+    const { chatId, role, content, sources = [], status = 'complete', strategy = null, strategyParams = null, queryRewrite = null, grounding = null } = messageData;
 
     return new Promise((resolve, reject) => {
       const query = `
-        INSERT INTO chat_messages (chat_id, role, content, sources)
-        VALUES (?, ?, ?, ?)
+        INSERT INTO chat_messages (chat_id, role, content, sources, status, strategy, strategy_params, query_rewrite, grounding)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
       `;
       
-      db.run(query, [chatId, role, content, JSON.stringify(sources)], function(err) {
+      const params = [
+        chatId,
+        role,
+        content,
+        JSON.stringify(sources),
+        status,
+        strategy,
+        strategyParams ? JSON.stringify(strategyParams) : null,
+        queryRewrite ? JSON.stringify(queryRewrite) : null,
+        grounding ? JSON.stringify(grounding) : null
+      ];
+
+      db.run(query, params, function(err) {
         if (err) {
           console.error('Chat message creation error:', err);
           reject(err);
@@ -143,6 +217,23 @@ class ChatMessage {
     });
   }
 
+  async updateGrounding(grounding) {
+    const db = database.getDb();
+    
+    return new Promise((resolve, reject) => {
+      const query = 'UPDATE chat_messages SET grounding = ? WHERE id = ?';
+      
+      db.run(query, [grounding ? JSON.stringify(grounding) : null, this.id], (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          this.grounding = grounding;
+          resolve();
+        }
+      });
+    });
+  }
+
   static async findById(id) {
     const db = database.getDb();
     
@@ -185,6 +276,11 @@ class ChatMessage {
       role: this.role,
       content: this.content,
       sources: this.sources,
+      status: this.status,
+      strategy: this.strategy,
+      strategyParams: this.strategyParams,
+      queryRewrite: this.queryRewrite,
+      grounding: this.grounding,
       createdAt: this.createdAt
     };
   }
@@ -20,7 +20,25 @@ class Document {
     this.processingTime = documentData.processing_time || 0;
     this.embeddingModel = documentData.embedding_model || 'all-MiniLM-L6-v2';
     this.chunkSize = documentData.chunk_size || 2000;
-    this.chunkOverlap = documentData.chunk_overlap || 200;
+    this.chunkOverlap = documentData.chunk_overlap ?? 200; // Structured chunks have no overlap
+    this.chunkingStrategy = documentData.chunking_strategy || 'recursive';
+    this.tags = documentData.tags ? JSON.parse(documentData.tags) : [];
+    // Email attachments are stored as documents of their own, linked to the message
+    this.parentDocumentId = documentData.parent_document_id || null;
+    // Folder inside the uploaded ZIP archive, e.g. "contracts/2024"
+    this.folderPath = documentData.folder_path || null;
+    // Re-uploads are versions of the first upload; superseded versions are kept as history
+    this.version = documentData.version || 1;
+    this.versionGroupId = documentData.version_group_id || documentData.id;
+    this.supersededAt = documentData.superseded_at || null;
+    // Chunk manifest: search index id and SHA-256 of each chunk's text by chunk index. The
+    // ids remove every chunk of the document, the hashes let a new version re-embed only changed chunks
+    this.chunkIds = documentData.chunk_ids ? JSON.parse(documentData.chunk_ids) : [];
+    this.chunkHashes = documentData.chunk_hashes ? JSON.parse(documentData.chunk_hashes) : [];
+  }
+
+  get isLatestVersion() {
+    return !this.supersededAt;
   }
 
   static async create(documentData) {
@@ -40,7 +58,12 @@ class Document {
       processingTime = 0,
       embeddingModel = 'all-MiniLM-L6-v2',
       chunkSize = 2000,
-      chunkOverlap = 200
+      chunkOverlap = 200,
+      chunkingStrategy = 'recursive',
+      parentDocumentId = null,
+      folderPath = null,
+      version = 1,
+      versionGroupId = null
     } = documentData;
 
     return new Promise((resolve, reject) => {
@@ -48,9 +71,10 @@ class Document {
         INSERT INTO documents (
           user_id, pinecone_id, file_name, original_name, file_type, 
           file_size, file_path, extracted_text, vector_id, upload_status,
-          chunk_count, processing_time, embedding_model, chunk_size, chunk_overlap
+          chunk_count, processing_time, embedding_model, chunk_size, chunk_overlap,
+          chunking_strategy, parent_document_id, folder_path, version, version_group_id
         )
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `;
       
       const values = [
@@ -68,7 +92,12 @@ class Document {
         processingTime,
         embeddingModel,
         chunkSize,
-        chunkOverlap
+        chunkOverlap,
+        chunkingStrategy,
+        parentDocumentId,
+        folderPath,
+        version,
+        versionGroupId
       ];
 
       db.run(query, values, function(err) {
@@ -137,6 +166,98 @@ class Document {
     });
   }
 
+  static async findByParentId(parentDocumentId) {
+    const db = database.getDb();
+    
+    return new Promise((resolve, reject) => {
+      const query = 'SELECT * FROM documents WHERE parent_document_id = ? ORDER BY id';
+      
+      db.all(query, [parentDocumentId], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows.map(row => new Document(row)));
+        }
+      });
+    });
+  }
+
+  /**
+   * Latest version of an uploaded file, matched by name and archive folder. Email
+   * attachments are not versioned, and a failed upload is not a version to build on
+   */
+  static async findLatestVersion(userId, originalName, folderPath = null) {
+    const db = database.getDb();
+    
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT * FROM documents
+        WHERE user_id = ? AND original_name = ? AND folder_path IS ? AND parent_document_id IS NULL
+          AND superseded_at IS NULL AND upload_status != 'failed'
+        ORDER BY version DESC, id DESC LIMIT 1
+      `;
+      
+      db.get(query, [userId, originalName, folderPath], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row ? new Document(row) : null);
+        }
+      });
+    });
+  }
+
+  static async findVersions(versionGroupId) {
+    const db = database.getDb();
+    
+    return new Promise((resolve, reject) => {
+      const query = 'SELECT * FROM documents WHERE id = ? OR version_group_id = ? ORDER BY version, id';
+      
+      db.all(query, [versionGroupId, versionGroupId], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows.map(row => new Document(row)));
+        }
+      });
+    });
+  }
+
+  async markSuperseded() {
+    const db = database.getDb();
+    
+    return new Promise((resolve, reject) => {
+      const query = 'UPDATE documents SET superseded_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?';
+      
+      db.run(query, [this.id], (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          this.supersededAt = new Date().toISOString();
+          resolve();
+        }
+      });
+    });
+  }
+
+  async updateChunkManifest(chunkIds, chunkHashes) {
+    const db = database.getDb();
+    
+    return new Promise((resolve, reject) => {
+      const query = 'UPDATE documents SET chunk_ids = ?, chunk_hashes = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?';
+      
+      db.run(query, [JSON.stringify(chunkIds), JSON.stringify(chunkHashes), this.id], (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          this.chunkIds = chunkIds;
+          this.chunkHashes = chunkHashes;
+          resolve();
+        }
+      });
+    });
+  }
+
   async updateStatus(status) {
     const db = database.getDb();
     
@@ -277,6 +398,23 @@ class Document {
     });
   }
 
+  async updateTags(tags) {
+    const db = database.getDb();
+    
+    return new Promise((resolve, reject) => {
+      const query = 'UPDATE documents SET tags = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?';
+      
+      db.run(query, [JSON.stringify(tags), this.id], (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          this.tags = tags;
+          resolve();
+        }
+      });
+    });
+  }
+
   // Enhanced tracking methods for processing pipeline
   async updateChunkCount(chunkCount) {
     const db = database.getDb();
@@ -505,6 +643,14 @@ class Document {
       embeddingModel: this.embeddingModel,
       chunkSize: this.chunkSize,
       chunkOverlap: this.chunkOverlap,
+      chunkingStrategy: this.chunkingStrategy,
+      tags: this.tags,
+      parentDocumentId: this.parentDocumentId,
+      folderPath: this.folderPath,
+      version: this.version,
+      versionGroupId: this.versionGroupId,
+      isLatestVersion: this.isLatestVersion,
+      supersededAt: this.supersededAt,
       processingMetrics: this.getProcessingMetrics()
     };
   }
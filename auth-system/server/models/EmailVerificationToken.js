@@ -0,0 +1,158 @@
+const database = require('../config/database');
+const crypto = require('crypto');
+
+class EmailVerificationToken {
+  constructor(tokenData) {
+    this.id = tokenData.id;
+    this.userId = tokenData.user_id;
+    this.token = tokenData.token;
+    this.expiresAt = tokenData.expires_at;
+    this.used = tokenData.used;
+    this.createdAt = tokenData.created_at;
+  }
+
+  static async create(userId, expiresInHours = 24) {
+    const db = database.getDb();
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + expiresInHours * 60 * 60 * 1000);
+
+    return new Promise((resolve, reject) => {
+      const query = `
+        INSERT INTO email_verification_tokens (user_id, token, expires_at)
+        VALUES (?, ?, ?)
+      `;
+
+      db.run(query, [userId, token, expiresAt.toISOString()], function(err) {
+        if (err) {
+          console.error('Email verification token creation error:', err);
+          reject(err);
+        } else {
+          EmailVerificationToken.findById(this.lastID)
+            .then(tokenRecord => resolve(tokenRecord))
+            .catch(reject);
+        }
+      });
+    });
+  }
+
+  static async findById(id) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      const query = 'SELECT * FROM email_verification_tokens WHERE id = ?';
+
+      db.get(query, [id], (err, row) => {
+        if (err) {
+          reject(err);
+        } else if (row) {
+          resolve(new EmailVerificationToken(row));
+        } else {
+          resolve(null);
+        }
+      });
+    });
+  }
+
+  static async findByToken(token) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT * FROM email_verification_tokens
+        WHERE token = ? AND used = 0 AND expires_at > ?
+      `;
+
+      db.get(query, [token, new Date().toISOString()], (err, row) => {
+        if (err) {
+          reject(err);
+        } else if (row) {
+          resolve(new EmailVerificationToken(row));
+        } else {
+          resolve(null);
+        }
+      });
+    });
+  }
+
+  /**
+   * Tokens sent to a user since a moment, newest first; used to throttle resends
+   * @param {number} userId - User id
+   * @param {Date} since - Earliest creation time
+   * @returns {Promise<Array<EmailVerificationToken>>}
+   */
+  static async findCreatedSince(userId, since) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT * FROM email_verification_tokens
+        WHERE user_id = ? AND created_at > ?
+        ORDER BY created_at DESC, id DESC
+      `;
+
+      // created_at is stored by SQLite as "YYYY-MM-DD HH:MM:SS" in UTC
+      db.all(query, [userId, since.toISOString().replace('T', ' ').slice(0, 19)], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows.map(row => new EmailVerificationToken(row)));
+        }
+      });
+    });
+  }
+
+  async markAsUsed() {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      const query = 'UPDATE email_verification_tokens SET used = 1 WHERE id = ?';
+
+      db.run(query, [this.id], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  // Earlier links stop working when a new one is sent; the rows are kept for throttling
+  static async invalidateForUser(userId) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      const query = 'UPDATE email_verification_tokens SET used = 1 WHERE user_id = ? AND used = 0';
+
+      db.run(query, [userId], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  }
+
+  static async deleteByUserId(userId) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      const query = 'DELETE FROM email_verification_tokens WHERE user_id = ?';
+
+      db.run(query, [userId], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  }
+
+  getCreatedAt() {
+    return new Date(`${this.createdAt.replace(' ', 'T')}Z`);
+  }
+}
+
+module.exports = EmailVerificationToken;
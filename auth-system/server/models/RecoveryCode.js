@@ -0,0 +1,93 @@
+const database = require('../config/database');
+
+/**
+ * Two-factor recovery codes. Only a hash of each code is stored; the codes themselves
+ * are shown to the user once, when they are generated.
+ */
+class RecoveryCode {
+  /**
+   * Replace a user's recovery codes
+   * @param {number} userId - User id
+   * @param {Array<string>} codeHashes - Hashes of the new codes
+   */
+  static async replaceForUser(userId, codeHashes) {
+    const db = database.getDb();
+    await RecoveryCode.deleteByUserId(userId);
+
+    return new Promise((resolve, reject) => {
+      const placeholders = codeHashes.map(() => '(?, ?)').join(', ');
+      const values = codeHashes.flatMap(codeHash => [userId, codeHash]);
+
+      db.run(`INSERT INTO two_factor_recovery_codes (user_id, code_hash) VALUES ${placeholders}`, values, function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  }
+
+  /**
+   * Use up an unused recovery code
+   * @param {number} userId - User id
+   * @param {string} codeHash - Hash of the code entered
+   * @returns {Promise<boolean>} Whether the code was valid and unused
+   */
+  static async consume(userId, codeHash) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      const query = `
+        UPDATE two_factor_recovery_codes SET used_at = CURRENT_TIMESTAMP
+        WHERE id = (
+          SELECT id FROM two_factor_recovery_codes
+          WHERE user_id = ? AND code_hash = ? AND used_at IS NULL
+          LIMIT 1
+        )
+      `;
+
+      db.run(query, [userId, codeHash], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes === 1);
+        }
+      });
+    });
+  }
+
+  static async countRemaining(userId) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      const query = 'SELECT COUNT(*) as remaining FROM two_factor_recovery_codes WHERE user_id = ? AND used_at IS NULL';
+
+      db.get(query, [userId], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row.remaining);
+        }
+      });
+    });
+  }
+
+  static async deleteByUserId(userId) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      const query = 'DELETE FROM two_factor_recovery_codes WHERE user_id = ?';
+
+      db.run(query, [userId], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  }
+}
+
+module.exports = RecoveryCode;
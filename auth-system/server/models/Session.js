@@ -1,24 +1,47 @@
 const database = require('../config/database');
 
+const BROWSERS = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari'], ['curl/', 'curl'], ['python-requests', 'Python'], ['node-fetch', 'Node.js']];
+const PLATFORMS = [['iPhone', 'iPhone'], ['iPad', 'iPad'], ['Android', 'Android'], ['Windows', 'Windows'], ['Mac OS X', 'macOS'], ['Macintosh', 'macOS'], ['Linux', 'Linux']];
+
+// Short label such as "Chrome on macOS" for listing sessions
+const describeUserAgent = (userAgent) => {
+  if (!userAgent) {
+    return 'Unknown device';
+  }
+
+  const browser = BROWSERS.find(([marker]) => userAgent.includes(marker));
+  const platform = PLATFORMS.find(([marker]) => userAgent.includes(marker));
+  if (!browser && !platform) {
+    return 'Unknown device';
+  }
+
+  return [browser && browser[1], platform && platform[1]].filter(Boolean).join(' on ');
+};
+
 class Session {
   constructor(sessionData) {
     this.id = sessionData.id;
     this.userId = sessionData.user_id;
     this.refreshToken = sessionData.refresh_token;
     this.expiresAt = sessionData.expires_at;
+    // Device the session was last used from
+    this.userAgent = sessionData.user_agent || null;
+    this.ipAddress = sessionData.ip_address || null;
+    this.lastRefreshedAt = sessionData.last_refreshed_at || null;
     this.createdAt = sessionData.created_at;
   }
 
-  static async create(userId, refreshToken, expiresAt) {
+  static async create(userId, refreshToken, expiresAt, { userAgent = null, ipAddress = null } = {}) {
     const db = database.getDb();
     
     return new Promise((resolve, reject) => {
       const query = `
-        INSERT INTO sessions (user_id, refresh_token, expires_at)
-        VALUES (?, ?, ?)
+        INSERT INTO sessions (user_id, refresh_token, expires_at, user_agent, ip_address)
+        VALUES (?, ?, ?, ?, ?)
       `;
       
-      db.run(query, [userId, refreshToken, expiresAt], function(err) {
+      // expires_at is stored as milliseconds timestamp
+      db.run(query, [userId, refreshToken, new Date(expiresAt).getTime(), userAgent, ipAddress], function(err) {
         if (err) {
           reject(err);
         } else {
@@ -68,6 +91,55 @@ class Session {
     });
   }
 
+  static async findActiveByUserId(userId) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      const query = `
+        SELECT * FROM sessions WHERE user_id = ? AND expires_at > ?
+        ORDER BY COALESCE(last_refreshed_at, created_at) DESC, id DESC
+      `;
+
+      db.all(query, [userId, Date.now()], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows.map(row => new Session(row)));
+        }
+      });
+    });
+  }
+
+  static async deleteById(id) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      db.run('DELETE FROM sessions WHERE id = ?', [id], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      });
+    });
+  }
+
+  static async deleteByUserIdExcept(userId, keepSessionId) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      const query = 'DELETE FROM sessions WHERE user_id = ? AND id != ?';
+
+      db.run(query, [userId, keepSessionId], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  }
+
   static async deleteByRefreshToken(refreshToken) {
     const db = database.getDb();
     
@@ -119,14 +191,68 @@ class Session {
     });
   }
 
+  /**
+   * Replace the refresh token, only if it is still the one that was presented, so two
+   * refreshes with the same token cannot both succeed
+   * @param {string} presentedToken - Refresh token being exchanged
+   * @param {string} refreshToken - New refresh token
+   * @param {Date} expiresAt - Expiry of the new refresh token
+   * @param {Object} device - { userAgent, ipAddress } of the request
+   * @returns {Promise<boolean>} Whether the token was rotated
+   */
+  async rotate(presentedToken, refreshToken, expiresAt, { userAgent = null, ipAddress = null } = {}) {
+    const db = database.getDb();
+    const session = this;
+    const lastRefreshedAt = new Date().toISOString();
+    const expiresAtMs = new Date(expiresAt).getTime();
+
+    return new Promise((resolve, reject) => {
+      const query = `
+        UPDATE sessions
+        SET refresh_token = ?, expires_at = ?, last_refreshed_at = ?,
+            user_agent = COALESCE(?, user_agent), ip_address = COALESCE(?, ip_address)
+        WHERE id = ? AND refresh_token = ?
+      `;
+
+      db.run(query, [refreshToken, expiresAtMs, lastRefreshedAt, userAgent, ipAddress, session.id, presentedToken], function(err) {
+        if (err) {
+          reject(err);
+        } else if (this.changes === 1) {
+          Object.assign(session, {
+            refreshToken,
+            expiresAt: expiresAtMs,
+            lastRefreshedAt,
+            userAgent: userAgent || session.userAgent,
+            ipAddress: ipAddress || session.ipAddress
+          });
+          resolve(true);
+        } else {
+          resolve(false);
+        }
+      });
+    });
+  }
+
   async delete() {
-    return Session.deleteByRefreshToken(this.refreshToken);
+    return Session.deleteById(this.id);
   }
 
   isExpired() {
     // expires_at is stored as milliseconds timestamp
     return this.expiresAt <= Date.now();
   }
+
+  toJSON() {
+    return {
+      id: this.id,
+      device: describeUserAgent(this.userAgent),
+      userAgent: this.userAgent,
+      ipAddress: this.ipAddress,
+      createdAt: this.createdAt,
+      lastRefreshedAt: this.lastRefreshedAt,
+      expiresAt: new Date(this.expiresAt).toISOString()
+    };
+  }
 }
 
 module.exports = Session;
\ No newline at end of file
@@ -1,6 +1,7 @@
 const bcrypt = require('bcryptjs');
 const database = require('../config/database');
-const pineconeService = require('../services/pineconeService');
+const vectorStoreService = require('../services/vectorStoreService');
+const lexicalIndexService = require('../services/lexicalIndexService');
 
 class User {
   constructor(userData) {
@@ -13,10 +14,15 @@ class User {
     this.displayName = userData.display_name;
     this.bio = userData.bio;
     this.timezone = userData.timezone;
+    this.answerProfile = userData.answer_profile || 'legal'; // default answer profile for chats
     this.userIndex = userData.user_index;
     this.pineconeId = userData.pinecone_id; // New field for Pinecone ID
     this.authProvider = userData.auth_provider;
     this.emailVerified = userData.email_verified;
+    // TOTP second factor; the secret is encrypted and set from enrollment until it is disabled
+    this.twoFactorEnabled = Boolean(userData.two_factor_enabled);
+    this.twoFactorSecret = userData.two_factor_secret || null;
+    this.twoFactorLastStep = userData.two_factor_last_step || null;
     this.createdAt = userData.created_at;
     this.updatedAt = userData.updated_at;
   }
@@ -33,7 +39,7 @@ class User {
     const userIndex = await User.generateUniqueIndex();
 
     // Create dedicated user index in Pinecone (returns index name as Pinecone ID)
-    const pineconeId = await pineconeService.createUserIndex({
+    const pineconeId = await vectorStoreService.createUserIndex({
       firstName,
       lastName,
       email
@@ -61,7 +67,7 @@ class User {
         if (err) {
           // Clean up Pinecone index if user creation fails
           if (pineconeId && pineconeId.startsWith('user-')) {
-            pineconeService.deleteUser(pineconeId).catch(console.error);
+            vectorStoreService.deleteUser(pineconeId).catch(console.error);
           }
           
           if (err.code === 'SQLITE_CONSTRAINT_UNIQUE') {
@@ -178,7 +184,7 @@ class User {
         } else {
           // Update Pinecone metadata
           try {
-            await pineconeService.updateUserMetadata(this.pineconeId, {
+            await vectorStoreService.updateUserMetadata(this.pineconeId, {
               profilePicture: profilePictureUrl
             });
           } catch (pineconeErr) {
@@ -194,7 +200,7 @@ class User {
     const db = database.getDb();
     
     return new Promise(async (resolve, reject) => {
-      const query = 'UPDATE users SET email_verified = 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?';
+      const query = 'UPDATE users SET email_verified = 1, email_verified_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?';
       
       db.run(query, [this.id], async (err) => {
         if (err) {
@@ -202,7 +208,7 @@ class User {
         } else {
           // Update Pinecone metadata
           try {
-            await pineconeService.updateUserMetadata(this.pineconeId, {
+            await vectorStoreService.updateUserMetadata(this.pineconeId, {
               emailVerified: true
             });
           } catch (pineconeErr) {
@@ -261,7 +267,7 @@ class User {
         } else {
           try {
             // Update Pinecone metadata
-            await pineconeService.updateUserMetadata(this.pineconeId, {
+            await vectorStoreService.updateUserMetadata(this.pineconeId, {
               firstName: firstName || this.firstName,
               lastName: lastName || this.lastName,
               displayName: displayName,
@@ -291,6 +297,81 @@ class User {
     });
   }
 
+  async updateAnswerProfile(answerProfile) {
+    const db = database.getDb();
+    
+    return new Promise((resolve, reject) => {
+      const query = 'UPDATE users SET answer_profile = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?';
+      
+      db.run(query, [answerProfile, this.id], (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          this.answerProfile = answerProfile;
+          resolve(this);
+        }
+      });
+    });
+  }
+
+  /**
+   * Replace the two-factor state: a pending enrollment has a secret but is not enabled,
+   * and disabling clears the secret. The last accepted code is kept while the secret stays
+   * @param {Object} state - { enabled, secret }
+   */
+  async updateTwoFactor({ enabled, secret }) {
+    const db = database.getDb();
+    const lastStep = secret && secret === this.twoFactorSecret ? this.twoFactorLastStep : null;
+    
+    return new Promise((resolve, reject) => {
+      const query = `
+        UPDATE users
+        SET two_factor_enabled = ?, two_factor_secret = ?, two_factor_last_step = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `;
+      
+      db.run(query, [enabled ? 1 : 0, secret, lastStep, this.id], (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          this.twoFactorEnabled = Boolean(enabled);
+          this.twoFactorSecret = secret;
+          this.twoFactorLastStep = lastStep;
+          resolve(this);
+        }
+      });
+    });
+  }
+
+  /**
+   * Record the time step of an accepted code. Fails when a code of that step or a later one
+   * was accepted already, so each code signs in once even with concurrent requests
+   * @param {number} timeStep - Time step of the code
+   * @returns {Promise<boolean>} Whether the step was recorded
+   */
+  async claimTwoFactorStep(timeStep) {
+    const db = database.getDb();
+    const user = this;
+    
+    return new Promise((resolve, reject) => {
+      const query = `
+        UPDATE users SET two_factor_last_step = ?
+        WHERE id = ? AND (two_factor_last_step IS NULL OR two_factor_last_step < ?)
+      `;
+      
+      db.run(query, [timeStep, this.id, timeStep], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          if (this.changes === 1) {
+            user.twoFactorLastStep = timeStep;
+          }
+          resolve(this.changes === 1);
+        }
+      });
+    });
+  }
+
   static async updateByPineconeId(pineconeId, updateData) {
     const user = await User.findByPineconeId(pineconeId);
     if (!user) {
@@ -311,10 +392,12 @@ class User {
       displayName: this.displayName,
       bio: this.bio,
       timezone: this.timezone,
+      answerProfile: this.answerProfile,
       userIndex: this.userIndex,
       pineconeId: this.pineconeId,
       authProvider: this.authProvider,
       emailVerified: this.emailVerified,
+      twoFactorEnabled: this.twoFactorEnabled,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt
     };
@@ -336,7 +419,7 @@ class User {
       console.log(`🔄 Migrating user ${this.email} to dedicated index...`);
       
       // Create new dedicated index
-      const newPineconeId = await pineconeService.createUserIndex({
+      const newPineconeId = await vectorStoreService.createUserIndex({
         firstName: this.firstName,
         lastName: this.lastName,
         email: this.email
@@ -429,15 +512,19 @@ class User {
       }
       
       // Step 4: Remove all user vectors from Pinecone
-      const vectorCleanupResult = await pineconeService.removeAllUserVectors(this.pineconeId);
+      const vectorCleanupResult = await vectorStoreService.removeAllUserVectors(this.pineconeId);
       console.log(`🗑️ Pinecone vector cleanup result:`, vectorCleanupResult);
       
+      // Remove keyword search index entries
+      const keywordChunksRemoved = await lexicalIndexService.removeAllUserChunks(this.pineconeId);
+      console.log(`🗑️ Keyword index cleanup removed ${keywordChunksRemoved} chunks`);
+      
       // Step 5: Delete all user documents from database
       const documentCleanupResult = await Document.deleteAllUserDocuments(this.id);
       console.log(`🗑️ Database document cleanup result:`, documentCleanupResult);
       
       // Step 6: Delete user from Pinecone (index/namespace cleanup)
-      const pineconeCleanupResult = await pineconeService.cleanupUserData(this.pineconeId);
+      const pineconeCleanupResult = await vectorStoreService.cleanupUserData(this.pineconeId);
       console.log(`🗑️ Pinecone user cleanup result:`, pineconeCleanupResult);
       
       // Step 7: Delete user from database
@@ -445,7 +532,7 @@ class User {
       console.log(`🗑️ User database deletion result:`, userDeletionResult);
       
       // Step 8: Verify cleanup completion
-      const verificationResult = await pineconeService.verifyUserDataCleanup(this.pineconeId);
+      const verificationResult = await vectorStoreService.verifyUserDataCleanup(this.pineconeId);
       console.log(`✅ Cleanup verification result:`, verificationResult);
       
       const finalResult = {
@@ -456,6 +543,7 @@ class User {
         cleanupStatistics: cleanupStats,
         mappingVerification: mappingVerification,
         vectorsRemoved: vectorCleanupResult.vectorsRemoved || 0,
+        keywordChunksRemoved: keywordChunksRemoved,
         documentsDeleted: documentCleanupResult.deletedCount || 0,
         pineconeCleanup: pineconeCleanupResult,
         userDeleted: userDeletionResult,
@@ -559,7 +647,7 @@ class User {
       const documentCount = await Document.getUserDocumentCount(this.id);
       
       // Check Pinecone vectors
-      const pineconeVerification = await pineconeService.verifyUserDataCleanup(this.pineconeId);
+      const pineconeVerification = await vectorStoreService.verifyUserDataCleanup(this.pineconeId);
       
       // Check user-document mapping consistency
       const mappingVerification = await Document.verifyUserDocumentMapping(this.id, this.pineconeId);
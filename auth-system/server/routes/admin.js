@@ -1,7 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
-const pineconeService = require('../services/pineconeService');
+const AuthLockout = require('../models/AuthLockout');
+const vectorStoreService = require('../services/vectorStoreService');
+const ConfigurationManager = require('../services/ConfigurationManager');
+const twoFactorController = require('../controllers/twoFactorController');
 const authMiddleware = require('../middleware/auth').authenticateToken;
 
 // Admin middleware (simple check - in production, use proper admin authentication)
@@ -16,6 +19,18 @@ const adminMiddleware = (req, res, next) => {
   next();
 };
 
+// Account security actions on other users are limited to the configured administrators (ADMIN_EMAILS)
+const administratorMiddleware = (req, res, next) => {
+  const adminEmails = ConfigurationManager.get('admin.emails', []);
+  if (!req.user || !adminEmails.includes(String(req.user.email).toLowerCase())) {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin access required'
+    });
+  }
+  next();
+};
+
 // Get migration status
 router.get('/migration-status', authMiddleware, adminMiddleware, async (req, res) => {
   try {
@@ -34,7 +49,7 @@ router.get('/migration-status', authMiddleware, adminMiddleware, async (req, res
     const needsMigration = allUsers.filter(user => !user.hasDedicatedIndex());
 
     // Get Pinecone index statistics
-    const indexList = await pineconeService.listUserIndexes();
+    const indexList = await vectorStoreService.listUserIndexes();
 
     res.json({
       success: true,
@@ -98,7 +113,7 @@ router.post('/migrate-users', authMiddleware, adminMiddleware, async (req, res)
 // Get Pinecone index statistics
 router.get('/pinecone-stats', authMiddleware, adminMiddleware, async (req, res) => {
   try {
-    const indexList = await pineconeService.listUserIndexes();
+    const indexList = await vectorStoreService.listUserIndexes();
     
     // Get detailed stats for each index (limited to first 10 for performance)
     const detailedStats = [];
@@ -106,7 +121,7 @@ router.get('/pinecone-stats', authMiddleware, adminMiddleware, async (req, res)
     
     for (const indexInfo of indexesToCheck) {
       try {
-        const stats = await pineconeService.getUserIndexStats(indexInfo.name);
+        const stats = await vectorStoreService.getUserIndexStats(indexInfo.name);
         detailedStats.push({
           name: indexInfo.name,
           status: stats?.status,
@@ -125,6 +140,7 @@ router.get('/pinecone-stats', authMiddleware, adminMiddleware, async (req, res)
     res.json({
       success: true,
       data: {
+        backend: vectorStoreService.getBackendName(),
         totalIndexes: indexList.length,
         indexList: indexList,
         detailedStats: detailedStats,
@@ -265,10 +281,10 @@ router.post('/users/:userId/cleanup-vectors', authMiddleware, adminMiddleware, a
     console.log(`🧹 Admin initiated vector cleanup for user: ${user.email}`);
     
     // Remove all user vectors from Pinecone
-    const vectorCleanupResult = await pineconeService.removeAllUserVectors(user.pineconeId);
+    const vectorCleanupResult = await vectorStoreService.removeAllUserVectors(user.pineconeId);
     
     // Verify cleanup completion
-    const verificationResult = await pineconeService.verifyUserDataCleanup(user.pineconeId);
+    const verificationResult = await vectorStoreService.verifyUserDataCleanup(user.pineconeId);
     
     res.json({
       success: true,
@@ -351,4 +367,29 @@ router.post('/users/:userId/fix-mapping', authMiddleware, adminMiddleware, async
   }
 });
 
+// Reset two-factor authentication for a user who lost their authenticator and recovery codes
+router.post('/users/:userId/2fa/reset', authMiddleware, administratorMiddleware, twoFactorController.resetForUser);
+
+// Audit trail of brute-force lockouts on sign in and password reset, newest first
+router.get('/lockouts', authMiddleware, administratorMiddleware, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const offset = parseInt(req.query.offset, 10) || 0;
+    const lockouts = await AuthLockout.findRecent(limit, offset);
+
+    res.json({
+      success: true,
+      data: {
+        lockouts: lockouts.map(lockout => lockout.toJSON())
+      }
+    });
+  } catch (error) {
+    console.error('Get lockouts error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get lockouts'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,13 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const ValidationMiddleware = require('../middleware/validation');
+const apiKeyController = require('../controllers/apiKeyController');
+
+const router = express.Router();
+
+// Managing keys needs a signed-in user; API keys themselves are not accepted here
+router.get('/', authenticateToken, apiKeyController.listKeys);
+router.post('/', authenticateToken, ValidationMiddleware.validateApiKeyCreation, apiKeyController.createKey);
+router.delete('/:id', authenticateToken, apiKeyController.revokeKey);
+
+module.exports = router;
@@ -1,5 +1,6 @@
 const express = require('express');
 const authController = require('../controllers/authController');
+const twoFactorController = require('../controllers/twoFactorController');
 const { authenticateToken, optionalAuth } = require('../middleware/auth');
 const ValidationMiddleware = require('../middleware/validation');
 
@@ -16,6 +17,12 @@ router.post('/login',
   authController.login
 );
 
+// Second sign-in step for accounts with two-factor authentication
+router.post('/login/2fa',
+  ValidationMiddleware.validateTwoFactorLogin,
+  authController.completeTwoFactorLogin
+);
+
 router.post('/refresh', 
   ValidationMiddleware.validateRefreshToken,
   authController.refreshToken
@@ -26,6 +33,25 @@ router.post('/logout', optionalAuth, authController.logout);
 router.get('/profile', authenticateToken, authController.getProfile);
 router.put('/users/:userId/profile-picture', authController.updateProfilePicture);
 
+// Active sessions
+router.get('/sessions', authenticateToken, authController.listSessions);
+router.delete('/sessions', authenticateToken, authController.revokeOtherSessions);
+router.delete('/sessions/:sessionId', authenticateToken, authController.revokeSession);
+
+// Two-factor authentication settings
+router.get('/2fa', authenticateToken, twoFactorController.getStatus);
+router.post('/2fa/setup', authenticateToken, twoFactorController.setup);
+router.post('/2fa/confirm', authenticateToken, twoFactorController.confirm);
+router.post('/2fa/recovery-codes', authenticateToken, twoFactorController.regenerateRecoveryCodes);
+router.post('/2fa/disable', authenticateToken, twoFactorController.disable);
+
+// Email verification routes
+router.get('/verify-email/:token', authController.verifyEmail);
+router.post('/verify-email/resend', optionalAuth, authController.resendVerificationEmail);
+
+// Ends a sign-in lockout, from the link in the account locked email
+router.get('/unlock-account/:token', authController.unlockAccount);
+
 // Password reset routes
 router.post('/forgot-password', 
   ValidationMiddleware.validatePasswordResetRequest,
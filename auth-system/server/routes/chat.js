@@ -1,20 +1,26 @@
 const express = require('express');
 const chatController = require('../controllers/newChatController');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, allowApiKey, requireVerifiedEmail } = require('../middleware/auth');
 
 const router = express.Router();
 
-// All chat routes require authentication
-router.use(authenticateToken);
+// All chat routes require authentication; API keys need the chat scope
+router.use(allowApiKey('chat'), authenticateToken);
 
 // Chat management routes
-router.post('/', chatController.createChat);
+router.post('/', requireVerifiedEmail('chat'), chatController.createChat);
 router.get('/', chatController.getUserChats);
+router.get('/answer-profiles', chatController.getAnswerProfiles);
 router.get('/:chatId', chatController.getChatMessages);
 router.delete('/:chatId', chatController.deleteChat);
 router.put('/:chatId/title', chatController.updateChatTitle);
+router.put('/:chatId/strategy', chatController.updateChatStrategy);
+router.put('/:chatId/scope', chatController.updateChatScope);
+router.put('/:chatId/answer-profile', chatController.updateChatAnswerProfile);
 
 // Message routes
-router.post('/:chatId/messages', chatController.sendMessage);
+router.post('/:chatId/messages', requireVerifiedEmail('chat'), chatController.sendMessage);
+router.post('/:chatId/messages/stream', requireVerifiedEmail('chat'), chatController.streamMessage);
+router.post('/:chatId/messages/cancel', chatController.cancelStream);
 
 module.exports = router;
\ No newline at end of file
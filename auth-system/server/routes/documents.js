@@ -3,6 +3,8 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const auth = require('../middleware/auth').authenticateToken;
+const { allowApiKey } = require('../middleware/auth');
+const requireVerifiedEmail = require('../middleware/auth').requireVerifiedEmail('uploads');
 const documentController = require('../controllers/documentController');
 
 const router = express.Router();
@@ -56,13 +58,14 @@ const upload = multer({
 });
 
 // Routes
-router.post('/upload', auth, upload.single('document'), documentController.uploadDocument);
-router.post('/batch-upload', auth, upload.array('documents', 20), documentController.batchUploadDocuments);
-router.post('/batch-upload-stream', auth, upload.array('documents', 20), documentController.batchUploadDocuments);
-router.post('/process-folder', auth, documentController.processDataFolder);
+router.post('/upload', allowApiKey('upload'), auth, requireVerifiedEmail, upload.single('document'), documentController.uploadDocument);
+router.post('/batch-upload', allowApiKey('upload'), auth, requireVerifiedEmail, upload.array('documents', 20), documentController.batchUploadDocuments);
+router.post('/batch-upload-stream', allowApiKey('upload'), auth, requireVerifiedEmail, upload.array('documents', 20), documentController.batchUploadDocuments);
+router.post('/upload-archive', allowApiKey('upload'), auth, requireVerifiedEmail, upload.single('archive'), documentController.uploadArchive);
+router.post('/process-folder', auth, requireVerifiedEmail, documentController.processDataFolder);
 
 // Queue management routes
-router.post('/queue/create', auth, documentController.createUploadQueue);
+router.post('/queue/create', auth, requireVerifiedEmail, documentController.createUploadQueue);
 router.get('/queues', auth, documentController.getUploadQueues);
 router.get('/queue/:queueName/status', auth, documentController.getQueueStatus);
 router.put('/queue/:queueName/reorder', auth, documentController.reorderQueue);
@@ -82,17 +85,20 @@ router.delete('/embedding/cache', auth, documentController.clearEmbeddingCache);
 router.post('/embedding/test', auth, documentController.testEmbeddingOptimization);
 
 // Processing status routes
-router.get('/processing-status/:jobId', auth, documentController.getProcessingStatus);
+router.get('/processing-status/:jobId', allowApiKey('upload'), auth, documentController.getProcessingStatus);
 router.get('/processing-jobs', auth, documentController.getProcessingJobs);
 router.get('/validation-status', auth, documentController.getValidationStatus);
 router.get('/processing-manager-status', auth, documentController.getProcessingManagerStatus);
 router.get('/processing-metrics', auth, documentController.getProcessingMetrics);
+router.get('/consistency', auth, documentController.checkConsistency);
 
 // Document management routes
-router.get('/', auth, documentController.getUserDocuments);
-router.post('/search', auth, documentController.searchDocuments);
-router.get('/:id', auth, documentController.getDocumentContent);
+router.get('/', allowApiKey('search'), auth, documentController.getUserDocuments);
+router.post('/search', allowApiKey('search'), auth, documentController.searchDocuments);
+router.get('/:id', allowApiKey('search'), auth, documentController.getDocumentContent);
 router.delete('/:id', auth, documentController.deleteDocument);
+router.put('/:id/tags', auth, documentController.updateDocumentTags);
+router.get('/:id/versions', auth, documentController.getDocumentVersions);
 
 // Error handling middleware for multer
 router.use((error, req, res, next) => {
@@ -113,7 +119,7 @@ router.use((error, req, res, next) => {
     if (error.code === 'LIMIT_UNEXPECTED_FILE') {
       return res.status(400).json({
         success: false,
-        error: 'Unexpected file field. Use "document" for single upload or "documents" for batch upload.'
+        error: 'Unexpected file field. Use "document" for single upload, "documents" for batch upload or "archive" for ZIP upload.'
       });
     }
   }
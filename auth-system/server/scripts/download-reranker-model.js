@@ -0,0 +1,29 @@
+const path = require('path');
+
+// Run from the server directory so model_cache resolves like it does for the app
+process.chdir(path.join(__dirname, '..'));
+
+const ConfigurationManager = require('../services/ConfigurationManager');
+
+// Download the cross-encoder used for reranking into the local model cache.
+// The server never downloads it on its own; reranking stays off until this has run.
+const downloadRerankerModel = async () => {
+  const config = ConfigurationManager.getServiceConfig('reranker');
+  const { AutoTokenizer, AutoModelForSequenceClassification } = require('@xenova/transformers');
+  const options = {
+    cache_dir: config.modelCacheDir,
+    quantized: config.quantized
+  };
+
+  console.log(`📥 Downloading reranker model ${config.model} into ${config.modelCacheDir}...`);
+
+  await AutoTokenizer.from_pretrained(config.model, options);
+  await AutoModelForSequenceClassification.from_pretrained(config.model, options);
+
+  console.log('✅ Reranker model cached, restart the server to enable reranking');
+};
+
+downloadRerankerModel().catch(error => {
+  console.error('❌ Failed to download reranker model:', error.message);
+  process.exit(1);
+});
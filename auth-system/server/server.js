@@ -11,6 +11,7 @@ const uploadRoutes = require('./routes/upload');
 const documentRoutes = require('./routes/documents');
 const chatRoutes = require('./routes/chat');
 const Session = require('./models/Session');
+const bruteForceService = require('./services/bruteForceService');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -52,7 +53,7 @@ app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:5173',
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key']
 }));
 
 // Additional CORS headers for static files
@@ -67,6 +68,10 @@ app.use('/uploads', (req, res, next) => {
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Uploaded documents, including source files ingested as code documents, are only ever
+// read by the server and must not be served back to browsers
+app.use('/uploads/documents', (req, res) => res.status(404).end());
+
 // Serve static files (uploaded images)
 app.use('/uploads', express.static(path.join(__dirname, process.env.UPLOAD_DIR || './uploads')));
 
@@ -86,6 +91,7 @@ app.use('/api/documents', documentRoutes);
 app.use('/api/chat', chatRoutes);
 app.use('/api/admin', require('./routes/admin'));
 app.use('/api/profile', require('./routes/profile'));
+app.use('/api/api-keys', require('./routes/apiKeys'));
 app.use('/api/activity', require('./routes/activity'));
 
 // 404 handler
@@ -106,13 +112,19 @@ app.use((error, req, res, next) => {
   });
 });
 
-// Cleanup expired sessions every hour
+// Cleanup expired sessions and stale failed-attempt counters every hour
 setInterval(async () => {
   try {
     await Session.cleanupExpired();
   } catch (error) {
     console.error('Session cleanup error:', error);
   }
+
+  try {
+    await bruteForceService.cleanup();
+  } catch (error) {
+    console.error('Failed attempt cleanup error:', error);
+  }
 }, 60 * 60 * 1000); // 1 hour
 
 // Graceful shutdown
@@ -134,9 +146,9 @@ async function startServer() {
     // Initialize database
     await database.connect();
     
-    // Initialize Pinecone service
-    const pineconeService = require('./services/pineconeService');
-    await pineconeService.initialize();
+    // Initialize vector store (Pinecone or local SQLite backend)
+    const vectorStoreService = require('./services/vectorStoreService');
+    await vectorStoreService.initialize();
     
     // Start server
     app.listen(PORT, () => {
@@ -25,7 +25,7 @@ class ConfigurationManager {
       },
       dataFolderProcessor: {
         maxConcurrentFiles: 3,
-        supportedExtensions: ['.pdf', '.docx', '.html', '.htm', '.txt'],
+        supportedExtensions: ['.pdf', '.docx', '.html', '.htm', '.txt', '.md', '.markdown', '.rst', '.csv', '.xlsx', '.pptx', '.eml', '.mbox', '.epub', '.odt', '.rtf'],
         maxFileSize: 50 * 1024 * 1024, // 50MB
         enableProgressTracking: true,
         enableMetrics: true
@@ -48,6 +48,177 @@ class ConfigurationManager {
         enableBottleneckDetection: true,
         enableOptimizationSuggestions: true,
         slowOperationThreshold: 3000 // 3 seconds
+      },
+      vectorStore: {
+        // 'pinecone', 'local' (SQLite) or 'auto' (Pinecone when configured, local otherwise)
+        backend: (process.env.VECTOR_STORE_BACKEND || 'auto').toLowerCase()
+      },
+      chunking: {
+        // 'recursive' (fixed-size character splitter) or 'structured' (section-bounded chunks with a heading path)
+        defaultStrategy: (process.env.CHUNKING_STRATEGY || 'recursive').toLowerCase(),
+        maxChunkSize: 1000, // characters per structured chunk
+        maxHeadingLength: 120, // longest line detected as a heading in PDF/TXT text
+        maxHeadingWords: 12
+      },
+      spreadsheets: {
+        // CSV and XLSX files are chunked by rows, repeating the header row in every chunk
+        maxChunkSize: 1000, // characters per row chunk, header included
+        maxRowsPerChunk: 20,
+        maxRows: 100000, // per sheet; larger files are rejected
+        maxColumns: 500
+      },
+      presentations: {
+        // PPTX files are chunked per slide: title, body text and speaker notes
+        maxChunkSize: 1500, // characters per slide chunk; longer slides are split at paragraphs
+        maxSlides: 1000
+      },
+      ebooks: {
+        // EPUB books are chunked per chapter, in reading order, with the structured strategy
+        maxChunkSize: 1000, // characters per chunk; chunks never span two chapters
+        maxChapters: 2000
+      },
+      emails: {
+        // .eml and .mbox files are chunked per message, repeating sender, date and subject in every chunk
+        maxChunkSize: 1500, // characters per message chunk; longer bodies are split at paragraphs
+        maxMessages: 10000, // per mailbox; larger files are rejected
+        // Supported attachments are ingested as documents linked to their message
+        maxAttachments: 20, // per file
+        maxAttachmentSize: 10 * 1024 * 1024 // 10MB
+      },
+      archives: {
+        // ZIP uploads are expanded into one document per supported file
+        maxArchiveSize: 100 * 1024 * 1024, // 100MB, the upload limit
+        maxEntries: 1000, // supported files per archive, nested archives included
+        maxEntrySize: 50 * 1024 * 1024, // 50MB per extracted file
+        maxTotalSize: 500 * 1024 * 1024, // 500MB extracted in total
+        maxCompressionRatio: 100, // extracted total relative to the archive size
+        maxNestingDepth: 2, // a ZIP inside the uploaded ZIP is expanded, one level deeper is not
+        maxPathDepth: 20 // folder levels
+      },
+      versioning: {
+        // Re-uploads become new versions; chat compares two versions from the lines that changed
+        maxComparisonChunkSize: 1500, // characters of changed text per context chunk
+        maxComparisonChunks: 20
+      },
+      codeDocuments: {
+        // Source files uploaded with the 'code' chunking strategy are read as text and chunked
+        // on function and class boundaries; they are never executed or served back
+        extensions: [
+          '.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.py', '.java', '.kt', '.cs', '.swift', '.go',
+          '.rb', '.php', '.rs', '.c', '.h', '.cpp', '.hpp', '.sh', '.sql'
+        ],
+        maxFileSize: 2 * 1024 * 1024, // 2MB
+        maxChunkSize: 1500 // characters per code chunk; longer definitions are split at blank lines
+      },
+      hybridSearch: {
+        // 'hybrid' (BM25 + vectors), 'semantic' (vectors only) or 'keyword' (BM25 only)
+        defaultMode: 'hybrid',
+        semanticWeight: 1.0,
+        keywordWeight: 1.0,
+        rrfK: 60,
+        maxCandidates: 50
+      },
+      reranker: {
+        // Cross-encoder reranking; skipped automatically when the model is not in modelCacheDir
+        enabled: process.env.RERANKER_ENABLED !== 'false',
+        model: process.env.RERANKER_MODEL || 'Xenova/ms-marco-MiniLM-L-6-v2',
+        modelCacheDir: './model_cache',
+        quantized: true,
+        topN: 20,
+        maxLength: 512
+      },
+      queryRewrite: {
+        // Condense follow-up questions into standalone search queries; heuristic when the LLM is unavailable
+        enabled: process.env.QUERY_REWRITE_ENABLED !== 'false',
+        useLLM: process.env.QUERY_REWRITE_LLM !== 'false',
+        historyTurns: 6,
+        maxTurnChars: 600,
+        shortQueryWords: 3,
+        maxQueryLength: 300
+      },
+      grounding: {
+        // Flag answer sentences that the cited chunks do not support
+        enabled: process.env.GROUNDING_ENABLED !== 'false',
+        similarityThreshold: 0.6, // cosine similarity with the local embedding model
+        lexicalThreshold: 0.6, // share of content words found in a chunk, when embeddings are unavailable
+        minClaimWords: 5,
+        maxClaims: 30
+      },
+      llm: {
+        // 'openai' or 'openai-compatible' (llama.cpp server, Ollama, vLLM or any /v1/chat/completions server)
+        provider: (process.env.LLM_PROVIDER || 'openai').toLowerCase(),
+        providers: {
+          openai: {
+            apiKey: process.env.OPENAI_API_KEY,
+            requiresApiKey: true,
+            baseURL: null,
+            chatModel: process.env.OPENAI_CHAT_MODEL || 'gpt-3.5-turbo',
+            embeddingModel: process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small',
+            timeout: 60000, // 60 seconds
+            maxRetries: 3,
+            maxTokens: 2000,
+            supportsStreamUsage: true
+          },
+          'openai-compatible': {
+            apiKey: process.env.LLM_API_KEY,
+            requiresApiKey: false,
+            baseURL: process.env.LLM_BASE_URL || 'http://localhost:11434/v1',
+            chatModel: process.env.LLM_CHAT_MODEL || 'llama3.1',
+            embeddingModel: process.env.LLM_EMBEDDING_MODEL || 'nomic-embed-text',
+            timeout: parseInt(process.env.LLM_TIMEOUT_MS, 10) || 120000, // local models are slower
+            maxRetries: 1,
+            maxTokens: parseInt(process.env.LLM_MAX_TOKENS, 10) || 1024,
+            supportsStreamUsage: false
+          }
+        }
+      },
+      twoFactor: {
+        // TOTP (RFC 6238) codes from authenticator apps, as a second step of signing in
+        issuer: process.env.TWO_FACTOR_ISSUER || 'Auth System', // name shown in the authenticator app
+        digits: 6,
+        period: 30, // seconds per code
+        window: 1, // codes of one period before and after the current one are accepted (clock drift)
+        recoveryCodeCount: 10,
+        challengeExpiresIn: '5m', // time to enter the code after the password
+        // Secrets are stored encrypted with a key derived from this value
+        encryptionKey: process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET
+      },
+      emailVerification: {
+        tokenExpiresInHours: 24,
+        resendCooldownSeconds: 60, // between verification emails to one account
+        maxEmailsPerDay: 5,
+        // Features unverified accounts cannot use: 'uploads', 'chat'; empty to allow everything
+        restrict: (process.env.EMAIL_VERIFICATION_RESTRICT ?? 'uploads,chat').split(',').map(feature => feature.trim()).filter(Boolean),
+        verifyUrlBase: process.env.VERIFY_EMAIL_URL_BASE || `${process.env.FRONTEND_URL || 'http://localhost:5173'}/verify-email`
+      },
+      apiKeys: {
+        // Scopes a key can be given: search (read-only search and document reads), upload, chat
+        scopes: ['search', 'upload', 'chat'],
+        maxKeysPerUser: 20, // active keys
+        defaultRateLimitPerMinute: 60,
+        maxRateLimitPerMinute: 600,
+        maxExpiresInDays: 365
+      },
+      bruteForce: {
+        // Failed attempts are counted per account (email) and per IP address within the window.
+        // After freeAttempts each further attempt waits, doubling from delaySeconds up to
+        // maxDelaySeconds; at the failure limit the account or address is locked
+        windowMinutes: 15,
+        lockoutMinutes: parseInt(process.env.LOCKOUT_MINUTES, 10) || 15,
+        delaySeconds: 1,
+        maxDelaySeconds: 60,
+        actions: {
+          login: { freeAttempts: 3, maxAccountFailures: 10, maxIpFailures: 50 },
+          // Every forgot-password request counts, so one address cannot be flooded with emails
+          'password-reset': { freeAttempts: 2, maxAccountFailures: 5, maxIpFailures: 20 },
+          // Reset tokens are guessed without an account, so only the address is counted
+          'reset-token': { freeAttempts: 3, maxIpFailures: 10 }
+        },
+        unlockUrlBase: process.env.UNLOCK_URL_BASE || `${process.env.FRONTEND_URL || 'http://localhost:5173'}/unlock-account`
+      },
+      admin: {
+        // Accounts allowed to reset other users' two-factor authentication
+        emails: (process.env.ADMIN_EMAILS || '').split(',').map(email => email.trim().toLowerCase()).filter(Boolean)
       }
     };
 
@@ -156,7 +156,7 @@ class DataFolderProcessor {
    */
   async discoverFiles(folderPath) {
     const files = [];
-    const supportedExtensions = this.config.supportedExtensions || ['.pdf', '.docx', '.html', '.htm', '.txt'];
+    const supportedExtensions = this.config.supportedExtensions || ['.pdf', '.docx', '.html', '.htm', '.txt', '.md', '.markdown', '.rst', '.csv', '.xlsx', '.pptx', '.eml', '.mbox', '.epub', '.odt', '.rtf'];
 
     const scanDirectory = async (dirPath) => {
       try {
@@ -0,0 +1,118 @@
+jest.mock('../advancedDocumentService', () => ({
+  generateEmbedding: jest.fn()
+}));
+
+const answerProfileService = require('../answerProfileService');
+const responseFormatter = require('../responseFormatter');
+const groundingService = require('../groundingService');
+
+describe('Answer profiles', () => {
+  const contextBlocks = [
+    {
+      source: 'install-guide.pdf',
+      chunkIndex: 3,
+      score: 0.91,
+      text: 'Set MAX_WORKERS to the number of CPU cores. The default is 4.',
+      fileType: 'PDF',
+      metadata: { date: '2024-03-01' }
+    }
+  ];
+
+  test('should validate requested profile names and resolve chat, then user defaults', () => {
+    expect(answerProfileService.list().map(profile => profile.name))
+      .toEqual(['legal', 'technical', 'concise', 'study-notes', 'executive-summary']);
+
+    expect(answerProfileService.parseAnswerProfileRequest(undefined)).toEqual({ answerProfile: null, error: null });
+    expect(answerProfileService.parseAnswerProfileRequest('concise')).toEqual({ answerProfile: 'concise', error: null });
+    expect(answerProfileService.parseAnswerProfileRequest('pirate').error).toMatch(/answerProfile must be one of: legal, technical/);
+
+    expect(answerProfileService.resolve(null, 'technical')).toBe('technical');
+    expect(answerProfileService.resolve('concise', 'technical')).toBe('concise');
+    expect(answerProfileService.resolve(null, undefined)).toBe('legal');
+    expect(answerProfileService.get('unknown').name).toBe('legal');
+  });
+
+  test('should build the system prompt from the profile layout and rules', () => {
+    const prompt = answerProfileService.buildFormatPrompt('executive-summary');
+
+    expect(prompt).toContain('Use ONLY the provided document context to answer');
+    expect(prompt.indexOf('EXECUTIVE SUMMARY:')).toBeLessThan(prompt.indexOf('SUPPORTING EVIDENCE:'));
+    expect(prompt.indexOf('SUPPORTING EVIDENCE:')).toBeLessThan(prompt.indexOf('SOURCES:'));
+    expect(prompt).toContain('- Do not recommend actions the documents do not support');
+    expect(prompt).not.toContain('Legal Disclaimer');
+  });
+
+  test('should lay answers out in the profile section order, without a disclaimer when the profile has none', () => {
+    const formatted = responseFormatter.formatResponse('Set MAX_WORKERS to the number of CPU cores.', contextBlocks, 'technical');
+
+    expect(formatted).toBe(`RELEVANT DOCUMENTATION:
+- install-guide.pdf | Chunk 3 | 2024-03-01
+Excerpt: "Set MAX_WORKERS to the number of CPU cores. The default is 4."
+
+TECHNICAL ANSWER:
+Set MAX_WORKERS to the number of CPU cores.
+
+REFERENCES:
+- Resource: install-guide.pdf | Chunk 3 | 2024-03-01`);
+    expect(responseFormatter.isAlreadyFormatted(formatted, 'technical')).toBe(true);
+    expect(responseFormatter.isAlreadyFormatted(formatted, 'legal')).toBe(false);
+  });
+
+  test('should extract sections by the profile headings', () => {
+    const answer = `EXECUTIVE SUMMARY:
+Bottom line: scale workers with cores.
+
+SUPPORTING EVIDENCE:
+- install-guide.pdf | Chunk 3 | 2024-03-01
+Excerpt: "Set MAX_WORKERS to the number of CPU cores."
+
+SOURCES:
+- Resource: install-guide.pdf | Chunk 3 | 2024-03-01`;
+
+    expect(responseFormatter.extractSummary(answer, 'executive-summary')).toBe('Bottom line: scale workers with cores.');
+    expect(responseFormatter.extractProvisions(answer, contextBlocks, 'executive-summary'))
+      .toBe('- install-guide.pdf | Chunk 3 | 2024-03-01\nExcerpt: "Set MAX_WORKERS to the number of CPU cores."');
+    expect(responseFormatter.formatResponse(answer, contextBlocks, 'executive-summary')).toBe(answer);
+  });
+
+  test('should validate concise answers without excerpts, quotes or dates', () => {
+    const answer = responseFormatter.buildFormattedResponse(
+      'unused',
+      'Use one worker per CPU core (install-guide.pdf).',
+      '- Resource: install-guide.pdf | Chunk 3',
+      'concise'
+    );
+
+    expect(answer).toBe('ANSWER:\nUse one worker per CPU core (install-guide.pdf).\n\nSOURCES:\n- Resource: install-guide.pdf | Chunk 3');
+
+    const validation = responseFormatter.validateResponseStructure(answer, { strict: true, profile: 'concise' });
+    expect(validation.issues).toEqual([]);
+    expect(validation.score).toBe(100);
+    expect(responseFormatter.validateResponseStructure(answer, { profile: 'concise' }).isValid).toBe(true);
+
+    // The same text is missing most of the legal layout
+    const legal = responseFormatter.validateResponseStructure(answer, { strict: true });
+    expect(legal.issues).toEqual(expect.arrayContaining([
+      'Missing required section: RELEVANT LEGAL PROVISIONS',
+      'Missing required section: LEGAL SUMMARY',
+      'Missing required disclaimer'
+    ]));
+  });
+
+  test('should put error messages in the summary of profiles without an excerpts section', () => {
+    expect(responseFormatter.formatErrorResponse('No documents found', 'Upload a guide', 'concise'))
+      .toBe('ANSWER:\nNo documents found\n\nUpload a guide\n\nSOURCES:\nNo sources available');
+  });
+
+  test('should stop grounding claims at the profile citations heading', () => {
+    const answer = `STUDY NOTES:
+- Workers should match the number of CPU cores on the host.
+
+SOURCES:
+- Resource: install-guide.pdf | Chunk 3 | 2024-03-01
+Reviewed sources include every installation guide in the library.`;
+
+    expect(groundingService.extractClaims(answer, 'study-notes'))
+      .toEqual(['Workers should match the number of CPU cores on the host.']);
+  });
+});
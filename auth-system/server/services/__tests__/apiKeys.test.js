@@ -0,0 +1,99 @@
+process.env.DB_PATH = ':memory:';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.BCRYPT_ROUNDS = '4';
+
+const express = require('express');
+const request = require('supertest');
+const database = require('../../config/database');
+const User = require('../../models/User');
+const ApiKey = require('../../models/ApiKey');
+const apiKeyService = require('../apiKeyService');
+const { authenticateToken, allowApiKey } = require('../../middleware/auth');
+const { generateTokens } = require('../../utils/jwt');
+const { useTestDatabase } = require('../../tests/helpers/testDatabase');
+
+describe('API keys', () => {
+  let user;
+  let app;
+
+  useTestDatabase();
+
+  beforeAll(async () => {
+    user = await User.create({ firstName: 'Linus', lastName: 'Torvalds', email: 'linus@example.com', password: 'Correct-horse-1' });
+
+    app = express();
+    const respond = (req, res) => res.json({ userId: req.user.id, viaApiKey: Boolean(req.apiKey) });
+    app.get('/search', allowApiKey('search'), authenticateToken, respond);
+    app.get('/chat', allowApiKey('chat'), authenticateToken, respond);
+    app.get('/settings', authenticateToken, respond);
+  });
+
+  test('should store only a hash and show the key once', async () => {
+    const { apiKey, key } = await apiKeyService.create(user, { name: 'Nightly sync', scopes: ['search'] });
+
+    expect(key).toMatch(/^ak_[A-Za-z0-9_-]{43}$/);
+    expect(key.startsWith(apiKey.keyPrefix)).toBe(true);
+    expect(apiKey.keyHash).not.toContain(key.slice(3));
+    expect(apiKey.rateLimitPerMinute).toBe(60);
+    expect(JSON.stringify(apiKey)).not.toContain(apiKey.keyHash);
+    expect(apiKey.toJSON()).toMatchObject({ name: 'Nightly sync', scopes: ['search'], status: 'active', lastUsedAt: null });
+  });
+
+  test('should authenticate scoped routes with a key and record its use', async () => {
+    const { apiKey, key } = await apiKeyService.create(user, { name: 'Search bot', scopes: ['search'] });
+
+    const bearer = await request(app).get('/search').set('Authorization', `Bearer ${key}`);
+    expect(bearer.status).toBe(200);
+    expect(bearer.body).toEqual({ userId: user.id, viaApiKey: true });
+
+    expect((await request(app).get('/search').set('X-API-Key', key)).status).toBe(200);
+    expect((await ApiKey.findById(apiKey.id)).lastUsedAt).not.toBeNull();
+
+    const wrongScope = await request(app).get('/chat').set('X-API-Key', key);
+    expect(wrongScope.status).toBe(403);
+    expect(wrongScope.body.code).toBe('INSUFFICIENT_API_KEY_SCOPE');
+
+    const notAllowed = await request(app).get('/settings').set('X-API-Key', key);
+    expect(notAllowed.status).toBe(403);
+    expect(notAllowed.body.code).toBe('API_KEY_NOT_ALLOWED');
+
+    // JWTs still work everywhere
+    const { accessToken } = generateTokens(user.id);
+    expect((await request(app).get('/settings').set('Authorization', `Bearer ${accessToken}`)).body).toEqual({ userId: user.id, viaApiKey: false });
+  });
+
+  test('should reject revoked, expired and unknown keys', async () => {
+    const revoked = await apiKeyService.create(user, { name: 'Old script', scopes: ['search'] });
+    expect((await apiKeyService.revoke(user, revoked.apiKey.id)).toJSON().status).toBe('revoked');
+
+    const expired = await apiKeyService.create(user, { name: 'Temporary', scopes: ['search'], expiresInDays: 1 });
+    await new Promise((resolve, reject) => database.getDb().run(
+      'UPDATE api_keys SET expires_at = ? WHERE id = ?',
+      [new Date(Date.now() - 1000).toISOString(), expired.apiKey.id],
+      (err) => (err ? reject(err) : resolve())
+    ));
+
+    for (const key of [revoked.key, expired.key, 'ak_unknown']) {
+      const response = await request(app).get('/search').set('X-API-Key', key);
+      expect(response.status).toBe(401);
+      expect(response.body.code).toBe('INVALID_API_KEY');
+    }
+
+    const other = await User.create({ firstName: 'Ken', lastName: 'Thompson', email: 'ken@example.com', password: 'Correct-horse-1' });
+    const { apiKey } = await apiKeyService.create(user, { name: 'Mine', scopes: ['search'] });
+    expect(await apiKeyService.revoke(other, apiKey.id)).toBeNull();
+  });
+
+  test('should limit requests per key', async () => {
+    const limited = await apiKeyService.create(user, { name: 'Slow', scopes: ['chat'], rateLimitPerMinute: 2 });
+    const unlimited = await apiKeyService.create(user, { name: 'Fast', scopes: ['chat'] });
+
+    const statuses = [];
+    for (let i = 0; i < 3; i++) {
+      statuses.push((await request(app).get('/chat').set('X-API-Key', limited.key)).status);
+    }
+
+    expect(statuses).toEqual([200, 200, 429]);
+    expect((await request(app).get('/chat').set('X-API-Key', unlimited.key)).status).toBe(200);
+  });
+});
@@ -0,0 +1,129 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JSZip = require('jszip');
+const archiveExtractionService = require('../archiveExtractionService');
+const fileValidationService = require('../fileValidationService');
+const ConfigurationManager = require('../ConfigurationManager');
+
+const SUPPORTED = ['.pdf', '.txt', '.md', '.zip'];
+const options = {
+  isSupported: fileName => SUPPORTED.includes(path.extname(fileName).toLowerCase()),
+  getMimeType: fileName => (path.extname(fileName) === '.md' ? 'text/markdown' : 'text/plain')
+};
+
+const buildZip = async (entries, generateOptions = {}) => {
+  const zip = new JSZip();
+  for (const [name, content] of Object.entries(entries)) {
+    zip.file(name, content, { createFolders: false });
+  }
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE', ...generateOptions });
+};
+
+describe('Archive upload', () => {
+  let tempDir;
+  const originalConfig = JSON.parse(JSON.stringify(ConfigurationManager.getServiceConfig('archives')));
+
+  const writeArchive = async (name, entries) => {
+    const archivePath = path.join(tempDir, name);
+    fs.writeFileSync(archivePath, await buildZip(entries));
+    return archivePath;
+  };
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'archive-upload-'));
+  });
+
+  afterEach(() => {
+    ConfigurationManager.set('archives', JSON.parse(JSON.stringify(originalConfig)));
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should extract supported entries and keep their folder path', async () => {
+    const archivePath = await writeArchive('contracts.zip', {
+      'readme.txt': 'Contracts for 2024',
+      'contracts/2024/nda.md': '# NDA\n\nFive year term.',
+      'contracts/2024/logo.png': 'not a document',
+      '__MACOSX/contracts/._nda.md': 'resource fork',
+      'contracts/.DS_Store': 'finder'
+    });
+
+    const { files, skipped } = await archiveExtractionService.extractArchive(archivePath, options);
+
+    expect(files.map(file => [file.originalname, file.folderPath, file.mimetype, file.size])).toEqual([
+      ['readme.txt', null, 'text/plain', 18],
+      ['nda.md', 'contracts/2024', 'text/markdown', 22]
+    ]);
+    files.forEach(file => {
+      expect(path.dirname(file.path)).toBe(tempDir);
+      expect(file.filename).toMatch(/^doc-\d+-\d+\.(txt|md)$/);
+    });
+    expect(fs.readFileSync(files[1].path, 'utf8')).toBe('# NDA\n\nFive year term.');
+    expect(skipped).toEqual([{ entryName: 'contracts/2024/logo.png', reason: 'Unsupported file type' }]);
+  });
+
+  test('should skip entries whose path leaves the archive', async () => {
+    expect(archiveExtractionService.normalizeEntryName('a/./b\\c.txt')).toBe('a/b/c.txt');
+    expect(archiveExtractionService.normalizeEntryName('../../etc/passwd.txt')).toBeNull();
+    expect(archiveExtractionService.normalizeEntryName('docs/../../escape.txt')).toBeNull();
+    expect(archiveExtractionService.normalizeEntryName('/etc/passwd.txt')).toBeNull();
+    expect(archiveExtractionService.normalizeEntryName('C:\\Windows\\win.txt')).toBeNull();
+
+    const archivePath = await writeArchive('slip.zip', {
+      '../../escape.txt': 'outside',
+      'inside.txt': 'inside'
+    });
+
+    const { files, skipped } = await archiveExtractionService.extractArchive(archivePath, options);
+
+    expect(files.map(file => file.originalname)).toEqual(['inside.txt']);
+    expect(skipped).toEqual([{ entryName: '../../escape.txt', reason: 'Entry path points outside the archive' }]);
+    expect(fs.existsSync(path.join(tempDir, '..', '..', 'escape.txt'))).toBe(false);
+  });
+
+  test('should expand nested archives up to the nesting limit', async () => {
+    const innermost = await buildZip({ 'deep.txt': 'too deep' });
+    const inner = await buildZip({ 'minutes.txt': 'Board minutes', 'archive/old.zip': innermost });
+    const archivePath = await writeArchive('nested.zip', { 'board/2023.zip': inner });
+
+    const { files, skipped } = await archiveExtractionService.extractArchive(archivePath, options);
+
+    expect(files.map(file => [file.originalname, file.folderPath])).toEqual([['minutes.txt', 'board/2023.zip']]);
+    expect(skipped).toEqual([{ entryName: 'board/2023.zip/archive/old.zip', reason: 'Archives are nested more than 2 levels deep' }]);
+  });
+
+  test('should reject decompression bombs and remove files already extracted', async () => {
+    const archivePath = await writeArchive('bomb.zip', {
+      'first.txt': 'extracted before the bomb',
+      'zeros.txt': Buffer.alloc(4 * 1024 * 1024)
+    });
+
+    await expect(archiveExtractionService.extractArchive(archivePath, options)).rejects.toThrow(/decompression bomb/);
+    expect(fs.readdirSync(tempDir)).toEqual(['bomb.zip']);
+
+    ConfigurationManager.set('archives.maxCompressionRatio', 100000);
+    ConfigurationManager.set('archives.maxEntrySize', 1024 * 1024);
+    await expect(archiveExtractionService.extractArchive(archivePath, options)).rejects.toThrow('zeros.txt is larger than 1MB when extracted');
+
+    ConfigurationManager.set('archives.maxEntries', 1);
+    await expect(archiveExtractionService.extractArchive(archivePath, options)).rejects.toThrow('Archive has more than 1 files');
+    expect(fs.readdirSync(tempDir)).toEqual(['bomb.zip']);
+  });
+
+  test('should validate every extracted file in one batch whatever the batch size', async () => {
+    const entries = {};
+    for (let i = 1; i <= 25; i++) {
+      entries[`notes/note-${i}.txt`] = `Note number ${i}`;
+    }
+    const archivePath = await writeArchive('notes.zip', entries);
+    const { files } = await archiveExtractionService.extractArchive(archivePath, options);
+
+    const defaultLimit = await fileValidationService.validateBatch(files, 1);
+    expect(defaultLimit.isValid).toBe(false);
+    expect(defaultLimit.errors[0]).toMatch(/Too many files/);
+
+    const result = await fileValidationService.validateBatch(files, 1, { maxBatchSize: files.length, maxTotalBatchSize: Infinity });
+    expect(result.isValid).toBe(true);
+    expect(result.validFiles).toHaveLength(25);
+  });
+});
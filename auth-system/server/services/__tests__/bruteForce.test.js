@@ -0,0 +1,139 @@
+process.env.DB_PATH = ':memory:';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.BCRYPT_ROUNDS = '4';
+
+const express = require('express');
+const request = require('supertest');
+const database = require('../../config/database');
+const User = require('../../models/User');
+const AuthLockout = require('../../models/AuthLockout');
+const PasswordResetToken = require('../../models/PasswordResetToken');
+const emailService = require('../emailService');
+const bruteForceService = require('../bruteForceService');
+const authRoutes = require('../../routes/auth');
+const { useTestDatabase } = require('../../tests/helpers/testDatabase');
+
+describe('Brute-force protection', () => {
+  let app;
+  let user;
+  let now;
+  let sendAccountLockedEmail;
+
+  const withLimits = (action, limits) => {
+    const config = bruteForceService.config;
+    return jest.spyOn(bruteForceService, 'config', 'get').mockReturnValue({
+      ...config,
+      actions: { ...config.actions, [action]: limits }
+    });
+  };
+
+  const login = (email, password) => request(app).post('/api/auth/login').send({ email, password });
+
+  const clearTables = () => Promise.all(['auth_failures', 'auth_lockouts'].map(table => new Promise((resolve, reject) => {
+    database.getDb().run(`DELETE FROM ${table}`, (err) => (err ? reject(err) : resolve()));
+  })));
+
+  useTestDatabase();
+
+  beforeAll(async () => {
+    user = await User.create({ firstName: 'Grace', lastName: 'Hopper', email: 'grace@example.com', password: 'Correct-horse-1' });
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/auth', authRoutes);
+  });
+
+  beforeEach(() => {
+    now = Date.now();
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    sendAccountLockedEmail = jest.spyOn(emailService, 'sendAccountLockedEmail').mockResolvedValue({ messageId: 'test' });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await clearTables();
+  });
+
+  test('should double the delay after the free attempts', () => {
+    withLimits('login', { freeAttempts: 1, maxAccountFailures: 10, maxIpFailures: 50 });
+
+    expect([1, 2, 3, 4, 5].map(failures => bruteForceService.getDelaySeconds('login', failures))).toEqual([0, 1, 2, 4, 8]);
+    expect(bruteForceService.getDelaySeconds('login', 20)).toBe(bruteForceService.config.maxDelaySeconds);
+  });
+
+  test('should delay, then lock an account and unlock it with the emailed link', async () => {
+    withLimits('login', { freeAttempts: 2, maxAccountFailures: 4, maxIpFailures: 50 });
+
+    expect((await login(user.email, 'wrong-password')).status).toBe(401);
+    expect((await login(user.email, 'wrong-password')).status).toBe(401);
+    expect((await login(user.email, 'wrong-password')).status).toBe(401);
+
+    const delayed = await login(user.email, 'wrong-password');
+    expect(delayed.status).toBe(429);
+    expect(delayed.body.code).toBe('TOO_MANY_ATTEMPTS');
+    expect(delayed.headers['retry-after']).toBe('1');
+
+    now += 1000;
+    const locked = await login(user.email, 'wrong-password');
+    expect(locked.status).toBe(429);
+    expect(locked.body.code).toBe('ACCOUNT_LOCKED');
+    expect(Number(locked.headers['retry-after'])).toBe(bruteForceService.config.lockoutMinutes * 60);
+
+    // Locked even with the right password, until the link in the email is used
+    expect((await login(user.email, 'Correct-horse-1')).status).toBe(429);
+
+    const [lockout] = await AuthLockout.findRecent();
+    expect(lockout).toMatchObject({ action: 'login', subjectType: 'account', subject: user.email, userId: user.id, failureCount: 4 });
+
+    expect(sendAccountLockedEmail).toHaveBeenCalledWith(user.email, 'Grace', expect.stringMatching(/\/unlock-account\?token=[0-9a-f]{64}$/), expect.any(Number));
+    const token = new URL(sendAccountLockedEmail.mock.calls[0][2]).searchParams.get('token');
+
+    expect((await request(app).get(`/api/auth/unlock-account/${token}`)).status).toBe(200);
+    expect((await request(app).get(`/api/auth/unlock-account/${token}`)).status).toBe(400);
+
+    // The address keeps its own count and short delay
+    now += 2000;
+    expect((await login(user.email, 'Correct-horse-1')).status).toBe(200);
+  });
+
+  test('should lock an IP address guessing across accounts', async () => {
+    withLimits('login', { freeAttempts: 10, maxAccountFailures: 10, maxIpFailures: 3 });
+
+    expect((await login('nobody1@example.com', 'guess')).status).toBe(401);
+    expect((await login('nobody2@example.com', 'guess')).status).toBe(401);
+
+    const locked = await login('nobody3@example.com', 'guess');
+    expect(locked.status).toBe(429);
+    expect(locked.body.code).toBe('TOO_MANY_ATTEMPTS');
+
+    expect((await login(user.email, 'Correct-horse-1')).status).toBe(429);
+    expect(sendAccountLockedEmail).not.toHaveBeenCalled();
+
+    const [lockout] = await AuthLockout.findRecent();
+    expect(lockout).toMatchObject({ action: 'login', subjectType: 'ip', userId: null, failureCount: 3 });
+  });
+
+  test('should lock reset token guessing, also for valid tokens', async () => {
+    withLimits('reset-token', { freeAttempts: 10, maxIpFailures: 2 });
+    const resetToken = await PasswordResetToken.create(user.id, 1);
+
+    expect((await request(app).get('/api/auth/reset-password/not-a-token')).status).toBe(400);
+    expect((await request(app).get('/api/auth/reset-password/still-not-a-token')).status).toBe(400);
+    expect((await request(app).get(`/api/auth/reset-password/${resetToken.token}`)).status).toBe(429);
+
+    now += bruteForceService.config.lockoutMinutes * 60 * 1000;
+    expect((await request(app).get(`/api/auth/reset-password/${resetToken.token}`)).status).toBe(200);
+  });
+
+  test('should count every forgot-password request', async () => {
+    withLimits('password-reset', { freeAttempts: 1, maxAccountFailures: 5, maxIpFailures: 20 });
+    const forgot = () => request(app).post('/api/auth/forgot-password').send({ email: 'nobody@example.com' });
+
+    expect((await forgot()).status).toBe(200);
+    expect((await forgot()).status).toBe(200);
+
+    const delayed = await forgot();
+    expect(delayed.status).toBe(429);
+    expect(delayed.headers['retry-after']).toBe('1');
+  });
+});
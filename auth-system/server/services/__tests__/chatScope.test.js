@@ -0,0 +1,156 @@
+process.env.DB_PATH = ':memory:';
+
+const database = require('../../config/database');
+const Document = require('../../models/Document');
+const chatScopeService = require('../chatScopeService');
+const documentChunkService = require('../documentChunkService');
+const lexicalIndexService = require('../lexicalIndexService');
+
+const run = (query, params) => new Promise((resolve, reject) => {
+  database.getDb().run(query, params, (err) => (err ? reject(err) : resolve()));
+});
+
+describe('Chat scope', () => {
+  const userId = 7;
+  const namespace = 'user-jane-doe-7';
+  let lease;
+  let invoice;
+  let policy;
+
+  // Documents get a chunk manifest unless `legacy`, like those stored before manifests existed
+  const addDocument = async (originalName, createdAt, tags = [], { legacy = false } = {}) => {
+    const document = await Document.create({
+      userId,
+      pineconeId: namespace,
+      fileName: `doc-${originalName}`,
+      originalName,
+      fileType: 'PDF',
+      fileSize: 100,
+      filePath: `/tmp/${originalName}`,
+      extractedText: ''
+    });
+    await run('UPDATE documents SET created_at = ? WHERE id = ?', [createdAt, document.id]);
+    await document.updateTags(tags);
+    if (!legacy) {
+      await document.updateChunkManifest([documentChunkService.getChunkId(document.id, 0)], ['hash']);
+    }
+    return document;
+  };
+
+  beforeAll(async () => {
+    await database.connect();
+
+    lease = await addDocument('lease.pdf', '2024-01-15 09:00:00', ['contracts']);
+    invoice = await addDocument('invoice.pdf', '2024-03-01 23:30:00', ['finance']);
+    policy = await addDocument('policy.pdf', '2024-06-10 12:00:00', ['contracts', 'hr']);
+    await addDocument('someone-else.pdf', '2024-03-01 10:00:00', ['contracts']);
+    await run('UPDATE documents SET user_id = ? WHERE original_name = ?', [userId + 1, 'someone-else.pdf']);
+  });
+
+  afterAll(async () => {
+    await database.close();
+  });
+
+  describe('parseScopeRequest', () => {
+    test('should treat missing or empty scopes as all documents', () => {
+      expect(chatScopeService.parseScopeRequest(undefined)).toEqual({ scope: null, error: null });
+      expect(chatScopeService.parseScopeRequest({ documentIds: [], tags: [' '] })).toEqual({ scope: null, error: null });
+    });
+
+    test('should normalise ids, tags and dates', () => {
+      const { scope } = chatScopeService.parseScopeRequest({
+        documentIds: ['3', 3, 5],
+        tags: [' contracts ', 'contracts'],
+        uploadedAfter: '2024-01-01',
+        uploadedBefore: ''
+      });
+
+      expect(scope).toEqual({ documentIds: [3, 5], tags: ['contracts'], uploadedAfter: '2024-01-01' });
+    });
+
+    test('should reject malformed scopes', () => {
+      expect(chatScopeService.parseScopeRequest(['lease.pdf']).error).toMatch(/scope must be an object/);
+      expect(chatScopeService.parseScopeRequest({ documentIds: ['lease'] }).error).toBe('scope.documentIds must be an array of document IDs');
+      expect(chatScopeService.parseScopeRequest({ uploadedAfter: '01/02/2024' }).error).toBe('scope.uploadedAfter must be a date in YYYY-MM-DD format');
+      expect(chatScopeService.parseScopeRequest({ uploadedAfter: '2024-05-01', uploadedBefore: '2024-04-01' }).error)
+        .toBe('scope.uploadedAfter must not be later than scope.uploadedBefore');
+    });
+  });
+
+  describe('resolveScope', () => {
+    const names = (resolved) => resolved.documents.map(document => document.originalName).sort();
+
+    test('should not filter when the chat has no scope', async () => {
+      expect(await chatScopeService.resolveScope(userId, null)).toEqual({ filter: {}, documents: null, documentCount: null });
+    });
+
+    test('should combine document ids and tags, limited to the owner', async () => {
+      const resolved = await chatScopeService.resolveScope(userId, { documentIds: [invoice.id], tags: ['hr'] });
+
+      expect(names(resolved)).toEqual(['invoice.pdf', 'policy.pdf']);
+      expect(resolved.filter).toEqual({ documentId: { $in: expect.arrayContaining([invoice.id, policy.id]) } });
+      expect(resolved.filter.documentId.$in).toHaveLength(2);
+
+      const tagged = await chatScopeService.resolveScope(userId, { tags: ['contracts'] });
+      expect(names(tagged)).toEqual(['lease.pdf', 'policy.pdf']);
+    });
+
+    test('should apply inclusive upload date ranges', async () => {
+      const march = await chatScopeService.resolveScope(userId, { uploadedAfter: '2024-03-01', uploadedBefore: '2024-03-01' });
+      expect(names(march)).toEqual(['invoice.pdf']);
+
+      const contractsThisSpring = await chatScopeService.resolveScope(userId, { tags: ['contracts'], uploadedAfter: '2024-02-01' });
+      expect(names(contractsThisSpring)).toEqual(['policy.pdf']);
+    });
+
+    test('should report an empty scope instead of an empty filter', async () => {
+      const resolved = await chatScopeService.resolveScope(userId, { documentIds: [lease.id], uploadedAfter: '2025-01-01' });
+
+      expect(resolved.documentCount).toBe(0);
+      expect(resolved.filter).toEqual({});
+    });
+
+    test('should restrict keyword search to the scoped documents', async () => {
+      await lexicalIndexService.indexChunks(namespace, [
+        { id: 'lease.pdf_chunk_0', text: 'Termination requires ninety days notice.', metadata: { documentId: lease.id, fileName: 'lease.pdf', chunkIndex: 0 } },
+        { id: 'policy.pdf_chunk_0', text: 'Termination of employment follows the notice policy.', metadata: { documentId: policy.id, fileName: 'policy.pdf', chunkIndex: 0 } }
+      ]);
+
+      const { filter } = await chatScopeService.resolveScope(userId, { documentIds: [policy.id] });
+      const results = await lexicalIndexService.search(namespace, 'termination notice', 5, filter);
+
+      expect(results.matches.map(match => match.id)).toEqual(['policy.pdf_chunk_0']);
+    });
+
+    test('should tell apart documents with the same name', async () => {
+      const scoped = await addDocument('minutes.pdf', '2024-07-01 10:00:00', ['board']);
+      const other = await addDocument('minutes.pdf', '2024-07-02 10:00:00');
+      await lexicalIndexService.indexChunks(namespace, [scoped, other].map(document => ({
+        id: documentChunkService.getChunkId(document.id, 0),
+        text: 'The board approved the budget.',
+        metadata: { documentId: document.id, fileName: 'minutes.pdf', chunkIndex: 0 }
+      })));
+
+      const { filter } = await chatScopeService.resolveScope(userId, { tags: ['board'] });
+      const results = await lexicalIndexService.search(namespace, 'board budget', 5, filter);
+
+      expect(filter).toEqual({ documentId: { $in: [scoped.id] } });
+      expect(results.matches.map(match => match.metadata.documentId)).toEqual([scoped.id]);
+    });
+
+    test('should match chunks stored before document ids by file name', async () => {
+      const legacy = await addDocument('handbook.pdf', '2023-05-01 10:00:00', ['legacy'], { legacy: true });
+      const newer = await addDocument('handbook.pdf', '2024-08-01 10:00:00');
+      await lexicalIndexService.indexChunks(namespace, [
+        { id: 'handbook.pdf_chunk_0', text: 'Holidays are booked with the manager.', metadata: { fileName: 'handbook.pdf', chunkIndex: 0 } },
+        { id: documentChunkService.getChunkId(newer.id, 0), text: 'Holidays are booked online.', metadata: { documentId: newer.id, fileName: 'handbook.pdf', chunkIndex: 0 } }
+      ]);
+
+      const { filter } = await chatScopeService.resolveScope(userId, { tags: ['legacy'] });
+      const results = await lexicalIndexService.search(namespace, 'holidays booked', 5, filter);
+
+      expect(filter.$or).toContainEqual({ documentId: { $in: [legacy.id] } });
+      expect(results.matches.map(match => match.id)).toEqual(['handbook.pdf_chunk_0']);
+    });
+  });
+});
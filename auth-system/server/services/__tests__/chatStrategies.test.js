@@ -0,0 +1,89 @@
+jest.mock('../advancedDocumentService', () => ({
+  searchDocuments: jest.fn(),
+  searchForAnalysis: jest.fn(),
+  searchForComparison: jest.fn(),
+  searchForDifferentiation: jest.fn()
+}));
+
+const chatService = require('../chatService');
+const advancedDocumentService = require('../advancedDocumentService');
+
+describe('Chat strategies', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('parseStrategyRequest', () => {
+    test('should accept known strategies and leave the default to the caller', () => {
+      expect(chatService.parseStrategyRequest('comparison')).toEqual({ strategy: 'comparison', error: null });
+      expect(chatService.parseStrategyRequest(undefined)).toEqual({ strategy: undefined, error: null });
+    });
+
+    test('should reject unknown strategies', () => {
+      const { error } = chatService.parseStrategyRequest('creative');
+      expect(error).toBe('strategy must be one of: auto, simple, analytical, comparison, differentiation');
+    });
+  });
+
+  describe('resolveStrategy', () => {
+    test('should follow detectQueryType in auto mode', () => {
+      expect(chatService.resolveStrategy('What is the notice period?').name).toBe('simple');
+      expect(chatService.resolveStrategy('Summarize the key obligations').name).toBe('analytical');
+
+      const comparison = chatService.resolveStrategy('Compare the lease with the sublease');
+      expect(comparison).toMatchObject({ name: 'comparison', requested: 'auto' });
+      expect(comparison.queryType.entities).toEqual(['the lease', 'the sublease']);
+    });
+
+    test('should let a named strategy override the classification', () => {
+      const forced = chatService.resolveStrategy('What is the notice period?', 'differentiation');
+      expect(forced).toMatchObject({ name: 'differentiation', requested: 'differentiation' });
+      expect(forced.searchParams).toMatchObject({ limit: 12, contrastiveSearch: true });
+
+      const simple = chatService.resolveStrategy('Summarize the key obligations', 'simple');
+      expect(simple.name).toBe('simple');
+      expect(simple.queryType.isAnalytical).toBe(false);
+    });
+  });
+
+  describe('searchWithStrategy', () => {
+    const emptyResults = { matches: [], retrievalMode: 'hybrid' };
+
+    test('should use entity-pair search only when two entities were extracted', async () => {
+      const { searchForComparison, searchForAnalysis } = advancedDocumentService;
+      searchForComparison.mockResolvedValue(emptyResults);
+      searchForAnalysis.mockResolvedValue(emptyResults);
+
+      await chatService.searchWithStrategy('user-1', 'Compare A and B', chatService.resolveStrategy('Compare A and B'));
+      expect(searchForComparison).toHaveBeenCalledWith('user-1', 'Compare A and B', ['A', 'B'], expect.objectContaining({ minDocuments: 2 }));
+
+      await chatService.searchWithStrategy('user-1', 'termination', chatService.resolveStrategy('termination', 'comparison'));
+      expect(searchForAnalysis).toHaveBeenCalledWith('user-1', 'termination', expect.objectContaining({ minDocuments: 2 }));
+    });
+
+    test('should record the strategy and its parameters', async () => {
+      advancedDocumentService.searchDocuments.mockResolvedValue(emptyResults);
+      const strategy = chatService.resolveStrategy('What is the notice period?');
+
+      const searchResults = await chatService.searchWithStrategy('user-1', 'What is the notice period?', strategy, { mode: 'hybrid' });
+
+      expect(chatService.describeStrategy(strategy, searchResults)).toEqual({
+        name: 'simple',
+        params: {
+          requested: 'auto',
+          queryType: 'simple',
+          confidence: 0.5,
+          entities: undefined,
+          limit: 10,
+          chunksPerDoc: 3,
+          minRelevanceScore: 0.3,
+          retrievalMode: 'hybrid'
+        }
+      });
+    });
+  });
+});
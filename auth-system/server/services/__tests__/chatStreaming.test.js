@@ -0,0 +1,168 @@
+jest.mock('../advancedDocumentService', () => ({
+  generateEmbedding: jest.fn(),
+  parseRetrievalRequest: jest.fn(() => ({ retrieval: {}, error: null }))
+}));
+
+process.env.DB_PATH = ':memory:';
+process.env.BCRYPT_ROUNDS = '4';
+
+const express = require('express');
+const request = require('supertest');
+const database = require('../../config/database');
+const User = require('../../models/User');
+const { Chat, ChatMessage } = require('../../models/Chat');
+const chatService = require('../chatService');
+const chatController = require('../../controllers/newChatController');
+
+describe('Chat streaming', () => {
+  let app;
+  let user;
+
+  beforeAll(async () => {
+    await database.connect();
+    user = await User.create({ firstName: 'Grace', lastName: 'Hopper', email: 'grace@example.com', password: 'Correct-horse-1' });
+
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { id: user.id };
+      next();
+    });
+    app.post('/chat/:chatId/messages', chatController.sendMessage);
+    app.post('/chat/:chatId/messages/stream', chatController.streamMessage);
+    app.post('/chat/:chatId/messages/cancel', chatController.cancelStream);
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(chatService, 'generateTitle').mockResolvedValue('Title');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await database.close();
+  });
+
+  test('should refuse a second concurrent stream and cancel the first', async () => {
+    const chat = await Chat.create({ userId: user.id, title: 'New Chat' });
+
+    // The answer is generated until the request is cancelled
+    let generating;
+    const started = new Promise(resolve => { generating = resolve; });
+    const streamChat = jest.spyOn(chatService, 'streamChatWithDocuments').mockImplementation((namespace, message, history, { signal }) => {
+      generating();
+      return new Promise(resolve => signal.addEventListener('abort', () => {
+        resolve({ response: 'Partial answer', sources: [], interrupted: true });
+      }));
+    });
+
+    const stream = () => request(app).post(`/chat/${chat.id}/messages/stream`).send({ message: 'What changed?' }).then(res => res);
+    const responses = Promise.all([stream(), stream()]);
+
+    await started;
+    const cancelled = await request(app).post(`/chat/${chat.id}/messages/cancel`);
+    expect(cancelled.status).toBe(200);
+
+    const [first, second] = await responses;
+    expect([first.status, second.status].sort()).toEqual([200, 409]);
+    expect(streamChat).toHaveBeenCalledTimes(1);
+
+    const streamed = first.status === 200 ? first : second;
+    expect(streamed.text).toContain('event: done');
+    expect(streamed.text).toContain('"interrupted":true');
+    expect(chatController.activeStreams.size).toBe(0);
+  });
+
+  test('should save the exchange the same way for JSON and streamed answers', async () => {
+    const answer = { response: 'The lease ends in May.', sources: [], totalSources: 0, strategy: { name: 'default', params: {} } };
+    jest.spyOn(chatService, 'chatWithDocuments').mockResolvedValue(answer);
+    jest.spyOn(chatService, 'streamChatWithDocuments').mockResolvedValue(answer);
+
+    for (const path of ['messages', 'messages/stream']) {
+      const chat = await Chat.create({ userId: user.id, title: 'New Chat' });
+      const res = await request(app).post(`/chat/${chat.id}/${path}`).send({ message: '  When does the lease end?  ' });
+      expect(res.status).toBe(200);
+
+      const messages = await ChatMessage.findByChatId(chat.id);
+      expect(messages.map(msg => [msg.role, msg.content, msg.status, msg.strategy])).toEqual([
+        ['user', 'When does the lease end?', 'complete', null],
+        ['assistant', 'The lease ends in May.', 'complete', 'default']
+      ]);
+      expect((await Chat.findById(chat.id)).title).toBe('Title');
+    }
+  });
+
+  test('should cancel generation when the client disconnects before the answer starts', async () => {
+    const chat = await Chat.create({ userId: user.id, title: 'New Chat' });
+
+    let resolveScope;
+    const scopeRequested = new Promise(resolve => {
+      jest.spyOn(require('../chatScopeService'), 'resolveScope').mockImplementation(() => {
+        resolve();
+        return new Promise(done => { resolveScope = done; });
+      });
+    });
+    let generated;
+    const generating = new Promise(resolve => { generated = resolve; });
+    const streamChat = jest.spyOn(chatService, 'streamChatWithDocuments').mockImplementation((namespace, message, history, { signal }) => {
+      generated(signal.aborted);
+      return Promise.resolve({ response: '', sources: [], interrupted: true });
+    });
+
+    const pending = request(app).post(`/chat/${chat.id}/messages/stream`).send({ message: 'Summarise the lease' });
+    pending.end(() => {});
+    await scopeRequested;
+    pending.abort();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    resolveScope({ documents: [] });
+
+    expect(await generating).toBe(true);
+    expect(streamChat).toHaveBeenCalledTimes(1);
+  });
+
+  test('should send the grounding check after the answer and release the chat at done', async () => {
+    const chat = await Chat.create({ userId: user.id, title: 'New Chat' });
+    const grounding = { checked: 1, supported: 0, unsupported: 1, groundedRatio: 0, method: 'lexical', claims: [] };
+
+    let finishGrounding;
+    jest.spyOn(chatService, 'streamChatWithDocuments').mockResolvedValue({
+      response: 'Parking is free on weekends.',
+      sources: [],
+      grounding: null,
+      pendingGrounding: new Promise(resolve => { finishGrounding = resolve; })
+    });
+
+    const pending = request(app).post(`/chat/${chat.id}/messages/stream`).send({ message: 'Is parking free?' }).then(res => res);
+
+    // The chat is free again while the answer is still being checked
+    const streamKey = `${user.id}:${chat.id}`;
+    await new Promise(resolve => setTimeout(resolve, 20));
+    while (!(await ChatMessage.findByChatId(chat.id)).some(msg => msg.role === 'assistant') || chatController.activeStreams.has(streamKey)) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    finishGrounding(grounding);
+
+    const res = await pending;
+    const done = res.text.indexOf('event: done');
+    expect(done).toBeGreaterThan(-1);
+    expect(res.text.indexOf('event: grounding')).toBeGreaterThan(done);
+    expect(res.text).toContain('"unsupported":1');
+
+    const [, assistantMessage] = await ChatMessage.findByChatId(chat.id);
+    expect(assistantMessage.grounding).toEqual(grounding);
+  });
+
+  test('should release the chat when the stream fails before it starts', async () => {
+    const chat = await Chat.create({ userId: user.id, title: 'New Chat' });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const resolveScope = jest.spyOn(require('../chatScopeService'), 'resolveScope').mockRejectedValueOnce(new Error('Database is locked'));
+
+    const failed = await request(app).post(`/chat/${chat.id}/messages/stream`).send({ message: 'Hello?' });
+    expect(failed.status).toBe(500);
+    expect(resolveScope).toHaveBeenCalled();
+    expect(chatController.activeStreams.size).toBe(0);
+  });
+});
@@ -0,0 +1,139 @@
+process.env.DB_PATH = ':memory:';
+
+const Document = require('../../models/Document');
+const documentChunkService = require('../documentChunkService');
+const vectorStoreService = require('../vectorStoreService');
+const lexicalIndexService = require('../lexicalIndexService');
+const { makeVector, useTestDatabase, addDocument: createDocument } = require('../../tests/helpers/testDatabase');
+
+describe('Document chunks', () => {
+  let namespace;
+  let user;
+  let userCount = 0;
+
+  useTestDatabase();
+
+  const addDocument = (originalName, extra = {}) => createDocument({ userId: user.id, pineconeId: namespace }, originalName, extra);
+
+  // Index chunks in both indexes and record them in the document's manifest; chunks under
+  // file name ids are stored as they were before chunks carried their document id
+  const storeChunks = async (document, texts, chunkIds = texts.map((text, index) => documentChunkService.getChunkId(document.id, index))) => {
+    await document.updateChunkManifest(chunkIds, texts.map(text => `hash of ${text}`));
+    await lexicalIndexService.indexChunks(namespace, texts.map((text, index) => ({
+      id: chunkIds[index],
+      text,
+      metadata: {
+        ...(documentChunkService.parseChunkId(chunkIds[index]) ? { documentId: document.id } : {}),
+        fileName: document.originalName,
+        chunkIndex: index
+      }
+    })));
+    await vectorStoreService.storeDocuments(texts.map((text, index) => ({
+      id: chunkIds[index],
+      values: makeVector(index),
+      metadata: { fileName: document.originalName, chunkIndex: index, text }
+    })), namespace);
+    return chunkIds;
+  };
+
+  beforeEach(() => {
+    userCount++;
+    user = { id: 100 + userCount, pineconeId: `user-chunks-${userCount}` };
+    namespace = user.pineconeId;
+  });
+
+  test('should derive chunk ids from the document id', () => {
+    expect(documentChunkService.getChunkId(42, 7)).toBe('doc:42:chunk:7');
+    expect(documentChunkService.parseChunkId('doc:42:chunk:7')).toEqual({ documentId: 42, chunkIndex: 7 });
+    expect(documentChunkService.parseChunkId('report.pdf_chunk_7')).toBeNull();
+    expect(documentChunkService.getFileChunkId('report.pdf', 7)).toBe('report.pdf_chunk_7');
+  });
+
+  test('should remove every chunk of a document without touching a document with the same name', async () => {
+    const first = await addDocument('report.pdf');
+    const second = await addDocument('report.pdf');
+    const firstIds = await storeChunks(first, ['Revenue grew.', 'Costs fell.']);
+    const secondIds = await storeChunks(second, ['Revenue shrank.']);
+
+    expect(firstIds).not.toContain(secondIds[0]);
+
+    await documentChunkService.removeChunks(first, namespace);
+
+    expect(await vectorStoreService.fetchDocuments(firstIds, namespace)).toEqual([]);
+    expect((await vectorStoreService.fetchDocuments(secondIds, namespace)).map(vector => vector.id)).toEqual(secondIds);
+    expect((await lexicalIndexService.search(namespace, 'revenue', 5)).matches.map(match => match.id)).toEqual(secondIds);
+  });
+
+  test('should remove chunks of documents stored under file name ids', async () => {
+    const legacy = await addDocument('notes.txt');
+    const chunkIds = await storeChunks(legacy, ['First note.', 'Second note.'], ['notes.txt_chunk_0', 'notes.txt_chunk_1']);
+    // Their manifest only recorded chunk hashes
+    await legacy.updateChunkManifest([], legacy.chunkHashes);
+
+    expect(documentChunkService.getChunkIds(legacy)).toEqual(chunkIds);
+    await documentChunkService.removeChunks(legacy, namespace);
+    expect(await vectorStoreService.fetchDocuments(chunkIds, namespace)).toEqual([]);
+  });
+
+  test('should remove chunks of documents uploaded before chunks were recorded', async () => {
+    const legacy = await addDocument('minutes.txt', { vectorId: 'minutes.txt_1700000000000' });
+    const legacyIds = await storeChunks(legacy, ['Board met.', 'Budget approved.'], ['minutes.txt_chunk_0', 'minutes.txt_chunk_1']);
+    await legacy.updateChunkManifest([], []);
+    const current = await addDocument('minutes.txt');
+    const currentIds = await storeChunks(current, ['Board met again.']);
+    const similar = await addDocument('minutes.txt.bak');
+    const similarIds = await storeChunks(similar, ['Backup.'], ['minutes.txt.bak_chunk_0']);
+    await similar.updateChunkManifest([], []);
+
+    expect(await documentChunkService.removeChunks(legacy, namespace)).toBe(2);
+
+    expect(await vectorStoreService.fetchDocuments(legacyIds, namespace)).toEqual([]);
+    expect((await vectorStoreService.listVectorIds(namespace)).sort()).toEqual([...currentIds, ...similarIds].sort());
+    expect((await lexicalIndexService.search(namespace, 'board', 5)).matches.map(match => match.id)).toEqual(currentIds);
+  });
+
+  test('should keep file name chunks another document without a manifest still uses', async () => {
+    const first = await addDocument('notes.txt');
+    const second = await addDocument('notes.txt');
+    const sharedIds = await storeChunks(second, ['Shared note.'], ['notes.txt_chunk_0']);
+    await Promise.all([first, second].map(document => document.updateChunkManifest([], [])));
+
+    expect(await documentChunkService.removeChunks(first, namespace)).toBe(0);
+    expect((await vectorStoreService.fetchDocuments(sharedIds, namespace)).map(vector => vector.id)).toEqual(sharedIds);
+  });
+
+  test('should report orphaned vectors and documents without vectors', async () => {
+    const indexed = await addDocument('lease.txt');
+    await storeChunks(indexed, ['Rent is 100.', 'Deposit is 200.']);
+
+    const missing = await addDocument('invoice.txt');
+    await missing.updateChunkManifest([documentChunkService.getChunkId(missing.id, 0)], ['hash']);
+
+    const superseded = await addDocument('policy.txt');
+    await storeChunks(superseded, ['Old policy.']);
+    await superseded.markSuperseded();
+
+    const deleted = await addDocument('memo.txt');
+    await storeChunks(deleted, ['Memo.']);
+    await deleted.delete();
+
+    const processing = await addDocument('draft.txt', { uploadStatus: 'processing' });
+    await vectorStoreService.storeDocuments([
+      { id: documentChunkService.getChunkId(processing.id, 0), values: makeVector(3), metadata: {} },
+      { id: 'scan.txt_chunk_0', values: makeVector(4), metadata: { processedBy: 'DataFolderProcessor' } },
+      { id: 'user-metadata', values: makeVector(5), metadata: { type: 'user-metadata' } }
+    ], namespace);
+
+    const report = await documentChunkService.checkConsistency(user);
+
+    expect(report).toMatchObject({ namespace, vectorCount: 6, documentCount: 2 });
+    expect(report.orphanedVectors.sort((a, b) => a.reason.localeCompare(b.reason))).toEqual([
+      { id: documentChunkService.getChunkId(deleted.id, 0), reason: 'missing-document' },
+      { id: documentChunkService.getChunkId(superseded.id, 0), reason: 'superseded-version' },
+      { id: 'scan.txt_chunk_0', reason: 'untracked' }
+    ]);
+    expect(report.documentsWithoutVectors).toEqual([
+      { id: missing.id, originalName: 'invoice.txt', folderPath: null, version: 1, expectedChunks: 1 }
+    ]);
+  });
+});
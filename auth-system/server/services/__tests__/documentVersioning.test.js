@@ -0,0 +1,125 @@
+process.env.DB_PATH = ':memory:';
+
+const Document = require('../../models/Document');
+const documentVersionService = require('../documentVersionService');
+const documentChunkService = require('../documentChunkService');
+const vectorStoreService = require('../vectorStoreService');
+const lexicalIndexService = require('../lexicalIndexService');
+const { makeVector, useTestDatabase, addDocument: createDocument } = require('../../tests/helpers/testDatabase');
+
+describe('Document versions', () => {
+  const userId = 3;
+  const namespace = 'user-jane-doe-3';
+
+  useTestDatabase();
+
+  const addDocument = (originalName, extractedText, extra = {}) => createDocument(
+    { userId, pineconeId: namespace },
+    originalName,
+    { extractedText, ...extra }
+  );
+
+  const addVersion = async (previous, extractedText) => addDocument(previous.originalName, extractedText, {
+    folderPath: previous.folderPath,
+    ...(await documentVersionService.getVersionFields(previous))
+  });
+
+  test('should number the versions of a file by name and archive folder', async () => {
+    const first = await addDocument('lease.txt', 'Rent is 100.');
+    await addDocument('lease.txt', 'Another lease.', { folderPath: 'archive/2023' });
+
+    const previous = await Document.findLatestVersion(userId, 'lease.txt');
+    expect(previous.id).toBe(first.id);
+
+    const second = await addVersion(previous, 'Rent is 120.');
+    await previous.markSuperseded();
+
+    expect(second.version).toBe(2);
+    expect(second.versionGroupId).toBe(first.id);
+    expect((await Document.findLatestVersion(userId, 'lease.txt')).id).toBe(second.id);
+    expect((await Document.findLatestVersion(userId, 'lease.txt', 'archive/2023')).version).toBe(1);
+
+    const versions = await Document.findVersions(first.id);
+    expect(versions.map(version => [version.version, version.isLatestVersion])).toEqual([[1, false], [2, true]]);
+    expect((await documentVersionService.getLatestVersion(first)).id).toBe(second.id);
+    expect(second.toJSON()).toMatchObject({ version: 2, versionGroupId: first.id, isLatestVersion: true });
+  });
+
+  test('should validate the document a file is uploaded as a new version of', () => {
+    expect(documentVersionService.parseVersionRequest(undefined)).toEqual({ previousVersionId: null, error: null });
+    expect(documentVersionService.parseVersionRequest('12')).toEqual({ previousVersionId: 12, error: null });
+    expect(documentVersionService.parseVersionRequest('lease').error).toBe('previousVersionId must be a document ID');
+  });
+
+  test('should reuse embeddings of unchanged chunks and list the chunks left over', async () => {
+    const hashes = ['Clause one.', 'Clause two.', 'Clause three.'].map(text => documentVersionService.hashChunk(text));
+    const previous = await addDocument('terms.txt', '');
+    const previousIds = hashes.map((hash, index) => documentChunkService.getChunkId(previous.id, index));
+    await previous.updateChunkManifest(previousIds, hashes);
+    await vectorStoreService.storeDocuments(hashes.map((hash, index) => ({
+      id: previousIds[index],
+      values: makeVector(index),
+      metadata: { fileName: 'terms.txt', chunkIndex: index }
+    })), namespace);
+
+    // Clause one was removed, so clause two and three move up one place
+    const chunkHashes = [hashes[1], hashes[2]];
+    const chunkIds = chunkHashes.map((hash, index) => documentChunkService.getChunkId(previous.id + 1, index));
+    const plan = documentVersionService.planChunkReuse(previous, chunkIds, chunkHashes);
+
+    expect([...plan.reusable]).toEqual([[hashes[1], previousIds[1]], [hashes[2], previousIds[2]]]);
+    expect(plan.superseded).toEqual(previousIds);
+
+    const embeddings = await documentVersionService.loadReusableEmbeddings(plan.reusable, namespace);
+    expect(embeddings.get(hashes[1])).toEqual(makeVector(1));
+    expect(embeddings.get(hashes[2])).toEqual(makeVector(2));
+
+    await vectorStoreService.deleteDocuments(plan.superseded, namespace);
+    expect(await vectorStoreService.fetchDocuments(previousIds, namespace)).toEqual([]);
+  });
+
+  test('should remove the attachments of a superseded email from the search indexes', async () => {
+    const email = await addDocument('thread.eml', 'Please see the invoice.');
+    const attachment = await addDocument('invoice.txt', 'Total 40.', { parentDocumentId: email.id });
+    const chunkId = documentChunkService.getChunkId(attachment.id, 0);
+    await attachment.updateChunkManifest([chunkId], [documentVersionService.hashChunk('Total 40.')]);
+    await vectorStoreService.storeDocuments([{ id: chunkId, values: makeVector(5), metadata: { fileName: 'invoice.txt' } }], namespace);
+    await lexicalIndexService.indexChunks(namespace, [{ id: chunkId, text: 'Total 40.', metadata: { fileName: 'invoice.txt', chunkIndex: 0 } }]);
+
+    await documentVersionService.supersede(email, namespace);
+
+    expect((await Document.findById(email.id)).isLatestVersion).toBe(false);
+    expect((await Document.findById(attachment.id)).isLatestVersion).toBe(false);
+    expect(await vectorStoreService.fetchDocuments([chunkId], namespace)).toEqual([]);
+    expect((await lexicalIndexService.search(namespace, 'total', 5)).matches).toEqual([]);
+  });
+
+  test('should read requests to compare versions from chat messages', () => {
+    expect(documentVersionService.parseComparisonRequest('Compare versions 1 and 3 of the lease')).toEqual({ from: 1, to: 3 });
+    expect(documentVersionService.parseComparisonRequest('What is the difference between v2 and v4?')).toEqual({ from: 2, to: 4 });
+    expect(documentVersionService.parseComparisonRequest('What changed in version 3?')).toEqual({ from: null, to: 3 });
+    expect(documentVersionService.parseComparisonRequest('Compare version 2 with the latest version')).toEqual({ from: 2, to: null });
+    expect(documentVersionService.parseComparisonRequest('What changed since the previous version?')).toEqual({ from: null, to: null });
+    expect(documentVersionService.parseComparisonRequest('Compare the lease and the invoice')).toBeNull();
+    expect(documentVersionService.parseComparisonRequest('What does version 2 say about rent?')).toBeNull();
+  });
+
+  test('should compare two versions from the lines that differ', async () => {
+    const first = await addDocument('policy.txt', 'Scope\nRemote work is allowed on Fridays.\nSigned by HR.');
+    const second = await addVersion(first, 'Scope\nRemote work is allowed on Mondays and Fridays.\nSigned by HR.');
+    await first.markSuperseded();
+
+    const comparison = await documentVersionService.resolveComparison(userId, 'What changed between versions 1 and 2 of the policy?');
+    expect(comparison.documentName).toBe('policy.txt');
+    expect([comparison.from.id, comparison.to.id]).toEqual([first.id, second.id]);
+    expect(comparison.contextBlocks.map(block => [block.source, block.metadata.change, block.text])).toEqual([
+      ['policy.txt (version 1)', 'removed', 'Text of version 1 that is not in version 2:\nRemote work is allowed on Fridays.'],
+      ['policy.txt (version 2)', 'added', 'Text of version 2 that is not in version 1:\nRemote work is allowed on Mondays and Fridays.']
+    ]);
+
+    // Several documents have versions: the message has to name one, or the chat's scope has to hold one
+    expect(await documentVersionService.resolveComparison(userId, 'What changed in the latest version?')).toBeNull();
+    expect((await documentVersionService.resolveComparison(userId, 'What changed in the latest version?', [{ id: second.id }])).to.id).toBe(second.id);
+    expect(await documentVersionService.resolveComparison(userId, 'Compare versions 1 and 5 of the policy')).toBeNull();
+  });
+});
@@ -0,0 +1,173 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JSZip = require('jszip');
+const ebookParsingService = require('../ebookParsingService');
+const wordProcessingParsingService = require('../wordProcessingParsingService');
+const structuredChunkingService = require('../structuredChunkingService');
+const fileValidationService = require('../fileValidationService');
+const responseFormatter = require('../responseFormatter');
+const { parseRtf } = require('../../utils/rtfDocument');
+
+const xhtml = body => `<?xml version="1.0" encoding="utf-8"?>
+<html xmlns="http://www.w3.org/1999/xhtml"><head><title>ignored</title></head><body>${body}</body></html>`;
+
+const buildEpub = async ({ encrypted = false } = {}) => {
+  const zip = new JSZip();
+  zip.file('mimetype', 'application/epub+zip');
+  zip.file('META-INF/container.xml', `<?xml version="1.0"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles>
+</container>`);
+  if (encrypted) {
+    zip.file('META-INF/encryption.xml', `<encryption xmlns="urn:oasis:names:tc:opendocument:xmlns:container" xmlns:enc="http://www.w3.org/2001/04/xmlenc#">
+  <enc:EncryptedData><enc:CipherData><enc:CipherReference URI="OEBPS/text/storm.xhtml"/></enc:CipherData></enc:EncryptedData>
+</encryption>`);
+  }
+  zip.file('OEBPS/content.opf', `<?xml version="1.0"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0">
+  <manifest>
+    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+    <item id="cover" href="text/cover.xhtml" media-type="application/xhtml+xml"/>
+    <item id="calm" href="text/calm%20sea.xhtml" media-type="application/xhtml+xml"/>
+    <item id="storm" href="text/storm.xhtml" media-type="application/xhtml+xml"/>
+    <item id="notes" href="text/notes.xhtml" media-type="application/xhtml+xml"/>
+    <item id="image" href="images/cover.jpg" media-type="image/jpeg"/>
+  </manifest>
+  <spine>
+    <itemref idref="cover"/>
+    <itemref idref="storm"/>
+    <itemref idref="notes" linear="no"/>
+    <itemref idref="calm"/>
+  </spine>
+</package>`);
+  zip.file('OEBPS/nav.xhtml', xhtml(`<nav epub:type="toc"><ol>
+    <li><a href="text/storm.xhtml">The Storm</a><ol><li><a href="text/storm.xhtml#night">Night</a></li></ol></li>
+    <li><a href="text/calm%20sea.xhtml#top">Chapter 2: Calm Sea</a></li>
+  </ol></nav>`));
+  zip.file('OEBPS/text/cover.xhtml', xhtml('<div><img src="../images/cover.jpg"/></div>'));
+  zip.file('OEBPS/text/storm.xhtml', xhtml('<h1>The Storm</h1><p>The wind rose before dawn.</p><h2 id="night">Night</h2><p>Nobody slept.</p>'));
+  zip.file('OEBPS/text/notes.xhtml', xhtml('<p>Endnotes are not read.</p>'));
+  zip.file('OEBPS/text/calm sea.xhtml', xhtml('<p>The sea was calm again.</p>'));
+  return zip.generateAsync({ type: 'nodebuffer' });
+};
+
+const buildOdt = () => {
+  const zip = new JSZip();
+  zip.file('mimetype', 'application/vnd.oasis.opendocument.text');
+  zip.file('styles.xml', `<office:document-styles xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0" xmlns:style="urn:oasis:names:tc:opendocument:xmlns:style:1.0">
+  <office:styles><style:style style:name="Heading_20_2" style:display-name="Heading 2" style:family="paragraph"/></office:styles>
+</office:document-styles>`);
+  zip.file('content.xml', `<office:document-content xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0"
+  xmlns:style="urn:oasis:names:tc:opendocument:xmlns:style:1.0" xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0"
+  xmlns:table="urn:oasis:names:tc:opendocument:xmlns:table:1.0">
+  <office:automatic-styles><style:style style:name="P1" style:family="paragraph" style:parent-style-name="Heading_20_2"/></office:automatic-styles>
+  <office:body><office:text>
+    <text:sequence-decls><text:sequence-decl text:name="Figure"/></text:sequence-decls>
+    <text:h text:outline-level="1">Findings</text:h>
+    <text:p>Samples were<text:s text:c="3"/>collected in May.<text:note><text:note-body><text:p>Footnote.</text:p></text:note-body></text:note></text:p>
+    <text:p text:style-name="P1">Methods</text:p>
+    <text:list><text:list-item><text:p>Survey</text:p><text:list><text:list-item><text:p>Online</text:p></text:list-item></text:list></text:list-item></text:list>
+    <text:section text:name="Results">
+      <table:table><table:table-row><table:table-cell><text:p>Site</text:p></table:table-cell><table:table-cell><text:p>Count</text:p></table:table-cell></table:table-row>
+      <table:table-row><table:table-cell><text:p>North</text:p></table:table-cell><table:table-cell><text:p>12</text:p></table:table-cell></table:table-row></table:table>
+    </text:section>
+  </office:text></office:body>
+</office:document-content>`);
+  return zip.generateAsync({ type: 'nodebuffer' });
+};
+
+const RTF = Buffer.from([
+  '{\\rtf1\\ansi\\ansicpg1252\\deff0{\\fonttbl{\\f0 Times New Roman;}}',
+  '{\\stylesheet{\\s0 Normal;}{\\s1\\sbasedon0 heading 1;}{\\s2\\sbasedon0 heading 2;}}',
+  '{\\info{\\title Field notes}}{\\*\\generator Writer;}',
+  '\\pard\\s1 Introduction\\par',
+  '\\pard\\s0 The caf\\\'e9 opened at dawn \\endash  everyone came.{\\footnote Not body text.}\\par',
+  '\\pard\\s2 Costs\\par',
+  '\\pard\\s0\\uc1 Price \\u8364? 4{\\field{\\*\\fldinst HYPERLINK "https://example.com"}{\\fldrslt  per cup}}.\\par',
+  '\\trowd\\cellx2000\\cellx4000\\pard\\intbl Item\\cell Cost\\cell\\row',
+  '\\pard\\intbl Tea\\cell 3\\cell\\row',
+  '}'
+].join('\n'), 'latin1');
+
+describe('EPUB, ODT and RTF documents', () => {
+  test('should read EPUB chapters in spine order, titled from the table of contents', async () => {
+    const chapters = await ebookParsingService.parseEPUB(await buildEpub());
+
+    expect(chapters.map(chapter => [chapter.chapterNumber, chapter.title])).toEqual([
+      [1, 'The Storm'],
+      [2, 'Chapter 2: Calm Sea']
+    ]);
+    expect(ebookParsingService.chaptersToText(chapters)).toBe('The Storm\n\nThe wind rose before dawn.\n\nNight\n\nNobody slept.\n\nThe sea was calm again.');
+    await expect(ebookParsingService.parseEPUB(await buildEpub({ encrypted: true }))).rejects.toThrow('DRM-protected');
+    await expect(ebookParsingService.parseEPUB(Buffer.from('not a zip'))).rejects.toThrow(/not a valid EPUB book/);
+  });
+
+  test('should chunk each chapter with its chapter and section names', async () => {
+    const chunks = ebookParsingService.chunkChapters(await ebookParsingService.parseEPUB(await buildEpub()));
+
+    expect(chunks).toEqual([
+      { text: 'The wind rose before dawn.', chapterNumber: 1, chapter: 'The Storm', headingPath: ['The Storm'], section: 'The Storm' },
+      { text: 'Nobody slept.', chapterNumber: 1, chapter: 'The Storm', headingPath: ['The Storm', 'Night'], section: 'The Storm > Night' },
+      { text: 'The sea was calm again.', chapterNumber: 2, chapter: 'Chapter 2: Calm Sea', headingPath: [], section: null }
+    ]);
+  });
+
+  test('should read ODT headings, heading styles, lists and tables', async () => {
+    const blocks = await wordProcessingParsingService.parseDocument(await buildOdt(), 'report.odt');
+
+    expect(structuredChunkingService.blocksToText(blocks)).toBe(
+      'Findings\n\nSamples were collected in May.\n\nMethods\n\n- Survey\n  - Online\n\nSite | Count\nNorth | 12'
+    );
+    expect(structuredChunkingService.chunkBlocks(blocks).map(chunk => chunk.section)).toEqual(['Findings', 'Findings > Methods']);
+  });
+
+  test('should read RTF paragraphs, heading styles, code page text and tables', async () => {
+    expect(parseRtf(RTF)).toEqual([
+      { text: 'Introduction', level: 1, tableRow: false },
+      { text: 'The café opened at dawn – everyone came.', level: null, tableRow: false },
+      { text: 'Costs', level: 2, tableRow: false },
+      { text: 'Price € 4 per cup.', level: null, tableRow: false },
+      { text: 'Item | Cost', level: null, tableRow: true },
+      { text: 'Tea | 3', level: null, tableRow: true }
+    ]);
+
+    const blocks = await wordProcessingParsingService.parseDocument(RTF, 'notes.rtf');
+    expect(blocks.map(block => block.type)).toEqual(['heading', 'paragraph', 'heading', 'paragraph', 'table']);
+    expect(() => parseRtf(Buffer.from('plain text'))).toThrow('not a valid RTF document');
+  });
+
+  test('should cite e-book chunks by chapter', () => {
+    expect(responseFormatter.formatLocationReference({ chapter: 'The Storm', chapterNumber: 1 })).toBe('Chapter: The Storm');
+    expect(responseFormatter.formatLocationReference({ chapter: 'Chapter 2: Calm Sea', chapterNumber: 2 })).toBe('Chapter 2: Calm Sea');
+    expect(responseFormatter.formatLocationReference({ chapterNumber: 3 })).toBe('Chapter 3');
+  });
+
+  describe('validation', () => {
+    let tempDir;
+
+    beforeAll(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'book-validation-'));
+    });
+
+    afterAll(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    const validate = (name, mimetype, content) => {
+      const filePath = path.join(tempDir, name);
+      fs.writeFileSync(filePath, content);
+      return fileValidationService.validateFile({ originalname: name, mimetype, size: content.length, path: filePath });
+    };
+
+    test('should accept EPUB, ODT and RTF files by MIME type or extension', async () => {
+      expect((await validate('book.epub', 'application/epub+zip', await buildEpub())).isValid).toBe(true);
+      expect((await validate('report.odt', 'application/octet-stream', await buildOdt())).isValid).toBe(true);
+      expect((await validate('notes.rtf', 'text/rtf', RTF)).isValid).toBe(true);
+
+      const notRtf = await validate('fake.rtf', 'application/rtf', Buffer.from('just text'));
+      expect(notRtf.isValid).toBe(false);
+      expect(notRtf.errors[0]).toMatch(/Rich Text Format/);
+    });
+  });
+});
@@ -0,0 +1,198 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const emailParsingService = require('../emailParsingService');
+const fileValidationService = require('../fileValidationService');
+const responseFormatter = require('../responseFormatter');
+const { decodeHeaderValue, parseMessage, splitMbox } = require('../../utils/mimeMessage');
+const { buildEmailFilter, combineFilters } = require('../../utils/emailQueryFilter');
+const { matchesFilter } = require('../../utils/metadataFilter');
+
+const crlf = lines => Buffer.from(lines.join('\r\n'), 'latin1');
+
+const MESSAGE_WITH_ATTACHMENT = crlf([
+  'From: "Legal Team" <legal@example.com>',
+  'To: Jane Smith <jane@example.com>, bob@example.com',
+  'Date: Tue, 5 Mar 2024 10:02:00 +0100',
+  'Subject: =?UTF-8?Q?NDA_r=C3=BCckmeldung?=',
+  'Message-ID: <nda-1@example.com>',
+  'MIME-Version: 1.0',
+  'Content-Type: multipart/mixed; boundary="outer"',
+  '',
+  'This is a multi-part message in MIME format.',
+  '--outer',
+  'Content-Type: multipart/alternative; boundary="inner"',
+  '',
+  '--inner',
+  'Content-Type: text/plain; charset=iso-8859-1',
+  'Content-Transfer-Encoding: quoted-printable',
+  '',
+  'The NDA needs a longer term. Gr=FC=DFe',
+  '--inner',
+  'Content-Type: text/html; charset=utf-8',
+  '',
+  '<p>The NDA needs a longer term.</p>',
+  '--inner--',
+  '--outer',
+  'Content-Type: text/plain; name="notes.txt"',
+  'Content-Disposition: attachment; filename*=UTF-8\'\'r%C3%A9vision%20notes.txt',
+  'Content-Transfer-Encoding: base64',
+  '',
+  Buffer.from('Clause 4: extend to five years.').toString('base64'),
+  '--outer--',
+  ''
+]);
+
+const MAILBOX = Buffer.from([
+  'From legal@example.com Tue Mar  5 09:02:00 2024',
+  'From: Legal Team <legal@example.com>',
+  'Date: Tue, 5 Mar 2024 09:02:00 +0000',
+  'Subject: Vendor contract',
+  'Message-ID: <first@example.com>',
+  '',
+  'Please review the vendor contract by Friday.',
+  '>From here on the terms apply.',
+  '',
+  'From jane@example.com Wed Apr 10 12:00:00 2024',
+  'From: Jane Smith <jane@example.com>',
+  'Date: Wed, 10 Apr 2024 12:00:00 +0000',
+  'Subject: Re: Vendor contract',
+  'Message-ID: <second@example.com>',
+  'In-Reply-To: <first@example.com>',
+  'References: <first@example.com>',
+  '',
+  'Reviewed, two comments attached.',
+  '',
+  'On Tue, 5 Mar 2024 at 09:02, Legal Team <legal@example.com> wrote:',
+  '> Please review the vendor contract by Friday.',
+  ''
+].join('\n'));
+
+describe('Email ingestion', () => {
+  test('should decode encoded words, charsets and transfer encodings', () => {
+    expect(decodeHeaderValue('=?ISO-8859-1?B?SvxyZ2Vu?= =?UTF-8?Q?_M=C3=BCller?=')).toBe('Jürgen Müller');
+
+    const parsed = parseMessage(MESSAGE_WITH_ATTACHMENT.toString('latin1'));
+    expect(parsed.textParts).toEqual(['The NDA needs a longer term. Grüße']);
+    expect(parsed.htmlParts).toHaveLength(1);
+    expect(parsed.attachments.map(({ fileName, contentType, content }) => [fileName, contentType, content.toString()])).toEqual([
+      ['révision notes.txt', 'text/plain', 'Clause 4: extend to five years.']
+    ]);
+  });
+
+  test('should read a message with its headers and attachments', () => {
+    const [message] = emailParsingService.parseEmailFile(MESSAGE_WITH_ATTACHMENT, 'nda.eml');
+
+    expect(message).toMatchObject({
+      messageNumber: 1,
+      threadId: '<nda-1@example.com>',
+      from: { name: 'Legal Team', address: 'legal@example.com' },
+      to: [{ name: 'Jane Smith', address: 'jane@example.com' }, { name: null, address: 'bob@example.com' }],
+      date: '2024-03-05T09:02:00.000Z',
+      subject: 'NDA rückmeldung',
+      body: 'The NDA needs a longer term. Grüße'
+    });
+    expect(message.attachments.map(attachment => [attachment.fileName, attachment.size])).toEqual([['révision notes.txt', 31]]);
+    expect(emailParsingService.messagesToText([message])).toBe([
+      'From: Legal Team <legal@example.com>',
+      'To: Jane Smith <jane@example.com>, bob@example.com',
+      'Date: 2024-03-05 09:02 UTC',
+      'Subject: NDA rückmeldung',
+      'Attachments: révision notes.txt',
+      '',
+      'The NDA needs a longer term. Grüße'
+    ].join('\n'));
+  });
+
+  test('should split a mailbox, thread replies and drop quoted text', () => {
+    expect(splitMbox(MAILBOX.toString('latin1'))).toHaveLength(2);
+
+    const messages = emailParsingService.parseEmailFile(MAILBOX, 'legal.mbox');
+    expect(messages.map(message => [message.messageNumber, message.threadId, message.body])).toEqual([
+      [1, '<first@example.com>', 'Please review the vendor contract by Friday.\nFrom here on the terms apply.'],
+      [2, '<first@example.com>', 'Reviewed, two comments attached.']
+    ]);
+
+    expect(() => emailParsingService.parseEmailFile(Buffer.from('Subject: no separator\n\nbody'), 'broken.mbox')).toThrow(/not a valid mbox/);
+  });
+
+  test('should chunk per message with sender and date metadata', () => {
+    const messages = emailParsingService.parseEmailFile(MAILBOX, 'legal.mbox');
+    const chunks = emailParsingService.chunkMessages(messages, { maxChunkSize: 1500 });
+
+    expect(chunks).toHaveLength(2);
+    expect(chunks[1].text).toBe('From: Jane Smith <jane@example.com>\nDate: 2024-04-10 12:00 UTC\nSubject: Re: Vendor contract\n\nReviewed, two comments attached.');
+    expect(chunks[0]).toEqual({
+      text: expect.stringContaining('Please review the vendor contract'),
+      messageNumber: 1,
+      threadId: '<first@example.com>',
+      sender: 'Legal Team',
+      senderAddress: 'legal@example.com',
+      senderTerms: ['legal', 'team', 'legal@example.com', 'example'],
+      subject: 'Vendor contract',
+      sentAt: '2024-03-05T09:02:00.000Z',
+      sentMonth: 3,
+      sentYear: 2024
+    });
+
+    const longMessage = { ...messages[0], body: 'First paragraph of the review.\n\nSecond paragraph of the review.' };
+    expect(emailParsingService.chunkMessages([longMessage], { maxChunkSize: 120 }).map(chunk => chunk.text.split('\n\n')[1])).toEqual([
+      'First paragraph of the review.',
+      'Second paragraph of the review.'
+    ]);
+  });
+
+  test('should filter chunks by the sender and month a question names', () => {
+    const chunks = emailParsingService.chunkMessages(emailParsingService.parseEmailFile(MAILBOX, 'legal.mbox'));
+
+    const filter = buildEmailFilter('What did legal say in March?');
+    expect(filter).toEqual({ $and: [{ senderTerms: 'legal' }, { sentMonth: 3 }] });
+    expect(chunks.filter(chunk => matchesFilter(chunk, filter)).map(chunk => chunk.messageNumber)).toEqual([1]);
+
+    expect(buildEmailFilter('emails from jane@example.com in April 2024')).toEqual({
+      $and: [{ senderTerms: 'jane@example.com' }, { sentMonth: 4 }, { sentYear: 2024 }]
+    });
+    expect(buildEmailFilter('What does section 4 say about penalties?')).toBeNull();
+    expect(buildEmailFilter('What changed in March?')).toBeNull();
+    expect(combineFilters({ tags: 'vendors' }, { sentMonth: 3 })).toEqual({ $and: [{ tags: 'vendors' }, { sentMonth: 3 }] });
+  });
+
+  test('should cite the sender and the date the message was sent', () => {
+    const block = {
+      source: 'legal.mbox',
+      chunkIndex: 7,
+      text: 'Please review',
+      metadata: { date: '2024-06-01', sender: 'Legal Team', sentAt: '2024-03-05T09:02:00.000Z' }
+    };
+
+    expect(responseFormatter.extractDate(block)).toBe('2024-03-05');
+    expect(responseFormatter.formatCitations([block])).toBe('- Resource: legal.mbox | Chunk 7 | From Legal Team | 2024-03-05');
+  });
+
+  describe('validation', () => {
+    let tempDir;
+
+    beforeAll(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'email-validation-'));
+    });
+
+    afterAll(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    const validate = (name, mimetype, content) => {
+      const filePath = path.join(tempDir, name);
+      fs.writeFileSync(filePath, content);
+      return fileValidationService.validateFile({ originalname: name, mimetype, size: content.length, path: filePath });
+    };
+
+    test('should accept email files by MIME type or extension', async () => {
+      expect((await validate('nda.eml', 'message/rfc822', MESSAGE_WITH_ATTACHMENT)).isValid).toBe(true);
+      expect((await validate('legal.mbox', 'application/octet-stream', MAILBOX)).isValid).toBe(true);
+
+      const notMailbox = await validate('notes.mbox', 'application/mbox', Buffer.from('Subject: hello'));
+      expect(notMailbox.isValid).toBe(false);
+      expect(notMailbox.errors[0]).toMatch(/Email Mailbox/);
+    });
+  });
+});
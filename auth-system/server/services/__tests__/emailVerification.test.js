@@ -0,0 +1,152 @@
+process.env.DB_PATH = ':memory:';
+process.env.BCRYPT_ROUNDS = '4';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const database = require('../../config/database');
+const User = require('../../models/User');
+const emailService = require('../emailService');
+const emailVerificationService = require('../emailVerificationService');
+const { requireVerifiedEmail } = require('../../middleware/auth');
+const { useTestDatabase } = require('../../tests/helpers/testDatabase');
+
+describe('Email verification', () => {
+  let userCount = 0;
+  let sendVerificationEmail;
+
+  const createUser = async () => {
+    userCount++;
+    return User.create({
+      firstName: 'Grace',
+      lastName: 'Hopper',
+      email: `grace${userCount}@example.com`,
+      password: 'Correct-horse-1'
+    });
+  };
+
+  const sentToken = (call = sendVerificationEmail.mock.calls.length - 1) => (
+    new URL(sendVerificationEmail.mock.calls[call][2]).searchParams.get('token')
+  );
+
+  const withConfig = (overrides) => jest.spyOn(emailVerificationService, 'config', 'get')
+    .mockReturnValue({ ...emailVerificationService.config, ...overrides });
+
+  useTestDatabase();
+
+  beforeEach(() => {
+    sendVerificationEmail = jest.spyOn(emailService, 'sendVerificationEmail').mockResolvedValue({ messageId: 'test' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should verify the address with the emailed link once', async () => {
+    const user = await createUser();
+
+    expect(await emailVerificationService.sendVerification(user)).toEqual({ sent: true });
+    expect(sendVerificationEmail).toHaveBeenCalledWith(user.email, 'Grace', expect.stringMatching(/\/verify-email\?token=[0-9a-f]{64}$/));
+
+    const token = sentToken();
+    const verified = await emailVerificationService.verify(token);
+
+    expect(verified.id).toBe(user.id);
+    expect((await User.findById(user.id)).emailVerified).toBeTruthy();
+    expect(await emailVerificationService.verify(token)).toBeNull();
+    expect(await emailVerificationService.sendVerification(verified)).toEqual({ sent: false, reason: 'already-verified' });
+  });
+
+  test('should only accept the latest link', async () => {
+    const user = await createUser();
+    withConfig({ resendCooldownSeconds: 0 });
+
+    await emailVerificationService.sendVerification(user);
+    await emailVerificationService.sendVerification(user);
+
+    expect(await emailVerificationService.verify(sentToken(0))).toBeNull();
+    expect(await emailVerificationService.verify(sentToken(1))).not.toBeNull();
+  });
+
+  test('should throttle resends with a cooldown and a daily limit', async () => {
+    const user = await createUser();
+
+    await emailVerificationService.sendVerification(user);
+    const throttled = await emailVerificationService.sendVerification(user);
+    expect(throttled).toMatchObject({ sent: false, reason: 'throttled' });
+    expect(throttled.retryAfter).toBeGreaterThan(55);
+    expect(throttled.retryAfter).toBeLessThanOrEqual(60);
+
+    withConfig({ resendCooldownSeconds: 0, maxEmailsPerDay: 3 });
+    await emailVerificationService.sendVerification(user);
+    await emailVerificationService.sendVerification(user);
+    const limited = await emailVerificationService.sendVerification(user);
+
+    expect(limited).toMatchObject({ sent: false, reason: 'throttled' });
+    expect(limited.retryAfter).toBeGreaterThan(24 * 60 * 60 - 60);
+    expect(sendVerificationEmail).toHaveBeenCalledTimes(3);
+  });
+
+  test('should keep unverified accounts from restricted features', () => {
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+
+    requireVerifiedEmail('uploads')({ user: { emailVerified: 0 } }, res, next);
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'EMAIL_NOT_VERIFIED' }));
+
+    requireVerifiedEmail('uploads')({ user: { emailVerified: 1 } }, res, next);
+    withConfig({ restrict: ['chat'] });
+    requireVerifiedEmail('uploads')({ user: { emailVerified: 0 } }, res, next);
+    expect(next).toHaveBeenCalledTimes(2);
+  });
+
+  test('should treat accounts from before email verification as verified', async () => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'email-verification-'));
+    const dbPath = path.join(tempDir, 'auth.db');
+    const run = (db, query, params = []) => new Promise((resolve, reject) => {
+      db.run(query, params, (err) => (err ? reject(err) : resolve()));
+    });
+    const isVerified = (db, email) => new Promise((resolve, reject) => {
+      db.get('SELECT email_verified FROM users WHERE email = ?', [email], (err, row) => (err ? reject(err) : resolve(Boolean(row.email_verified))));
+    });
+
+    // A database as it was before verification existed, with one account that never got a link
+    const legacy = new sqlite3.Database(dbPath);
+    await run(legacy, `
+      CREATE TABLE users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        first_name TEXT NOT NULL,
+        last_name TEXT NOT NULL,
+        email TEXT UNIQUE NOT NULL,
+        password TEXT NOT NULL,
+        profile_picture TEXT,
+        user_index INTEGER UNIQUE NOT NULL,
+        pinecone_id TEXT UNIQUE,
+        auth_provider TEXT DEFAULT 'email',
+        email_verified BOOLEAN DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await run(legacy, "INSERT INTO users (first_name, last_name, email, password, user_index) VALUES ('Ada', 'Lovelace', 'ada@example.com', 'hash', 1)");
+    await new Promise(resolve => legacy.close(resolve));
+
+    const upgraded = new database.constructor();
+    upgraded.dbPath = dbPath;
+    try {
+      await upgraded.connect();
+      expect(await isVerified(upgraded.getDb(), 'ada@example.com')).toBe(true);
+
+      // Accounts created afterwards still have to verify, also across restarts
+      await run(upgraded.getDb(), "INSERT INTO users (first_name, last_name, email, password, user_index) VALUES ('Grace', 'Hopper', 'grace@example.com', 'hash', 2)");
+      await upgraded.close();
+      await upgraded.connect();
+      expect(await isVerified(upgraded.getDb(), 'grace@example.com')).toBe(false);
+    } finally {
+      await upgraded.close();
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,115 @@
+jest.mock('../advancedDocumentService', () => ({
+  generateEmbedding: jest.fn()
+}));
+
+const advancedDocumentService = require('../advancedDocumentService');
+const responseFormatter = require('../responseFormatter');
+const groundingService = require('../groundingService');
+
+describe('GroundingService', () => {
+  const contextBlocks = [
+    {
+      source: 'lease.pdf',
+      chunkIndex: 2,
+      text: 'Either party may terminate this lease by giving sixty (60) days written notice to the other party. Early termination requires payment of two months rent.'
+    },
+    {
+      source: 'policy.pdf',
+      chunkIndex: 0,
+      text: 'Employees accrue twenty days of paid leave per calendar year, prorated for partial years of service.'
+    }
+  ];
+
+  const answer = `RELEVANT LEGAL PROVISIONS:
+- lease.pdf | Chunk 2 | Date not available
+Excerpt: "Either party may terminate this lease by giving sixty (60) days written notice"
+
+LEGAL SUMMARY:
+The lease can be ended by either party with sixty days written notice. Early termination requires payment of two months rent. The landlord must also refund the security deposit within ten days.
+
+CITATIONS & SOURCES:
+- Resource: lease.pdf | Chunk 2 | Date not available
+
+${responseFormatter.legalDisclaimer}`;
+
+  beforeEach(() => {
+    advancedDocumentService.generateEmbedding.mockReset();
+  });
+
+  test('should split answers into claims and skip headings, citations and the disclaimer', () => {
+    expect(groundingService.extractClaims(answer)).toEqual([
+      'Excerpt: "Either party may terminate this lease by giving sixty (60) days written notice"',
+      'The lease can be ended by either party with sixty days written notice.',
+      'Early termination requires payment of two months rent.',
+      'The landlord must also refund the security deposit within ten days.'
+    ]);
+  });
+
+  test('should only check claims against the cited chunks', () => {
+    expect(groundingService.findCitedBlocks(answer, contextBlocks)).toEqual([contextBlocks[0]]);
+    expect(groundingService.findCitedBlocks('No citations here.', contextBlocks)).toEqual(contextBlocks);
+  });
+
+  test('should flag unsupported sentences by content-word overlap when embeddings are unavailable', async () => {
+    advancedDocumentService.generateEmbedding.mockResolvedValue(null);
+
+    const grounding = await groundingService.verify(answer, contextBlocks);
+
+    expect(grounding).toMatchObject({ checked: 4, supported: 3, unsupported: 1, groundedRatio: 0.75, method: 'lexical' });
+    expect(grounding.claims[0]).toMatchObject({ supported: true, method: 'quote', source: { fileName: 'lease.pdf', chunkIndex: 2 } });
+    expect(grounding.claims.filter(claim => !claim.supported).map(claim => claim.text))
+      .toEqual(['The landlord must also refund the security deposit within ten days.']);
+  });
+
+  test('should reject quotes that do not appear in the cited chunks', async () => {
+    const fabricated = 'LEGAL SUMMARY:\nThe lease.pdf | Chunk 2 says "tenants may sublet without the consent of the landlord".';
+
+    const grounding = await groundingService.verify(fabricated, contextBlocks);
+
+    expect(grounding.claims).toHaveLength(1);
+    expect(grounding.claims[0]).toMatchObject({ supported: false, method: 'quote', source: null });
+    expect(advancedDocumentService.generateEmbedding).not.toHaveBeenCalled();
+  });
+
+  test('should use embedding similarity when the model is available', async () => {
+    const vectors = {
+      lease: [1, 0, 0],
+      paraphrase: [0.9, 0.1, 0],
+      leave: [0, 0, 1],
+      unrelated: [0, 1, 0]
+    };
+    advancedDocumentService.generateEmbedding.mockImplementation(async (text) => {
+      if (text.startsWith('Either party')) return vectors.lease;
+      if (text.startsWith('Employees')) return vectors.leave;
+      return text.includes('notice') ? vectors.paraphrase : vectors.unrelated;
+    });
+
+    const grounding = await groundingService.verify(
+      'Either side can give notice to end the lease early. Parking is free for all visitors on weekends.',
+      contextBlocks
+    );
+
+    expect(grounding.method).toBe('embedding');
+    expect(grounding.claims.map(claim => [claim.supported, claim.source?.fileName || null])).toEqual([
+      [true, 'lease.pdf'],
+      [false, null]
+    ]);
+    // Chunk embeddings are computed once per answer
+    expect(advancedDocumentService.generateEmbedding).toHaveBeenCalledTimes(4);
+  });
+
+  test('should request every embedding before waiting for any of them', async () => {
+    const pending = [];
+    advancedDocumentService.generateEmbedding.mockImplementation(() => new Promise(resolve => pending.push(resolve)));
+
+    const verifying = groundingService.verify(
+      'Either side can give notice to end the lease early. Parking is free for all visitors on weekends.',
+      contextBlocks
+    );
+    await Promise.resolve();
+
+    expect(pending).toHaveLength(4);
+    pending.forEach(resolve => resolve([1, 0, 0]));
+    expect((await verifying).method).toBe('embedding');
+  });
+});
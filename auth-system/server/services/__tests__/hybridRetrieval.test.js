@@ -0,0 +1,225 @@
+process.env.DB_PATH = ':memory:';
+
+const database = require('../../config/database');
+const lexicalIndexService = require('../lexicalIndexService');
+const vectorStoreService = require('../vectorStoreService');
+const advancedDocumentService = require('../advancedDocumentService');
+const { reciprocalRankFusion } = require('../../utils/rankFusion');
+const { matchesFilter } = require('../../utils/metadataFilter');
+
+const makeChunk = (fileName, chunkIndex, text, extra = {}) => ({
+  id: `${fileName}_chunk_${chunkIndex}`,
+  text,
+  metadata: { fileName, fileType: extra.fileType || 'PDF', chunkIndex, ...extra }
+});
+
+describe('Hybrid retrieval', () => {
+  const namespace = 'user-jane-doe-1';
+
+  beforeAll(async () => {
+    await database.connect();
+  });
+
+  afterAll(async () => {
+    await database.close();
+  });
+
+  describe('LexicalIndexService', () => {
+    beforeEach(async () => {
+      await lexicalIndexService.removeAllUserChunks(namespace);
+      await lexicalIndexService.removeAllUserChunks('user-other-2');
+
+      await lexicalIndexService.indexChunks(namespace, [
+        makeChunk('invoices.pdf', 0, 'Invoice INV-2023-0042 was issued to Acme Corp for consulting services.'),
+        makeChunk('invoices.pdf', 1, 'Invoice INV-2023-0043 covers hardware purchases.'),
+        makeChunk('statutes.txt', 0, 'Under 42 U.S.C. § 1983 a person may sue for deprivation of rights.', { fileType: 'TXT' }),
+        makeChunk('errors.txt', 0, 'The service failed with error code E_CONN_RESET while connecting.', { fileType: 'TXT' })
+      ]);
+
+      await lexicalIndexService.indexChunks('user-other-2', [
+        makeChunk('private.pdf', 0, 'Invoice INV-2023-0042 duplicate held by another user.')
+      ]);
+    });
+
+    test('should find exact identifiers', async () => {
+      const invoice = await lexicalIndexService.search(namespace, 'what is INV-2023-0042 about?', 5);
+      expect(invoice.matches[0].id).toBe('invoices.pdf_chunk_0');
+      expect(invoice.matches[0].metadata.text).toContain('Acme Corp');
+      expect(invoice.matches[0].metadata.userId).toBe(namespace);
+
+      const statute = await lexicalIndexService.search(namespace, '§ 1983', 5);
+      expect(statute.matches.map(match => match.id)).toEqual(['statutes.txt_chunk_0']);
+
+      const errorCode = await lexicalIndexService.search(namespace, 'E_CONN_RESET', 5);
+      expect(errorCode.matches[0].id).toBe('errors.txt_chunk_0');
+    });
+
+    test('should keep users isolated and apply metadata filters', async () => {
+      const results = await lexicalIndexService.search(namespace, 'invoice', 10);
+      expect(results.matches.every(match => match.metadata.userId === namespace)).toBe(true);
+      expect(results.matches).toHaveLength(2);
+
+      const filtered = await lexicalIndexService.search(namespace, 'invoice error', 10, { fileType: 'TXT' });
+      expect(filtered.matches.map(match => match.id)).toEqual(['errors.txt_chunk_0']);
+    });
+
+    test('should filter before limiting, even when other documents rank higher', async () => {
+      const otherChunks = Array.from({ length: 30 }, (_, i) => makeChunk('ledger.pdf', i,
+        'Invoice invoice invoice: every line of the ledger is an invoice.', { documentId: 2, sentMonth: '2024-02' }));
+      await lexicalIndexService.indexChunks(namespace, [
+        ...otherChunks,
+        makeChunk('letter.pdf', 0, 'A long letter that mentions the invoice only once, among many other words about the weather.',
+          { documentId: 1, sentMonth: '2024-03' })
+      ]);
+
+      const topK = 5;
+      expect(otherChunks.length).toBeGreaterThan(topK * 4);
+
+      const scoped = await lexicalIndexService.search(namespace, 'invoice', topK, { documentId: { $in: [1] } });
+      expect(scoped.matches.map(match => match.id)).toEqual(['letter.pdf_chunk_0']);
+
+      const march = await lexicalIndexService.search(namespace, 'invoice', topK, {
+        $and: [{ documentId: { $in: [1, 2] } }, { sentMonth: { $gte: '2024-03' } }]
+      });
+      expect(march.matches.map(match => match.id)).toEqual(['letter.pdf_chunk_0']);
+    });
+
+    test('should match the same chunks in SQL as matchesFilter', async () => {
+      const chunks = [
+        makeChunk('a.pdf', 0, 'shared term', { documentId: 1, tags: ['nda', 'hr'], pageNumber: 3 }),
+        makeChunk('b.pdf', 0, 'shared term', { documentId: 2, tags: ['finance'], pageNumber: 7, sender: 'ada@example.com' }),
+        makeChunk('c.txt', 0, 'shared term', { fileType: 'TXT', flagged: true }),
+        makeChunk('d.txt', 0, 'shared term', { fileType: 'TXT', sender: null })
+      ];
+      await lexicalIndexService.removeAllUserChunks(namespace);
+      await lexicalIndexService.indexChunks(namespace, chunks);
+
+      const filters = [
+        { fileType: 'PDF' },
+        { tags: 'nda' },
+        { tags: { $in: ['finance', 'legal'] } },
+        { tags: { $nin: ['nda'] } },
+        { documentId: { $ne: 1 } },
+        { documentId: { $exists: false } },
+        { sender: { $exists: true } },
+        { pageNumber: { $gt: 3, $lte: 7 } },
+        { flagged: true },
+        { $or: [{ documentId: 1 }, { fileName: 'c.txt' }] },
+        { $and: [{ fileType: 'PDF' }, { tags: { $ne: 'hr' } }] }
+      ];
+
+      for (const filter of filters) {
+        const results = await lexicalIndexService.search(namespace, 'shared', 10, filter);
+        const expected = chunks.filter(chunk => matchesFilter(chunk.metadata, filter)).map(chunk => chunk.id);
+        expect({ filter, ids: results.matches.map(match => match.id).sort() }).toEqual({ filter, ids: expected.sort() });
+      }
+    });
+
+    test('should re-index and delete chunks by document', async () => {
+      await lexicalIndexService.indexChunks(namespace, [
+        makeChunk('invoices.pdf', 1, 'Invoice INV-2023-0043 was cancelled.')
+      ]);
+
+      const updated = await lexicalIndexService.search(namespace, 'cancelled', 5);
+      expect(updated.matches.map(match => match.id)).toEqual(['invoices.pdf_chunk_1']);
+      expect((await lexicalIndexService.search(namespace, 'hardware', 5)).matches).toHaveLength(0);
+
+      const removed = await lexicalIndexService.deleteFileChunks(namespace, 'invoices.pdf');
+      expect(removed).toBe(2);
+      expect((await lexicalIndexService.search(namespace, 'invoice', 5)).matches).toHaveLength(0);
+    });
+
+    test('should delete chunks by document id, not by file name', async () => {
+      await lexicalIndexService.indexChunks(namespace, [
+        { id: 'doc:1:chunk:0', text: 'Quarterly report for the north region.', metadata: { documentId: 1, fileName: 'report.pdf', chunkIndex: 0 } },
+        { id: 'doc:2:chunk:0', text: 'Quarterly report for the south region.', metadata: { documentId: 2, fileName: 'report.pdf', chunkIndex: 0 } }
+      ]);
+
+      expect(await lexicalIndexService.deleteDocument(namespace, 1)).toBe(1);
+      expect(await lexicalIndexService.deleteFileChunks(namespace, 'report.pdf')).toBe(0);
+      expect((await lexicalIndexService.search(namespace, 'quarterly report', 5)).matches.map(match => match.id)).toEqual(['doc:2:chunk:0']);
+    });
+
+    test('should ignore queries without searchable terms', async () => {
+      expect(lexicalIndexService.buildMatchQuery('  ?! ')).toBeNull();
+      expect(lexicalIndexService.buildMatchQuery('INV-2023-0042 "quoted"')).toBe('"inv 2023 0042" OR "quoted"');
+      expect((await lexicalIndexService.search(namespace, '?!', 5)).matches).toEqual([]);
+    });
+  });
+
+  describe('reciprocalRankFusion', () => {
+    const semantic = [{ id: 'a', score: 0.9 }, { id: 'b', score: 0.8 }, { id: 'c', score: 0.7 }];
+    const keyword = [{ id: 'c', score: 12.1 }, { id: 'd', score: 8.4 }];
+
+    test('should reward items ranked by both retrievers', () => {
+      const fused = reciprocalRankFusion([
+        { source: 'semantic', weight: 1, matches: semantic },
+        { source: 'keyword', weight: 1, matches: keyword }
+      ]);
+
+      expect(fused[0].id).toBe('c');
+      expect(fused[0].sourceRanks).toEqual({ semantic: 3, keyword: 1 });
+      expect(fused[0].sourceScores).toEqual({ semantic: 0.7, keyword: 12.1 });
+      expect(fused.map(match => match.id).sort()).toEqual(['a', 'b', 'c', 'd']);
+      fused.forEach(match => {
+        expect(match.score).toBeGreaterThan(0);
+        expect(match.score).toBeLessThanOrEqual(1);
+      });
+    });
+
+    test('should respect weights and limit', () => {
+      const keywordHeavy = reciprocalRankFusion([
+        { source: 'semantic', weight: 0.1, matches: semantic },
+        { source: 'keyword', weight: 2, matches: keyword }
+      ], { limit: 2 });
+
+      expect(keywordHeavy.map(match => match.id)).toEqual(['c', 'd']);
+
+      const semanticOnly = reciprocalRankFusion([
+        { source: 'semantic', weight: 1, matches: semantic },
+        { source: 'keyword', weight: 0, matches: keyword }
+      ]);
+
+      expect(semanticOnly.map(match => match.id)).toEqual(['a', 'b', 'c']);
+      expect(semanticOnly[0].score).toBeCloseTo(1);
+    });
+  });
+
+  describe('searchDocuments', () => {
+    const relevant = { id: 'policy.pdf_chunk_0', metadata: { fileName: 'policy.pdf', chunkIndex: 0, text: 'Employees accrue 25 days of annual leave.' } };
+    const unrelated = { id: 'menu.pdf_chunk_0', metadata: { fileName: 'menu.pdf', chunkIndex: 0, text: 'The canteen serves soup every day.' } };
+
+    beforeEach(() => {
+      jest.spyOn(advancedDocumentService, 'generateEmbedding').mockResolvedValue([0.1, 0.2, 0.3]);
+      jest.spyOn(vectorStoreService, 'searchDocuments').mockResolvedValue({
+        matches: [{ ...relevant, score: 0.82 }]
+      });
+      jest.spyOn(lexicalIndexService, 'search').mockResolvedValue({
+        matches: [{ ...unrelated, score: 3.2 }, { ...relevant, score: 1.1 }]
+      });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should threshold and report hybrid matches by cosine similarity, not by fused score', async () => {
+      const results = await advancedDocumentService.searchDocuments(namespace, 'how many days of leave do I get?', 5, {
+        retrieval: { mode: 'hybrid' }
+      });
+
+      const chunks = results.matches.flatMap(match => match.chunks);
+      expect(chunks.map(chunk => chunk.text)).toEqual([relevant.metadata.text]);
+      expect(chunks[0].score).toBe(0.82);
+    });
+
+    test('should keep keyword matches when no similarity scores exist', async () => {
+      const results = await advancedDocumentService.searchDocuments(namespace, 'soup', 5, {
+        retrieval: { mode: 'keyword' }
+      });
+
+      expect(results.matches.flatMap(match => match.chunks)).toHaveLength(2);
+      expect(vectorStoreService.searchDocuments).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,118 @@
+const http = require('http');
+const ConfigurationManager = require('../ConfigurationManager');
+const llmProvider = require('../llmProvider');
+
+describe('LLMProvider', () => {
+  const originalConfig = JSON.parse(JSON.stringify(ConfigurationManager.getServiceConfig('llm')));
+  let server;
+  let requests;
+  let replyContent;
+
+  beforeAll(async () => {
+    // Minimal OpenAI-compatible server, standing in for llama.cpp / Ollama / vLLM
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const payload = JSON.parse(body || '{}');
+        requests.push({ url: req.url, body: payload });
+
+        if (req.url === '/v1/embeddings') {
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ data: [{ embedding: [0.1, 0.2, 0.3], index: 0 }], model: payload.model }));
+          return;
+        }
+
+        if (payload.stream) {
+          res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+          replyContent.split(' ').forEach((word, index) => {
+            const delta = { content: (index > 0 ? ' ' : '') + word };
+            res.write(`data: ${JSON.stringify({ choices: [{ index: 0, delta }] })}\n\n`);
+          });
+          res.end('data: [DONE]\n\n');
+          return;
+        }
+
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          choices: [{ index: 0, message: { role: 'assistant', content: replyContent }, finish_reason: 'stop' }],
+          usage: { prompt_tokens: 5, completion_tokens: 3, total_tokens: 8 }
+        }));
+      });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  afterAll(async () => {
+    ConfigurationManager.set('llm', originalConfig);
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+    replyContent = 'Local model answer';
+    ConfigurationManager.set('llm.provider', 'openai-compatible');
+    ConfigurationManager.set('llm.providers.openai-compatible', {
+      ...originalConfig.providers['openai-compatible'],
+      baseURL: `http://127.0.0.1:${server.address().port}/v1`,
+      chatModel: 'stub-model',
+      embeddingModel: 'stub-embedding',
+      maxTokens: 256,
+      maxRetries: 0
+    });
+  });
+
+  test('should send the provider model and clamp max_tokens to its limit', async () => {
+    const completion = await llmProvider.createChatCompletion({
+      messages: [{ role: 'user', content: 'Hello' }],
+      max_tokens: 2000
+    });
+
+    expect(completion.choices[0].message.content).toBe('Local model answer');
+    expect(requests[0].url).toBe('/v1/chat/completions');
+    expect(requests[0].body).toMatchObject({ model: 'stub-model', max_tokens: 256 });
+  });
+
+  test('should stream deltas and drop stream_options for compatible servers', async () => {
+    const stream = await llmProvider.createChatCompletion({
+      messages: [{ role: 'user', content: 'Hello' }],
+      stream: true,
+      stream_options: { include_usage: true }
+    });
+
+    let text = '';
+    for await (const chunk of stream) {
+      text += chunk.choices[0]?.delta?.content || '';
+    }
+
+    expect(text).toBe('Local model answer');
+    expect(requests[0].body.stream_options).toBeUndefined();
+  });
+
+  test('should use the provider embedding model', async () => {
+    const response = await llmProvider.createEmbedding('termination notice');
+
+    expect(response.data[0].embedding).toEqual([0.1, 0.2, 0.3]);
+    expect(requests[0].body).toMatchObject({ model: 'stub-embedding', input: 'termination notice' });
+  });
+
+  test('should generate a cleaned-up title', async () => {
+    replyContent = '"Contract Termination Terms."';
+
+    const title = await llmProvider.generateTitle('What is the notice period?', 'The notice period is 30 days.');
+
+    expect(title).toBe('Contract Termination Terms');
+    expect(requests[0].body.max_tokens).toBe(20);
+  });
+
+  test('should treat OpenAI as unconfigured without a real API key', () => {
+    ConfigurationManager.set('llm.provider', 'openai');
+    ConfigurationManager.set('llm.providers.openai.apiKey', 'your-openai-api-key-here');
+
+    expect(llmProvider.isConfigured()).toBe(false);
+    expect(() => llmProvider.getClient()).toThrow('LLM provider "openai" is not configured');
+
+    ConfigurationManager.set('llm.providers.openai.apiKey', originalConfig.providers.openai.apiKey);
+  });
+});
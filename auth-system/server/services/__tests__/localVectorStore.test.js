@@ -0,0 +1,153 @@
+process.env.DB_PATH = ':memory:';
+
+const localVectorStore = require('../localVectorStore');
+const { matchesFilter } = require('../../utils/metadataFilter');
+const { makeVector, useTestDatabase } = require('../../tests/helpers/testDatabase');
+
+describe('LocalVectorStore', () => {
+  const namespace = 'user-jane-doe-1';
+  const otherNamespace = 'user-john-roe-2';
+
+  useTestDatabase();
+
+  beforeEach(async () => {
+    await localVectorStore.removeAllUserVectors(namespace);
+    await localVectorStore.removeAllUserVectors(otherNamespace);
+
+    await localVectorStore.storeDocuments([
+      { id: 'a.pdf_chunk_0', values: makeVector(0), metadata: { fileName: 'a.pdf', fileType: 'PDF', chunkIndex: 0 } },
+      { id: 'a.pdf_chunk_1', values: makeVector(1), metadata: { fileName: 'a.pdf', fileType: 'PDF', chunkIndex: 1 } },
+      { id: 'b.txt_chunk_0', values: makeVector(0, 1), metadata: { fileName: 'b.txt', fileType: 'TXT', chunkIndex: 0 } }
+    ], namespace);
+
+    await localVectorStore.storeDocument(
+      { id: 'c.pdf_chunk_0', values: makeVector(0), metadata: { fileName: 'c.pdf', fileType: 'PDF', chunkIndex: 0 } },
+      otherNamespace
+    );
+  });
+
+  test('should rank matches by cosine similarity within the user namespace', async () => {
+    const results = await localVectorStore.searchDocuments(makeVector(0), namespace, {}, 5);
+
+    expect(results.matches.map(match => match.id)).toEqual(['a.pdf_chunk_0', 'b.txt_chunk_0', 'a.pdf_chunk_1']);
+    expect(results.matches[0].score).toBeCloseTo(1);
+    expect(results.matches[0].metadata.userId).toBe(namespace);
+    expect(results.matches[0].metadata.storedAt).toBeDefined();
+  });
+
+  test('should respect topK and metadata filters', async () => {
+    const topOne = await localVectorStore.searchDocuments(makeVector(0), namespace, {}, 1);
+    expect(topOne.matches).toHaveLength(1);
+
+    const txtOnly = await localVectorStore.searchDocuments(makeVector(0), namespace, { fileType: 'TXT' }, 5);
+    expect(txtOnly.matches.map(match => match.id)).toEqual(['b.txt_chunk_0']);
+
+    const inFiles = await localVectorStore.searchDocuments(makeVector(1), namespace, {
+      fileName: { $in: ['a.pdf'] },
+      chunkIndex: { $gte: 1 }
+    }, 5);
+    expect(inFiles.matches.map(match => match.id)).toEqual(['a.pdf_chunk_1']);
+  });
+
+  test('should upsert vectors with the same id', async () => {
+    await localVectorStore.storeDocument(
+      { id: 'a.pdf_chunk_1', values: makeVector(2), metadata: { fileName: 'a.pdf', chunkIndex: 1 } },
+      namespace
+    );
+
+    const stats = await localVectorStore.getUserIndexStats(namespace);
+    expect(stats.vectorCount).toBe(3);
+
+    const results = await localVectorStore.searchDocuments(makeVector(2), namespace, {}, 1);
+    expect(results.matches[0].id).toBe('a.pdf_chunk_1');
+  });
+
+  test('should reject embeddings with the wrong dimension', async () => {
+    await expect(
+      localVectorStore.storeDocument({ id: 'bad', values: [1, 2, 3], metadata: {} }, namespace)
+    ).rejects.toThrow('expected 384 dimensions');
+  });
+
+  test('should store nothing from a batch with an invalid embedding', async () => {
+    await expect(localVectorStore.storeDocuments([
+      { id: 'd.pdf_chunk_0', values: makeVector(2), metadata: { fileName: 'd.pdf' } },
+      { id: 'd.pdf_chunk_1', values: [1, 2, 3], metadata: { fileName: 'd.pdf' } }
+    ], namespace)).rejects.toThrow('Invalid embedding for vector d.pdf_chunk_1');
+
+    const results = await localVectorStore.searchDocuments(makeVector(2), namespace, { fileName: 'd.pdf' }, 5);
+    expect(results.matches).toHaveLength(0);
+  });
+
+  test('should roll back a batch when a write fails', async () => {
+    const run = localVectorStore.run.bind(localVectorStore);
+    let inserts = 0;
+    const spy = jest.spyOn(localVectorStore, 'run').mockImplementation((query, params) => {
+      if (query.includes('INSERT INTO vector_embeddings') && ++inserts === 2) {
+        return Promise.reject(new Error('SQLITE_FULL: database or disk is full'));
+      }
+      return run(query, params);
+    });
+
+    await expect(localVectorStore.storeDocuments([
+      { id: 'a.pdf_chunk_0', values: makeVector(3), metadata: { fileName: 'a.pdf', chunkIndex: 0, revised: true } },
+      { id: 'a.pdf_chunk_1', values: makeVector(4), metadata: { fileName: 'a.pdf', chunkIndex: 1, revised: true } }
+    ], namespace)).rejects.toThrow('SQLITE_FULL');
+    spy.mockRestore();
+
+    const results = await localVectorStore.searchDocuments(makeVector(0), namespace, { fileName: 'a.pdf' }, 5);
+    expect(results.matches.map(match => [match.id, match.metadata.revised])).toEqual([
+      ['a.pdf_chunk_0', undefined],
+      ['a.pdf_chunk_1', undefined]
+    ]);
+    expect(results.matches[0].score).toBeCloseTo(1);
+  });
+
+  test('should delete a single vector and remove all user vectors', async () => {
+    await localVectorStore.deleteDocument('a.pdf_chunk_0', namespace);
+
+    const afterDelete = await localVectorStore.searchDocuments(makeVector(0), namespace, {}, 5);
+    expect(afterDelete.matches.map(match => match.id)).not.toContain('a.pdf_chunk_0');
+
+    const removal = await localVectorStore.removeAllUserVectors(namespace);
+    expect(removal).toMatchObject({ success: true, vectorsRemoved: 2 });
+
+    const verification = await localVectorStore.verifyUserDataCleanup(namespace);
+    expect(verification.isClean).toBe(true);
+
+    // Other users are unaffected
+    const otherStats = await localVectorStore.getUserIndexStats(otherNamespace);
+    expect(otherStats.vectorCount).toBe(1);
+  });
+
+  test('should list namespaces with vector counts', async () => {
+    const indexes = await localVectorStore.listUserIndexes();
+
+    expect(indexes).toEqual([
+      { name: namespace, vectorCount: 3 },
+      { name: otherNamespace, vectorCount: 1 }
+    ]);
+  });
+
+  describe('matchesFilter', () => {
+    const metadata = { fileType: 'PDF', chunkIndex: 3, tags: ['contract', 'nda'] };
+
+    test('should support comparison and logical operators', () => {
+      expect(matchesFilter(metadata, { fileType: 'PDF' })).toBe(true);
+      expect(matchesFilter(metadata, { fileType: { $ne: 'PDF' } })).toBe(false);
+      expect(matchesFilter(metadata, { chunkIndex: { $gt: 2, $lt: 4 } })).toBe(true);
+      expect(matchesFilter(metadata, { chunkIndex: { $nin: [1, 2] } })).toBe(true);
+      expect(matchesFilter(metadata, { tags: 'nda' })).toBe(true);
+      expect(matchesFilter(metadata, { missing: { $exists: false } })).toBe(true);
+      expect(matchesFilter(metadata, {
+        $or: [{ fileType: 'DOCX' }, { chunkIndex: { $lte: 3 } }]
+      })).toBe(true);
+      expect(matchesFilter(metadata, {
+        $and: [{ fileType: 'PDF' }, { chunkIndex: { $eq: 4 } }]
+      })).toBe(false);
+    });
+
+    test('should throw on unsupported operators', () => {
+      expect(() => matchesFilter(metadata, { chunkIndex: { $regex: '3' } })).toThrow('Unsupported');
+    });
+  });
+});
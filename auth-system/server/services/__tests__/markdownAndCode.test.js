@@ -0,0 +1,139 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const structuredChunkingService = require('../structuredChunkingService');
+const codeChunkingService = require('../codeChunkingService');
+const fileValidationService = require('../fileValidationService');
+const responseFormatter = require('../responseFormatter');
+const { getLineStarts, getLinesForRange } = require('../../utils/lineMap');
+
+const summarize = blocks => blocks.map(block => (block.type === 'heading'
+  ? [block.type, block.level, block.text]
+  : [block.type, block.units.map(unit => unit.text)]));
+
+describe('Markdown, reStructuredText and code documents', () => {
+  test('should follow Markdown headings and keep fenced code blocks whole', () => {
+    const markdown = 'Setup\n=====\n\nInstall the CLI.\n\n## Usage ##\n\n```bash\n# not a heading\nnpm install\n\nnpm start\n```\n\n---\n\n| Flag | Default |\n|------|---------|\n| -v | off |\n\nCHAPTER 2 is not a heading here.\n';
+
+    expect(summarize(structuredChunkingService.blocksFromText(markdown, { format: 'markdown' }))).toEqual([
+      ['heading', 1, 'Setup'],
+      ['paragraph', ['Install the CLI.']],
+      ['heading', 2, 'Usage'],
+      ['code', ['```bash', '# not a heading', 'npm install', '', 'npm start', '```']],
+      ['table', ['Flag | Default', '-v | off']],
+      ['paragraph', ['CHAPTER 2 is not a heading here.']]
+    ]);
+  });
+
+  test('should read reStructuredText section titles and literal blocks', () => {
+    const rst = '=====\nGuide\n=====\n\nInstall\n-------\n\nRun this::\n\n    pip install tool\n\n    tool --help\n\n.. code-block:: python\n\n    import tool\n\nOptions\n-------\n\nSee below.\n';
+
+    expect(summarize(structuredChunkingService.blocksFromText(rst, { format: 'rst' }))).toEqual([
+      ['heading', 1, 'Guide'],
+      ['heading', 2, 'Install'],
+      ['paragraph', ['Run this::']],
+      ['code', ['    pip install tool', '', '    tool --help']],
+      ['code', ['    import tool']],
+      ['heading', 2, 'Options'],
+      ['paragraph', ['See below.']]
+    ]);
+  });
+
+  test('should map Markdown chunks to their lines', () => {
+    const markdown = '# Guide\n\nIntro.\n\n## Install\n\n```\nnpm install\n```\n';
+    const chunks = structuredChunkingService.chunkBlocks(structuredChunkingService.blocksFromText(markdown, { format: 'markdown' }));
+    const lineStarts = getLineStarts(markdown);
+
+    expect(chunks.map(chunk => [chunk.section, getLinesForRange(lineStarts, chunk.charStart, chunk.charEnd)])).toEqual([
+      ['Guide', { lineStart: 3, lineEnd: 3 }],
+      ['Guide > Install', { lineStart: 7, lineEnd: 9 }]
+    ]);
+    expect(chunks[1].text).toBe('```\nnpm install\n```');
+  });
+
+  test('should chunk source code on class and method boundaries', () => {
+    const source = [
+      "const fs = require('fs');",
+      '',
+      '/**',
+      ' * Reads config files',
+      ' */',
+      'class Parser {',
+      '  parse(text) {',
+      '    if (text) {',
+      '      return text.trim();',
+      '    }',
+      "    return '';",
+      '  }',
+      '}',
+      '',
+      '// Helper',
+      'const load = async (file) => fs.promises.readFile(file);'
+    ].join('\n');
+
+    expect(codeChunkingService.chunkCode(source, { filePath: 'parser.js', maxChunkSize: 100 })).toEqual([
+      { text: "const fs = require('fs');\n\n/**\n * Reads config files\n */\nclass Parser {", lineStart: 1, lineEnd: 6, section: 'Parser' },
+      { text: "  parse(text) {\n    if (text) {\n      return text.trim();\n    }\n    return '';\n  }\n}", lineStart: 7, lineEnd: 13, section: 'Parser.parse' },
+      { text: '// Helper\nconst load = async (file) => fs.promises.readFile(file);', lineStart: 15, lineEnd: 16, section: 'load' }
+    ]);
+  });
+
+  test('should attach Python decorators and qualify methods', () => {
+    const source = 'import os\n\n\nclass Store:\n    @property\n    def size(self):\n        return 1\n\n\ndef main():\n    Store()\n';
+
+    expect(codeChunkingService.chunkCode(source, { filePath: 'store.py', maxChunkSize: 60 })).toEqual([
+      { text: 'import os\n\n\nclass Store:', lineStart: 1, lineEnd: 4, section: 'Store' },
+      { text: '    @property\n    def size(self):\n        return 1', lineStart: 5, lineEnd: 7, section: 'Store.size' },
+      { text: 'def main():\n    Store()', lineStart: 10, lineEnd: 11, section: 'main' }
+    ]);
+  });
+
+  test('should cite the lines of a chunk', () => {
+    const contextBlocks = [
+      { source: 'setup.md', chunkIndex: 4, text: 'npm install', metadata: { date: '2024-01-15', lineStart: 10, lineEnd: 42 } },
+      { source: 'parser.py', chunkIndex: 0, text: 'import os', metadata: { date: '2024-01-16', lineStart: 1, lineEnd: 1 } }
+    ];
+
+    expect(responseFormatter.formatCitations(contextBlocks)).toBe(
+      '- Resource: parser.py | Chunk 0 | Line 1 | 2024-01-16\n- Resource: setup.md | Chunk 4 | Lines 10-42 | 2024-01-15'
+    );
+  });
+
+  describe('validation', () => {
+    let tempDir;
+
+    beforeAll(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'code-validation-'));
+    });
+
+    afterAll(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    const validate = (name, mimetype, content, options) => {
+      const filePath = path.join(tempDir, name);
+      fs.writeFileSync(filePath, content);
+      return fileValidationService.validateFile({ originalname: name, mimetype, size: content.length, path: filePath }, null, options);
+    };
+
+    test('should accept Markdown sent with a generic MIME type', async () => {
+      expect((await validate('setup.md', 'application/octet-stream', Buffer.from('# Setup'))).isValid).toBe(true);
+      expect((await validate('guide.rst', 'text/x-rst', Buffer.from('Guide\n=====\n'))).isValid).toBe(true);
+    });
+
+    test('should only accept source files as code documents', async () => {
+      const rejected = await validate('parser.js', 'text/javascript', Buffer.from('class Parser {}'));
+      expect(rejected.isValid).toBe(false);
+      expect(rejected.errors[0]).toMatch(/not allowed/);
+
+      expect((await validate('parser.js', 'text/javascript', Buffer.from('class Parser {}'), { codeDocuments: true })).isValid).toBe(true);
+      expect((await validate('types.ts', 'video/mp2t', Buffer.from('type Id = string;'), { codeDocuments: true })).isValid).toBe(true);
+
+      const binary = await validate('tool.py', 'text/x-python', Buffer.from([0x7f, 0x45, 0x4c, 0x46, 0x00]), { codeDocuments: true });
+      expect(binary.isValid).toBe(false);
+      expect(binary.errors[0]).toMatch(/Source Code Document/);
+
+      expect((await validate('setup.exe', 'application/octet-stream', Buffer.from('MZ'), { codeDocuments: true })).isValid).toBe(false);
+    });
+  });
+});
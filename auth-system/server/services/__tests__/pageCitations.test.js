@@ -0,0 +1,54 @@
+const responseFormatter = require('../responseFormatter');
+const {
+  joinPages,
+  getPageRanges,
+  locateChunks,
+  getPagesForRange,
+  formatPageReference
+} = require('../../utils/pageMap');
+
+describe('Page-aware citations', () => {
+  const pagedText = joinPages([
+    'Article 1. Payment is due within 30 days of the invoice date.',
+    'Article 2. Either party may terminate with 60 days written notice.',
+    'Article 3. This agreement is governed by the laws of Ontario.'
+  ]);
+
+  test('should map character ranges in page-joined text back to pages', () => {
+    const pages = getPageRanges(pagedText);
+    expect(pages.map(page => page.pageNumber)).toEqual([1, 2, 3]);
+    expect(pagedText.slice(pages[1].start, pages[1].end)).toBe('Article 2. Either party may terminate with 60 days written notice.');
+
+    const [termination, missing] = locateChunks(pagedText, ['terminate with 60 days', 'not in the text']);
+    expect(missing).toBeNull();
+    expect(getPagesForRange(pages, termination.charStart, termination.charEnd)).toEqual({ pageNumber: 2, pageEnd: 2 });
+
+    // A range across the break between pages 1 and 2
+    expect(getPagesForRange(pages, pages[0].end - 5, pages[1].start + 7)).toEqual({ pageNumber: 1, pageEnd: 2 });
+
+    expect(formatPageReference(2)).toBe('Page 2');
+    expect(formatPageReference(2, 3)).toBe('Pages 2-3');
+    expect(formatPageReference(undefined)).toBeNull();
+  });
+
+  test('should resolve repeated chunk text to the occurrence after the previous chunk', () => {
+    const text = joinPages(['Definitions apply.', 'Definitions apply.']);
+    const [first, second] = locateChunks(text, ['Definitions apply.', 'Definitions apply.']);
+
+    expect(getPagesForRange(getPageRanges(text), first.charStart, first.charEnd).pageNumber).toBe(1);
+    expect(getPagesForRange(getPageRanges(text), second.charStart, second.charEnd).pageNumber).toBe(2);
+  });
+
+  test('should cite the exact page when the chunk has one', () => {
+    const contextBlocks = [
+      { source: 'contract.pdf', chunkIndex: 4, text: 'Either party may terminate.', fileType: 'PDF', metadata: { date: '2024-01-15', pageNumber: 2, pageEnd: 3 } },
+      { source: 'notes.txt', chunkIndex: 1, text: 'Termination notes.', fileType: 'TXT', metadata: { date: '2024-01-20' } }
+    ];
+
+    expect(responseFormatter.formatCitations(contextBlocks)).toBe(
+      '- Resource: contract.pdf | Chunk 4 | Pages 2-3 | 2024-01-15\n- Resource: notes.txt | Chunk 1 | 2024-01-20'
+    );
+    expect(responseFormatter.extractProvisions('No sections here.', contextBlocks.slice(0, 1)))
+      .toBe('- contract.pdf | Chunk 4 | Pages 2-3 | 2024-01-15\nExcerpt: "Either party may terminate."');
+  });
+});
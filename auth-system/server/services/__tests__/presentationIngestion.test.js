@@ -0,0 +1,133 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JSZip = require('jszip');
+const presentationParsingService = require('../presentationParsingService');
+const fileValidationService = require('../fileValidationService');
+const responseFormatter = require('../responseFormatter');
+
+const PPTX_MIME = 'application/vnd.openxmlformats-officedocument.presentationml.presentation';
+const NAMESPACES = 'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"';
+const RELATIONSHIP_TYPE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+const shape = (placeholderType, paragraphs) => `<p:sp>
+  <p:nvSpPr><p:cNvPr id="2" name="Shape"/><p:cNvSpPr/><p:nvPr>${placeholderType ? `<p:ph type="${placeholderType}"/>` : ''}</p:nvPr></p:nvSpPr>
+  <p:txBody><a:bodyPr/>${paragraphs.map(runs => `<a:p>${runs}<a:endParaRPr/></a:p>`).join('')}</p:txBody>
+</p:sp>`;
+const run = text => `<a:r><a:rPr lang="en-US"/><a:t>${text}</a:t></a:r>`;
+const slide = content => `<?xml version="1.0"?><p:sld ${NAMESPACES}><p:cSld><p:spTree>${content}</p:spTree></p:cSld></p:sld>`;
+
+// Minimal deck laid out the way PowerPoint writes one; slide files are numbered out of order
+const createPresentation = async () => {
+  const zip = new JSZip();
+  zip.file('ppt/presentation.xml', `<?xml version="1.0"?>
+    <p:presentation ${NAMESPACES}>
+      <p:sldIdLst><p:sldId id="256" r:id="rId7"/><p:sldId id="257" r:id="rId3"/><p:sldId id="258" r:id="rId4"/></p:sldIdLst>
+    </p:presentation>`);
+  zip.file('ppt/_rels/presentation.xml.rels', `<?xml version="1.0"?>
+    <Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+      <Relationship Id="rId3" Type="${RELATIONSHIP_TYPE}/slide" Target="slides/slide1.xml"/>
+      <Relationship Id="rId4" Type="${RELATIONSHIP_TYPE}/slide" Target="slides/slide3.xml"/>
+      <Relationship Id="rId7" Type="${RELATIONSHIP_TYPE}/slide" Target="slides/slide2.xml"/>
+    </Relationships>`);
+
+  zip.file('ppt/slides/slide2.xml', slide(
+    shape('ctrTitle', [run('Quarterly ') + run('Review')]) +
+    shape('subTitle', [run('Finance team')]) +
+    shape('sldNum', [`<a:fld id="{1}" type="slidenum"><a:t>1</a:t></a:fld>`])
+  ));
+  zip.file('ppt/slides/slide1.xml', slide(
+    shape('title', [run('Budget')]) +
+    `<p:grpSp>${shape(null, [run('Spend is up 4%'), run('Travel &amp; hotels') + '<a:br/>' + run('reduced')])}</p:grpSp>` +
+    `<p:graphicFrame><a:graphic><a:graphicData><a:tbl>
+      <a:tr><a:tc><a:txBody><a:p>${run('Team')}</a:p></a:txBody></a:tc><a:tc><a:txBody><a:p>${run('Spend')}</a:p></a:txBody></a:tc></a:tr>
+      <a:tr><a:tc><a:txBody><a:p>${run('Sales')}</a:p></a:txBody></a:tc><a:tc><a:txBody><a:p>${run('120k')}</a:p></a:txBody></a:tc></a:tr>
+      <a:tr><a:tc><a:txBody><a:p/></a:txBody></a:tc><a:tc><a:txBody><a:p/></a:txBody></a:tc></a:tr>
+    </a:tbl></a:graphicData></a:graphic></p:graphicFrame>`
+  ));
+  zip.file('ppt/slides/_rels/slide1.xml.rels', `<?xml version="1.0"?>
+    <Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+      <Relationship Id="rId1" Type="${RELATIONSHIP_TYPE}/slideLayout" Target="../slideLayouts/slideLayout2.xml"/>
+      <Relationship Id="rId2" Type="${RELATIONSHIP_TYPE}/notesSlide" Target="../notesSlides/notesSlide1.xml"/>
+      <Relationship Id="rId3" Type="${RELATIONSHIP_TYPE}/hyperlink" Target="https://example.com" TargetMode="External"/>
+    </Relationships>`);
+  zip.file('ppt/notesSlides/notesSlide1.xml', `<?xml version="1.0"?><p:notes ${NAMESPACES}><p:cSld><p:spTree>
+    ${shape('sldImg', [])}${shape('body', [run('Mention the hiring freeze.'), run('Skip if short on time.')])}${shape('sldNum', [run('2')])}
+  </p:spTree></p:cSld></p:notes>`);
+  zip.file('ppt/slides/slide3.xml', slide(shape('title', [])));
+  return zip.generateAsync({ type: 'nodebuffer' });
+};
+
+describe('Presentation ingestion', () => {
+  test('should read titles, body text, tables and speaker notes in slide order', async () => {
+    const slides = await presentationParsingService.parsePPTX(await createPresentation());
+
+    expect(slides).toEqual([
+      { slideNumber: 1, title: 'Quarterly Review', body: ['Finance team'], notes: [] },
+      {
+        slideNumber: 2,
+        title: 'Budget',
+        body: ['Spend is up 4%', 'Travel & hotels reduced', 'Team | Spend', 'Sales | 120k'],
+        notes: ['Mention the hiring freeze.', 'Skip if short on time.']
+      },
+      { slideNumber: 3, title: null, body: [], notes: [] }
+    ]);
+    expect(presentationParsingService.slidesToText(slides)).toBe(
+      'Slide 1: Quarterly Review\nFinance team\n\n' +
+      'Slide 2: Budget\nSpend is up 4%\nTravel & hotels reduced\nTeam | Spend\nSales | 120k\nSpeaker notes: Mention the hiring freeze. Skip if short on time.'
+    );
+  });
+
+  test('should reject files that are not PPTX presentations', async () => {
+    const zip = new JSZip();
+    zip.file('word/document.xml', '<document/>');
+
+    await expect(presentationParsingService.parsePPTX(await zip.generateAsync({ type: 'nodebuffer' })))
+      .rejects.toThrow('File is not a valid PPTX presentation: ppt/presentation.xml is missing');
+  });
+
+  test('should chunk per slide and split long slides at paragraphs', () => {
+    const slides = [
+      { slideNumber: 1, title: 'Intro', body: ['Welcome'], notes: [] },
+      { slideNumber: 2, title: 'Budget', body: ['Spend is up 4% this quarter', 'Travel was reduced'], notes: ['Mention the hiring freeze'] },
+      { slideNumber: 3, title: null, body: [], notes: [] }
+    ];
+
+    expect(presentationParsingService.chunkSlides(slides, { maxChunkSize: 65 })).toEqual([
+      { text: 'Slide 1: Intro\nWelcome', slideNumber: 1, slideTitle: 'Intro' },
+      { text: 'Slide 2: Budget\nSpend is up 4% this quarter\nTravel was reduced', slideNumber: 2, slideTitle: 'Budget' },
+      { text: 'Slide 2: Budget\nSpeaker notes: Mention the hiring freeze', slideNumber: 2, slideTitle: 'Budget' }
+    ]);
+  });
+
+  test('should cite the slide of a chunk', () => {
+    const contextBlocks = [
+      { source: 'review.pptx', chunkIndex: 11, text: 'Slide 12: Budget', metadata: { date: '2024-01-15', slideNumber: 12 } }
+    ];
+
+    expect(responseFormatter.formatCitations(contextBlocks)).toBe('- Resource: review.pptx | Chunk 11 | Slide 12 | 2024-01-15');
+    expect(responseFormatter.createResourceLabels(contextBlocks)[0]).toMatchObject({
+      fullLabel: 'Resource: review.pptx | Chunk 11 | Slide 12',
+      slideNumber: 12
+    });
+  });
+
+  test('should validate PPTX uploads by their ZIP signature', async () => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'presentation-validation-'));
+    const validate = (name, content) => {
+      const filePath = path.join(tempDir, name);
+      fs.writeFileSync(filePath, content);
+      return fileValidationService.validateFile({ originalname: name, mimetype: PPTX_MIME, size: content.length, path: filePath });
+    };
+
+    try {
+      expect((await validate('review.pptx', await createPresentation())).isValid).toBe(true);
+
+      const fake = await validate('fake.pptx', Buffer.from('Slide 1: Budget'));
+      expect(fake.isValid).toBe(false);
+      expect(fake.errors[0]).toMatch(/Microsoft PowerPoint Presentation/);
+    } finally {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  });
+});
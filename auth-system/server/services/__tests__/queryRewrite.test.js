@@ -0,0 +1,131 @@
+jest.mock('../llmProvider', () => ({
+  isConfigured: jest.fn(),
+  createChatCompletion: jest.fn()
+}));
+
+const ConfigurationManager = require('../ConfigurationManager');
+const llmProvider = require('../llmProvider');
+const queryRewriteService = require('../queryRewriteService');
+
+describe('QueryRewriteService', () => {
+  const originalConfig = { ...ConfigurationManager.getServiceConfig('queryRewrite') };
+
+  const history = [
+    { role: 'user', content: 'What are the termination clauses in the lease?' },
+    {
+      role: 'assistant',
+      content: 'The lease has three termination clauses:\n1. **Early termination**: 60 days notice.\n2. **Termination for breach**: immediate.\n3. Mutual termination by written agreement.'
+    }
+  ];
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    ConfigurationManager.set('queryRewrite', { ...originalConfig });
+    llmProvider.isConfigured.mockReturnValue(true);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    llmProvider.createChatCompletion.mockReset();
+  });
+
+  afterAll(() => {
+    ConfigurationManager.set('queryRewrite', originalConfig);
+  });
+
+  test('should pass standalone questions through without calling the LLM', async () => {
+    const first = await queryRewriteService.rewrite('What are the termination clauses in the lease?', []);
+    const standalone = await queryRewriteService.rewrite('Who are the parties to the sublease agreement?', history);
+
+    expect(first).toEqual({
+      original: 'What are the termination clauses in the lease?',
+      rewritten: 'What are the termination clauses in the lease?',
+      method: 'none'
+    });
+    expect(standalone.method).toBe('none');
+    expect(llmProvider.createChatCompletion).not.toHaveBeenCalled();
+  });
+
+  test('should not treat pronouns inside standalone questions as references', () => {
+    const standalone = [
+      'Which contracts mention penalties that exceed 10%?',
+      'Is there one notice period that applies to every lease in the portfolio?',
+      'Which suppliers share the same bank account as Acme Corp?',
+      'List the invoices above 5000 euros issued in March',
+      'What does the handbook say about overtime that was not approved in advance?'
+    ];
+
+    standalone.forEach(query => {
+      expect({ query, followUp: queryRewriteService.isFollowUp(query, history) }).toEqual({ query, followUp: false });
+    });
+  });
+
+  test('should treat leading and trailing references as follow-ups', () => {
+    const followUps = [
+      'Is it enforceable in Germany?',
+      'What is its notice period for tenants?',
+      'Do these clauses apply to subcontractors as well?',
+      'What are the penalties for breaking it?',
+      'Which of the parties can rely on the latter clause?'
+    ];
+
+    followUps.forEach(query => {
+      expect({ query, followUp: queryRewriteService.isFollowUp(query, history) }).toEqual({ query, followUp: true });
+    });
+  });
+
+  test('should rewrite follow-ups with the LLM provider using recent turns', async () => {
+    llmProvider.createChatCompletion.mockResolvedValue({
+      choices: [{ message: { content: 'Query: "Penalties for early termination of the lease"' } }]
+    });
+
+    const result = await queryRewriteService.rewrite('and its penalties?', history);
+
+    expect(result).toEqual({
+      original: 'and its penalties?',
+      rewritten: 'Penalties for early termination of the lease',
+      method: 'llm'
+    });
+
+    const request = llmProvider.createChatCompletion.mock.calls[0][0];
+    expect(request.temperature).toBe(0);
+    expect(request.messages[1].content).toContain('User: What are the termination clauses in the lease?');
+    expect(request.messages[1].content).toContain('Follow-up question: and its penalties?');
+  });
+
+  test('should fall back to the heuristic when the LLM call fails', async () => {
+    llmProvider.createChatCompletion.mockRejectedValue(new Error('connection refused'));
+
+    const result = await queryRewriteService.rewrite('and its penalties?', history);
+
+    expect(result).toEqual({
+      original: 'and its penalties?',
+      rewritten: 'What are the termination clauses in the lease its penalties',
+      method: 'heuristic'
+    });
+  });
+
+  test('should resolve ordinal references against the previous answer heuristically', async () => {
+    ConfigurationManager.set('queryRewrite.useLLM', false);
+
+    const second = await queryRewriteService.rewrite('what about the second one?', history);
+    expect(second.rewritten).toBe('What are the termination clauses in the lease Termination for breach');
+    expect(second.method).toBe('heuristic');
+
+    llmProvider.isConfigured.mockReturnValue(false);
+    ConfigurationManager.set('queryRewrite.useLLM', true);
+    const last = await queryRewriteService.rewrite('Explain the last one', history);
+    expect(last.rewritten).toBe('What are the termination clauses in the lease Explain Mutual termination by written agreement');
+    expect(llmProvider.createChatCompletion).not.toHaveBeenCalled();
+  });
+
+  test('should do nothing when disabled', async () => {
+    ConfigurationManager.set('queryRewrite.enabled', false);
+
+    const result = await queryRewriteService.rewrite('and its penalties?', history);
+
+    expect(result.method).toBe('none');
+    expect(result.rewritten).toBe('and its penalties?');
+  });
+});
@@ -0,0 +1,68 @@
+const ConfigurationManager = require('../ConfigurationManager');
+const rerankerService = require('../rerankerService');
+
+const candidates = [
+  { source: 'a.pdf', chunkIndex: 0, score: 0.9, text: 'General overview of the agreement.' },
+  { source: 'b.pdf', chunkIndex: 3, score: 0.8, text: 'The termination notice period is 30 days.' },
+  { source: 'c.pdf', chunkIndex: 1, score: 0.7, text: 'Payment is due within 14 days.' }
+];
+
+describe('RerankerService', () => {
+  const originalConfig = { ...ConfigurationManager.getServiceConfig('reranker') };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    rerankerService.modelInitialized = false;
+    rerankerService.modelInitializationPromise = null;
+    rerankerService.unavailableReason = null;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    ConfigurationManager.set('reranker', { ...originalConfig });
+  });
+
+  test('should keep retrieval order when the model is not cached', async () => {
+    ConfigurationManager.set('reranker.model', 'Xenova/not-a-cached-model');
+
+    const result = await rerankerService.rerank('termination notice', candidates);
+
+    expect(result.reranked).toBe(false);
+    expect(result.reason).toBe('model-not-cached');
+    expect(result.results).toBe(candidates);
+  });
+
+  test('should skip when disabled', async () => {
+    ConfigurationManager.set('reranker.enabled', false);
+
+    const result = await rerankerService.rerank('termination notice', candidates);
+
+    expect(result).toMatchObject({ reranked: false, reason: 'disabled' });
+  });
+
+  test('should reorder the top-N candidates by cross-encoder score and track latency', async () => {
+    rerankerService.modelInitialized = true;
+    const scorePairs = jest.spyOn(rerankerService, 'scorePairs').mockResolvedValue([0.1, 0.95]);
+    const statsBefore = rerankerService.getStatus().latency.count;
+
+    const result = await rerankerService.rerank('termination notice', candidates, { topN: 2 });
+
+    expect(scorePairs).toHaveBeenCalledWith('termination notice', [candidates[0].text, candidates[1].text]);
+    expect(result.reranked).toBe(true);
+    expect(result.results.map(block => block.source)).toEqual(['b.pdf', 'a.pdf', 'c.pdf']);
+    expect(result.results[0].rerankScore).toBe(0.95);
+    expect(result.results[2].rerankScore).toBeUndefined();
+    expect(rerankerService.getStatus().latency.count).toBe(statsBefore + 1);
+  });
+
+  test('should fall back to retrieval order when inference fails', async () => {
+    rerankerService.modelInitialized = true;
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(rerankerService, 'scorePairs').mockRejectedValue(new Error('onnx failure'));
+
+    const result = await rerankerService.rerank('termination notice', candidates);
+
+    expect(result).toMatchObject({ reranked: false, reason: 'inference-failed' });
+    expect(result.results).toBe(candidates);
+  });
+});
@@ -0,0 +1,99 @@
+process.env.DB_PATH = ':memory:';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'test-refresh-secret';
+process.env.BCRYPT_ROUNDS = '4';
+
+const express = require('express');
+const request = require('supertest');
+const User = require('../../models/User');
+const Session = require('../../models/Session');
+const sessionService = require('../sessionService');
+const { authenticateToken } = require('../../middleware/auth');
+const { useTestDatabase } = require('../../tests/helpers/testDatabase');
+
+const FIREFOX = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14.4; rv:125.0) Gecko/20100101 Firefox/125.0';
+const CHROME = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36';
+
+const fakeRequest = (userAgent, ip) => ({
+  get: (header) => (header.toLowerCase() === 'user-agent' ? userAgent : undefined),
+  ip
+});
+
+describe('Sessions', () => {
+  let user;
+  let app;
+
+  useTestDatabase();
+
+  beforeAll(async () => {
+    user = await User.create({ firstName: 'Grace', lastName: 'Hopper', email: 'grace@example.com', password: 'Correct-horse-1' });
+
+    app = express();
+    app.get('/profile', authenticateToken, (req, res) => res.json({ userId: req.user.id, sessionId: req.sessionId }));
+  });
+
+  afterEach(async () => {
+    await Session.deleteByUserId(user.id);
+  });
+
+  test('should record the device of a new session', async () => {
+    const tokens = await sessionService.start(user, fakeRequest(FIREFOX, '203.0.113.5'));
+
+    const response = await request(app).get('/profile').set('Authorization', `Bearer ${tokens.accessToken}`);
+    expect(response.status).toBe(200);
+
+    const [session] = await sessionService.list(user, response.body.sessionId);
+    expect(session).toMatchObject({
+      device: 'Firefox on macOS',
+      ipAddress: '203.0.113.5',
+      current: true
+    });
+    expect(session.lastRefreshedAt).not.toBeNull();
+  });
+
+  test('should rotate refresh tokens and end the session when an old one is reused', async () => {
+    const first = await sessionService.start(user, fakeRequest(FIREFOX, '203.0.113.5'));
+
+    const refreshed = await sessionService.refresh(first.refreshToken, fakeRequest(CHROME, '198.51.100.7'));
+    expect(refreshed.status).toBe('refreshed');
+    expect(refreshed.tokens.refreshToken).not.toBe(first.refreshToken);
+    expect((await sessionService.list(user))[0]).toMatchObject({ device: 'Chrome on Windows', ipAddress: '198.51.100.7' });
+
+    // The stolen first token is replayed: both it and the rotated token stop working
+    expect((await sessionService.refresh(first.refreshToken, fakeRequest(CHROME, '192.0.2.1'))).status).toBe('reused');
+    expect((await sessionService.refresh(refreshed.tokens.refreshToken, fakeRequest(FIREFOX, '203.0.113.5'))).status).toBe('invalid');
+
+    const response = await request(app).get('/profile').set('Authorization', `Bearer ${refreshed.tokens.accessToken}`);
+    expect(response.status).toBe(401);
+    expect(response.body.code).toBe('SESSION_REVOKED');
+  });
+
+  test('should revoke one session of the user only', async () => {
+    const other = await User.create({ firstName: 'Ada', lastName: 'Lovelace', email: 'ada@example.com', password: 'Correct-horse-1' });
+    await sessionService.start(user, fakeRequest(FIREFOX, '203.0.113.5'));
+    await sessionService.start(other, fakeRequest(CHROME, '198.51.100.7'));
+
+    const [mine] = await sessionService.list(user);
+    const [theirs] = await sessionService.list(other);
+
+    expect(await sessionService.revoke(user, theirs.id)).toBe(false);
+    expect(await sessionService.revoke(user, mine.id)).toBe(true);
+    expect(await sessionService.list(user)).toHaveLength(0);
+    expect(await sessionService.list(other)).toHaveLength(1);
+
+    await Session.deleteByUserId(other.id);
+  });
+
+  test('should sign out every other session and keep the current one', async () => {
+    const current = await sessionService.start(user, fakeRequest(FIREFOX, '203.0.113.5'));
+    const laptop = await sessionService.start(user, fakeRequest(CHROME, '198.51.100.7'));
+    await sessionService.start(user, fakeRequest(CHROME, '192.0.2.1'));
+
+    const { body } = await request(app).get('/profile').set('Authorization', `Bearer ${current.accessToken}`);
+    expect(await sessionService.revokeOthers(user, body.sessionId)).toBe(2);
+
+    expect((await request(app).get('/profile').set('Authorization', `Bearer ${current.accessToken}`)).status).toBe(200);
+    expect((await request(app).get('/profile').set('Authorization', `Bearer ${laptop.accessToken}`)).status).toBe(401);
+    expect(await sessionService.list(user)).toHaveLength(1);
+  });
+});
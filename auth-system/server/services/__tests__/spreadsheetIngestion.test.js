@@ -0,0 +1,163 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JSZip = require('jszip');
+const spreadsheetParsingService = require('../spreadsheetParsingService');
+const fileValidationService = require('../fileValidationService');
+const responseFormatter = require('../responseFormatter');
+
+const XLSX_MIME = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Minimal workbook laid out the way Excel writes one
+const createWorkbook = async () => {
+  const zip = new JSZip();
+  zip.file('[Content_Types].xml', '<?xml version="1.0"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"/>');
+  zip.file('xl/workbook.xml', `<?xml version="1.0"?>
+    <workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+      <sheets>
+        <sheet name="Budget" sheetId="1" r:id="rId1"/>
+        <sheet name="Notes" sheetId="2" r:id="rId2"/>
+      </sheets>
+    </workbook>`);
+  zip.file('xl/_rels/workbook.xml.rels', `<?xml version="1.0"?>
+    <Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+      <Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="/xl/worksheets/notes.xml"/>
+      <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>
+    </Relationships>`);
+  zip.file('xl/sharedStrings.xml', `<?xml version="1.0"?>
+    <sst xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+      <si><t>Item</t></si>
+      <si><t>Amount</t></si>
+      <si><t>Due</t></si>
+      <si><r><t>Office </t></r><r><rPr><b/></rPr><t>rent</t></r><rPh><t>ofisu</t></rPh></si>
+    </sst>`);
+  zip.file('xl/styles.xml', `<?xml version="1.0"?>
+    <styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+      <numFmts><numFmt numFmtId="164" formatCode="&quot;Paid&quot;\\ #,##0"/><numFmt numFmtId="165" formatCode="[$-409]dd/mm/yyyy"/></numFmts>
+      <cellXfs><xf numFmtId="0"/><xf numFmtId="14"/><xf numFmtId="164"/><xf numFmtId="165"/></cellXfs>
+    </styleSheet>`);
+  zip.file('xl/worksheets/sheet1.xml', `<?xml version="1.0"?>
+    <worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+      <sheetData>
+        <row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c><c r="C1" t="s"><v>2</v></c></row>
+        <row r="2"><c r="A2" t="s"><v>3</v></c><c r="B2" s="2"><v>1200.1</v></c><c r="C2" s="1"><v>45382</v></c></row>
+        <row r="4"><c r="A4" t="inlineStr"><is><t>Travel</t></is></c><c r="C4" s="3"><v>45383.5</v></c><c r="E4" s="1"/></row>
+        <row r="5"><c r="A5" t="str"><f>A4</f><v>Travel</v></c><c r="B5"><v>0.30000000000000004</v></c><c r="C5" t="b"><v>1</v></c></row>
+      </sheetData>
+    </worksheet>`);
+  zip.file('xl/worksheets/notes.xml', `<?xml version="1.0"?>
+    <worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+      <sheetData><row r="1"><c r="B1" t="inlineStr"><is><t>Reviewed</t></is></c></row></sheetData>
+    </worksheet>`);
+  return zip.generateAsync({ type: 'nodebuffer' });
+};
+
+describe('Spreadsheet ingestion', () => {
+  test('should parse quoted CSV fields and detect the delimiter', () => {
+    const rows = spreadsheetParsingService.parseCSV('\uFEFFName;Note;Amount\r\n"Smith; John";"Said ""hi""\nthen left";10\r\n\r\n;;\r\nDoe;;5');
+
+    expect(rows).toEqual([
+      { rowNumber: 1, cells: ['Name', 'Note', 'Amount'] },
+      { rowNumber: 2, cells: ['Smith; John', 'Said "hi" then left', '10'] },
+      { rowNumber: 5, cells: ['Doe', '', '5'] }
+    ]);
+    expect(spreadsheetParsingService.detectDelimiter('"a,b"\tc\td')).toBe('\t');
+    expect(spreadsheetParsingService.detectDelimiter('single column')).toBe(',');
+  });
+
+  test('should read XLSX sheets with shared strings, dates and formulas', async () => {
+    const sheets = await spreadsheetParsingService.parseXLSX(await createWorkbook());
+
+    expect(sheets).toEqual([
+      {
+        name: 'Budget',
+        rows: [
+          { rowNumber: 1, cells: ['Item', 'Amount', 'Due'] },
+          { rowNumber: 2, cells: ['Office rent', '1200.1', '2024-03-31'] },
+          { rowNumber: 4, cells: ['Travel', '', '2024-04-01 12:00'] },
+          { rowNumber: 5, cells: ['Travel', '0.3', 'TRUE'] }
+        ]
+      },
+      { name: 'Notes', rows: [{ rowNumber: 1, cells: ['', 'Reviewed'] }] }
+    ]);
+    expect(spreadsheetParsingService.sheetsToText(sheets)).toBe(
+      'Sheet: Budget\nItem | Amount | Due\nOffice rent | 1200.1 | 2024-03-31\nTravel |  | 2024-04-01 12:00\nTravel | 0.3 | TRUE\n\nSheet: Notes\n | Reviewed'
+    );
+  });
+
+  test('should reject files that are not XLSX workbooks', async () => {
+    await expect(spreadsheetParsingService.parseXLSX(Buffer.from('Item,Amount'))).rejects.toThrow('File is not a valid XLSX workbook');
+  });
+
+  test('should chunk rows per sheet and repeat the header row', () => {
+    const budget = {
+      name: 'Budget',
+      rows: [{ rowNumber: 1, cells: ['Item', 'Amount'] }].concat(
+        Array.from({ length: 5 }, (_, i) => ({ rowNumber: i + 40, cells: [`Item ${i + 40}`, String(i * 100)] }))
+      )
+    };
+    const notes = { name: 'Notes', rows: [{ rowNumber: 3, cells: ['Reviewed'] }] };
+
+    const chunks = spreadsheetParsingService.chunkSheets([budget, notes], { maxChunkSize: 1000, maxRowsPerChunk: 3 });
+
+    expect(chunks).toEqual([
+      { text: 'Item | Amount\nItem 40 | 0\nItem 41 | 100\nItem 42 | 200', sheetName: 'Budget', rowStart: 40, rowEnd: 42 },
+      { text: 'Item | Amount\nItem 43 | 300\nItem 44 | 400', sheetName: 'Budget', rowStart: 43, rowEnd: 44 },
+      { text: 'Reviewed', sheetName: 'Notes', rowStart: 3, rowEnd: 3 }
+    ]);
+
+    const csvChunks = spreadsheetParsingService.chunkSheets([{ name: null, rows: budget.rows }], { maxChunkSize: 45 });
+    expect(csvChunks.map(({ rowStart, rowEnd, sheetName }) => [sheetName, rowStart, rowEnd])).toEqual([[null, 40, 41], [null, 42, 43], [null, 44, 44]]);
+  });
+
+  test('should cite the sheet and rows of a chunk', () => {
+    const contextBlocks = [
+      { source: 'budget.xlsx', chunkIndex: 2, text: 'Item | Amount', metadata: { date: '2024-01-15', sheetName: 'Budget', rowStart: 40, rowEnd: 55 } },
+      { source: 'export.csv', chunkIndex: 0, text: 'Item | Amount', metadata: { date: '2024-01-16', rowStart: 2, rowEnd: 2 } }
+    ];
+
+    expect(responseFormatter.formatCitations(contextBlocks)).toBe(
+      '- Resource: budget.xlsx | Chunk 2 | Sheet Budget, rows 40-55 | 2024-01-15\n- Resource: export.csv | Chunk 0 | Row 2 | 2024-01-16'
+    );
+  });
+
+  describe('validation', () => {
+    let tempDir;
+
+    beforeAll(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'spreadsheet-validation-'));
+    });
+
+    afterAll(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    const validate = (name, mimetype, content) => {
+      const filePath = path.join(tempDir, name);
+      fs.writeFileSync(filePath, content);
+      return fileValidationService.validateFile({ originalname: name, mimetype, size: content.length, path: filePath });
+    };
+
+    test('should accept CSV and XLSX files', async () => {
+      expect((await validate('budget.csv', 'text/csv', Buffer.from('Item,Amount\nRent,1200'))).isValid).toBe(true);
+      expect((await validate('export.csv', 'application/vnd.ms-excel', Buffer.from('Item;Amount'))).isValid).toBe(true);
+      expect((await validate('budget.xlsx', XLSX_MIME, await createWorkbook())).isValid).toBe(true);
+    });
+
+    test('should reject content that does not match the spreadsheet type', async () => {
+      const legacyWorkbook = await validate('budget.xls', 'application/vnd.ms-excel', Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1, 0x00, 0x00]));
+      expect(legacyWorkbook.isValid).toBe(false);
+      expect(legacyWorkbook.errors[0]).toMatch(/CSV Spreadsheet/);
+
+      const fakeWorkbook = await validate('budget.xlsx', XLSX_MIME, Buffer.from('Item,Amount'));
+      expect(fakeWorkbook.isValid).toBe(false);
+      expect(fakeWorkbook.errors[0]).toMatch(/Microsoft Excel Workbook/);
+    });
+
+    test('should enforce the CSV size limit', async () => {
+      const result = await fileValidationService.validateFile({ originalname: 'huge.csv', mimetype: 'text/csv', size: 11 * 1024 * 1024 });
+      expect(result.isValid).toBe(false);
+      expect(result.errors[0]).toMatch(/too large for CSV Spreadsheet/);
+    });
+  });
+});
@@ -0,0 +1,119 @@
+const structuredChunkingService = require('../structuredChunkingService');
+const { joinPages, getPageRanges, getPagesForRange } = require('../../utils/pageMap');
+
+describe('Structured chunking', () => {
+  const contractText = joinPages([
+    `TERMS OF SERVICE
+Chapter 3 Payment
+3.1 Invoices
+Invoices are issued monthly. Payment is due within 30 days.
+3.2 Penalties
+Late payments incur a fee of 2% per month.
+The fee is capped at 10%.`,
+    `- Fees are charged per invoice
+  and never compounded
+- Disputed invoices are excluded
+Fee | Rate | Cap
+Late fee | 2% | 10%
+Chapter 4 Termination
+Either party may terminate with 60 days written notice.`
+  ]);
+
+  test('should detect headings, lists and tables in plain text', () => {
+    const blocks = structuredChunkingService.blocksFromText(contractText);
+
+    expect(blocks.map(block => (block.type === 'heading' ? `h${block.level}: ${block.text}` : block.type))).toEqual([
+      'h1: TERMS OF SERVICE',
+      'h2: Chapter 3 Payment',
+      'h5: 3.1 Invoices',
+      'paragraph',
+      'h5: 3.2 Penalties',
+      'paragraph',
+      'list',
+      'table',
+      'h2: Chapter 4 Termination',
+      'paragraph'
+    ]);
+    expect(blocks[6].units.map(unit => unit.text)).toEqual([
+      '- Fees are charged per invoice and never compounded',
+      '- Disputed invoices are excluded'
+    ]);
+    expect(blocks[7].units.map(unit => unit.text)).toEqual(['Fee | Rate | Cap', 'Late fee | 2% | 10%']);
+  });
+
+  test('should not treat sentences or list items as headings', () => {
+    expect(structuredChunkingService.detectHeading('Section 4 applies to every invoice issued under this agreement.')).toBeNull();
+    expect(structuredChunkingService.detectHeading('1. Send the invoice')).toBeNull();
+    expect(structuredChunkingService.detectHeading('3.2.1. Late payment')).toEqual({ level: 6, text: '3.2.1. Late payment' });
+    expect(structuredChunkingService.detectHeading('## Installation')).toEqual({ level: 2, text: 'Installation' });
+  });
+
+  test('should keep chunks inside their section and record the heading path', () => {
+    const chunks = structuredChunkingService.chunkBlocks(structuredChunkingService.blocksFromText(contractText));
+
+    expect(chunks.map(chunk => chunk.section)).toEqual([
+      'TERMS OF SERVICE > Chapter 3 Payment > 3.1 Invoices',
+      'TERMS OF SERVICE > Chapter 3 Payment > 3.2 Penalties',
+      'TERMS OF SERVICE > Chapter 4 Termination'
+    ]);
+    expect(chunks[1].headingPath).toEqual(['TERMS OF SERVICE', 'Chapter 3 Payment', '3.2 Penalties']);
+    expect(chunks[1].text).toBe([
+      'Late payments incur a fee of 2% per month. The fee is capped at 10%.',
+      '- Fees are charged per invoice and never compounded\n- Disputed invoices are excluded',
+      'Fee | Rate | Cap\nLate fee | 2% | 10%'
+    ].join('\n\n'));
+
+    // Offsets point back into the extracted text, so PDF pages can be resolved
+    const pages = getPageRanges(contractText);
+    expect(contractText.slice(chunks[0].charStart, chunks[0].charEnd)).toBe('Invoices are issued monthly. Payment is due within 30 days.');
+    expect(getPagesForRange(pages, chunks[1].charStart, chunks[1].charEnd)).toEqual({ pageNumber: 1, pageEnd: 2 });
+    expect(getPagesForRange(pages, chunks[2].charStart, chunks[2].charEnd)).toEqual({ pageNumber: 2, pageEnd: 2 });
+  });
+
+  test('should split long sections at sentence and item boundaries', () => {
+    const chunks = structuredChunkingService.chunkBlocks(
+      structuredChunkingService.blocksFromText(contractText),
+      { maxChunkSize: 80 }
+    );
+    const penalties = chunks.filter(chunk => chunk.section.endsWith('3.2 Penalties'));
+
+    expect(penalties.map(chunk => chunk.text)).toEqual([
+      'Late payments incur a fee of 2% per month. The fee is capped at 10%.',
+      '- Fees are charged per invoice and never compounded',
+      '- Disputed invoices are excluded\n\nFee | Rate | Cap\nLate fee | 2% | 10%'
+    ]);
+    chunks.forEach(chunk => expect(chunk.text.length).toBeLessThanOrEqual(80));
+  });
+
+  test('should read headings, nested lists and tables from HTML', () => {
+    // mammoth renders DOCX heading styles as <h1>-<h6>
+    const html = `<h1>Install Guide</h1>
+      <p>Read this first. It takes five minutes.</p>
+      <div>Loose <strong>bold</strong> text</div>
+      <h2>Setup</h2>
+      <ol><li>Install<ul><li>npm install</li></ul></li><li>Run</li></ol>
+      <table><tr><th>Key</th><th>Value</th></tr><tr><td>PORT</td><td>3001</td></tr></table>
+      <h2>Usage</h2>
+      <p>Start the server.</p>`;
+
+    const chunks = structuredChunkingService.chunkBlocks(structuredChunkingService.blocksFromHtml(html));
+
+    expect(chunks).toEqual([
+      { text: 'Read this first. It takes five minutes.\n\nLoose bold text', headingPath: ['Install Guide'], section: 'Install Guide' },
+      {
+        text: '1. Install\n  - npm install\n2. Run\n\nKey | Value\nPORT | 3001',
+        headingPath: ['Install Guide', 'Setup'],
+        section: 'Install Guide > Setup'
+      },
+      { text: 'Start the server.', headingPath: ['Install Guide', 'Usage'], section: 'Install Guide > Usage' }
+    ]);
+  });
+
+  test('should put text without headings in one unnamed section', () => {
+    const chunks = structuredChunkingService.chunkBlocks(structuredChunkingService.blocksFromText('Just some notes.\n\nAnd a second paragraph.'));
+
+    expect(chunks).toEqual([
+      { text: 'Just some notes.\n\nAnd a second paragraph.', headingPath: [], section: null, charStart: 0, charEnd: 41 }
+    ]);
+  });
+});
@@ -0,0 +1,106 @@
+process.env.DB_PATH = ':memory:';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.BCRYPT_ROUNDS = '4';
+
+const User = require('../../models/User');
+const twoFactorService = require('../twoFactorService');
+const { base32Encode, base32Decode, generateTotp, verifyTotp, buildOtpauthUri } = require('../../utils/totp');
+const { generateTwoFactorChallenge, verifyTwoFactorChallenge } = require('../../utils/jwt');
+const { useTestDatabase } = require('../../tests/helpers/testDatabase');
+
+describe('Two-factor authentication', () => {
+  let userCount = 0;
+
+  const createUser = async () => {
+    userCount++;
+    const user = await User.create({
+      firstName: 'Ada',
+      lastName: 'Lovelace',
+      email: `ada${userCount}@example.com`,
+      password: 'Correct-horse-1'
+    });
+    return User.findById(user.id);
+  };
+
+  // Enroll with the code of the current step, as the user's authenticator app would show it
+  const enroll = async (user) => {
+    const { secret } = await twoFactorService.beginEnrollment(user);
+    const recoveryCodes = await twoFactorService.confirmEnrollment(user, generateTotp(base32Decode(secret)));
+    return { secret, recoveryCodes };
+  };
+
+  useTestDatabase();
+
+  test('should generate the RFC 6238 test vectors', () => {
+    const secret = Buffer.from('12345678901234567890');
+
+    expect(generateTotp(secret, { time: 59 * 1000, digits: 8 })).toBe('94287082');
+    expect(generateTotp(secret, { time: 1111111109 * 1000, digits: 8 })).toBe('07081804');
+    expect(generateTotp(secret, { time: 2000000000 * 1000, digits: 8 })).toBe('69279037');
+    expect(verifyTotp(secret, '94287082', { time: 89 * 1000, digits: 8 })).toBe(1);
+    expect(verifyTotp(secret, '94287082', { time: 120 * 1000, digits: 8 })).toBeNull();
+  });
+
+  test('should round-trip base32 secrets into an otpauth URI', () => {
+    const secret = base32Encode(Buffer.from('12345678901234567890'));
+
+    expect(secret).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(base32Decode(secret.toLowerCase()).toString()).toBe('12345678901234567890');
+    expect(buildOtpauthUri({ secret, accountName: 'ada@example.com', issuer: 'Auth System' }))
+      .toBe(`otpauth://totp/Auth%20System%3Aada%40example.com?secret=${secret}&algorithm=SHA1&digits=6&period=30&issuer=Auth+System`);
+  });
+
+  test('should turn on only after a valid code and accept each code once', async () => {
+    const user = await createUser();
+    const { secret, otpauthUri } = await twoFactorService.beginEnrollment(user);
+
+    expect(otpauthUri).toContain(`secret=${secret}`);
+    expect(user.twoFactorSecret).not.toContain(secret);
+    expect(await twoFactorService.getStatus(user)).toEqual({ enabled: false, pendingEnrollment: true, recoveryCodesRemaining: 0 });
+    expect(await twoFactorService.confirmEnrollment(user, '000000')).toBeNull();
+
+    const code = generateTotp(base32Decode(secret));
+    const recoveryCodes = await twoFactorService.confirmEnrollment(user, code);
+
+    expect(recoveryCodes).toHaveLength(10);
+    const stored = await User.findById(user.id);
+    expect(stored.twoFactorEnabled).toBe(true);
+    expect(stored.toJSON().twoFactorEnabled).toBe(true);
+    // The confirmation code cannot be replayed to sign in
+    expect((await twoFactorService.verifySecondFactor(stored, { code })).valid).toBe(false);
+  });
+
+  test('should accept each recovery code once', async () => {
+    const user = await createUser();
+    const { recoveryCodes } = await enroll(user);
+
+    const first = await twoFactorService.verifySecondFactor(user, { recoveryCode: recoveryCodes[0].toUpperCase() });
+    expect(first).toEqual({ valid: true, method: 'recovery-code', recoveryCodesRemaining: 9 });
+    expect((await twoFactorService.verifySecondFactor(user, { recoveryCode: recoveryCodes[0] })).valid).toBe(false);
+    expect((await twoFactorService.verifySecondFactor(user, { recoveryCode: 'aaaaa-bbbbb' })).valid).toBe(false);
+
+    const replaced = await twoFactorService.regenerateRecoveryCodes(user);
+    expect((await twoFactorService.verifySecondFactor(user, { recoveryCode: recoveryCodes[1] })).valid).toBe(false);
+    expect((await twoFactorService.verifySecondFactor(user, { recoveryCode: replaced[0] })).valid).toBe(true);
+  });
+
+  test('should forget the secret and recovery codes when disabled', async () => {
+    const user = await createUser();
+    const { recoveryCodes } = await enroll(user);
+
+    await twoFactorService.disable(user);
+
+    const stored = await User.findById(user.id);
+    expect(stored.twoFactorEnabled).toBe(false);
+    expect(stored.twoFactorSecret).toBeNull();
+    expect(await twoFactorService.getStatus(stored)).toEqual({ enabled: false, pendingEnrollment: false, recoveryCodesRemaining: 0 });
+    expect((await twoFactorService.verifySecondFactor(stored, { recoveryCode: recoveryCodes[0] })).valid).toBe(false);
+  });
+
+  test('should only accept sign in challenges as challenges', () => {
+    const token = generateTwoFactorChallenge(7);
+
+    expect(verifyTwoFactorChallenge(token)).toMatchObject({ userId: 7, type: '2fa' });
+    expect(() => verifyTwoFactorChallenge('not-a-token')).toThrow();
+  });
+});
@@ -4,8 +4,24 @@ const mammoth = require('mammoth');
 const cheerio = require('cheerio');
 const { RecursiveCharacterTextSplitter } = require('@langchain/textsplitters');
 const { pipeline: transformerPipeline } = require('@xenova/transformers');
-const pineconeService = require('./pineconeService');
+const vectorStoreService = require('./vectorStoreService');
+const lexicalIndexService = require('./lexicalIndexService');
+const configManager = require('./ConfigurationManager');
+const { reciprocalRankFusion } = require('../utils/rankFusion');
+const { PAGE_BREAK, getPageRanges, locateChunks, getPagesForRange } = require('../utils/pageMap');
+const { getLineStarts, getLinesForRange } = require('../utils/lineMap');
 const pdfParsingService = require('./pdfParsingService');
+const structuredChunkingService = require('./structuredChunkingService');
+const spreadsheetParsingService = require('./spreadsheetParsingService');
+const presentationParsingService = require('./presentationParsingService');
+const codeChunkingService = require('./codeChunkingService');
+const emailParsingService = require('./emailParsingService');
+const ebookParsingService = require('./ebookParsingService');
+const wordProcessingParsingService = require('./wordProcessingParsingService');
+const documentVersionService = require('./documentVersionService');
+const documentChunkService = require('./documentChunkService');
+
+const CHUNKING_STRATEGIES = ['recursive', 'structured', 'code'];
 
 class AdvancedDocumentService {
   constructor() {
@@ -13,14 +29,25 @@ class AdvancedDocumentService {
       'application/pdf',
       'application/vnd.openxmlformats-officedocument.wordprocessingml.document', // .docx
       'text/html', // .html
-      'text/plain' // .txt
+      'text/plain', // .txt
+      'text/csv', // .csv
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', // .xlsx
+      'application/vnd.openxmlformats-officedocument.presentationml.presentation', // .pptx
+      'text/markdown', // .md
+      'text/x-rst', // .rst
+      'message/rfc822', // .eml
+      'application/mbox', // .mbox
+      'application/epub+zip', // .epub
+      'application/vnd.oasis.opendocument.text', // .odt
+      'application/rtf', // .rtf
+      'text/rtf' // .rtf
     ];
     
     // Basic configuration - Updated based on Python reference for better processing
     this.config = {
       chunkSize: 200,  // Reduced from 2000 to 200 for better granularity
       chunkOverlap: 40, // Reduced proportionally from 200 to 40
-      separators: ["\n\n", "\n", " ", ""],  // Simplified separators like Python version
+      separators: ["\f", "\n\n", "\n", " ", ""],  // Page breaks first, then the simplified separators of the Python version
       embeddingModel: 'Xenova/all-MiniLM-L6-v2',
       embeddingDimensions: 384,
       modelCacheDir: './model_cache',
@@ -216,15 +243,24 @@ class AdvancedDocumentService {
       }
       
       // Split text into chunks
-      const chunks = await this.splitTextIntoChunks(text);
+      const { chunkingStrategy } = this.getChunkingSettings(
+        metadata.chunkingStrategy || this.parseChunkingRequest().chunkingStrategy,
+        filePath
+      );
+      const { chunks, locations } = await this.chunkDocument(text, {
+        chunkingStrategy,
+        filePath,
+        paged: path.extname(filePath).toLowerCase() === '.pdf'
+      });
       
       // Generate embeddings and store
       const results = await this.processChunksWithEmbeddings(chunks, userPineconeId, {
         ...metadata,
         fileName: path.basename(filePath),
         filePath: filePath,
-        processedAt: new Date().toISOString()
-      });
+        processedAt: new Date().toISOString(),
+        chunkingStrategy
+      }, locations);
       
       console.log(`✅ Document processed: ${chunks.length} chunks, ${results.stored} stored`);
       
@@ -256,8 +292,28 @@ class AdvancedDocumentService {
       case '.htm':
         return await this.extractTextFromHTML(fileBuffer);
       case '.txt':
+      case '.md':
+      case '.markdown':
+      case '.rst':
         return this.extractTextFromTXT(fileBuffer);
+      case '.csv':
+      case '.xlsx':
+        return spreadsheetParsingService.sheetsToText(await this.extractSheets(filePath, fileBuffer));
+      case '.pptx':
+        return presentationParsingService.slidesToText(await this.extractSlides(fileBuffer));
+      case '.eml':
+      case '.mbox':
+        return emailParsingService.messagesToText(this.extractMessages(filePath, fileBuffer));
+      case '.epub':
+        return ebookParsingService.chaptersToText(await this.extractChapters(fileBuffer));
+      case '.odt':
+      case '.rtf':
+        return structuredChunkingService.blocksToText(await this.extractWordProcessingBlocks(filePath, fileBuffer));
       default:
+        // Code documents are only ever read as text, never run
+        if (codeChunkingService.isSourceFile(filePath)) {
+          return this.extractTextFromTXT(fileBuffer);
+        }
         throw new Error(`Unsupported file type: ${fileExtension}`);
     }
   }
@@ -326,6 +382,84 @@ class AdvancedDocumentService {
     throw new Error('Failed to extract text from HTML with any supported encoding');
   }
 
+  /**
+   * Rows of a spreadsheet file; a CSV file is one unnamed sheet
+   * @param {string} filePath - .csv or .xlsx file
+   * @param {Buffer} buffer - File content, read from filePath when omitted
+   * @returns {Promise<Array<Object>>} Sheets { name, rows: [{ rowNumber, cells }] }
+   */
+  async extractSheets(filePath, buffer = fs.readFileSync(filePath)) {
+    try {
+      if (path.extname(filePath).toLowerCase() === '.csv') {
+        // Decode with the same encoding fallbacks as text files
+        return [{ name: null, rows: spreadsheetParsingService.parseCSV(this.extractTextFromTXT(buffer)) }];
+      }
+      return await spreadsheetParsingService.parseXLSX(buffer);
+    } catch (error) {
+      console.error('❌ Spreadsheet extraction error:', error.message);
+      throw new Error(`Failed to extract rows from spreadsheet: ${error.message}`);
+    }
+  }
+
+  /**
+   * Slides of a PPTX presentation
+   * @param {Buffer} buffer - File content
+   * @returns {Promise<Array<Object>>} Slides { slideNumber, title, body, notes }
+   */
+  async extractSlides(buffer) {
+    try {
+      return await presentationParsingService.parsePPTX(buffer);
+    } catch (error) {
+      console.error('❌ PPTX extraction error:', error.message);
+      throw new Error(`Failed to extract slides from PPTX: ${error.message}`);
+    }
+  }
+
+  /**
+   * Messages of an .eml or .mbox file
+   * @param {string} filePath - Email file
+   * @param {Buffer} buffer - File content, read from filePath when omitted
+   * @returns {Array<Object>} Messages { messageNumber, threadId, from, to, cc, date, subject, body, attachments }
+   */
+  extractMessages(filePath, buffer = fs.readFileSync(filePath)) {
+    try {
+      return emailParsingService.parseEmailFile(buffer, filePath);
+    } catch (error) {
+      console.error('❌ Email extraction error:', error.message);
+      throw new Error(`Failed to extract messages from email: ${error.message}`);
+    }
+  }
+
+  /**
+   * Chapters of an EPUB book
+   * @param {Buffer} buffer - File content
+   * @returns {Promise<Array<Object>>} Chapters { chapterNumber, title, blocks }
+   */
+  async extractChapters(buffer) {
+    try {
+      return await ebookParsingService.parseEPUB(buffer);
+    } catch (error) {
+      console.error('❌ EPUB extraction error:', error.message);
+      throw new Error(`Failed to extract chapters from EPUB: ${error.message}`);
+    }
+  }
+
+  /**
+   * Headings, paragraphs, lists and tables of an ODT or RTF document
+   * @param {string} filePath - .odt or .rtf file
+   * @param {Buffer} buffer - File content, read from filePath when omitted
+   * @returns {Promise<Array<Object>>} Blocks for structuredChunkingService.chunkBlocks
+   */
+  async extractWordProcessingBlocks(filePath, buffer = fs.readFileSync(filePath)) {
+    const format = path.extname(filePath).slice(1).toUpperCase();
+    try {
+      return await wordProcessingParsingService.parseDocument(buffer, filePath);
+    } catch (error) {
+      console.error(`❌ ${format} extraction error:`, error.message);
+      throw new Error(`Failed to extract text from ${format}: ${error.message}`);
+    }
+  }
+
   async splitTextIntoChunks(text) {
     try {
       const chunks = await this.textSplitter.splitText(text);
@@ -336,18 +470,284 @@ class AdvancedDocumentService {
     }
   }
 
-  async processChunksWithEmbeddings(chunks, userPineconeId, metadata = {}) {
-    const results = { processed: 0, stored: 0, errors: [] };
+  /**
+   * Validate a chunking strategy supplied with an upload
+   * @param {string} chunkingStrategy - 'recursive', 'structured' or 'code'; empty for the configured default
+   * @returns {Object} { chunkingStrategy, error }
+   */
+  parseChunkingRequest(chunkingStrategy) {
+    if (chunkingStrategy === undefined || chunkingStrategy === null || chunkingStrategy === '') {
+      // Code documents are opt-in per upload, so the default is never 'code'
+      const configured = configManager.get('chunking.defaultStrategy', 'recursive');
+      return { chunkingStrategy: ['recursive', 'structured'].includes(configured) ? configured : 'recursive', error: null };
+    }
+
+    if (!CHUNKING_STRATEGIES.includes(chunkingStrategy)) {
+      return { chunkingStrategy: null, error: `chunkingStrategy must be one of: ${CHUNKING_STRATEGIES.join(', ')}` };
+    }
+
+    return { chunkingStrategy, error: null };
+  }
+
+  /**
+   * Chunk size and overlap a strategy uses, as recorded on the document.
+   * Spreadsheets are always chunked by rows, presentations by slides, email by messages, e-books
+   * by chapters and Markdown, reStructuredText, ODT and RTF by their structure, whatever strategy was requested. The code
+   * strategy only applies to source files; other files use the configured default
+   * @param {string} chunkingStrategy - 'recursive', 'structured' or 'code'
+   * @param {string} filePath - Uploaded file, decides whether row, slide, message, chapter, structured or code chunking applies
+   * @returns {Object} { chunkingStrategy, chunkSize, chunkOverlap }
+   */
+  getChunkingSettings(chunkingStrategy, filePath = null) {
+    if (spreadsheetParsingService.isSpreadsheet(filePath)) {
+      return {
+        chunkingStrategy: 'rows',
+        chunkSize: configManager.get('spreadsheets.maxChunkSize', 1000),
+        chunkOverlap: 0 // Chunks end at row boundaries and repeat the header row instead
+      };
+    }
+
+    if (presentationParsingService.isPresentation(filePath)) {
+      return {
+        chunkingStrategy: 'slides',
+        chunkSize: configManager.get('presentations.maxChunkSize', 1500),
+        chunkOverlap: 0 // Chunks end at slide boundaries
+      };
+    }
+
+    if (emailParsingService.isEmail(filePath)) {
+      return {
+        chunkingStrategy: 'messages',
+        chunkSize: configManager.get('emails.maxChunkSize', 1500),
+        chunkOverlap: 0 // Chunks end at message boundaries and repeat the message header instead
+      };
+    }
+
+    if (ebookParsingService.isEbook(filePath)) {
+      return {
+        chunkingStrategy: 'chapters',
+        chunkSize: configManager.get('ebooks.maxChunkSize', 1000),
+        chunkOverlap: 0 // Chunks end at chapter and section boundaries
+      };
+    }
+
+    if (chunkingStrategy === 'code' && !codeChunkingService.isSourceFile(filePath)) {
+      return this.getChunkingSettings(this.parseChunkingRequest().chunkingStrategy, filePath);
+    }
+
+    if (chunkingStrategy === 'code') {
+      return {
+        chunkingStrategy,
+        chunkSize: configManager.get('codeDocuments.maxChunkSize', 1500),
+        chunkOverlap: 0 // Chunks end at function and class boundaries
+      };
+    }
+
+    if (chunkingStrategy === 'structured' || structuredChunkingService.getMarkupFormat(filePath) || wordProcessingParsingService.isWordProcessingDocument(filePath)) {
+      return {
+        chunkingStrategy: 'structured',
+        chunkSize: configManager.get('chunking.maxChunkSize', 1000),
+        chunkOverlap: 0 // Chunks end at sentence, list item or section boundaries
+      };
+    }
+
+    return {
+      chunkingStrategy: 'recursive',
+      chunkSize: this.config.chunkSize,
+      chunkOverlap: this.config.chunkOverlap
+    };
+  }
+
+  /**
+   * Split a document into chunks with the chosen strategy
+   * @param {string} text - Extracted document text
+   * @param {Object} options - { chunkingStrategy, filePath, paged }; `filePath` lets the
+   *   structured strategy read DOCX heading styles and HTML headings from the original file,
+   *   spreadsheets be chunked by rows, presentations by slides, email by messages, e-books by
+   *   chapters, Markdown and reStructuredText by their syntax, ODT and RTF by their headings
+   *   and source files on definition boundaries
+   * @returns {Promise<Object>} { chunks, locations } with the metadata to store per chunk
+   */
+  async chunkDocument(text, { chunkingStrategy = 'recursive', filePath = null, paged = false } = {}) {
+    if (spreadsheetParsingService.isSpreadsheet(filePath) && fs.existsSync(filePath)) {
+      const rowChunks = spreadsheetParsingService.chunkSheets(await this.extractSheets(filePath));
+      return {
+        chunks: rowChunks.map(chunk => chunk.text),
+        // Pinecone metadata cannot hold null, so CSV chunks have no sheetName
+        locations: rowChunks.map(({ sheetName, rowStart, rowEnd }) => (sheetName ? { sheetName, rowStart, rowEnd } : { rowStart, rowEnd }))
+      };
+    }
+
+    if (presentationParsingService.isPresentation(filePath) && fs.existsSync(filePath)) {
+      const slideChunks = presentationParsingService.chunkSlides(await this.extractSlides(fs.readFileSync(filePath)));
+      return {
+        chunks: slideChunks.map(chunk => chunk.text),
+        locations: slideChunks.map(({ slideNumber, slideTitle }) => (slideTitle ? { slideNumber, slideTitle } : { slideNumber }))
+      };
+    }
+
+    if (emailParsingService.isEmail(filePath) && fs.existsSync(filePath)) {
+      const messageChunks = emailParsingService.chunkMessages(this.extractMessages(filePath));
+      return {
+        chunks: messageChunks.map(chunk => chunk.text),
+        locations: messageChunks.map(({ text: chunkText, ...location }) => location)
+      };
+    }
+
+    if (ebookParsingService.isEbook(filePath) && fs.existsSync(filePath)) {
+      const chapterChunks = ebookParsingService.chunkChapters(await this.extractChapters(fs.readFileSync(filePath)));
+      return {
+        chunks: chapterChunks.map(chunk => chunk.text),
+        // Pinecone metadata cannot hold null, so untitled chapters and text before a chapter's first heading leave the fields out
+        locations: chapterChunks.map(({ chapterNumber, chapter, headingPath, section }) => ({
+          chapterNumber,
+          ...(chapter ? { chapter } : {}),
+          ...(section ? { headingPath, section } : {})
+        }))
+      };
+    }
+
+    if (chunkingStrategy === 'code') {
+      const codeChunks = codeChunkingService.chunkCode(text, { filePath });
+      return {
+        chunks: codeChunks.map(chunk => chunk.text),
+        locations: codeChunks.map(({ lineStart, lineEnd, section }) => (section ? { lineStart, lineEnd, section } : { lineStart, lineEnd }))
+      };
+    }
+
+    if (chunkingStrategy !== 'structured') {
+      const chunks = await this.splitTextIntoChunks(text);
+      return { chunks, locations: this.locateChunksInText(text, chunks, { paged }) };
+    }
+
+    const blocks = await this.extractStructureBlocks(filePath, text);
+    const structuredChunks = structuredChunkingService.chunkBlocks(blocks);
+    const pages = paged ? getPageRanges(text) : null;
+    // Markdown and reStructuredText chunks are cited by line
+    const lineStarts = structuredChunkingService.getMarkupFormat(filePath) ? getLineStarts(text) : null;
+
+    return {
+      chunks: structuredChunks.map(chunk => chunk.text),
+      locations: structuredChunks.map(({ headingPath, section, charStart, charEnd }) => {
+        const location = {};
+        if (section) {
+          Object.assign(location, { headingPath, section });
+        }
+        if (charStart !== undefined) {
+          Object.assign(location, { charStart, charEnd }, (pages && getPagesForRange(pages, charStart, charEnd)) || {});
+          Object.assign(location, lineStarts ? getLinesForRange(lineStarts, charStart, charEnd) : {});
+        }
+        return location;
+      })
+    };
+  }
+
+  /**
+   * Headings, paragraphs, lists and tables of a document: DOCX heading styles, HTML headings
+   * and ODT and RTF outline levels are read from the original file, Markdown and
+   * reStructuredText follow their syntax, and PDF and TXT headings are detected in the text
+   * @param {string} filePath - Original file, may be missing
+   * @param {string} text - Extracted document text
+   * @returns {Promise<Array>} Blocks for structuredChunkingService.chunkBlocks
+   */
+  async extractStructureBlocks(filePath, text) {
+    const fileExtension = filePath ? path.extname(filePath).toLowerCase() : '';
+
+    try {
+      if (fileExtension === '.docx') {
+        const result = await mammoth.convertToHtml({ path: filePath });
+        return structuredChunkingService.blocksFromHtml(result.value);
+      }
+      if (wordProcessingParsingService.isWordProcessingDocument(filePath)) {
+        return await this.extractWordProcessingBlocks(filePath);
+      }
+      if (fileExtension === '.html' || fileExtension === '.htm') {
+        // Decode with the same encoding fallbacks as text files, keeping the markup
+        return structuredChunkingService.blocksFromHtml(this.extractTextFromTXT(fs.readFileSync(filePath)));
+      }
+    } catch (error) {
+      console.warn(`⚠️ Could not read document structure from ${path.basename(filePath)}, detecting headings in the text:`, error.message);
+    }
+
+    return structuredChunkingService.blocksFromText(text, { format: structuredChunkingService.getMarkupFormat(filePath) || 'text' });
+  }
+
+  /**
+   * Character offsets of each chunk in the extracted text and, for paged text,
+   * the pages it was cut from
+   * @param {string} text - Extracted document text
+   * @param {Array<string>} chunks - Chunks split from the text, in order
+   * @param {Object} options - { paged } is true when the text has page breaks (PDF)
+   * @returns {Array<Object>} Per chunk { charStart, charEnd, pageNumber, pageEnd }, empty when not found
+   */
+  locateChunksInText(text, chunks, { paged = false } = {}) {
+    const pages = paged ? getPageRanges(text) : null;
+
+    return locateChunks(text, chunks).map(location => {
+      if (!location) {
+        return {};
+      }
+
+      const pageRange = pages ? getPagesForRange(pages, location.charStart, location.charEnd) : null;
+      return { ...location, ...(pageRange || {}) };
+    });
+  }
+
+  /**
+   * Index chunks for keyword search and store their embeddings
+   * @param {Array<string>} chunks - Chunk texts
+   * @param {string} userPineconeId - User's namespace
+   * @param {Object} metadata - Metadata stored with every chunk; chunk ids derive from its
+   *   `documentId`, or from `fileName` for files without a document record
+   * @param {Array<Object>} locations - Location metadata per chunk
+   * @param {Document} previousVersion - Version the chunks replace; its unchanged chunks lend
+   *   their embeddings and its chunks are removed afterwards
+   * @returns {Object} { processed, stored, indexed, reused, chunkIds, chunkHashes, errors }
+   */
+  async processChunksWithEmbeddings(chunks, userPineconeId, metadata = {}, locations = [], previousVersion = null) {
+    const results = { processed: 0, stored: 0, indexed: 0, reused: 0, errors: [] };
+    
+    // Page breaks only mark page boundaries (see locateChunksInText); store them as line breaks
+    chunks = chunks.map(chunk => chunk.split(PAGE_BREAK).join('\n'));
+    const chunkIds = chunks.map((chunk, i) => (metadata.documentId
+      ? documentChunkService.getChunkId(metadata.documentId, i)
+      : documentChunkService.getFileChunkId(metadata.fileName, i)));
+    results.chunkIds = chunkIds;
+    results.chunkHashes = chunks.map(chunk => documentVersionService.hashChunk(chunk));
+
+    const reusePlan = previousVersion
+      ? documentVersionService.planChunkReuse(previousVersion, chunkIds, results.chunkHashes)
+      : { reusable: new Map(), superseded: [] };
+    const reusableEmbeddings = await documentVersionService.loadReusableEmbeddings(reusePlan.reusable, userPineconeId);
+    
+    // Index chunk text for keyword search first so documents stay searchable
+    // even when embeddings cannot be generated
+    try {
+      results.indexed = await lexicalIndexService.indexChunks(userPineconeId, chunks.map((chunk, i) => {
+        const chunkId = chunkIds[i];
+        return {
+          id: chunkId,
+          text: chunk,
+          metadata: { ...metadata, ...locations[i], chunkIndex: i, chunkId: chunkId }
+        };
+      }));
+    } catch (error) {
+      console.warn('⚠️ Failed to index chunks for keyword search:', error.message);
+    }
     
     for (let i = 0; i < chunks.length; i++) {
       try {
         await this.acquireChunkSlot();
         
         const chunk = chunks[i];
-        const chunkId = `${metadata.fileName || 'document'}_chunk_${i}`;
+        const chunkId = chunkIds[i];
         
-        // Generate embedding
-        const embedding = await this.generateEmbedding(chunk);
+        // Generate embedding, unless the previous version has this chunk text embedded already
+        const reusedEmbedding = reusableEmbeddings.get(results.chunkHashes[i]);
+        const embedding = reusedEmbedding || await this.generateEmbedding(chunk);
+        if (reusedEmbedding) {
+          results.reused++;
+        }
         
         if (embedding) {
           // Store in Pinecone
@@ -356,13 +756,14 @@ class AdvancedDocumentService {
             values: embedding,
             metadata: {
               ...metadata,
+              ...locations[i],
               chunkIndex: i,
               text: chunk,
               chunkId: chunkId
             }
           };
           
-          await pineconeService.storeDocument(vector, userPineconeId);
+          await vectorStoreService.storeDocument(vector, userPineconeId);
           results.stored++;
         }
         
@@ -375,6 +776,11 @@ class AdvancedDocumentService {
         this.releaseChunkSlot();
       }
     }
+
+    if (reusePlan.superseded.length > 0) {
+      await lexicalIndexService.deleteChunks(userPineconeId, reusePlan.superseded);
+      await vectorStoreService.deleteDocuments(reusePlan.superseded, userPineconeId);
+    }
     
     return results;
   }
@@ -414,38 +820,143 @@ class AdvancedDocumentService {
   }
 
   /**
-   * Enhanced search functionality for analytical queries with metadata enrichment
+   * Resolve retrieval mode and fusion weights for a search request
+   * @param {Object} retrieval - Per-request overrides ({ mode, semanticWeight, keywordWeight })
+   * @returns {Object} Effective retrieval settings
    */
-  async searchDocuments(userPineconeId, query, limit = 5, options = {}) {
-    try {
-      const queryEmbedding = await this.generateEmbedding(query);
-      
-      if (!queryEmbedding) {
+  resolveRetrievalOptions(retrieval = {}) {
+    const defaults = configManager.getServiceConfig('hybridSearch');
+
+    return {
+      mode: retrieval.mode || defaults.defaultMode,
+      semanticWeight: retrieval.semanticWeight ?? defaults.semanticWeight,
+      keywordWeight: retrieval.keywordWeight ?? defaults.keywordWeight,
+      rrfK: defaults.rrfK,
+      maxCandidates: defaults.maxCandidates
+    };
+  }
+
+  /**
+   * Validate retrieval parameters supplied by API clients
+   * @param {Object} params - Request parameters ({ mode, weights: { semantic, keyword } })
+   * @returns {Object} { retrieval, error } where error is null when the parameters are valid
+   */
+  parseRetrievalRequest({ mode, weights } = {}) {
+    const retrieval = {};
+
+    if (mode !== undefined) {
+      if (!['hybrid', 'semantic', 'keyword'].includes(mode)) {
+        return { retrieval, error: 'mode must be one of: hybrid, semantic, keyword' };
+      }
+      retrieval.mode = mode;
+    }
+
+    if (weights !== undefined) {
+      if (typeof weights !== 'object' || weights === null) {
+        return { retrieval, error: 'weights must be an object with semantic and/or keyword values' };
+      }
+
+      for (const [key, option] of [['semantic', 'semanticWeight'], ['keyword', 'keywordWeight']]) {
+        if (weights[key] === undefined) {
+          continue;
+        }
+        const weight = Number(weights[key]);
+        if (!Number.isFinite(weight) || weight < 0) {
+          return { retrieval, error: `weights.${key} must be a non-negative number` };
+        }
+        retrieval[option] = weight;
+      }
+
+      if (retrieval.semanticWeight === 0 && retrieval.keywordWeight === 0) {
+        return { retrieval, error: 'At least one retrieval weight must be greater than zero' };
+      }
+    }
+
+    return { retrieval, error: null };
+  }
+
+  /**
+   * Retrieve ranked chunk matches using dense, keyword or hybrid (RRF) retrieval
+   * @param {string} userPineconeId - User's Pinecone namespace
+   * @param {string} query - Search query
+   * @param {number} topK - Number of candidate chunks to retrieve
+   * @param {Object} filter - Metadata filter
+   * @param {Object} retrieval - Retrieval options (see resolveRetrievalOptions)
+   * @returns {Object} { matches, mode } where mode is the strategy actually used
+   */
+  async retrieveMatches(userPineconeId, query, topK, filter = {}, retrieval = {}) {
+    const settings = this.resolveRetrievalOptions(retrieval);
+    let mode = settings.mode;
+
+    const queryEmbedding = mode === 'keyword' ? null : await this.generateEmbedding(query);
+
+    if (!queryEmbedding && mode !== 'keyword') {
+      if (mode === 'semantic') {
         throw new Error('Failed to generate query embedding');
       }
+      console.warn('⚠️ Query embedding unavailable, falling back to keyword-only search');
+      mode = 'keyword';
+    }
 
-      // Enhanced search parameters for analytical queries
-      const searchOptions = {
-        includeMetadata: true,
-        includeValues: false,
-        ...options
-      };
+    if (mode === 'semantic') {
+      const semanticResults = await vectorStoreService.searchDocuments(queryEmbedding, userPineconeId, filter, topK);
+      return { matches: semanticResults.matches || [], mode };
+    }
+
+    const candidateLimit = Math.max(topK, settings.maxCandidates);
+    const [semanticResults, keywordResults] = await Promise.all([
+      mode === 'hybrid'
+        ? vectorStoreService.searchDocuments(queryEmbedding, userPineconeId, filter, candidateLimit)
+        : { matches: [] },
+      lexicalIndexService.search(userPineconeId, query, candidateLimit, filter)
+    ]);
+
+    const fused = reciprocalRankFusion([
+      { source: 'semantic', weight: mode === 'hybrid' ? settings.semanticWeight : 0, matches: semanticResults.matches || [] },
+      { source: 'keyword', weight: settings.keywordWeight, matches: keywordResults.matches || [] }
+    ], { k: settings.rrfK, limit: topK });
+
+    // The fused score only orders the matches. In hybrid mode a chunk's relevance stays
+    // its cosine similarity, so chunks found by keyword alone have none.
+    const matches = fused.map(match => ({
+      ...match,
+      rankScore: match.score,
+      score: mode === 'hybrid' ? (match.sourceScores.semantic ?? 0) : match.score
+    }));
 
+    return { matches, mode };
+  }
+
+  /**
+   * Enhanced search functionality for analytical queries with metadata enrichment
+   * @param {string} userPineconeId - User's Pinecone namespace
+   * @param {string} query - Search query
+   * @param {number} limit - Maximum number of documents
+   * @param {Object} options - Search options; `filter` is passed to the retrievers and
+   *   `retrieval` selects the mode ('hybrid' | 'semantic' | 'keyword') and fusion weights
+   */
+  async searchDocuments(userPineconeId, query, limit = 5, options = {}) {
+    try {
       // Increase search limit for analytical queries to get more comprehensive results
       const enhancedLimit = Math.min(limit * 3, 50); // Get more results initially for better filtering
       
-      const searchResults = await pineconeService.searchDocuments(
-        queryEmbedding,
+      const searchResults = await this.retrieveMatches(
         userPineconeId,
-        searchOptions,
-        enhancedLimit
+        query,
+        enhancedLimit,
+        options.filter || {},
+        options.retrieval
       );
       
       // Group results by document for better chunk selection
       const documentGroups = this.groupResultsByDocument(searchResults.matches || []);
       
-      // Apply intelligent chunk selection for comprehensive analysis
-      const selectedResults = this.selectChunksForAnalysis(documentGroups, limit, options);
+      // Apply intelligent chunk selection for comprehensive analysis. Keyword-only
+      // scores are ranks, not similarities, so the relevance floor does not apply to them.
+      const selectedResults = this.selectChunksForAnalysis(documentGroups, limit, {
+        ...options,
+        applyRelevanceFloor: searchResults.mode !== 'keyword'
+      });
       
       // Enrich with enhanced metadata for better citations
       const enrichedResults = await this.enrichResultsWithMetadata(selectedResults, userPineconeId);
@@ -453,10 +964,12 @@ class AdvancedDocumentService {
       // Transform results to match expected format with enhanced chunk information
       const transformedResults = {
         matches: enrichedResults.map(docGroup => ({
+          documentId: docGroup.documentId,
           fileName: docGroup.fileName,
           fileType: docGroup.fileType || 'Unknown',
           fileSize: docGroup.fileSize || 0,
           uploadDate: docGroup.uploadDate || new Date().toISOString(),
+          documentVersion: docGroup.documentVersion || 1,
           maxScore: docGroup.maxScore,
           avgScore: docGroup.avgScore,
           // Enhanced metadata
@@ -473,18 +986,56 @@ class AdvancedDocumentService {
             relativeImportance: chunk.relativeImportance,
             contextIndicators: chunk.contextIndicators,
             selectionReason: chunk.selectionReason,
+            // Per-retriever scores and ranks when results were fused
+            retrievalScores: chunk.retrievalScores,
+            // Exact location, for chunks of paged documents stored with one
+            pageNumber: chunk.pageNumber,
+            pageEnd: chunk.pageEnd,
+            charStart: chunk.charStart,
+            charEnd: chunk.charEnd,
+            // Heading path, for chunks stored by the structured chunker
+            section: chunk.section,
+            headingPath: chunk.headingPath,
+            // Chapter, for chunks of e-books
+            chapterNumber: chunk.chapterNumber,
+            chapter: chunk.chapter,
+            // Sheet and rows, for chunks of spreadsheets
+            sheetName: chunk.sheetName,
+            rowStart: chunk.rowStart,
+            rowEnd: chunk.rowEnd,
+            // Slide, for chunks of presentations
+            slideNumber: chunk.slideNumber,
+            slideTitle: chunk.slideTitle,
+            // Lines, for chunks of Markdown, reStructuredText and code documents
+            lineStart: chunk.lineStart,
+            lineEnd: chunk.lineEnd,
+            // Message, for chunks of email and their attachments
+            messageNumber: chunk.messageNumber,
+            sender: chunk.sender,
+            sentAt: chunk.sentAt,
+            subject: chunk.subject,
             // Citation metadata
             citationMetadata: {
               chunkId: chunk.id,
               position: chunk.documentPosition,
               section: this.inferSectionFromChunk(chunk),
-              pageEstimate: this.estimatePageFromChunk(chunk, docGroup)
+              pageNumber: chunk.pageNumber || null,
+              pageEnd: chunk.pageEnd || null,
+              rowStart: chunk.rowStart || null,
+              rowEnd: chunk.rowEnd || null,
+              slideNumber: chunk.slideNumber || null,
+              lineStart: chunk.lineStart || null,
+              lineEnd: chunk.lineEnd || null,
+              messageNumber: chunk.messageNumber || null,
+              chapter: chunk.chapter || null,
+              pageEstimate: chunk.pageNumber || chunk.rowStart || chunk.slideNumber || chunk.lineStart || chunk.chapterNumber ? null : this.estimatePageFromChunk(chunk, docGroup)
             }
           }))
         })),
         totalChunks: enrichedResults.reduce((total, doc) => total + doc.chunks.length, 0),
         totalDocuments: enrichedResults.length,
         searchStrategy: options.isAnalytical ? 'analytical' : 'standard',
+        retrievalMode: searchResults.mode,
         // Enhanced search metadata
         searchMetadata: {
           queryProcessingTime: Date.now(),
@@ -521,8 +1072,8 @@ class AdvancedDocumentService {
           ...chunk,
           // Add estimated section information
           estimatedSection: this.inferSectionFromChunk(chunk),
-          // Add page estimation
-          estimatedPage: this.estimatePageFromChunk(chunk, docGroup),
+          // Add page estimation, exact when the chunk was stored with its page
+          estimatedPage: chunk.pageNumber || this.estimatePageFromChunk(chunk, docGroup),
           // Add surrounding context indicators
           contextClues: this.extractContextClues(chunk.text),
           // Add document structure position
@@ -605,6 +1156,11 @@ class AdvancedDocumentService {
    * @returns {string} Inferred section
    */
   inferSectionFromChunk(chunk) {
+    // Structured chunks carry their heading path
+    if (chunk.section) {
+      return chunk.section;
+    }
+
     const text = chunk.text.toLowerCase();
     
     // Look for explicit section markers
@@ -760,31 +1316,60 @@ class AdvancedDocumentService {
     
     matches.forEach((match, index) => {
       const fileName = match.metadata?.fileName || 'Unknown';
+      // Uploads with the same file name are separate documents
+      const groupKey = match.metadata?.documentId || fileName;
       
-      if (!documentGroups.has(fileName)) {
-        documentGroups.set(fileName, {
+      if (!documentGroups.has(groupKey)) {
+        documentGroups.set(groupKey, {
+          documentId: match.metadata?.documentId || null,
           fileName: fileName,
           fileType: match.metadata?.fileType || 'Unknown',
           fileSize: match.metadata?.fileSize || 0,
           uploadDate: match.metadata?.uploadDate || new Date().toISOString(),
+          // Only the latest version of a document is in the indexes
+          documentVersion: match.metadata?.documentVersion || 1,
           chunks: [],
           maxScore: 0,
+          maxRankScore: 0,
           totalScore: 0,
           chunkCount: 0
         });
       }
       
-      const docGroup = documentGroups.get(fileName);
+      const docGroup = documentGroups.get(groupKey);
       const chunk = {
         text: match.metadata?.text || '',
         score: match.score || 0,
+        // Fused retrieval score, when it differs from the relevance score
+        rankScore: match.rankScore ?? match.score ?? 0,
         chunkIndex: match.metadata?.chunkIndex || 0,
         relevanceRank: index + 1,
-        id: match.id
+        id: match.id,
+        pageNumber: match.metadata?.pageNumber,
+        pageEnd: match.metadata?.pageEnd,
+        charStart: match.metadata?.charStart,
+        charEnd: match.metadata?.charEnd,
+        section: match.metadata?.section,
+        headingPath: match.metadata?.headingPath,
+        chapterNumber: match.metadata?.chapterNumber,
+        chapter: match.metadata?.chapter,
+        sheetName: match.metadata?.sheetName,
+        rowStart: match.metadata?.rowStart,
+        rowEnd: match.metadata?.rowEnd,
+        slideNumber: match.metadata?.slideNumber,
+        slideTitle: match.metadata?.slideTitle,
+        lineStart: match.metadata?.lineStart,
+        lineEnd: match.metadata?.lineEnd,
+        messageNumber: match.metadata?.messageNumber,
+        sender: match.metadata?.sender,
+        sentAt: match.metadata?.sentAt,
+        subject: match.metadata?.subject,
+        retrievalScores: match.sourceScores ? { scores: match.sourceScores, ranks: match.sourceRanks } : undefined
       };
       
       docGroup.chunks.push(chunk);
       docGroup.maxScore = Math.max(docGroup.maxScore, chunk.score);
+      docGroup.maxRankScore = Math.max(docGroup.maxRankScore, chunk.rankScore);
       docGroup.totalScore += chunk.score;
       docGroup.chunkCount++;
     });
@@ -801,17 +1386,18 @@ class AdvancedDocumentService {
    * Select chunks intelligently for comprehensive analysis
    * @param {Map} documentGroups - Grouped documents with chunks
    * @param {number} limit - Maximum number of documents to return
-   * @param {Object} options - Search options
+   * @param {Object} options - Search options; `applyRelevanceFloor: false` keeps chunks
+   *   whose scores are not similarities (keyword-only retrieval)
    * @returns {Array} Selected document groups with optimized chunks
    */
   selectChunksForAnalysis(documentGroups, limit, options = {}) {
     const isAnalytical = options.isAnalytical || false;
     const maxChunksPerDoc = isAnalytical ? 5 : 3; // Increased for better analysis
-    const minRelevanceScore = 0.25; // Lowered threshold for more comprehensive results
+    const minRelevanceScore = options.applyRelevanceFloor === false ? 0 : 0.25; // Lowered threshold for more comprehensive results
     
-    // Convert to array and sort by relevance
+    // Convert to array and sort by retrieval rank
     const sortedDocuments = Array.from(documentGroups.values())
-      .sort((a, b) => b.maxScore - a.maxScore)
+      .sort((a, b) => b.maxRankScore - a.maxRankScore)
       .slice(0, limit);
     
     // For each document, select the best chunks using enhanced selection
@@ -819,7 +1405,7 @@ class AdvancedDocumentService {
       // Filter chunks by minimum relevance score
       const relevantChunks = docGroup.chunks
         .filter(chunk => chunk.score >= minRelevanceScore)
-        .sort((a, b) => b.score - a.score);
+        .sort((a, b) => b.rankScore - a.rankScore);
       
       // Enhanced chunk selection for analytical queries
       let selectedChunks;
@@ -1060,12 +1646,16 @@ class AdvancedDocumentService {
       minDocuments = 2,
       maxDocuments = 8,
       chunksPerDocument = 4,
-      includeContext = true
+      includeContext = true,
+      retrieval,
+      filter
     } = analysisOptions;
 
     const searchOptions = {
       isAnalytical: true,
-      includeContext: includeContext
+      includeContext: includeContext,
+      retrieval: retrieval,
+      filter: filter
     };
 
     // Search with higher limit to ensure we get results from multiple documents
@@ -1107,7 +1697,9 @@ class AdvancedDocumentService {
       maxDocuments = 10,
       chunksPerDocument = 4,
       includeContext = true,
-      diversityBoost = true
+      diversityBoost = true,
+      retrieval,
+      filter
     } = comparisonOptions;
 
     console.log(`🔍 Performing comparison search for entities: ${entities.join(' vs ')}`);
@@ -1120,7 +1712,9 @@ class AdvancedDocumentService {
       {
         isAnalytical: true,
         includeContext: includeContext,
-        diversityBoost: diversityBoost
+        diversityBoost: diversityBoost,
+        retrieval: retrieval,
+        filter: filter
       }
     );
 
@@ -1136,7 +1730,9 @@ class AdvancedDocumentService {
             {
               isAnalytical: true,
               includeContext: includeContext,
-              targetEntity: entity
+              targetEntity: entity,
+              retrieval: retrieval,
+              filter: filter
             }
           );
           
@@ -1256,7 +1852,9 @@ class AdvancedDocumentService {
       maxDocuments = 8,
       chunksPerDocument = 4,
       includeContext = true,
-      contrastiveSearch = true
+      contrastiveSearch = true,
+      retrieval,
+      filter
     } = differentiationOptions;
 
     console.log(`🔍 Performing differentiation search for query: "${query}"`);
@@ -1269,7 +1867,9 @@ class AdvancedDocumentService {
       {
         isAnalytical: true,
         includeContext: includeContext,
-        contrastiveSearch: contrastiveSearch
+        contrastiveSearch: contrastiveSearch,
+        retrieval: retrieval,
+        filter: filter
       }
     );
 
@@ -1288,7 +1888,9 @@ class AdvancedDocumentService {
             {
               isAnalytical: true,
               includeContext: includeContext,
-              targetKeyword: keyword
+              targetKeyword: keyword,
+              retrieval: retrieval,
+              filter: filter
             }
           );
           
@@ -1553,8 +2155,8 @@ class AdvancedDocumentService {
   // Utility methods
   isFileSupported(filePath) {
     const fileExtension = path.extname(filePath).toLowerCase();
-    const supportedExtensions = ['.pdf', '.docx', '.html', '.htm', '.txt'];
-    return supportedExtensions.includes(fileExtension);
+    const supportedExtensions = ['.pdf', '.docx', '.html', '.htm', '.txt', '.md', '.markdown', '.rst', '.csv', '.xlsx', '.pptx', '.eml', '.mbox', '.epub', '.odt', '.rtf'];
+    return supportedExtensions.includes(fileExtension) || codeChunkingService.isSourceFile(filePath);
   }
 
   isSupportedFileType(mimeType) {
@@ -1568,43 +2170,113 @@ class AdvancedDocumentService {
       '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
       '.html': 'text/html',
       '.htm': 'text/html',
-      '.txt': 'text/plain'
+      '.txt': 'text/plain',
+      '.md': 'text/markdown',
+      '.markdown': 'text/markdown',
+      '.rst': 'text/x-rst',
+      '.csv': 'text/csv',
+      '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+      '.eml': 'message/rfc822',
+      '.mbox': 'application/mbox',
+      '.epub': 'application/epub+zip',
+      '.odt': 'application/vnd.oasis.opendocument.text',
+      '.rtf': 'application/rtf'
     };
-    return typeMap[fileExtension] || 'application/octet-stream';
+    if (typeMap[fileExtension]) {
+      return typeMap[fileExtension];
+    }
+    return codeChunkingService.isSourceFile(filePath) ? 'text/plain' : 'application/octet-stream';
   }
 
-  getFileTypeFromMime(mimeType) {
+  /**
+   * Document type label from the upload MIME type. Browsers send no or a generic MIME type
+   * for many text formats, so Markdown, reStructuredText, email and source files are typed by extension
+   * @param {string} mimeType - Upload MIME type
+   * @param {string} fileName - Original file name
+   * @returns {string} e.g. "PDF", "MD" or "PY"; "UNKNOWN" when neither is recognized
+   */
+  getFileTypeFromMime(mimeType, fileName = '') {
+    const fileExtension = path.extname(fileName).toLowerCase();
+    if (['.md', '.markdown'].includes(fileExtension)) {
+      return 'MD';
+    }
+    if (['.rst', '.eml', '.mbox'].includes(fileExtension)) {
+      return fileExtension.slice(1).toUpperCase();
+    }
+    if (codeChunkingService.isSourceFile(fileName)) {
+      return fileExtension.slice(1).toUpperCase();
+    }
+
     const mimeToType = {
       'application/pdf': 'PDF',
       'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'DOCX',
       'text/html': 'HTML',
-      'text/plain': 'TXT'
+      'text/plain': 'TXT',
+      'text/markdown': 'MD',
+      'text/x-rst': 'RST',
+      'text/csv': 'CSV',
+      'application/vnd.ms-excel': 'CSV', // Sent for .csv files on Windows; .xls files are rejected by validation
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'XLSX',
+      'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'PPTX',
+      'message/rfc822': 'EML',
+      'application/mbox': 'MBOX',
+      'application/epub+zip': 'EPUB',
+      'application/vnd.oasis.opendocument.text': 'ODT',
+      'application/rtf': 'RTF',
+      'text/rtf': 'RTF'
     };
     return mimeToType[mimeType] || 'UNKNOWN';
   }
 
+  /**
+   * Chunk a document and store its chunks in the search indexes
+   * @param {string} userPineconeId - User's namespace
+   * @param {Object} documentData - Document fields with the `documentId` of its record;
+   *   `version` and `previousVersion` (the Document it replaces) are set for new versions
+   * @param {string} extractedText - Document text
+   * @returns {Promise<Object>} { vectorId, chunkIds, chunkHashes, reusedChunks }, where chunkIds and
+   *   chunkHashes are the document's chunk manifest, empty when embedding failed
+   */
   async storeInPinecone(userPineconeId, documentData, extractedText) {
     try {
       // Split text into chunks
-      const chunks = await this.splitTextIntoChunks(extractedText);
-      console.log(`📄 Split document into ${chunks.length} chunks`);
+      const { chunks, locations } = await this.chunkDocument(extractedText, {
+        chunkingStrategy: documentData.chunkingStrategy,
+        filePath: documentData.filePath,
+        paged: documentData.fileType === 'PDF'
+      });
+      console.log(`📄 Split document into ${chunks.length} ${documentData.chunkingStrategy || 'recursive'} chunks`);
       
       // Try to process chunks with embeddings, but don't fail if embeddings don't work
+      let results = { chunkIds: [], chunkHashes: [], reused: 0 };
       try {
-        const results = await this.processChunksWithEmbeddings(chunks, userPineconeId, {
+        results = await this.processChunksWithEmbeddings(chunks, userPineconeId, {
+          documentId: documentData.documentId,
           fileName: documentData.originalName,
           fileType: documentData.fileType,
           fileSize: documentData.fileSize,
-          uploadDate: new Date().toISOString()
-        });
-        console.log(`✅ Stored ${results.stored} chunks with embeddings`);
+          uploadDate: new Date().toISOString(),
+          chunkingStrategy: documentData.chunkingStrategy || 'recursive',
+          documentVersion: documentData.version || 1,
+          // Files from a ZIP archive keep the folder they were in
+          ...(documentData.folderPath ? { folderPath: documentData.folderPath } : {}),
+          // Attachments carry the sender and date of the message they came with
+          ...(documentData.emailMetadata || {})
+        }, locations, documentData.previousVersion);
+        console.log(`✅ Stored ${results.stored} chunks with embeddings (${results.reused} reused from the previous version)`);
       } catch (embeddingError) {
         console.warn('⚠️ Failed to generate embeddings, document stored without vector search capability:', embeddingError.message);
         // Continue without embeddings - document text is still extracted and stored in database
       }
       
       // Return a vector ID (using filename as base)
-      return `${documentData.fileName}_${Date.now()}`;
+      return {
+        vectorId: `${documentData.fileName}_${Date.now()}`,
+        chunkIds: results.chunkIds,
+        chunkHashes: results.chunkHashes,
+        reusedChunks: results.reused
+      };
     } catch (error) {
       console.error('❌ Error storing in Pinecone:', error.message);
       throw error;
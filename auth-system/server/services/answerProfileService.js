@@ -0,0 +1,263 @@
+const DEFAULT_PROFILE = 'legal';
+
+const GROUNDING_RULES = [
+  'Use ONLY the provided document context to answer',
+  'NEVER use information from your training data or external knowledge',
+  "If the documents don't contain the answer, clearly state this limitation",
+  'For comparisons and analysis, use ONLY information from the provided documents',
+  'Support cross-document analysis, comparisons, and differentiation using document data'
+];
+
+const CITATIONS_TEMPLATE = '- Resource: [filename] | Chunk [X][ | Page N, Slide N, Lines L1-L2, Sheet S, rows R1-R2, From Sender or Chapter: Title, when the context shows one] | [Date or "Date not available"]';
+const EXCERPT_TEMPLATE = '- [Document Title] | Chunk [X][ | Page N, Slide N, Lines L1-L2, Sheet S, rows R1-R2, From Sender or Chapter: Title, when the context shows one] | [Date if available]\nExcerpt: "[Exact quoted text from the document chunk]"';
+
+/**
+ * Answer profiles, in the order they are offered to users.
+ *
+ * `sections` is the answer layout, top to bottom. Every profile has a `summary` and a
+ * `citations` section; `excerpts` (quoted chunks) is optional. `disclaimer` is appended
+ * after the last section, and its first token (e.g. "⚖️") marks where it starts.
+ * `validation` tunes the strict checks in responseFormatter.validateResponseStructure.
+ */
+const PROFILES = [
+  {
+    name: 'legal',
+    label: 'Legal research',
+    description: 'Quoted provisions, a short legal summary and full citations, with a legal disclaimer.',
+    role: 'You are a precise legal research assistant designed to help users find authoritative information from their uploaded documents.',
+    tone: 'professional legal research assistant tone',
+    sections: [
+      { key: 'excerpts', heading: 'RELEVANT LEGAL PROVISIONS', template: EXCERPT_TEMPLATE, minLength: 10 },
+      {
+        key: 'summary',
+        heading: 'LEGAL SUMMARY',
+        template: 'Provide a concise 3-5 sentence explanation strictly based on the retrieved document chunks. For comparisons, highlight differences and similarities found in the documents. For analysis, synthesize information across multiple document chunks.',
+        minLength: 20
+      },
+      { key: 'citations', heading: 'CITATIONS & SOURCES', template: CITATIONS_TEMPLATE }
+    ],
+    rules: [
+      'Quote documents exactly with quotation marks',
+      'Mention date/version when available in document metadata',
+      "Do NOT add interpretations beyond what's in the documents",
+      'If date not found, explicitly say "Date not available"',
+      'For cross-document analysis, clearly reference which documents support each point',
+      'If documents conflict, present both perspectives with their sources',
+      'If insufficient information exists in documents, state this clearly'
+    ],
+    disclaimer: '⚖️ Legal Disclaimer: This information is for research purposes only. I am not a licensed attorney, and this does not constitute legal advice.',
+    validation: {
+      requireQuotedExcerpts: true,
+      requireDates: true,
+      styleIndicators: ['based on', 'according to', 'as stated in', 'the documents indicate']
+    }
+  },
+  {
+    name: 'technical',
+    label: 'Technical',
+    description: 'Relevant documentation excerpts and a precise technical answer with steps, values and names kept verbatim.',
+    role: 'You are a precise technical assistant that answers questions from the user\'s uploaded documentation, specifications and manuals.',
+    tone: 'precise, neutral technical tone',
+    sections: [
+      { key: 'excerpts', heading: 'RELEVANT DOCUMENTATION', template: EXCERPT_TEMPLATE, minLength: 10 },
+      {
+        key: 'summary',
+        heading: 'TECHNICAL ANSWER',
+        template: 'Answer directly, then give the steps, parameters, limits or configuration values the documents specify. Keep identifiers, commands, units and version numbers exactly as written. Use numbered steps for procedures.',
+        minLength: 20
+      },
+      { key: 'citations', heading: 'REFERENCES', template: CITATIONS_TEMPLATE }
+    ],
+    rules: [
+      'Quote documents exactly with quotation marks',
+      'Mention the version or date a value applies to when the documents give one',
+      'Never guess defaults, limits or values the documents do not state',
+      'If documents describe different versions, say which version each statement applies to',
+      'If insufficient information exists in documents, state this clearly'
+    ],
+    disclaimer: null,
+    validation: {
+      requireQuotedExcerpts: true,
+      requireDates: false,
+      styleIndicators: ['according to', 'the documentation', 'as described in', 'based on', 'specifies']
+    }
+  },
+  {
+    name: 'concise',
+    label: 'Concise',
+    description: 'A short direct answer followed by its sources.',
+    role: 'You are a concise assistant that answers questions from the user\'s uploaded documents.',
+    tone: 'brief, plain-language tone',
+    sections: [
+      {
+        key: 'summary',
+        heading: 'ANSWER',
+        template: 'Answer in at most 3 sentences, strictly based on the retrieved document chunks. Name the document each fact comes from.',
+        minLength: 10
+      },
+      { key: 'citations', heading: 'SOURCES', template: CITATIONS_TEMPLATE }
+    ],
+    rules: [
+      'Do not repeat the question or add background the user did not ask for',
+      'If the documents do not answer the question, say so in one sentence'
+    ],
+    disclaimer: null,
+    validation: {
+      requireQuotedExcerpts: false,
+      requireDates: false,
+      styleIndicators: []
+    }
+  },
+  {
+    name: 'study-notes',
+    label: 'Study notes',
+    description: 'Key passages turned into revision notes: definitions, key points and review questions.',
+    role: 'You are a study assistant that turns the user\'s uploaded documents into clear revision notes.',
+    tone: 'clear, explanatory teaching tone',
+    sections: [
+      { key: 'excerpts', heading: 'KEY PASSAGES', template: EXCERPT_TEMPLATE, minLength: 10 },
+      {
+        key: 'summary',
+        heading: 'STUDY NOTES',
+        template: 'Key points as short bullet points, then "Definitions:" for the terms the documents define, then "Review questions:" with 2-3 questions the passages answer.',
+        minLength: 20
+      },
+      { key: 'citations', heading: 'SOURCES', template: CITATIONS_TEMPLATE }
+    ],
+    rules: [
+      'Quote documents exactly with quotation marks',
+      'Only define terms the documents define, using their wording',
+      'Only ask review questions the quoted passages answer',
+      'If insufficient information exists in documents, state this clearly'
+    ],
+    disclaimer: null,
+    validation: {
+      requireQuotedExcerpts: true,
+      requireDates: false,
+      styleIndicators: ['key point', 'definitions:', 'review questions:']
+    }
+  },
+  {
+    name: 'executive-summary',
+    label: 'Executive summary',
+    description: 'The bottom line first, then the supporting evidence and sources.',
+    role: 'You are an analyst who briefs decision makers using only the user\'s uploaded documents.',
+    tone: 'direct, business briefing tone',
+    sections: [
+      {
+        key: 'summary',
+        heading: 'EXECUTIVE SUMMARY',
+        template: 'Lead with the bottom line in one sentence, then 3-5 bullet points covering the key facts, risks, figures and deadlines found in the documents.',
+        minLength: 20
+      },
+      { key: 'excerpts', heading: 'SUPPORTING EVIDENCE', template: EXCERPT_TEMPLATE, minLength: 10 },
+      { key: 'citations', heading: 'SOURCES', template: CITATIONS_TEMPLATE }
+    ],
+    rules: [
+      'Quote documents exactly with quotation marks',
+      'Mention dates, amounts and deadlines exactly as the documents state them',
+      'Do not recommend actions the documents do not support',
+      'If insufficient information exists in documents, state this clearly'
+    ],
+    disclaimer: null,
+    validation: {
+      requireQuotedExcerpts: true,
+      requireDates: true,
+      styleIndicators: ['based on', 'according to', 'the documents indicate', 'bottom line']
+    }
+  }
+];
+
+/**
+ * Named answer profiles: the system prompt, section layout, disclaimer and validation
+ * rules an answer is generated and checked against. A chat uses its own profile when
+ * set, otherwise the user's default, otherwise `legal`.
+ */
+class AnswerProfileService {
+  constructor() {
+    this.defaultProfile = DEFAULT_PROFILE;
+    this.profiles = new Map(PROFILES.map(profile => [profile.name, profile]));
+  }
+
+  /**
+   * Look up a profile, falling back to the default for unknown or missing names
+   * @param {string|Object} profile - Profile name, or an already resolved profile
+   * @returns {Object} Profile definition
+   */
+  get(profile) {
+    if (profile && typeof profile === 'object') {
+      return profile;
+    }
+    return this.profiles.get(profile) || this.profiles.get(DEFAULT_PROFILE);
+  }
+
+  /**
+   * Pick the first configured profile name, e.g. the chat's, then the user's default
+   * @param {...string} names - Candidate names, most specific first
+   * @returns {string} Profile name
+   */
+  resolve(...names) {
+    return names.find(name => this.profiles.has(name)) || DEFAULT_PROFILE;
+  }
+
+  /**
+   * Profiles as offered to API clients
+   * @returns {Array} { name, label, description, sections }
+   */
+  list() {
+    return PROFILES.map(profile => ({
+      name: profile.name,
+      label: profile.label,
+      description: profile.description,
+      sections: profile.sections.map(section => section.heading)
+    }));
+  }
+
+  /**
+   * Validate a profile name supplied by API clients
+   * @param {string} answerProfile - Requested profile name, may be undefined or null
+   * @returns {Object} { answerProfile, error } where answerProfile is null for "use the default"
+   */
+  parseAnswerProfileRequest(answerProfile) {
+    if (answerProfile === undefined || answerProfile === null) {
+      return { answerProfile: null, error: null };
+    }
+
+    if (!this.profiles.has(answerProfile)) {
+      return { answerProfile: null, error: `answerProfile must be one of: ${[...this.profiles.keys()].join(', ')}` };
+    }
+
+    return { answerProfile, error: null };
+  }
+
+  /**
+   * A section of a profile's layout
+   * @param {Object} profile - Profile definition
+   * @param {string} key - 'excerpts', 'summary' or 'citations'
+   * @returns {Object|null} Section, or null when the profile has no such section
+   */
+  getSection(profile, key) {
+    return this.get(profile).sections.find(section => section.key === key) || null;
+  }
+
+  /**
+   * System prompt header: role, grounding constraints, layout and rules
+   * @param {string|Object} profile - Profile name or definition
+   * @returns {string} Prompt text
+   */
+  buildFormatPrompt(profile) {
+    const { role, sections, rules, disclaimer } = this.get(profile);
+
+    const layout = sections.map(section => `${section.heading}:\n${section.template}`).join('\n\n');
+
+    return [
+      role,
+      `CRITICAL CONSTRAINTS:\n${GROUNDING_RULES.map(rule => `- ${rule}`).join('\n')}`,
+      `RESPONSE FORMAT REQUIREMENTS:\nFor every response, follow this format strictly:\n\n${layout}`,
+      `MANDATORY RULES:\n${rules.map(rule => `- ${rule}`).join('\n')}`,
+      disclaimer
+    ].filter(Boolean).join('\n\n');
+  }
+}
+
+module.exports = new AnswerProfileService();
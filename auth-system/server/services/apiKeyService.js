@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const ConfigurationManager = require('./ConfigurationManager');
+
+const KEY_PREFIX = 'ak_';
+const DISPLAY_PREFIX_LENGTH = KEY_PREFIX.length + 8;
+
+/**
+ * Personal API keys: long-lived credentials for scripts, used instead of a JWT.
+ *
+ * A key is shown once, when it is created; only its SHA-256 hash is stored (keys are
+ * random, so a slow hash adds nothing). Keys carry scopes, and routes opt in to keys with
+ * `allowApiKey(scope)`; everything else, including key management, needs a signed-in user.
+ */
+class ApiKeyService {
+  get config() {
+    return ConfigurationManager.getServiceConfig('apiKeys');
+  }
+
+  /**
+   * @param {string} token - Credential from a request
+   * @returns {boolean} Whether it is an API key rather than a JWT
+   */
+  isApiKey(token) {
+    return typeof token === 'string' && token.startsWith(KEY_PREFIX);
+  }
+
+  hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  /**
+   * Create a key for a user
+   * @param {User} user - Owner
+   * @param {Object} options - { name, scopes, expiresInDays, rateLimitPerMinute }, validated
+   * @returns {Promise<Object>} { apiKey, key }; `key` is the secret, not stored anywhere
+   */
+  async create(user, { name, scopes, expiresInDays = null, rateLimitPerMinute }) {
+    const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+    const apiKey = await ApiKey.create({
+      userId: user.id,
+      name,
+      keyPrefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+      keyHash: this.hashKey(key),
+      scopes,
+      rateLimitPerMinute: rateLimitPerMinute || this.config.defaultRateLimitPerMinute,
+      expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null
+    });
+
+    return { apiKey, key };
+  }
+
+  async list(user) {
+    return ApiKey.findByUserId(user.id);
+  }
+
+  async countActive(user) {
+    return (await this.list(user)).filter(apiKey => apiKey.isActive()).length;
+  }
+
+  /**
+   * Revoke one of a user's keys
+   * @param {User} user - Owner
+   * @param {number} id - Key id
+   * @returns {Promise<ApiKey|null>} The revoked key, null when the user has no such key
+   */
+  async revoke(user, id) {
+    const apiKey = await ApiKey.findById(id);
+    if (!apiKey || apiKey.userId !== user.id) {
+      return null;
+    }
+
+    await apiKey.revoke();
+    return apiKey;
+  }
+
+  /**
+   * Look up the owner of a key and record its use
+   * @param {string} key - Key from the request
+   * @returns {Promise<Object|null>} { user, apiKey }, null when the key is unknown, revoked or expired
+   */
+  async authenticate(key) {
+    if (!this.isApiKey(key)) {
+      return null;
+    }
+
+    const apiKey = await ApiKey.findByHash(this.hashKey(key));
+    if (!apiKey || !apiKey.isActive()) {
+      return null;
+    }
+
+    const user = await User.findById(apiKey.userId);
+    if (!user) {
+      return null;
+    }
+
+    await apiKey.recordUse();
+    return { user, apiKey };
+  }
+}
+
+module.exports = new ApiKeyService();
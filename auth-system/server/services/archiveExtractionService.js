@@ -0,0 +1,211 @@
+const fs = require('fs');
+const path = require('path');
+const JSZip = require('jszip');
+const ConfigurationManager = require('./ConfigurationManager');
+
+const ARCHIVE_EXTENSIONS = ['.zip'];
+// Entries archivers add that are not documents: macOS resource forks, Finder and Explorer metadata
+const IGNORED_ENTRY_PATTERN = /(^|\/)(__MACOSX\/|\.DS_Store$|Thumbs\.db$|desktop\.ini$|\._)/i;
+const SYMLINK_MODE = 0o120000;
+const FILE_TYPE_MASK = 0o170000;
+
+/**
+ * ZIP archive expansion for archive uploads.
+ *
+ * Entries are written under generated names next to the archive, so an entry name never
+ * decides where a file is written; names that would escape the archive ("../", absolute
+ * paths, drive letters) are still rejected rather than silently renamed. Sizes are
+ * counted while entries are inflated, since the sizes an archive declares can be forged:
+ * extraction stops at the per-entry and total size limits and at the compression ratio
+ * limit. ZIP files inside the archive are expanded in turn, up to the nesting limit.
+ */
+class ArchiveExtractionService {
+  get config() {
+    return ConfigurationManager.getServiceConfig('archives');
+  }
+
+  /**
+   * Whether a file is expanded as an archive
+   * @param {string} filePath - File path or name
+   * @returns {boolean}
+   */
+  isArchive(filePath) {
+    return Boolean(filePath) && ARCHIVE_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+  }
+
+  /**
+   * Folder path of an entry, or null when the entry name would escape the archive
+   * @param {string} entryName - Entry name as stored in the archive
+   * @returns {string|null} Normalized name with forward slashes, e.g. "contracts/2024/nda.pdf"
+   */
+  normalizeEntryName(entryName) {
+    const name = entryName.replace(/\\/g, '/');
+    if (name.startsWith('/') || /^[a-z]:/i.test(name) || name.includes('\0')) {
+      return null;
+    }
+
+    const segments = name.split('/').filter(segment => segment && segment !== '.');
+    if (segments.length === 0 || segments.includes('..')) {
+      return null;
+    }
+    return segments.join('/');
+  }
+
+  /**
+   * Expand a ZIP archive into files ready for validation and processing
+   * @param {string} archivePath - Uploaded archive
+   * @param {Object} options - { isSupported, getMimeType }: which entries are extracted and the
+   *   MIME type they are given, both by file name
+   * @returns {Promise<Object>} { files, skipped }; files are multer-like { originalname, filename,
+   *   mimetype, size, path, folderPath }, skipped are { entryName, reason }
+   */
+  async extractArchive(archivePath, { isSupported = () => true, getMimeType = () => 'application/octet-stream' } = {}) {
+    const {
+      maxEntries = 1000,
+      maxEntrySize = 50 * 1024 * 1024,
+      maxTotalSize = 500 * 1024 * 1024,
+      maxCompressionRatio = 100,
+      maxNestingDepth = 2,
+      maxPathDepth = 20
+    } = this.config;
+    const archiveSize = fs.statSync(archivePath).size;
+    const state = {
+      files: [],
+      skipped: [],
+      entryCount: 0,
+      totalSize: 0,
+      // Compressed data rarely inflates past 100x; far larger totals are decompression bombs
+      maxTotalSize: Math.min(maxTotalSize, Math.max(archiveSize, 1024) * maxCompressionRatio),
+      limits: { maxEntries, maxEntrySize, maxNestingDepth, maxPathDepth },
+      outputDir: path.dirname(archivePath),
+      isSupported,
+      getMimeType
+    };
+
+    try {
+      await this.expand(fs.readFileSync(archivePath), '', 0, state);
+    } catch (error) {
+      // Nothing is processed from an archive that breaks a limit
+      this.removeFiles(state.files);
+      throw error;
+    }
+
+    return { files: state.files, skipped: state.skipped };
+  }
+
+  async expand(buffer, prefix, depth, state) {
+    let zip;
+    try {
+      zip = await JSZip.loadAsync(buffer);
+    } catch (error) {
+      throw new Error(`${prefix ? `Archive ${prefix}` : 'File'} is not a valid ZIP archive: ${error.message}`);
+    }
+
+    const entries = [];
+    zip.forEach((relativePath, entry) => {
+      if (!entry.dir) {
+        entries.push(entry);
+      }
+    });
+
+    for (const entry of entries) {
+      const normalized = this.normalizeEntryName(entry.unsafeOriginalName || entry.name);
+      const entryName = normalized && prefix ? `${prefix}/${normalized}` : normalized || entry.unsafeOriginalName || entry.name;
+      const skip = reason => state.skipped.push({ entryName, reason });
+
+      if (!normalized) {
+        skip('Entry path points outside the archive');
+        continue;
+      }
+      if (IGNORED_ENTRY_PATTERN.test(normalized)) {
+        continue;
+      }
+      if (((entry.unixPermissions || 0) & FILE_TYPE_MASK) === SYMLINK_MODE) {
+        skip('Symbolic links are not extracted');
+        continue;
+      }
+      if (entryName.split('/').length > state.limits.maxPathDepth) {
+        skip(`Folders are nested more than ${state.limits.maxPathDepth} levels deep`);
+        continue;
+      }
+
+      const nested = this.isArchive(normalized);
+      if (nested && depth + 1 >= state.limits.maxNestingDepth) {
+        skip(`Archives are nested more than ${state.limits.maxNestingDepth} levels deep`);
+        continue;
+      }
+      if (!nested && !state.isSupported(normalized)) {
+        skip('Unsupported file type');
+        continue;
+      }
+
+      state.entryCount++;
+      if (state.entryCount > state.limits.maxEntries) {
+        throw new Error(`Archive has more than ${state.limits.maxEntries} files`);
+      }
+
+      const content = await this.readEntry(entry, entryName, state);
+      if (nested) {
+        await this.expand(content, entryName, depth + 1, state);
+        continue;
+      }
+
+      const fileName = `doc-${Date.now()}-${Math.round(Math.random() * 1E9)}${path.extname(normalized).toLowerCase()}`;
+      const filePath = path.join(state.outputDir, fileName);
+      fs.writeFileSync(filePath, content);
+
+      const folderPath = path.posix.dirname(entryName);
+      state.files.push({
+        originalname: path.posix.basename(normalized),
+        filename: fileName,
+        mimetype: state.getMimeType(normalized),
+        size: content.length,
+        path: filePath,
+        folderPath: folderPath === '.' ? null : folderPath
+      });
+    }
+  }
+
+  /**
+   * Inflate an entry, counting bytes as they are produced
+   */
+  readEntry(entry, entryName, state) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      const stream = entry.internalStream('uint8array');
+
+      stream
+        .on('data', data => {
+          size += data.length;
+          state.totalSize += data.length;
+          if (size > state.limits.maxEntrySize) {
+            stream.pause();
+            reject(new Error(`${entryName} is larger than ${Math.round(state.limits.maxEntrySize / (1024 * 1024))}MB when extracted`));
+          } else if (state.totalSize > state.maxTotalSize) {
+            stream.pause();
+            reject(new Error('Archive expands to more data than allowed; it may be a decompression bomb'));
+          } else {
+            chunks.push(Buffer.from(data));
+          }
+        })
+        .on('error', error => reject(new Error(`Could not extract ${entryName}: ${error.message}`)))
+        .on('end', () => resolve(Buffer.concat(chunks)))
+        .resume();
+    });
+  }
+
+  /**
+   * Delete extracted files that will not be processed
+   * @param {Array<Object>} files - Files from extractArchive
+   */
+  removeFiles(files) {
+    files.forEach(file => {
+      if (file.path && fs.existsSync(file.path)) {
+        fs.unlinkSync(file.path);
+      }
+    });
+  }
+}
+
+module.exports = new ArchiveExtractionService();
@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const AuthFailure = require('../models/AuthFailure');
+const AuthLockout = require('../models/AuthLockout');
+const ConfigurationManager = require('./ConfigurationManager');
+const emailService = require('./emailService');
+const { normalizeEmail } = require('../utils/emailUtils');
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Brute-force protection for signing in and password resets.
+ *
+ * Failed attempts are counted per account (email address) and per IP address, in SQLite so
+ * the counts survive restarts. After a few free attempts each further one has to wait, twice
+ * as long every time; at the limit the account or address is locked for `lockoutMinutes`.
+ * Every lockout is recorded in auth_lockouts, and a locked sign-in is sent an email with a
+ * link that unlocks it, so an attacker cannot keep the owner out.
+ */
+class BruteForceService {
+  get config() {
+    return ConfigurationManager.getServiceConfig('bruteForce');
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Counters that apply to an action: the account and the IP address, where the action limits them
+   * @param {string} action - 'login', 'password-reset' or 'reset-token'
+   * @param {Object} identity - { email, ip }
+   * @returns {Array<Object>} { subjectType, subject, maxFailures }
+   */
+  getSubjects(action, { email, ip }) {
+    const limits = this.config.actions[action];
+    const subjects = [];
+
+    if (email && limits.maxAccountFailures) {
+      subjects.push({ subjectType: 'account', subject: normalizeEmail(email), maxFailures: limits.maxAccountFailures });
+    }
+    if (ip && limits.maxIpFailures) {
+      subjects.push({ subjectType: 'ip', subject: ip, maxFailures: limits.maxIpFailures });
+    }
+
+    return subjects;
+  }
+
+  /**
+   * @returns {number} Seconds to wait after the given number of failures
+   */
+  getDelaySeconds(action, failureCount) {
+    const { delaySeconds = 1, maxDelaySeconds = 60 } = this.config;
+    const delayedAttempts = failureCount - this.config.actions[action].freeAttempts;
+
+    return delayedAttempts > 0 ? Math.min(maxDelaySeconds, delaySeconds * 2 ** (delayedAttempts - 1)) : 0;
+  }
+
+  /**
+   * Whether an attempt may be made now
+   * @param {string} action - 'login', 'password-reset' or 'reset-token'
+   * @param {Object} identity - { email, ip }
+   * @returns {Promise<Object>} { allowed: true } or
+   *   { allowed: false, reason: 'locked'|'delayed', subjectType: 'account'|'ip', retryAfter (seconds) }
+   */
+  async check(action, identity) {
+    const now = Date.now();
+    let blocked = null;
+
+    for (const { subjectType, subject } of this.getSubjects(action, identity)) {
+      const failure = await AuthFailure.find(action, subjectType, subject);
+      if (!failure) {
+        continue;
+      }
+
+      const locked = failure.getLockedUntil() > now;
+      const until = locked
+        ? failure.getLockedUntil()
+        : failure.getLastFailedAt() + this.getDelaySeconds(action, failure.failureCount) * 1000;
+      if (until <= now) {
+        continue;
+      }
+
+      // A lockout outweighs a delay; otherwise the longest wait wins
+      const reason = locked ? 'locked' : 'delayed';
+      if (!blocked || (reason === 'locked' && blocked.reason === 'delayed') || (reason === blocked.reason && until > blocked.until)) {
+        blocked = { reason, subjectType, until };
+      }
+    }
+
+    if (!blocked) {
+      return { allowed: true };
+    }
+
+    return {
+      allowed: false,
+      reason: blocked.reason,
+      subjectType: blocked.subjectType,
+      retryAfter: Math.ceil((blocked.until - now) / 1000)
+    };
+  }
+
+  /**
+   * Count a failed attempt, locking the account or address at its limit
+   * @returns {Promise<Object>} The check for the next attempt, as from check()
+   */
+  async recordFailure(action, identity) {
+    const now = Date.now();
+    const windowStart = new Date(now - this.config.windowMinutes * MINUTE_MS);
+
+    for (const { subjectType, subject, maxFailures } of this.getSubjects(action, identity)) {
+      const failure = await AuthFailure.recordFailure(action, subjectType, subject, new Date(now), windowStart);
+      if (failure.failureCount >= maxFailures) {
+        await this.lock(action, failure, identity);
+      }
+    }
+
+    return this.check(action, identity);
+  }
+
+  /**
+   * A successful attempt clears the account's failures; the address keeps its count, so
+   * signing in to one account does not reset guessing at others
+   */
+  async recordSuccess(action, { email }) {
+    if (email && this.config.actions[action].maxAccountFailures) {
+      await AuthFailure.clear(action, 'account', normalizeEmail(email));
+    }
+  }
+
+  async lock(action, failure, { ip }) {
+    const { lockoutMinutes, unlockUrlBase } = this.config;
+    const lockedUntil = new Date(Date.now() + lockoutMinutes * MINUTE_MS);
+    const user = failure.subjectType === 'account' ? await User.findByEmail(failure.subject) : null;
+
+    // Only locked sign-ins of existing accounts get an unlock link; other lockouts just expire
+    const unlockToken = user && action === 'login' ? crypto.randomBytes(32).toString('hex') : null;
+    const failureCount = failure.failureCount;
+    await failure.lock(lockedUntil, unlockToken && this.hashToken(unlockToken));
+
+    await AuthLockout.create({
+      action,
+      subjectType: failure.subjectType,
+      subject: failure.subject,
+      userId: user ? user.id : null,
+      ipAddress: ip,
+      failureCount,
+      lockedUntil
+    });
+    console.warn(`🔒 ${action} locked for ${failure.subjectType} ${failure.subject} after ${failureCount} failed attempts, until ${lockedUntil.toISOString()}`);
+
+    if (unlockToken) {
+      await emailService.sendAccountLockedEmail(
+        user.email,
+        user.firstName,
+        `${unlockUrlBase}?token=${unlockToken}`,
+        lockoutMinutes
+      );
+    }
+  }
+
+  /**
+   * End a sign-in lockout with the token from the unlock email
+   * @param {string} token - Token from the unlock link
+   * @returns {Promise<boolean>} Whether a lockout was ended
+   */
+  async unlock(token) {
+    const failure = token ? await AuthFailure.findByUnlockTokenHash(this.hashToken(token)) : null;
+    if (!failure || failure.getLockedUntil() <= Date.now()) {
+      return false;
+    }
+
+    await failure.delete();
+    console.log(`🔓 ${failure.action} unlocked for ${failure.subjectType} ${failure.subject}`);
+    return true;
+  }
+
+  // Remove counters whose failures are older than the window and that are not locked
+  async cleanup() {
+    return AuthFailure.cleanupStale(new Date(Date.now() - this.config.windowMinutes * MINUTE_MS));
+  }
+}
+
+module.exports = new BruteForceService();
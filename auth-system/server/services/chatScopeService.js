@@ -0,0 +1,148 @@
+const Document = require('../models/Document');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// SQLite CURRENT_TIMESTAMP values are UTC without a zone designator
+const parseTimestamp = (value) => new Date(`${String(value).replace(' ', 'T')}Z`);
+
+/**
+ * Restricts a chat to a subset of the user's documents.
+ *
+ * A scope is `{ documentIds, tags, uploadedAfter, uploadedBefore }`. A document is in
+ * scope when it is listed in `documentIds` or carries one of `tags` (any document when
+ * both are empty), and was uploaded within the inclusive date range. The scope is
+ * resolved against the documents table and handed to the retrievers as a metadata
+ * filter on `documentId`, so it works the same for Pinecone, the local store and BM25.
+ */
+class ChatScopeService {
+  /**
+   * Validate a scope supplied by API clients
+   * @param {Object} scope - Requested scope, may be undefined or null
+   * @returns {Object} { scope, error } where scope is null for "all documents"
+   */
+  parseScopeRequest(scope) {
+    if (scope === undefined || scope === null) {
+      return { scope: null, error: null };
+    }
+
+    if (typeof scope !== 'object' || Array.isArray(scope)) {
+      return { scope: null, error: 'scope must be an object with documentIds, tags, uploadedAfter and/or uploadedBefore' };
+    }
+
+    const parsed = {};
+
+    if (scope.documentIds !== undefined) {
+      if (!Array.isArray(scope.documentIds) || !scope.documentIds.every(id => Number.isInteger(Number(id)) && Number(id) > 0)) {
+        return { scope: null, error: 'scope.documentIds must be an array of document IDs' };
+      }
+      if (scope.documentIds.length > 0) {
+        parsed.documentIds = [...new Set(scope.documentIds.map(Number))];
+      }
+    }
+
+    if (scope.tags !== undefined) {
+      if (!Array.isArray(scope.tags) || !scope.tags.every(tag => typeof tag === 'string')) {
+        return { scope: null, error: 'scope.tags must be an array of strings' };
+      }
+      const tags = [...new Set(scope.tags.map(tag => tag.trim()).filter(Boolean))];
+      if (tags.length > 0) {
+        parsed.tags = tags;
+      }
+    }
+
+    for (const key of ['uploadedAfter', 'uploadedBefore']) {
+      if (scope[key] === undefined || scope[key] === null || scope[key] === '') {
+        continue;
+      }
+      if (typeof scope[key] !== 'string' || !DATE_PATTERN.test(scope[key]) || isNaN(Date.parse(scope[key]))) {
+        return { scope: null, error: `scope.${key} must be a date in YYYY-MM-DD format` };
+      }
+      parsed[key] = scope[key];
+    }
+
+    if (parsed.uploadedAfter && parsed.uploadedBefore && parsed.uploadedAfter > parsed.uploadedBefore) {
+      return { scope: null, error: 'scope.uploadedAfter must not be later than scope.uploadedBefore' };
+    }
+
+    return { scope: Object.keys(parsed).length > 0 ? parsed : null, error: null };
+  }
+
+  /**
+   * Check whether a document falls inside a scope
+   * @param {Document} document - Document record
+   * @param {Object} scope - Parsed scope
+   * @returns {boolean} True if the document is in scope
+   */
+  matchesScope(document, scope) {
+    const { documentIds = [], tags = [], uploadedAfter, uploadedBefore } = scope;
+
+    if (documentIds.length > 0 || tags.length > 0) {
+      const selected = documentIds.includes(document.id) ||
+        (document.tags || []).some(tag => tags.includes(tag));
+      if (!selected) {
+        return false;
+      }
+    }
+
+    const uploadedAt = parseTimestamp(document.createdAt);
+    if (uploadedAfter && uploadedAt < new Date(`${uploadedAfter}T00:00:00Z`)) {
+      return false;
+    }
+    if (uploadedBefore && uploadedAt > new Date(`${uploadedBefore}T23:59:59.999Z`)) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Metadata filter matching the chunks of the given documents. Chunks stored before their
+   * document had a chunk manifest carry no documentId and can only be matched by file name
+   * @param {Array<Document>} documents - Documents in scope
+   * @returns {Object} Filter; {} when there are no documents
+   */
+  buildFilter(documents) {
+    if (documents.length === 0) {
+      return {};
+    }
+
+    const byId = { documentId: { $in: documents.map(document => document.id) } };
+    const legacyNames = [...new Set(documents
+      .filter(document => document.chunkIds.length === 0)
+      .map(document => document.originalName))];
+
+    if (legacyNames.length === 0) {
+      return byId;
+    }
+
+    return {
+      $or: [
+        byId,
+        { documentId: { $exists: false }, fileName: { $in: legacyNames } }
+      ]
+    };
+  }
+
+  /**
+   * Resolve a chat scope into the documents it covers and a retriever metadata filter
+   * @param {number} userId - Owner of the documents
+   * @param {Object|null} scope - Parsed scope; null means all documents
+   * @returns {Promise<Object>} { filter, documents, documentCount }; filter is {} for all documents
+   */
+  async resolveScope(userId, scope) {
+    if (!scope) {
+      return { filter: {}, documents: null, documentCount: null };
+    }
+
+    const documents = (await Document.findByUserId(userId))
+      .filter(document => this.matchesScope(document, scope));
+
+    return {
+      filter: this.buildFilter(documents),
+      documents: documents.map(document => ({ id: document.id, originalName: document.originalName })),
+      documentCount: documents.length
+    };
+  }
+}
+
+module.exports = new ChatScopeService();
@@ -1,265 +1,724 @@
-const OpenAI = require('openai');
 const advancedDocumentService = require('./advancedDocumentService');
+const llmProvider = require('./llmProvider');
+const rerankerService = require('./rerankerService');
+const queryRewriteService = require('./queryRewriteService');
+const groundingService = require('./groundingService');
+const answerProfileService = require('./answerProfileService');
 const responseFormatter = require('./responseFormatter');
+const { buildEmailFilter, combineFilters } = require('../utils/emailQueryFilter');
+
+// Retrieval strategies; 'auto' picks one from the query with detectQueryType
+const CHAT_STRATEGIES = ['auto', 'simple', 'analytical', 'comparison', 'differentiation'];
 
 class ChatService {
   constructor() {
-    this.openai = null;
     this.isEnabled = false;
     this.initialize();
   }
 
   async initialize() {
     try {
-      if (!process.env.OPENAI_API_KEY || process.env.OPENAI_API_KEY === 'your-openai-api-key-here') {
-        console.log('⚠️ OpenAI API key not configured, chat functionality disabled');
+      if (!llmProvider.isConfigured()) {
+        console.log(`⚠️ LLM provider "${llmProvider.providerName}" not configured, chat functionality disabled`);
         this.isEnabled = false;
         return;
       }
 
-      this.openai = new OpenAI({
-        apiKey: process.env.OPENAI_API_KEY,
-      });
-      
       this.isEnabled = true;
-      console.log('✅ OpenAI chat service initialized successfully');
+      console.log(`✅ Chat service initialized successfully (provider: ${llmProvider.providerName})`);
     } catch (error) {
-      console.error('❌ Failed to initialize OpenAI chat service:', error.message);
+      console.error('❌ Failed to initialize chat service:', error.message);
       console.log('⚠️ Continuing without chat functionality');
       this.isEnabled = false;
     }
   }
 
-  async chatWithDocuments(userPineconeId, query, conversationHistory = []) {
+  /**
+   * Answer a query using the user's documents as context
+   * @param {string} userPineconeId - User's Pinecone namespace
+   * @param {string} query - User query
+   * @param {Array} conversationHistory - Previous messages
+   * @param {Object} options - Optional settings:
+   *   retrieval - retrieval mode and fusion weights ({ mode: 'hybrid' | 'semantic' | 'keyword', semanticWeight, keywordWeight })
+   *   strategy - one of CHAT_STRATEGIES, defaults to 'auto'
+   *   scope - resolved chat scope from chatScopeService ({ filter, documentCount }); omit for all documents
+   *   answerProfile - answer profile name from answerProfileService, defaults to 'legal'
+   *   versionComparison - two versions to compare, from documentVersionService.resolveComparison;
+   *     answers from the text that differs between them instead of a search
+   */
+  async chatWithDocuments(userPineconeId, query, conversationHistory = [], options = {}) {
     if (!this.isEnabled) {
-      const errorResponse = responseFormatter.formatErrorResponse(
-        'Chat service is not available. OpenAI API key is not configured.',
-        'Please contact your system administrator to configure the OpenAI API key to enable chat functionality.'
-      );
-      
-      return {
-        response: errorResponse,
-        sources: [],
-        totalSources: 0,
-        hasContext: false,
-        error: 'Chat service disabled - OpenAI API key not configured',
-        errorType: 'service_disabled'
-      };
+      return this.createServiceDisabledResponse(options.answerProfile);
     }
 
     try {
-      // Detect query type for enhanced processing
-      const queryType = this.detectQueryType(query);
-      const searchParams = this.getSearchParameters(queryType);
-      
-      console.log(`🔍 Query classified as: ${queryType.type} (confidence: ${Math.round(queryType.confidence * 100)}%)`);
-      console.log(`📊 Search strategy: ${queryType.searchStrategy}, Response style: ${queryType.responseStyle}`);
+      const context = await this.prepareDocumentContext(userPineconeId, query, conversationHistory, options);
+      if (context.earlyResponse) {
+        return context.earlyResponse;
+      }
 
-      // Step 1: Search for relevant documents with dynamic parameters based on query type
-      console.log(`🔍 Searching documents for ${queryType.type} query: "${query}"`);
-      
-      const searchOptions = {
-        isAnalytical: queryType.isAnalytical,
-        includeContext: true,
-        queryType: queryType.type,
-        searchStrategy: queryType.searchStrategy,
-        ...searchParams
-      };
+      // Step 5: Get response from the LLM provider with parameters optimized for query type
+      console.log(`🤖 Generating ${context.queryType.type} response with ${context.totalChunks} document chunks`);
+      const completion = await llmProvider.createChatCompletion(context.completionRequest);
+
+      const rawResponse = completion.choices[0].message.content;
+
+      // Validate AI response
+      if (!rawResponse || rawResponse.trim().length === 0) {
+        throw new Error('AI service returned empty response');
+      }
+
+      return this.attachGrounding(this.buildChatResult(rawResponse, context, completion.usage), context);
+
+    } catch (error) {
+      console.error('❌ Chat service error:', error);
       
-      const searchResults = queryType.isAnalytical 
-        ? queryType.type === 'comparison' && queryType.entities && queryType.entities.length >= 2
-          ? await advancedDocumentService.searchForComparison(userPineconeId, query, queryType.entities, {
-              minDocuments: 2,
-              maxDocuments: searchParams.limit,
-              chunksPerDocument: searchParams.chunksPerDoc,
-              includeContext: true,
-              diversityBoost: true
-            })
-          : queryType.type === 'differentiation'
-          ? await advancedDocumentService.searchForDifferentiation(userPineconeId, query, {
-              minDocuments: 2,
-              maxDocuments: searchParams.limit,
-              chunksPerDocument: searchParams.chunksPerDoc,
-              includeContext: true,
-              contrastiveSearch: true
-            })
-          : await advancedDocumentService.searchForAnalysis(userPineconeId, query, {
-              minDocuments: queryType.type === 'comparison' ? 2 : 1,
-              maxDocuments: searchParams.limit,
-              chunksPerDocument: searchParams.chunksPerDoc,
-              includeContext: true
-            })
-        : await advancedDocumentService.searchDocuments(
-            userPineconeId,
-            query,
-            searchParams.limit,
-            searchOptions
-          );
+      // Enhanced error handling with professional formatting
+      return this.handleChatError(error, query, userPineconeId, options.answerProfile);
+    }
+  }
 
-      // Step 2: Build context from search results with enhanced chunk selection for analysis
-      const contextBlocks = [];
-      let totalChunks = 0;
+  /**
+   * Streaming variant of chatWithDocuments.
+   * Sources are reported as soon as retrieval finishes, then completion tokens as they
+   * arrive. Aborting `signal` stops generation and returns the partial answer with
+   * `interrupted: true` instead of a formatted response. The grounding check of a
+   * finished answer is not awaited: `pendingGrounding` resolves to it once it is done.
+   * @param {string} userPineconeId - User's Pinecone namespace
+   * @param {string} query - User query
+   * @param {Array} conversationHistory - Previous messages
+   * @param {Object} options - { retrieval, strategy, scope, answerProfile, versionComparison, signal, onSources(data), onToken(delta) }
+   * @returns {Object} Same shape as chatWithDocuments plus `interrupted` and `pendingGrounding`
+   */
+  async streamChatWithDocuments(userPineconeId, query, conversationHistory = [], options = {}) {
+    const { retrieval = {}, strategy, scope, answerProfile, versionComparison, signal, onSources = () => {}, onToken = () => {} } = options;
 
-      if (searchResults.matches && searchResults.matches.length > 0) {
-        searchResults.matches.forEach(docResult => {
-          // Use all chunks returned by the enhanced search (already optimally selected)
-          docResult.chunks.forEach(chunk => {
-            contextBlocks.push({
-              source: docResult.fileName,
-              chunkIndex: chunk.chunkIndex,
-              score: chunk.score,
-              text: chunk.fullText || chunk.text,
-              fileType: docResult.fileType,
-              relevanceRank: chunk.relevanceRank || 0,
-              metadata: {
-                date: docResult.uploadDate,
-                fileSize: docResult.fileSize
-              }
-            });
-            totalChunks++;
-          });
-        });
+    if (!this.isEnabled) {
+      const disabledResponse = this.createServiceDisabledResponse(answerProfile);
+      onSources({ sources: [], totalSources: 0, hasContext: false });
+      return disabledResponse;
+    }
+
+    let context;
+    try {
+      context = await this.prepareDocumentContext(userPineconeId, query, conversationHistory, { retrieval, strategy, scope, answerProfile, versionComparison });
+    } catch (error) {
+      console.error('❌ Chat service error:', error);
+      onSources({ sources: [], totalSources: 0, hasContext: false });
+      return this.handleChatError(error, query, userPineconeId, answerProfile);
+    }
+
+    const sources = responseFormatter.extractSourceInformation(context.contextBlocks);
+    onSources({
+      sources: sources,
+      totalSources: sources.length,
+      hasContext: sources.length > 0,
+      retrievalMode: context.searchResults?.retrievalMode,
+      reranked: context.rerankResult?.reranked || false,
+      strategy: context.strategy,
+      queryRewrite: context.queryRewrite
+    });
+
+    if (context.earlyResponse) {
+      return context.earlyResponse;
+    }
+
+    let rawResponse = '';
+    let usage = null;
+
+    try {
+      console.log(`🤖 Streaming ${context.queryType.type} response with ${context.totalChunks} document chunks`);
+      const stream = await llmProvider.createChatCompletion({
+        ...context.completionRequest,
+        stream: true,
+        stream_options: { include_usage: true }
+      }, { signal });
+
+      for await (const chunk of stream) {
+        const delta = chunk.choices[0]?.delta?.content;
+        if (delta) {
+          rawResponse += delta;
+          onToken(delta);
+        }
+        if (chunk.usage) {
+          usage = chunk.usage;
+        }
+      }
+    } catch (error) {
+      if (!signal?.aborted) {
+        console.error('❌ Chat streaming error:', error);
+        if (rawResponse.trim().length === 0) {
+          return this.handleChatError(error, query, userPineconeId, answerProfile);
+        }
+        // Keep what was generated before the failure
+        return this.buildInterruptedResult(rawResponse, context, error.message);
+      }
+    }
+
+    if (signal?.aborted) {
+      console.log(`⏹️ Response cancelled after ${rawResponse.length} characters`);
+      return this.buildInterruptedResult(rawResponse, context);
+    }
+
+    if (rawResponse.trim().length === 0) {
+      return this.handleChatError(new Error('AI service returned empty response'), query, userPineconeId, answerProfile);
+    }
 
-        // Log analysis metadata if available
-        if (searchResults.analysisMetadata) {
-          console.log(`📊 Analysis metadata:`, {
-            documentsFound: searchResults.analysisMetadata.documentsFound,
-            totalChunks: searchResults.analysisMetadata.totalChunksAnalyzed,
-            avgRelevance: Math.round(searchResults.analysisMetadata.averageRelevanceScore * 100),
-            diversity: Math.round(searchResults.analysisMetadata.documentDiversity * 100)
+    // Grounding is checked while the answer is delivered, and reported after it
+    const result = this.buildChatResult(rawResponse, context, usage);
+    result.grounding = null;
+    result.pendingGrounding = this.verifyGrounding(result.response, context);
+    return result;
+  }
+
+  createServiceDisabledResponse(answerProfile) {
+    const profile = answerProfileService.get(answerProfile);
+    const errorResponse = responseFormatter.formatErrorResponse(
+      'Chat service is not available. No language model provider is configured.',
+      'Please contact your system administrator to configure the OpenAI API key or an OpenAI-compatible endpoint (LLM_PROVIDER, LLM_BASE_URL) to enable chat functionality.',
+      profile
+    );
+    
+    return {
+      response: errorResponse,
+      answerProfile: profile.name,
+      sources: [],
+      totalSources: 0,
+      hasContext: false,
+      error: 'Chat service disabled - LLM provider not configured',
+      errorType: 'service_disabled'
+    };
+  }
+
+  /**
+   * Validate a strategy name supplied by API clients
+   * @param {string} strategy - Requested strategy, may be undefined
+   * @returns {Object} { strategy, error } where error is null when the name is valid
+   */
+  parseStrategyRequest(strategy) {
+    if (strategy === undefined || strategy === null) {
+      return { strategy: undefined, error: null };
+    }
+
+    if (!CHAT_STRATEGIES.includes(strategy)) {
+      return { strategy: undefined, error: `strategy must be one of: ${CHAT_STRATEGIES.join(', ')}` };
+    }
+
+    return { strategy, error: null };
+  }
+
+  /**
+   * Resolve the retrieval strategy for a query.
+   * `auto` follows detectQueryType; a named strategy overrides the classification but
+   * keeps whatever the classifier extracted (e.g. comparison entities) when it agrees.
+   * @param {string} query - User query
+   * @param {string} requested - One of CHAT_STRATEGIES
+   * @returns {Object} { name, requested, queryType, searchParams }
+   */
+  resolveStrategy(query, requested = 'auto') {
+    const detected = this.detectQueryType(query);
+    let queryType = detected;
+
+    switch (requested) {
+      case 'simple':
+        if (detected.isAnalytical) {
+          queryType = { type: 'simple', isAnalytical: false, pattern: 'simple', confidence: 1, searchStrategy: 'standard', responseStyle: 'direct' };
+        }
+        break;
+
+      case 'analytical':
+        if (!detected.isAnalytical || ['comparison', 'differentiation'].includes(detected.type)) {
+          queryType = { type: 'analysis', isAnalytical: true, pattern: 'analysis', confidence: 1, searchStrategy: 'comprehensive', responseStyle: 'analytical' };
+        }
+        break;
+
+      case 'comparison':
+        if (detected.type !== 'comparison') {
+          queryType = { type: 'comparison', isAnalytical: true, pattern: 'comparison', entities: [], confidence: 1, searchStrategy: 'cross-document', responseStyle: 'comparative' };
+        }
+        break;
+
+      case 'differentiation':
+        if (detected.type !== 'differentiation') {
+          queryType = { type: 'differentiation', isAnalytical: true, pattern: 'differentiation', confidence: 1, searchStrategy: 'cross-document', responseStyle: 'contrastive' };
+        }
+        break;
+
+      default:
+        requested = 'auto';
+    }
+
+    let name;
+    if (queryType.type === 'comparison' || queryType.type === 'differentiation') {
+      name = queryType.type;
+    } else {
+      name = queryType.isAnalytical ? 'analytical' : 'simple';
+    }
+
+    return {
+      name,
+      requested,
+      queryType,
+      searchParams: this.getSearchParameters(queryType)
+    };
+  }
+
+  /**
+   * Run the document search for a resolved strategy
+   * @param {string} userPineconeId - User's Pinecone namespace
+   * @param {string} query - User query
+   * @param {Object} strategy - Result of resolveStrategy
+   * @param {Object} retrieval - Retrieval mode and fusion weights
+   * @param {Object} filter - Metadata filter restricting the search to the chat's scope
+   * @returns {Object} Search results
+   */
+  async searchWithStrategy(userPineconeId, query, strategy, retrieval = {}, filter = {}) {
+    const { queryType, searchParams } = strategy;
+
+    switch (strategy.name) {
+      case 'comparison':
+        // Entity-pair search needs two named entities; otherwise compare across documents broadly
+        if (queryType.entities && queryType.entities.length >= 2) {
+          return advancedDocumentService.searchForComparison(userPineconeId, query, queryType.entities, {
+            minDocuments: 2,
+            maxDocuments: searchParams.limit,
+            chunksPerDocument: searchParams.chunksPerDoc,
+            includeContext: true,
+            diversityBoost: true,
+            retrieval: retrieval,
+            filter: filter
           });
         }
+        return advancedDocumentService.searchForAnalysis(userPineconeId, query, {
+          minDocuments: 2,
+          maxDocuments: searchParams.limit,
+          chunksPerDocument: searchParams.chunksPerDoc,
+          includeContext: true,
+          retrieval: retrieval,
+          filter: filter
+        });
+
+      case 'differentiation':
+        return advancedDocumentService.searchForDifferentiation(userPineconeId, query, {
+          minDocuments: 2,
+          maxDocuments: searchParams.limit,
+          chunksPerDocument: searchParams.chunksPerDoc,
+          includeContext: true,
+          contrastiveSearch: true,
+          retrieval: retrieval,
+          filter: filter
+        });
+
+      case 'analytical':
+        return advancedDocumentService.searchForAnalysis(userPineconeId, query, {
+          minDocuments: 1,
+          maxDocuments: searchParams.limit,
+          chunksPerDocument: searchParams.chunksPerDoc,
+          includeContext: true,
+          retrieval: retrieval,
+          filter: filter
+        });
+
+      default:
+        return advancedDocumentService.searchDocuments(userPineconeId, query, searchParams.limit, {
+          isAnalytical: queryType.isAnalytical,
+          includeContext: true,
+          queryType: queryType.type,
+          searchStrategy: queryType.searchStrategy,
+          retrieval: retrieval,
+          filter: filter,
+          ...searchParams
+        });
+    }
+  }
+
+  /**
+   * Strategy details recorded on the assistant message
+   * @param {Object} strategy - Result of resolveStrategy
+   * @param {Object} searchResults - Search results
+   * @returns {Object} { name, params }
+   */
+  describeStrategy(strategy, searchResults) {
+    const { queryType, searchParams } = strategy;
+
+    return {
+      name: strategy.name,
+      params: {
+        requested: strategy.requested,
+        queryType: queryType.type,
+        confidence: queryType.confidence,
+        entities: queryType.entities && queryType.entities.length > 0 ? queryType.entities : undefined,
+        limit: searchParams.limit,
+        chunksPerDoc: searchParams.chunksPerDoc,
+        minRelevanceScore: searchParams.minRelevanceScore,
+        retrievalMode: searchResults?.retrievalMode
       }
+    };
+  }
 
-      // Handle case where no relevant documents are found
-      if (totalChunks === 0) {
-        const noDocsResponse = this.handleNoDocumentsFound(query, queryType, userPineconeId);
-        return noDocsResponse;
+  /**
+   * Retrieve, rerank and assemble the document context and completion request for a query
+   * @param {string} userPineconeId - User's Pinecone namespace
+   * @param {string} query - User query
+   * @param {Array} conversationHistory - Previous messages
+   * @param {Object} options - { retrieval, strategy, scope, answerProfile, versionComparison } as for chatWithDocuments
+   * @returns {Object} Context, or `{ earlyResponse }` when no completion should be generated
+   */
+  async prepareDocumentContext(userPineconeId, query, conversationHistory = [], options = {}) {
+    const { retrieval = {} } = options;
+    const scope = options.scope || {};
+    const answerProfile = answerProfileService.get(options.answerProfile);
+
+    // Follow-ups such as "and its penalties?" are searched as standalone queries
+    const queryRewrite = await queryRewriteService.rewrite(query, conversationHistory);
+    const searchQuery = queryRewrite.rewritten;
+
+    if (options.versionComparison) {
+      return this.prepareVersionComparisonContext(query, conversationHistory, options.versionComparison, queryRewrite, answerProfile);
+    }
+
+    const strategy = this.resolveStrategy(searchQuery, options.strategy);
+    const { queryType } = strategy;
+    
+    console.log(`🔍 Query classified as: ${queryType.type} (confidence: ${Math.round(queryType.confidence * 100)}%)`);
+    console.log(`📊 Strategy: ${strategy.name} (requested: ${strategy.requested}), Response style: ${queryType.responseStyle}`);
+
+    // Step 1: Search for relevant documents with the strategy's parameters
+    console.log(`🔍 Searching documents for ${queryType.type} query: "${searchQuery}"`);
+    
+    // A scope that matches no documents would otherwise fall back to searching everything
+    let searchResults = scope.documentCount === 0
+      ? { matches: [], totalChunks: 0, retrievalMode: retrieval.mode }
+      : null;
+
+    // "What did legal say in March" searches the messages from that sender and month first
+    const emailFilter = buildEmailFilter(searchQuery);
+    if (!searchResults && emailFilter) {
+      searchResults = await this.searchWithStrategy(userPineconeId, searchQuery, strategy, retrieval, combineFilters(scope.filter, emailFilter));
+      if (!searchResults.matches || searchResults.matches.length === 0) {
+        console.log('📧 No messages match the sender or date in the query, searching all documents in scope');
+        searchResults = null;
       }
+    }
+    if (!searchResults) {
+      searchResults = await this.searchWithStrategy(userPineconeId, searchQuery, strategy, retrieval, scope.filter);
+    }
+    const strategyRecord = this.describeStrategy(strategy, searchResults);
+
+    // Step 2: Build context from search results with enhanced chunk selection for analysis
+    let contextBlocks = [];
+    let totalChunks = 0;
+
+    if (searchResults.matches && searchResults.matches.length > 0) {
+      searchResults.matches.forEach(docResult => {
+        // Use all chunks returned by the enhanced search (already optimally selected)
+        docResult.chunks.forEach(chunk => {
+          contextBlocks.push({
+            source: docResult.fileName,
+            chunkIndex: chunk.chunkIndex,
+            score: chunk.score,
+            text: chunk.fullText || chunk.text,
+            fileType: docResult.fileType,
+            relevanceRank: chunk.relevanceRank || 0,
+            metadata: {
+              date: docResult.uploadDate,
+              fileSize: docResult.fileSize,
+              pageNumber: chunk.pageNumber,
+              pageEnd: chunk.pageEnd,
+              sheetName: chunk.sheetName,
+              rowStart: chunk.rowStart,
+              rowEnd: chunk.rowEnd,
+              slideNumber: chunk.slideNumber,
+              lineStart: chunk.lineStart,
+              lineEnd: chunk.lineEnd,
+              sender: chunk.sender,
+              sentAt: chunk.sentAt,
+              subject: chunk.subject,
+              chapterNumber: chunk.chapterNumber,
+              chapter: chunk.chapter,
+              section: chunk.section
+            }
+          });
+          totalChunks++;
+        });
+      });
 
-      // Handle case where document context is insufficient
-      if (totalChunks > 0 && totalChunks < this.getMinimumChunksForQuery(queryType)) {
-        const insufficientContextResponse = this.handleInsufficientContext(
-          query, 
-          queryType, 
-          totalChunks, 
-          contextBlocks
-        );
-        return insufficientContextResponse;
+      // Log analysis metadata if available
+      if (searchResults.analysisMetadata) {
+        console.log(`📊 Analysis metadata:`, {
+          documentsFound: searchResults.analysisMetadata.documentsFound,
+          totalChunks: searchResults.analysisMetadata.totalChunksAnalyzed,
+          avgRelevance: Math.round(searchResults.analysisMetadata.averageRelevanceScore * 100),
+          diversity: Math.round(searchResults.analysisMetadata.documentDiversity * 100)
+        });
       }
+    }
+
+    // Rescore the top candidates with the cross-encoder before the context is built
+    const rerankResult = await rerankerService.rerank(searchQuery, contextBlocks);
+    contextBlocks = rerankResult.results;
+
+    // Handle case where no relevant documents are found
+    if (totalChunks === 0) {
+      const noDocsResponse = this.handleNoDocumentsFound(query, queryType, userPineconeId, answerProfile);
+      return {
+        earlyResponse: { ...noDocsResponse, strategy: strategyRecord, queryRewrite, answerProfile: answerProfile.name },
+        contextBlocks,
+        strategy: strategyRecord,
+        queryRewrite,
+        answerProfile
+      };
+    }
 
-      // Step 3: Create enhanced system prompt with query type context
-      const systemPrompt = this.createEnhancedSystemPrompt(contextBlocks, queryType);
+    // Handle case where document context is insufficient
+    if (totalChunks > 0 && totalChunks < this.getMinimumChunksForQuery(queryType)) {
+      const insufficientContextResponse = this.handleInsufficientContext(
+        query, 
+        queryType, 
+        totalChunks, 
+        contextBlocks,
+        answerProfile
+      );
+      return {
+        earlyResponse: { ...insufficientContextResponse, strategy: strategyRecord, queryRewrite, answerProfile: answerProfile.name },
+        contextBlocks,
+        strategy: strategyRecord,
+        queryRewrite,
+        answerProfile
+      };
+    }
 
-      // Step 4: Build conversation messages
-      const messages = [
-        { role: 'system', content: systemPrompt },
-        ...conversationHistory,
-        { role: 'user', content: query }
-      ];
+    // Step 3: Create enhanced system prompt with query type context, in the answer profile's layout
+    const systemPrompt = this.createEnhancedSystemPrompt(contextBlocks, queryType, answerProfile);
 
-      // Step 5: Get response from OpenAI with parameters optimized for query type
-      console.log(`🤖 Generating ${queryType.type} response with ${totalChunks} document chunks`);
-      const completion = await this.openai.chat.completions.create({
-        model: 'gpt-3.5-turbo',
+    // Step 4: Build conversation messages
+    const messages = [
+      { role: 'system', content: systemPrompt },
+      ...conversationHistory,
+      { role: 'user', content: query }
+    ];
+
+    return {
+      queryType,
+      searchResults,
+      contextBlocks,
+      totalChunks,
+      rerankResult,
+      strategy: strategyRecord,
+      queryRewrite,
+      answerProfile,
+      completionRequest: {
         messages: messages,
         temperature: queryType.isAnalytical ? 0.2 : 0.3,
         max_tokens: queryType.isAnalytical ? 2000 : 1500,
         presence_penalty: 0.1,
         frequency_penalty: 0.1
-      });
+      }
+    };
+  }
 
-      const rawResponse = completion.choices[0].message.content;
+  /**
+   * Context for comparing two versions of a document: the text that differs between them
+   * instead of search results
+   * @param {string} query - User query
+   * @param {Array} conversationHistory - Previous messages
+   * @param {Object} comparison - Result of documentVersionService.resolveComparison
+   * @param {Object} queryRewrite - Result of queryRewriteService.rewrite
+   * @param {Object} answerProfile - Answer profile the response must follow
+   * @returns {Object} Context as returned by prepareDocumentContext
+   */
+  prepareVersionComparisonContext(query, conversationHistory, comparison, queryRewrite, answerProfile) {
+    const { documentName, from, to, contextBlocks } = comparison;
+    const entities = [`version ${from.version}`, `version ${to.version}`];
+    const queryType = { type: 'comparison', isAnalytical: true, pattern: 'version-comparison', entities, confidence: 1, searchStrategy: 'version-diff', responseStyle: 'comparative' };
 
-      // Validate AI response
-      if (!rawResponse || rawResponse.trim().length === 0) {
-        throw new Error('AI service returned empty response');
+    console.log(`🔀 Comparing versions ${from.version} and ${to.version} of ${documentName} (${contextBlocks.length} changed chunks)`);
+
+    const systemPrompt = `${this.createEnhancedSystemPrompt(contextBlocks, queryType, answerProfile)}
+- The context holds only the text that differs between version ${from.version} and version ${to.version} of ${documentName}; describe what was removed, added or reworded`;
+
+    return {
+      queryType,
+      searchResults: {
+        matches: [],
+        totalChunks: contextBlocks.length,
+        searchStrategy: 'version-comparison',
+        comparisonMetadata: { documentName, fromVersion: from.version, toVersion: to.version, fromDocumentId: from.id, toDocumentId: to.id }
+      },
+      contextBlocks,
+      totalChunks: contextBlocks.length,
+      rerankResult: { results: contextBlocks, reranked: false },
+      strategy: {
+        name: 'comparison',
+        params: { requested: 'auto', queryType: 'comparison', confidence: 1, entities, documentName }
+      },
+      queryRewrite,
+      answerProfile,
+      completionRequest: {
+        messages: [
+          { role: 'system', content: systemPrompt },
+          ...conversationHistory,
+          { role: 'user', content: query }
+        ],
+        temperature: 0.2,
+        max_tokens: 2000,
+        presence_penalty: 0.1,
+        frequency_penalty: 0.1
       }
+    };
+  }
 
-      // Step 6: Format response using ResponseFormatter with enhanced validation
-      let formattedResponse;
-      let validationResult;
+  /**
+   * Format a completed answer and assemble the chat result
+   * @param {string} rawResponse - Completion text
+   * @param {Object} context - Result of prepareDocumentContext
+   * @param {Object} usage - Token usage reported by the LLM provider
+   * @returns {Object} Structured chat result
+   */
+  buildChatResult(rawResponse, context, usage) {
+    const { queryType, searchResults, contextBlocks, totalChunks, rerankResult, strategy, queryRewrite, answerProfile } = context;
+
+    // Step 6: Format response using ResponseFormatter with enhanced validation
+    let formattedResponse;
+    let validationResult;
+    
+    try {
+      formattedResponse = responseFormatter.formatResponse(rawResponse, contextBlocks, answerProfile);
+      
+      // Perform comprehensive validation
+      validationResult = responseFormatter.validateResponseStructure(formattedResponse, { strict: true, profile: answerProfile });
       
-      try {
-        formattedResponse = responseFormatter.formatLegalResponse(rawResponse, contextBlocks);
+      if (!validationResult.isValid) {
+        console.warn(`⚠️ Response validation failed (Grade: ${validationResult.grade}, Score: ${validationResult.score}/${validationResult.maxScore})`);
+        console.warn('Validation issues:', validationResult.issues);
         
-        // Perform comprehensive validation
-        validationResult = responseFormatter.validateResponseStructure(formattedResponse, { strict: true });
+        // Attempt auto-fix for common issues
+        const fixedResponse = responseFormatter.autoFixValidationIssues(formattedResponse, validationResult, answerProfile);
         
-        if (!validationResult.isValid) {
-          console.warn(`⚠️ Response validation failed (Grade: ${validationResult.grade}, Score: ${validationResult.score}/${validationResult.maxScore})`);
-          console.warn('Validation issues:', validationResult.issues);
-          
-          // Attempt auto-fix for common issues
-          const fixedResponse = responseFormatter.autoFixValidationIssues(formattedResponse, validationResult);
-          
-          if (fixedResponse !== formattedResponse) {
-            formattedResponse = fixedResponse;
-            console.log('🔧 Applied automatic fixes to response');
-            
-            // Re-validate after fixes
-            validationResult = responseFormatter.validateResponseStructure(formattedResponse, { strict: true });
-          }
+        if (fixedResponse !== formattedResponse) {
+          formattedResponse = fixedResponse;
+          console.log('🔧 Applied automatic fixes to response');
           
-          // If still invalid, attempt to rebuild the response
-          if (!validationResult.isValid && validationResult.score < 60) {
-            console.log('🔄 Rebuilding malformed response due to low validation score');
-            formattedResponse = this.rebuildMalformedResponse(rawResponse, contextBlocks, validationResult);
-            validationResult = responseFormatter.validateResponseStructure(formattedResponse, { strict: true });
-          }
-        } else {
-          console.log(`✅ Response validation passed (Grade: ${validationResult.grade}, Score: ${validationResult.score}/${validationResult.maxScore})`);
+          // Re-validate after fixes
+          validationResult = responseFormatter.validateResponseStructure(formattedResponse, { strict: true, profile: answerProfile });
         }
         
-      } catch (formatError) {
-        console.error('❌ Response formatting failed:', formatError);
-        // Create a fallback formatted response
-        formattedResponse = this.createFallbackFormattedResponse(rawResponse, contextBlocks);
-        validationResult = { isValid: false, grade: 'F', score: 0, issues: ['Formatting failed, using fallback'] };
+        // If still invalid, attempt to rebuild the response
+        if (!validationResult.isValid && validationResult.score < 60) {
+          console.log('🔄 Rebuilding malformed response due to low validation score');
+          formattedResponse = this.rebuildMalformedResponse(rawResponse, contextBlocks, validationResult, answerProfile);
+          validationResult = responseFormatter.validateResponseStructure(formattedResponse, { strict: true, profile: answerProfile });
+        }
+      } else {
+        console.log(`✅ Response validation passed (Grade: ${validationResult.grade}, Score: ${validationResult.score}/${validationResult.maxScore})`);
       }
+      
+    } catch (formatError) {
+      console.error('❌ Response formatting failed:', formatError);
+      // Create a fallback formatted response
+      formattedResponse = this.createFallbackFormattedResponse(rawResponse, contextBlocks, answerProfile);
+      validationResult = { isValid: false, grade: 'F', score: 0, issues: ['Formatting failed, using fallback'] };
+    }
 
-      // Step 7: Return structured response with enhanced source information
-      return {
-        response: formattedResponse,
-        sources: responseFormatter.extractSourceInformation(contextBlocks),
-        totalSources: totalChunks,
-        hasContext: totalChunks > 0,
-        queryType: queryType.type,
-        queryClassification: {
-          type: queryType.type,
-          confidence: queryType.confidence,
-          isAnalytical: queryType.isAnalytical,
-          searchStrategy: queryType.searchStrategy,
-          responseStyle: queryType.responseStyle,
-          pattern: queryType.pattern
-        },
-        crossDocumentAnalysis: queryType.isAnalytical,
-        searchStrategy: searchResults.searchStrategy || 'standard',
-        analysisMetadata: searchResults.analysisMetadata || null,
-        comparisonMetadata: searchResults.comparisonMetadata || null,
-        differentiationMetadata: searchResults.differentiationMetadata || null,
-        validation: {
-          isValid: validationResult.isValid,
-          grade: validationResult.grade,
-          score: validationResult.score,
-          maxScore: validationResult.maxScore,
-          issueCount: validationResult.issues.length
-        },
-        usage: {
-          promptTokens: completion.usage?.prompt_tokens || 0,
-          completionTokens: completion.usage?.completion_tokens || 0,
-          totalTokens: completion.usage?.total_tokens || 0
-        }
-      };
+    // Step 7: Return structured response with enhanced source information
+    return {
+      response: formattedResponse,
+      sources: responseFormatter.extractSourceInformation(contextBlocks),
+      citations: responseFormatter.formatCitations(contextBlocks),
+      totalSources: totalChunks,
+      hasContext: totalChunks > 0,
+      queryType: queryType.type,
+      queryClassification: {
+        type: queryType.type,
+        confidence: queryType.confidence,
+        isAnalytical: queryType.isAnalytical,
+        searchStrategy: queryType.searchStrategy,
+        responseStyle: queryType.responseStyle,
+        pattern: queryType.pattern
+      },
+      crossDocumentAnalysis: queryType.isAnalytical,
+      strategy: strategy,
+      queryRewrite: queryRewrite,
+      answerProfile: answerProfile.name,
+      searchStrategy: searchResults.searchStrategy || 'standard',
+      retrievalMode: searchResults.retrievalMode,
+      reranked: rerankResult.reranked,
+      analysisMetadata: searchResults.analysisMetadata || null,
+      comparisonMetadata: searchResults.comparisonMetadata || null,
+      differentiationMetadata: searchResults.differentiationMetadata || null,
+      validation: {
+        isValid: validationResult.isValid,
+        grade: validationResult.grade,
+        score: validationResult.score,
+        maxScore: validationResult.maxScore,
+        issueCount: validationResult.issues.length
+      },
+      usage: {
+        promptTokens: usage?.prompt_tokens || 0,
+        completionTokens: usage?.completion_tokens || 0,
+        totalTokens: usage?.total_tokens || 0
+      }
+    };
+  }
+
+  /**
+   * Check the formatted answer against its context blocks and record unsupported claims.
+   * Verification never fails the answer; on error `grounding` is null.
+   * @param {Object} result - Result of buildChatResult
+   * @param {Object} context - Result of prepareDocumentContext
+   * @returns {Promise<Object>} The result with `grounding`
+   */
+  async attachGrounding(result, context) {
+    result.grounding = await this.verifyGrounding(result.response, context);
+    return result;
+  }
 
+  /**
+   * Check a formatted answer against its context blocks
+   * @param {string} response - Formatted answer
+   * @param {Object} context - Result of prepareDocumentContext
+   * @returns {Promise<Object|null>} Grounding result, or null when disabled or on error
+   */
+  async verifyGrounding(response, context) {
+    try {
+      const grounding = await groundingService.verify(response, context.contextBlocks, context.answerProfile);
+      if (grounding?.unsupported > 0) {
+        console.warn(`⚠️ ${grounding.unsupported} of ${grounding.checked} claims not supported by the retrieved context`);
+      }
+      return grounding;
     } catch (error) {
-      console.error('❌ Chat service error:', error);
-      
-      // Enhanced error handling with professional formatting
-      return this.handleChatError(error, query, userPineconeId);
+      console.error('❌ Grounding verification failed:', error.message);
+      return null;
     }
   }
 
+  /**
+   * Assemble the result for an answer that was cut short; the partial text is kept unformatted
+   * @param {string} partialResponse - Text generated before the interruption
+   * @param {Object} context - Result of prepareDocumentContext
+   * @param {string} error - Error that ended the stream, if any
+   * @returns {Object} Structured chat result marked as interrupted
+   */
+  buildInterruptedResult(partialResponse, context, error = null) {
+    const { queryType, searchResults, contextBlocks, totalChunks, strategy, queryRewrite, answerProfile } = context;
+
+    return {
+      response: partialResponse,
+      sources: responseFormatter.extractSourceInformation(contextBlocks),
+      citations: responseFormatter.formatCitations(contextBlocks),
+      totalSources: totalChunks,
+      hasContext: totalChunks > 0,
+      queryType: queryType.type,
+      strategy: strategy,
+      queryRewrite: queryRewrite,
+      answerProfile: answerProfile.name,
+      searchStrategy: searchResults.searchStrategy || 'standard',
+      retrievalMode: searchResults.retrievalMode,
+      interrupted: true,
+      error: error
+    };
+  }
+
   /**
    * Enhanced query classification for different response types
    * @param {string} query - User query
@@ -498,10 +957,11 @@ class ChatService {
    * Create enhanced system prompt with query type awareness
    * @param {Array} contextBlocks - Document chunks
    * @param {Object} queryType - Query type information
+   * @param {Object} answerProfile - Answer profile the response must follow
    * @returns {string} Enhanced system prompt
    */
-  createEnhancedSystemPrompt(contextBlocks, queryType) {
-    const basePrompt = this.createSystemPrompt(contextBlocks);
+  createEnhancedSystemPrompt(contextBlocks, queryType, answerProfile) {
+    const basePrompt = this.createSystemPrompt(contextBlocks, answerProfile);
     
     if (!queryType.isAnalytical) {
       return basePrompt;
@@ -583,63 +1043,34 @@ SPECIAL INSTRUCTIONS FOR ${queryType.type.toUpperCase()} QUERIES:
   /**
    * Create enhanced system prompt template for document-only responses
    * @param {Array} contextBlocks - Document chunks
+   * @param {Object} answerProfile - Answer profile the response must follow
    * @returns {string} Enhanced system prompt
    */
-  createSystemPrompt(contextBlocks) {
+  createSystemPrompt(contextBlocks, answerProfile) {
     if (contextBlocks.length === 0) {
-      return this.createNoDocumentsPrompt();
+      return this.createNoDocumentsPrompt(answerProfile);
     }
 
     const contextText = this.buildContextText(contextBlocks);
     const documentSummary = this.createDocumentSummary(contextBlocks);
     
-    return `${this.getBaseSystemPrompt()}
+    return `${this.getBaseSystemPrompt(answerProfile)}
 
 ${documentSummary}
 
 DOCUMENT CONTEXT:
 ${contextText}
 
-${this.getResponseInstructions()}`;
+${this.getResponseInstructions(answerProfile)}`;
   }
 
   /**
-   * Get base system prompt template
+   * Get base system prompt template: role, constraints, section layout and rules of the answer profile
+   * @param {Object} answerProfile - Answer profile the response must follow
    * @returns {string} Base system prompt
    */
-  getBaseSystemPrompt() {
-    return `You are a precise legal research assistant designed to help users find authoritative information from their uploaded documents.
-
-CRITICAL CONSTRAINTS:
-- Use ONLY the provided document context to answer
-- NEVER use information from your training data or external knowledge
-- If the documents don't contain the answer, clearly state this limitation
-- For comparisons and analysis, use ONLY information from the provided documents
-- Support cross-document analysis, comparisons, and differentiation using document data
-
-RESPONSE FORMAT REQUIREMENTS:
-For every response, follow this format strictly:
-
-RELEVANT LEGAL PROVISIONS:
-- [Document Title] | Chunk [X] | [Date if available]
-Excerpt: "[Exact quoted text from the document chunk]"
-
-LEGAL SUMMARY:
-Provide a concise 3-5 sentence explanation strictly based on the retrieved document chunks. For comparisons, highlight differences and similarities found in the documents. For analysis, synthesize information across multiple document chunks.
-
-CITATIONS & SOURCES:
-- Resource: [filename] | Chunk [X] | [Date or "Date not available"]
-
-MANDATORY RULES:
-- Quote documents exactly with quotation marks
-- Mention date/version when available in document metadata
-- Do NOT add interpretations beyond what's in the documents
-- If date not found, explicitly say "Date not available"
-- For cross-document analysis, clearly reference which documents support each point
-- If documents conflict, present both perspectives with their sources
-- If insufficient information exists in documents, state this clearly
-
-⚖️ Legal Disclaimer: This information is for research purposes only. I am not a licensed attorney, and this does not constitute legal advice.`;
+  getBaseSystemPrompt(answerProfile) {
+    return answerProfileService.buildFormatPrompt(answerProfile);
   }
 
   /**
@@ -702,20 +1133,25 @@ MANDATORY RULES:
    */
   buildContextText(contextBlocks) {
     return contextBlocks.map((block, index) => {
-      const relevancePercent = Math.round(block.score * 100);
-      const date = block.metadata?.date || 'Date not available';
+      // Prefer the cross-encoder score when the chunk was reranked
+      const relevancePercent = Math.round((block.rerankScore ?? block.score) * 100);
+      const date = responseFormatter.extractDate(block);
+      const reference = responseFormatter.formatLocationReference(block.metadata);
+      const location = reference ? `Chunk ${block.chunkIndex}, ${reference}` : `Chunk ${block.chunkIndex}`;
+      const section = block.metadata?.section ? `Section: ${block.metadata.section}\n` : '';
       
-      return `[Document ${index + 1}: ${block.source} (${block.fileType}) - Chunk ${block.chunkIndex} - Relevance: ${relevancePercent}% - ${date}]
-${block.text}
+      return `[Document ${index + 1}: ${block.source} (${block.fileType}) - ${location} - Relevance: ${relevancePercent}% - ${date}]
+${section}${block.text}
 ---`;
     }).join('\n');
   }
 
   /**
    * Get response instructions template
+   * @param {Object} answerProfile - Answer profile the response must follow
    * @returns {string} Response instructions
    */
-  getResponseInstructions() {
+  getResponseInstructions(answerProfile) {
     return `RESPONSE INSTRUCTIONS:
 Remember: You are strictly limited to the information in the provided document chunks. Your role is to analyze, compare, and synthesize information from these documents while maintaining complete transparency about sources.
 
@@ -723,31 +1159,30 @@ When analyzing multiple documents:
 1. Clearly identify which document supports each point
 2. Highlight agreements and disagreements between sources
 3. Use exact quotes with proper attribution
-4. Maintain professional legal research assistant tone
+4. Maintain ${answerProfileService.get(answerProfile).tone}
 5. Structure responses for maximum clarity and usefulness`;
   }
 
   /**
    * Create prompt for when no documents are found
+   * @param {Object} answerProfile - Answer profile the response must follow
    * @returns {string} No documents prompt
    */
-  createNoDocumentsPrompt() {
-    return `You are a precise legal research assistant designed to help users find authoritative information from their uploaded documents.
+  createNoDocumentsPrompt(answerProfile) {
+    const profile = answerProfileService.get(answerProfile);
+    const noDocumentsResponse = responseFormatter.formatErrorResponse(
+      'No relevant documents found in your uploaded files for this query.',
+      'I recommend uploading relevant documents (PDF, DOCX, HTML, TXT) or trying different search terms related to your question. I can only provide information based on your uploaded documents.',
+      profile
+    );
+
+    return `${profile.role}
 
 CRITICAL: You can ONLY use information from uploaded documents. You cannot provide information from your training data or external knowledge.
 
 Since no relevant documents were found in your uploaded files for this query:
 
-RELEVANT LEGAL PROVISIONS:
-No relevant documents found in your uploaded files for this query.
-
-LEGAL SUMMARY:
-I recommend uploading relevant documents (PDF, DOCX, HTML, TXT) or trying different search terms related to your question. I can only provide information based on your uploaded documents.
-
-CITATIONS & SOURCES:
-No sources available
-
-⚖️ Legal Disclaimer: This information is for research purposes only. I am not a licensed attorney, and this does not constitute legal advice.`;
+${noDocumentsResponse}`;
   }
 
   async generateTitle(query, response) {
@@ -756,23 +1191,7 @@ No sources available
     }
 
     try {
-      const completion = await this.openai.chat.completions.create({
-        model: 'gpt-3.5-turbo',
-        messages: [
-          {
-            role: 'system',
-            content: 'Generate a short, descriptive title (max 6 words) for this conversation based on the user query and response. Return only the title, no quotes or extra text.'
-          },
-          {
-            role: 'user',
-            content: `Query: ${query}\n\nResponse: ${response.substring(0, 200)}...`
-          }
-        ],
-        temperature: 0.3,
-        max_tokens: 20
-      });
-
-      return completion.choices[0].message.content.trim();
+      return await llmProvider.generateTitle(query, response);
     } catch (error) {
       console.error('Title generation failed:', error);
       return this.generateSimpleTitle(query);
@@ -790,9 +1209,11 @@ No sources available
    * @param {Error} error - Error object
    * @param {string} query - Original user query
    * @param {string} userPineconeId - User's Pinecone ID
+   * @param {string|Object} answerProfile - Answer profile the response must follow
    * @returns {Object} Formatted error response
    */
-  async handleChatError(error, query, userPineconeId) {
+  async handleChatError(error, query, userPineconeId, answerProfile) {
+    const profile = answerProfileService.get(answerProfile);
     const errorType = this.categorizeError(error);
     let errorMessage, suggestion, fallbackResponse;
 
@@ -800,57 +1221,58 @@ No sources available
       case 'ai_service':
         errorMessage = 'AI service is temporarily unavailable.';
         suggestion = 'Please try again in a few moments. If the issue persists, contact support.';
-        fallbackResponse = await this.createAIServiceFallback(query, userPineconeId);
+        fallbackResponse = await this.createAIServiceFallback(query, userPineconeId, profile);
         break;
 
       case 'document_search':
         errorMessage = 'Document search service encountered an issue.';
         suggestion = 'Your documents may still be processing. Please try again or upload additional relevant documents.';
-        fallbackResponse = await this.createDocumentSearchFallback(query, userPineconeId);
+        fallbackResponse = await this.createDocumentSearchFallback(query, userPineconeId, profile);
         break;
 
       case 'embedding_service':
         errorMessage = 'Document analysis service is temporarily unavailable.';
         suggestion = 'Please try again later or contact support if the issue continues.';
-        fallbackResponse = this.createEmbeddingServiceFallback(query);
+        fallbackResponse = this.createEmbeddingServiceFallback(query, profile);
         break;
 
       case 'timeout':
         errorMessage = 'Request timed out while processing your query.';
         suggestion = 'Please try a more specific question or break complex queries into smaller parts.';
-        fallbackResponse = this.createTimeoutFallback(query);
+        fallbackResponse = this.createTimeoutFallback(query, profile);
         break;
 
       case 'no_documents':
         errorMessage = 'No relevant documents found for your query.';
         suggestion = 'Try uploading relevant documents (PDF, DOCX, HTML, TXT) or using different search terms.';
-        fallbackResponse = this.createNoDocumentsFallback(query);
+        fallbackResponse = this.createNoDocumentsFallback(query, profile);
         break;
 
       case 'insufficient_context':
         errorMessage = 'Available documents do not contain sufficient information to answer your query.';
         suggestion = 'Consider uploading additional relevant documents or rephrasing your question to be more specific.';
-        fallbackResponse = this.createInsufficientContextFallback(query);
+        fallbackResponse = this.createInsufficientContextFallback(query, profile);
         break;
 
       case 'parsing_error':
         errorMessage = 'Some documents could not be processed properly.';
         suggestion = 'The system will continue with available document chunks. Consider re-uploading problematic documents.';
-        fallbackResponse = await this.createParsingErrorFallback(query, userPineconeId);
+        fallbackResponse = await this.createParsingErrorFallback(query, userPineconeId, profile);
         break;
 
       default:
         errorMessage = 'An unexpected error occurred while processing your request.';
         suggestion = 'Please try rephrasing your question or contact support if the problem persists.';
-        fallbackResponse = this.createGenericErrorFallback(query);
+        fallbackResponse = this.createGenericErrorFallback(query, profile);
         break;
     }
 
     // Use fallback response if available, otherwise use formatted error response
-    const finalResponse = fallbackResponse || responseFormatter.formatErrorResponse(errorMessage, suggestion);
+    const finalResponse = fallbackResponse || responseFormatter.formatErrorResponse(errorMessage, suggestion, profile);
 
     return {
       response: finalResponse,
+      answerProfile: profile.name,
       sources: [],
       totalSources: 0,
       hasContext: false,
@@ -864,9 +1286,10 @@ No sources available
    * Create fallback response when AI service fails but document search works
    * @param {string} query - User query
    * @param {string} userPineconeId - User's Pinecone ID
+   * @param {Object} profile - Answer profile
    * @returns {string|null} Fallback response or null
    */
-  async createAIServiceFallback(query, userPineconeId) {
+  async createAIServiceFallback(query, userPineconeId, profile) {
     try {
       // Attempt to search documents even if AI service is down
       const searchResults = await advancedDocumentService.searchDocuments(userPineconeId, query, 5);
@@ -884,7 +1307,20 @@ No sources available
               fileType: docResult.fileType,
               metadata: {
                 date: docResult.uploadDate,
-                fileSize: docResult.fileSize
+                fileSize: docResult.fileSize,
+                pageNumber: chunk.pageNumber,
+                pageEnd: chunk.pageEnd,
+                sheetName: chunk.sheetName,
+                rowStart: chunk.rowStart,
+                rowEnd: chunk.rowEnd,
+                slideNumber: chunk.slideNumber,
+                lineStart: chunk.lineStart,
+                lineEnd: chunk.lineEnd,
+                sender: chunk.sender,
+                sentAt: chunk.sentAt,
+                subject: chunk.subject,
+                chapterNumber: chunk.chapterNumber,
+                chapter: chunk.chapter
               }
             });
           });
@@ -892,17 +1328,18 @@ No sources available
 
         // Create a basic response using document chunks
         const provisions = contextBlocks.map(block => {
-          const date = block.metadata?.date || "Date not available";
+          const date = responseFormatter.extractDate(block);
           const excerpt = block.text.substring(0, 150) + (block.text.length > 150 ? '...' : '');
-          return `- ${block.source} | Chunk ${block.chunkIndex} | ${date}\nExcerpt: "${excerpt}"`;
+          return `- ${block.source} | ${responseFormatter.formatChunkReference(block)} | ${date}\nExcerpt: "${excerpt}"`;
         }).join('\n\n');
 
         const citations = responseFormatter.formatCitations(contextBlocks);
 
-        return responseFormatter.buildFormattedResponse(
+        return responseFormatter.buildExcerptResponse(
           provisions,
-          'AI service is temporarily unavailable, but relevant document excerpts are provided above. Please review the provisions and contact support if you need assistance interpreting this information.',
-          citations
+          'AI service is temporarily unavailable, but relevant document excerpts are included. Please review the provisions and contact support if you need assistance interpreting this information.',
+          citations,
+          profile
         );
       }
     } catch (fallbackError) {
@@ -916,9 +1353,10 @@ No sources available
    * Create fallback response when document search fails
    * @param {string} query - User query
    * @param {string} userPineconeId - User's Pinecone ID
+   * @param {Object} profile - Answer profile
    * @returns {string|null} Fallback response or null
    */
-  async createDocumentSearchFallback(query, userPineconeId) {
+  async createDocumentSearchFallback(query, userPineconeId, profile) {
     // For document search failures, we can't provide document-based fallback
     // Return a structured error response with helpful suggestions
     const suggestions = [
@@ -932,28 +1370,32 @@ No sources available
 
     return responseFormatter.formatErrorResponse(
       'Document search service is temporarily unavailable.',
-      `Please try the following:\n${suggestionText}`
+      `Please try the following:\n${suggestionText}`,
+      profile
     );
   }
 
   /**
    * Create fallback response for embedding service failures
    * @param {string} query - User query
+   * @param {Object} profile - Answer profile
    * @returns {string} Fallback response
    */
-  createEmbeddingServiceFallback(query) {
+  createEmbeddingServiceFallback(query, profile) {
     return responseFormatter.formatErrorResponse(
       'Document analysis service is temporarily unavailable.',
-      'The system cannot currently process your query against uploaded documents. Please try again later or contact support if the issue continues.'
+      'The system cannot currently process your query against uploaded documents. Please try again later or contact support if the issue continues.',
+      profile
     );
   }
 
   /**
    * Create fallback response for timeout errors
    * @param {string} query - User query
+   * @param {Object} profile - Answer profile
    * @returns {string} Fallback response
    */
-  createTimeoutFallback(query) {
+  createTimeoutFallback(query, profile) {
     const suggestions = [
       'Break complex questions into smaller, more specific parts',
       'Use more targeted keywords in your query',
@@ -965,16 +1407,18 @@ No sources available
 
     return responseFormatter.formatErrorResponse(
       'Request timed out while processing your query.',
-      `To improve response time, please try:\n${suggestionText}`
+      `To improve response time, please try:\n${suggestionText}`,
+      profile
     );
   }
 
   /**
    * Create fallback response when no documents are found
    * @param {string} query - User query
+   * @param {Object} profile - Answer profile
    * @returns {string} Fallback response
    */
-  createNoDocumentsFallback(query) {
+  createNoDocumentsFallback(query, profile) {
     const suggestions = [
       'Upload relevant documents (PDF, DOCX, HTML, TXT files)',
       'Try different search terms or keywords',
@@ -986,19 +1430,22 @@ No sources available
 
     return responseFormatter.formatErrorResponse(
       'No relevant documents found for your query.',
-      `To get better results:\n${suggestionText}`
+      `To get better results:\n${suggestionText}`,
+      profile
     );
   }
 
   /**
    * Create fallback response for insufficient context
    * @param {string} query - User query
+   * @param {Object} profile - Answer profile
    * @returns {string} Fallback response
    */
-  createInsufficientContextFallback(query) {
+  createInsufficientContextFallback(query, profile) {
     return responseFormatter.formatErrorResponse(
       'Available documents do not contain sufficient information to answer your query.',
-      'Consider uploading additional relevant documents or rephrasing your question to be more specific to the content in your uploaded files.'
+      'Consider uploading additional relevant documents or rephrasing your question to be more specific to the content in your uploaded files.',
+      profile
     );
   }
 
@@ -1006,9 +1453,10 @@ No sources available
    * Create fallback response when document parsing fails
    * @param {string} query - User query
    * @param {string} userPineconeId - User's Pinecone ID
+   * @param {Object} profile - Answer profile
    * @returns {string|null} Fallback response or null
    */
-  async createParsingErrorFallback(query, userPineconeId) {
+  async createParsingErrorFallback(query, userPineconeId, profile) {
     try {
       // Try to get any available document chunks despite parsing errors
       const searchResults = await advancedDocumentService.searchDocuments(userPineconeId, query, 3);
@@ -1026,7 +1474,20 @@ No sources available
               fileType: docResult.fileType,
               metadata: {
                 date: docResult.uploadDate,
-                fileSize: docResult.fileSize
+                fileSize: docResult.fileSize,
+                pageNumber: topChunk.pageNumber,
+                pageEnd: topChunk.pageEnd,
+                sheetName: topChunk.sheetName,
+                rowStart: topChunk.rowStart,
+                rowEnd: topChunk.rowEnd,
+                slideNumber: topChunk.slideNumber,
+                lineStart: topChunk.lineStart,
+                lineEnd: topChunk.lineEnd,
+                sender: topChunk.sender,
+                sentAt: topChunk.sentAt,
+                subject: topChunk.subject,
+                chapterNumber: topChunk.chapterNumber,
+                chapter: topChunk.chapter
               }
             });
           }
@@ -1034,17 +1495,18 @@ No sources available
 
         if (contextBlocks.length > 0) {
           const provisions = contextBlocks.map(block => {
-            const date = block.metadata?.date || "Date not available";
+            const date = responseFormatter.extractDate(block);
             const excerpt = block.text.substring(0, 150) + (block.text.length > 150 ? '...' : '');
-            return `- ${block.source} | Chunk ${block.chunkIndex} | ${date}\nExcerpt: "${excerpt}"`;
+            return `- ${block.source} | ${responseFormatter.formatChunkReference(block)} | ${date}\nExcerpt: "${excerpt}"`;
           }).join('\n\n');
 
           const citations = responseFormatter.formatCitations(contextBlocks);
 
-          return responseFormatter.buildFormattedResponse(
+          return responseFormatter.buildExcerptResponse(
             provisions,
-            'Some documents could not be processed properly, but available information is provided above. Consider re-uploading problematic documents for better results.',
-            citations
+            'Some documents could not be processed properly, but available information is included. Consider re-uploading problematic documents for better results.',
+            citations,
+            profile
           );
         }
       }
@@ -1058,12 +1520,14 @@ No sources available
   /**
    * Create generic fallback response for unknown errors
    * @param {string} query - User query
+   * @param {Object} profile - Answer profile
    * @returns {string} Fallback response
    */
-  createGenericErrorFallback(query) {
+  createGenericErrorFallback(query, profile) {
     return responseFormatter.formatErrorResponse(
       'An unexpected error occurred while processing your request.',
-      'Please try rephrasing your question, check your internet connection, or contact support if the problem persists.'
+      'Please try rephrasing your question, check your internet connection, or contact support if the problem persists.',
+      profile
     );
   }
 
@@ -1072,49 +1536,51 @@ No sources available
    * @param {string} rawResponse - Original AI response
    * @param {Array} contextBlocks - Document chunks
    * @param {Object} validation - Validation result
+   * @param {Object} answerProfile - Answer profile
    * @returns {string} Rebuilt response
    */
-  rebuildMalformedResponse(rawResponse, contextBlocks, validation) {
+  rebuildMalformedResponse(rawResponse, contextBlocks, validation, answerProfile) {
     console.log('Rebuilding malformed response, missing:', validation.missingElements);
     
     // Extract what we can from the raw response
     const provisions = validation.hasProvisions 
-      ? responseFormatter.extractProvisions(rawResponse, contextBlocks)
-      : responseFormatter.extractProvisions('', contextBlocks);
+      ? responseFormatter.extractProvisions(rawResponse, contextBlocks, answerProfile)
+      : responseFormatter.extractProvisions('', contextBlocks, answerProfile);
     
     const summary = validation.hasSummary 
-      ? responseFormatter.extractSummary(rawResponse)
-      : 'Based on the retrieved document chunks, please refer to the provisions above for detailed information.';
+      ? responseFormatter.extractSummary(rawResponse, answerProfile)
+      : 'Based on the retrieved document chunks, please refer to the cited documents for detailed information.';
     
     const citations = responseFormatter.formatCitations(contextBlocks);
     
-    return responseFormatter.buildFormattedResponse(provisions, summary, citations);
+    return responseFormatter.buildFormattedResponse(provisions, summary, citations, answerProfile);
   }
 
   /**
    * Create fallback formatted response when formatting completely fails
    * @param {string} rawResponse - Original AI response
    * @param {Array} contextBlocks - Document chunks
+   * @param {Object} answerProfile - Answer profile
    * @returns {string} Fallback formatted response
    */
-  createFallbackFormattedResponse(rawResponse, contextBlocks) {
+  createFallbackFormattedResponse(rawResponse, contextBlocks, answerProfile) {
     console.log('Creating fallback formatted response due to formatting failure');
     
     // Create basic provisions from context blocks
     const provisions = contextBlocks.map(block => {
-      const date = block.metadata?.date || "Date not available";
+      const date = responseFormatter.extractDate(block);
       const excerpt = block.text.substring(0, 150) + (block.text.length > 150 ? '...' : '');
-      return `- ${block.source} | Chunk ${block.chunkIndex} | ${date}\nExcerpt: "${excerpt}"`;
+      return `- ${block.source} | ${responseFormatter.formatChunkReference(block)} | ${date}\nExcerpt: "${excerpt}"`;
     }).join('\n\n');
 
     // Use raw response as summary if it exists, otherwise create basic summary
     const summary = rawResponse && rawResponse.trim().length > 0
       ? `AI response formatting encountered an issue. Raw response: ${rawResponse.substring(0, 300)}${rawResponse.length > 300 ? '...' : ''}`
-      : 'Response formatting failed. Please refer to the document excerpts above.';
+      : 'Response formatting failed. Please refer to the document excerpts.';
 
     const citations = responseFormatter.formatCitations(contextBlocks);
     
-    return responseFormatter.buildFormattedResponse(provisions, summary, citations);
+    return responseFormatter.buildExcerptResponse(provisions, summary, citations, answerProfile);
   }
 
   /**
@@ -1161,9 +1627,10 @@ No sources available
    * @param {string} query - User query
    * @param {Object} queryType - Query type information
    * @param {string} userPineconeId - User's Pinecone namespace
+   * @param {Object} answerProfile - Answer profile
    * @returns {Object} Structured no documents response
    */
-  handleNoDocumentsFound(query, queryType, userPineconeId) {
+  handleNoDocumentsFound(query, queryType, userPineconeId, answerProfile) {
     console.log(`📭 No documents found for ${queryType.type} query: "${query}"`);
     
     // Analyze query to provide specific suggestions
@@ -1174,7 +1641,8 @@ No sources available
       suggestions,
       queryType.isAnalytical 
         ? 'For analytical queries, I need multiple relevant documents to provide comprehensive comparisons and analysis.'
-        : 'I can only provide information based on your uploaded documents.'
+        : 'I can only provide information based on your uploaded documents.',
+      answerProfile
     );
 
     return {
@@ -1196,9 +1664,10 @@ No sources available
    * @param {Object} queryType - Query type information
    * @param {number} totalChunks - Number of chunks found
    * @param {Array} contextBlocks - Available context blocks
+   * @param {Object} answerProfile - Answer profile
    * @returns {Object} Structured insufficient context response
    */
-  handleInsufficientContext(query, queryType, totalChunks, contextBlocks) {
+  handleInsufficientContext(query, queryType, totalChunks, contextBlocks, answerProfile) {
     console.log(`📄 Insufficient context for ${queryType.type} query: ${totalChunks} chunks found, ${this.getMinimumChunksForQuery(queryType)} required`);
     
     // Analyze what's missing
@@ -1212,7 +1681,8 @@ No sources available
         'Try breaking down complex queries into simpler, more specific questions',
         'Use different keywords that might appear in your documents'
       ],
-      contextAnalysis.explanation
+      contextAnalysis.explanation,
+      answerProfile
     );
 
     return {
@@ -1341,4 +1811,4 @@ No sources available
   }
 }
 
-module.exports = new ChatService();
\ No newline at end of file
+module.exports = new ChatService();
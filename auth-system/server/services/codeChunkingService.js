@@ -0,0 +1,270 @@
+const path = require('path');
+const ConfigurationManager = require('./ConfigurationManager');
+
+// Control flow that looks like a call or method signature to the patterns below
+const KEYWORDS = '(?!(?:if|else|for|foreach|while|switch|catch|return|do|new|throw|await|yield|function)\\b)';
+const JAVA_MODIFIERS = '(?:(?:public|private|protected|internal|static|final|abstract|sealed|open|override|async|virtual|partial|data|inline|suspend|synchronized|readonly)\\s+)*';
+
+// Definitions that start a chunk unit; the first capture group is the name. `nested` marks
+// definitions that are named within the enclosing class (methods)
+const LANGUAGE_BOUNDARIES = {
+  javascript: [
+    { pattern: /^\s*(?:export\s+(?:default\s+)?)?(?:abstract\s+)?class\s+([A-Za-z_$][\w$]*)/, container: true },
+    { pattern: /^\s*(?:export\s+(?:default\s+)?)?(?:async\s+)?function\s*\*?\s*([A-Za-z_$][\w$]*)/ },
+    { pattern: /^\s*(?:export\s+)?(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*(?::[^=]+)?=\s*(?:async\s+)?(?:function\b|\([^)]*\)\s*(?::[^=]+)?=>|[A-Za-z_$][\w$]*\s*=>)/ },
+    { pattern: /^\s*(?:export\s+)?(?:declare\s+)?(?:interface|type|enum)\s+([A-Za-z_$][\w$]*)/ },
+    { pattern: new RegExp(`^\\s+(?:(?:public|private|protected|static|readonly|abstract|override|async|get|set)\\s+)*\\*?${KEYWORDS}([A-Za-z_$][\\w$]*)\\s*\\([^)]*\\)?\\s*(?::[^{]+)?\\{\\s*$`), nested: true }
+  ],
+  python: [
+    { pattern: /^\s*class\s+([A-Za-z_]\w*)/, container: true },
+    { pattern: /^(\s+)?(?:async\s+)?def\s+([A-Za-z_]\w*)/, nestedWhenIndented: true }
+  ],
+  java: [
+    { pattern: new RegExp(`^\\s*${JAVA_MODIFIERS}(?:class|interface|enum|record|struct|object|protocol|extension)\\s+([A-Za-z_]\\w*)`), container: true },
+    { pattern: new RegExp(`^\\s*${JAVA_MODIFIERS}(?:fun|func)\\s+(?:<[^>]*>\\s*)?(?:[A-Za-z_][\\w.]*\\.)?([A-Za-z_]\\w*)`), nested: true },
+    { pattern: new RegExp(`^\\s+${JAVA_MODIFIERS}(?:<[^>]*>\\s*)?${KEYWORDS}[A-Za-z_][\\w.<>,\\[\\]?\\s]*\\s+([A-Za-z_]\\w*)\\s*\\([^;]*$`), nested: true }
+  ],
+  go: [
+    { pattern: /^func\s+(?:\([^)]*\)\s*)?([A-Za-z_]\w*)/ },
+    { pattern: /^type\s+([A-Za-z_]\w*)/ }
+  ],
+  ruby: [
+    { pattern: /^\s*(?:class|module)\s+([A-Z][\w:]*)/, container: true },
+    { pattern: /^(\s+)?def\s+(?:self\.)?([A-Za-z_]\w*[?!=]?)/, nestedWhenIndented: true }
+  ],
+  php: [
+    { pattern: /^\s*(?:(?:abstract|final)\s+)?(?:class|interface|trait|enum)\s+([A-Za-z_]\w*)/, container: true },
+    { pattern: /^(\s+)?(?:(?:public|private|protected|static|abstract|final)\s+)*function\s+&?([A-Za-z_]\w*)/, nestedWhenIndented: true }
+  ],
+  rust: [
+    { pattern: /^\s*(?:pub(?:\([^)]*\))?\s+)?impl(?:<[^>]*>)?\s+(?:[\w:<>]+\s+for\s+)?([A-Za-z_]\w*)/, container: true },
+    { pattern: /^\s*(?:pub(?:\([^)]*\))?\s+)?(?:struct|enum|trait|mod)\s+([A-Za-z_]\w*)/, container: true },
+    { pattern: /^(\s+)?(?:pub(?:\([^)]*\))?\s+)?(?:const\s+)?(?:async\s+)?(?:unsafe\s+)?fn\s+([A-Za-z_]\w*)/, nestedWhenIndented: true }
+  ],
+  c: [
+    { pattern: /^\s*(?:template\s*<[^>]*>\s*)?(?:class|struct|namespace)\s+([A-Za-z_]\w*)[^;]*$/, container: true },
+    { pattern: new RegExp(`^(\\s+)?${KEYWORDS}[A-Za-z_][\\w:<>,*&\\s]*?[\\s*&]${KEYWORDS}([A-Za-z_][\\w:~]*)\\s*\\([^;]*$`), nestedWhenIndented: true }
+  ],
+  shell: [
+    { pattern: /^\s*(?:function\s+([A-Za-z_][\w-]*)|([A-Za-z_][\w-]*)\s*\(\s*\))/ }
+  ],
+  sql: [
+    { pattern: /^\s*create\s+(?:or\s+replace\s+)?(?:temporary\s+|temp\s+|unique\s+|materialized\s+)*(?:table|view|index|function|procedure|trigger|type|schema|sequence)\s+(?:if\s+not\s+exists\s+)?([\w."`[\]]+)/i }
+  ]
+};
+
+const LANGUAGES_BY_EXTENSION = {
+  '.js': 'javascript', '.jsx': 'javascript', '.mjs': 'javascript', '.cjs': 'javascript', '.ts': 'javascript', '.tsx': 'javascript',
+  '.py': 'python',
+  '.java': 'java', '.kt': 'java', '.cs': 'java', '.swift': 'java',
+  '.go': 'go',
+  '.rb': 'ruby',
+  '.php': 'php',
+  '.rs': 'rust',
+  '.c': 'c', '.h': 'c', '.cpp': 'c', '.hpp': 'c',
+  '.sh': 'shell',
+  '.sql': 'sql'
+};
+
+// Comment, doc comment and decorator/attribute lines belong to the definition below them
+const PREAMBLE_PATTERN = /^\s*(\/\/|\/\*|\*|#(?!!|include|define|import)|--|@|\[[A-Za-z]|"""|''')/;
+
+/**
+ * Source code chunking for code documents.
+ *
+ * Source files are only ever read as text. Chunk units start at function, class and
+ * method definitions (found per language with line patterns, so no code is parsed or
+ * run), together with the comments and decorators directly above them. Units are
+ * packed into chunks up to the chunk size and every chunk records the lines it spans.
+ */
+class CodeChunkingService {
+  get config() {
+    return ConfigurationManager.getServiceConfig('codeDocuments');
+  }
+
+  /**
+   * File extensions accepted as code documents
+   * @returns {Array<string>} Lower-case extensions with a leading dot
+   */
+  getExtensions() {
+    return (this.config.extensions || []).map(extension => extension.toLowerCase());
+  }
+
+  /**
+   * Whether a file is a source file that can be ingested as a code document
+   * @param {string} filePath - File path or name
+   * @returns {boolean}
+   */
+  isSourceFile(filePath) {
+    return Boolean(filePath) && this.getExtensions().includes(path.extname(filePath).toLowerCase());
+  }
+
+  /**
+   * Language whose definition patterns a file is chunked with
+   * @param {string} filePath - File path or name
+   * @returns {string|null} Language key, null for languages without patterns
+   */
+  getLanguage(filePath) {
+    return LANGUAGES_BY_EXTENSION[path.extname(filePath || '').toLowerCase()] || null;
+  }
+
+  /**
+   * Chunk source code on definition boundaries
+   * @param {string} text - Source file content
+   * @param {Object} options - { filePath, maxChunkSize }; filePath selects the language
+   * @returns {Array<Object>} Chunks { text, lineStart, lineEnd, section }; section names the
+   *   definitions in the chunk (e.g. "Parser.parse"), null when there are none
+   */
+  chunkCode(text, { filePath = null, maxChunkSize = this.config.maxChunkSize || 1500 } = {}) {
+    const lines = text.replace(/\r\n?/g, '\n').split('\n');
+    const units = this.splitUnits(lines, LANGUAGE_BOUNDARIES[this.getLanguage(filePath)] || []);
+    const chunks = [];
+    let current = [];
+    let length = 0;
+
+    const flush = () => {
+      if (current.length > 0) {
+        chunks.push(this.createChunk(lines, current));
+      }
+      current = [];
+      length = 0;
+    };
+
+    units.flatMap(unit => this.limitUnit(lines, unit, maxChunkSize)).forEach(unit => {
+      const unitLength = this.getLength(lines, unit.start, unit.end);
+      if (length > 0 && length + unitLength + 1 > maxChunkSize) {
+        flush();
+      }
+      current.push(unit);
+      length += unitLength + (length > 0 ? 1 : 0);
+    });
+    flush();
+
+    return chunks.filter(chunk => chunk.text.trim());
+  }
+
+  /**
+   * Split lines into units, one starting at each definition
+   * @returns {Array<Object>} Units { start, end, name } over 0-based line indexes, end exclusive
+   */
+  splitUnits(lines, boundaries) {
+    const starts = [];
+    const containers = [];
+
+    lines.forEach((line, index) => {
+      const definition = this.matchDefinition(line, boundaries);
+      if (!definition) {
+        return;
+      }
+
+      // Containers (classes) stay open for definitions indented below them
+      const indent = line.match(/^\s*/)[0].length;
+      while (containers.length > 0 && containers[containers.length - 1].indent >= indent) {
+        containers.pop();
+      }
+      const owner = containers[containers.length - 1];
+      const name = definition.nested && owner ? `${owner.name}.${definition.name}` : definition.name;
+      if (definition.container) {
+        containers.push({ indent, name });
+      }
+
+      starts.push({ start: this.findPreambleStart(lines, index, starts), name });
+    });
+
+    if (starts.length === 0 || starts[0].start > 0) {
+      starts.unshift({ start: 0, name: null });
+    }
+
+    return starts.map((unit, index) => ({
+      ...unit,
+      end: index + 1 < starts.length ? starts[index + 1].start : lines.length
+    }));
+  }
+
+  matchDefinition(line, boundaries) {
+    for (const boundary of boundaries) {
+      const match = line.match(boundary.pattern);
+      if (!match) {
+        continue;
+      }
+
+      const captures = match.slice(1);
+      if (boundary.nestedWhenIndented) {
+        // First group is the indentation, second the name
+        return { name: captures[1], nested: Boolean(captures[0]), container: false };
+      }
+      return {
+        name: captures.find(Boolean),
+        nested: Boolean(boundary.nested),
+        container: Boolean(boundary.container)
+      };
+    }
+    return null;
+  }
+
+  findPreambleStart(lines, index, starts) {
+    const previousStart = starts.length > 0 ? starts[starts.length - 1].start : 0;
+    let start = index;
+    while (start - 1 > previousStart && lines[start - 1].trim() && PREAMBLE_PATTERN.test(lines[start - 1])) {
+      start--;
+    }
+    return start;
+  }
+
+  /**
+   * Split units longer than a chunk at blank lines, then at single lines
+   */
+  limitUnit(lines, unit, maxChunkSize) {
+    if (this.getLength(lines, unit.start, unit.end) <= maxChunkSize) {
+      return [unit];
+    }
+
+    const pieces = [];
+    let start = unit.start;
+    let lastBlank = null;
+
+    for (let index = unit.start; index < unit.end; index++) {
+      if (index > start && this.getLength(lines, start, index + 1) > maxChunkSize) {
+        const end = lastBlank !== null && lastBlank > start ? lastBlank : index;
+        pieces.push({ start, end, name: unit.name });
+        start = end;
+        lastBlank = null;
+      }
+      if (!lines[index].trim()) {
+        lastBlank = index + 1;
+      }
+    }
+    pieces.push({ start, end: unit.end, name: unit.name });
+
+    return pieces;
+  }
+
+  getLength(lines, start, end) {
+    return lines.slice(start, end).join('\n').length;
+  }
+
+  createChunk(lines, units) {
+    const start = units[0].start;
+    const end = units[units.length - 1].end;
+    const names = [...new Set(units.map(unit => unit.name).filter(Boolean))];
+
+    // Leading and trailing blank lines are not part of the cited range
+    let lineStart = start;
+    let lineEnd = end - 1;
+    while (lineStart < lineEnd && !lines[lineStart].trim()) {
+      lineStart++;
+    }
+    while (lineEnd > lineStart && !lines[lineEnd].trim()) {
+      lineEnd--;
+    }
+
+    return {
+      text: lines.slice(lineStart, lineEnd + 1).join('\n'),
+      lineStart: lineStart + 1,
+      lineEnd: lineEnd + 1,
+      section: names.length > 0 ? names.join(', ') : null
+    };
+  }
+}
+
+module.exports = new CodeChunkingService();
@@ -0,0 +1,170 @@
+const Document = require('../models/Document');
+const vectorStoreService = require('./vectorStoreService');
+const lexicalIndexService = require('./lexicalIndexService');
+
+// "doc:42:chunk:7"
+const DOCUMENT_CHUNK_ID = /^doc:(\d+):chunk:(\d+)$/;
+// Pinecone user indexes hold a record describing the user next to the chunks
+const USER_METADATA_ID = 'user-metadata';
+
+/**
+ * Chunks of documents in the search indexes.
+ *
+ * Chunk ids are derived from the id of the document record and the chunk's position, so
+ * uploads with the same file name never share ids. Every document keeps a manifest of
+ * its chunk ids (Document.chunkIds), which is what removes all of its chunks from the
+ * keyword index and the vector store. The consistency check compares a user's vector
+ * store with the manifests of their documents.
+ */
+class DocumentChunkService {
+  /**
+   * Search index id of a document's chunk
+   * @param {number} documentId - Document record id
+   * @param {number} chunkIndex - Chunk position
+   * @returns {string}
+   */
+  getChunkId(documentId, chunkIndex) {
+    return `doc:${documentId}:chunk:${chunkIndex}`;
+  }
+
+  /**
+   * Search index id of a chunk of a file indexed without a document record (data folder
+   * processing); these ids are positional within the file name
+   * @param {string} fileName - File name
+   * @param {number} chunkIndex - Chunk position
+   * @returns {string}
+   */
+  getFileChunkId(fileName, chunkIndex) {
+    return `${fileName || 'document'}_chunk_${chunkIndex}`;
+  }
+
+  /**
+   * @param {string} chunkId - Search index id
+   * @returns {Object|null} { documentId, chunkIndex }, null for ids not derived from a document
+   */
+  parseChunkId(chunkId) {
+    const match = DOCUMENT_CHUNK_ID.exec(chunkId);
+    return match ? { documentId: Number(match[1]), chunkIndex: Number(match[2]) } : null;
+  }
+
+  /**
+   * Chunk ids in a document's manifest. Documents stored before the manifest listed ids
+   * were indexed under file name ids, one for each of their chunk hashes
+   * @param {Document} document - Document
+   * @returns {Array<string>}
+   */
+  getChunkIds(document) {
+    if (document.chunkIds.length > 0) {
+      return document.chunkIds;
+    }
+    return document.chunkHashes.map((hash, chunkIndex) => this.getFileChunkId(document.originalName, chunkIndex));
+  }
+
+  /**
+   * Remove every chunk of a document from the keyword index and the vector store
+   * @param {Document} document - Document
+   * @param {string} userPineconeId - User's namespace
+   * @returns {Promise<number>} Number of chunk ids removed
+   */
+  async removeChunks(document, userPineconeId) {
+    const chunkIds = this.getChunkIds(document);
+    if (chunkIds.length > 0) {
+      await lexicalIndexService.deleteChunks(userPineconeId, chunkIds);
+      await vectorStoreService.deleteDocuments(chunkIds, userPineconeId);
+      return chunkIds.length;
+    }
+
+    // Nothing recorded: keyword rows may still carry the document id, and documents uploaded
+    // before chunk ids were recorded have vectors under file name ids (and their old vector id)
+    await lexicalIndexService.deleteDocument(userPineconeId, document.id);
+
+    if (await this.sharesFileChunks(document)) {
+      return 0;
+    }
+
+    const fileChunkIds = await vectorStoreService.listVectorIds(userPineconeId, this.getFileChunkId(document.originalName, ''));
+    const legacyIds = fileChunkIds.filter(vectorId => this.isFileChunkId(vectorId, document.originalName));
+    await lexicalIndexService.deleteFileChunks(userPineconeId, document.originalName);
+    await vectorStoreService.deleteDocuments(document.vectorId ? [...legacyIds, document.vectorId] : legacyIds, userPineconeId);
+    return legacyIds.length;
+  }
+
+  /**
+   * @returns {boolean} Whether the id is a file name id of a chunk of the file
+   */
+  isFileChunkId(chunkId, fileName) {
+    const prefix = this.getFileChunkId(fileName, '');
+    return chunkId.startsWith(prefix) && /^\d+$/.test(chunkId.slice(prefix.length));
+  }
+
+  /**
+   * Whether another document without a manifest has the same name: file name ids were
+   * positional, so such documents overwrote each other's chunks and now share them
+   * @param {Document} document - Document without a manifest
+   * @returns {Promise<boolean>}
+   */
+  async sharesFileChunks(document) {
+    const documents = await Document.findByUserId(document.userId);
+    return documents.some(other => other.id !== document.id &&
+      other.originalName === document.originalName &&
+      this.getChunkIds(other).length === 0);
+  }
+
+  /**
+   * Compare a user's vector store with the chunk manifests of their documents. Documents
+   * are expected to have vectors when they are the latest version and completed uploading
+   * @param {Object} user - User { id, pineconeId }
+   * @returns {Promise<Object>} { namespace, vectorCount, documentCount, orphanedVectors,
+   *   documentsWithoutVectors }. Orphaned vectors { id, reason } are in no expected document's
+   *   manifest; reason is 'missing-document' (the document was deleted), 'superseded-version',
+   *   'not-in-manifest' or 'untracked' (id not derived from a document, e.g. files from the
+   *   data folder). Documents without vectors { id, originalName, folderPath, version, expectedChunks }
+   *   have none of their manifest's chunks in the vector store
+   */
+  async checkConsistency(user) {
+    const vectorIds = (await vectorStoreService.listVectorIds(user.pineconeId))
+      .filter(vectorId => vectorId !== USER_METADATA_ID);
+    const documents = await Document.findByUserId(user.id);
+    const documentsById = new Map(documents.map(document => [document.id, document]));
+    const indexedDocuments = documents.filter(document => document.isLatestVersion && document.uploadStatus === 'completed');
+
+    const expectedIds = new Set(indexedDocuments.flatMap(document => this.getChunkIds(document)));
+    const storedIds = new Set(vectorIds);
+
+    const orphanedVectors = [];
+    vectorIds.filter(vectorId => !expectedIds.has(vectorId)).forEach(vectorId => {
+      const chunk = this.parseChunkId(vectorId);
+      const document = chunk && documentsById.get(chunk.documentId);
+      if (!chunk) {
+        orphanedVectors.push({ id: vectorId, reason: 'untracked' });
+      } else if (!document) {
+        orphanedVectors.push({ id: vectorId, reason: 'missing-document' });
+      } else if (!document.isLatestVersion) {
+        orphanedVectors.push({ id: vectorId, reason: 'superseded-version' });
+      } else if (document.uploadStatus !== 'processing') {
+        // Chunks of uploads in progress are stored before their manifest is
+        orphanedVectors.push({ id: vectorId, reason: 'not-in-manifest' });
+      }
+    });
+
+    const documentsWithoutVectors = indexedDocuments
+      .filter(document => !this.getChunkIds(document).some(chunkId => storedIds.has(chunkId)))
+      .map(document => ({
+        id: document.id,
+        originalName: document.originalName,
+        folderPath: document.folderPath,
+        version: document.version,
+        expectedChunks: this.getChunkIds(document).length
+      }));
+
+    return {
+      namespace: user.pineconeId,
+      vectorCount: vectorIds.length,
+      documentCount: indexedDocuments.length,
+      orphanedVectors,
+      documentsWithoutVectors
+    };
+  }
+}
+
+module.exports = new DocumentChunkService();
@@ -2,7 +2,7 @@ const fs = require('fs');
 const path = require('path');
 const mammoth = require('mammoth');
 const cheerio = require('cheerio');
-const pineconeService = require('./pineconeService');
+const vectorStoreService = require('./vectorStoreService');
 const pdfParsingService = require('./pdfParsingService');
 const simpleDocumentProcessor = require('./simpleDocumentProcessor');
 
@@ -158,7 +158,7 @@ class DocumentService {
       const queryEmbedding = await this.createEmbedding(query);
       
       // Search in user's dedicated Pinecone index
-      const results = await pineconeService.searchDocuments(queryEmbedding, userPineconeId, {
+      const results = await vectorStoreService.searchDocuments(queryEmbedding, userPineconeId, {
         documentType: 'user_document'
       }, topK);
       
@@ -0,0 +1,308 @@
+const crypto = require('crypto');
+const Document = require('../models/Document');
+const vectorStoreService = require('./vectorStoreService');
+const documentChunkService = require('./documentChunkService');
+const ConfigurationManager = require('./ConfigurationManager');
+
+// "versions 1 and 3", "versions 2 vs 4"
+const VERSION_PAIR = /\bversions\s+(\d{1,4})\s*(?:,|and|&|to|vs\.?|versus|with)\s*(?:v(?:ersion)?\s*)?(\d{1,4})\b/i;
+// "version 2", "ver. 2", "v2"
+const VERSION_NUMBER = /\b(?:version|ver\.?|v)\s*(\d{1,4})\b/gi;
+const LATEST_VERSION = /\b(?:latest|current|newest|new|most\s+recent)\s+version\b/i;
+const PREVIOUS_VERSION = /\b(?:previous|prior|old|older|earlier|last)\s+version\b/i;
+const COMPARISON_CUE = /\b(?:compare|comparing|comparison|diff|differ|differs|difference|differences|change|changes|changed|between|versus|vs)\b/i;
+
+/**
+ * Document versions.
+ *
+ * Uploading a file with the name (and archive folder) of an existing document, or
+ * explicitly as a new version of one, creates the next version of that document. The
+ * versions share a version group, named by the id of the first version, and every
+ * version keeps its record, file and text. Only the latest version is in the search
+ * indexes: its chunks whose text is unchanged reuse the previous version's embeddings,
+ * and the previous version's chunks are removed once the new ones are stored. Chat compares
+ * two versions from the lines of text that differ between them.
+ */
+class DocumentVersionService {
+  get config() {
+    return ConfigurationManager.getServiceConfig('versioning');
+  }
+
+  /**
+   * Validate the "new version of" document id supplied by API clients
+   * @param {*} previousVersionId - Requested id, may be undefined or empty
+   * @returns {Object} { previousVersionId, error } where previousVersionId is null when none was given
+   */
+  parseVersionRequest(previousVersionId) {
+    if (previousVersionId === undefined || previousVersionId === null || previousVersionId === '') {
+      return { previousVersionId: null, error: null };
+    }
+
+    const id = Number(previousVersionId);
+    if (!Number.isInteger(id) || id <= 0) {
+      return { previousVersionId: null, error: 'previousVersionId must be a document ID' };
+    }
+
+    return { previousVersionId: id, error: null };
+  }
+
+  /**
+   * Latest version in a document's version group
+   * @param {Document} document - Any version of the document
+   * @returns {Promise<Document>}
+   */
+  async getLatestVersion(document) {
+    const versions = (await Document.findVersions(document.versionGroupId))
+      .filter(version => version.uploadStatus !== 'failed');
+    return versions.find(version => version.isLatestVersion) || versions[versions.length - 1] || document;
+  }
+
+  /**
+   * Version fields of a new upload's document data
+   * @param {Document|null} previousVersion - Version the upload replaces, null for a new document
+   * @returns {Promise<Object>} { version, versionGroupId, previousVersion }, empty for a new document
+   */
+  async getVersionFields(previousVersion) {
+    if (!previousVersion) {
+      return {};
+    }
+
+    // Failed uploads keep their version number
+    const versions = await Document.findVersions(previousVersion.versionGroupId);
+    return {
+      version: Math.max(...versions.map(version => version.version)) + 1,
+      versionGroupId: previousVersion.versionGroupId,
+      previousVersion
+    };
+  }
+
+  hashChunk(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+  }
+
+  /**
+   * Which of the previous version's chunks can lend their embedding to the new version,
+   * and which are left over once the new version's chunks are stored
+   * @param {Document} previousVersion - Version being replaced, with its chunk manifest
+   * @param {Array<string>} chunkIds - Chunk ids of the new version
+   * @param {Array<string>} chunkHashes - Chunk hashes of the new version
+   * @returns {Object} { reusable: Map of chunk hash to previous chunk id, superseded: previous chunk ids }
+   */
+  planChunkReuse(previousVersion, chunkIds, chunkHashes) {
+    const currentIds = new Set(chunkIds);
+    const currentHashes = new Set(chunkHashes);
+    const reusable = new Map();
+    const superseded = [];
+
+    const previousIds = documentChunkService.getChunkIds(previousVersion);
+    previousVersion.chunkHashes.forEach((hash, chunkIndex) => {
+      const chunkId = previousIds[chunkIndex];
+      if (currentHashes.has(hash) && !reusable.has(hash)) {
+        reusable.set(hash, chunkId);
+      }
+      if (!currentIds.has(chunkId)) {
+        superseded.push(chunkId);
+      }
+    });
+
+    return { reusable, superseded };
+  }
+
+  /**
+   * Embeddings of reusable chunks, read back from the vector store
+   * @param {Map<string, string>} reusable - Chunk hash to previous chunk id, from planChunkReuse
+   * @param {string} userPineconeId - User's namespace
+   * @returns {Promise<Map<string, Array<number>>>} Embedding by chunk hash; chunks stored without one are missing
+   */
+  async loadReusableEmbeddings(reusable, userPineconeId) {
+    if (reusable.size === 0) {
+      return new Map();
+    }
+
+    try {
+      const vectors = await vectorStoreService.fetchDocuments([...new Set(reusable.values())], userPineconeId);
+      const embeddings = new Map(vectors.map(vector => [vector.id, vector.values]));
+      return new Map([...reusable]
+        .filter(([, chunkId]) => embeddings.has(chunkId))
+        .map(([hash, chunkId]) => [hash, embeddings.get(chunkId)]));
+    } catch (error) {
+      console.warn('⚠️ Failed to read previous version embeddings, re-embedding all chunks:', error.message);
+      return new Map();
+    }
+  }
+
+  /**
+   * Mark a version as replaced. The attachments of a replaced email leave the search
+   * indexes, since the new version ingests its attachments again
+   * @param {Document} previousVersion - Replaced version
+   * @param {string} userPineconeId - User's namespace
+   */
+  async supersede(previousVersion, userPineconeId) {
+    await previousVersion.markSuperseded();
+
+    for (const attachment of await Document.findByParentId(previousVersion.id)) {
+      try {
+        await documentChunkService.removeChunks(attachment, userPineconeId);
+      } catch (error) {
+        console.error(`Failed to remove attachment ${attachment.originalName} of a replaced version:`, error);
+      }
+      await attachment.markSuperseded();
+    }
+  }
+
+  /**
+   * Read a request to compare two versions from a chat message, e.g. "compare versions 1
+   * and 3", "what changed in version 4" or "what is new in the latest version"
+   * @param {string} query - User message
+   * @returns {Object|null} { from, to } version numbers; a null `to` is the latest version and a
+   *   null `from` the version before `to`. Null when the message does not compare versions
+   */
+  parseComparisonRequest(query) {
+    if (!query || !COMPARISON_CUE.test(query)) {
+      return null;
+    }
+
+    const pair = query.match(VERSION_PAIR);
+    const numbers = pair
+      ? [pair[1], pair[2]]
+      : [...query.matchAll(VERSION_NUMBER)].map(match => match[1]);
+    const versions = [...new Set(numbers.map(Number))];
+
+    if (versions.length >= 2) {
+      return { from: versions[0], to: versions[1] };
+    }
+    if (versions.length === 1) {
+      return LATEST_VERSION.test(query) ? { from: versions[0], to: null } : { from: null, to: versions[0] };
+    }
+    return LATEST_VERSION.test(query) || PREVIOUS_VERSION.test(query) ? { from: null, to: null } : null;
+  }
+
+  /**
+   * Resolve a chat message comparing two versions of a document. The document is the one
+   * with several versions named in the message, or the only one in the chat's scope
+   * @param {number} userId - Owner of the documents
+   * @param {string} query - User message
+   * @param {Array<Object>|null} scopeDocuments - Documents { id } of the chat's scope, null for all
+   * @returns {Promise<Object|null>} { documentName, from, to, contextBlocks }, null when the message
+   *   does not compare versions of exactly one document
+   */
+  async resolveComparison(userId, query, scopeDocuments = null) {
+    const request = this.parseComparisonRequest(query);
+    if (!request) {
+      return null;
+    }
+
+    const groups = new Map();
+    (await Document.findByUserId(userId))
+      .filter(document => !document.parentDocumentId && document.uploadStatus !== 'failed')
+      .forEach(document => {
+        groups.set(document.versionGroupId, [...(groups.get(document.versionGroupId) || []), document]);
+      });
+
+    const scopeIds = scopeDocuments ? new Set(scopeDocuments.map(document => document.id)) : null;
+    const candidates = [...groups.values()]
+      .filter(versions => versions.length > 1)
+      .filter(versions => !scopeIds || versions.some(version => scopeIds.has(version.id)));
+    const named = candidates.filter(versions => versions.some(version => this.mentionsDocument(query, version.originalName)));
+    const matching = named.length > 0 ? named : candidates;
+    if (matching.length !== 1) {
+      return null;
+    }
+
+    const versions = matching[0].sort((a, b) => a.version - b.version);
+    const latest = versions.find(version => version.isLatestVersion) || versions[versions.length - 1];
+    const to = request.to === null ? latest : versions.find(version => version.version === request.to);
+    const from = request.from === null
+      ? to && [...versions].reverse().find(version => version.version < to.version)
+      : versions.find(version => version.version === request.from);
+    if (!from || !to || from === to) {
+      return null;
+    }
+
+    return {
+      documentName: to.originalName,
+      from,
+      to,
+      contextBlocks: this.buildComparisonBlocks(from, to)
+    };
+  }
+
+  mentionsDocument(query, originalName) {
+    const text = query.toLowerCase();
+    const name = originalName.toLowerCase();
+    const baseName = name.replace(/\.[^.]+$/, '').replace(/[_-]+/g, ' ').trim();
+    return text.includes(name) || (baseName.length >= 3 && text.includes(baseName));
+  }
+
+  /**
+   * Chat context for comparing two versions: the lines of each version that the other
+   * does not have, in document order
+   * @param {Document} from - Earlier version
+   * @param {Document} to - Later version
+   * @returns {Array<Object>} Context blocks as built by chatService
+   */
+  buildComparisonBlocks(from, to) {
+    const { maxComparisonChunkSize = 1500, maxComparisonChunks = 20 } = this.config;
+    const removed = this.diffLines(from.extractedText, to.extractedText);
+    const added = this.diffLines(to.extractedText, from.extractedText);
+    const blocks = [];
+
+    const addBlock = (document, change, text) => blocks.push({
+      source: `${document.originalName} (version ${document.version})`,
+      chunkIndex: blocks.length,
+      score: 1,
+      text,
+      fileType: document.fileType,
+      relevanceRank: blocks.length + 1,
+      metadata: { date: document.createdAt, fileSize: document.fileSize, documentVersion: document.version, change }
+    });
+
+    if (removed.length === 0 && added.length === 0) {
+      addBlock(to, 'unchanged', `The text of version ${from.version} and version ${to.version} is identical.`);
+      return blocks;
+    }
+
+    // Each side gets half of the chunks when both have changes
+    const chunksPerSide = removed.length > 0 && added.length > 0 ? Math.ceil(maxComparisonChunks / 2) : maxComparisonChunks;
+    [
+      { document: from, change: 'removed', lines: removed, heading: `Text of version ${from.version} that is not in version ${to.version}:` },
+      { document: to, change: 'added', lines: added, heading: `Text of version ${to.version} that is not in version ${from.version}:` }
+    ].forEach(({ document, change, lines, heading }) => {
+      const texts = [];
+      lines.forEach(line => {
+        const last = texts[texts.length - 1];
+        if (last !== undefined && last.length + line.length + 1 <= maxComparisonChunkSize) {
+          texts[texts.length - 1] = `${last}\n${line}`;
+        } else {
+          texts.push(line.slice(0, maxComparisonChunkSize));
+        }
+      });
+      texts.slice(0, chunksPerSide).forEach(text => addBlock(document, change, `${heading}\n${text}`));
+    });
+
+    return blocks;
+  }
+
+  /**
+   * Lines of a text that another text does not have, counting repeated lines
+   * @param {string} text - Text to read lines from
+   * @param {string} other - Text to compare with
+   * @returns {Array<string>} Lines with whitespace collapsed, in order
+   */
+  diffLines(text, other) {
+    const toLines = value => (value || '').split('\n').map(line => line.replace(/\s+/g, ' ').trim()).filter(Boolean);
+    const remaining = new Map();
+    toLines(other).forEach(line => remaining.set(line, (remaining.get(line) || 0) + 1));
+
+    return toLines(text).filter(line => {
+      const count = remaining.get(line) || 0;
+      if (count > 0) {
+        remaining.set(line, count - 1);
+        return false;
+      }
+      return true;
+    });
+  }
+}
+
+module.exports = new DocumentVersionService();
@@ -0,0 +1,192 @@
+const path = require('path');
+const ConfigurationManager = require('./ConfigurationManager');
+const structuredChunkingService = require('./structuredChunkingService');
+const { loadPackage, readPart, loadXml } = require('../utils/ooxmlPackage');
+
+const EBOOK_EXTENSIONS = ['.epub'];
+const CONTAINER_PART = 'META-INF/container.xml';
+const ENCRYPTION_PART = 'META-INF/encryption.xml';
+const CONTENT_MEDIA_TYPES = ['application/xhtml+xml', 'text/html'];
+
+/**
+ * EPUB e-book parsing.
+ *
+ * Chapters are the content documents of the package's spine, read in spine (reading)
+ * order. A chapter is titled by its table of contents entry (the EPUB 3 navigation
+ * document, or the EPUB 2 NCX) and otherwise by its first heading. Each chapter is
+ * chunked on its own with the structured chunker, so chunks never span two chapters and
+ * carry the headings within the chapter as their section.
+ */
+class EbookParsingService {
+  get config() {
+    return ConfigurationManager.getServiceConfig('ebooks');
+  }
+
+  /**
+   * Whether a file is parsed as an e-book
+   * @param {string} filePath - File path or name
+   * @returns {boolean}
+   */
+  isEbook(filePath) {
+    return Boolean(filePath) && EBOOK_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+  }
+
+  /**
+   * Read the chapters of an EPUB book
+   * @param {Buffer} buffer - EPUB file content
+   * @returns {Promise<Array<Object>>} Chapters { chapterNumber, title, blocks } in reading order;
+   *   blocks are structuredChunkingService blocks, chapters without text are left out
+   */
+  async parseEPUB(buffer) {
+    const zip = await loadPackage(buffer, CONTAINER_PART, 'EPUB book');
+    const packagePath = loadXml(await readPart(zip, CONTAINER_PART))('rootfile').first().attr('full-path');
+    const packageXml = packagePath ? await readPart(zip, packagePath) : null;
+    if (!packageXml) {
+      throw new Error('File is not a valid EPUB book: the package document is missing');
+    }
+
+    const $ = loadXml(packageXml);
+    const resolve = href => this.resolveHref(packagePath, href);
+    const manifest = new Map();
+    $('manifest > item').each((index, node) => {
+      const { id, href, 'media-type': mediaType = '', properties = '' } = node.attribs;
+      if (id && href) {
+        manifest.set(id, { path: resolve(href), mediaType, properties: properties.split(/\s+/) });
+      }
+    });
+
+    // Non-linear items (pop-up notes, answer keys) are not part of the reading order
+    const spine = $('spine > itemref').toArray()
+      .filter(node => node.attribs.linear !== 'no')
+      .map(node => manifest.get(node.attribs.idref))
+      .filter(item => item && CONTENT_MEDIA_TYPES.includes(item.mediaType));
+
+    const { maxChapters = 2000 } = this.config;
+    if (spine.length > maxChapters) {
+      throw new Error(`Book has more than ${maxChapters} chapters`);
+    }
+
+    const encrypted = await this.readEncryptedParts(zip);
+    if (spine.some(item => encrypted.has(item.path))) {
+      throw new Error('Book is DRM-protected and cannot be read');
+    }
+
+    const titles = await this.readTableOfContents(zip, [...manifest.values()], manifest.get($('spine').attr('toc')));
+    const chapters = [];
+    for (const item of spine) {
+      const html = await readPart(zip, item.path);
+      const blocks = html ? structuredChunkingService.blocksFromHtml(html) : [];
+      if (!blocks.some(block => block.type !== 'heading')) {
+        continue;
+      }
+
+      const firstHeading = blocks.find(block => block.type === 'heading');
+      chapters.push({
+        chapterNumber: chapters.length + 1,
+        title: titles.get(item.path) || (firstHeading && firstHeading.text) || null,
+        blocks
+      });
+    }
+
+    return chapters;
+  }
+
+  /**
+   * Chapter titles from the table of contents, by content document path. A chapter listed
+   * several times (e.g. with entries for its sections) takes its first entry
+   * @param {JSZip} zip - Package archive
+   * @param {Array<Object>} items - Manifest items
+   * @param {Object} ncxItem - Manifest item the spine names as its EPUB 2 table of contents
+   * @returns {Promise<Map<string, string>>}
+   */
+  async readTableOfContents(zip, items, ncxItem) {
+    const titles = new Map();
+    const addTitle = (tocPath, href, label) => {
+      const title = structuredChunkingService.normalizeWhitespace(label || '');
+      const target = href ? this.resolveHref(tocPath, href) : null;
+      if (title && target && !titles.has(target)) {
+        titles.set(target, title);
+      }
+    };
+
+    const nav = items.find(item => item.properties.includes('nav'));
+    const navXml = nav ? await readPart(zip, nav.path) : null;
+    if (navXml) {
+      const $ = loadXml(navXml);
+      const tocNav = $('nav').filter((index, node) => node.attribs['epub:type'] === 'toc').first();
+      (tocNav.length > 0 ? tocNav : $('nav').first()).find('a').each((index, node) => {
+        addTitle(nav.path, node.attribs.href, $(node).text());
+      });
+    }
+
+    const ncx = ncxItem || items.find(item => item.mediaType === 'application/x-dtbncx+xml');
+    const ncxXml = titles.size === 0 && ncx ? await readPart(zip, ncx.path) : null;
+    if (ncxXml) {
+      const $ = loadXml(ncxXml);
+      $('navPoint').each((index, node) => {
+        addTitle(ncx.path, $(node).children('content').attr('src'), $(node).children('navLabel').text());
+      });
+    }
+
+    return titles;
+  }
+
+  /**
+   * Parts encrypted with DRM. Obfuscated fonts are listed too, but only matter when they
+   * are content documents
+   */
+  async readEncryptedParts(zip) {
+    const $ = loadXml(await readPart(zip, ENCRYPTION_PART));
+    return new Set($('CipherReference, enc\\:CipherReference').toArray()
+      .map(node => node.attribs.URI)
+      .filter(Boolean)
+      .map(uri => this.resolveHref('', uri)));
+  }
+
+  /**
+   * Package path of a link, which is relative to the part it appears in and may carry a fragment
+   * @param {string} fromPart - Part containing the link, e.g. "OEBPS/content.opf"
+   * @param {string} href - Link, e.g. "text/chapter%201.xhtml#intro"
+   * @returns {string} e.g. "OEBPS/text/chapter 1.xhtml"
+   */
+  resolveHref(fromPart, href) {
+    let target = href.split('#')[0];
+    try {
+      target = decodeURIComponent(target);
+    } catch (error) {
+      // Leave malformed escapes as they are
+    }
+    return path.posix.normalize(path.posix.join(path.posix.dirname(fromPart), target)).replace(/^\/+/, '');
+  }
+
+  /**
+   * Plain text of the chapters, as stored on the document
+   * @param {Array<Object>} chapters - Chapters { chapterNumber, title, blocks }
+   * @returns {string}
+   */
+  chaptersToText(chapters) {
+    return chapters
+      .map(chapter => structuredChunkingService.blocksToText(chapter.blocks))
+      .join('\n\n');
+  }
+
+  /**
+   * Chunk each chapter with the structured chunker
+   * @param {Array<Object>} chapters - Chapters { chapterNumber, title, blocks }
+   * @param {Object} options - { maxChunkSize }
+   * @returns {Array<Object>} Chunks { text, chapterNumber, chapter, headingPath, section }; chapter
+   *   is null without a title, section is null for text before the chapter's first heading
+   */
+  chunkChapters(chapters, { maxChunkSize = this.config.maxChunkSize || 1000 } = {}) {
+    return chapters.flatMap(chapter => structuredChunkingService.chunkBlocks(chapter.blocks, { maxChunkSize })
+      .map(({ text, headingPath, section }) => ({
+        text,
+        chapterNumber: chapter.chapterNumber,
+        chapter: chapter.title,
+        headingPath,
+        section
+      })));
+  }
+}
+
+module.exports = new EbookParsingService();
@@ -0,0 +1,300 @@
+const path = require('path');
+const cheerio = require('cheerio');
+const ConfigurationManager = require('./ConfigurationManager');
+const {
+  toBinaryString,
+  decodeHeaderValue,
+  parseAddressList,
+  parseMessage,
+  splitMbox
+} = require('../utils/mimeMessage');
+
+const EMAIL_EXTENSIONS = ['.eml', '.mbox'];
+const REPLY_PREFIX_PATTERN = /^((re|fw|fwd|aw|wg|sv|antw)(\[\d+\])?:\s*)+/i;
+const MESSAGE_ID_PATTERN = /<[^<>\s]+>/g;
+// "On Tue, 5 Mar 2024 at 10:02, Jane <jane@example.com> wrote:" above quoted text
+const ATTRIBUTION_PATTERN = /^(On\b.*\bwrote:|-{2,}\s*Original Message\s*-{2,})\s*$/i;
+
+/**
+ * Email (.eml, .mbox) parsing.
+ *
+ * Messages are read with their sender, recipients, date and subject, a plain text
+ * body (from the text part, or the HTML part when there is none) and attachments.
+ * Messages of a mailbox are grouped into threads through their References and
+ * In-Reply-To headers; a reply's quoted copy of an earlier message in the same file
+ * is left out, so each message's text is indexed once. Chunks never span messages and
+ * carry the sender and date, for citations and for filtering by sender or month.
+ */
+class EmailParsingService {
+  get config() {
+    return ConfigurationManager.getServiceConfig('emails');
+  }
+
+  /**
+   * Whether a file is parsed as email
+   * @param {string} filePath - File path or name
+   * @returns {boolean}
+   */
+  isEmail(filePath) {
+    return Boolean(filePath) && EMAIL_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+  }
+
+  /**
+   * Read the messages of an .eml or .mbox file
+   * @param {Buffer} buffer - File content
+   * @param {string} filePath - File path or name, decides between a single message and a mailbox
+   * @returns {Array<Object>} Messages { messageNumber, messageId, threadId, from, to, cc, date,
+   *   subject, body, attachments }; `from` is { name, address } or null, `date` an ISO string or null,
+   *   attachments are { fileName, contentType, size, content }
+   */
+  parseEmailFile(buffer, filePath) {
+    const binary = toBinaryString(buffer);
+    const isMailbox = path.extname(filePath || '').toLowerCase() === '.mbox';
+    const rawMessages = isMailbox ? splitMbox(binary) : [binary];
+    const { maxMessages = 10000 } = this.config;
+
+    if (isMailbox && rawMessages.length === 0) {
+      throw new Error('File is not a valid mbox mailbox: it does not start with a "From " line');
+    }
+    if (rawMessages.length > maxMessages) {
+      throw new Error(`Mailbox has more than ${maxMessages} messages`);
+    }
+
+    const messages = rawMessages.map((raw, index) => this.readMessage(parseMessage(raw), index + 1));
+    if (!messages.some(message => message.from || message.subject || message.date)) {
+      throw new Error('File is not a valid email message: no From, Subject or Date header found');
+    }
+
+    return this.assignThreads(messages);
+  }
+
+  readMessage(parsed, messageNumber) {
+    const header = name => decodeHeaderValue((parsed.headers.get(name) || [])[0] || '');
+    const date = header('date') ? new Date(header('date').replace(/\s*\([^)]*\)\s*$/, '')) : null;
+
+    return {
+      messageNumber,
+      messageId: (header('message-id').match(MESSAGE_ID_PATTERN) || [null])[0],
+      inReplyTo: (header('in-reply-to').match(MESSAGE_ID_PATTERN) || [null])[0],
+      references: header('references').match(MESSAGE_ID_PATTERN) || [],
+      from: parseAddressList(header('from'))[0] || null,
+      to: parseAddressList(header('to')),
+      cc: parseAddressList(header('cc')),
+      date: date && !isNaN(date.getTime()) ? date.toISOString() : null,
+      subject: header('subject') || null,
+      body: this.readBody(parsed),
+      attachments: parsed.attachments.map(attachment => ({
+        fileName: attachment.fileName ? path.basename(attachment.fileName.replace(/\\/g, '/')) : null,
+        contentType: attachment.contentType,
+        size: attachment.content.length,
+        content: attachment.content
+      }))
+    };
+  }
+
+  readBody(parsed) {
+    if (parsed.textParts.length > 0) {
+      return parsed.textParts.join('\n\n').replace(/\r\n?/g, '\n').trim();
+    }
+
+    return parsed.htmlParts.map(html => {
+      const $ = cheerio.load(html);
+      $('script, style, head').remove();
+      $('br').replaceWith('\n');
+      $('p, div, li, tr, h1, h2, h3, h4, h5, h6, blockquote').each((index, node) => {
+        $(node).append('\n');
+      });
+      return $.root().text().replace(/[ \t]+/g, ' ').replace(/\n\s*\n\s*/g, '\n\n').trim();
+    }).join('\n\n');
+  }
+
+  /**
+   * Thread every message under the first message of its reply chain and drop quoted
+   * text that repeats a message found in the same file
+   * @param {Array<Object>} messages - Messages from readMessage
+   * @returns {Array<Object>} Messages with threadId, without the raw reply headers
+   */
+  assignThreads(messages) {
+    const byId = new Map(messages.filter(message => message.messageId).map(message => [message.messageId, message]));
+    const subjectThreads = new Map();
+
+    return messages.map(message => {
+      const { inReplyTo, references, ...rest } = message;
+      const root = references[0] || inReplyTo || message.messageId;
+      const subjectKey = (message.subject || '').replace(REPLY_PREFIX_PATTERN, '').trim().toLowerCase();
+
+      // Without reply headers, messages with the same subject form a thread
+      let threadId = root;
+      if (!threadId && subjectKey) {
+        threadId = subjectThreads.get(subjectKey) || `subject:${subjectKey}`;
+      }
+      if (subjectKey && !subjectThreads.has(subjectKey)) {
+        subjectThreads.set(subjectKey, threadId);
+      }
+
+      const repliesToKnownMessage = [inReplyTo, ...references].some(id => id && byId.has(id));
+      return {
+        ...rest,
+        threadId: threadId || null,
+        body: repliesToKnownMessage ? this.stripQuotedText(message.body) : message.body
+      };
+    });
+  }
+
+  /**
+   * Remove quoted lines ("> ...") and the attribution line introducing them
+   * @param {string} body - Plain text body
+   * @returns {string}
+   */
+  stripQuotedText(body) {
+    const lines = body.split('\n');
+    const kept = lines.filter((line, index) => {
+      if (/^\s*>/.test(line)) {
+        return false;
+      }
+      const next = lines.slice(index + 1).find(candidate => candidate.trim());
+      return !(ATTRIBUTION_PATTERN.test(line.trim()) && (next === undefined || /^\s*>/.test(next)));
+    });
+    return kept.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+  }
+
+  /**
+   * Display form of a mailbox
+   * @param {Object} mailbox - { name, address }
+   * @returns {string} e.g. "Legal Team <legal@example.com>"
+   */
+  formatAddress(mailbox) {
+    if (!mailbox) {
+      return '';
+    }
+    if (mailbox.name && mailbox.address) {
+      return `${mailbox.name} <${mailbox.address}>`;
+    }
+    return mailbox.name || mailbox.address || '';
+  }
+
+  formatHeader(message, { full = false } = {}) {
+    const lines = [];
+    if (message.from) {
+      lines.push(`From: ${this.formatAddress(message.from)}`);
+    }
+    if (full && message.to.length > 0) {
+      lines.push(`To: ${message.to.map(mailbox => this.formatAddress(mailbox)).join(', ')}`);
+    }
+    if (full && message.cc.length > 0) {
+      lines.push(`Cc: ${message.cc.map(mailbox => this.formatAddress(mailbox)).join(', ')}`);
+    }
+    if (message.date) {
+      lines.push(`Date: ${message.date.slice(0, 16).replace('T', ' ')} UTC`);
+    }
+    if (message.subject) {
+      lines.push(`Subject: ${message.subject}`);
+    }
+    const attachmentNames = message.attachments.map(attachment => attachment.fileName).filter(Boolean);
+    if (full && attachmentNames.length > 0) {
+      lines.push(`Attachments: ${attachmentNames.join(', ')}`);
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Plain text of the messages, as stored on the document
+   * @param {Array<Object>} messages - Messages from parseEmailFile
+   * @returns {string}
+   */
+  messagesToText(messages) {
+    return messages
+      .map(message => [this.formatHeader(message, { full: true }), message.body].filter(Boolean).join('\n\n'))
+      .join('\n\n');
+  }
+
+  /**
+   * Chunk messages, each chunk starting with its message's sender, date and subject.
+   * Bodies longer than the chunk size are split at paragraphs, then at lines
+   * @param {Array<Object>} messages - Messages from parseEmailFile
+   * @param {Object} options - { maxChunkSize }
+   * @returns {Array<Object>} Chunks { text, ...message metadata } (see getMessageMetadata)
+   */
+  chunkMessages(messages, { maxChunkSize = this.config.maxChunkSize || 1500 } = {}) {
+    const chunks = [];
+
+    messages.forEach(message => {
+      const header = this.formatHeader(message);
+      const paragraphs = message.body
+        .split(/\n\s*\n/)
+        .flatMap(paragraph => (paragraph.length > maxChunkSize ? paragraph.split('\n') : [paragraph]))
+        .map(paragraph => paragraph.trim())
+        .filter(Boolean);
+      let body = [];
+
+      const flush = () => {
+        if (body.length > 0 || paragraphs.length === 0) {
+          chunks.push(this.createChunk(message, [header, body.join('\n\n')].filter(Boolean).join('\n\n')));
+        }
+        body = [];
+      };
+
+      paragraphs.forEach(paragraph => {
+        const length = header.length + 2 + [...body, paragraph].join('\n\n').length;
+        if (body.length > 0 && length > maxChunkSize) {
+          flush();
+        }
+        body.push(paragraph);
+      });
+      flush();
+    });
+
+    return chunks.filter(chunk => chunk.text);
+  }
+
+  createChunk(message, text) {
+    return { text, ...this.getMessageMetadata(message) };
+  }
+
+  /**
+   * Metadata stored with the chunks of a message and of its attachments. The month and
+   * year a message was sent are kept apart so chunks can be filtered by them; fields
+   * without a value are left out, as Pinecone metadata cannot hold null
+   * @param {Object} message - Message from parseEmailFile
+   * @returns {Object} { messageNumber, threadId, sender, senderAddress, senderTerms, subject, sentAt, sentMonth, sentYear }
+   */
+  getMessageMetadata(message) {
+    const sentAt = message.date ? new Date(message.date) : null;
+    const metadata = {
+      messageNumber: message.messageNumber,
+      threadId: message.threadId,
+      sender: message.from ? message.from.name || message.from.address : null,
+      senderAddress: message.from ? message.from.address : null,
+      senderTerms: this.getSenderTerms(message.from),
+      subject: message.subject,
+      sentAt: message.date,
+      sentMonth: sentAt ? sentAt.getUTCMonth() + 1 : null,
+      sentYear: sentAt ? sentAt.getUTCFullYear() : null
+    };
+
+    return Object.fromEntries(Object.entries(metadata).filter(([, value]) => (
+      value !== null && value !== undefined && !(Array.isArray(value) && value.length === 0)
+    )));
+  }
+
+  /**
+   * Lower-case words a sender can be referred to by, for filtering chunks by sender:
+   * the words of the display name, the address, its local part and its domain name
+   * @param {Object} mailbox - { name, address }
+   * @returns {Array<string>} e.g. ["legal", "team", "legal@example.com", "example"]
+   */
+  getSenderTerms(mailbox) {
+    if (!mailbox) {
+      return [];
+    }
+
+    const terms = (mailbox.name || '').toLowerCase().split(/[^\p{L}\p{N}]+/u);
+    if (mailbox.address) {
+      const [localPart, domain = ''] = mailbox.address.split('@');
+      terms.push(mailbox.address, ...localPart.split(/[._+-]+/), localPart, domain.split('.')[0]);
+    }
+    return [...new Set(terms.filter(term => term.length > 1))];
+  }
+}
+
+module.exports = new EmailParsingService();
@@ -162,7 +162,155 @@ async function sendWelcomeEmail(userEmail, userName) {
   }
 }
 
+async function sendVerificationEmail(userEmail, userName, verifyUrl) {
+  console.log(`📧 Attempting to send verification email to ${userEmail}...`);
+  
+  try {
+    const mailOptions = {
+      from: `"${process.env.FROM_NAME}" <${process.env.FROM_EMAIL}>`,
+      to: userEmail,
+      subject: 'Verify your email - AI Smart File Assistant',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; border-radius: 10px; text-align: center; margin-bottom: 30px;">
+            <h1 style="color: white; margin: 0; font-size: 28px;">Verify Your Email</h1>
+            <p style="color: rgba(255,255,255,0.9); margin: 10px 0 0 0; font-size: 16px;">AI-Based Smart File Assistant</p>
+          </div>
+          
+          <div style="padding: 0 20px;">
+            <p style="font-size: 16px; color: #333; margin-bottom: 20px;">Hello <strong>${userName}</strong>,</p>
+            
+            <p style="font-size: 16px; color: #333; line-height: 1.6; margin-bottom: 25px;">
+              Thanks for signing up! Please confirm this is your email address to start uploading documents and chatting with them:
+            </p>
+            
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${verifyUrl}" style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 15px 30px; text-decoration: none; border-radius: 8px; font-weight: bold; font-size: 16px; display: inline-block; box-shadow: 0 4px 15px rgba(102, 126, 234, 0.4);">
+                Verify Email
+              </a>
+            </div>
+            
+            <p style="font-size: 14px; color: #666; line-height: 1.6; margin-bottom: 20px;">
+              If the button doesn't work, copy and paste this link into your browser:<br>
+              <a href="${verifyUrl}" style="color: #667eea; word-break: break-all;">${verifyUrl}</a>
+            </p>
+            
+            <div style="background: #f8f9fa; padding: 20px; border-radius: 8px; border-left: 4px solid #ffc107; margin: 25px 0;">
+              <p style="font-size: 14px; color: #856404; margin: 0; font-weight: 500;">
+                ⚠️ This link will expire in 24 hours. You can request a new one from the app.
+              </p>
+            </div>
+            
+            <p style="font-size: 14px; color: #666; line-height: 1.6;">
+              If you didn't create an account, please ignore this email.
+            </p>
+            
+            <hr style="border: none; border-top: 1px solid #eee; margin: 30px 0;">
+            
+            <p style="font-size: 12px; color: #999; text-align: center; margin: 0;">
+              This email was sent by AI-Based Smart File Assistant<br>
+              If you have any questions, please contact our support team.
+            </p>
+          </div>
+        </div>
+      `
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('✅ Verification email sent successfully!');
+    console.log(`📧 Message ID: ${info.messageId}`);
+    console.log(`📧 Sent to: ${userEmail}`);
+    
+    return info;
+  } catch (error) {
+    console.error('❌ Failed to send verification email:', error);
+    
+    // Fallback: Log the verification link
+    console.log('📝 Email failed - logging verification link:');
+    console.log('=== EMAIL VERIFICATION ===');
+    console.log(`Email: ${userEmail}`);
+    console.log(`Name: ${userName}`);
+    console.log(`Verify URL: ${verifyUrl}`);
+    console.log('==========================');
+    
+    return { messageId: 'email-failed-logged' };
+  }
+}
+
+async function sendAccountLockedEmail(userEmail, userName, unlockUrl, lockoutMinutes) {
+  console.log(`📧 Attempting to send account locked email to ${userEmail}...`);
+  
+  try {
+    const mailOptions = {
+      from: `"${process.env.FROM_NAME}" <${process.env.FROM_EMAIL}>`,
+      to: userEmail,
+      subject: 'Your account was locked - AI Smart File Assistant',
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; border-radius: 10px; text-align: center; margin-bottom: 30px;">
+            <h1 style="color: white; margin: 0; font-size: 28px;">Account Locked</h1>
+            <p style="color: rgba(255,255,255,0.9); margin: 10px 0 0 0; font-size: 16px;">AI-Based Smart File Assistant</p>
+          </div>
+          
+          <div style="padding: 0 20px;">
+            <p style="font-size: 16px; color: #333; margin-bottom: 20px;">Hello <strong>${userName}</strong>,</p>
+            
+            <p style="font-size: 16px; color: #333; line-height: 1.6; margin-bottom: 25px;">
+              There were too many failed attempts to sign in to your account, so signing in is blocked for ${lockoutMinutes} minutes. If this was you, click the button below to unlock your account now:
+            </p>
+            
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${unlockUrl}" style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 15px 30px; text-decoration: none; border-radius: 8px; font-weight: bold; font-size: 16px; display: inline-block; box-shadow: 0 4px 15px rgba(102, 126, 234, 0.4);">
+                Unlock Account
+              </a>
+            </div>
+            
+            <p style="font-size: 14px; color: #666; line-height: 1.6; margin-bottom: 20px;">
+              If the button doesn't work, copy and paste this link into your browser:<br>
+              <a href="${unlockUrl}" style="color: #667eea; word-break: break-all;">${unlockUrl}</a>
+            </p>
+            
+            <div style="background: #f8f9fa; padding: 20px; border-radius: 8px; border-left: 4px solid #ffc107; margin: 25px 0;">
+              <p style="font-size: 14px; color: #856404; margin: 0; font-weight: 500;">
+                ⚠️ If you didn't try to sign in, someone may be guessing your password. Change it once your account is unlocked.
+              </p>
+            </div>
+            
+            <hr style="border: none; border-top: 1px solid #eee; margin: 30px 0;">
+            
+            <p style="font-size: 12px; color: #999; text-align: center; margin: 0;">
+              This email was sent by AI-Based Smart File Assistant<br>
+              If you have any questions, please contact our support team.
+            </p>
+          </div>
+        </div>
+      `
+    };
+
+    const info = await transporter.sendMail(mailOptions);
+    console.log('✅ Account locked email sent successfully!');
+    console.log(`📧 Message ID: ${info.messageId}`);
+    console.log(`📧 Sent to: ${userEmail}`);
+    
+    return info;
+  } catch (error) {
+    console.error('❌ Failed to send account locked email:', error);
+    
+    // Fallback: Log the unlock link
+    console.log('📝 Email failed - logging unlock link:');
+    console.log('=== ACCOUNT UNLOCK ===');
+    console.log(`Email: ${userEmail}`);
+    console.log(`Name: ${userName}`);
+    console.log(`Unlock URL: ${unlockUrl}`);
+    console.log('======================');
+    
+    return { messageId: 'email-failed-logged' };
+  }
+}
+
 module.exports = {
   sendPasswordResetEmail,
-  sendWelcomeEmail
+  sendWelcomeEmail,
+  sendVerificationEmail,
+  sendAccountLockedEmail
 };
\ No newline at end of file
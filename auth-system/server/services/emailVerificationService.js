@@ -0,0 +1,104 @@
+const User = require('../models/User');
+const EmailVerificationToken = require('../models/EmailVerificationToken');
+const ConfigurationManager = require('./ConfigurationManager');
+const emailService = require('./emailService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Email verification for new accounts.
+ *
+ * Each verification email carries a new token and invalidates the earlier ones. Sending is
+ * throttled per account: a cooldown between emails and a daily limit, counted from the
+ * tokens created. Until the address is verified, the features listed in
+ * `emailVerification.restrict` are unavailable (see `requireVerifiedEmail`).
+ */
+class EmailVerificationService {
+  get config() {
+    return ConfigurationManager.getServiceConfig('emailVerification');
+  }
+
+  /**
+   * @param {string} feature - 'uploads' or 'chat'
+   * @returns {boolean} Whether unverified accounts are kept from the feature
+   */
+  isRestricted(feature) {
+    return (this.config.restrict || []).includes(feature);
+  }
+
+  /**
+   * Send a verification email, unless the address is verified or the account is throttled
+   * @param {User} user - User to verify
+   * @returns {Promise<Object>} { sent: true } or { sent: false, reason: 'already-verified'|'throttled', retryAfter (seconds) }
+   */
+  async sendVerification(user) {
+    if (user.emailVerified) {
+      return { sent: false, reason: 'already-verified' };
+    }
+
+    const retryAfter = await this.getRetryAfter(user);
+    if (retryAfter > 0) {
+      return { sent: false, reason: 'throttled', retryAfter };
+    }
+
+    const { tokenExpiresInHours = 24, verifyUrlBase } = this.config;
+    await EmailVerificationToken.invalidateForUser(user.id);
+    const verificationToken = await EmailVerificationToken.create(user.id, tokenExpiresInHours);
+
+    await emailService.sendVerificationEmail(
+      user.email,
+      user.firstName,
+      `${verifyUrlBase}?token=${verificationToken.token}`
+    );
+
+    return { sent: true };
+  }
+
+  /**
+   * @param {User} user - User
+   * @returns {Promise<number>} Seconds until another email can be sent, 0 when it can be sent now
+   */
+  async getRetryAfter(user) {
+    const { resendCooldownSeconds = 60, maxEmailsPerDay = 5 } = this.config;
+    const now = Date.now();
+    const sentToday = await EmailVerificationToken.findCreatedSince(user.id, new Date(now - DAY_MS));
+
+    const waits = [0];
+    if (sentToday.length > 0) {
+      waits.push(sentToday[0].getCreatedAt().getTime() + resendCooldownSeconds * 1000 - now);
+    }
+    if (sentToday.length >= maxEmailsPerDay) {
+      // The oldest email of the last day has to age out
+      waits.push(sentToday[maxEmailsPerDay - 1].getCreatedAt().getTime() + DAY_MS - now);
+    }
+
+    return Math.ceil(Math.max(...waits) / 1000);
+  }
+
+  /**
+   * Verify the address a token was sent to
+   * @param {string} token - Token from the verification link
+   * @returns {Promise<User|null>} The verified user, null when the token is invalid or expired
+   */
+  async verify(token) {
+    const verificationToken = await EmailVerificationToken.findByToken(token);
+    if (!verificationToken) {
+      return null;
+    }
+
+    const user = await User.findById(verificationToken.userId);
+    if (!user) {
+      return null;
+    }
+
+    if (!user.emailVerified) {
+      await user.verifyEmail();
+      user.emailVerified = 1;
+    }
+    await EmailVerificationToken.invalidateForUser(user.id);
+
+    return user;
+  }
+}
+
+module.exports = new EmailVerificationService();
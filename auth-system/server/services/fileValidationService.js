@@ -1,6 +1,11 @@
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const codeChunkingService = require('./codeChunkingService');
+const ConfigurationManager = require('./ConfigurationManager');
+
+// MIME types browsers send when they don't recognize an extension (e.g. .md); such files are typed by extension
+const GENERIC_MIME_TYPES = ['', 'application/octet-stream'];
 
 /**
  * Comprehensive File Validation Service
@@ -39,6 +44,88 @@ class FileValidationService {
           maxSize: 10 * 1024 * 1024, // 10MB
           magicNumbers: [], // Text files don't have specific magic numbers
           description: 'Text Document'
+        },
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': {
+          extensions: ['.xlsx'],
+          maxSize: 25 * 1024 * 1024, // 25MB
+          magicNumbers: ['PK'], // XLSX files are ZIP archives
+          description: 'Microsoft Excel Workbook'
+        },
+        'application/vnd.openxmlformats-officedocument.presentationml.presentation': {
+          extensions: ['.pptx'],
+          maxSize: 50 * 1024 * 1024, // 50MB, slide decks often embed images
+          magicNumbers: ['PK'], // PPTX files are ZIP archives
+          description: 'Microsoft PowerPoint Presentation'
+        },
+        'application/epub+zip': {
+          extensions: ['.epub'],
+          maxSize: 50 * 1024 * 1024, // 50MB, e-books often embed images and fonts
+          magicNumbers: ['PK'], // EPUB books are ZIP archives
+          description: 'EPUB E-book'
+        },
+        'application/vnd.oasis.opendocument.text': {
+          extensions: ['.odt'],
+          maxSize: 25 * 1024 * 1024, // 25MB
+          magicNumbers: ['PK'], // ODT files are ZIP archives
+          description: 'OpenDocument Text Document'
+        },
+        'application/rtf': {
+          extensions: ['.rtf'],
+          maxSize: 25 * 1024 * 1024, // 25MB, embedded images are stored as hex text
+          magicNumbers: ['{\\rtf'],
+          textOnly: true,
+          description: 'Rich Text Format Document'
+        },
+        // Sent for .rtf files by some browsers
+        'text/rtf': {
+          extensions: ['.rtf'],
+          maxSize: 25 * 1024 * 1024, // 25MB
+          magicNumbers: ['{\\rtf'],
+          textOnly: true,
+          description: 'Rich Text Format Document'
+        },
+        'text/markdown': {
+          extensions: ['.md', '.markdown'],
+          maxSize: 10 * 1024 * 1024, // 10MB
+          magicNumbers: [],
+          textOnly: true,
+          description: 'Markdown Document'
+        },
+        'text/x-rst': {
+          extensions: ['.rst'],
+          maxSize: 10 * 1024 * 1024, // 10MB
+          magicNumbers: [],
+          textOnly: true,
+          description: 'reStructuredText Document'
+        },
+        'message/rfc822': {
+          extensions: ['.eml'],
+          maxSize: 25 * 1024 * 1024, // 25MB, attachments are sent inline
+          magicNumbers: [],
+          textOnly: true, // Attachments are base64 encoded, so messages never contain binary data
+          description: 'Email Message'
+        },
+        'application/mbox': {
+          extensions: ['.mbox'],
+          maxSize: 50 * 1024 * 1024, // 50MB
+          magicNumbers: ['From '],
+          textOnly: true,
+          description: 'Email Mailbox'
+        },
+        'text/csv': {
+          extensions: ['.csv'],
+          maxSize: 10 * 1024 * 1024, // 10MB
+          magicNumbers: [],
+          textOnly: true, // No magic number, but must not contain binary data
+          description: 'CSV Spreadsheet'
+        },
+        // Browsers on Windows send CSV files with the legacy Excel MIME type
+        'application/vnd.ms-excel': {
+          extensions: ['.csv'],
+          maxSize: 10 * 1024 * 1024, // 10MB
+          magicNumbers: [],
+          textOnly: true, // Rejects binary .xls workbooks sent with the same MIME type
+          description: 'CSV Spreadsheet'
         }
       },
       
@@ -66,9 +153,11 @@ class FileValidationService {
    * Validate a single file
    * @param {Object} file - File object from multer or File API
    * @param {string} userId - User ID for duplicate checking
+   * @param {Object} options - { codeDocuments } accepts source files (e.g. .js, .py) as plain
+   *   text documents; they are otherwise rejected as executable
    * @returns {Promise<ValidationResult>}
    */
-  async validateFile(file, userId = null) {
+  async validateFile(file, userId = null, options = {}) {
     const result = {
       isValid: true,
       errors: [],
@@ -90,12 +179,12 @@ class FileValidationService {
       if (!result.isValid) return result;
 
       // Step 2: Security validation
-      await this.validateSecurity(file, result);
+      await this.validateSecurity(file, result, options);
       
       if (!result.isValid) return result;
 
       // Step 3: File type and MIME validation
-      await this.validateFileType(file, result);
+      await this.validateFileType(file, result, options);
       
       if (!result.isValid) return result;
 
@@ -136,9 +225,12 @@ class FileValidationService {
    * Validate a batch of files
    * @param {Array} files - Array of file objects
    * @param {string} userId - User ID for duplicate checking
+   * @param {Object} options - Validation options applied to every file, see validateFile
    * @returns {Promise<BatchValidationResult>}
    */
-  async validateBatch(files, userId = null) {
+  async validateBatch(files, userId = null, options = {}) {
+    // Archives expand into more files than a batch upload may hold; their limits are checked on extraction
+    const { maxBatchSize = this.config.maxBatchSize, maxTotalBatchSize = this.config.maxTotalBatchSize } = options;
     const result = {
       isValid: true,
       totalFiles: files.length,
@@ -162,9 +254,9 @@ class FileValidationService {
         return result;
       }
 
-      if (files.length > this.config.maxBatchSize) {
+      if (files.length > maxBatchSize) {
         result.isValid = false;
-        result.errors.push(`Too many files. Maximum ${this.config.maxBatchSize} files allowed per batch`);
+        result.errors.push(`Too many files. Maximum ${maxBatchSize} files allowed per batch`);
         return result;
       }
 
@@ -172,16 +264,16 @@ class FileValidationService {
       const totalSize = files.reduce((sum, file) => sum + (file.size || 0), 0);
       result.batchInfo.totalSize = totalSize;
 
-      if (totalSize > this.config.maxTotalBatchSize) {
+      if (totalSize > maxTotalBatchSize) {
         result.isValid = false;
-        result.errors.push(`Batch too large. Maximum total size is ${this.formatFileSize(this.config.maxTotalBatchSize)}`);
+        result.errors.push(`Batch too large. Maximum total size is ${this.formatFileSize(maxTotalBatchSize)}`);
         return result;
       }
 
       // Step 2: Validate each file individually
       const validationPromises = files.map(async (file, index) => {
         try {
-          const fileResult = await this.validateFile(file, userId);
+          const fileResult = await this.validateFile(file, userId, options);
           fileResult.batchIndex = index;
           
           if (fileResult.isValid) {
@@ -279,12 +371,15 @@ class FileValidationService {
   /**
    * Validate file security
    */
-  async validateSecurity(file, result) {
+  async validateSecurity(file, result, options = {}) {
     const filename = file.originalname || file.name;
     const extension = this.getFileExtension(filename).toLowerCase();
 
+    // Source files uploaded as code documents are stored and read as text, never executed
+    const isCodeDocument = this.isCodeDocument(filename, options);
+
     // Check for dangerous extensions
-    if (this.config.dangerousExtensions.includes(extension)) {
+    if (!isCodeDocument && this.config.dangerousExtensions.includes(extension)) {
       result.isValid = false;
       result.errors.push(`File type '${extension}' is not allowed for security reasons`);
       return;
@@ -292,7 +387,7 @@ class FileValidationService {
 
     // Check for suspicious patterns
     for (const pattern of this.config.suspiciousPatterns) {
-      if (pattern.test(filename)) {
+      if (!isCodeDocument && pattern.test(filename)) {
         result.isValid = false;
         result.errors.push(`Filename contains suspicious pattern and is not allowed`);
         return;
@@ -321,20 +416,19 @@ class FileValidationService {
   /**
    * Validate file type and MIME type
    */
-  async validateFileType(file, result) {
+  async validateFileType(file, result, options = {}) {
     const mimeType = file.mimetype || file.type;
     const filename = file.originalname || file.name;
     const extension = this.getFileExtension(filename).toLowerCase();
+    const typeConfig = this.getTypeConfig(file, options);
 
     // Check if MIME type is supported
-    if (!this.config.supportedTypes[mimeType]) {
+    if (!typeConfig) {
       result.isValid = false;
       result.errors.push(`File type '${mimeType}' is not supported. Supported types: ${this.getSupportedTypesDescription()}`);
       return;
     }
 
-    const typeConfig = this.config.supportedTypes[mimeType];
-
     // Check if extension matches MIME type
     if (!typeConfig.extensions.includes(extension)) {
       result.warnings.push(`File extension '${extension}' doesn't match MIME type '${mimeType}'`);
@@ -347,8 +441,7 @@ class FileValidationService {
    * Validate file size
    */
   async validateSize(file, result) {
-    const mimeType = file.mimetype || file.type;
-    const typeConfig = this.config.supportedTypes[mimeType];
+    const typeConfig = result.fileInfo.typeConfig;
     
     if (!typeConfig) return; // Already handled in validateFileType
 
@@ -377,17 +470,16 @@ class FileValidationService {
     }
 
     try {
-      const mimeType = file.mimetype || file.type;
-      const typeConfig = this.config.supportedTypes[mimeType];
+      const typeConfig = result.fileInfo.typeConfig;
       
-      if (!typeConfig || typeConfig.magicNumbers.length === 0) {
+      if (!typeConfig || (typeConfig.magicNumbers.length === 0 && !typeConfig.textOnly)) {
         return; // No magic number validation for this type
       }
 
-      // Read first 20 bytes for magic number validation
-      const buffer = Buffer.alloc(20);
+      // Read the first bytes for magic number and binary content validation
+      const buffer = Buffer.alloc(512);
       const fd = fs.openSync(file.path, 'r');
-      const bytesRead = fs.readSync(fd, buffer, 0, 20, 0);
+      const bytesRead = fs.readSync(fd, buffer, 0, 512, 0);
       fs.closeSync(fd);
 
       if (bytesRead === 0) {
@@ -396,10 +488,16 @@ class FileValidationService {
         return;
       }
 
+      if (typeConfig.textOnly && buffer.slice(0, bytesRead).includes(0)) {
+        result.isValid = false;
+        result.errors.push(`File content doesn't match expected format for ${typeConfig.description}`);
+        return;
+      }
+
       const fileHeader = buffer.slice(0, bytesRead).toString();
       
       // Check if file header matches expected magic numbers
-      const hasValidMagicNumber = typeConfig.magicNumbers.some(magic => 
+      const hasValidMagicNumber = typeConfig.magicNumbers.length === 0 || typeConfig.magicNumbers.some(magic => 
         fileHeader.startsWith(magic)
       );
 
@@ -415,6 +513,45 @@ class FileValidationService {
     }
   }
 
+  /**
+   * Whether a file is accepted as a code document
+   */
+  isCodeDocument(filename, options = {}) {
+    return Boolean(options.codeDocuments) && codeChunkingService.isSourceFile(filename);
+  }
+
+  /**
+   * Type configuration a file is validated against: code documents by extension whatever
+   * MIME type the browser sent, other files by MIME type, falling back to the extension
+   * for generic MIME types
+   * @returns {Object|null} Type configuration, null when the file type is not supported
+   */
+  getTypeConfig(file, options = {}) {
+    const mimeType = file.mimetype || file.type || '';
+    const filename = file.originalname || file.name;
+    const extension = this.getFileExtension(filename);
+
+    if (this.isCodeDocument(filename, options)) {
+      return {
+        extensions: codeChunkingService.getExtensions(),
+        maxSize: ConfigurationManager.get('codeDocuments.maxFileSize', 2 * 1024 * 1024),
+        magicNumbers: [],
+        textOnly: true,
+        description: 'Source Code Document'
+      };
+    }
+
+    if (this.config.supportedTypes[mimeType]) {
+      return this.config.supportedTypes[mimeType];
+    }
+
+    if (GENERIC_MIME_TYPES.includes(mimeType)) {
+      return Object.values(this.config.supportedTypes).find(type => type.extensions.includes(extension)) || null;
+    }
+
+    return null;
+  }
+
   /**
    * Check for duplicate files
    */
@@ -510,8 +647,7 @@ class FileValidationService {
    * Get description of supported file types
    */
   getSupportedTypesDescription() {
-    return Object.values(this.config.supportedTypes)
-      .map(type => type.description)
+    return [...new Set(Object.values(this.config.supportedTypes).map(type => type.description))]
       .join(', ');
   }
 
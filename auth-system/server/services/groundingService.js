@@ -0,0 +1,239 @@
+const ConfigurationManager = require('./ConfigurationManager');
+const advancedDocumentService = require('./advancedDocumentService');
+const answerProfileService = require('./answerProfileService');
+const responseFormatter = require('./responseFormatter');
+
+const SECTION_HEADING = /^[A-Z][A-Z &]+:$/;
+const CITATION_LINE = /^-?\s*(?:Resource:\s*)?[^|]+\|\s*Chunk\s+\d+/i;
+const CITATION_REF = /([^\s|"]+\.[A-Za-z0-9]{2,5})\s*\|\s*Chunk\s+(\d+)/g;
+const QUOTED_TEXT = /["“]([^"”]{12,})["”]/g;
+const STOP_WORDS = new Set([
+  'about', 'above', 'after', 'also', 'been', 'before', 'being', 'both', 'does', 'each', 'from',
+  'have', 'into', 'more', 'most', 'must', 'only', 'other', 'over', 'shall', 'should', 'some',
+  'such', 'than', 'that', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'those',
+  'under', 'upon', 'what', 'when', 'where', 'which', 'while', 'will', 'with', 'would', 'your',
+  'document', 'documents', 'according', 'states', 'provided'
+]);
+
+const normalize = (text) => text
+  .toLowerCase()
+  .replace(/[“”]/g, '"')
+  .replace(/[‘’]/g, "'")
+  .replace(/(?:\.\.\.|…)\s*$/, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const contentWords = (text) => normalize(text)
+  .split(/[^a-z0-9§$%.-]+/)
+  .map(word => word.replace(/^[.-]+|[.-]+$/g, ''))
+  .filter(word => word.length > 3 && !STOP_WORDS.has(word));
+
+const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+};
+
+/**
+ * Post-generation check that an answer is supported by the chunks it was built from.
+ *
+ * The answer is split into claims (sentences and quoted excerpts). Quoted text must
+ * appear verbatim in a cited chunk; other claims are matched by embedding similarity,
+ * or by content-word overlap when no embedding model is available. Claims that match
+ * nothing are reported as unsupported so the client can flag them inline.
+ */
+class GroundingService {
+  get config() {
+    return ConfigurationManager.getServiceConfig('grounding');
+  }
+
+  /**
+   * Split an answer into checkable claims, skipping headings, citation lines and the disclaimer
+   * @param {string} response - Formatted answer
+   * @param {string|Object} answerProfile - Answer profile the answer was formatted with
+   * @returns {Array<string>} Claims, each an exact substring of the answer
+   */
+  extractClaims(response, answerProfile) {
+    const profile = answerProfileService.get(answerProfile);
+    const citations = answerProfileService.getSection(profile, 'citations');
+    const marker = responseFormatter.getDisclaimerMarker(profile);
+
+    let body = response.split(`${citations.heading}:`)[0];
+    if (profile.disclaimer) {
+      body = body.replace(profile.disclaimer, '');
+    }
+
+    const claims = [];
+
+    for (const rawLine of body.split('\n')) {
+      const line = rawLine.trim();
+      if (!line || SECTION_HEADING.test(line) || (marker && line.startsWith(marker)) || (CITATION_LINE.test(line) && !/["“]/.test(line))) {
+        continue;
+      }
+
+      // Excerpt lines are checked as a whole; prose is checked sentence by sentence
+      const sentences = /^Excerpt:/i.test(line) ? [line] : (line.match(/[^.!?]+(?:[.!?]+["”')\]]*|$)/g) || []);
+
+      for (const sentence of sentences) {
+        const claim = sentence.replace(/^[-*•\d.)\s]+/, '').trim();
+        const hasQuote = new RegExp(QUOTED_TEXT.source).test(claim);
+        if (hasQuote || claim.split(/\s+/).length >= this.config.minClaimWords) {
+          claims.push(claim);
+        }
+      }
+    }
+
+    return claims.slice(0, this.config.maxClaims);
+  }
+
+  /**
+   * Context blocks the answer cites by "file | Chunk N", falling back to files it names, then to all blocks
+   * @param {string} response - Formatted answer
+   * @param {Array} contextBlocks - Blocks used to build the prompt
+   * @returns {Array} Cited blocks
+   */
+  findCitedBlocks(response, contextBlocks) {
+    const references = new Set([...response.matchAll(CITATION_REF)].map(match => `${match[1]}#${match[2]}`));
+
+    const byReference = contextBlocks.filter(block => references.has(`${block.source}#${block.chunkIndex}`));
+    if (byReference.length > 0) {
+      return byReference;
+    }
+
+    const byName = contextBlocks.filter(block => response.includes(block.source));
+    return byName.length > 0 ? byName : contextBlocks;
+  }
+
+  /**
+   * Check every claim in an answer against the context it cites
+   * @param {string} response - Formatted answer
+   * @param {Array} contextBlocks - Blocks used to build the prompt ({ source, chunkIndex, text })
+   * @param {string|Object} answerProfile - Answer profile the answer was formatted with
+   * @returns {Promise<Object|null>} { checked, supported, unsupported, groundedRatio, method, claims }, or null when disabled
+   */
+  async verify(response, contextBlocks = [], answerProfile) {
+    if (!this.config.enabled || !response || contextBlocks.length === 0) {
+      return null;
+    }
+
+    const citedBlocks = this.findCitedBlocks(response, contextBlocks);
+    const claimTexts = this.extractClaims(response, answerProfile);
+    const claimQuotes = claimTexts.map(text => [...text.matchAll(QUOTED_TEXT)].map(match => match[1]));
+    const paraphrased = claimTexts.filter((text, index) => claimQuotes[index].length === 0);
+
+    // Claims and chunks are embedded together; one missing embedding means the model is unavailable
+    const [claimEmbeddings, blockEmbeddings] = paraphrased.length > 0
+      ? await Promise.all([
+        Promise.all(paraphrased.map(text => advancedDocumentService.generateEmbedding(text))),
+        Promise.all(citedBlocks.map(block => advancedDocumentService.generateEmbedding(block.text)))
+      ])
+      : [[], []];
+    const embeddingsAvailable = claimEmbeddings.every(Boolean);
+    const embeddingByBlock = new Map(citedBlocks.map((block, index) => [block, blockEmbeddings[index]]));
+
+    const claims = claimTexts.map((text, index) => {
+      // A claim naming a file is only checked against that file's chunks
+      const named = citedBlocks.filter(block => text.includes(block.source));
+      const candidates = named.length > 0 ? named : citedBlocks;
+
+      if (claimQuotes[index].length > 0) {
+        return this.checkQuotes(text, claimQuotes[index], candidates);
+      }
+
+      if (!embeddingsAvailable) {
+        return this.checkOverlap(text, candidates);
+      }
+
+      const claimEmbedding = claimEmbeddings[paraphrased.indexOf(text)];
+      let best = { score: 0, block: null };
+      for (const block of candidates) {
+        const blockEmbedding = embeddingByBlock.get(block);
+        const score = blockEmbedding ? cosineSimilarity(claimEmbedding, blockEmbedding) : 0;
+        if (score > best.score) {
+          best = { score, block };
+        }
+      }
+
+      return this.buildClaim(text, best.score >= this.config.similarityThreshold, 'embedding', best.score, best.block);
+    });
+
+    const supported = claims.filter(claim => claim.supported).length;
+
+    return {
+      checked: claims.length,
+      supported: supported,
+      unsupported: claims.length - supported,
+      groundedRatio: claims.length > 0 ? Math.round((supported / claims.length) * 100) / 100 : 1,
+      method: embeddingsAvailable ? 'embedding' : 'lexical',
+      claims: claims
+    };
+  }
+
+  /**
+   * Quoted text must appear in a chunk, either in full or as the excerpt shown for it
+   * @param {string} text - Claim
+   * @param {Array<string>} quotes - Quoted passages in the claim
+   * @param {Array} blocks - Candidate blocks
+   * @returns {Object} Claim result
+   */
+  checkQuotes(text, quotes, blocks) {
+    let source = null;
+
+    const allFound = quotes.every(quote => {
+      const needle = normalize(quote);
+      const block = blocks.find(candidate =>
+        normalize(candidate.text).includes(needle) ||
+        normalize(responseFormatter.extractQuotedText(candidate.text)).includes(needle)
+      );
+      source = source || block;
+      return !!block;
+    });
+
+    return this.buildClaim(text, allFound, 'quote', allFound ? 1 : 0, allFound ? source : null);
+  }
+
+  /**
+   * Fallback when embeddings are unavailable: share of the claim's content words found in a chunk
+   * @param {string} text - Claim
+   * @param {Array} blocks - Candidate blocks
+   * @returns {Object} Claim result
+   */
+  checkOverlap(text, blocks) {
+    const words = [...new Set(contentWords(text))];
+    let best = { score: 0, block: null };
+
+    if (words.length > 0) {
+      for (const block of blocks) {
+        const blockWords = new Set(contentWords(block.text));
+        const score = words.filter(word => blockWords.has(word)).length / words.length;
+        if (score > best.score) {
+          best = { score, block };
+        }
+      }
+    }
+
+    return this.buildClaim(text, best.score >= this.config.lexicalThreshold, 'lexical', best.score, best.block);
+  }
+
+  /**
+   * Claim record returned to clients
+   * @returns {Object} { text, supported, method, score, source }
+   */
+  buildClaim(text, supported, method, score, block) {
+    return {
+      text: text,
+      supported: supported,
+      method: method,
+      score: Math.round(score * 100) / 100,
+      source: block ? { fileName: block.source, chunkIndex: block.chunkIndex } : null
+    };
+  }
+}
+
+module.exports = new GroundingService();
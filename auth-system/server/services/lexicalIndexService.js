@@ -0,0 +1,245 @@
+const database = require('../config/database');
+const { buildSqlFilter } = require('../utils/metadataFilter');
+
+/**
+ * Keyword (BM25) index over document chunks using SQLite FTS5.
+ *
+ * Complements dense retrieval for exact identifiers (statute numbers, invoice IDs,
+ * error codes) that embeddings tend to blur. Chunks are stored per user namespace
+ * in `document_chunks` with the same chunk IDs as the vector store, so results
+ * from both retrievers can be fused by ID. Metadata filters are applied in SQL,
+ * before ranked results are limited.
+ */
+class LexicalIndexService {
+  constructor() {
+    this.insertBatchSize = 100;
+
+    // Test mode flag to suppress console logging
+    this.testMode = process.env.NODE_ENV === 'test' || process.env.JEST_WORKER_ID !== undefined;
+  }
+
+  /**
+   * Helper method for conditional logging
+   * @param {string} message - Message to log
+   * @param {string} level - Log level (log, warn, error)
+   */
+  log(message, level = 'log') {
+    if (!this.testMode) {
+      console[level](message);
+    }
+  }
+
+  isAvailable() {
+    return !!database.getDb();
+  }
+
+  run(query, params = []) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      db.run(query, params, function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  }
+
+  all(query, params = []) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      db.all(query, params, (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  }
+
+  /**
+   * Index (or re-index) chunks for a user namespace
+   * @param {string} namespace - User's Pinecone ID
+   * @param {Array<{id: string, text: string, metadata: Object}>} chunks - Chunks to index
+   * @returns {Promise<number>} Number of chunks indexed
+   */
+  async indexChunks(namespace, chunks) {
+    if (!this.isAvailable() || chunks.length === 0) {
+      return 0;
+    }
+
+    for (let start = 0; start < chunks.length; start += this.insertBatchSize) {
+      const batch = chunks.slice(start, start + this.insertBatchSize);
+      const placeholders = batch.map(() => '(?, ?, ?, ?, ?, ?, ?)').join(', ');
+      const params = [];
+
+      batch.forEach(chunk => {
+        const { text, ...metadata } = chunk.metadata || {};
+        params.push(
+          namespace,
+          chunk.id,
+          metadata.documentId || null,
+          metadata.fileName || 'Unknown',
+          metadata.chunkIndex || 0,
+          chunk.text,
+          JSON.stringify(metadata)
+        );
+      });
+
+      await this.run(
+        `INSERT INTO document_chunks (namespace, chunk_id, document_id, file_name, chunk_index, text, metadata)
+         VALUES ${placeholders}
+         ON CONFLICT(namespace, chunk_id) DO UPDATE SET
+           document_id = excluded.document_id,
+           file_name = excluded.file_name,
+           chunk_index = excluded.chunk_index,
+           text = excluded.text,
+           metadata = excluded.metadata`,
+        params
+      );
+    }
+
+    this.log(`✅ Indexed ${chunks.length} chunks for keyword search in ${namespace}`);
+    return chunks.length;
+  }
+
+  /**
+   * Build an FTS5 MATCH expression from free text.
+   * Each whitespace-separated token becomes a quoted term; tokens made of several
+   * word parts (e.g. "INV-2023-0042", "§12.3(b)") become phrases so the parts must
+   * appear adjacently. Terms are OR-ed and BM25 rewards chunks matching more of them.
+   * @param {string} query - User query
+   * @returns {string|null} MATCH expression, or null if the query has no searchable terms
+   */
+  buildMatchQuery(query) {
+    const terms = new Set();
+
+    (query || '').split(/\s+/).forEach(token => {
+      const parts = token.toLowerCase().match(/[\p{L}\p{N}]+/gu);
+      if (parts) {
+        terms.add(`"${parts.join(' ')}"`);
+      }
+    });
+
+    return terms.size > 0 ? Array.from(terms).join(' OR ') : null;
+  }
+
+  /**
+   * BM25 search over a user's chunks
+   * @param {string} namespace - User's Pinecone ID
+   * @param {string} query - Search query
+   * @param {number} topK - Maximum number of matches
+   * @param {Object} filter - Pinecone-style metadata filter
+   * @returns {Promise<Object>} { matches: [{ id, score, metadata }] } with the best match first
+   */
+  async search(namespace, query, topK = 10, filter = {}) {
+    const matchQuery = this.buildMatchQuery(query);
+
+    if (!this.isAvailable() || !matchQuery) {
+      return { matches: [] };
+    }
+
+    try {
+      const metadataFilter = buildSqlFilter(filter, {
+        metadataColumn: 'c.metadata',
+        columns: { documentId: 'c.document_id' }
+      });
+
+      const rows = await this.all(
+        `SELECT c.chunk_id, c.text, c.metadata, bm25(document_chunks_fts) AS rank
+         FROM document_chunks_fts
+         JOIN document_chunks c ON c.id = document_chunks_fts.rowid
+         WHERE document_chunks_fts MATCH ? AND c.namespace = ? AND ${metadataFilter.sql}
+         ORDER BY rank
+         LIMIT ?`,
+        [matchQuery, namespace, ...metadataFilter.params, topK]
+      );
+
+      const matches = rows
+        .map(row => ({
+          id: row.chunk_id,
+          // FTS5 bm25() is negative, lower is better
+          score: -row.rank,
+          metadata: {
+            ...(row.metadata ? JSON.parse(row.metadata) : {}),
+            text: row.text,
+            userId: namespace
+          }
+        }));
+
+      return { matches };
+    } catch (error) {
+      this.log(`❌ Keyword search failed for ${namespace}: ${error.message}`, 'error');
+      return { matches: [] };
+    }
+  }
+
+  /**
+   * Remove all indexed chunks of a document
+   * @param {string} namespace - User's Pinecone ID
+   * @param {number} documentId - Document record id the chunks were indexed with
+   * @returns {Promise<number>} Number of chunks removed
+   */
+  async deleteDocument(namespace, documentId) {
+    if (!this.isAvailable()) {
+      return 0;
+    }
+
+    return this.run('DELETE FROM document_chunks WHERE namespace = ? AND document_id = ?', [namespace, documentId]);
+  }
+
+  /**
+   * Remove the chunks of a file indexed without a document id
+   * @param {string} namespace - User's Pinecone ID
+   * @param {string} fileName - File name the chunks were indexed under
+   * @returns {Promise<number>} Number of chunks removed
+   */
+  async deleteFileChunks(namespace, fileName) {
+    if (!this.isAvailable()) {
+      return 0;
+    }
+
+    return this.run('DELETE FROM document_chunks WHERE namespace = ? AND file_name = ? AND document_id IS NULL', [namespace, fileName]);
+  }
+
+  /**
+   * Remove indexed chunks by id
+   * @param {string} namespace - User's Pinecone ID
+   * @param {Array<string>} chunkIds - Chunk ids
+   * @returns {Promise<number>} Number of chunks removed
+   */
+  async deleteChunks(namespace, chunkIds) {
+    if (!this.isAvailable() || chunkIds.length === 0) {
+      return 0;
+    }
+
+    let removed = 0;
+    for (let i = 0; i < chunkIds.length; i += 500) {
+      const batch = chunkIds.slice(i, i + 500);
+      removed += await this.run(
+        `DELETE FROM document_chunks WHERE namespace = ? AND chunk_id IN (${batch.map(() => '?').join(', ')})`,
+        [namespace, ...batch]
+      );
+    }
+    return removed;
+  }
+
+  /**
+   * Remove every indexed chunk for a user
+   * @param {string} namespace - User's Pinecone ID
+   * @returns {Promise<number>} Number of chunks removed
+   */
+  async removeAllUserChunks(namespace) {
+    if (!this.isAvailable()) {
+      return 0;
+    }
+
+    return this.run('DELETE FROM document_chunks WHERE namespace = ?', [namespace]);
+  }
+}
+
+module.exports = new LexicalIndexService();
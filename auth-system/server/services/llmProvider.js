@@ -0,0 +1,175 @@
+const OpenAI = require('openai');
+const ConfigurationManager = require('./ConfigurationManager');
+
+const PLACEHOLDER_API_KEYS = ['your-openai-api-key-here'];
+
+/**
+ * Shared language model provider for chat completions, embeddings and titles.
+ *
+ * Talks to OpenAI or to any server exposing the OpenAI REST API (llama.cpp
+ * server, Ollama, vLLM). Model names, timeouts and token limits come from the
+ * active provider's entry in the `llm` configuration, so callers only pass
+ * messages and sampling parameters.
+ */
+class LLMProvider {
+  constructor() {
+    this.client = null;
+    this.clientSignature = null;
+  }
+
+  get config() {
+    return ConfigurationManager.getServiceConfig('llm');
+  }
+
+  get providerName() {
+    return this.config.provider;
+  }
+
+  /**
+   * Settings for a provider
+   * @param {string} name - Provider name, defaults to the active provider
+   * @returns {Object|null} Provider settings, or null if the name is unknown
+   */
+  getProviderConfig(name = this.providerName) {
+    return (this.config.providers || {})[name] || null;
+  }
+
+  /**
+   * Check whether the active provider has what it needs to accept requests
+   * @returns {boolean} True if a client can be created
+   */
+  isConfigured() {
+    const providerConfig = this.getProviderConfig();
+    if (!providerConfig) {
+      return false;
+    }
+
+    if (providerConfig.requiresApiKey) {
+      return !!providerConfig.apiKey && !PLACEHOLDER_API_KEYS.includes(providerConfig.apiKey);
+    }
+
+    return !!providerConfig.baseURL;
+  }
+
+  /**
+   * OpenAI SDK client for the active provider; rebuilt when its settings change
+   * @returns {OpenAI} Client instance
+   */
+  getClient() {
+    if (!this.isConfigured()) {
+      throw new Error(`LLM provider "${this.providerName}" is not configured`);
+    }
+
+    const { apiKey, baseURL, timeout, maxRetries } = this.getProviderConfig();
+    const signature = JSON.stringify([this.providerName, apiKey, baseURL, timeout, maxRetries]);
+
+    if (!this.client || this.clientSignature !== signature) {
+      this.client = new OpenAI({
+        // Local servers usually ignore the key, but the SDK requires one
+        apiKey: apiKey || 'not-needed',
+        baseURL: baseURL || undefined,
+        timeout: timeout,
+        maxRetries: maxRetries,
+        defaultHeaders: {
+          'User-Agent': 'DocumentChatSystem/1.0'
+        }
+      });
+      this.clientSignature = signature;
+    }
+
+    return this.client;
+  }
+
+  /**
+   * Create a chat completion with the active provider's model and token limit.
+   * Accepts the OpenAI request shape, including `stream: true`.
+   * @param {Object} request - { messages, temperature, max_tokens, ... }
+   * @param {Object} options - { signal } to abort the request
+   * @returns {Promise<Object>} Completion, or an async iterable of chunks when streaming
+   */
+  async createChatCompletion(request, options = {}) {
+    const providerConfig = this.getProviderConfig();
+    const maxTokens = Math.min(request.max_tokens || providerConfig.maxTokens, providerConfig.maxTokens);
+
+    const body = {
+      ...request,
+      model: request.model || providerConfig.chatModel,
+      max_tokens: maxTokens
+    };
+
+    // OpenAI-compatible servers do not all accept stream_options
+    if (body.stream && !providerConfig.supportsStreamUsage) {
+      delete body.stream_options;
+    }
+
+    return this.getClient().chat.completions.create(body, options.signal ? { signal: options.signal } : undefined);
+  }
+
+  /**
+   * Create an embedding with the active provider's embedding model
+   * @param {string} input - Text to embed
+   * @param {Object} options - Extra request fields (e.g. dimensions)
+   * @returns {Promise<Object>} Embedding response
+   */
+  async createEmbedding(input, options = {}) {
+    return this.getClient().embeddings.create({
+      model: this.getProviderConfig().embeddingModel,
+      input: input,
+      // The SDK defaults to base64, which not every compatible server implements
+      encoding_format: 'float',
+      ...options
+    });
+  }
+
+  /**
+   * Generate a short conversation title
+   * @param {string} query - First user message
+   * @param {string} response - First assistant answer
+   * @returns {Promise<string>} Title; throws so callers can apply their own fallback
+   */
+  async generateTitle(query, response) {
+    const completion = await this.createChatCompletion({
+      messages: [
+        {
+          role: 'system',
+          content: 'Create a concise, descriptive title (maximum 6 words) for this conversation. Focus on the main topic. Return only the title.'
+        },
+        {
+          role: 'user',
+          content: `Question: ${query.substring(0, 200)}\nAnswer: ${response.substring(0, 300)}`
+        }
+      ],
+      temperature: 0.3,
+      max_tokens: 20
+    });
+
+    const title = (completion.choices?.[0]?.message?.content || '')
+      .replace(/['"]/g, '')
+      .replace(/\.$/, '')
+      .substring(0, 50)
+      .trim();
+
+    if (!title) {
+      throw new Error('LLM provider returned an empty title');
+    }
+
+    return title;
+  }
+
+  // Health check
+  getStatus() {
+    const providerConfig = this.getProviderConfig() || {};
+
+    return {
+      provider: this.providerName,
+      configured: this.isConfigured(),
+      baseURL: providerConfig.baseURL || 'https://api.openai.com/v1',
+      chatModel: providerConfig.chatModel,
+      embeddingModel: providerConfig.embeddingModel,
+      timeout: providerConfig.timeout,
+      maxTokens: providerConfig.maxTokens
+    };
+  }
+}
+
+module.exports = new LLMProvider();
@@ -0,0 +1,543 @@
+const database = require('../config/database');
+const { matchesFilter } = require('../utils/metadataFilter');
+
+/**
+ * Embedded vector store persisted in the application's SQLite database.
+ *
+ * Mirrors the public surface of pineconeService (storeDocuments, searchDocuments,
+ * deleteDocument, removeAllUserVectors, ...) so it can be used as a drop-in
+ * backend when Pinecone is unavailable, e.g. in air-gapped deployments and CI.
+ * Each user's Pinecone ID is used as the namespace, and search is an exact
+ * (flat) cosine-similarity scan over that namespace.
+ */
+class LocalVectorStore {
+  constructor() {
+    this.isEnabled = false;
+    this.embeddingModel = 'all-MiniLM-L6-v2';
+    this.embeddingDimension = 384;
+
+    // Decoded vectors per namespace, loaded lazily and invalidated on writes
+    this.namespaceCache = new Map();
+    this.maxCachedNamespaces = 50;
+
+    // Transactions share the one database connection, so they run one at a time
+    this.transactionQueue = Promise.resolve();
+
+    // Test mode flag to suppress console logging
+    this.testMode = process.env.NODE_ENV === 'test' || process.env.JEST_WORKER_ID !== undefined;
+
+    this.metrics = {
+      totalOperations: 0,
+      successfulOperations: 0,
+      failedOperations: 0,
+      avgResponseTime: 0
+    };
+  }
+
+  /**
+   * Helper method for conditional logging
+   * @param {string} message - Message to log
+   * @param {string} level - Log level (log, warn, error)
+   */
+  log(message, level = 'log') {
+    if (!this.testMode) {
+      console[level](message);
+    }
+  }
+
+  async initialize() {
+    if (!database.getDb()) {
+      this.log('⚠️ Database not connected, local vector store unavailable');
+      this.isEnabled = false;
+      return;
+    }
+
+    this.isEnabled = true;
+    this.log('✅ Local vector store initialized (SQLite)');
+  }
+
+  /**
+   * Run a write statement against the database
+   * @param {string} query - SQL query
+   * @param {Array} params - Query parameters
+   * @returns {Promise<number>} Number of affected rows
+   */
+  run(query, params = []) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      db.run(query, params, function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  }
+
+  /**
+   * Run a read statement against the database
+   * @param {string} query - SQL query
+   * @param {Array} params - Query parameters
+   * @returns {Promise<Array>} Result rows
+   */
+  all(query, params = []) {
+    const db = database.getDb();
+
+    return new Promise((resolve, reject) => {
+      db.all(query, params, (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  }
+
+  /**
+   * Run writes in a transaction that is rolled back if any of them fails
+   * @param {Function} work - Async function issuing the writes
+   * @returns {Promise<*>} Result of work
+   */
+  transaction(work) {
+    const result = this.transactionQueue.then(async () => {
+      await this.run('BEGIN');
+      try {
+        const value = await work();
+        await this.run('COMMIT');
+        return value;
+      } catch (error) {
+        await this.run('ROLLBACK');
+        throw error;
+      }
+    });
+
+    this.transactionQueue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Execute an operation while collecting basic metrics
+   * @param {Function} operation - Async operation to execute
+   * @param {string} operationName - Name used in error logs
+   * @returns {Promise<*>} Operation result
+   */
+  async executeOperation(operation, operationName = 'unknown') {
+    const startTime = Date.now();
+    this.metrics.totalOperations++;
+
+    try {
+      const result = await operation();
+      this.metrics.successfulOperations++;
+      return result;
+    } catch (error) {
+      this.metrics.failedOperations++;
+      this.log(`❌ Local vector store operation ${operationName} failed: ${error.message}`, 'error');
+      throw error;
+    } finally {
+      const responseTime = Date.now() - startTime;
+      this.metrics.avgResponseTime =
+        (this.metrics.avgResponseTime * (this.metrics.totalOperations - 1) + responseTime) / this.metrics.totalOperations;
+    }
+  }
+
+  encodeEmbedding(values) {
+    return Buffer.from(new Float32Array(values).buffer);
+  }
+
+  decodeEmbedding(buffer) {
+    const floats = new Float32Array(buffer.buffer, buffer.byteOffset, buffer.byteLength / Float32Array.BYTES_PER_ELEMENT);
+    return Array.from(floats);
+  }
+
+  // Generate a namespace name for a new user (same shape as dedicated Pinecone indexes)
+  generateUserIndexName(userData) {
+    const sanitizedFirstName = userData.firstName.toLowerCase().replace(/[^a-z0-9]/g, '');
+    const sanitizedLastName = userData.lastName.toLowerCase().replace(/[^a-z0-9]/g, '');
+    const timestamp = Date.now();
+    return `user-${sanitizedFirstName}-${sanitizedLastName}-${timestamp}`;
+  }
+
+  async createUserIndex(userData) {
+    // Namespaces are implicit; the first stored vector creates it
+    const namespace = this.generateUserIndexName(userData);
+    this.log(`✅ Created local vector namespace for user: ${namespace}`);
+    return namespace;
+  }
+
+  async updateUserMetadata(pineconeId, metadata) {
+    // User metadata lives in the users table when running locally
+    return;
+  }
+
+  async deleteUser(pineconeId) {
+    if (!this.isEnabled) {
+      this.log('⚠️ Local vector store disabled, skipping user deletion');
+      return;
+    }
+
+    try {
+      await this.run('DELETE FROM vector_embeddings WHERE namespace = ?', [pineconeId]);
+      this.namespaceCache.delete(pineconeId);
+      this.log(`✅ Deleted local vector namespace: ${pineconeId}`);
+    } catch (error) {
+      this.log(`❌ Failed to delete local vector namespace: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Load and cache all vectors for a namespace
+   * @param {string} namespace - User namespace
+   * @returns {Promise<Array>} Decoded vectors
+   */
+  async loadNamespace(namespace) {
+    if (this.namespaceCache.has(namespace)) {
+      return this.namespaceCache.get(namespace);
+    }
+
+    const rows = await this.all(
+      'SELECT id, embedding, metadata FROM vector_embeddings WHERE namespace = ?',
+      [namespace]
+    );
+
+    const vectors = rows.map(row => ({
+      id: row.id,
+      values: this.decodeEmbedding(row.embedding),
+      metadata: row.metadata ? JSON.parse(row.metadata) : {}
+    }));
+
+    // Keep the cache bounded by evicting the oldest namespace
+    if (this.namespaceCache.size >= this.maxCachedNamespaces) {
+      const oldestNamespace = this.namespaceCache.keys().next().value;
+      this.namespaceCache.delete(oldestNamespace);
+    }
+    this.namespaceCache.set(namespace, vectors);
+
+    return vectors;
+  }
+
+  async storeDocument(vector, userPineconeId) {
+    return this.storeDocuments([vector], userPineconeId);
+  }
+
+  async storeDocuments(vectors, userPineconeId) {
+    if (!this.isEnabled) {
+      this.log('⚠️ Local vector store disabled, skipping document storage');
+      return;
+    }
+
+    return await this.executeOperation(async () => {
+      // Check the whole batch before writing, so a bad vector stores nothing
+      const invalid = vectors.find(vector => !this.validateEmbedding(vector.values));
+      if (invalid) {
+        throw new Error(`Invalid embedding for vector ${invalid.id}: expected ${this.embeddingDimension} dimensions`);
+      }
+
+      const storedAt = new Date().toISOString();
+
+      try {
+        await this.transaction(async () => {
+          for (const vector of vectors) {
+            // Enforce user isolation by adding/overriding userId in metadata
+            const metadata = {
+              ...(vector.metadata || {}),
+              userId: userPineconeId,
+              storedAt
+            };
+
+            await this.run(
+              `INSERT INTO vector_embeddings (id, namespace, embedding, dimension, metadata)
+               VALUES (?, ?, ?, ?, ?)
+               ON CONFLICT(namespace, id) DO UPDATE SET
+                 embedding = excluded.embedding,
+                 dimension = excluded.dimension,
+                 metadata = excluded.metadata,
+                 updated_at = CURRENT_TIMESTAMP`,
+              [vector.id, userPineconeId, this.encodeEmbedding(vector.values), vector.values.length, JSON.stringify(metadata)]
+            );
+          }
+        });
+      } finally {
+        this.namespaceCache.delete(userPineconeId);
+      }
+
+      this.log(`✅ Stored ${vectors.length} vectors in local namespace ${userPineconeId}`);
+    }, 'storeDocuments');
+  }
+
+  async searchDocuments(queryVector, userPineconeId, filter = {}, topK = 5) {
+    if (!this.isEnabled) {
+      this.log('⚠️ Local vector store disabled, returning empty search results');
+      return { matches: [] };
+    }
+
+    return await this.executeOperation(async () => {
+      const vectors = await this.loadNamespace(userPineconeId);
+
+      const userIsolationFilter = {
+        ...filter,
+        type: { $ne: 'user-metadata' },
+        userId: userPineconeId
+      };
+
+      const matches = vectors
+        .filter(vector => matchesFilter(vector.metadata, userIsolationFilter))
+        .map(vector => ({
+          id: vector.id,
+          score: this.cosineSimilarity(queryVector, vector.values),
+          metadata: vector.metadata
+        }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, topK);
+
+      return { matches, namespace: userPineconeId };
+    }, 'searchDocuments');
+  }
+
+  async deleteDocument(vectorId, userPineconeId) {
+    if (!this.isEnabled) {
+      this.log('⚠️ Local vector store disabled, skipping document deletion');
+      return;
+    }
+
+    try {
+      await this.run('DELETE FROM vector_embeddings WHERE namespace = ? AND id = ?', [userPineconeId, vectorId]);
+      this.namespaceCache.delete(userPineconeId);
+      this.log(`✅ Document deleted from local namespace ${userPineconeId}: ${vectorId}`);
+    } catch (error) {
+      this.log('❌ Failed to delete document from local vector store:' + error.message, 'error');
+    }
+  }
+
+  async deleteDocuments(vectorIds, userPineconeId) {
+    if (!this.isEnabled || vectorIds.length === 0) {
+      return;
+    }
+
+    try {
+      for (let i = 0; i < vectorIds.length; i += 500) {
+        const batch = vectorIds.slice(i, i + 500);
+        await this.run(
+          `DELETE FROM vector_embeddings WHERE namespace = ? AND id IN (${batch.map(() => '?').join(', ')})`,
+          [userPineconeId, ...batch]
+        );
+      }
+      this.namespaceCache.delete(userPineconeId);
+      this.log(`✅ Deleted ${vectorIds.length} vectors from local namespace ${userPineconeId}`);
+    } catch (error) {
+      this.log('❌ Failed to delete documents from local vector store:' + error.message, 'error');
+    }
+  }
+
+  /**
+   * Stored vectors by ID, with their values
+   * @param {Array<string>} vectorIds - Vector IDs
+   * @param {string} userPineconeId - User namespace
+   * @returns {Promise<Array<Object>>} Vectors { id, values, metadata } that exist
+   */
+  async fetchDocuments(vectorIds, userPineconeId) {
+    if (!this.isEnabled || vectorIds.length === 0) {
+      return [];
+    }
+
+    return await this.executeOperation(async () => {
+      const wanted = new Set(vectorIds);
+      return (await this.loadNamespace(userPineconeId)).filter(vector => wanted.has(vector.id));
+    }, 'fetchDocuments');
+  }
+
+  /**
+   * IDs of all vectors in a namespace
+   * @param {string} userPineconeId - User namespace
+   * @param {string} [prefix] - Only ids starting with this
+   * @returns {Promise<Array<string>>}
+   */
+  async listVectorIds(userPineconeId, prefix) {
+    if (!this.isEnabled) {
+      return [];
+    }
+
+    return await this.executeOperation(async () => {
+      const rows = prefix
+        ? await this.all('SELECT id FROM vector_embeddings WHERE namespace = ? AND substr(id, 1, length(?)) = ?', [userPineconeId, prefix, prefix])
+        : await this.all('SELECT id FROM vector_embeddings WHERE namespace = ?', [userPineconeId]);
+      return rows.map(row => row.id);
+    }, 'listVectorIds');
+  }
+
+  async removeAllUserVectors(userPineconeId) {
+    if (!this.isEnabled) {
+      this.log('⚠️ Local vector store disabled, skipping vector removal');
+      return { vectorsRemoved: 0, success: true };
+    }
+
+    try {
+      const vectorsRemoved = await this.run('DELETE FROM vector_embeddings WHERE namespace = ?', [userPineconeId]);
+      this.namespaceCache.delete(userPineconeId);
+      this.log(`✅ Removed all vectors for user: ${userPineconeId}`);
+
+      return {
+        vectorsRemoved,
+        success: true,
+        message: `Removed all vectors for user ${userPineconeId}`
+      };
+    } catch (error) {
+      this.log(`❌ Failed to remove user vectors for ${userPineconeId}: ${error.message}`, 'error');
+
+      return {
+        vectorsRemoved: 0,
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  async cleanupUserData(userPineconeId) {
+    if (!this.isEnabled) {
+      return { success: true, message: 'Local vector store disabled' };
+    }
+
+    await this.deleteUser(userPineconeId);
+
+    return {
+      success: true,
+      message: `User data cleanup completed for ${userPineconeId}`,
+      cleanedIndexes: [userPineconeId]
+    };
+  }
+
+  async verifyUserDataCleanup(userPineconeId) {
+    if (!this.isEnabled) {
+      return { isClean: true, message: 'Local vector store disabled' };
+    }
+
+    try {
+      const rows = await this.all('SELECT COUNT(*) as count FROM vector_embeddings WHERE namespace = ?', [userPineconeId]);
+      const vectorCount = rows[0]?.count || 0;
+
+      return {
+        isClean: vectorCount === 0,
+        message: `Namespace ${userPineconeId} has ${vectorCount} vectors remaining`,
+        vectorCount
+      };
+    } catch (error) {
+      return {
+        isClean: false,
+        message: `Failed to verify cleanup: ${error.message}`,
+        error: error.message
+      };
+    }
+  }
+
+  // Helper method to list all user namespaces (for admin purposes)
+  async listUserIndexes() {
+    if (!this.isEnabled) {
+      return [];
+    }
+
+    try {
+      const rows = await this.all(
+        'SELECT namespace, COUNT(*) as vector_count FROM vector_embeddings GROUP BY namespace ORDER BY namespace'
+      );
+      return rows.map(row => ({ name: row.namespace, vectorCount: row.vector_count }));
+    } catch (error) {
+      this.log(`❌ Failed to list local namespaces: ${error.message}`, 'error');
+      return [];
+    }
+  }
+
+  // Helper method to get namespace statistics (same shape as Pinecone's describeIndex)
+  async getUserIndexStats(userPineconeId) {
+    if (!this.isEnabled) {
+      return null;
+    }
+
+    try {
+      const rows = await this.all('SELECT COUNT(*) as count FROM vector_embeddings WHERE namespace = ?', [userPineconeId]);
+      const vectorCount = rows[0]?.count || 0;
+
+      return {
+        name: userPineconeId,
+        dimension: this.embeddingDimension,
+        metric: 'cosine',
+        status: { ready: true, state: 'Ready', vectorCount },
+        vectorCount
+      };
+    } catch (error) {
+      this.log(`❌ Failed to get stats for local namespace ${userPineconeId}: ${error.message}`, 'error');
+      return null;
+    }
+  }
+
+  async getCleanupStatistics() {
+    const userIndexes = await this.listUserIndexes();
+
+    return {
+      totalUserIndexes: userIndexes.length,
+      indexNames: userIndexes.map(index => index.name),
+      lastUpdated: new Date().toISOString()
+    };
+  }
+
+  getEmbeddingModelInfo() {
+    return {
+      name: this.embeddingModel,
+      dimensions: this.embeddingDimension,
+      maxTokens: 512,
+      version: '1.0'
+    };
+  }
+
+  validateEmbedding(embedding) {
+    if (!Array.isArray(embedding)) {
+      return false;
+    }
+    return embedding.length === this.embeddingDimension;
+  }
+
+  /**
+   * Cosine similarity between two vectors
+   * @param {Array<number>} a - First vector
+   * @param {Array<number>} b - Second vector
+   * @returns {number} Similarity in [-1, 1]
+   */
+  cosineSimilarity(a, b) {
+    const length = Math.min(a.length, b.length);
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+
+    for (let i = 0; i < length; i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+
+    if (normA === 0 || normB === 0) {
+      return 0;
+    }
+
+    return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+  }
+
+  getConnectionPoolMetrics() {
+    return {
+      backend: 'local',
+      metrics: { ...this.metrics },
+      cachedNamespaces: this.namespaceCache.size
+    };
+  }
+
+  resetMetrics() {
+    this.metrics = {
+      totalOperations: 0,
+      successfulOperations: 0,
+      failedOperations: 0,
+      avgResponseTime: 0
+    };
+  }
+}
+
+module.exports = new LocalVectorStore();
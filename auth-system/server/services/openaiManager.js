@@ -1,4 +1,4 @@
-const OpenAI = require('openai');
+const llmProvider = require('./llmProvider');
 
 class OpenAIManager {
   constructor() {
@@ -13,30 +13,20 @@ class OpenAIManager {
 
   async initialize() {
     try {
-      // Validate API key
-      if (!process.env.OPENAI_API_KEY) {
-        throw new Error('OPENAI_API_KEY environment variable is required');
+      // Validate provider settings
+      if (!llmProvider.isConfigured()) {
+        const { issues } = OpenAIManager.validateConfiguration();
+        throw new Error(issues[0] || `LLM provider "${llmProvider.providerName}" is not configured`);
       }
 
-      if (process.env.OPENAI_API_KEY.length < 20) {
-        throw new Error('OPENAI_API_KEY appears to be invalid (too short)');
-      }
-
-      // Initialize OpenAI client with optimal configuration
-      this.client = new OpenAI({
-        apiKey: process.env.OPENAI_API_KEY,
-        timeout: 60000, // 60 second timeout
-        maxRetries: 3,
-        defaultHeaders: {
-          'User-Agent': 'DocumentChatSystem/1.0'
-        }
-      });
+      // Client for the configured provider (OpenAI or an OpenAI-compatible server)
+      this.client = llmProvider.getClient();
 
       // Test the connection
       await this.testConnection();
 
       this.isReady = true;
-      console.log('✅ OpenAI Manager initialized successfully');
+      console.log(`✅ OpenAI Manager initialized successfully (provider: ${llmProvider.providerName})`);
       
       return true;
     } catch (error) {
@@ -93,9 +83,7 @@ class OpenAIManager {
         throw new Error('Empty text provided for embedding');
       }
 
-      const response = await this.client.embeddings.create({
-        model: options.model || 'text-embedding-3-small',
-        input: cleanText,
+      const response = await llmProvider.createEmbedding(cleanText, {
         dimensions: options.dimensions || 384,
         ...options
       });
@@ -130,8 +118,7 @@ class OpenAIManager {
         throw new Error('Messages array is required and cannot be empty');
       }
 
-      const response = await this.client.chat.completions.create({
-        model: options.model || 'gpt-3.5-turbo',
+      const response = await llmProvider.createChatCompletion({
         messages: messages,
         temperature: options.temperature ?? 0.2,
         max_tokens: options.max_tokens || 1500,
@@ -158,31 +145,10 @@ class OpenAIManager {
     }
   }
 
-  async generateTitle(query, response, options = {}) {
+  async generateTitle(query, response) {
     try {
-      const messages = [
-        {
-          role: 'system',
-          content: 'Create a concise, descriptive title (maximum 6 words) for this conversation. Focus on the main topic. Return only the title.'
-        },
-        {
-          role: 'user',
-          content: `Question: ${query.substring(0, 200)}\nAnswer: ${response.substring(0, 300)}`
-        }
-      ];
-
-      const result = await this.createChatCompletion(messages, {
-        max_tokens: 20,
-        temperature: 0.3,
-        ...options
-      });
-
-      // Clean up the title
-      return result.message
-        .replace(/['"]/g, '')
-        .replace(/\.$/, '')
-        .substring(0, 50)
-        .trim();
+      this.updateRateLimit();
+      return await llmProvider.generateTitle(query, response);
 
     } catch (error) {
       console.error('❌ Title generation failed:', error.message);
@@ -219,20 +185,29 @@ class OpenAIManager {
     return {
       isReady: this.isReady,
       hasClient: !!this.client,
+      provider: llmProvider.getStatus(),
       rateLimitInfo: this.getRateLimitInfo()
     };
   }
 
-  // Utility method to check if OpenAI is properly configured
+  // Utility method to check if the LLM provider is properly configured
   static validateConfiguration() {
     const issues = [];
-
-    if (!process.env.OPENAI_API_KEY) {
-      issues.push('OPENAI_API_KEY environment variable is missing');
-    } else if (process.env.OPENAI_API_KEY.length < 20) {
-      issues.push('OPENAI_API_KEY appears to be invalid (too short)');
-    } else if (!process.env.OPENAI_API_KEY.startsWith('sk-')) {
-      issues.push('OPENAI_API_KEY should start with "sk-"');
+    const providerConfig = llmProvider.getProviderConfig();
+
+    if (!providerConfig) {
+      issues.push(`Unknown LLM_PROVIDER "${llmProvider.providerName}"`);
+    } else if (llmProvider.providerName === 'openai') {
+      const apiKey = providerConfig.apiKey;
+      if (!apiKey) {
+        issues.push('OPENAI_API_KEY environment variable is missing');
+      } else if (apiKey.length < 20) {
+        issues.push('OPENAI_API_KEY appears to be invalid (too short)');
+      } else if (!apiKey.startsWith('sk-')) {
+        issues.push('OPENAI_API_KEY should start with "sk-"');
+      }
+    } else if (!providerConfig.baseURL) {
+      issues.push('LLM_BASE_URL environment variable is missing');
     }
 
     return {
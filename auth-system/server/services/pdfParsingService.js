@@ -1,5 +1,6 @@
 const fs = require('fs');
 const pdfParse = require('pdf-parse');
+const { joinPages } = require('../utils/pageMap');
 
 /**
  * Enhanced PDF Parsing Service with robust error handling and fallback methods
@@ -14,7 +15,7 @@ class PDFParsingService {
   /**
    * Main PDF parsing method with comprehensive error handling
    * @param {Buffer|string} input - PDF buffer or file path
-   * @returns {Promise<string>} Extracted text content
+   * @returns {Promise<string>} Extracted text content, pages separated by a form feed (see utils/pageMap)
    */
   async extractText(input) {
     let buffer;
@@ -156,15 +157,23 @@ class PDFParsingService {
   /**
    * Core PDF parsing logic with timeout
    * @param {Buffer} buffer - PDF buffer
-   * @returns {Promise<string>} Extracted text
+   * @returns {Promise<string>} Extracted text, one form feed between pages
    */
   async parsePDFBuffer(buffer) {
+    // pdf-parse renders pages in order; keep each page's text so page boundaries survive
+    const pageTexts = [];
+
     // Create parsing promise
     const parsePromise = pdfParse(buffer, {
       max: 0, // Parse all pages
       version: 'v1.10.100', // Specify PDF.js version for compatibility
       normalizeWhitespace: true, // Clean up whitespace
-      disableCombineTextItems: false // Allow text combination for better readability
+      disableCombineTextItems: false, // Allow text combination for better readability
+      pagerender: async (pageData) => {
+        const text = await this.renderPage(pageData);
+        pageTexts[pageData.pageIndex] = text;
+        return text;
+      }
     });
 
     // Create timeout promise
@@ -185,20 +194,47 @@ class PDFParsingService {
       throw new Error('No text content extracted from PDF');
     }
 
-    // Clean and validate extracted text
-    const cleanText = data.text.trim();
-    if (cleanText.length === 0) {
+    // Pages that failed to render are kept as empty pages so later page numbers stay correct
+    const pages = Array.from({ length: data.numrender || pageTexts.length }, (_, index) => (pageTexts[index] || '').trim());
+    const cleanText = joinPages(pages);
+    if (cleanText.trim().length === 0) {
       throw new Error('PDF contains no readable text content');
     }
 
     // Log extraction details
     const pageCount = data.numpages || 'unknown';
-    const wordCount = cleanText.split(/\s+/).length;
+    const wordCount = cleanText.trim().split(/\s+/).length;
     console.log(`✅ PDF text extracted: ${cleanText.length} characters, ${wordCount} words, ${pageCount} pages`);
     
     return cleanText;
   }
 
+  /**
+   * Render one page's text the way pdf-parse does by default: text items on the
+   * same line are concatenated, a change of line starts a new line
+   * @param {Object} pageData - PDF.js page
+   * @returns {Promise<string>} Page text
+   */
+  async renderPage(pageData) {
+    const textContent = await pageData.getTextContent({
+      normalizeWhitespace: false,
+      disableCombineTextItems: false
+    });
+
+    let lastY;
+    let text = '';
+    for (const item of textContent.items) {
+      if (lastY === item.transform[5] || !lastY) {
+        text += item.str;
+      } else {
+        text += '\n' + item.str;
+      }
+      lastY = item.transform[5];
+    }
+
+    return text;
+  }
+
   /**
    * Check if error should not be retried
    * @param {Error} error - Error to check
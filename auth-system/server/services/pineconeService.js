@@ -996,6 +996,86 @@ class PineconeService {
     }
   }
 
+  async deleteDocuments(vectorIds, userPineconeId) {
+    if (!this.isEnabled || vectorIds.length === 0) {
+      return;
+    }
+
+    try {
+      const index = await this.getUserIndex(userPineconeId);
+      if (!index) {
+        this.log(`⚠️ User index not found: ${userPineconeId}`);
+        return;
+      }
+
+      for (let i = 0; i < vectorIds.length; i += 1000) {
+        await index.deleteMany(vectorIds.slice(i, i + 1000));
+      }
+      this.log(`✅ Deleted ${vectorIds.length} vectors from user index ${userPineconeId}`);
+    } catch (error) {
+      this.log('❌ Failed to delete documents from Pinecone:' + error.message, 'error');
+    }
+  }
+
+  /**
+   * Stored vectors by ID, with their values
+   * @param {Array<string>} vectorIds - Vector IDs
+   * @param {string} userPineconeId - User's index
+   * @returns {Promise<Array<Object>>} Vectors { id, values, metadata } that exist
+   */
+  async fetchDocuments(vectorIds, userPineconeId) {
+    if (!this.isEnabled || vectorIds.length === 0) {
+      return [];
+    }
+
+    return await this.executeWithConnectionPool(async () => {
+      const index = await this.getUserIndex(userPineconeId);
+      if (!index) {
+        this.log(`⚠️ User index not found: ${userPineconeId}`);
+        return [];
+      }
+
+      const vectors = [];
+      for (let i = 0; i < vectorIds.length; i += 100) {
+        const response = await index.fetch(vectorIds.slice(i, i + 100));
+        vectors.push(...Object.values(response.records || {}));
+      }
+      return vectors;
+    }, 'fetchDocuments');
+  }
+
+  /**
+   * IDs of all vectors in a user's index, including its user metadata record
+   * @param {string} userPineconeId - User's index
+   * @param {string} [prefix] - Only ids starting with this
+   * @returns {Promise<Array<string>>}
+   */
+  async listVectorIds(userPineconeId, prefix) {
+    if (!this.isEnabled) {
+      return [];
+    }
+
+    return await this.executeWithConnectionPool(async () => {
+      const index = await this.getUserIndex(userPineconeId);
+      if (!index) {
+        this.log(`⚠️ User index not found: ${userPineconeId}`);
+        return [];
+      }
+
+      const vectorIds = [];
+      let paginationToken;
+      do {
+        const page = await index.listPaginated({
+          ...(prefix ? { prefix } : {}),
+          ...(paginationToken ? { paginationToken } : {})
+        });
+        vectorIds.push(...(page.vectors || []).map(vector => vector.id));
+        paginationToken = page.pagination && page.pagination.next;
+      } while (paginationToken);
+      return vectorIds;
+    }, 'listVectorIds');
+  }
+
   // Helper method to list all user indexes (for admin purposes)
   async listUserIndexes() {
     if (!this.isEnabled) {
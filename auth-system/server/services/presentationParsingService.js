@@ -0,0 +1,208 @@
+const path = require('path');
+const ConfigurationManager = require('./ConfigurationManager');
+const { loadPackage, readPart, loadXml, readRelationships } = require('../utils/ooxmlPackage');
+
+const PRESENTATION_EXTENSIONS = ['.pptx'];
+const TITLE_PLACEHOLDERS = ['title', 'ctrTitle'];
+const NOTES_SLIDE_RELATIONSHIP = '/notesSlide';
+
+/**
+ * PowerPoint (.pptx) parsing.
+ *
+ * Slides are read in presentation order from their XML parts: the title placeholder,
+ * the text of every other shape and table, and the speaker notes. Each slide is chunked
+ * on its own, so chunks can be cited as "Slide 12".
+ */
+class PresentationParsingService {
+  get config() {
+    return ConfigurationManager.getServiceConfig('presentations');
+  }
+
+  /**
+   * Whether a file is parsed as a presentation
+   * @param {string} filePath - File path or name
+   * @returns {boolean}
+   */
+  isPresentation(filePath) {
+    return Boolean(filePath) && PRESENTATION_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+  }
+
+  /**
+   * Read every slide of a PPTX presentation
+   * @param {Buffer} buffer - PPTX file content
+   * @returns {Promise<Array<Object>>} Slides { slideNumber, title, body, notes } in presentation
+   *   order; body and notes are arrays of paragraphs
+   */
+  async parsePPTX(buffer) {
+    const zip = await loadPackage(buffer, 'ppt/presentation.xml', 'PPTX presentation');
+    const presentation = loadXml(await readPart(zip, 'ppt/presentation.xml'));
+    const relationships = await readRelationships(zip, 'ppt/presentation.xml');
+    const slideIds = presentation('p\\:sldIdLst > p\\:sldId').toArray();
+    const { maxSlides = 1000 } = this.config;
+
+    if (slideIds.length > maxSlides) {
+      throw new Error(`Presentation has more than ${maxSlides} slides`);
+    }
+
+    const slides = [];
+    for (const [index, slideId] of slideIds.entries()) {
+      const relationship = relationships.get(slideId.attribs['r:id']);
+      const slideXml = relationship ? await readPart(zip, relationship.target) : null;
+      if (!slideXml) {
+        continue;
+      }
+
+      const { title, body } = this.readSlide(loadXml(slideXml));
+      slides.push({
+        slideNumber: index + 1,
+        title,
+        body,
+        notes: await this.readNotes(zip, relationship.target)
+      });
+    }
+
+    return slides;
+  }
+
+  /**
+   * Title and body paragraphs of a slide
+   * @param {CheerioAPI} $ - Slide XML
+   * @returns {Object} { title, body }
+   */
+  readSlide($) {
+    const titles = [];
+    const body = [];
+
+    $('p\\:cSld p\\:spTree').find('p\\:sp, a\\:tbl').each((index, node) => {
+      if (node.name === 'a:tbl') {
+        body.push(...this.readTable($, node));
+        return;
+      }
+
+      const placeholderType = $(node).find('p\\:nvSpPr p\\:ph').attr('type');
+      const paragraphs = this.readParagraphs($, node);
+      if (TITLE_PLACEHOLDERS.includes(placeholderType)) {
+        titles.push(paragraphs.join(' '));
+      } else if (placeholderType !== 'sldNum') {
+        body.push(...paragraphs);
+      }
+    });
+
+    return { title: titles.filter(Boolean).join(' - ') || null, body };
+  }
+
+  /**
+   * Speaker notes of a slide, from the body placeholder of its notes slide
+   * @param {JSZip} zip - Package archive
+   * @param {string} slidePath - Slide part path
+   * @returns {Promise<Array<string>>} Notes paragraphs
+   */
+  async readNotes(zip, slidePath) {
+    const relationships = await readRelationships(zip, slidePath);
+    const notesRelationship = [...relationships.values()].find(relationship => relationship.type.endsWith(NOTES_SLIDE_RELATIONSHIP));
+    const notesXml = notesRelationship ? await readPart(zip, notesRelationship.target) : null;
+    if (!notesXml) {
+      return [];
+    }
+
+    const $ = loadXml(notesXml);
+    return $('p\\:sp').toArray()
+      .filter(node => $(node).find('p\\:nvSpPr p\\:ph').attr('type') === 'body')
+      .flatMap(node => this.readParagraphs($, node));
+  }
+
+  readParagraphs($, shapeNode) {
+    // Text runs and fields hold the text; line breaks within a paragraph become spaces
+    return $(shapeNode).find('p\\:txBody a\\:p').toArray()
+      .map(paragraph => $(paragraph).children().toArray()
+        .map(node => (node.name === 'a:br' ? ' ' : $(node).children('a\\:t').text()))
+        .join(''))
+      .map(text => text.replace(/\s+/g, ' ').trim())
+      .filter(Boolean);
+  }
+
+  readTable($, tableNode) {
+    return $(tableNode).find('a\\:tr').toArray()
+      .map(row => $(row).find('a\\:tc').toArray()
+        .map(cell => $(cell).find('a\\:t').toArray().map(node => $(node).text()).join(' ').replace(/\s+/g, ' ').trim())
+        .join(' | '))
+      .filter(row => row.replace(/[|\s]/g, ''));
+  }
+
+  /**
+   * Plain text of the slides, as stored on the document
+   * @param {Array<Object>} slides - Slides { slideNumber, title, body, notes }
+   * @returns {string}
+   */
+  slidesToText(slides) {
+    return slides
+      .map(slide => this.formatSlide(slide, slide.body, slide.notes))
+      .filter(Boolean)
+      .join('\n\n');
+  }
+
+  formatSlide(slide, body, notes) {
+    const lines = [slide.title ? `Slide ${slide.slideNumber}: ${slide.title}` : `Slide ${slide.slideNumber}`, ...body];
+    if (notes.length > 0) {
+      lines.push(`Speaker notes: ${notes.join(' ')}`);
+    }
+    return body.length > 0 || notes.length > 0 || slide.title ? lines.join('\n') : '';
+  }
+
+  /**
+   * One chunk per slide. Slides longer than the chunk size are split at paragraph
+   * boundaries, each part starting with the slide title; empty slides are skipped.
+   * @param {Array<Object>} slides - Slides { slideNumber, title, body, notes }
+   * @param {Object} options - { maxChunkSize }
+   * @returns {Array<Object>} Chunks { text, slideNumber, slideTitle }; slideTitle is null without a title
+   */
+  chunkSlides(slides, { maxChunkSize = this.config.maxChunkSize || 1500 } = {}) {
+    const chunks = [];
+
+    slides.forEach(slide => {
+      const text = this.formatSlide(slide, slide.body, slide.notes);
+      if (!text) {
+        return;
+      }
+      if (text.length <= maxChunkSize) {
+        chunks.push(this.createChunk(slide, text));
+        return;
+      }
+
+      // Speaker notes are packed after the body as their own paragraphs
+      const paragraphs = [
+        ...slide.body.map(paragraph => ({ paragraph, isNote: false })),
+        ...slide.notes.map(paragraph => ({ paragraph, isNote: true }))
+      ];
+      let body = [];
+      let notes = [];
+      const flush = () => {
+        chunks.push(this.createChunk(slide, this.formatSlide(slide, body, notes)));
+        body = [];
+        notes = [];
+      };
+
+      paragraphs.forEach(({ paragraph, isNote }) => {
+        const candidate = this.formatSlide(slide, isNote ? body : [...body, paragraph], isNote ? [...notes, paragraph] : notes);
+        if ((body.length > 0 || notes.length > 0) && candidate.length > maxChunkSize) {
+          flush();
+        }
+        (isNote ? notes : body).push(paragraph);
+      });
+
+      flush();
+    });
+
+    return chunks;
+  }
+
+  createChunk(slide, text) {
+    return {
+      text,
+      slideNumber: slide.slideNumber,
+      slideTitle: slide.title || null
+    };
+  }
+}
+
+module.exports = new PresentationParsingService();
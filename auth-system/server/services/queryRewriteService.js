@@ -0,0 +1,160 @@
+const ConfigurationManager = require('./ConfigurationManager');
+const llmProvider = require('./llmProvider');
+
+// Openers and references that only make sense next to earlier turns
+const FOLLOW_UP_OPENERS = /^(?:and what about|and how about|what about|how about|what of|same for|and|also|but|or|so|then)\b/i;
+// Pronouns only refer back when they open the question ("Is it binding?") or end it
+// ("what are the penalties for breaking it?"); mid-sentence they are usually standalone
+const REFERRING_WORDS = /^(?:it|its|it's|they|them|their|theirs|this|these|those|he|she|his|her|him)$/i;
+const LEADING_WORDS = 3;
+const TRAILING_REFERENCE = /\b(?:it|them|this|that|these|those|him|her)\s*[?.!]*$/i;
+const FORMER_OR_LATTER = /\b(?:the\s+)?(?:former|latter)\b/i;
+const ORDINALS = ['first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth', 'ninth', 'tenth'];
+const ORDINAL_REFERENCE = new RegExp(`\\b(?:the\\s+)?(${ORDINALS.join('|')}|last)\\s+(?:one|item|point|option|clause|section|document|case|party|issue)\\b`, 'i');
+const LIST_ITEM = /^\s*(?:\d+[.)]|[-*•])\s+(.+)$/gm;
+
+/**
+ * Condenses follow-up questions into standalone search queries.
+ *
+ * Retrieval only sees the latest message, so "and its penalties?" has to become
+ * "penalties for early termination of the lease" before it is embedded. Follow-ups
+ * are rewritten by the LLM provider from the recent turns; when that is disabled,
+ * unconfigured or fails, a heuristic folds the previous question into the query.
+ * Standalone questions are passed through unchanged.
+ */
+class QueryRewriteService {
+  get config() {
+    return ConfigurationManager.getServiceConfig('queryRewrite');
+  }
+
+  /**
+   * Check whether a query depends on the conversation so far
+   * @param {string} query - Latest user message
+   * @param {Array} conversationHistory - Previous messages
+   * @returns {boolean} True if the query looks like a follow-up
+   */
+  isFollowUp(query, conversationHistory = []) {
+    if (!conversationHistory.some(message => message.role === 'user')) {
+      return false;
+    }
+
+    const trimmed = query.trim();
+    const leadingWords = trimmed.split(/\s+/).slice(0, LEADING_WORDS).map(word => word.replace(/^[^\w']+|[^\w']+$/g, ''));
+
+    return FOLLOW_UP_OPENERS.test(trimmed) ||
+      leadingWords.some(word => REFERRING_WORDS.test(word)) ||
+      TRAILING_REFERENCE.test(trimmed) ||
+      FORMER_OR_LATTER.test(trimmed) ||
+      ORDINAL_REFERENCE.test(trimmed) ||
+      trimmed.split(/\s+/).length <= this.config.shortQueryWords;
+  }
+
+  /**
+   * Rewrite a follow-up into a standalone search query
+   * @param {string} query - Latest user message
+   * @param {Array} conversationHistory - Previous messages ({ role, content })
+   * @returns {Promise<Object>} { original, rewritten, method } where method is 'none', 'llm' or 'heuristic'
+   */
+  async rewrite(query, conversationHistory = []) {
+    const original = query.trim();
+    const unchanged = { original, rewritten: original, method: 'none' };
+
+    if (!this.config.enabled || !this.isFollowUp(original, conversationHistory)) {
+      return unchanged;
+    }
+
+    const recentTurns = conversationHistory.slice(-this.config.historyTurns);
+
+    if (this.config.useLLM && llmProvider.isConfigured()) {
+      try {
+        const rewritten = await this.rewriteWithLLM(original, recentTurns);
+        console.log(`✏️ Rewrote follow-up "${original}" as "${rewritten}"`);
+        return { original, rewritten, method: 'llm' };
+      } catch (error) {
+        console.warn('⚠️ LLM query rewrite failed, using heuristic rewrite:', error.message);
+      }
+    }
+
+    const rewritten = this.rewriteHeuristically(original, recentTurns);
+    if (rewritten === original) {
+      return unchanged;
+    }
+
+    console.log(`✏️ Rewrote follow-up "${original}" as "${rewritten}" (heuristic)`);
+    return { original, rewritten, method: 'heuristic' };
+  }
+
+  /**
+   * Ask the LLM provider for a standalone query
+   * @param {string} query - Latest user message
+   * @param {Array} recentTurns - Recent messages
+   * @returns {Promise<string>} Rewritten query; throws if the model returns nothing usable
+   */
+  async rewriteWithLLM(query, recentTurns) {
+    const transcript = recentTurns
+      .map(message => `${message.role === 'user' ? 'User' : 'Assistant'}: ${message.content.substring(0, this.config.maxTurnChars)}`)
+      .join('\n');
+
+    const completion = await llmProvider.createChatCompletion({
+      messages: [
+        {
+          role: 'system',
+          content: 'Rewrite the follow-up question as a standalone search query for a document search engine. ' +
+            'Resolve pronouns and references such as "it", "the second one" or "and its penalties" using the conversation. ' +
+            'Keep names, identifiers and legal terms exactly as written. Return only the query.'
+        },
+        {
+          role: 'user',
+          content: `Conversation:\n${transcript}\n\nFollow-up question: ${query}`
+        }
+      ],
+      temperature: 0,
+      max_tokens: 100
+    });
+
+    const rewritten = (completion.choices?.[0]?.message?.content || '')
+      .split('\n')[0]
+      .replace(/^(?:standalone\s+)?(?:search\s+)?query:\s*/i, '')
+      .replace(/^["']|["']$/g, '')
+      .trim()
+      .substring(0, this.config.maxQueryLength);
+
+    if (!rewritten) {
+      throw new Error('LLM provider returned an empty query');
+    }
+
+    return rewritten;
+  }
+
+  /**
+   * Fold the previous question, and any list item picked by ordinal, into the query
+   * @param {string} query - Latest user message
+   * @param {Array} recentTurns - Recent messages
+   * @returns {string} Rewritten query, or the original if there is nothing to add
+   */
+  rewriteHeuristically(query, recentTurns) {
+    const previousQuestion = [...recentTurns].reverse().find(message => message.role === 'user');
+    const previousAnswer = [...recentTurns].reverse().find(message => message.role === 'assistant');
+
+    let core = query.replace(FOLLOW_UP_OPENERS, '').replace(/^[\s,]+/, '').replace(/[?.!]+$/, '').trim();
+
+    // "the second one" -> the second item of the last answer's list
+    const ordinalMatch = core.match(ORDINAL_REFERENCE);
+    if (ordinalMatch && previousAnswer) {
+      const items = [...previousAnswer.content.matchAll(LIST_ITEM)].map(match => match[1]);
+      const position = ordinalMatch[1].toLowerCase();
+      const item = position === 'last' ? items[items.length - 1] : items[ORDINALS.indexOf(position)];
+      if (item) {
+        const label = item.replace(/[*_`#]/g, '').split(/[:.]\s/)[0].replace(/[.:;]+$/, '').trim();
+        core = core.replace(ordinalMatch[0], label);
+      }
+    }
+
+    const context = previousQuestion ? previousQuestion.content.replace(/[?.!]+$/, '').trim() : '';
+    const rewritten = [context, core].filter(Boolean).join(' ');
+
+    return rewritten.substring(0, this.config.maxQueryLength) || query;
+  }
+}
+
+module.exports = new QueryRewriteService();
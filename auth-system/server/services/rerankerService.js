@@ -0,0 +1,176 @@
+const fs = require('fs');
+const path = require('path');
+const ConfigurationManager = require('./ConfigurationManager');
+const ProcessingTimeTracker = require('./ProcessingTimeTracker');
+
+/**
+ * Optional cross-encoder reranking stage for retrieved chunks.
+ *
+ * Scores (query, chunk) pairs jointly with a small cross-encoder loaded through
+ * @xenova/transformers from the local model cache. The model is never downloaded
+ * at request time: if it is not cached, reranking is skipped and candidates keep
+ * their retrieval order.
+ */
+class RerankerService {
+  constructor() {
+    this.processingTimeTracker = new ProcessingTimeTracker(ConfigurationManager.getServiceConfig('processingTimeTracker'));
+
+    this.tokenizer = null;
+    this.model = null;
+    this.modelInitialized = false;
+    this.modelInitializationPromise = null;
+    this.unavailableReason = null;
+  }
+
+  get config() {
+    return ConfigurationManager.getServiceConfig('reranker');
+  }
+
+  /**
+   * Check whether the configured model files are present in the model cache
+   * @returns {boolean} True if tokenizer and ONNX weights are cached
+   */
+  isModelCached() {
+    const modelDir = path.join(this.config.modelCacheDir, this.config.model);
+    const weightsFile = this.config.quantized ? 'model_quantized.onnx' : 'model.onnx';
+
+    return fs.existsSync(path.join(modelDir, 'tokenizer.json')) &&
+      fs.existsSync(path.join(modelDir, 'onnx', weightsFile));
+  }
+
+  /**
+   * Load the cross-encoder once; concurrent callers share the same promise
+   * @returns {Promise<boolean>} True if the model is ready
+   */
+  async initializeModel() {
+    if (this.modelInitialized) {
+      return true;
+    }
+
+    if (!this.modelInitializationPromise) {
+      this.modelInitializationPromise = this._performModelInitialization();
+    }
+
+    return this.modelInitializationPromise;
+  }
+
+  async _performModelInitialization() {
+    if (!this.config.enabled) {
+      this.unavailableReason = 'disabled';
+      return false;
+    }
+
+    if (!this.isModelCached()) {
+      this.unavailableReason = 'model-not-cached';
+      console.log(`⚠️ Reranker model ${this.config.model} not found in ${this.config.modelCacheDir}, reranking disabled`);
+      return false;
+    }
+
+    try {
+      console.log(`🤖 Initializing reranker model ${this.config.model}...`);
+
+      // Loaded lazily so the dependency is only touched when reranking is in use
+      const { AutoTokenizer, AutoModelForSequenceClassification } = require('@xenova/transformers');
+      const loadOptions = {
+        cache_dir: this.config.modelCacheDir,
+        local_files_only: true,
+        quantized: this.config.quantized
+      };
+
+      this.tokenizer = await AutoTokenizer.from_pretrained(this.config.model, loadOptions);
+      this.model = await AutoModelForSequenceClassification.from_pretrained(this.config.model, loadOptions);
+
+      this.modelInitialized = true;
+      this.unavailableReason = null;
+      console.log('✅ Reranker model initialized successfully');
+      return true;
+    } catch (error) {
+      console.error('❌ Failed to initialize reranker model:', error.message);
+      this.unavailableReason = 'load-failed';
+      return false;
+    }
+  }
+
+  /**
+   * Score query/text pairs with the cross-encoder
+   * @param {string} query - User query
+   * @param {Array<string>} texts - Candidate texts
+   * @returns {Promise<Array<number>>} Relevance probabilities in [0, 1]
+   */
+  async scorePairs(query, texts) {
+    const inputs = this.tokenizer(new Array(texts.length).fill(query), {
+      text_pair: texts,
+      padding: true,
+      truncation: true,
+      max_length: this.config.maxLength
+    });
+
+    const { logits } = await this.model(inputs);
+
+    return Array.from(logits.data).map(logit => 1 / (1 + Math.exp(-logit)));
+  }
+
+  /**
+   * Rerank the top-N candidates by cross-encoder score.
+   * Candidates beyond top-N keep their relative order after the reranked ones.
+   * @param {string} query - User query
+   * @param {Array<Object>} candidates - Candidates with a `text` field, best first
+   * @param {Object} options - { topN } overrides the configured candidate count
+   * @returns {Promise<Object>} { results, reranked, latency, reason }
+   */
+  async rerank(query, candidates, options = {}) {
+    const topN = options.topN || this.config.topN;
+
+    if (!candidates || candidates.length < 2) {
+      return { results: candidates || [], reranked: false, latency: 0, reason: 'too-few-candidates' };
+    }
+
+    const ready = await this.initializeModel();
+    if (!ready) {
+      return { results: candidates, reranked: false, latency: 0, reason: this.unavailableReason };
+    }
+
+    const operationId = `rerank_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const head = candidates.slice(0, topN);
+    const tail = candidates.slice(topN);
+
+    const operation = this.processingTimeTracker.startOperation(operationId, 'reranking', {
+      model: this.config.model,
+      candidates: head.length
+    });
+
+    try {
+      this.processingTimeTracker.startStage(operationId, 'cross_encoder_inference');
+      const scores = await this.scorePairs(query, head.map(candidate => candidate.text || ''));
+      this.processingTimeTracker.endStage(operationId, 'cross_encoder_inference');
+
+      const reranked = head
+        .map((candidate, index) => ({ ...candidate, rerankScore: scores[index] }))
+        .sort((a, b) => b.rerankScore - a.rerankScore);
+
+      this.processingTimeTracker.endOperation(operationId, true, { candidates: head.length });
+      const latency = operation.duration;
+      console.log(`🔀 Reranked ${head.length} chunks in ${latency}ms`);
+
+      return { results: [...reranked, ...tail], reranked: true, latency };
+    } catch (error) {
+      console.error('❌ Reranking failed, keeping retrieval order:', error.message);
+      this.processingTimeTracker.endOperation(operationId, false, { error: error.message });
+      return { results: candidates, reranked: false, latency: 0, reason: 'inference-failed' };
+    }
+  }
+
+  // Health check
+  getStatus() {
+    return {
+      enabled: this.config.enabled,
+      model: this.config.model,
+      modelCached: this.isModelCached(),
+      modelInitialized: this.modelInitialized,
+      unavailableReason: this.unavailableReason,
+      latency: this.processingTimeTracker.getOperationStats('reranking')
+    };
+  }
+}
+
+module.exports = new RerankerService();
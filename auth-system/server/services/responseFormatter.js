@@ -1,50 +1,116 @@
+const answerProfileService = require('./answerProfileService');
+const { formatPageReference } = require('../utils/pageMap');
+const { formatLineReference } = require('../utils/lineMap');
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Formats and validates answers against an answer profile (see answerProfileService).
+ * Every method taking a `profile` accepts a profile name or definition and defaults to
+ * the legal profile.
+ */
 class ResponseFormatter {
   constructor() {
-    this.legalDisclaimer = "⚖️ Legal Disclaimer: This information is for research purposes only. I am not a licensed attorney, and this does not constitute legal advice.";
+    this.legalDisclaimer = answerProfileService.get('legal').disclaimer;
   }
 
   /**
-   * Format AI response into legal research assistant structure
+   * Format AI response into the section layout of an answer profile
    * @param {string} aiResponse - Raw AI response
    * @param {Array} contextBlocks - Document chunks used for context
+   * @param {string|Object} profile - Answer profile
    * @returns {string} Formatted response
    */
-  formatLegalResponse(aiResponse, contextBlocks) {
+  formatResponse(aiResponse, contextBlocks, profile) {
     // Check if AI response already follows the format
-    if (this.isAlreadyFormatted(aiResponse)) {
+    if (this.isAlreadyFormatted(aiResponse, profile)) {
       return aiResponse;
     }
 
     // Extract or create sections from AI response
-    const provisions = this.extractProvisions(aiResponse, contextBlocks);
-    const summary = this.extractSummary(aiResponse);
+    const provisions = this.extractProvisions(aiResponse, contextBlocks, profile);
+    const summary = this.extractSummary(aiResponse, profile);
     const citations = this.formatCitations(contextBlocks);
 
-    return this.buildFormattedResponse(provisions, summary, citations);
+    return this.buildFormattedResponse(provisions, summary, citations, profile);
+  }
+
+  /**
+   * Format AI response into legal research assistant structure
+   * @param {string} aiResponse - Raw AI response
+   * @param {Array} contextBlocks - Document chunks used for context
+   * @returns {string} Formatted response
+   */
+  formatLegalResponse(aiResponse, contextBlocks) {
+    return this.formatResponse(aiResponse, contextBlocks, 'legal');
   }
 
   /**
-   * Check if response is already in legal format
+   * Check if response already contains every section heading of the profile
    * @param {string} response - AI response to check
+   * @param {string|Object} profile - Answer profile
    * @returns {boolean} True if already formatted
    */
-  isAlreadyFormatted(response) {
-    return response.includes('RELEVANT LEGAL PROVISIONS:') && 
-           response.includes('LEGAL SUMMARY:') && 
-           response.includes('CITATIONS & SOURCES:');
+  isAlreadyFormatted(response, profile) {
+    return answerProfileService.get(profile).sections.every(section => response.includes(`${section.heading}:`));
+  }
+
+  /**
+   * Text that starts the profile's disclaimer, e.g. "⚖️"
+   * @param {string|Object} profile - Answer profile
+   * @returns {string|null} Marker, or null when the profile has no disclaimer
+   */
+  getDisclaimerMarker(profile) {
+    const { disclaimer } = answerProfileService.get(profile);
+    return disclaimer ? disclaimer.split(' ')[0] : null;
+  }
+
+  /**
+   * Pattern matching one section up to the next heading, the disclaimer or the end
+   * @param {string} key - 'excerpts', 'summary' or 'citations'
+   * @param {string|Object} profile - Answer profile
+   * @returns {RegExp|null} Pattern capturing the section body, or null when the profile has no such section
+   */
+  getSectionPattern(key, profile) {
+    const section = answerProfileService.getSection(profile, key);
+    if (!section) {
+      return null;
+    }
+
+    const marker = this.getDisclaimerMarker(profile);
+    const stops = answerProfileService.get(profile).sections
+      .filter(other => other !== section)
+      .map(other => escapeRegExp(`${other.heading}:`))
+      .concat(marker ? [escapeRegExp(marker)] : [], '$');
+
+    return new RegExp(`${escapeRegExp(`${section.heading}:`)}(.*?)(?=${stops.join('|')})`, 's');
+  }
+
+  /**
+   * Body of a section in a response
+   * @param {string} response - AI response
+   * @param {string} key - 'excerpts', 'summary' or 'citations'
+   * @param {string|Object} profile - Answer profile
+   * @returns {string|null} Trimmed section body, or null when the section is absent
+   */
+  extractSection(response, key, profile) {
+    const pattern = this.getSectionPattern(key, profile);
+    const match = pattern && response.match(pattern);
+    return match ? match[1].trim() : null;
   }
 
   /**
    * Extract provisions section from AI response or create from context
    * @param {string} aiResponse - AI response
    * @param {Array} contextBlocks - Document chunks
+   * @param {string|Object} profile - Answer profile
    * @returns {string} Provisions section
    */
-  extractProvisions(aiResponse, contextBlocks) {
+  extractProvisions(aiResponse, contextBlocks, profile) {
     // If AI response already has provisions, extract them
-    const provisionsMatch = aiResponse.match(/RELEVANT LEGAL PROVISIONS:(.*?)(?=LEGAL SUMMARY:|CITATIONS & SOURCES:|$)/s);
-    if (provisionsMatch) {
-      return provisionsMatch[1].trim();
+    const provisions = this.extractSection(aiResponse, 'excerpts', profile);
+    if (provisions !== null) {
+      return provisions;
     }
 
     // Create provisions from context blocks
@@ -53,29 +119,38 @@ class ResponseFormatter {
     }
 
     return contextBlocks.map(block => {
-      const date = block.metadata?.date || "Date not available";
+      const date = this.extractDate(block);
       const excerpt = this.extractQuotedText(block.text);
-      return `- ${block.source} | Chunk ${block.chunkIndex} | ${date}\nExcerpt: "${excerpt}"`;
+      return `- ${block.source} | ${this.formatChunkReference(block)} | ${date}\nExcerpt: "${excerpt}"`;
     }).join('\n\n');
   }
 
   /**
    * Extract summary section from AI response
    * @param {string} aiResponse - AI response
+   * @param {string|Object} profile - Answer profile
    * @returns {string} Summary section
    */
-  extractSummary(aiResponse) {
-    const summaryMatch = aiResponse.match(/LEGAL SUMMARY:(.*?)(?=CITATIONS & SOURCES:|⚖️|$)/s);
-    if (summaryMatch) {
-      return summaryMatch[1].trim();
+  extractSummary(aiResponse, profile) {
+    const summary = this.extractSection(aiResponse, 'summary', profile);
+    if (summary !== null) {
+      return summary;
     }
 
     // If no summary found, use the main content as summary
-    const cleanResponse = aiResponse
-      .replace(/RELEVANT LEGAL PROVISIONS:.*?(?=LEGAL SUMMARY:|CITATIONS & SOURCES:|$)/s, '')
-      .replace(/CITATIONS & SOURCES:.*$/s, '')
-      .replace(/⚖️.*$/s, '')
-      .trim();
+    let cleanResponse = aiResponse;
+    for (const key of ['excerpts', 'citations']) {
+      const pattern = this.getSectionPattern(key, profile);
+      if (pattern) {
+        cleanResponse = cleanResponse.replace(pattern, '');
+      }
+    }
+
+    const marker = this.getDisclaimerMarker(profile);
+    if (marker) {
+      cleanResponse = cleanResponse.replace(new RegExp(`${escapeRegExp(marker)}.*$`, 's'), '');
+    }
+    cleanResponse = cleanResponse.trim();
 
     return cleanResponse || "Based on the retrieved document chunks, please refer to the provisions above for detailed information.";
   }
@@ -99,6 +174,7 @@ class ResponseFormatter {
         citations.set(key, {
           fileName: block.source,
           chunkIndex: block.chunkIndex,
+          reference: this.formatChunkReference(block),
           date: date,
           fileType: block.fileType || 'Unknown'
         });
@@ -113,16 +189,70 @@ class ResponseFormatter {
         }
         return a.chunkIndex - b.chunkIndex;
       })
-      .map(source => `- Resource: ${source.fileName} | Chunk ${source.chunkIndex} | ${source.date}`)
+      .map(source => `- Resource: ${source.fileName} | ${source.reference} | ${source.date}`)
       .join('\n');
   }
 
   /**
-   * Extract date from block metadata with fallback handling
+   * Chunk reference for citations, with the exact location when the chunk carries one
+   * @param {Object} block - Document chunk block
+   * @returns {string} e.g. "Chunk 4 | Page 2", "Chunk 4 | Slide 12", "Chunk 4 | Lines 10-42", "Chunk 4 | From Legal Team",
+   *   "Chunk 4 | Chapter: The Storm" or "Chunk 4"
+   */
+  formatChunkReference(block) {
+    const location = this.formatLocationReference(block.metadata);
+    return location ? `Chunk ${block.chunkIndex} | ${location}` : `Chunk ${block.chunkIndex}`;
+  }
+
+  /**
+   * Exact location of a chunk: its pages in a PDF, its slide in a presentation, its rows in a
+   * spreadsheet, its lines in a Markdown, reStructuredText or code document, the sender of
+   * an email message or its chapter in an e-book
+   * @param {Object} metadata - Block metadata
+   * @returns {string|null} e.g. "Pages 2-3", "Slide 12", "Sheet Budget, rows 40-55", "Rows 2-20", "Lines 10-42",
+   *   "From Legal Team", "Chapter: The Storm", "Chapter 3" or null
+   */
+  formatLocationReference(metadata = {}) {
+    const page = formatPageReference(metadata.pageNumber, metadata.pageEnd);
+    if (page) {
+      return page;
+    }
+    if (metadata.slideNumber) {
+      return `Slide ${metadata.slideNumber}`;
+    }
+    if (metadata.lineStart) {
+      return formatLineReference(metadata.lineStart, metadata.lineEnd);
+    }
+    if (metadata.sender && !metadata.rowStart) {
+      return `From ${metadata.sender}`;
+    }
+    if (metadata.chapter) {
+      // Titles such as "Chapter 3: The Storm" already say what they are
+      return /^chapter\b/i.test(metadata.chapter) ? metadata.chapter : `Chapter: ${metadata.chapter}`;
+    }
+    if (metadata.chapterNumber) {
+      return `Chapter ${metadata.chapterNumber}`;
+    }
+    if (!metadata.rowStart) {
+      return null;
+    }
+
+    const rows = metadata.rowEnd && metadata.rowEnd !== metadata.rowStart
+      ? `rows ${metadata.rowStart}-${metadata.rowEnd}`
+      : `row ${metadata.rowStart}`;
+    return metadata.sheetName ? `Sheet ${metadata.sheetName}, ${rows}` : rows.charAt(0).toUpperCase() + rows.slice(1);
+  }
+
+  /**
+   * Extract date from block metadata with fallback handling. Email messages and their
+   * attachments are dated by when the message was sent rather than uploaded
    * @param {Object} block - Document chunk block
    * @returns {string} Date string or "Date not available"
    */
   extractDate(block) {
+    if (block.metadata?.sentAt) {
+      return new Date(block.metadata.sentAt).toISOString().split('T')[0];
+    }
     if (block.metadata?.date) {
       return block.metadata.date;
     }
@@ -173,9 +303,18 @@ class ResponseFormatter {
     return contextBlocks.map(block => ({
       resourceLabel: `Resource: ${block.source}`,
       chunkLabel: `Chunk ${block.chunkIndex}`,
-      fullLabel: `Resource: ${block.source} | Chunk ${block.chunkIndex}`,
+      fullLabel: `Resource: ${block.source} | ${this.formatChunkReference(block)}`,
       fileName: block.source,
       chunkIndex: block.chunkIndex,
+      pageNumber: block.metadata?.pageNumber || null,
+      rowStart: block.metadata?.rowStart || null,
+      rowEnd: block.metadata?.rowEnd || null,
+      slideNumber: block.metadata?.slideNumber || null,
+      lineStart: block.metadata?.lineStart || null,
+      lineEnd: block.metadata?.lineEnd || null,
+      sender: block.metadata?.sender || null,
+      sentAt: block.metadata?.sentAt || null,
+      chapter: block.metadata?.chapter || null,
       preservedExtension: this.preserveFileExtension(block.source)
     }));
   }
@@ -191,23 +330,53 @@ class ResponseFormatter {
   }
 
   /**
-   * Build complete formatted response
+   * Build complete formatted response in the profile's section order.
+   * Provisions are dropped when the profile has no excerpts section.
    * @param {string} provisions - Provisions section
    * @param {string} summary - Summary section
    * @param {string} citations - Citations section
+   * @param {string|Object} profile - Answer profile
    * @returns {string} Complete formatted response
    */
-  buildFormattedResponse(provisions, summary, citations) {
-    return `RELEVANT LEGAL PROVISIONS:
-${provisions}
-
-LEGAL SUMMARY:
-${summary}
+  buildFormattedResponse(provisions, summary, citations, profile) {
+    const { sections, disclaimer } = answerProfileService.get(profile);
+    const content = { excerpts: provisions, summary: summary, citations: citations };
+
+    return sections
+      .map(section => `${section.heading}:\n${content[section.key]}`)
+      .concat(disclaimer ? [disclaimer] : [])
+      .join('\n\n');
+  }
 
-CITATIONS & SOURCES:
-${citations}
+  /**
+   * Build a response whose content is the document excerpts themselves, e.g. when the
+   * AI service is down. Profiles without an excerpts section get them after the note.
+   * @param {string} provisions - Formatted excerpts
+   * @param {string} note - Explanation shown as the summary
+   * @param {string} citations - Citations section
+   * @param {string|Object} profile - Answer profile
+   * @returns {string} Complete formatted response
+   */
+  buildExcerptResponse(provisions, note, citations, profile) {
+    if (answerProfileService.getSection(profile, 'excerpts')) {
+      return this.buildFormattedResponse(provisions, note, citations, profile);
+    }
+    return this.buildFormattedResponse('', `${note}\n\n${provisions}`, citations, profile);
+  }
 
-${this.legalDisclaimer}`;
+  /**
+   * Build a response for errors and notices, which have no sources. The message goes
+   * in the excerpts section, or leads the summary when the profile has none.
+   * @param {string} message - What happened
+   * @param {string} details - Suggestions or explanation
+   * @param {string|Object} profile - Answer profile
+   * @returns {string} Complete formatted response
+   */
+  buildNoticeResponse(message, details, profile) {
+    if (answerProfileService.getSection(profile, 'excerpts')) {
+      return this.buildFormattedResponse(message, details, 'No sources available', profile);
+    }
+    return this.buildFormattedResponse('', `${message}\n\n${details}`, 'No sources available', profile);
   }
 
   /**
@@ -221,24 +390,16 @@ ${this.legalDisclaimer}`;
   }
 
   /**
-   * Format error responses in legal format with enhanced suggestions
+   * Format error responses in the answer profile's layout with enhanced suggestions
    * @param {string} errorMessage - Error message
    * @param {string} suggestion - Suggestion for user
+   * @param {string|Object} profile - Answer profile
    * @returns {string} Formatted error response
    */
-  formatErrorResponse(errorMessage, suggestion = null) {
+  formatErrorResponse(errorMessage, suggestion = null, profile) {
     const defaultSuggestion = "Please upload relevant documents or try different search terms.";
     
-    return `RELEVANT LEGAL PROVISIONS:
-${errorMessage}
-
-LEGAL SUMMARY:
-${suggestion || defaultSuggestion}
-
-CITATIONS & SOURCES:
-No sources available
-
-${this.legalDisclaimer}`;
+    return this.buildNoticeResponse(errorMessage, suggestion || defaultSuggestion, profile);
   }
 
   /**
@@ -246,9 +407,10 @@ ${this.legalDisclaimer}`;
    * @param {string} errorMessage - Error message
    * @param {Array} suggestions - Array of suggestion strings
    * @param {string} context - Additional context about the error
+   * @param {string|Object} profile - Answer profile
    * @returns {string} Formatted error response with structured suggestions
    */
-  formatStructuredErrorResponse(errorMessage, suggestions = [], context = null) {
+  formatStructuredErrorResponse(errorMessage, suggestions = [], context = null, profile) {
     const suggestionText = suggestions.length > 0 
       ? suggestions.map((s, i) => `${i + 1}. ${s}`).join('\n')
       : "Please try again or contact support if the issue persists.";
@@ -257,16 +419,7 @@ ${this.legalDisclaimer}`;
       ? `${context}\n\nRecommended actions:\n${suggestionText}`
       : suggestionText;
 
-    return `RELEVANT LEGAL PROVISIONS:
-${errorMessage}
-
-LEGAL SUMMARY:
-${summaryContent}
-
-CITATIONS & SOURCES:
-No sources available
-
-${this.legalDisclaimer}`;
+    return this.buildNoticeResponse(errorMessage, summaryContent, profile);
   }
 
   /**
@@ -274,12 +427,13 @@ ${this.legalDisclaimer}`;
    * @param {string} provisions - Available provisions
    * @param {string} errorContext - Error context
    * @param {string} citations - Available citations
+   * @param {string|Object} profile - Answer profile
    * @returns {string} Formatted partial response
    */
-  formatPartialResponse(provisions, errorContext, citations) {
-    const summary = `${errorContext} Available information from your documents is provided above.`;
+  formatPartialResponse(provisions, errorContext, citations, profile) {
+    const summary = `${errorContext} Available information from your documents is included.`;
     
-    return this.buildFormattedResponse(provisions, summary, citations);
+    return this.buildExcerptResponse(provisions, summary, citations, profile);
   }
 
   /**
@@ -287,11 +441,12 @@ ${this.legalDisclaimer}`;
    * @param {string} serviceStatus - Status of affected service
    * @param {string} availableData - What data is still available
    * @param {Array} contextBlocks - Available document chunks
+   * @param {string|Object} profile - Answer profile
    * @returns {string} Formatted degraded service response
    */
-  formatDegradedServiceResponse(serviceStatus, availableData, contextBlocks = []) {
+  formatDegradedServiceResponse(serviceStatus, availableData, contextBlocks = [], profile) {
     const provisions = contextBlocks.length > 0 
-      ? this.extractProvisions('', contextBlocks)
+      ? this.extractProvisions('', contextBlocks, profile)
       : `Service temporarily degraded: ${serviceStatus}`;
 
     const summary = `${availableData} Some features may be temporarily unavailable, but document information is provided where possible.`;
@@ -300,21 +455,21 @@ ${this.legalDisclaimer}`;
       ? this.formatCitations(contextBlocks)
       : "Limited sources available due to service degradation";
 
-    return this.buildFormattedResponse(provisions, summary, citations);
+    return this.buildExcerptResponse(provisions, summary, citations, profile);
   }
 
   /**
    * Enhanced validation for response structure and formatting
    * @param {string} response - Response to validate
-   * @param {Object} options - Validation options
+   * @param {Object} options - Validation options ({ strict, profile })
    * @returns {Object} Detailed validation result
    */
   validateResponseStructure(response, options = {}) {
-    const { strict = false } = options;
+    const { strict = false, profile } = options;
     
     if (!strict) {
       // Backward compatible validation for existing tests
-      return this.validateBasicStructure(response);
+      return this.validateBasicStructure(response, profile);
     }
     
     // Enhanced validation for production use
@@ -330,22 +485,22 @@ ${this.legalDisclaimer}`;
     };
 
     // Check required sections
-    const sections = this.validateSections(response);
+    const sections = this.validateSections(response, profile);
     validation.sections = sections;
     validation.score += sections.score;
 
     // Check formatting requirements
-    const formatting = this.validateFormatting(response);
+    const formatting = this.validateFormatting(response, profile);
     validation.formatting = formatting;
     validation.score += formatting.score;
 
     // Check citation requirements
-    const citations = this.validateCitations(response);
+    const citations = this.validateCitations(response, profile);
     validation.citations = citations;
     validation.score += citations.score;
 
     // Overall structure validation
-    const overall = this.validateOverallStructure(response);
+    const overall = this.validateOverallStructure(response, profile);
     validation.overall = overall;
     validation.score += overall.score;
 
@@ -364,15 +519,23 @@ ${this.legalDisclaimer}`;
   }
 
   /**
-   * Basic validation for backward compatibility
+   * Basic validation for backward compatibility.
+   * Flags for sections the profile does not have are reported as present.
    * @param {string} response - Response to validate
+   * @param {string|Object} profile - Answer profile
    * @returns {Object} Basic validation result
    */
-  validateBasicStructure(response) {
-    const hasProvisions = response.includes('RELEVANT LEGAL PROVISIONS:');
-    const hasSummary = response.includes('LEGAL SUMMARY:');
-    const hasCitations = response.includes('CITATIONS & SOURCES:');
-    const hasDisclaimer = response.includes(this.legalDisclaimer);
+  validateBasicStructure(response, profile) {
+    const { disclaimer } = answerProfileService.get(profile);
+    const has = (key) => {
+      const section = answerProfileService.getSection(profile, key);
+      return !section || response.includes(`${section.heading}:`);
+    };
+
+    const hasProvisions = has('excerpts');
+    const hasSummary = has('summary');
+    const hasCitations = has('citations');
+    const hasDisclaimer = !disclaimer || response.includes(disclaimer);
 
     return {
       isValid: hasProvisions && hasSummary && hasCitations && hasDisclaimer,
@@ -381,83 +544,79 @@ ${this.legalDisclaimer}`;
       hasCitations,
       hasDisclaimer,
       missingElements: [
-        !hasProvisions && 'RELEVANT LEGAL PROVISIONS',
-        !hasSummary && 'LEGAL SUMMARY',
-        !hasCitations && 'CITATIONS & SOURCES',
-        !hasDisclaimer && 'Legal Disclaimer'
+        ...answerProfileService.get(profile).sections
+          .filter(section => !response.includes(`${section.heading}:`))
+          .map(section => section.heading),
+        !hasDisclaimer && 'Disclaimer'
       ].filter(Boolean)
     };
   }
 
   /**
-   * Validate required sections presence and content
+   * Validate required sections presence and content.
+   * The 40 points are shared between the profile's sections and its disclaimer.
    * @param {string} response - Response to validate
+   * @param {string|Object} profile - Answer profile
    * @returns {Object} Section validation result
    */
-  validateSections(response) {
+  validateSections(response, profile) {
+    const { sections, disclaimer } = answerProfileService.get(profile);
+    const flags = { excerpts: 'hasProvisions', summary: 'hasSummary', citations: 'hasCitations' };
+
     const result = {
       score: 0,
       maxScore: 40,
       issues: [],
-      hasProvisions: false,
-      hasSummary: false,
-      hasCitations: false,
-      hasDisclaimer: false
+      hasProvisions: true,
+      hasSummary: true,
+      hasCitations: true,
+      hasDisclaimer: true
     };
 
-    // Check for RELEVANT LEGAL PROVISIONS
-    if (response.includes('RELEVANT LEGAL PROVISIONS:')) {
-      result.hasProvisions = true;
-      result.score += 10;
-      
-      // Check if provisions section has content
-      const provisionsMatch = response.match(/RELEVANT LEGAL PROVISIONS:(.*?)(?=LEGAL SUMMARY:|CITATIONS & SOURCES:|$)/s);
-      if (provisionsMatch && provisionsMatch[1].trim().length < 10) {
-        result.issues.push('RELEVANT LEGAL PROVISIONS section appears to be empty or too short');
-      }
-    } else {
-      result.issues.push('Missing required section: RELEVANT LEGAL PROVISIONS');
-    }
+    const points = result.maxScore / (sections.length + (disclaimer ? 1 : 0));
 
-    // Check for LEGAL SUMMARY
-    if (response.includes('LEGAL SUMMARY:')) {
-      result.hasSummary = true;
-      result.score += 10;
-      
-      // Check if summary section has adequate content
-      const summaryMatch = response.match(/LEGAL SUMMARY:(.*?)(?=CITATIONS & SOURCES:|⚖️|$)/s);
-      if (summaryMatch && summaryMatch[1].trim().length < 20) {
-        result.issues.push('LEGAL SUMMARY section appears to be too short');
+    sections.forEach(section => {
+      if (!response.includes(`${section.heading}:`)) {
+        result[flags[section.key]] = false;
+        result.issues.push(`Missing required section: ${section.heading}`);
+        return;
       }
-    } else {
-      result.issues.push('Missing required section: LEGAL SUMMARY');
-    }
 
-    // Check for CITATIONS & SOURCES
-    if (response.includes('CITATIONS & SOURCES:')) {
-      result.hasCitations = true;
-      result.score += 10;
-    } else {
-      result.issues.push('Missing required section: CITATIONS & SOURCES');
-    }
+      result.score += points;
 
-    // Check for Legal Disclaimer
-    if (response.includes(this.legalDisclaimer)) {
-      result.hasDisclaimer = true;
-      result.score += 10;
-    } else {
-      result.issues.push('Missing required legal disclaimer');
+      // Check if the section has enough content
+      const body = this.extractSection(response, section.key, profile);
+      if (section.minLength && body !== null && body.length < section.minLength) {
+        result.issues.push(section.key === 'excerpts'
+          ? `${section.heading} section appears to be empty or too short`
+          : `${section.heading} section appears to be too short`);
+      }
+    });
+
+    // Check for the profile's disclaimer
+    if (disclaimer) {
+      if (response.includes(disclaimer)) {
+        result.score += points;
+      } else {
+        result.hasDisclaimer = false;
+        result.issues.push('Missing required disclaimer');
+      }
     }
 
+    result.score = Math.round(result.score);
     return result;
   }
 
   /**
    * Validate formatting requirements
    * @param {string} response - Response to validate
+   * @param {string|Object} profile - Answer profile
    * @returns {Object} Formatting validation result
    */
-  validateFormatting(response) {
+  validateFormatting(response, profile) {
+    const { sections, validation } = answerProfileService.get(profile);
+    const excerpts = answerProfileService.getSection(profile, 'excerpts');
+
     const result = {
       score: 0,
       maxScore: 25,
@@ -468,31 +627,26 @@ ${this.legalDisclaimer}`;
     };
 
     // Check for uppercase section headers
-    const uppercaseHeaders = [
-      'RELEVANT LEGAL PROVISIONS:',
-      'LEGAL SUMMARY:',
-      'CITATIONS & SOURCES:'
-    ];
-    
-    const foundHeaders = uppercaseHeaders.filter(header => response.includes(header));
-    if (foundHeaders.length === uppercaseHeaders.length) {
+    if (sections.every(section => response.includes(`${section.heading}:`))) {
       result.hasUppercaseHeaders = true;
       result.score += 10;
     } else {
       result.issues.push('Section headers should be in uppercase format');
     }
 
-    // Check for quoted text in provisions
+    // Check for quoted text in provisions, where the profile asks for quoted excerpts
     if (response.includes('Excerpt: "') && response.includes('"')) {
       result.hasQuotedText = true;
       result.score += 8;
-    } else if (response.includes('RELEVANT LEGAL PROVISIONS:') && !response.includes('No relevant documents')) {
+    } else if (!excerpts || !validation.requireQuotedExcerpts) {
+      result.score += 8;
+    } else if (response.includes(`${excerpts.heading}:`) && !response.includes('No relevant documents')) {
       result.issues.push('Document excerpts should be enclosed in quotation marks');
     }
 
     // Check for proper line breaks between sections
     const sectionBreaks = response.split('\n\n').length;
-    if (sectionBreaks >= 3) {
+    if (sectionBreaks >= sections.length) {
       result.hasProperLineBreaks = true;
       result.score += 7;
     } else {
@@ -505,9 +659,12 @@ ${this.legalDisclaimer}`;
   /**
    * Validate citation requirements
    * @param {string} response - Response to validate
+   * @param {string|Object} profile - Answer profile
    * @returns {Object} Citation validation result
    */
-  validateCitations(response) {
+  validateCitations(response, profile) {
+    const { validation } = answerProfileService.get(profile);
+
     const result = {
       score: 0,
       maxScore: 25,
@@ -517,10 +674,8 @@ ${this.legalDisclaimer}`;
       hasDateInfo: false
     };
 
-    const citationsSection = response.match(/CITATIONS & SOURCES:(.*?)(?=⚖️|$)/s);
-    if (citationsSection) {
-      const citationsText = citationsSection[1];
-
+    const citationsText = this.extractSection(response, 'citations', profile);
+    if (citationsText !== null) {
       // Check for "Resource:" format
       if (citationsText.includes('Resource:')) {
         result.hasResourceFormat = true;
@@ -541,6 +696,8 @@ ${this.legalDisclaimer}`;
       if (citationsText.includes('Date not available') || /\d{4}-\d{2}-\d{2}/.test(citationsText)) {
         result.hasDateInfo = true;
         result.score += 7;
+      } else if (!validation.requireDates) {
+        result.score += 7;
       } else if (!citationsText.includes('No sources available')) {
         result.issues.push('Citations should include date information or "Date not available"');
       }
@@ -552,9 +709,13 @@ ${this.legalDisclaimer}`;
   /**
    * Validate overall structure and flow
    * @param {string} response - Response to validate
+   * @param {string|Object} profile - Answer profile
    * @returns {Object} Overall validation result
    */
-  validateOverallStructure(response) {
+  validateOverallStructure(response, profile) {
+    const { sections, validation, tone } = answerProfileService.get(profile);
+    const marker = this.getDisclaimerMarker(profile);
+
     const result = {
       score: 0,
       maxScore: 10,
@@ -563,32 +724,26 @@ ${this.legalDisclaimer}`;
       hasConsistentStyle: false
     };
 
-    // Check section order
-    const provisionsIndex = response.indexOf('RELEVANT LEGAL PROVISIONS:');
-    const summaryIndex = response.indexOf('LEGAL SUMMARY:');
-    const citationsIndex = response.indexOf('CITATIONS & SOURCES:');
-    const disclaimerIndex = response.indexOf('⚖️');
+    // Check section order, disclaimer last
+    const positions = sections
+      .map(section => response.indexOf(`${section.heading}:`))
+      .concat(marker ? [response.indexOf(marker)] : []);
 
-    if (provisionsIndex < summaryIndex && summaryIndex < citationsIndex && citationsIndex < disclaimerIndex) {
+    if (positions.every((position, i) => position >= 0 && (i === 0 || position > positions[i - 1]))) {
       result.hasLogicalFlow = true;
       result.score += 5;
     } else {
-      result.issues.push('Sections should appear in the correct order: Provisions → Summary → Citations → Disclaimer');
+      const order = sections.map(section => section.heading).concat(marker ? ['Disclaimer'] : []);
+      result.issues.push(`Sections should appear in the correct order: ${order.join(' → ')}`);
     }
 
-    // Check for consistent professional style
-    const professionalIndicators = [
-      response.includes('based on'),
-      response.includes('according to'),
-      response.includes('as stated in'),
-      response.includes('the documents indicate')
-    ];
-
-    if (professionalIndicators.some(indicator => indicator)) {
+    // Check for the profile's style
+    const lowerResponse = response.toLowerCase();
+    if (validation.styleIndicators.length === 0 || validation.styleIndicators.some(indicator => lowerResponse.includes(indicator))) {
       result.hasConsistentStyle = true;
       result.score += 5;
     } else {
-      result.issues.push('Response should use professional legal research language');
+      result.issues.push(`Response should use a ${tone}`);
     }
 
     return result;
@@ -611,9 +766,11 @@ ${this.legalDisclaimer}`;
    * Fix common validation issues automatically
    * @param {string} response - Response to fix
    * @param {Object} validation - Validation result
+   * @param {string|Object} profile - Answer profile
    * @returns {string} Fixed response
    */
-  autoFixValidationIssues(response, validation) {
+  autoFixValidationIssues(response, validation, profile) {
+    const { sections, disclaimer } = answerProfileService.get(profile);
     let fixedResponse = response;
 
     // Fix missing sections by rebuilding response
@@ -625,16 +782,15 @@ ${this.legalDisclaimer}`;
     }
 
     // Fix missing disclaimer
-    if (!validation.sections.hasDisclaimer) {
-      fixedResponse += `\n\n${this.legalDisclaimer}`;
+    if (!validation.sections.hasDisclaimer && disclaimer) {
+      fixedResponse += `\n\n${disclaimer}`;
     }
 
     // Fix section header formatting
     if (!validation.formatting.hasUppercaseHeaders) {
-      fixedResponse = fixedResponse
-        .replace(/relevant legal provisions:/gi, 'RELEVANT LEGAL PROVISIONS:')
-        .replace(/legal summary:/gi, 'LEGAL SUMMARY:')
-        .replace(/citations & sources:/gi, 'CITATIONS & SOURCES:');
+      sections.forEach(section => {
+        fixedResponse = fixedResponse.replace(new RegExp(escapeRegExp(`${section.heading}:`), 'gi'), `${section.heading}:`);
+      });
     }
 
     return fixedResponse;
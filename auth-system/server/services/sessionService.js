@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { generateTokens, verifyRefreshToken, getTokenExpiration } = require('../utils/jwt');
+
+/**
+ * Sign-in sessions and refresh-token rotation.
+ *
+ * A session is one sign-in on one device. Every refresh replaces the session's refresh
+ * token, and only the latest token is accepted: presenting an earlier one means it was
+ * copied, so the whole session is ended and whoever holds either token has to sign in
+ * again. Access tokens name their session and stop working when it is revoked.
+ */
+class SessionService {
+  /**
+   * @param {Object} req - Express request
+   * @returns {Object} { userAgent, ipAddress }
+   */
+  getDevice(req) {
+    return {
+      userAgent: req.get('user-agent') ? req.get('user-agent').slice(0, 500) : null,
+      ipAddress: req.ip || null
+    };
+  }
+
+  /**
+   * Start a session and issue its tokens
+   * @param {User} user - User signing in
+   * @param {Object} req - Express request, for the device
+   * @returns {Promise<Object>} { accessToken, refreshToken, expiresAt }
+   */
+  async start(user, req) {
+    // The row id goes into the tokens, so the row is created before they are
+    const pendingToken = `pending:${crypto.randomBytes(16).toString('hex')}`;
+    const session = await Session.create(user.id, pendingToken, Date.now() + 60 * 1000, this.getDevice(req));
+
+    const { accessToken, refreshToken } = generateTokens(user.id, session.id);
+    await session.rotate(pendingToken, refreshToken, getTokenExpiration(refreshToken));
+
+    return {
+      accessToken,
+      refreshToken,
+      expiresAt: getTokenExpiration(accessToken)
+    };
+  }
+
+  /**
+   * Exchange a refresh token for new tokens
+   * @param {string} refreshToken - Refresh token from the client
+   * @param {Object} req - Express request, for the device
+   * @returns {Promise<Object>} { status: 'refreshed', user, tokens } or
+   *   { status: 'invalid'|'reused'|'user-not-found' }
+   * @throws JsonWebTokenError / TokenExpiredError when the token does not verify
+   */
+  async refresh(refreshToken, req) {
+    const decoded = verifyRefreshToken(refreshToken);
+
+    // Tokens issued before sessions were named are looked up by value
+    const session = decoded.sid
+      ? await Session.findById(decoded.sid)
+      : await Session.findByRefreshToken(refreshToken);
+    if (!session || session.isExpired() || session.userId !== decoded.userId) {
+      return { status: 'invalid' };
+    }
+
+    if (session.refreshToken !== refreshToken) {
+      await session.delete();
+      console.warn(`⚠️ Refresh token reused for session ${session.id} of user ${session.userId} - session ended`);
+      return { status: 'reused' };
+    }
+
+    const user = await User.findById(decoded.userId);
+    if (!user) {
+      return { status: 'user-not-found' };
+    }
+
+    const tokens = generateTokens(user.id, session.id);
+    const rotated = await session.rotate(refreshToken, tokens.refreshToken, getTokenExpiration(tokens.refreshToken), this.getDevice(req));
+    if (!rotated) {
+      // Another request exchanged the same token first
+      await session.delete();
+      return { status: 'reused' };
+    }
+
+    return {
+      status: 'refreshed',
+      user,
+      tokens: {
+        accessToken: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+        expiresAt: getTokenExpiration(tokens.accessToken)
+      }
+    };
+  }
+
+  /**
+   * @param {number} sessionId - Session named by an access token
+   * @returns {Promise<boolean>} Whether it has not been revoked or expired
+   */
+  async isActive(sessionId) {
+    const session = await Session.findById(sessionId);
+    return Boolean(session) && !session.isExpired();
+  }
+
+  /**
+   * @param {User} user - User
+   * @param {number} currentSessionId - Session of the request, marked as current
+   * @returns {Promise<Array<Object>>}
+   */
+  async list(user, currentSessionId) {
+    const sessions = await Session.findActiveByUserId(user.id);
+    return sessions.map(session => ({ ...session.toJSON(), current: session.id === currentSessionId }));
+  }
+
+  /**
+   * @returns {Promise<boolean>} Whether the user had the session
+   */
+  async revoke(user, sessionId) {
+    const session = await Session.findById(sessionId);
+    if (!session || session.userId !== user.id) {
+      return false;
+    }
+
+    return session.delete();
+  }
+
+  /**
+   * End every session of the user except the current one
+   * @returns {Promise<number>} Sessions ended
+   */
+  async revokeOthers(user, currentSessionId) {
+    return currentSessionId
+      ? Session.deleteByUserIdExcept(user.id, currentSessionId)
+      : Session.deleteByUserId(user.id);
+  }
+}
+
+module.exports = new SessionService();
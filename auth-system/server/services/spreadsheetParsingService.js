@@ -0,0 +1,376 @@
+const path = require('path');
+const ConfigurationManager = require('./ConfigurationManager');
+const { loadPackage, readPart, loadXml, readRelationships } = require('../utils/ooxmlPackage');
+
+const SPREADSHEET_EXTENSIONS = ['.csv', '.xlsx'];
+const CSV_DELIMITERS = [',', ';', '\t', '|'];
+
+// Built-in number formats that display a date or time (ECMA-376, 18.8.30)
+const BUILTIN_DATE_FORMATS = [14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47];
+const EXCEL_EPOCH_OFFSET = 25569; // Days between 1899-12-30 and 1970-01-01
+const EXCEL_1904_OFFSET = 1462;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Spreadsheet parsing for CSV and XLSX files.
+ *
+ * Files are read into sheets of rows ({ rowNumber, cells }), numbered as a spreadsheet
+ * application shows them, so chunks can be cited as "Sheet Budget, rows 40-55". XLSX files
+ * are read straight from their ZIP/XML parts; CSV files are a single unnamed sheet.
+ *
+ * Row chunks stay within one sheet and repeat the sheet's header row, so every chunk can be
+ * read without the rest of the sheet.
+ */
+class SpreadsheetParsingService {
+  get config() {
+    return ConfigurationManager.getServiceConfig('spreadsheets');
+  }
+
+  /**
+   * Whether a file is parsed as a spreadsheet
+   * @param {string} filePath - File path or name
+   * @returns {boolean}
+   */
+  isSpreadsheet(filePath) {
+    return Boolean(filePath) && SPREADSHEET_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+  }
+
+  /**
+   * Parse CSV text, detecting the delimiter from the first line
+   * @param {string} text - Decoded CSV text
+   * @returns {Array<Object>} Non-empty rows { rowNumber, cells }
+   */
+  parseCSV(text) {
+    const content = text.replace(/^\uFEFF/, '');
+    const delimiter = this.detectDelimiter(content);
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < content.length; i++) {
+      const char = content[i];
+
+      if (inQuotes) {
+        if (char === '"' && content[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"' && field.trim() === '') {
+        field = '';
+        inQuotes = true;
+      } else if (char === delimiter) {
+        record.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && content[i + 1] === '\n') {
+          i++;
+        }
+        record.push(field);
+        records.push(record);
+        record = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field !== '' || record.length > 0) {
+      record.push(field);
+      records.push(record);
+    }
+
+    return this.createRows(records.map((cells, index) => ({ rowNumber: index + 1, cells })));
+  }
+
+  /**
+   * Most frequent delimiter outside quotes on the first line, comma when there is none
+   * @param {string} text - CSV text
+   * @returns {string} Delimiter
+   */
+  detectDelimiter(text) {
+    const counts = new Map(CSV_DELIMITERS.map(delimiter => [delimiter, 0]));
+    let inQuotes = false;
+
+    for (const char of text) {
+      if (char === '"') {
+        inQuotes = !inQuotes;
+      } else if (!inQuotes && (char === '\n' || char === '\r')) {
+        break;
+      } else if (!inQuotes && counts.has(char)) {
+        counts.set(char, counts.get(char) + 1);
+      }
+    }
+
+    const [delimiter, count] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0];
+    return count > 0 ? delimiter : ',';
+  }
+
+  /**
+   * Read every worksheet of an XLSX workbook
+   * @param {Buffer} buffer - XLSX file content
+   * @returns {Promise<Array<Object>>} Sheets { name, rows: [{ rowNumber, cells }] } in workbook order
+   */
+  async parseXLSX(buffer) {
+    const zip = await loadPackage(buffer, 'xl/workbook.xml', 'XLSX workbook');
+    const workbook = loadXml(await readPart(zip, 'xl/workbook.xml'));
+    const relationships = await readRelationships(zip, 'xl/workbook.xml');
+    const sharedStrings = this.parseSharedStrings(await readPart(zip, 'xl/sharedStrings.xml'));
+    const dateStyles = this.parseDateStyles(await readPart(zip, 'xl/styles.xml'));
+    const date1904 = ['1', 'true'].includes(workbook('workbookPr').attr('date1904'));
+
+    const sheets = [];
+    for (const sheetNode of workbook('sheets > sheet').toArray()) {
+      const relationship = relationships.get(sheetNode.attribs['r:id']);
+      const sheetXml = relationship ? await readPart(zip, relationship.target) : null;
+      if (sheetXml) {
+        sheets.push({
+          name: sheetNode.attribs.name,
+          rows: this.parseWorksheet(sheetXml, { sharedStrings, dateStyles, date1904 })
+        });
+      }
+    }
+
+    return sheets;
+  }
+
+  /**
+   * Shared string table, joining the runs of rich text strings
+   * @param {string|null} xml - xl/sharedStrings.xml
+   * @returns {Array<string>}
+   */
+  parseSharedStrings(xml) {
+    if (!xml) {
+      return [];
+    }
+
+    const $ = loadXml(xml);
+    return $('sst > si').toArray().map(item => this.readStringItem($, item));
+  }
+
+  readStringItem($, item) {
+    // Phonetic runs (<rPh>) repeat the text as a reading guide and are skipped
+    return $(item).children('t, r').toArray()
+      .map(node => (node.name === 't' ? $(node).text() : $(node).children('t').text()))
+      .join('');
+  }
+
+  /**
+   * Style indexes whose number format shows a date or time
+   * @param {string|null} xml - xl/styles.xml
+   * @returns {Set<number>} Indexes into cellXfs
+   */
+  parseDateStyles(xml) {
+    const dateStyles = new Set();
+    if (!xml) {
+      return dateStyles;
+    }
+
+    const $ = loadXml(xml);
+    const customDateFormats = new Set($('numFmts > numFmt').toArray()
+      .filter(node => this.isDateFormat(node.attribs.formatCode || ''))
+      .map(node => Number(node.attribs.numFmtId)));
+
+    $('cellXfs > xf').each((index, node) => {
+      const numFmtId = Number(node.attribs.numFmtId || 0);
+      if (BUILTIN_DATE_FORMATS.includes(numFmtId) || customDateFormats.has(numFmtId)) {
+        dateStyles.add(index);
+      }
+    });
+
+    return dateStyles;
+  }
+
+  isDateFormat(formatCode) {
+    // Quoted text, escaped characters and [Red]/[$-409] sections are not date tokens
+    const tokens = formatCode.replace(/"[^"]*"|\\.|\[[^\]]*\]/g, '');
+    return /[dmyhs]/i.test(tokens);
+  }
+
+  /**
+   * Cell values of a worksheet
+   * @param {string} xml - xl/worksheets/sheetN.xml
+   * @param {Object} context - { sharedStrings, dateStyles, date1904 }
+   * @returns {Array<Object>} Non-empty rows { rowNumber, cells }
+   */
+  parseWorksheet(xml, context) {
+    const $ = loadXml(xml);
+    let previousRowNumber = 0;
+
+    const rows = $('sheetData > row').toArray().map(rowNode => {
+      const rowNumber = Number(rowNode.attribs.r) || previousRowNumber + 1;
+      previousRowNumber = rowNumber;
+
+      const cells = [];
+      $(rowNode).children('c').each((index, cellNode) => {
+        const reference = cellNode.attribs.r;
+        const columnIndex = reference ? this.columnIndex(reference) : cells.length;
+        cells[columnIndex] = this.readCellValue($, cellNode, context);
+      });
+
+      return { rowNumber, cells: Array.from(cells, cell => cell || '') };
+    });
+
+    return this.createRows(rows);
+  }
+
+  readCellValue($, cellNode, { sharedStrings, dateStyles, date1904 }) {
+    const cell = $(cellNode);
+    const value = cell.children('v').text();
+
+    switch (cellNode.attribs.t) {
+      case 's':
+        return sharedStrings[Number(value)] || '';
+      case 'inlineStr':
+        return this.readStringItem($, cell.children('is').get(0));
+      case 'b':
+        return value === '1' ? 'TRUE' : 'FALSE';
+      case 'str':
+      case 'e':
+        return value;
+      default: {
+        if (value === '') {
+          return '';
+        }
+        const number = Number(value);
+        if (Number.isNaN(number)) {
+          return value;
+        }
+        if (dateStyles.has(Number(cellNode.attribs.s || 0))) {
+          return this.formatExcelDate(number, date1904);
+        }
+        // Drop binary floating point noise, e.g. 0.30000000000000004
+        return String(Number(number.toPrecision(15)));
+      }
+    }
+  }
+
+  /**
+   * Zero-based column index of a cell reference
+   * @param {string} reference - e.g. "C5" or "AA12"
+   * @returns {number}
+   */
+  columnIndex(reference) {
+    const letters = reference.match(/^[A-Z]+/i)?.[0].toUpperCase() || 'A';
+    return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+  }
+
+  /**
+   * ISO date, with the time when the serial has one
+   * @param {number} serial - Excel date serial
+   * @param {boolean} date1904 - Workbook uses the 1904 date system
+   * @returns {string} e.g. "2024-03-31" or "2024-03-31 14:30"
+   */
+  formatExcelDate(serial, date1904 = false) {
+    const days = serial - EXCEL_EPOCH_OFFSET + (date1904 ? EXCEL_1904_OFFSET : 0);
+    const iso = new Date(Math.round(days * MS_PER_DAY / 60000) * 60000).toISOString();
+    return Number.isInteger(serial) ? iso.slice(0, 10) : `${iso.slice(0, 10)} ${iso.slice(11, 16)}`;
+  }
+
+  /**
+   * Trim cells, drop trailing empty cells and empty rows, and enforce the size limits
+   * @param {Array<Object>} rows - Rows { rowNumber, cells }
+   * @returns {Array<Object>}
+   */
+  createRows(rows) {
+    const { maxRows = 100000, maxColumns = 500 } = this.config;
+
+    const result = rows
+      .map(({ rowNumber, cells }) => {
+        const trimmed = cells.map(cell => String(cell).replace(/\s+/g, ' ').trim());
+        while (trimmed.length > 0 && trimmed[trimmed.length - 1] === '') {
+          trimmed.pop();
+        }
+        return { rowNumber, cells: trimmed };
+      })
+      .filter(row => row.cells.length > 0);
+
+    if (result.length > maxRows) {
+      throw new Error(`Spreadsheet has more than ${maxRows} rows`);
+    }
+    if (result.some(row => row.cells.length > maxColumns)) {
+      throw new Error(`Spreadsheet has more than ${maxColumns} columns`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Plain text of the sheets, as stored on the document
+   * @param {Array<Object>} sheets - Sheets { name, rows }
+   * @returns {string}
+   */
+  sheetsToText(sheets) {
+    return sheets
+      .filter(sheet => sheet.rows.length > 0)
+      .map(sheet => {
+        const rows = sheet.rows.map(row => this.formatRow(row));
+        return (sheet.name ? [`Sheet: ${sheet.name}`, ...rows] : rows).join('\n');
+      })
+      .join('\n\n');
+  }
+
+  formatRow(row) {
+    return row.cells.join(' | ');
+  }
+
+  /**
+   * Chunk sheets by rows. The first row of a sheet is its header and starts every chunk
+   * of that sheet; a row longer than the chunk size gets a chunk of its own.
+   * @param {Array<Object>} sheets - Sheets { name, rows }
+   * @param {Object} options - { maxChunkSize, maxRowsPerChunk }
+   * @returns {Array<Object>} Chunks { text, sheetName, rowStart, rowEnd }; sheetName is null for CSV
+   */
+  chunkSheets(sheets, { maxChunkSize = this.config.maxChunkSize || 1000, maxRowsPerChunk = this.config.maxRowsPerChunk || 20 } = {}) {
+    const chunks = [];
+
+    sheets.forEach(sheet => {
+      const [header, ...dataRows] = sheet.rows;
+      if (!header) {
+        return;
+      }
+
+      const headerText = this.formatRow(header);
+      if (dataRows.length === 0) {
+        chunks.push(this.createChunk(sheet.name, [headerText], header, header));
+        return;
+      }
+
+      let current = [];
+      let length = headerText.length;
+      const flush = () => {
+        chunks.push(this.createChunk(sheet.name, [headerText, ...current.map(row => this.formatRow(row))], current[0], current[current.length - 1]));
+      };
+
+      dataRows.forEach(row => {
+        const rowLength = this.formatRow(row).length + 1;
+        if (current.length > 0 && (length + rowLength > maxChunkSize || current.length >= maxRowsPerChunk)) {
+          flush();
+          current = [];
+          length = headerText.length;
+        }
+        current.push(row);
+        length += rowLength;
+      });
+
+      flush();
+    });
+
+    return chunks;
+  }
+
+  createChunk(sheetName, lines, firstRow, lastRow) {
+    return {
+      text: lines.join('\n'),
+      sheetName: sheetName || null,
+      rowStart: firstRow.rowNumber,
+      rowEnd: lastRow.rowNumber
+    };
+  }
+}
+
+module.exports = new SpreadsheetParsingService();
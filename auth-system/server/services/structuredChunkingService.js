@@ -0,0 +1,608 @@
+const path = require('path');
+const cheerio = require('cheerio');
+const ConfigurationManager = require('./ConfigurationManager');
+
+const HEADING_TAGS = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+const PARAGRAPH_TAGS = ['p', 'blockquote', 'pre', 'dt', 'dd', 'figcaption', 'caption', 'address'];
+const SKIPPED_TAGS = ['script', 'style', 'noscript', 'template', 'head', 'nav'];
+const INLINE_TAGS = ['a', 'abbr', 'b', 'cite', 'code', 'em', 'font', 'i', 'label', 'mark', 'q', 's', 'small', 'span', 'strong', 'sub', 'sup', 'time', 'u'];
+
+// Heading patterns for plain text (PDF, TXT), most specific first, with their outline level
+const MARKDOWN_HEADING_PATTERN = /^(#{1,6})\s+(.+)$/;
+const TEXT_HEADING_PATTERNS = [
+  { pattern: /^(PART|Part|BOOK|Book|TITLE|Title)\s+(\d+|[IVXLC]+|[A-Z])(?![A-Za-z])/, level: () => 1 },
+  { pattern: /^(CHAPTER|Chapter)\s+(\d+|[IVXLC]+|[A-Z])(?![A-Za-z])/, level: () => 2 },
+  { pattern: /^(ARTICLE|Article|SECTION|Section|§)\s*\d[\dA-Za-z.]*(?![A-Za-z])/, level: () => 3 },
+  // "3.2 Penalties" and "3.2.1. Late payment" nest by depth; "3 Penalties" is one level up.
+  // "1. Item" is left to the list item pattern
+  { pattern: /^(\d{1,3}(?:\.\d{1,3})+)\.?\s+[A-Z]/, level: match => 3 + match[1].split('.').length },
+  { pattern: /^(\d{1,3})\s+[A-Z]/, level: () => 4 }
+];
+
+const LIST_ITEM_PATTERN = /^\s*([-*•▪◦‣]|\d+[.)]|[a-z][.)]|\([a-z0-9]+\))\s+\S/i;
+
+// Markdown and reStructuredText syntax
+const MARKDOWN_FENCE_PATTERN = /^\s{0,3}(`{3,}|~{3,})/;
+const MARKDOWN_SETEXT_PATTERN = /^\s{0,3}(=+|-+)\s*$/;
+const MARKDOWN_BREAK_PATTERN = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+const MARKDOWN_TABLE_DELIMITER_PATTERN = /^\s*\|?\s*:?-{2,}:?\s*(\|\s*:?-{2,}:?\s*)*\|?\s*$/;
+const RST_ADORNMENT_PATTERN = /^([!-/:-@[-`{-~])\1{2,}\s*$/;
+const MARKUP_FORMATS = { '.md': 'markdown', '.markdown': 'markdown', '.rst': 'rst' };
+const RST_CODE_DIRECTIVE_PATTERN = /^\.\.\s+(code-block|code|sourcecode)::/;
+const SENTENCE_PATTERN = /\S[\s\S]*?(?:[.!?]+["')\]]*(?=\s)|$)/g;
+
+/**
+ * Structure-aware chunking.
+ *
+ * Documents are parsed into blocks (headings, paragraphs, lists, tables and code) — from
+ * HTML for DOCX (mammoth maps heading styles to <h1>-<h6>) and HTML files, from detected
+ * headings, list items and table rows in plain text (PDF, TXT), or from the heading and
+ * code block syntax of Markdown and reStructuredText. Blocks are grouped into
+ * sections under their heading path, and chunks are packed from whole sentences, list
+ * items and table rows without ever crossing a section boundary.
+ *
+ * Text blocks keep the character offsets of their source, so chunks of PDF text can be
+ * mapped to pages the same way as recursive chunks (see utils/pageMap), and chunks of
+ * Markdown and reStructuredText to lines (see utils/lineMap).
+ */
+class StructuredChunkingService {
+  get config() {
+    return ConfigurationManager.getServiceConfig('chunking');
+  }
+
+  /**
+   * Markup format of a file, whose heading and code block syntax blocksFromText follows
+   * @param {string} filePath - File path or name
+   * @returns {string|null} 'markdown', 'rst' or null for other files
+   */
+  getMarkupFormat(filePath) {
+    return MARKUP_FORMATS[path.extname(filePath || '').toLowerCase()] || null;
+  }
+
+  /**
+   * Parse HTML into blocks
+   * @param {string} html - HTML document or fragment
+   * @returns {Array<Object>} Blocks: { type: 'heading', level, text } or { type, units: [{ text }] }
+   */
+  blocksFromHtml(html) {
+    const $ = cheerio.load(html);
+    const blocks = [];
+    let inlineText = '';
+
+    const flushInline = () => {
+      const text = this.normalizeWhitespace(inlineText);
+      if (text) {
+        blocks.push(this.createBlock('paragraph', this.splitSentences(text).map(unit => ({ text: unit.text }))));
+      }
+      inlineText = '';
+    };
+
+    const visit = (node) => {
+      if (node.type === 'text') {
+        inlineText += node.data;
+        return;
+      }
+      if (node.type !== 'tag') {
+        return;
+      }
+
+      const tag = node.name.toLowerCase();
+      if (SKIPPED_TAGS.includes(tag)) {
+        return;
+      }
+
+      if (tag === 'br') {
+        inlineText += '\n';
+      } else if (HEADING_TAGS.includes(tag)) {
+        flushInline();
+        const text = this.normalizeWhitespace($(node).text());
+        if (text) {
+          blocks.push({ type: 'heading', level: Number(tag[1]), text });
+        }
+      } else if (PARAGRAPH_TAGS.includes(tag)) {
+        flushInline();
+        const text = tag === 'pre' ? $(node).text().trim() : this.normalizeWhitespace($(node).text());
+        if (text) {
+          blocks.push(this.createBlock('paragraph', this.splitSentences(text).map(unit => ({ text: unit.text }))));
+        }
+      } else if (tag === 'ul' || tag === 'ol') {
+        flushInline();
+        blocks.push(this.createBlock('list', this.listItemsFromHtml($, node, 0)));
+      } else if (tag === 'table') {
+        flushInline();
+        blocks.push(this.createBlock('table', this.tableRowsFromHtml($, node)));
+      } else if (INLINE_TAGS.includes(tag)) {
+        (node.children || []).forEach(visit);
+      } else {
+        // Containers (div, section, ...) separate the text around them
+        flushInline();
+        (node.children || []).forEach(visit);
+        flushInline();
+      }
+    };
+
+    const root = $('body').length > 0 ? $('body').get(0) : $.root().get(0);
+    (root.children || []).forEach(visit);
+    flushInline();
+
+    return blocks.filter(block => block.type === 'heading' || block.units.length > 0);
+  }
+
+  listItemsFromHtml($, listNode, depth) {
+    const ordered = listNode.name.toLowerCase() === 'ol';
+    const items = [];
+
+    $(listNode).children('li').each((index, item) => {
+      const nested = $(item).children('ul, ol');
+      const text = this.normalizeWhitespace($(item).clone().children('ul, ol').remove().end().text());
+      if (text) {
+        const marker = ordered ? `${index + 1}.` : '-';
+        items.push({ text: `${'  '.repeat(depth)}${marker} ${text}` });
+      }
+      nested.each((_, child) => {
+        items.push(...this.listItemsFromHtml($, child, depth + 1));
+      });
+    });
+
+    return items;
+  }
+
+  tableRowsFromHtml($, tableNode) {
+    const rows = [];
+
+    $(tableNode).find('tr').each((_, row) => {
+      const cells = $(row).children('th, td')
+        .map((__, cell) => this.normalizeWhitespace($(cell).text()))
+        .get();
+      if (cells.some(Boolean)) {
+        rows.push({ text: cells.join(' | ') });
+      }
+    });
+
+    return rows;
+  }
+
+  /**
+   * Parse plain text (PDF, TXT), Markdown or reStructuredText into blocks, keeping source character offsets
+   * @param {string} text - Document text; form feeds (page breaks) count as line breaks
+   * @param {Object} options - { format: 'text', 'markdown' or 'rst' }; markup formats only take their
+   *   own heading syntax as headings and keep code blocks whole
+   * @returns {Array<Object>} Blocks, with units of { text, start, end }
+   */
+  blocksFromText(text, { format = 'text' } = {}) {
+    const blocks = [];
+    const lines = this.splitLines(text);
+    const rstHeadingStyles = [];
+    let current = null;
+    let literalBlockPending = false;
+
+    const flush = () => {
+      if (current) {
+        blocks.push(this.textBlockFromLines(text, current.type, current.lines));
+      }
+      current = null;
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      const trimmed = line.text.trim();
+      const next = lines[i + 1] ? lines[i + 1].text : '';
+
+      if (!trimmed) {
+        flush();
+        continue;
+      }
+
+      // Code blocks: Markdown fences, and indented blocks after "::" or a code directive in reStructuredText
+      const codeEnd = format === 'markdown'
+        ? this.findFenceEnd(lines, i)
+        : format === 'rst' && literalBlockPending && /^\s/.test(line.text) ? this.findIndentedBlockEnd(lines, i) : -1;
+      literalBlockPending = false;
+      if (codeEnd >= 0) {
+        flush();
+        blocks.push(this.createBlock('code', lines.slice(i, codeEnd + 1).map(codeLine => ({
+          text: codeLine.text.trimEnd(),
+          start: codeLine.start,
+          end: codeLine.end
+        }))));
+        i = codeEnd;
+        continue;
+      }
+
+      if (format === 'markdown') {
+        if (MARKDOWN_BREAK_PATTERN.test(line.text) || MARKDOWN_TABLE_DELIMITER_PATTERN.test(line.text)) {
+          continue;
+        }
+        // Setext headings: a line underlined with === (level 1) or --- (level 2)
+        if (!current && MARKDOWN_SETEXT_PATTERN.test(next) && !LIST_ITEM_PATTERN.test(line.text)) {
+          blocks.push({ type: 'heading', level: next.trim()[0] === '=' ? 1 : 2, text: trimmed, start: line.start, end: line.end });
+          i++;
+          continue;
+        }
+      }
+
+      if (format === 'rst') {
+        const heading = this.readRstHeading(lines, i, rstHeadingStyles);
+        if (heading) {
+          flush();
+          blocks.push({ type: 'heading', level: heading.level, text: heading.text, start: heading.start, end: heading.end });
+          i = heading.lastLine;
+          continue;
+        }
+        if (RST_ADORNMENT_PATTERN.test(trimmed)) {
+          continue; // Transition
+        }
+        if (RST_CODE_DIRECTIVE_PATTERN.test(trimmed)) {
+          flush();
+          literalBlockPending = true;
+          continue;
+        }
+        literalBlockPending = trimmed.endsWith('::');
+      }
+
+      const heading = format === 'rst' ? null : this.detectHeading(trimmed, { format });
+      if (heading) {
+        flush();
+        blocks.push({ type: 'heading', ...heading, start: line.start, end: line.end });
+        continue;
+      }
+
+      const type = this.isTableRow(line.text) ? 'table' : LIST_ITEM_PATTERN.test(line.text) ? 'list' : 'paragraph';
+
+      // Indented lines continue the list item above them
+      const continuesList = current && current.type === 'list' && type === 'paragraph' && /^\s+/.test(line.text);
+      if (current && (current.type === type || continuesList)) {
+        current.lines.push({ ...line, continuation: continuesList });
+        continue;
+      }
+
+      flush();
+      current = { type, lines: [line] };
+    }
+    flush();
+
+    return blocks;
+  }
+
+  /**
+   * Last line of a Markdown code fence opened at a line
+   * @returns {number} Line index of the closing fence (or the last line), -1 when no fence opens here
+   */
+  findFenceEnd(lines, index) {
+    const opening = lines[index].text.match(MARKDOWN_FENCE_PATTERN);
+    if (!opening) {
+      return -1;
+    }
+
+    const fence = opening[1];
+    for (let i = index + 1; i < lines.length; i++) {
+      const closing = lines[i].text.match(MARKDOWN_FENCE_PATTERN);
+      if (closing && closing[1][0] === fence[0] && closing[1].length >= fence.length && !lines[i].text.trim().slice(closing[1].length).trim()) {
+        return i;
+      }
+    }
+
+    return lines.length - 1; // An unclosed fence runs to the end of the document
+  }
+
+  /**
+   * Last line of an indented block, blank lines inside it included
+   */
+  findIndentedBlockEnd(lines, index) {
+    let end = index;
+    for (let i = index + 1; i < lines.length; i++) {
+      if (lines[i].text.trim() && !/^\s/.test(lines[i].text)) {
+        break;
+      }
+      if (lines[i].text.trim()) {
+        end = i;
+      }
+    }
+    return end;
+  }
+
+  /**
+   * reStructuredText section title: a line underlined, or over- and underlined, with punctuation.
+   * Levels follow the order in which adornment styles first appear in the document
+   * @param {Array<Object>} lines - Lines from splitLines
+   * @param {number} index - Current line
+   * @param {Array<string>} styles - Adornment styles seen so far, updated in place
+   * @returns {Object|null} { level, text, start, end, lastLine }
+   */
+  readRstHeading(lines, index, styles) {
+    const line = lines[index];
+    const trimmed = line.text.trim();
+    const next = lines[index + 1] ? lines[index + 1].text.trim() : '';
+    let style = null;
+    let title = null;
+    let lastLine = index;
+
+    if (RST_ADORNMENT_PATTERN.test(trimmed) && lines[index + 2] && next && !RST_ADORNMENT_PATTERN.test(next)
+      && lines[index + 2].text.trim() === trimmed) {
+      style = `overline${trimmed[0]}`;
+      title = lines[index + 1];
+      lastLine = index + 2;
+    } else if (!RST_ADORNMENT_PATTERN.test(trimmed) && RST_ADORNMENT_PATTERN.test(next) && next.length >= Math.min(trimmed.length, 3)
+      && !/^\s/.test(line.text)) {
+      style = next[0];
+      title = line;
+      lastLine = index + 1;
+    }
+
+    if (!style) {
+      return null;
+    }
+    if (!styles.includes(style)) {
+      styles.push(style);
+    }
+
+    return { level: Math.min(styles.indexOf(style) + 1, 6), text: title.text.trim(), start: title.start, end: title.end, lastLine };
+  }
+
+  /**
+   * Split text into lines with their character offsets
+   * @param {string} text - Text to split
+   * @returns {Array<{text: string, start: number, end: number}>} Lines
+   */
+  splitLines(text) {
+    const lines = [];
+    const pattern = /[^\n\f]*/g;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+      lines.push({ text: match[0], start: match.index, end: match.index + match[0].length });
+      if (pattern.lastIndex >= text.length) {
+        break;
+      }
+      pattern.lastIndex++; // Skip the line break
+    }
+
+    return lines;
+  }
+
+  textBlockFromLines(text, type, lines) {
+    if (type === 'paragraph') {
+      const start = lines[0].start;
+      const end = lines[lines.length - 1].end;
+      return this.createBlock('paragraph', this.splitSentences(text.slice(start, end), start));
+    }
+
+    // One unit per table row or list item; continuation lines join the item above
+    const units = [];
+    lines.forEach(line => {
+      const lineText = this.normalizeWhitespace(line.text);
+      const previous = units[units.length - 1];
+      if (line.continuation && previous) {
+        previous.text = `${previous.text} ${lineText}`;
+        previous.end = line.end;
+      } else {
+        units.push({ text: type === 'table' ? this.normalizeTableRow(line.text) : lineText, start: line.start, end: line.end });
+      }
+    });
+
+    return this.createBlock(type, units);
+  }
+
+  /**
+   * Detect a heading line in plain text
+   * @param {string} line - Trimmed line
+   * @param {Object} options - { format }; Markdown documents only have "#" headings
+   * @returns {Object|null} { level, text } or null
+   */
+  detectHeading(line, { format = 'text' } = {}) {
+    const markdown = line.match(MARKDOWN_HEADING_PATTERN);
+    if (markdown) {
+      return { level: markdown[1].length, text: markdown[2].replace(/\s+#+$/, '').trim() };
+    }
+    if (format === 'markdown') {
+      return null;
+    }
+
+    // Headings are short and do not read like the end of a sentence or clause
+    const maxLength = this.config.maxHeadingLength || 120;
+    const maxWords = this.config.maxHeadingWords || 12;
+    if (line.length > maxLength || line.split(/\s+/).length > maxWords || /[.,;]$/.test(line)) {
+      return null;
+    }
+
+    for (const { pattern, level } of TEXT_HEADING_PATTERNS) {
+      const match = line.match(pattern);
+      if (match) {
+        return { level: level(match), text: line };
+      }
+    }
+
+    // Short all-caps lines ("DEFINITIONS", "TERMS OF SERVICE") are top-level headings
+    const letters = line.replace(/[^A-Za-z]/g, '');
+    if (letters.length >= 3 && letters === letters.toUpperCase()) {
+      return { level: 1, text: line };
+    }
+
+    return null;
+  }
+
+  isTableRow(line) {
+    return (line.match(/\|/g) || []).length >= 2
+      || line.includes('\t')
+      || (line.trim().match(/\S\s{3,}(?=\S)/g) || []).length >= 2;
+  }
+
+  normalizeTableRow(line) {
+    return line.trim()
+      .replace(/^\||\|$/g, '')
+      .split(/\s*\|\s*|\t+|\s{3,}/)
+      .map(cell => cell.trim())
+      .join(' | ');
+  }
+
+  /**
+   * Split text into sentences
+   * @param {string} text - Paragraph text
+   * @param {number} offset - Character offset of the text in its document, when known
+   * @returns {Array<Object>} Units of { text } plus { start, end } when the offset is known
+   */
+  splitSentences(text, offset) {
+    return Array.from(text.matchAll(SENTENCE_PATTERN))
+      .map(match => {
+        const raw = match[0].trimEnd();
+        const unit = { text: this.normalizeWhitespace(raw) };
+        if (offset !== undefined) {
+          unit.start = offset + match.index;
+          unit.end = unit.start + raw.length;
+        }
+        return unit;
+      })
+      .filter(unit => unit.text);
+  }
+
+  normalizeWhitespace(text) {
+    return text.replace(/\s+/g, ' ').trim();
+  }
+
+  createBlock(type, units) {
+    return { type, units };
+  }
+
+  /**
+   * Plain text of blocks, for formats whose text is read from their structure (EPUB, ODT, RTF)
+   * @param {Array<Object>} blocks - Blocks from blocksFromHtml or the format's parser
+   * @returns {string} One paragraph per block; list items and table rows on their own lines
+   */
+  blocksToText(blocks) {
+    return blocks
+      .map(block => (block.type === 'heading' ? block.text : block.units.map(unit => unit.text).join(block.type === 'paragraph' ? ' ' : '\n')))
+      .join('\n\n');
+  }
+
+  /**
+   * Group blocks into sections under their heading path
+   * @param {Array<Object>} blocks - Blocks from blocksFromHtml or blocksFromText
+   * @returns {Array<{headingPath: Array<string>, blocks: Array}>} Sections with content, in order
+   */
+  buildSections(blocks) {
+    const sections = [];
+    const headings = [];
+    let current = { headingPath: [], blocks: [] };
+
+    blocks.forEach(block => {
+      if (block.type !== 'heading') {
+        current.blocks.push(block);
+        return;
+      }
+
+      if (current.blocks.length > 0) {
+        sections.push(current);
+      }
+
+      while (headings.length > 0 && headings[headings.length - 1].level >= block.level) {
+        headings.pop();
+      }
+      headings.push(block);
+      current = { headingPath: headings.map(heading => heading.text), blocks: [] };
+    });
+
+    if (current.blocks.length > 0) {
+      sections.push(current);
+    }
+
+    return sections;
+  }
+
+  /**
+   * Chunk blocks into section-bounded chunks
+   * @param {Array<Object>} blocks - Blocks from blocksFromHtml or blocksFromText
+   * @param {Object} options - { maxChunkSize } in characters
+   * @returns {Array<Object>} Chunks of { text, headingPath, section } plus { charStart, charEnd } for text blocks
+   */
+  chunkBlocks(blocks, { maxChunkSize = this.config.maxChunkSize || 1000 } = {}) {
+    const chunks = [];
+
+    this.buildSections(blocks).forEach(({ headingPath, blocks: sectionBlocks }) => {
+      let parts = [];
+      let length = 0;
+
+      const flush = () => {
+        if (parts.length > 0) {
+          chunks.push(this.createChunk(parts, headingPath));
+        }
+        parts = [];
+        length = 0;
+      };
+
+      sectionBlocks.forEach(block => {
+        const separator = block.type === 'paragraph' ? ' ' : '\n';
+        const limitedUnits = block.type === 'code' ? block.units : this.limitUnits(block.units, maxChunkSize);
+        let units = [];
+
+        const addPart = () => {
+          if (units.length > 0) {
+            parts.push({ units, separator });
+          }
+          units = [];
+        };
+
+        limitedUnits.forEach(unit => {
+          // Blocks are separated by a blank line, units within a block by `separator`
+          const added = unit.text.length + (units.length > 0 ? separator.length : parts.length > 0 ? 2 : 0);
+          if (length > 0 && length + added > maxChunkSize) {
+            addPart();
+            flush();
+            length = unit.text.length;
+          } else {
+            length += added;
+          }
+          units.push(unit);
+        });
+        addPart();
+      });
+      flush();
+    });
+
+    return chunks;
+  }
+
+  /**
+   * Split units longer than a chunk at word boundaries
+   */
+  limitUnits(units, maxChunkSize) {
+    return units.flatMap(unit => {
+      if (unit.text.length <= maxChunkSize) {
+        return [unit];
+      }
+
+      const pieces = [];
+      let piece = '';
+      unit.text.split(' ').forEach(word => {
+        if (piece && piece.length + word.length + 1 > maxChunkSize) {
+          pieces.push(piece);
+          piece = '';
+        }
+        piece = piece ? `${piece} ${word}` : word;
+      });
+      if (piece) {
+        pieces.push(piece);
+      }
+
+      // Pieces of an oversized unit keep the unit's source range
+      return pieces.map(text => ({ ...unit, text }));
+    });
+  }
+
+  createChunk(parts, headingPath) {
+    const units = parts.flatMap(part => part.units);
+    const chunk = {
+      text: parts.map(part => part.units.map(unit => unit.text).join(part.separator)).join('\n\n'),
+      headingPath,
+      section: headingPath.length > 0 ? headingPath.join(' > ') : null
+    };
+
+    if (units.every(unit => unit.start !== undefined)) {
+      chunk.charStart = Math.min(...units.map(unit => unit.start));
+      chunk.charEnd = Math.max(...units.map(unit => unit.end));
+    }
+
+    return chunk;
+  }
+}
+
+module.exports = new StructuredChunkingService();
@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const RecoveryCode = require('../models/RecoveryCode');
+const ConfigurationManager = require('./ConfigurationManager');
+const { base32Encode, base32Decode, verifyTotp, buildOtpauthUri } = require('../utils/totp');
+
+const SECRET_BYTES = 20; // 160 bits, the HMAC-SHA1 block the RFC recommends
+const RECOVERY_CODE_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789'; // no look-alike characters
+
+/**
+ * TOTP two-factor authentication.
+ *
+ * Enrollment stores a new secret, encrypted (AES-256-GCM), as pending until the user
+ * confirms it with a code from their authenticator app; confirming turns two-factor
+ * authentication on and generates recovery codes, of which only hashes are kept. Each
+ * code is accepted once: the time step of the last accepted code is recorded.
+ */
+class TwoFactorService {
+  get config() {
+    return ConfigurationManager.getServiceConfig('twoFactor');
+  }
+
+  getTotpOptions() {
+    const { digits = 6, period = 30, window = 1 } = this.config;
+    return { digits, period, window };
+  }
+
+  getEncryptionKey() {
+    const keyMaterial = this.config.encryptionKey || process.env.JWT_SECRET;
+    if (!keyMaterial) {
+      throw new Error('No encryption key configured for two-factor secrets');
+    }
+    return crypto.createHash('sha256').update(keyMaterial).digest();
+  }
+
+  /**
+   * @param {string} secret - Base32 secret
+   * @returns {string} "iv.tag.ciphertext" in base64
+   */
+  encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+  }
+
+  decryptSecret(stored) {
+    const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  /**
+   * Start (or restart) enrollment with a new secret
+   * @param {User} user - User enrolling; two-factor authentication must be off
+   * @returns {Promise<Object>} { secret, otpauthUri } for the authenticator app
+   */
+  async beginEnrollment(user) {
+    const secret = base32Encode(crypto.randomBytes(SECRET_BYTES));
+    await user.updateTwoFactor({ enabled: false, secret: this.encryptSecret(secret) });
+
+    const { digits, period } = this.getTotpOptions();
+    return {
+      secret,
+      otpauthUri: buildOtpauthUri({ secret, accountName: user.email, issuer: this.config.issuer, digits, period })
+    };
+  }
+
+  /**
+   * Finish enrollment with a code from the authenticator app
+   * @param {User} user - User with a pending enrollment
+   * @param {string} code - TOTP code
+   * @returns {Promise<Array<string>|null>} Recovery codes, null when the code is wrong
+   */
+  async confirmEnrollment(user, code) {
+    if (!(await this.verifyCode(user, code))) {
+      return null;
+    }
+
+    await user.updateTwoFactor({ enabled: true, secret: user.twoFactorSecret });
+    return this.regenerateRecoveryCodes(user);
+  }
+
+  /**
+   * Check a TOTP code against the user's secret, once per code
+   * @param {User} user - User with a secret, enabled or pending
+   * @param {string} code - TOTP code
+   * @returns {Promise<boolean>}
+   */
+  async verifyCode(user, code) {
+    if (!user.twoFactorSecret) {
+      return false;
+    }
+
+    const secret = base32Decode(this.decryptSecret(user.twoFactorSecret));
+    const timeStep = verifyTotp(secret, code, this.getTotpOptions());
+    return timeStep !== null && user.claimTwoFactorStep(timeStep);
+  }
+
+  /**
+   * Check the second step of signing in, a TOTP code or a recovery code
+   * @param {User} user - User with two-factor authentication on
+   * @param {Object} factor - { code } or { recoveryCode }
+   * @returns {Promise<Object>} { valid, method: 'totp'|'recovery-code', recoveryCodesRemaining }
+   */
+  async verifySecondFactor(user, { code, recoveryCode }) {
+    if (recoveryCode) {
+      const valid = await RecoveryCode.consume(user.id, this.hashRecoveryCode(recoveryCode));
+      return { valid, method: 'recovery-code', recoveryCodesRemaining: await RecoveryCode.countRemaining(user.id) };
+    }
+
+    return { valid: await this.verifyCode(user, code), method: 'totp' };
+  }
+
+  /**
+   * Replace the user's recovery codes
+   * @param {User} user - User
+   * @returns {Promise<Array<string>>} The new codes, shown to the user once
+   */
+  async regenerateRecoveryCodes(user) {
+    const { recoveryCodeCount = 10 } = this.config;
+    const codes = Array.from({ length: recoveryCodeCount }, () => this.generateRecoveryCode());
+    await RecoveryCode.replaceForUser(user.id, codes.map(code => this.hashRecoveryCode(code)));
+    return codes;
+  }
+
+  /**
+   * @returns {string} e.g. "k7m2p-x9qrt"; 50 bits of randomness
+   */
+  generateRecoveryCode() {
+    const characters = Array.from({ length: 10 }, () => RECOVERY_CODE_ALPHABET[crypto.randomInt(RECOVERY_CODE_ALPHABET.length)]);
+    return `${characters.slice(0, 5).join('')}-${characters.slice(5).join('')}`;
+  }
+
+  /**
+   * Recovery codes are random, so a fast hash is enough; dashes, spaces and case are ignored
+   * @param {string} code - Recovery code
+   * @returns {string}
+   */
+  hashRecoveryCode(code) {
+    const normalized = String(code).toLowerCase().replace(/[\s-]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  /**
+   * Turn two-factor authentication off, by the user or an administrator, and forget
+   * the secret and recovery codes
+   * @param {User} user - User
+   */
+  async disable(user) {
+    await user.updateTwoFactor({ enabled: false, secret: null });
+    await RecoveryCode.deleteByUserId(user.id);
+  }
+
+  /**
+   * @param {User} user - User
+   * @returns {Promise<Object>} { enabled, pendingEnrollment, recoveryCodesRemaining }
+   */
+  async getStatus(user) {
+    return {
+      enabled: user.twoFactorEnabled,
+      pendingEnrollment: !user.twoFactorEnabled && Boolean(user.twoFactorSecret),
+      recoveryCodesRemaining: user.twoFactorEnabled ? await RecoveryCode.countRemaining(user.id) : 0
+    };
+  }
+}
+
+module.exports = new TwoFactorService();
@@ -0,0 +1,145 @@
+const pineconeService = require('./pineconeService');
+const localVectorStore = require('./localVectorStore');
+const configManager = require('./ConfigurationManager');
+
+const SUPPORTED_BACKENDS = ['auto', 'pinecone', 'local'];
+
+/**
+ * Vector store facade used by the rest of the application.
+ *
+ * Delegates to pineconeService or the embedded SQLite localVectorStore depending on
+ * the `vectorStore.backend` configuration (VECTOR_STORE_BACKEND). In 'auto' mode
+ * Pinecone is used when it initializes successfully, otherwise the local store.
+ */
+class VectorStoreService {
+  constructor() {
+    this.backend = null;
+    this.backendName = null;
+  }
+
+  async initialize() {
+    const configured = configManager.get('vectorStore.backend', 'auto');
+    const requested = SUPPORTED_BACKENDS.includes(configured) ? configured : 'auto';
+
+    if (requested !== configured) {
+      console.warn(`⚠️ Unknown vector store backend "${configured}", falling back to auto`);
+    }
+
+    if (requested === 'pinecone' || requested === 'auto') {
+      await pineconeService.initialize();
+    }
+
+    if (requested === 'pinecone' || (requested === 'auto' && pineconeService.isEnabled)) {
+      this.useBackend('pinecone');
+    } else {
+      await localVectorStore.initialize();
+      this.useBackend('local');
+    }
+
+    console.log(`🗄️ Vector store backend: ${this.backendName}`);
+  }
+
+  /**
+   * Switch the active backend
+   * @param {string} name - 'pinecone' or 'local'
+   */
+  useBackend(name) {
+    this.backendName = name;
+    this.backend = name === 'local' ? localVectorStore : pineconeService;
+  }
+
+  getBackend() {
+    if (!this.backend) {
+      // Not initialized yet (e.g. scripts and tests); resolve lazily without network calls
+      this.useBackend(configManager.get('vectorStore.backend') === 'local' ? 'local' : 'pinecone');
+    }
+    return this.backend;
+  }
+
+  getBackendName() {
+    this.getBackend();
+    return this.backendName;
+  }
+
+  get isEnabled() {
+    return this.getBackend().isEnabled;
+  }
+
+  async createUserIndex(userData) {
+    return this.getBackend().createUserIndex(userData);
+  }
+
+  async updateUserMetadata(pineconeId, metadata) {
+    return this.getBackend().updateUserMetadata(pineconeId, metadata);
+  }
+
+  async deleteUser(pineconeId) {
+    return this.getBackend().deleteUser(pineconeId);
+  }
+
+  async storeDocument(vector, userPineconeId) {
+    return this.getBackend().storeDocument(vector, userPineconeId);
+  }
+
+  async storeDocuments(vectors, userPineconeId) {
+    return this.getBackend().storeDocuments(vectors, userPineconeId);
+  }
+
+  async searchDocuments(queryVector, userPineconeId, filter = {}, topK = 5) {
+    return this.getBackend().searchDocuments(queryVector, userPineconeId, filter, topK);
+  }
+
+  async deleteDocument(vectorId, userPineconeId) {
+    return this.getBackend().deleteDocument(vectorId, userPineconeId);
+  }
+
+  async deleteDocuments(vectorIds, userPineconeId) {
+    return this.getBackend().deleteDocuments(vectorIds, userPineconeId);
+  }
+
+  async fetchDocuments(vectorIds, userPineconeId) {
+    return this.getBackend().fetchDocuments(vectorIds, userPineconeId);
+  }
+
+  async listVectorIds(userPineconeId, prefix) {
+    return this.getBackend().listVectorIds(userPineconeId, prefix);
+  }
+
+  async removeAllUserVectors(userPineconeId) {
+    return this.getBackend().removeAllUserVectors(userPineconeId);
+  }
+
+  async cleanupUserData(userPineconeId) {
+    return this.getBackend().cleanupUserData(userPineconeId);
+  }
+
+  async verifyUserDataCleanup(userPineconeId) {
+    return this.getBackend().verifyUserDataCleanup(userPineconeId);
+  }
+
+  async listUserIndexes() {
+    return this.getBackend().listUserIndexes();
+  }
+
+  async getUserIndexStats(userPineconeId) {
+    return this.getBackend().getUserIndexStats(userPineconeId);
+  }
+
+  async getCleanupStatistics() {
+    return this.getBackend().getCleanupStatistics();
+  }
+
+  getEmbeddingModelInfo() {
+    return this.getBackend().getEmbeddingModelInfo();
+  }
+
+  validateEmbedding(embedding) {
+    return this.getBackend().validateEmbedding(embedding);
+  }
+
+  getConnectionPoolMetrics() {
+    return this.getBackend().getConnectionPoolMetrics();
+  }
+}
+
+module.exports = new VectorStoreService();
@@ -0,0 +1,196 @@
+const path = require('path');
+const structuredChunkingService = require('./structuredChunkingService');
+const { loadPackage, readPart, loadXml } = require('../utils/ooxmlPackage');
+const { parseRtf } = require('../utils/rtfDocument');
+
+const WORD_PROCESSING_EXTENSIONS = ['.odt', '.rtf'];
+// Paragraph styles LibreOffice and Word name "Heading 1" to "Heading 10" ("Heading_20_1" in ODF)
+const HEADING_STYLE_PATTERN = /^heading(?:_20_|\s*)(\d+)$/i;
+// Elements whose text is not part of the document body: footnotes, comments, tables of contents,
+// change tracking and drawing shapes
+const SKIPPED_ELEMENTS = [
+  'text:note', 'office:annotation', 'text:table-of-content', 'text:alphabetical-index',
+  'text:illustration-index', 'text:bibliography', 'text:tracked-changes', 'draw:frame', 'draw:custom-shape',
+  'text:sequence-decls', 'office:forms'
+];
+
+/**
+ * OpenDocument Text (.odt) and RTF parsing.
+ *
+ * Both formats are read into structured chunking blocks: headings with their outline level
+ * (ODF `text:h` and paragraphs in "Heading N" styles; RTF outline levels and heading
+ * styles), paragraphs, lists and tables. The blocks give the document text and, since
+ * these documents are always chunked with the structured strategy, the section of every
+ * chunk.
+ */
+class WordProcessingParsingService {
+  /**
+   * Whether a file is parsed as an ODT or RTF document
+   * @param {string} filePath - File path or name
+   * @returns {boolean}
+   */
+  isWordProcessingDocument(filePath) {
+    return Boolean(filePath) && WORD_PROCESSING_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+  }
+
+  /**
+   * Blocks of an ODT or RTF document
+   * @param {Buffer} buffer - File content
+   * @param {string} filePath - File path or name, decides the format
+   * @returns {Promise<Array<Object>>} Blocks for structuredChunkingService.chunkBlocks
+   */
+  async parseDocument(buffer, filePath) {
+    return path.extname(filePath).toLowerCase() === '.rtf' ? this.parseRTF(buffer) : this.parseODT(buffer);
+  }
+
+  /**
+   * Blocks of an ODT document's body
+   * @param {Buffer} buffer - ODT file content
+   * @returns {Promise<Array<Object>>}
+   */
+  async parseODT(buffer) {
+    const zip = await loadPackage(buffer, 'content.xml', 'ODT document');
+    const $ = loadXml(await readPart(zip, 'content.xml'));
+    const headingStyles = this.readHeadingStyles($, loadXml(await readPart(zip, 'styles.xml')));
+    const blocks = [];
+
+    const visit = (node) => {
+      if (node.type !== 'tag' || SKIPPED_ELEMENTS.includes(node.name)) {
+        return;
+      }
+
+      if (node.name === 'text:h' || node.name === 'text:p') {
+        const text = this.readText(node);
+        const level = node.name === 'text:h'
+          ? Number(node.attribs['text:outline-level']) || 1
+          : headingStyles.get(node.attribs['text:style-name']);
+        if (text && level) {
+          blocks.push({ type: 'heading', level, text });
+        } else if (text) {
+          blocks.push(structuredChunkingService.createBlock('paragraph', structuredChunkingService.splitSentences(text).map(unit => ({ text: unit.text }))));
+        }
+      } else if (node.name === 'text:list') {
+        const items = this.readListItems(node, 0);
+        if (items.length > 0) {
+          blocks.push(structuredChunkingService.createBlock('list', items));
+        }
+      } else if (node.name === 'table:table') {
+        const rows = $(node).find('table\\:table-row').toArray()
+          .map(row => $(row).children('table\\:table-cell, table\\:covered-table-cell').toArray()
+            .map(cell => $(cell).children('text\\:p, text\\:h').toArray().map(paragraph => this.readText(paragraph)).join(' ').trim())
+            .join(' | '))
+          .filter(row => row.replace(/[|\s]/g, ''))
+          .map(text => ({ text }));
+        if (rows.length > 0) {
+          blocks.push(structuredChunkingService.createBlock('table', rows));
+        }
+      } else {
+        // Sections and other containers
+        (node.children || []).forEach(visit);
+      }
+    };
+
+    $('office\\:body > office\\:text').children().each((index, node) => visit(node));
+    return blocks;
+  }
+
+  /**
+   * Heading level of paragraph styles, by style name. Automatic styles (e.g. "P3") inherit
+   * the heading level of the named style they are based on
+   * @param {CheerioAPI} content - content.xml
+   * @param {CheerioAPI} styles - styles.xml
+   * @returns {Map<string, number>}
+   */
+  readHeadingStyles(content, styles) {
+    const levels = new Map();
+    const parents = new Map();
+
+    [content, styles].forEach($ => {
+      $('style\\:style').each((index, node) => {
+        const { 'style:name': name, 'style:display-name': displayName, 'style:parent-style-name': parent, 'style:default-outline-level': outlineLevel } = node.attribs;
+        const match = (displayName || name || '').match(HEADING_STYLE_PATTERN);
+        const level = Number(outlineLevel) || (match ? Number(match[1]) : 0);
+        if (level) {
+          levels.set(name, level);
+        } else if (parent) {
+          parents.set(name, parent);
+        }
+      });
+    });
+
+    parents.forEach((parent, name) => {
+      if (levels.has(parent)) {
+        levels.set(name, levels.get(parent));
+      }
+    });
+
+    return levels;
+  }
+
+  readListItems(listNode, depth) {
+    const items = [];
+
+    (listNode.children || []).filter(node => node.name === 'text:list-item' || node.name === 'text:list-header').forEach(item => {
+      (item.children || []).forEach(child => {
+        if (child.name === 'text:p' || child.name === 'text:h') {
+          const text = this.readText(child);
+          if (text) {
+            items.push({ text: `${'  '.repeat(depth)}- ${text}` });
+          }
+        } else if (child.name === 'text:list') {
+          items.push(...this.readListItems(child, depth + 1));
+        }
+      });
+    });
+
+    return items;
+  }
+
+  /**
+   * Text of a paragraph; ODF stores runs of spaces, tabs and line breaks as elements
+   * @param {Object} node - text:p or text:h element
+   * @returns {string} Text with whitespace collapsed
+   */
+  readText(node) {
+    const collect = (current) => (current.children || []).map(child => {
+      if (child.type === 'text') {
+        return child.data;
+      }
+      if (child.type !== 'tag' || SKIPPED_ELEMENTS.includes(child.name)) {
+        return '';
+      }
+      if (child.name === 'text:s' || child.name === 'text:tab' || child.name === 'text:line-break') {
+        return ' ';
+      }
+      return collect(child);
+    }).join('');
+
+    return structuredChunkingService.normalizeWhitespace(collect(node));
+  }
+
+  /**
+   * Blocks of an RTF document
+   * @param {Buffer} buffer - RTF file content
+   * @returns {Array<Object>}
+   */
+  parseRTF(buffer) {
+    const blocks = [];
+
+    parseRtf(buffer).forEach(({ text, level, tableRow }) => {
+      const previous = blocks[blocks.length - 1];
+      if (level) {
+        blocks.push({ type: 'heading', level, text });
+      } else if (tableRow && previous && previous.type === 'table') {
+        previous.units.push({ text });
+      } else if (tableRow) {
+        blocks.push(structuredChunkingService.createBlock('table', [{ text }]));
+      } else {
+        blocks.push(structuredChunkingService.createBlock('paragraph', structuredChunkingService.splitSentences(text).map(unit => ({ text: unit.text }))));
+      }
+    });
+
+    return blocks;
+  }
+}
+
+module.exports = new WordProcessingParsingService();
@@ -0,0 +1,70 @@
+/**
+ * Shared setup for tests that run against a real database.
+ *
+ * Set process.env.DB_PATH (normally ':memory:') before requiring this module, since
+ * the database connection reads it when it is first loaded.
+ */
+const database = require('../../config/database');
+const Document = require('../../models/Document');
+const vectorStoreService = require('../../services/vectorStoreService');
+const localVectorStore = require('../../services/localVectorStore');
+
+const DIMENSION = localVectorStore.embeddingDimension;
+
+/**
+ * Unit vector along one axis, with a little weight on a second axis if given
+ * @param {number} axis - Axis set to 1
+ * @param {number|null} secondaryAxis - Axis set to 0.5
+ * @returns {Array<number>} Vector of the local store's dimension
+ */
+const makeVector = (axis, secondaryAxis = null) => {
+  const values = new Array(DIMENSION).fill(0);
+  values[axis] = 1;
+  if (secondaryAxis !== null) {
+    values[secondaryAxis] = 0.5;
+  }
+  return values;
+};
+
+/**
+ * Connect the database before the suite and close it after. Vectors are kept in the
+ * local store, so nothing reaches Pinecone. Call at the top of a describe block.
+ */
+const useTestDatabase = () => {
+  beforeAll(async () => {
+    await database.connect();
+    await localVectorStore.initialize();
+    vectorStoreService.useBackend('local');
+  });
+
+  afterAll(async () => {
+    await database.close();
+  });
+};
+
+/**
+ * Create a completed upload
+ * @param {Object} owner - { userId, pineconeId }
+ * @param {string} originalName - File name as uploaded
+ * @param {Object} fields - Other document fields, such as extractedText or folderPath
+ * @returns {Promise<Document>} Created document
+ */
+const addDocument = (owner, originalName, { extractedText = 'text', ...fields } = {}) => Document.create({
+  userId: owner.userId,
+  pineconeId: owner.pineconeId,
+  fileName: `doc-${Math.random()}`,
+  originalName,
+  fileType: 'TXT',
+  fileSize: extractedText.length,
+  filePath: `/tmp/${originalName}`,
+  extractedText,
+  uploadStatus: 'completed',
+  ...fields
+});
+
+module.exports = {
+  DIMENSION,
+  makeVector,
+  useTestDatabase,
+  addDocument
+};
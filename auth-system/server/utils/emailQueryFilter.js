@@ -0,0 +1,124 @@
+/**
+ * Metadata filters for questions about email, e.g. "what did legal say in March".
+ *
+ * Email chunks are stored with the sender's name words and address (`senderTerms`) and
+ * the month and year the message was sent (`sentMonth`, `sentYear`), see
+ * emailParsingService.getMessageMetadata. A sender or date named in the question narrows
+ * the search to the matching messages and their attachments.
+ */
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const MONTH_PATTERN = 'jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?';
+const SENDER_END = '(?=\\s+(?:say|said|write|wrote|send|sent|mention|mentioned|reply|replied|think|thought|propose|proposed|suggest|suggested|ask|asked|in|on|during|about|regarding|concerning|last|this|before|after|since)\\b|[?.,!;](?:\\s|$)|$)';
+
+const SENDER_PATTERNS = [
+  // "what did legal say", "what has Jane Smith written about"
+  /\bwhat\s+(?:did|does|do|has|have)\s+(.+?)\s+(?:say|said|write|written|wrote|send|sent|mention|mentioned|reply|replied|think|propose|proposed|suggest|suggested|ask|asked)\b/i,
+  // "emails from legal", "messages sent by jane@example.com"
+  new RegExp(`\\b(?:e-?mails?|mails?|messages?|replies|reply|notes?|threads?)\\s+(?:from|by|sent\\s+by|written\\s+by)\\s+(.+?)${SENDER_END}`, 'i'),
+  // "did legal email about", "when did Jane reply"
+  /\bdid\s+(.+?)\s+(?:e-?mail|reply|respond|write)\b/i
+];
+const MONTH_REFERENCE = new RegExp(`\\b(?:in|during|from|of|for|since)\\s+(?:early\\s+|late\\s+|mid-?\\s*)?(${MONTH_PATTERN})\\b\\.?(?:\\s*,?\\s*(\\d{4}))?`, 'i');
+const YEAR_REFERENCE = /\b(?:in|during|of|for)\s+((?:19|20)\d{2})\b/i;
+const EMAIL_CUE = /\b(?:e-?mails?|mails?|messages?|inbox|threads?|wrote|sent|replied|replies)\b/i;
+
+// Words that describe a sender without naming it, e.g. "the legal team"
+const GENERIC_SENDER_WORDS = new Set(['the', 'a', 'an', 'our', 'my', 'their', 'team', 'teams', 'department', 'dept', 'group', 'office', 'people', 'folks', 'guys', 'someone', 'anyone', 'everyone']);
+const NON_SENDERS = new Set(['you', 'i', 'we', 'they', 'it', 'he', 'she', 'this', 'that', 'these', 'those']);
+// "what does section 4 say" asks about a document, not a sender
+const DOCUMENT_WORDS = new Set(['document', 'documents', 'file', 'report', 'contract', 'agreement', 'policy', 'section', 'clause', 'article', 'chapter', 'paragraph', 'page', 'table', 'slide', 'sheet', 'email', 'message', 'attachment', 'law', 'act', 'regulation']);
+
+/**
+ * Words identifying the sender named in a question
+ * @param {string} query - User question
+ * @returns {Array<string>} Lower-case terms, empty when no sender is named
+ */
+const extractSenderTerms = (query) => {
+  for (const pattern of SENDER_PATTERNS) {
+    const match = query.match(pattern);
+    if (!match) {
+      continue;
+    }
+
+    const sender = match[1].trim().toLowerCase().replace(/'s$/, '');
+    if (NON_SENDERS.has(sender)) {
+      return [];
+    }
+    const address = sender.match(/[^\s@<>]+@[^\s@<>]+\.[a-z]{2,}/);
+    if (address) {
+      return [address[0]];
+    }
+
+    const words = sender.split(/[^\p{L}\p{N}]+/u).filter(word => word.length > 1 && !GENERIC_SENDER_WORDS.has(word));
+    if (/\d/.test(sender) || words.some(word => DOCUMENT_WORDS.has(word))) {
+      return [];
+    }
+    // Longer phrases are questions rather than names ("what did the board decide we should say")
+    return words.length > 0 && words.length <= 3 ? words : [];
+  }
+  return [];
+};
+
+/**
+ * Month and year named in a question
+ * @param {string} query - User question
+ * @returns {{month: number|null, year: number|null}}
+ */
+const extractSentPeriod = (query) => {
+  const monthMatch = query.match(MONTH_REFERENCE);
+  if (monthMatch) {
+    const month = MONTHS.findIndex(name => name.startsWith(monthMatch[1].toLowerCase().slice(0, 3))) + 1;
+    return { month, year: monthMatch[2] ? Number(monthMatch[2]) : null };
+  }
+
+  const yearMatch = query.match(YEAR_REFERENCE);
+  return { month: null, year: yearMatch ? Number(yearMatch[1]) : null };
+};
+
+/**
+ * Metadata filter for the sender and date a question asks about
+ * @param {string} query - User question
+ * @returns {Object|null} e.g. { $and: [{ senderTerms: 'legal' }, { sentMonth: 3 }] }; null when
+ *   the question names no sender, and no date together with a word about messages
+ */
+const buildEmailFilter = (query = '') => {
+  const senderTerms = extractSenderTerms(query);
+  const { month, year } = extractSentPeriod(query);
+  const conditions = senderTerms.map(term => ({ senderTerms: term }));
+
+  // A date alone only narrows questions about messages, not "what changed in March"
+  if (conditions.length > 0 || EMAIL_CUE.test(query)) {
+    if (month) {
+      conditions.push({ sentMonth: month });
+    }
+    if (year) {
+      conditions.push({ sentYear: year });
+    }
+  }
+
+  if (conditions.length === 0) {
+    return null;
+  }
+  return conditions.length === 1 ? conditions[0] : { $and: conditions };
+};
+
+/**
+ * Combine a chat scope filter with an email filter
+ * @param {Object} scopeFilter - Filter from the chat scope, may be empty
+ * @param {Object} emailFilter - Filter from buildEmailFilter
+ * @returns {Object} Filter both must match
+ */
+const combineFilters = (scopeFilter, emailFilter) => {
+  if (!scopeFilter || Object.keys(scopeFilter).length === 0) {
+    return emailFilter;
+  }
+  return { $and: [scopeFilter, emailFilter] };
+};
+
+module.exports = {
+  extractSenderTerms,
+  extractSentPeriod,
+  buildEmailFilter,
+  combineFilters
+};
@@ -1,14 +1,16 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 
-const generateTokens = (userId) => {
+// Both tokens name the session (sid) they belong to; each refresh token is unique (jti)
+const generateTokens = (userId, sessionId) => {
   const accessToken = jwt.sign(
-    { userId },
+    { userId, sid: sessionId },
     process.env.JWT_SECRET,
     { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
   );
 
   const refreshToken = jwt.sign(
-    { userId, type: 'refresh' },
+    { userId, type: 'refresh', sid: sessionId, jti: crypto.randomUUID() },
     process.env.JWT_SECRET,
     { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d' }
   );
@@ -28,6 +30,21 @@ const verifyRefreshToken = (token) => {
   }
 };
 
+// Issued after the password when two-factor authentication is on; only exchanges a code for tokens
+const generateTwoFactorChallenge = (userId, expiresIn = '5m') => jwt.sign(
+  { userId, type: '2fa' },
+  process.env.JWT_SECRET,
+  { expiresIn }
+);
+
+const verifyTwoFactorChallenge = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.type !== '2fa') {
+    throw new Error('Invalid token type');
+  }
+  return decoded;
+};
+
 const getTokenExpiration = (token) => {
   try {
     const decoded = jwt.decode(token);
@@ -40,5 +57,7 @@ const getTokenExpiration = (token) => {
 module.exports = {
   generateTokens,
   verifyRefreshToken,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge,
   getTokenExpiration
 };
\ No newline at end of file
@@ -0,0 +1,68 @@
+/**
+ * Line numbers for extracted document text.
+ *
+ * Text documents (Markdown, reStructuredText, source code) are cited by line,
+ * so chunk character offsets are mapped back to the 1-based lines they span.
+ */
+
+/**
+ * Character offset at which each line starts
+ * @param {string} text - Document text
+ * @returns {Array<number>} Offsets, one per line
+ */
+const getLineStarts = (text) => {
+  const starts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\n') {
+      starts.push(i + 1);
+    }
+  }
+  return starts;
+};
+
+const lineAt = (lineStarts, offset) => {
+  let low = 0;
+  let high = lineStarts.length - 1;
+
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (lineStarts[middle] <= offset) {
+      low = middle;
+    } else {
+      high = middle - 1;
+    }
+  }
+
+  return low + 1;
+};
+
+/**
+ * Lines a character range spans
+ * @param {Array<number>} lineStarts - From getLineStarts
+ * @param {number} charStart - Range start
+ * @param {number} charEnd - Range end, exclusive
+ * @returns {{lineStart: number, lineEnd: number}}
+ */
+const getLinesForRange = (lineStarts, charStart, charEnd) => ({
+  lineStart: lineAt(lineStarts, charStart),
+  lineEnd: lineAt(lineStarts, Math.max(charStart, charEnd - 1))
+});
+
+/**
+ * Human-readable line reference for citations
+ * @param {number} lineStart - First line
+ * @param {number} lineEnd - Last line, may equal lineStart
+ * @returns {string|null} "Line 5", "Lines 10-42" or null when no line is known
+ */
+const formatLineReference = (lineStart, lineEnd) => {
+  if (!lineStart) {
+    return null;
+  }
+  return lineEnd && lineEnd > lineStart ? `Lines ${lineStart}-${lineEnd}` : `Line ${lineStart}`;
+};
+
+module.exports = {
+  getLineStarts,
+  getLinesForRange,
+  formatLineReference
+};
@@ -0,0 +1,155 @@
+// Pinecone matches list-valued metadata if any element equals the operand
+const valuesEqual = (value, operand) => {
+  if (Array.isArray(value)) {
+    return value.includes(operand);
+  }
+  return value === operand;
+};
+
+/**
+ * Evaluate a Pinecone-style metadata filter against a metadata object.
+ * Supports implicit equality, $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin,
+ * $exists, $and and $or.
+ * @param {Object} metadata - Vector or chunk metadata
+ * @param {Object} filter - Metadata filter
+ * @returns {boolean} True if the metadata satisfies the filter
+ */
+const matchesFilter = (metadata = {}, filter = {}) => {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$and') {
+      return condition.every(subFilter => matchesFilter(metadata, subFilter));
+    }
+    if (key === '$or') {
+      return condition.some(subFilter => matchesFilter(metadata, subFilter));
+    }
+
+    const value = metadata[key];
+
+    if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) {
+      return valuesEqual(value, condition);
+    }
+
+    return Object.entries(condition).every(([operator, operand]) => {
+      switch (operator) {
+        case '$eq':
+          return valuesEqual(value, operand);
+        case '$ne':
+          return !valuesEqual(value, operand);
+        case '$gt':
+          return value !== undefined && value > operand;
+        case '$gte':
+          return value !== undefined && value >= operand;
+        case '$lt':
+          return value !== undefined && value < operand;
+        case '$lte':
+          return value !== undefined && value <= operand;
+        case '$in':
+          return operand.some(candidate => valuesEqual(value, candidate));
+        case '$nin':
+          return !operand.some(candidate => valuesEqual(value, candidate));
+        case '$exists':
+          return operand ? value !== undefined : value === undefined;
+        default:
+          throw new Error(`Unsupported metadata filter operator: ${operator}`);
+      }
+    });
+  });
+};
+
+const placeholders = (values) => values.map(() => '?').join(', ');
+
+/**
+ * SQL condition for one metadata field, with the semantics of matchesFilter: list-valued
+ * metadata matches when any element does, and a missing field only satisfies $ne, $nin
+ * and $exists: false. Fields backed by a column of their own are compared on that column.
+ */
+const fieldToSql = (key, condition, { metadataColumn, columns }) => {
+  const operators = (condition === null || typeof condition !== 'object' || Array.isArray(condition))
+    ? { $eq: condition }
+    : condition;
+  const column = columns[key];
+  const path = `$."${key.replace(/"/g, '""')}"`;
+
+  // Whether the field equals any of the values
+  const anyEquals = (values) => (column
+    ? { sql: `${column} IN (${placeholders(values)})`, params: values }
+    : { sql: `EXISTS (SELECT 1 FROM json_each(${metadataColumn}, ?) WHERE value IN (${placeholders(values)}))`, params: [path, ...values] });
+  const value = column
+    ? { sql: column, params: [] }
+    : { sql: `json_extract(${metadataColumn}, ?)`, params: [path] };
+  const comparisons = { $gt: '>', $gte: '>=', $lt: '<', $lte: '<=' };
+
+  const parts = Object.entries(operators).map(([operator, operand]) => {
+    switch (operator) {
+      case '$eq':
+        return anyEquals([operand]);
+      case '$in':
+        return operand.length > 0 ? anyEquals(operand) : { sql: '0', params: [] };
+      case '$ne':
+      case '$nin': {
+        const values = operator === '$ne' ? [operand] : operand;
+        if (values.length === 0) {
+          return { sql: '1', params: [] };
+        }
+        const equals = anyEquals(values);
+        return { sql: column ? `(${column} IS NULL OR NOT ${equals.sql})` : `NOT ${equals.sql}`, params: equals.params };
+      }
+      case '$gt':
+      case '$gte':
+      case '$lt':
+      case '$lte':
+        return { sql: `${value.sql} ${comparisons[operator]} ?`, params: [...value.params, operand] };
+      case '$exists': {
+        const present = column
+          ? { sql: `${column} IS NOT NULL`, params: [] }
+          : { sql: `json_type(${metadataColumn}, ?) IS NOT NULL`, params: [path] };
+        return operand ? present : { sql: `NOT (${present.sql})`, params: present.params };
+      }
+      default:
+        throw new Error(`Unsupported metadata filter operator: ${operator}`);
+    }
+  });
+
+  return {
+    sql: parts.map(part => part.sql).join(' AND '),
+    params: parts.flatMap(part => part.params)
+  };
+};
+
+/**
+ * Translate a Pinecone-style metadata filter into an SQL condition over a column of JSON
+ * metadata, matching the same rows as matchesFilter would
+ * @param {Object} filter - Metadata filter
+ * @param {Object} options - { metadataColumn, columns }: the JSON column, and the fields
+ *   stored in columns of their own ({ documentId: 'c.document_id' })
+ * @returns {Object} { sql, params }; sql is '1' for an empty filter
+ */
+const buildSqlFilter = (filter = {}, { metadataColumn = 'metadata', columns = {} } = {}) => {
+  const parts = Object.entries(filter).map(([key, condition]) => {
+    if (key === '$and' || key === '$or') {
+      const subFilters = condition.map(subFilter => buildSqlFilter(subFilter, { metadataColumn, columns }));
+      if (subFilters.length === 0) {
+        return { sql: key === '$and' ? '1' : '0', params: [] };
+      }
+      return {
+        sql: `(${subFilters.map(subFilter => subFilter.sql).join(key === '$and' ? ' AND ' : ' OR ')})`,
+        params: subFilters.flatMap(subFilter => subFilter.params)
+      };
+    }
+    return fieldToSql(key, condition, { metadataColumn, columns });
+  });
+
+  if (parts.length === 0) {
+    return { sql: '1', params: [] };
+  }
+
+  return {
+    sql: `(${parts.map(part => part.sql).join(' AND ')})`,
+    params: parts.flatMap(part => part.params)
+  };
+};
+
+module.exports = {
+  matchesFilter,
+  buildSqlFilter
+};
@@ -0,0 +1,282 @@
+/**
+ * Parsing Internet messages (RFC 5322 / MIME), as found in .eml and .mbox files.
+ *
+ * Messages are handled as binary strings (one character per byte, see `toBinaryString`)
+ * until a part's charset is known, so 8-bit bodies in any encoding survive intact.
+ * Multipart bodies are walked recursively; text bodies and attachments are returned
+ * flat, in document order.
+ */
+const iconv = require('iconv-lite');
+
+const ENCODED_WORD_PATTERN = /=\?([^?\s]+)\?([BbQq])\?([^?\s]*)\?=/g;
+const MBOX_SEPARATOR_PATTERN = /^From .*$/m;
+const MAX_PART_DEPTH = 10;
+
+/**
+ * One character per byte, the form the parser works on
+ * @param {Buffer} buffer - Raw message bytes
+ * @returns {string}
+ */
+const toBinaryString = (buffer) => buffer.toString('latin1');
+
+/**
+ * Decode bytes in a declared charset; unknown charsets are read as UTF-8
+ * @param {Buffer} buffer - Encoded text
+ * @param {string} charset - Charset label, e.g. "iso-8859-1"
+ * @returns {string}
+ */
+const decodeText = (buffer, charset = 'utf-8') => {
+  const label = (charset || 'utf-8').trim().toLowerCase();
+  return iconv.encodingExists(label) ? iconv.decode(buffer, label) : buffer.toString('utf8');
+};
+
+const decodeQuotedPrintable = (binary, { header = false } = {}) => {
+  const text = header ? binary.replace(/_/g, ' ') : binary.replace(/=\r?\n/g, '');
+  return Buffer.from(text.replace(/=([0-9A-Fa-f]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16))), 'latin1');
+};
+
+/**
+ * Decode a body with its Content-Transfer-Encoding
+ * @param {string} binary - Body as a binary string
+ * @param {string} encoding - "base64", "quoted-printable", "7bit", "8bit" or "binary"
+ * @returns {Buffer}
+ */
+const decodeTransferEncoding = (binary, encoding = '') => {
+  switch (encoding.trim().toLowerCase()) {
+    case 'base64':
+      return Buffer.from(binary.replace(/[^A-Za-z0-9+/=]/g, ''), 'base64');
+    case 'quoted-printable':
+      return decodeQuotedPrintable(binary);
+    default:
+      return Buffer.from(binary, 'latin1');
+  }
+};
+
+/**
+ * Decode a header value: RFC 2047 encoded words, and raw 8-bit text as UTF-8
+ * @param {string} value - Header value as a binary string
+ * @returns {string}
+ */
+const decodeHeaderValue = (value = '') => {
+  // Whitespace between adjacent encoded words is not part of the text
+  const joined = value.replace(/(=\?[^?\s]+\?[BbQq]\?[^?\s]*\?=)\s+(?==\?)/g, '$1');
+  let decoded = '';
+  let lastIndex = 0;
+
+  joined.replace(ENCODED_WORD_PATTERN, (match, charset, encoding, text, offset) => {
+    decoded += decodeText(Buffer.from(joined.slice(lastIndex, offset), 'latin1'), 'utf-8');
+    const bytes = encoding.toUpperCase() === 'B'
+      ? Buffer.from(text, 'base64')
+      : decodeQuotedPrintable(text, { header: true });
+    decoded += decodeText(bytes, charset.split('*')[0]);
+    lastIndex = offset + match.length;
+    return match;
+  });
+
+  decoded += decodeText(Buffer.from(joined.slice(lastIndex), 'latin1'), 'utf-8');
+  return decoded.replace(/\s+/g, ' ').trim();
+};
+
+/**
+ * Split a header block into fields, unfolding continuation lines
+ * @param {string} block - Header lines
+ * @returns {Map<string, Array<string>>} Raw values by lower-case field name, in order
+ */
+const parseHeaders = (block) => {
+  const headers = new Map();
+
+  block.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/).forEach(line => {
+    const separator = line.indexOf(':');
+    if (separator <= 0) {
+      return;
+    }
+
+    const name = line.slice(0, separator).trim().toLowerCase();
+    if (!headers.has(name)) {
+      headers.set(name, []);
+    }
+    headers.get(name).push(line.slice(separator + 1).trim());
+  });
+
+  return headers;
+};
+
+/**
+ * Value and parameters of a structured header such as Content-Type
+ * @param {string} value - Raw header value
+ * @returns {{value: string, params: Object}} Lower-case value; parameters decoded, including RFC 2231 forms
+ */
+const parseHeaderParams = (value = '') => {
+  const [main, ...rest] = value.split(/;(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+  const params = {};
+  const continuations = {};
+
+  rest.forEach(param => {
+    const separator = param.indexOf('=');
+    if (separator < 0) {
+      return;
+    }
+
+    const key = param.slice(0, separator).trim().toLowerCase();
+    const raw = param.slice(separator + 1).trim().replace(/^"(.*)"$/s, '$1').replace(/\\(.)/g, '$1');
+    const extended = key.match(/^([^*]+)\*(?:(\d+)\*?)?$/);
+
+    if (!extended) {
+      params[key] = decodeHeaderValue(raw);
+      return;
+    }
+
+    // RFC 2231: name*=charset''percent-encoded, optionally split into name*0*, name*1*, ...
+    const [, name, index = '0'] = extended;
+    continuations[name] = continuations[name] || [];
+    continuations[name][Number(index)] = { raw, encoded: key.endsWith('*') };
+  });
+
+  Object.entries(continuations).forEach(([name, pieces]) => {
+    let charset = 'utf-8';
+    const bytes = pieces.filter(Boolean).map(({ raw, encoded }, index) => {
+      let text = raw;
+      if (encoded && index === 0 && /^[^']*'[^']*'/.test(text)) {
+        charset = text.slice(0, text.indexOf("'")) || charset;
+        text = text.slice(text.indexOf("'", text.indexOf("'") + 1) + 1);
+      }
+      return encoded
+        ? Buffer.from(text.replace(/%([0-9A-Fa-f]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16))), 'latin1')
+        : Buffer.from(text, 'latin1');
+    });
+    params[name] = decodeText(Buffer.concat(bytes), charset);
+  });
+
+  return { value: main.trim().toLowerCase(), params };
+};
+
+/**
+ * Mailboxes in an address header
+ * @param {string} value - Decoded header value, e.g. "Legal Team <legal@example.com>, bob@example.com"
+ * @returns {Array<{name: string|null, address: string|null}>}
+ */
+const parseAddressList = (value = '') => {
+  return value
+    .replace(/^[^:<>"@]*:\s*(.*);\s*$/, '$1') // Group syntax "Team: a@x, b@y;"
+    .split(/,(?=(?:[^"]*"[^"]*")*[^"]*$)/)
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const angle = entry.match(/^(.*)<([^>]*)>\s*$/);
+      if (angle) {
+        const name = angle[1].trim().replace(/^"(.*)"$/, '$1').trim();
+        return { name: name || null, address: angle[2].trim().toLowerCase() || null };
+      }
+
+      // Old "address (Name)" form
+      const comment = entry.match(/^(\S+@\S+)\s*\((.*)\)$/);
+      if (comment) {
+        return { name: comment[2].trim() || null, address: comment[1].toLowerCase() };
+      }
+      return entry.includes('@') ? { name: null, address: entry.toLowerCase() } : { name: entry, address: null };
+    });
+};
+
+const getHeader = (headers, name) => (headers.get(name) || [])[0];
+
+const splitHeaderAndBody = (binary) => {
+  // A part may have no headers at all, its body then starts after an empty line
+  const match = binary.match(/^\r?\n|\r?\n\r?\n/);
+  return match
+    ? { headerBlock: binary.slice(0, match.index), body: binary.slice(match.index + match[0].length) }
+    : { headerBlock: binary, body: '' };
+};
+
+const splitMultipart = (body, boundary) => {
+  const delimiter = `--${boundary}`;
+  const parts = [];
+  let current = null;
+
+  body.split(/\r?\n/).forEach(line => {
+    const trimmed = line.trimEnd();
+    if (trimmed === delimiter || trimmed === `${delimiter}--`) {
+      if (current) {
+        parts.push(current.join('\n'));
+      }
+      current = trimmed === delimiter ? [] : null;
+      return;
+    }
+    if (current) {
+      current.push(line);
+    }
+  });
+
+  return parts;
+};
+
+const walkPart = (binary, result, depth) => {
+  const { headerBlock, body } = splitHeaderAndBody(binary);
+  const headers = parseHeaders(headerBlock);
+  const contentType = parseHeaderParams(getHeader(headers, 'content-type') || 'text/plain; charset=us-ascii');
+  const disposition = parseHeaderParams(getHeader(headers, 'content-disposition') || '');
+  const fileName = disposition.params.filename || contentType.params.name || null;
+
+  if (contentType.value.startsWith('multipart/') && contentType.params.boundary && depth < MAX_PART_DEPTH) {
+    splitMultipart(body, contentType.params.boundary).forEach(part => walkPart(part, result, depth + 1));
+    return;
+  }
+
+  const content = decodeTransferEncoding(body, getHeader(headers, 'content-transfer-encoding'));
+  const isAttachment = disposition.value === 'attachment' || Boolean(fileName) || contentType.value === 'message/rfc822';
+
+  if (!isAttachment && contentType.value === 'text/plain') {
+    result.textParts.push(decodeText(content, contentType.params.charset));
+  } else if (!isAttachment && contentType.value === 'text/html') {
+    result.htmlParts.push(decodeText(content, contentType.params.charset));
+  } else if (isAttachment) {
+    result.attachments.push({
+      fileName: fileName || (contentType.value === 'message/rfc822' ? 'message.eml' : null),
+      contentType: contentType.value,
+      content
+    });
+  }
+};
+
+/**
+ * Parse one message
+ * @param {string} binary - Message as a binary string
+ * @returns {Object} { headers, textParts, htmlParts, attachments }; headers hold raw values by
+ *   lower-case name, attachments are { fileName, contentType, content: Buffer }
+ */
+const parseMessage = (binary) => {
+  const { headerBlock } = splitHeaderAndBody(binary);
+  const result = { headers: parseHeaders(headerBlock), textParts: [], htmlParts: [], attachments: [] };
+  walkPart(binary, result, 0);
+  return result;
+};
+
+/**
+ * Split an mbox file into its messages, undoing ">From " quoting
+ * @param {string} binary - Mailbox as a binary string
+ * @returns {Array<string>} Messages as binary strings, without their "From " separator lines
+ */
+const splitMbox = (binary) => {
+  const normalized = binary.replace(/\r\n/g, '\n');
+  if (!MBOX_SEPARATOR_PATTERN.test(normalized.split('\n', 1)[0])) {
+    return [];
+  }
+
+  // A separator line after an empty line starts every message; in bodies, such lines are quoted as ">From "
+  return normalized
+    .split(/\n\n(?=From )/)
+    .map(message => message.slice(message.indexOf('\n') + 1))
+    .map(message => message.replace(/^>(>*From )/gm, '$1'))
+    .filter(message => message.trim());
+};
+
+module.exports = {
+  toBinaryString,
+  decodeText,
+  decodeTransferEncoding,
+  decodeHeaderValue,
+  parseHeaders,
+  parseHeaderParams,
+  parseAddressList,
+  parseMessage,
+  splitMbox
+};
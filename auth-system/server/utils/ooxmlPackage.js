@@ -0,0 +1,85 @@
+/**
+ * Reading Office Open XML packages (XLSX, PPTX). The same helpers read the other ZIP
+ * packages of XML parts, ODT documents and EPUB books, which have no relationship parts.
+ *
+ * An OOXML file is a ZIP archive of XML parts. Parts reference each other through
+ * relationship parts (`_rels/<part>.rels`) whose targets are relative to the
+ * referencing part, e.g. a slide's notes at `../notesSlides/notesSlide1.xml`.
+ */
+const path = require('path');
+const JSZip = require('jszip');
+const cheerio = require('cheerio');
+
+/**
+ * Open an OOXML package
+ * @param {Buffer} buffer - File content
+ * @param {string} mainPart - Part every package of this kind has, e.g. "xl/workbook.xml"
+ * @param {string} description - Package kind for error messages, e.g. "XLSX workbook"
+ * @returns {Promise<JSZip>} Package archive
+ */
+const loadPackage = async (buffer, mainPart, description) => {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch (error) {
+    throw new Error(`File is not a valid ${description}: ${error.message}`);
+  }
+
+  if (!zip.file(mainPart)) {
+    throw new Error(`File is not a valid ${description}: ${mainPart} is missing`);
+  }
+
+  return zip;
+};
+
+/**
+ * Text of a package part
+ * @param {JSZip} zip - Package archive
+ * @param {string} partPath - Part path without a leading slash
+ * @returns {Promise<string|null>} Part XML, null when the part is missing
+ */
+const readPart = async (zip, partPath) => {
+  const entry = zip.file(partPath);
+  return entry ? entry.async('string') : null;
+};
+
+/**
+ * Parse part XML, keeping namespace prefixes in tag names (select with `p\\:sp`)
+ * @param {string|null} xml - Part XML
+ * @returns {CheerioAPI}
+ */
+const loadXml = (xml) => cheerio.load(xml || '', { xmlMode: true });
+
+/**
+ * Internal relationships of a part, with targets resolved to part paths
+ * @param {JSZip} zip - Package archive
+ * @param {string} partPath - Part whose relationships to read, e.g. "ppt/slides/slide1.xml"
+ * @returns {Promise<Map<string, {type: string, target: string}>>} Relationships by ID
+ */
+const readRelationships = async (zip, partPath) => {
+  const directory = path.posix.dirname(partPath);
+  const $ = loadXml(await readPart(zip, path.posix.join(directory, '_rels', `${path.posix.basename(partPath)}.rels`)));
+  const relationships = new Map();
+
+  $('Relationship').each((index, node) => {
+    const { Id: id, Type: type = '', Target: target, TargetMode: targetMode } = node.attribs;
+    if (!target || targetMode === 'External') {
+      return;
+    }
+
+    // Targets are relative to the part's folder unless absolute within the package
+    relationships.set(id, {
+      type,
+      target: target.startsWith('/') ? target.slice(1) : path.posix.normalize(path.posix.join(directory, target))
+    });
+  });
+
+  return relationships;
+};
+
+module.exports = {
+  loadPackage,
+  readPart,
+  loadXml,
+  readRelationships
+};
@@ -0,0 +1,94 @@
+/**
+ * Page boundaries for extracted document text.
+ *
+ * Paged extractors (PDF) join page texts with a form feed, the same page break
+ * pdftotext emits, so the flat text stored with a document still records where
+ * each page starts. Chunks are located in that text by character offset and
+ * mapped back to the pages they were cut from.
+ */
+const PAGE_BREAK = '\f';
+
+/**
+ * Join per-page texts into one document text
+ * @param {Array<string>} pageTexts - Text of each page, first page first
+ * @returns {string} Document text with a page break between pages
+ */
+const joinPages = (pageTexts) => pageTexts.join(PAGE_BREAK);
+
+/**
+ * Character ranges of the pages in a document text
+ * @param {string} text - Document text as produced by joinPages
+ * @returns {Array<{pageNumber: number, start: number, end: number}>} Pages, `end` exclusive
+ */
+const getPageRanges = (text) => {
+  const pages = [];
+  let start = 0;
+
+  text.split(PAGE_BREAK).forEach((pageText, index) => {
+    pages.push({ pageNumber: index + 1, start, end: start + pageText.length });
+    start += pageText.length + PAGE_BREAK.length;
+  });
+
+  return pages;
+};
+
+/**
+ * Find each chunk's character offsets in the text it was split from.
+ * Chunks are searched in order, so overlapping and repeated chunks resolve to
+ * the occurrence that follows the previous chunk.
+ * @param {string} text - Document text
+ * @param {Array<string>} chunks - Chunks in split order
+ * @returns {Array<{charStart: number, charEnd: number}|null>} Offsets per chunk, null when not found
+ */
+const locateChunks = (text, chunks) => {
+  let cursor = 0;
+
+  return chunks.map(chunk => {
+    const charStart = text.indexOf(chunk, cursor);
+    if (charStart === -1) {
+      return null;
+    }
+
+    cursor = charStart + 1;
+    return { charStart, charEnd: charStart + chunk.length };
+  });
+};
+
+/**
+ * Pages a character range falls on
+ * @param {Array} pages - Page ranges from getPageRanges
+ * @param {number} charStart - Range start
+ * @param {number} charEnd - Range end (exclusive)
+ * @returns {{pageNumber: number, pageEnd: number}|null} First and last page, null when out of range
+ */
+const getPagesForRange = (pages, charStart, charEnd) => {
+  const first = pages.find(page => charStart < page.end);
+  if (!first) {
+    return null;
+  }
+
+  const last = pages.filter(page => page.start < charEnd).pop() || first;
+  return { pageNumber: first.pageNumber, pageEnd: Math.max(first.pageNumber, last.pageNumber) };
+};
+
+/**
+ * Human-readable page reference, e.g. "Page 4" or "Pages 4-5"
+ * @param {number} pageNumber - First page
+ * @param {number} pageEnd - Last page, defaults to the first
+ * @returns {string|null} Reference, or null when the page is unknown
+ */
+const formatPageReference = (pageNumber, pageEnd = pageNumber) => {
+  if (!Number.isInteger(pageNumber) || pageNumber < 1) {
+    return null;
+  }
+  return pageEnd > pageNumber ? `Pages ${pageNumber}-${pageEnd}` : `Page ${pageNumber}`;
+};
+
+module.exports = {
+  PAGE_BREAK,
+  joinPages,
+  getPageRanges,
+  locateChunks,
+  getPagesForRange,
+  formatPageReference
+};
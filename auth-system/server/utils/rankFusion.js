@@ -0,0 +1,53 @@
+/**
+ * Weighted reciprocal rank fusion (Cormack et al., 2009).
+ *
+ * Each ranked list contributes weight / (k + rank) for every match it contains,
+ * so items ranked highly by several retrievers float to the top regardless of
+ * how each retriever scales its own scores. The fused score is normalized to
+ * [0, 1] by the best achievable score (rank 1 in every list).
+ *
+ * @param {Array<{source: string, weight: number, matches: Array}>} rankedLists -
+ *   Ranked matches ({ id, score, metadata }) per retriever, best first
+ * @param {Object} options - Fusion options
+ * @param {number} options.k - Rank smoothing constant (default 60)
+ * @param {number} options.limit - Maximum number of fused matches to return
+ * @returns {Array} Fused matches sorted by score, with per-source ranks and scores
+ */
+const reciprocalRankFusion = (rankedLists, { k = 60, limit = Infinity } = {}) => {
+  const activeLists = rankedLists.filter(list => list.weight > 0 && list.matches && list.matches.length > 0);
+  const maxScore = activeLists.reduce((sum, list) => sum + list.weight / (k + 1), 0);
+  const fused = new Map();
+
+  activeLists.forEach(list => {
+    list.matches.forEach((match, index) => {
+      const rank = index + 1;
+
+      if (!fused.has(match.id)) {
+        fused.set(match.id, {
+          id: match.id,
+          metadata: match.metadata || {},
+          fusedScore: 0,
+          sourceScores: {},
+          sourceRanks: {}
+        });
+      }
+
+      const entry = fused.get(match.id);
+      entry.fusedScore += list.weight / (k + rank);
+      entry.sourceScores[list.source] = match.score;
+      entry.sourceRanks[list.source] = rank;
+    });
+  });
+
+  return Array.from(fused.values())
+    .map(entry => ({
+      ...entry,
+      score: maxScore > 0 ? entry.fusedScore / maxScore : 0
+    }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
+
+module.exports = {
+  reciprocalRankFusion
+};
@@ -0,0 +1,297 @@
+/**
+ * Reading RTF documents.
+ *
+ * RTF is a stream of groups (`{...}`), control words (`\par`, `\s2`) and text. Groups that
+ * start with a destination holding no document text (font and colour tables, pictures,
+ * headers and footers, field instructions, `{\*\...}` extensions) are skipped. Text is
+ * decoded from the document's ANSI code page (`\ansicpgN`) and `\uN` escapes. Paragraphs
+ * keep their outline level, set with `\outlinelevelN` or by a paragraph style named
+ * "heading N", and the cells of a table row are joined into one line.
+ */
+const iconv = require('iconv-lite');
+
+const SKIPPED_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'info', 'pict', 'object', 'nonshppict', 'listtable', 'listoverridetable',
+  'listtext', 'pntext', 'pntxta', 'pntxtb', 'revtbl', 'rsidtbl', 'xmlnstbl', 'themedata',
+  'colorschememapping', 'datastore', 'latentstyles', 'generator', 'filetbl', 'fldinst',
+  'header', 'headerl', 'headerr', 'headerf', 'footer', 'footerl', 'footerr', 'footerf',
+  'footnote', 'annotation', 'atnid', 'atnauthor', 'bkmkstart', 'bkmkend', 'pgdsctbl', 'mmathPr'
+]);
+
+const CHARACTER_WORDS = {
+  tab: ' ',
+  line: ' ',
+  emspace: ' ',
+  enspace: ' ',
+  qmspace: ' ',
+  emdash: '—',
+  endash: '–',
+  bullet: '•',
+  lquote: '‘',
+  rquote: '’',
+  ldblquote: '“',
+  rdblquote: '”'
+};
+
+const CONTROL_SYMBOLS = { '~': ' ', '_': '-', '-': '', '{': '{', '}': '}', '\\': '\\' };
+const CONTROL_WORD_PATTERN = /\\([a-zA-Z]{1,32})(-?\d{1,10})? ?/y;
+const HEADING_STYLE_PATTERN = /^heading\s*(\d)/i;
+const BODY_TEXT_OUTLINE_LEVEL = 9;
+
+/**
+ * Code page named by \ansicpg, \mac or \pc, as an iconv-lite encoding
+ */
+const toEncoding = (label) => (iconv.encodingExists(label) ? label : 'windows-1252');
+
+/**
+ * Parse an RTF document into paragraphs
+ * @param {Buffer|string} content - RTF file content
+ * @returns {Array<Object>} Paragraphs { text, level, tableRow }; level is the heading level
+ *   (1 for outline level 0) or null for body text, tableRow is true for the cells of a table row
+ */
+const parseRtf = (content) => {
+  const source = Buffer.isBuffer(content) ? content.toString('latin1') : content;
+  if (!source.startsWith('{\\rtf')) {
+    throw new Error('File is not a valid RTF document');
+  }
+
+  const paragraphs = [];
+  const styleLevels = new Map();
+  const stack = [];
+  let state = { skip: false, groupStart: false, unicodeSkip: 1, styleDefinition: null, inStylesheet: false };
+  let paragraph = { text: '', outlineLevel: null, style: null, inTable: false };
+  let cells = [];
+  let bytes = [];
+  let encoding = 'windows-1252';
+  let fallbackCharacters = 0;
+
+  const target = () => (state.styleDefinition ? state.styleDefinition : paragraph);
+  const flushBytes = () => {
+    if (bytes.length > 0) {
+      target().text += iconv.decode(Buffer.from(bytes), encoding);
+      bytes = [];
+    }
+  };
+  const append = (text) => {
+    flushBytes();
+    target().text += text;
+  };
+  const normalize = text => text.replace(/\s+/g, ' ').trim();
+
+  const endParagraph = () => {
+    flushBytes();
+    if (paragraph.inTable) {
+      // Paragraphs within a cell stay in the cell
+      paragraph.text += ' ';
+      return;
+    }
+
+    const text = normalize(paragraph.text);
+    if (text) {
+      const outlineLevel = paragraph.outlineLevel !== null ? paragraph.outlineLevel : styleLevels.get(paragraph.style);
+      const isHeading = outlineLevel !== undefined && outlineLevel !== null && outlineLevel < BODY_TEXT_OUTLINE_LEVEL;
+      paragraphs.push({ text, level: isHeading ? outlineLevel + 1 : null, tableRow: false });
+    }
+    // Paragraph formatting carries over to the next paragraph until \pard
+    paragraph.text = '';
+  };
+
+  const endRow = () => {
+    flushBytes();
+    if (cells.some(Boolean)) {
+      paragraphs.push({ text: cells.join(' | '), level: null, tableRow: true });
+    }
+    cells = [];
+    paragraph.text = '';
+  };
+
+  const handleControlWord = (word, parameter) => {
+    const groupStart = state.groupStart;
+    state.groupStart = false;
+
+    if (groupStart && SKIPPED_DESTINATIONS.has(word)) {
+      state.skip = true;
+      return;
+    }
+    if (groupStart && word === 'stylesheet') {
+      state.inStylesheet = true;
+      return;
+    }
+    if (state.skip) {
+      return;
+    }
+
+    const definition = state.styleDefinition;
+    switch (word) {
+      case 'ansicpg':
+        encoding = toEncoding(`windows-${parameter}`);
+        break;
+      case 'mac':
+        encoding = 'macintosh';
+        break;
+      case 'pc':
+        encoding = 'cp437';
+        break;
+      case 'uc':
+        state.unicodeSkip = parameter === null ? 1 : parameter;
+        break;
+      case 'u':
+        append(String.fromCharCode(parameter < 0 ? parameter + 65536 : parameter));
+        fallbackCharacters = state.unicodeSkip;
+        break;
+      case 'par':
+      case 'sect':
+      case 'page':
+        if (!definition) {
+          endParagraph();
+        }
+        break;
+      case 'pard':
+        flushBytes();
+        Object.assign(paragraph, { outlineLevel: null, style: null, inTable: false });
+        break;
+      case 's':
+        if (definition) {
+          definition.number = parameter;
+        } else {
+          paragraph.style = parameter;
+        }
+        break;
+      case 'outlinelevel':
+        (definition || paragraph).outlineLevel = parameter;
+        break;
+      case 'intbl':
+        paragraph.inTable = true;
+        break;
+      case 'cell':
+      case 'nestcell':
+        flushBytes();
+        cells.push(normalize(paragraph.text));
+        paragraph.text = '';
+        break;
+      case 'row':
+      case 'nestrow':
+        endRow();
+        break;
+      default:
+        if (CHARACTER_WORDS[word] !== undefined) {
+          append(CHARACTER_WORDS[word]);
+        }
+    }
+  };
+
+  let index = 0;
+  while (index < source.length) {
+    const character = source[index];
+
+    if (character === '{') {
+      flushBytes();
+      stack.push(state);
+      state = { ...state, groupStart: true };
+      if (state.inStylesheet && !state.styleDefinition) {
+        // Paragraph styles without \sN are style 0
+        state.styleDefinition = { number: 0, outlineLevel: null, text: '' };
+      }
+      index++;
+      continue;
+    }
+
+    if (character === '}') {
+      flushBytes();
+      const definition = state.styleDefinition;
+      state = stack.pop() || state;
+      if (definition && definition !== state.styleDefinition) {
+        const name = definition.text.replace(/;\s*$/, '').trim();
+        const headingMatch = name.match(HEADING_STYLE_PATTERN);
+        const outlineLevel = definition.outlineLevel !== null ? definition.outlineLevel : headingMatch ? Number(headingMatch[1]) - 1 : null;
+        if (outlineLevel !== null) {
+          styleLevels.set(definition.number, outlineLevel);
+        }
+      }
+      index++;
+      continue;
+    }
+
+    if (character === '\\') {
+      CONTROL_WORD_PATTERN.lastIndex = index;
+      const match = CONTROL_WORD_PATTERN.exec(source);
+      if (match) {
+        index = CONTROL_WORD_PATTERN.lastIndex;
+        const parameter = match[2] === undefined ? null : Number(match[2]);
+        if (match[1] === 'bin') {
+          // Binary data follows the control word
+          index += parameter || 0;
+          continue;
+        }
+        if (fallbackCharacters > 0 && match[1] !== 'u' && !state.skip) {
+          fallbackCharacters--;
+          continue;
+        }
+        handleControlWord(match[1], parameter);
+        continue;
+      }
+
+      const symbol = source[index + 1];
+      index += 2;
+      if (symbol === '*') {
+        // Ignorable destination: skipped, since no destination this parser reads is marked \*
+        if (state.groupStart) {
+          state.skip = true;
+        }
+        continue;
+      }
+      state.groupStart = false;
+      if (state.skip) {
+        if (symbol === '\'') {
+          index += 2;
+        }
+        continue;
+      }
+      if (symbol === '\'') {
+        const byte = parseInt(source.substr(index, 2), 16);
+        index += 2;
+        if (fallbackCharacters > 0) {
+          fallbackCharacters--;
+        } else if (!Number.isNaN(byte)) {
+          bytes.push(byte);
+        }
+      } else if (symbol === '\n' || symbol === '\r') {
+        if (!state.styleDefinition) {
+          endParagraph();
+        }
+      } else if (CONTROL_SYMBOLS[symbol] !== undefined) {
+        if (fallbackCharacters > 0) {
+          fallbackCharacters--;
+        } else {
+          append(CONTROL_SYMBOLS[symbol]);
+        }
+      }
+      continue;
+    }
+
+    index++;
+    if (character === '\n' || character === '\r' || state.skip) {
+      continue;
+    }
+    state.groupStart = false;
+    if (fallbackCharacters > 0) {
+      fallbackCharacters--;
+    } else if (character.charCodeAt(0) > 0x7f) {
+      // 8-bit characters are bytes in the document's code page
+      bytes.push(character.charCodeAt(0));
+    } else {
+      append(character);
+    }
+  }
+
+  endParagraph();
+  if (cells.length > 0) {
+    endRow();
+  }
+
+  return paragraphs;
+};
+
+module.exports = {
+  parseRtf
+};
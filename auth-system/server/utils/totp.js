@@ -0,0 +1,146 @@
+/**
+ * Time-based one-time passwords (RFC 6238), as generated by authenticator apps.
+ *
+ * A code is the HOTP value (RFC 4226) of the number of periods elapsed since the Unix
+ * epoch: an HMAC-SHA1 of the counter keyed with the shared secret, dynamically truncated
+ * to 31 bits and reduced to `digits` decimal digits. Secrets are exchanged in base32
+ * (RFC 4648), the format of otpauth:// URIs.
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Unpadded base32
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * @param {string} text - Base32, case-insensitive; spaces, dashes and padding are ignored
+ * @returns {Buffer}
+ */
+const base32Decode = (text) => {
+  const cleaned = text.toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const character of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(character);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * HOTP value of a counter (RFC 4226)
+ * @param {Buffer} secret - Shared secret
+ * @param {number} counter - Moving factor
+ * @param {number} digits - Code length
+ * @returns {string} Zero-padded code
+ */
+const generateHotp = (secret, counter, digits = 6) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', secret).update(message).digest();
+
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+/**
+ * Time step a moment falls in
+ * @param {number} time - Milliseconds since the epoch
+ * @param {number} period - Seconds per step
+ * @returns {number}
+ */
+const getTimeStep = (time = Date.now(), period = 30) => Math.floor(time / 1000 / period);
+
+/**
+ * TOTP code at a moment (RFC 6238)
+ * @param {Buffer} secret - Shared secret
+ * @param {Object} options - { time, period, digits }
+ * @returns {string}
+ */
+const generateTotp = (secret, { time = Date.now(), period = 30, digits = 6 } = {}) => (
+  generateHotp(secret, getTimeStep(time, period), digits)
+);
+
+/**
+ * Check a TOTP code, allowing for clock drift between the server and the device
+ * @param {Buffer} secret - Shared secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} options - { time, period, digits, window }; codes of `window` steps
+ *   before and after the current one are accepted
+ * @returns {number|null} Time step the code belongs to, null when it does not match
+ */
+const verifyTotp = (secret, code, { time = Date.now(), period = 30, digits = 6, window = 1 } = {}) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${digits}}$`).test(normalized)) {
+    return null;
+  }
+
+  const currentStep = getTimeStep(time, period);
+  for (let offset = -window; offset <= window; offset++) {
+    const candidate = Buffer.from(generateHotp(secret, currentStep + offset, digits));
+    if (crypto.timingSafeEqual(candidate, Buffer.from(normalized))) {
+      return currentStep + offset;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Key URI that authenticator apps import, usually from a QR code
+ * @param {Object} options - { secret (base32), accountName, issuer, period, digits }
+ * @returns {string} otpauth://totp/... URI
+ */
+const buildOtpauthUri = ({ secret, accountName, issuer, period = 30, digits = 6 }) => {
+  const label = encodeURIComponent(issuer ? `${issuer}:${accountName}` : accountName);
+  const params = new URLSearchParams({ secret, algorithm: 'SHA1', digits: String(digits), period: String(period) });
+  if (issuer) {
+    params.set('issuer', issuer);
+  }
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateHotp,
+  generateTotp,
+  getTimeStep,
+  verifyTotp,
+  buildOtpauthUri
+};
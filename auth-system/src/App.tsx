@@ -5,6 +5,8 @@ import SignupPage from './pages/SignupPage'
 import DashboardPage from './pages/DashboardPage'
 import ForgotPasswordPage from './pages/ForgotPasswordPage'
 import ResetPasswordPage from './pages/ResetPasswordPage'
+import VerifyEmailPage from './pages/VerifyEmailPage'
+import UnlockAccountPage from './pages/UnlockAccountPage'
 import UploadDocumentsPage from './pages/UploadDocumentsPage'
 import DocumentSearchPage from './pages/DocumentSearchPage'
 import PerformancePage from './pages/PerformancePage'
@@ -22,6 +24,8 @@ function App() {
         <Route path="/signup" element={<SignupPage />} />
         <Route path="/forgot-password" element={<ForgotPasswordPage />} />
         <Route path="/reset-password" element={<ResetPasswordPage />} />
+        <Route path="/verify-email" element={<VerifyEmailPage />} />
+        <Route path="/unlock-account" element={<UnlockAccountPage />} />
         <Route path="/dashboard" element={<DashboardPage />} />
         <Route path="/upload-documents" element={<UploadDocumentsPage />} />
         <Route path="/search-documents" element={<DocumentSearchPage />} />
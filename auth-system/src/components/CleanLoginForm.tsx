@@ -6,6 +6,7 @@ import ColorfulInput from './ui/ColorfulInput';
 import { useAuth } from '../contexts/AuthContext';
 import { getErrorMessage, ErrorType } from '../utils/ErrorDictionary';
 import { ActionableError } from './ui/ActionableError';
+import { TwoFactorChallenge } from '../types/auth';
 
 const fadeInUp = keyframes`
   from {
@@ -61,6 +62,23 @@ const ForgotPasswordLink = styled(Link)`
   }
 `;
 
+const ToggleLink = styled.button`
+  background: none;
+  border: none;
+  padding: 0;
+  font-size: 14px;
+  color: #4f46e5;
+  font-weight: 600;
+  cursor: pointer;
+  text-align: right;
+  transition: all 0.3s ease;
+
+  &:hover {
+    color: #3730a3;
+    text-decoration: underline;
+  }
+`;
+
 const SignupPrompt = styled.div`
   text-align: center;
   margin-top: 24px;
@@ -84,7 +102,7 @@ const SignupLink = styled(Link)`
 
 const CleanLoginForm: React.FC = () => {
   const navigate = useNavigate();
-  const { login } = useAuth();
+  const { login, completeTwoFactorLogin } = useAuth();
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState<ErrorType | null>(null);
   const [fieldErrors, setFieldErrors] = useState<Record<string, ErrorType | null>>({
@@ -95,6 +113,10 @@ const CleanLoginForm: React.FC = () => {
     email: '',
     password: ''
   });
+  // Second step, for accounts with two-factor authentication on
+  const [challenge, setChallenge] = useState<TwoFactorChallenge | null>(null);
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [code, setCode] = useState('');
 
   const validateField = (name: string, value: string): ErrorType | null => {
     switch (name) {
@@ -161,13 +183,21 @@ const CleanLoginForm: React.FC = () => {
     setLoading(true);
 
     try {
-      await login(formData);
+      const twoFactorChallenge = await login(formData);
+      if (twoFactorChallenge) {
+        setChallenge(twoFactorChallenge);
+        return;
+      }
       navigate('/dashboard');
     } catch (err: any) {
       console.error('Login error:', err);
       
       // Map server errors to ErrorDictionary types
-      if (err.message.includes('Invalid credentials') || err.message.includes('not found')) {
+      if (err.message.includes('locked')) {
+        setError('ACCOUNT_LOCKED');
+      } else if (err.message.includes('Too many')) {
+        setError('TOO_MANY_ATTEMPTS');
+      } else if (err.message.includes('Invalid credentials') || err.message.includes('not found')) {
         setError('ACCOUNT_NOT_FOUND');
       } else if (err.message.includes('password')) {
         setError('INCORRECT_PASSWORD');
@@ -181,6 +211,49 @@ const CleanLoginForm: React.FC = () => {
     }
   };
 
+  const handleCodeSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!challenge) return;
+    setError(null);
+
+    if (!code.trim()) {
+      setError('INVALID_TWO_FACTOR_CODE');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      await completeTwoFactorLogin(challenge, useRecoveryCode ? { recoveryCode: code.trim() } : { code: code.trim() });
+      navigate('/dashboard');
+    } catch (err: any) {
+      console.error('Two-factor login error:', err);
+
+      if (err.message.includes('Sign in expired')) {
+        setError('TWO_FACTOR_CHALLENGE_EXPIRED');
+      } else if (err.message.includes('locked')) {
+        setError('ACCOUNT_LOCKED');
+      } else if (err.message.includes('Too many')) {
+        setError('TOO_MANY_ATTEMPTS');
+      } else if (err.message.includes('code')) {
+        setError('INVALID_TWO_FACTOR_CODE');
+      } else if (err.message.includes('network') || err.message.includes('fetch')) {
+        setError('NETWORK_ERROR');
+      } else {
+        setError('UNEXPECTED_ERROR');
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const restartLogin = () => {
+    setChallenge(null);
+    setCode('');
+    setUseRecoveryCode(false);
+    setError(null);
+  };
+
   const handleErrorAction = (action: string) => {
     switch (action) {
       case 'navigate:/signup':
@@ -195,6 +268,12 @@ const CleanLoginForm: React.FC = () => {
       case 'focus:password':
         (document.querySelector('input[name="password"]') as HTMLInputElement)?.focus();
         break;
+      case 'focus:code':
+        (document.querySelector('input[name="code"]') as HTMLInputElement)?.focus();
+        break;
+      case 'restart':
+        restartLogin();
+        break;
       case 'retry':
         handleSubmit(new Event('submit') as any);
         break;
@@ -204,6 +283,68 @@ const CleanLoginForm: React.FC = () => {
     }
   };
 
+  if (challenge) {
+    return (
+      <FormContainer>
+        <Title>Two-Factor Authentication</Title>
+        <Subtitle>
+          {useRecoveryCode
+            ? 'Enter one of the recovery codes you saved when you turned on two-factor authentication'
+            : 'Enter the 6-digit code from your authenticator app'}
+        </Subtitle>
+
+        {error && (
+          <ActionableError
+            error={getErrorMessage(error)}
+            onAction={handleErrorAction}
+          />
+        )}
+
+        <Form onSubmit={handleCodeSubmit}>
+          <ColorfulInput
+            label={useRecoveryCode ? 'Recovery Code' : 'Authentication Code'}
+            type="text"
+            name="code"
+            value={code}
+            onChange={(e) => {
+              setCode(e.target.value);
+              if (error) setError(null);
+            }}
+            placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+            leftIcon="🔑"
+            required
+          />
+
+          <ToggleLink
+            type="button"
+            onClick={() => {
+              setUseRecoveryCode(!useRecoveryCode);
+              setCode('');
+              setError(null);
+            }}
+          >
+            {useRecoveryCode ? 'Use your authenticator app instead' : 'Lost your authenticator? Use a recovery code'}
+          </ToggleLink>
+
+          <PrimaryButton
+            type="submit"
+            fullWidth
+            loading={loading}
+            disabled={loading}
+            animated
+          >
+            {loading ? 'Verifying...' : '🔐 Verify'}
+          </PrimaryButton>
+        </Form>
+
+        <SignupPrompt>
+          Not you?{' '}
+          <ToggleLink type="button" onClick={restartLogin}>Sign in with a different account</ToggleLink>
+        </SignupPrompt>
+      </FormContainer>
+    );
+  }
+
   return (
     <FormContainer>
       <Title>Sign In</Title>
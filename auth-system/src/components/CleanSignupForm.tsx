@@ -1,11 +1,12 @@
 import React, { useState } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
 import styled, { keyframes } from 'styled-components';
-import { PrimaryButton } from './ui/Button';
+import { PrimaryButton, SecondaryButton } from './ui/Button';
 import ColorfulInput from './ui/ColorfulInput';
 import { useAuth } from '../contexts/AuthContext';
 import { getErrorMessage, ErrorType } from '../utils/ErrorDictionary';
 import { ActionableError } from './ui/ActionableError';
+import { cleanAuthService } from '../services/cleanAuthService';
 
 const fadeInUp = keyframes`
   from {
@@ -162,6 +163,7 @@ const CleanSignupForm: React.FC = () => {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState<ErrorType | null>(null);
   const [success, setSuccess] = useState(false);
+  const [resendStatus, setResendStatus] = useState<{ sending: boolean; message: string | null }>({ sending: false, message: null });
   const [fieldErrors, setFieldErrors] = useState<Record<string, ErrorType | null>>({
     firstName: null,
     lastName: null,
@@ -293,9 +295,6 @@ const CleanSignupForm: React.FC = () => {
       });
 
       setSuccess(true);
-      setTimeout(() => {
-        navigate('/login');
-      }, 2000);
     } catch (err: any) {
       console.error('Signup error:', err);
       
@@ -332,21 +331,45 @@ const CleanSignupForm: React.FC = () => {
     }
   };
 
+  const handleResendVerification = async () => {
+    setResendStatus({ sending: true, message: null });
+    try {
+      const message = await cleanAuthService.resendVerificationEmail(formData.email);
+      setResendStatus({ sending: false, message });
+    } catch (err: any) {
+      setResendStatus({ sending: false, message: err.message || 'Failed to send verification email' });
+    }
+  };
+
+  // Check your inbox: the account exists, but uploads and chat wait for the verification link
   if (success) {
     return (
       <FormContainer>
-        <Title>Account Created! 🎉</Title>
+        <Title>Check Your Inbox 📬</Title>
         <SuccessMessage>
           <p style={{ margin: 0, color: '#059669', fontWeight: 600, fontSize: '16px' }}>
             Your account has been created successfully!
           </p>
           <p style={{ margin: '8px 0 0 0', color: '#6b7280', fontSize: '14px' }}>
-            Redirecting to login page...
+            We sent a verification link to <strong>{formData.email}</strong>. Open it to start uploading documents and chatting with them.
           </p>
+          {resendStatus.message && (
+            <p style={{ margin: '8px 0 0 0', color: '#6b7280', fontSize: '14px' }}>
+              {resendStatus.message}
+            </p>
+          )}
         </SuccessMessage>
         <PrimaryButton fullWidth onClick={() => navigate('/login')} animated>
           🚀 Go to Login
         </PrimaryButton>
+        <SecondaryButton
+          fullWidth
+          onClick={handleResendVerification}
+          loading={resendStatus.sending}
+          disabled={resendStatus.sending}
+        >
+          Resend Verification Email
+        </SecondaryButton>
       </FormContainer>
     );
   }
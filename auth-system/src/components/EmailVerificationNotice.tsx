@@ -0,0 +1,47 @@
+import React, { useState } from 'react';
+import { ActionableError } from './ui/ActionableError';
+import { getErrorMessage } from '../utils/ErrorDictionary';
+import { cleanAuthService } from '../services/cleanAuthService';
+import { useToast } from '../contexts/ToastContext';
+
+interface EmailVerificationNoticeProps {
+  onDismiss: () => void;
+  className?: string;
+}
+
+// Shown where uploads or chat were refused with EMAIL_NOT_VERIFIED, with a way to get a new link
+export const EmailVerificationNotice: React.FC<EmailVerificationNoticeProps> = ({ onDismiss, className }) => {
+  const { showSuccess, showError } = useToast();
+  const [sending, setSending] = useState(false);
+
+  const handleAction = async (action: string) => {
+    if (action === 'dismiss') {
+      onDismiss();
+      return;
+    }
+
+    if (action !== 'resend-verification' || sending) {
+      return;
+    }
+
+    setSending(true);
+    try {
+      const message = await cleanAuthService.resendVerificationEmail();
+      showSuccess(message, 'Verification Email Sent');
+    } catch (err: any) {
+      showError(err.message || 'Failed to send verification email');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <ActionableError
+      error={getErrorMessage('EMAIL_NOT_VERIFIED')}
+      onAction={handleAction}
+      className={className}
+    />
+  );
+};
+
+export default EmailVerificationNotice;
@@ -0,0 +1,286 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import styled from 'styled-components';
+import { ChatScope } from '../../services/chatService';
+import { Document } from '../../services/documentService';
+
+interface DocumentScopePickerProps {
+  documents: Document[];
+  scope: ChatScope | null;
+  onChange: (scope: ChatScope | null) => void;
+  disabled?: boolean;
+}
+
+const PickerContainer = styled.div`
+  position: relative;
+  margin-right: 12px;
+`;
+
+const ScopeButton = styled.button<{ $isScoped: boolean }>`
+  padding: 8px 12px;
+  border-radius: 8px;
+  border: 1px solid rgba(255, 255, 255, 0.3);
+  background: ${props => props.$isScoped ? 'rgba(79, 172, 254, 0.35)' : 'rgba(255, 255, 255, 0.15)'};
+  color: white;
+  font-size: 0.9rem;
+  cursor: pointer;
+  white-space: nowrap;
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+`;
+
+const Panel = styled.div`
+  position: absolute;
+  top: calc(100% + 8px);
+  right: 0;
+  width: 320px;
+  max-height: 460px;
+  overflow-y: auto;
+  background: white;
+  border-radius: 12px;
+  box-shadow: 0 12px 40px rgba(0, 0, 0, 0.2);
+  padding: 16px;
+  z-index: 20;
+  color: #333;
+`;
+
+const SectionTitle = styled.div`
+  font-size: 0.75rem;
+  font-weight: 600;
+  text-transform: uppercase;
+  letter-spacing: 0.5px;
+  color: #6b7280;
+  margin: 12px 0 8px;
+
+  &:first-child {
+    margin-top: 0;
+  }
+`;
+
+const DocumentOption = styled.label`
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  padding: 4px 0;
+  font-size: 0.875rem;
+  cursor: pointer;
+
+  span {
+    overflow: hidden;
+    text-overflow: ellipsis;
+    white-space: nowrap;
+  }
+`;
+
+const TagList = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 6px;
+`;
+
+const TagChip = styled.button<{ $selected: boolean }>`
+  padding: 4px 10px;
+  border-radius: 12px;
+  border: 1px solid ${props => props.$selected ? '#4facfe' : '#d1d5db'};
+  background: ${props => props.$selected ? '#4facfe' : 'white'};
+  color: ${props => props.$selected ? 'white' : '#374151'};
+  font-size: 0.8rem;
+  cursor: pointer;
+`;
+
+const DateRow = styled.div`
+  display: flex;
+  gap: 8px;
+
+  label {
+    flex: 1;
+    font-size: 0.75rem;
+    color: #6b7280;
+  }
+
+  input {
+    width: 100%;
+    margin-top: 4px;
+    padding: 6px;
+    border: 1px solid #d1d5db;
+    border-radius: 6px;
+    font-size: 0.8rem;
+  }
+`;
+
+const PanelActions = styled.div`
+  display: flex;
+  justify-content: space-between;
+  margin-top: 16px;
+
+  button {
+    padding: 6px 14px;
+    border-radius: 6px;
+    border: none;
+    font-size: 0.85rem;
+    cursor: pointer;
+  }
+`;
+
+const ClearButton = styled.button`
+  background: #f3f4f6;
+  color: #374151;
+`;
+
+const ApplyButton = styled.button`
+  background: #4facfe;
+  color: white;
+`;
+
+const HintText = styled.div`
+  font-size: 0.8rem;
+  color: #9ca3af;
+`;
+
+// Mirrors chatScopeService.matchesScope so the header can show how many documents are in scope
+const matchesScope = (document: Document, scope: ChatScope): boolean => {
+  const documentIds = scope.documentIds || [];
+  const tags = scope.tags || [];
+
+  if (documentIds.length > 0 || tags.length > 0) {
+    const selected = documentIds.includes(Number(document.id)) ||
+      (document.tags || []).some(tag => tags.includes(tag));
+    if (!selected) {
+      return false;
+    }
+  }
+
+  const uploadedOn = document.createdAt.substring(0, 10);
+  if (scope.uploadedAfter && uploadedOn < scope.uploadedAfter) {
+    return false;
+  }
+  if (scope.uploadedBefore && uploadedOn > scope.uploadedBefore) {
+    return false;
+  }
+
+  return true;
+};
+
+const isEmptyScope = (scope: ChatScope): boolean =>
+  !scope.documentIds?.length && !scope.tags?.length && !scope.uploadedAfter && !scope.uploadedBefore;
+
+const DocumentScopePicker: React.FC<DocumentScopePickerProps> = ({ documents, scope, onChange, disabled = false }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [draft, setDraft] = useState<ChatScope>(scope || {});
+
+  useEffect(() => {
+    setDraft(scope || {});
+  }, [scope]);
+
+  const allTags = useMemo(
+    () => Array.from(new Set(documents.flatMap(document => document.tags || []))).sort(),
+    [documents]
+  );
+
+  const scopedCount = scope ? documents.filter(document => matchesScope(document, scope)).length : documents.length;
+  const label = scope ? `📄 ${scopedCount} of ${documents.length} documents` : '📄 All documents';
+
+  const toggleDocument = (id: number) => {
+    const documentIds = draft.documentIds || [];
+    setDraft({
+      ...draft,
+      documentIds: documentIds.includes(id) ? documentIds.filter(existing => existing !== id) : [...documentIds, id]
+    });
+  };
+
+  const toggleTag = (tag: string) => {
+    const tags = draft.tags || [];
+    setDraft({
+      ...draft,
+      tags: tags.includes(tag) ? tags.filter(existing => existing !== tag) : [...tags, tag]
+    });
+  };
+
+  const apply = () => {
+    onChange(isEmptyScope(draft) ? null : draft);
+    setIsOpen(false);
+  };
+
+  const clear = () => {
+    setDraft({});
+    onChange(null);
+    setIsOpen(false);
+  };
+
+  return (
+    <PickerContainer>
+      <ScopeButton
+        $isScoped={!!scope}
+        onClick={() => setIsOpen(!isOpen)}
+        disabled={disabled}
+        title="Choose which documents this chat searches"
+      >
+        {label}
+      </ScopeButton>
+
+      {isOpen && (
+        <Panel>
+          <SectionTitle>Documents</SectionTitle>
+          {documents.length === 0 && <HintText>No documents uploaded yet</HintText>}
+          {documents.map(document => (
+            <DocumentOption key={document.id}>
+              <input
+                type="checkbox"
+                checked={(draft.documentIds || []).includes(Number(document.id))}
+                onChange={() => toggleDocument(Number(document.id))}
+              />
+              <span title={document.originalName}>{document.originalName}</span>
+            </DocumentOption>
+          ))}
+
+          {allTags.length > 0 && (
+            <>
+              <SectionTitle>Tags</SectionTitle>
+              <TagList>
+                {allTags.map(tag => (
+                  <TagChip
+                    key={tag}
+                    type="button"
+                    $selected={(draft.tags || []).includes(tag)}
+                    onClick={() => toggleTag(tag)}
+                  >
+                    {tag}
+                  </TagChip>
+                ))}
+              </TagList>
+            </>
+          )}
+
+          <SectionTitle>Uploaded</SectionTitle>
+          <DateRow>
+            <label>
+              From
+              <input
+                type="date"
+                value={draft.uploadedAfter || ''}
+                onChange={(e) => setDraft({ ...draft, uploadedAfter: e.target.value || undefined })}
+              />
+            </label>
+            <label>
+              To
+              <input
+                type="date"
+                value={draft.uploadedBefore || ''}
+                onChange={(e) => setDraft({ ...draft, uploadedBefore: e.target.value || undefined })}
+              />
+            </label>
+          </DateRow>
+
+          <PanelActions>
+            <ClearButton type="button" onClick={clear}>All documents</ClearButton>
+            <ApplyButton type="button" onClick={apply}>Apply</ApplyButton>
+          </PanelActions>
+        </Panel>
+      )}
+    </PickerContainer>
+  );
+};
+
+export default DocumentScopePicker;
@@ -0,0 +1,312 @@
+import React, { useEffect, useState } from 'react';
+import styled, { keyframes } from 'styled-components';
+import { apiKeyService, ApiKey, ApiKeyScope } from '../../services/apiKeyService';
+import { PrimaryButton, SecondaryButton, DangerButton } from '../ui/Button';
+import ColorfulInput from '../ui/ColorfulInput';
+import { useToast } from '../../contexts/ToastContext';
+
+const fadeInUp = keyframes`
+  from {
+    opacity: 0;
+    transform: translateY(20px);
+  }
+  to {
+    opacity: 1;
+    transform: translateY(0);
+  }
+`;
+
+const SettingsCard = styled.div`
+  max-width: 800px;
+  margin: 24px auto 0;
+  background: rgba(255, 255, 255, 0.95);
+  backdrop-filter: blur(20px);
+  border-radius: 20px;
+  padding: 40px;
+  box-shadow: 0 8px 32px rgba(0, 0, 0, 0.1);
+  border: 1px solid rgba(255, 255, 255, 0.2);
+  animation: ${fadeInUp} 0.6s ease-out;
+`;
+
+const SectionTitle = styled.h3`
+  font-size: 1.25rem;
+  font-weight: 700;
+  color: #374151;
+  margin: 0 0 8px;
+`;
+
+const Description = styled.p`
+  color: #6b7280;
+  font-size: 0.95rem;
+  margin: 0 0 20px;
+`;
+
+const Form = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 16px;
+  margin-bottom: 24px;
+`;
+
+const FieldLabel = styled.span`
+  font-size: 14px;
+  font-weight: 600;
+  color: #667eea;
+`;
+
+const ScopeOptions = styled.div`
+  display: flex;
+  gap: 16px;
+  flex-wrap: wrap;
+`;
+
+const ScopeOption = styled.label`
+  display: flex;
+  align-items: center;
+  gap: 6px;
+  color: #374151;
+  font-size: 0.95rem;
+  cursor: pointer;
+`;
+
+const Select = styled.select`
+  padding: 12px 16px;
+  border: 2px solid rgba(79, 172, 254, 0.2);
+  border-radius: 12px;
+  font-size: 1rem;
+  background: rgba(255, 255, 255, 0.8);
+`;
+
+const NewKeyBox = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 12px;
+  padding: 16px;
+  margin-bottom: 24px;
+  border-radius: 12px;
+  background: rgba(245, 158, 11, 0.08);
+  border: 1px solid rgba(245, 158, 11, 0.3);
+`;
+
+const KeyValue = styled.code`
+  font-size: 0.9rem;
+  word-break: break-all;
+`;
+
+const KeyList = styled.ul`
+  list-style: none;
+  padding: 0;
+  margin: 0;
+  display: flex;
+  flex-direction: column;
+  gap: 12px;
+`;
+
+const KeyRow = styled.li<{ $inactive: boolean }>`
+  display: flex;
+  align-items: center;
+  justify-content: space-between;
+  gap: 16px;
+  padding: 16px;
+  border-radius: 12px;
+  border: 1px solid rgba(0, 0, 0, 0.08);
+  opacity: ${props => props.$inactive ? 0.6 : 1};
+`;
+
+const KeyName = styled.div`
+  font-weight: 700;
+  color: #1f2937;
+`;
+
+const KeyMeta = styled.div`
+  color: #6b7280;
+  font-size: 0.85rem;
+  margin-top: 4px;
+`;
+
+const Actions = styled.div`
+  display: flex;
+  gap: 12px;
+  flex-wrap: wrap;
+`;
+
+const ErrorText = styled.p`
+  color: #ef4444;
+  font-size: 0.9rem;
+  margin: 0;
+`;
+
+const SCOPE_LABELS: Record<ApiKeyScope, string> = {
+  search: 'Search (read-only)',
+  upload: 'Upload',
+  chat: 'Chat'
+};
+
+const EXPIRY_OPTIONS = [
+  { label: 'Never', days: 0 },
+  { label: '30 days', days: 30 },
+  { label: '90 days', days: 90 },
+  { label: '1 year', days: 365 }
+];
+
+const formatDate = (value: string | null) => (value ? new Date(value).toLocaleDateString() : 'never');
+
+const ApiKeySettings: React.FC = () => {
+  const { showSuccess } = useToast();
+  const [apiKeys, setApiKeys] = useState<ApiKey[]>([]);
+  const [availableScopes, setAvailableScopes] = useState<ApiKeyScope[]>(['search', 'upload', 'chat']);
+  const [name, setName] = useState('');
+  const [scopes, setScopes] = useState<ApiKeyScope[]>(['search']);
+  const [expiresInDays, setExpiresInDays] = useState(90);
+  const [rateLimit, setRateLimit] = useState('');
+  const [newKey, setNewKey] = useState<string | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const loadKeys = async () => {
+    try {
+      const data = await apiKeyService.listKeys();
+      setApiKeys(data.apiKeys);
+      setAvailableScopes(data.scopes);
+    } catch (err: any) {
+      setError(err.message);
+    }
+  };
+
+  useEffect(() => {
+    loadKeys();
+  }, []);
+
+  const toggleScope = (scope: ApiKeyScope) => {
+    setScopes(scopes.includes(scope) ? scopes.filter(existing => existing !== scope) : [...scopes, scope]);
+  };
+
+  const handleCreate = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const { key } = await apiKeyService.createKey({
+        name,
+        scopes,
+        expiresInDays: expiresInDays || undefined,
+        rateLimitPerMinute: rateLimit ? parseInt(rateLimit, 10) : undefined
+      });
+      setNewKey(key);
+      setName('');
+      setRateLimit('');
+      await loadKeys();
+    } catch (err: any) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRevoke = async (apiKey: ApiKey) => {
+    if (!window.confirm(`Revoke "${apiKey.name}"? Scripts using it will stop working.`)) {
+      return;
+    }
+
+    setError(null);
+    try {
+      await apiKeyService.revokeKey(apiKey.id);
+      showSuccess(`${apiKey.name} was revoked`, 'API Key Revoked');
+      await loadKeys();
+    } catch (err: any) {
+      setError(err.message);
+    }
+  };
+
+  const handleCopy = async () => {
+    if (newKey) {
+      await navigator.clipboard.writeText(newKey);
+      showSuccess('API key copied to the clipboard', 'Copied');
+    }
+  };
+
+  return (
+    <SettingsCard>
+      <SectionTitle>🔑 API Keys</SectionTitle>
+      <Description>
+        Keys let scripts search, upload and chat without signing in. Send a key in the <code>X-API-Key</code> header,
+        or as a <code>Bearer</code> token.
+      </Description>
+
+      {newKey && (
+        <NewKeyBox>
+          <strong>Copy your new key now - it will not be shown again.</strong>
+          <KeyValue>{newKey}</KeyValue>
+          <Actions>
+            <PrimaryButton size="small" onClick={handleCopy}>Copy Key</PrimaryButton>
+            <SecondaryButton size="small" onClick={() => setNewKey(null)}>Done</SecondaryButton>
+          </Actions>
+        </NewKeyBox>
+      )}
+
+      <Form>
+        <ColorfulInput
+          label="Key Name"
+          type="text"
+          name="apiKeyName"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="e.g. Nightly report sync"
+          leftIcon="🏷️"
+        />
+        <FieldLabel>Scopes</FieldLabel>
+        <ScopeOptions>
+          {availableScopes.map(scope => (
+            <ScopeOption key={scope}>
+              <input type="checkbox" checked={scopes.includes(scope)} onChange={() => toggleScope(scope)} />
+              {SCOPE_LABELS[scope] || scope}
+            </ScopeOption>
+          ))}
+        </ScopeOptions>
+        <FieldLabel>Expires</FieldLabel>
+        <Select value={expiresInDays} onChange={(e) => setExpiresInDays(parseInt(e.target.value, 10))}>
+          {EXPIRY_OPTIONS.map(option => (
+            <option key={option.days} value={option.days}>{option.label}</option>
+          ))}
+        </Select>
+        <ColorfulInput
+          label="Requests per Minute (optional)"
+          type="number"
+          name="apiKeyRateLimit"
+          value={rateLimit}
+          onChange={(e) => setRateLimit(e.target.value)}
+          placeholder="60"
+          leftIcon="⏱️"
+        />
+        <Actions>
+          <PrimaryButton onClick={handleCreate} loading={loading} disabled={loading || !name.trim() || scopes.length === 0}>
+            Create Key
+          </PrimaryButton>
+        </Actions>
+        {error && <ErrorText>{error}</ErrorText>}
+      </Form>
+
+      <KeyList>
+        {apiKeys.map(apiKey => (
+          <KeyRow key={apiKey.id} $inactive={apiKey.status !== 'active'}>
+            <div>
+              <KeyName>{apiKey.name}</KeyName>
+              <KeyMeta>
+                <code>{apiKey.keyPrefix}…</code> · {apiKey.scopes.map(scope => SCOPE_LABELS[scope] || scope).join(', ')} · {apiKey.rateLimitPerMinute}/min
+              </KeyMeta>
+              <KeyMeta>
+                {apiKey.status === 'active'
+                  ? `Last used ${formatDate(apiKey.lastUsedAt)} · expires ${formatDate(apiKey.expiresAt)}`
+                  : apiKey.status === 'revoked' ? `Revoked ${formatDate(apiKey.revokedAt)}` : `Expired ${formatDate(apiKey.expiresAt)}`}
+              </KeyMeta>
+            </div>
+            {apiKey.status === 'active' && (
+              <DangerButton size="small" onClick={() => handleRevoke(apiKey)}>Revoke</DangerButton>
+            )}
+          </KeyRow>
+        ))}
+      </KeyList>
+    </SettingsCard>
+  );
+};
+
+export default ApiKeySettings;
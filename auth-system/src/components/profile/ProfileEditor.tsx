@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import styled, { keyframes } from 'styled-components';
 import { profileService, ProfileUpdateRequest } from '../../services/profileService';
+import { chatService, AnswerProfile } from '../../services/chatService';
 import ProfilePictureUpload from './ProfilePictureUpload';
 import ColorfulInput from '../ui/ColorfulInput';
 
@@ -121,6 +122,23 @@ const TextArea = styled.textarea`
   }
 `;
 
+const Select = styled.select`
+  width: 100%;
+  padding: 12px 16px;
+  border: 2px solid rgba(79, 172, 254, 0.2);
+  border-radius: 12px;
+  font-size: 1rem;
+  font-family: inherit;
+  background: rgba(255, 255, 255, 0.8);
+  cursor: pointer;
+
+  &:focus {
+    outline: none;
+    border-color: #4facfe;
+    box-shadow: 0 0 0 3px rgba(79, 172, 254, 0.1);
+  }
+`;
+
 const ActionButtons = styled.div`
   display: flex;
   gap: 16px;
@@ -231,8 +249,10 @@ export const ProfileEditor: React.FC<ProfileEditorProps> = ({
     email: user?.email || '',
     displayName: user?.displayName || '',
     bio: user?.bio || '',
+    answerProfile: user?.answerProfile || 'legal',
   });
   
+  const [answerProfiles, setAnswerProfiles] = useState<AnswerProfile[]>([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState<string | null>(null);
   const [success, setSuccess] = useState<string | null>(null);
@@ -245,11 +265,18 @@ export const ProfileEditor: React.FC<ProfileEditorProps> = ({
       formData.lastName !== (user?.lastName || '') ||
       formData.email !== (user?.email || '') ||
       formData.displayName !== (user?.displayName || '') ||
-      formData.bio !== (user?.bio || '');
+      formData.bio !== (user?.bio || '') ||
+      formData.answerProfile !== (user?.answerProfile || 'legal');
     
     setHasChanges(hasFormChanges);
   }, [formData, user]);
 
+  useEffect(() => {
+    chatService.getAnswerProfiles()
+      .then(({ profiles }) => setAnswerProfiles(profiles))
+      .catch(error => console.error('Failed to load answer profiles:', error));
+  }, []);
+
   const clearMessages = () => {
     setError(null);
     setSuccess(null);
@@ -295,6 +322,9 @@ export const ProfileEditor: React.FC<ProfileEditorProps> = ({
       if (formData.bio !== (user?.bio || '')) {
         updates.bio = formData.bio;
       }
+      if (formData.answerProfile !== (user?.answerProfile || 'legal')) {
+        updates.answerProfile = formData.answerProfile;
+      }
 
       if (Object.keys(updates).length === 0) {
         setError('No changes to save');
@@ -324,6 +354,7 @@ export const ProfileEditor: React.FC<ProfileEditorProps> = ({
       email: user?.email || '',
       displayName: user?.displayName || '',
       bio: user?.bio || '',
+      answerProfile: user?.answerProfile || 'legal',
     });
     clearMessages();
   };
@@ -407,6 +438,35 @@ export const ProfileEditor: React.FC<ProfileEditorProps> = ({
                   {(formData.bio || '').length}/500 characters
                 </div>
               </div>
+
+              {answerProfiles.length > 0 && (
+                <div>
+                  <label style={{ 
+                    display: 'block', 
+                    marginBottom: '8px', 
+                    fontWeight: '600', 
+                    color: '#374151' 
+                  }}>
+                    Default Answer Format
+                  </label>
+                  <Select
+                    value={formData.answerProfile}
+                    onChange={(e) => handleInputChange('answerProfile', e.target.value)}
+                  >
+                    {answerProfiles.map(profile => (
+                      <option key={profile.name} value={profile.name}>{profile.label}</option>
+                    ))}
+                  </Select>
+                  <div style={{ 
+                    fontSize: '0.75rem', 
+                    color: '#9ca3af', 
+                    marginTop: '4px' 
+                  }}>
+                    {answerProfiles.find(profile => profile.name === formData.answerProfile)?.description}
+                    {' '}Chats can choose their own format.
+                  </div>
+                </div>
+              )}
             </FormSection>
 
             <PictureSection>
@@ -0,0 +1,183 @@
+import React, { useEffect, useState } from 'react';
+import styled, { keyframes } from 'styled-components';
+import { sessionService, ActiveSession } from '../../services/sessionService';
+import { DangerButton } from '../ui/Button';
+import { useToast } from '../../contexts/ToastContext';
+
+const fadeInUp = keyframes`
+  from {
+    opacity: 0;
+    transform: translateY(20px);
+  }
+  to {
+    opacity: 1;
+    transform: translateY(0);
+  }
+`;
+
+const SettingsCard = styled.div`
+  max-width: 800px;
+  margin: 24px auto 0;
+  background: rgba(255, 255, 255, 0.95);
+  backdrop-filter: blur(20px);
+  border-radius: 20px;
+  padding: 40px;
+  box-shadow: 0 8px 32px rgba(0, 0, 0, 0.1);
+  border: 1px solid rgba(255, 255, 255, 0.2);
+  animation: ${fadeInUp} 0.6s ease-out;
+`;
+
+const SectionTitle = styled.h3`
+  font-size: 1.25rem;
+  font-weight: 700;
+  color: #374151;
+  margin: 0 0 8px;
+`;
+
+const Description = styled.p`
+  color: #6b7280;
+  font-size: 0.95rem;
+  margin: 0 0 20px;
+`;
+
+const SessionList = styled.ul`
+  list-style: none;
+  padding: 0;
+  margin: 0 0 24px;
+  display: flex;
+  flex-direction: column;
+  gap: 12px;
+`;
+
+const SessionRow = styled.li`
+  display: flex;
+  align-items: center;
+  justify-content: space-between;
+  gap: 16px;
+  padding: 16px;
+  border-radius: 12px;
+  border: 1px solid rgba(0, 0, 0, 0.08);
+`;
+
+const SessionName = styled.div`
+  font-weight: 700;
+  color: #1f2937;
+  display: flex;
+  align-items: center;
+  gap: 8px;
+`;
+
+const CurrentBadge = styled.span`
+  font-size: 0.75rem;
+  font-weight: 700;
+  padding: 4px 10px;
+  border-radius: 999px;
+  color: #065f46;
+  background: rgba(16, 185, 129, 0.15);
+`;
+
+const SessionMeta = styled.div`
+  color: #6b7280;
+  font-size: 0.85rem;
+  margin-top: 4px;
+`;
+
+const ErrorText = styled.p`
+  color: #ef4444;
+  font-size: 0.9rem;
+  margin: 0;
+`;
+
+const formatDateTime = (value: string | null) => (value ? new Date(value).toLocaleString() : 'never');
+
+const SessionSettings: React.FC = () => {
+  const { showSuccess } = useToast();
+  const [sessions, setSessions] = useState<ActiveSession[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const loadSessions = async () => {
+    try {
+      setSessions(await sessionService.listSessions());
+    } catch (err: any) {
+      setError(err.message);
+    }
+  };
+
+  useEffect(() => {
+    loadSessions();
+  }, []);
+
+  const handleRevoke = async (session: ActiveSession) => {
+    if (!window.confirm(`Sign out ${session.device}?`)) {
+      return;
+    }
+
+    setError(null);
+    try {
+      await sessionService.revokeSession(session.id);
+      showSuccess(`${session.device} was signed out`, 'Session Ended');
+      await loadSessions();
+    } catch (err: any) {
+      setError(err.message);
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    if (!window.confirm('Sign out every other device?')) {
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+    try {
+      const revokedCount = await sessionService.revokeOtherSessions();
+      showSuccess(`Signed out ${revokedCount} other session${revokedCount === 1 ? '' : 's'}`, 'Sessions Ended');
+      await loadSessions();
+    } catch (err: any) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const otherSessions = sessions.filter(session => !session.current).length;
+
+  return (
+    <SettingsCard>
+      <SectionTitle>💻 Active Sessions</SectionTitle>
+      <Description>
+        Devices signed in to your account. Sign out any you don't recognise, then change your password.
+      </Description>
+
+      <SessionList>
+        {sessions.map(session => (
+          <SessionRow key={session.id}>
+            <div>
+              <SessionName>
+                {session.device}
+                {session.current && <CurrentBadge>This device</CurrentBadge>}
+              </SessionName>
+              <SessionMeta>
+                {session.ipAddress || 'Unknown IP address'} · signed in {formatDateTime(session.createdAt)}
+              </SessionMeta>
+              <SessionMeta>Last active {formatDateTime(session.lastRefreshedAt)}</SessionMeta>
+            </div>
+            {!session.current && (
+              <DangerButton size="small" onClick={() => handleRevoke(session)}>Sign Out</DangerButton>
+            )}
+          </SessionRow>
+        ))}
+      </SessionList>
+
+      {otherSessions > 0 && (
+        <DangerButton onClick={handleRevokeOthers} loading={loading} disabled={loading}>
+          Sign Out All Other Sessions
+        </DangerButton>
+      )}
+      {error && <ErrorText>{error}</ErrorText>}
+    </SettingsCard>
+  );
+};
+
+export default SessionSettings;
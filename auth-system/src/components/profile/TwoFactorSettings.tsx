@@ -0,0 +1,303 @@
+import React, { useEffect, useState } from 'react';
+import styled, { keyframes } from 'styled-components';
+import { twoFactorService } from '../../services/twoFactorService';
+import { TwoFactorSetup, TwoFactorStatus, User } from '../../types/auth';
+import { PrimaryButton, SecondaryButton, DangerButton } from '../ui/Button';
+import ColorfulInput from '../ui/ColorfulInput';
+import { useToast } from '../../contexts/ToastContext';
+
+const fadeInUp = keyframes`
+  from {
+    opacity: 0;
+    transform: translateY(20px);
+  }
+  to {
+    opacity: 1;
+    transform: translateY(0);
+  }
+`;
+
+const SettingsCard = styled.div`
+  max-width: 800px;
+  margin: 24px auto 0;
+  background: rgba(255, 255, 255, 0.95);
+  backdrop-filter: blur(20px);
+  border-radius: 20px;
+  padding: 40px;
+  box-shadow: 0 8px 32px rgba(0, 0, 0, 0.1);
+  border: 1px solid rgba(255, 255, 255, 0.2);
+  animation: ${fadeInUp} 0.6s ease-out;
+`;
+
+const SectionTitle = styled.h3`
+  font-size: 1.25rem;
+  font-weight: 700;
+  color: #374151;
+  margin: 0 0 8px;
+  display: flex;
+  align-items: center;
+  gap: 8px;
+`;
+
+const Description = styled.p`
+  color: #6b7280;
+  font-size: 0.95rem;
+  margin: 0 0 20px;
+`;
+
+const StatusBadge = styled.span<{ $enabled: boolean }>`
+  font-size: 0.75rem;
+  font-weight: 700;
+  padding: 4px 10px;
+  border-radius: 999px;
+  color: ${props => props.$enabled ? '#065f46' : '#6b7280'};
+  background: ${props => props.$enabled ? 'rgba(16, 185, 129, 0.15)' : 'rgba(107, 114, 128, 0.15)'};
+`;
+
+const Steps = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 16px;
+`;
+
+const SecretBox = styled.code`
+  display: block;
+  padding: 12px 16px;
+  border-radius: 12px;
+  background: rgba(79, 172, 254, 0.08);
+  border: 1px solid rgba(79, 172, 254, 0.2);
+  font-size: 1rem;
+  letter-spacing: 2px;
+  word-break: break-all;
+`;
+
+const SetupLink = styled.a`
+  color: #4f46e5;
+  font-weight: 600;
+  font-size: 0.95rem;
+`;
+
+const CodeList = styled.ul`
+  display: grid;
+  grid-template-columns: repeat(2, 1fr);
+  gap: 8px;
+  list-style: none;
+  padding: 16px;
+  margin: 0;
+  border-radius: 12px;
+  background: rgba(245, 158, 11, 0.08);
+  border: 1px solid rgba(245, 158, 11, 0.3);
+  font-family: monospace;
+  font-size: 1rem;
+`;
+
+const Actions = styled.div`
+  display: flex;
+  gap: 12px;
+  flex-wrap: wrap;
+`;
+
+const ErrorText = styled.p`
+  color: #ef4444;
+  font-size: 0.9rem;
+  margin: 0;
+`;
+
+type Mode = 'idle' | 'setup' | 'regenerate' | 'disable';
+
+interface TwoFactorSettingsProps {
+  user: User;
+  onChange?: (enabled: boolean) => void;
+}
+
+const TwoFactorSettings: React.FC<TwoFactorSettingsProps> = ({ user, onChange }) => {
+  const { showSuccess } = useToast();
+  const [status, setStatus] = useState<TwoFactorStatus | null>(null);
+  const [mode, setMode] = useState<Mode>('idle');
+  const [setup, setSetup] = useState<TwoFactorSetup | null>(null);
+  const [recoveryCodes, setRecoveryCodes] = useState<string[] | null>(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const loadStatus = async () => {
+    try {
+      setStatus(await twoFactorService.getStatus());
+    } catch (err: any) {
+      setError(err.message);
+    }
+  };
+
+  useEffect(() => {
+    loadStatus();
+  }, [user.id]);
+
+  const reset = () => {
+    setMode('idle');
+    setSetup(null);
+    setCode('');
+    setPassword('');
+    setError(null);
+  };
+
+  // Runs an action with loading and error state; the form stays open when it fails
+  const run = async (action: () => Promise<void>) => {
+    setLoading(true);
+    setError(null);
+    try {
+      await action();
+    } catch (err: any) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleStartSetup = () => run(async () => {
+    setRecoveryCodes(null);
+    setSetup(await twoFactorService.setup());
+    setMode('setup');
+  });
+
+  const handleConfirm = () => run(async () => {
+    const codes = await twoFactorService.confirm(code.trim());
+    reset();
+    setRecoveryCodes(codes);
+    await loadStatus();
+    onChange?.(true);
+    showSuccess('Two-factor authentication is on', 'Account Secured');
+  });
+
+  const handleRegenerate = () => run(async () => {
+    const codes = await twoFactorService.regenerateRecoveryCodes(code.trim());
+    reset();
+    setRecoveryCodes(codes);
+    await loadStatus();
+  });
+
+  const handleDisable = () => run(async () => {
+    // Recovery codes contain a dash; authenticator codes are digits only
+    const factor = code.includes('-') ? { recoveryCode: code.trim() } : { code: code.trim() };
+    await twoFactorService.disable(password, factor);
+    reset();
+    setRecoveryCodes(null);
+    await loadStatus();
+    onChange?.(false);
+    showSuccess('Two-factor authentication is off', 'Settings Updated');
+  });
+
+  const codeInput = (label: string, placeholder: string) => (
+    <ColorfulInput
+      label={label}
+      type="text"
+      name="twoFactorCode"
+      value={code}
+      onChange={(e) => setCode(e.target.value)}
+      placeholder={placeholder}
+      leftIcon="🔑"
+      required
+    />
+  );
+
+  return (
+    <SettingsCard>
+      <SectionTitle>
+        🔐 Two-Factor Authentication
+        {status && <StatusBadge $enabled={status.enabled}>{status.enabled ? 'On' : 'Off'}</StatusBadge>}
+      </SectionTitle>
+      <Description>
+        Ask for a code from an authenticator app, such as Google Authenticator or 1Password, when you sign in.
+        {status?.enabled && ` ${status.recoveryCodesRemaining} recovery codes left.`}
+      </Description>
+
+      <Steps>
+        {recoveryCodes && (
+          <>
+            <Description>
+              Save these recovery codes somewhere safe. Each one signs you in once if you lose your authenticator.
+              They will not be shown again.
+            </Description>
+            <CodeList>
+              {recoveryCodes.map(recoveryCode => <li key={recoveryCode}>{recoveryCode}</li>)}
+            </CodeList>
+            <Actions>
+              <SecondaryButton onClick={() => setRecoveryCodes(null)}>I saved my codes</SecondaryButton>
+            </Actions>
+          </>
+        )}
+
+        {mode === 'setup' && setup && (
+          <>
+            <Description>
+              Add this account to your authenticator app with the setup link, or by entering the key below,
+              then enter the 6-digit code the app shows.
+            </Description>
+            <SetupLink href={setup.otpauthUri}>Open in authenticator app</SetupLink>
+            <SecretBox>{setup.secret}</SecretBox>
+            {codeInput('Authentication Code', '123456')}
+            <Actions>
+              <PrimaryButton onClick={handleConfirm} loading={loading} disabled={loading || !code.trim()}>
+                Turn On
+              </PrimaryButton>
+              <SecondaryButton onClick={reset} disabled={loading}>Cancel</SecondaryButton>
+            </Actions>
+          </>
+        )}
+
+        {mode === 'regenerate' && (
+          <>
+            {codeInput('Authentication Code', '123456')}
+            <Actions>
+              <PrimaryButton onClick={handleRegenerate} loading={loading} disabled={loading || !code.trim()}>
+                Create New Codes
+              </PrimaryButton>
+              <SecondaryButton onClick={reset} disabled={loading}>Cancel</SecondaryButton>
+            </Actions>
+          </>
+        )}
+
+        {mode === 'disable' && (
+          <>
+            <ColorfulInput
+              label="Password"
+              type="password"
+              name="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder="Enter your password"
+              leftIcon="🔒"
+              required
+            />
+            {codeInput('Authentication or Recovery Code', '123456 or xxxxx-xxxxx')}
+            <Actions>
+              <DangerButton onClick={handleDisable} loading={loading} disabled={loading || !password || !code.trim()}>
+                Turn Off
+              </DangerButton>
+              <SecondaryButton onClick={reset} disabled={loading}>Cancel</SecondaryButton>
+            </Actions>
+          </>
+        )}
+
+        {mode === 'idle' && status && (
+          <Actions>
+            {status.enabled ? (
+              <>
+                <SecondaryButton onClick={() => setMode('regenerate')}>New Recovery Codes</SecondaryButton>
+                <DangerButton onClick={() => setMode('disable')}>Turn Off</DangerButton>
+              </>
+            ) : (
+              <PrimaryButton onClick={handleStartSetup} loading={loading} disabled={loading}>
+                Set Up Two-Factor Authentication
+              </PrimaryButton>
+            )}
+          </Actions>
+        )}
+
+        {error && <ErrorText>{error}</ErrorText>}
+      </Steps>
+    </SettingsCard>
+  );
+};
+
+export default TwoFactorSettings;
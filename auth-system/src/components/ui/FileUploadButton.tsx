@@ -23,7 +23,7 @@ interface FileUploadButtonProps {
 
 const FileUploadButton: React.FC<FileUploadButtonProps> = ({
   onFileSelect,
-  accept = '.pdf,.docx,.html,.txt',
+  accept = '.pdf,.docx,.html,.txt,.md,.markdown,.rst,.csv,.xlsx,.pptx,.eml,.mbox,.epub,.odt,.rtf',
   multiple = true,
   disabled = false,
   children = '📎 Upload Files'
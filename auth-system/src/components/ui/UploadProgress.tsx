@@ -176,7 +176,13 @@ const UploadProgress: React.FC<UploadProgressProps> = ({
   const getFileIcon = (type: string) => {
     if (type.includes('pdf')) return '📄';
     if (type.includes('word') || type.includes('docx')) return '📝';
+    if (type.includes('csv') || type.includes('spreadsheet') || type.includes('excel')) return '📊';
+    if (type.includes('presentation')) return '🖼️';
     if (type.includes('html')) return '🌐';
+    if (type.includes('markdown') || type.includes('rst')) return '📘';
+    if (type.includes('rfc822') || type.includes('mbox')) return '✉️';
+    if (type.includes('epub')) return '📖';
+    if (type.includes('opendocument') || type.includes('rtf')) return '📝';
     if (type.includes('text')) return '📃';
     return '📄';
   };
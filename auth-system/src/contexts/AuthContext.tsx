@@ -1,5 +1,5 @@
 import React, { createContext, useContext, useState, useEffect, ReactNode } from 'react';
-import { User, AuthSession, LoginCredentials, SignupData, AuthContextType } from '../types/auth';
+import { User, AuthSession, LoginCredentials, SignupData, AuthContextType, TwoFactorChallenge, TwoFactorCode } from '../types/auth';
 import { cleanAuthService } from '../services/cleanAuthService';
 import { useToast } from './ToastContext';
 
@@ -42,19 +42,29 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
     }
   }, []);
 
+  const startSession = (authSession: AuthSession) => {
+    setSession(authSession);
+    setUser(authSession.user);
+    localStorage.setItem('authSession', JSON.stringify(authSession));
+
+    showSuccess(
+      `Welcome back, ${authSession.user.firstName}!`,
+      'Login Successful'
+    );
+  };
+
+  // Resolves with a challenge instead of signing in when the account has two-factor authentication on
   const login = async (credentials: LoginCredentials) => {
     setLoading(true);
     setError(null);
     try {
-      const authSession = await cleanAuthService.login(credentials);
-      setSession(authSession);
-      setUser(authSession.user);
-      localStorage.setItem('authSession', JSON.stringify(authSession));
-      
-      showSuccess(
-        `Welcome back, ${authSession.user.firstName}!`,
-        'Login Successful'
-      );
+      const result = await cleanAuthService.login(credentials);
+      if ('challengeToken' in result) {
+        return result;
+      }
+
+      startSession(result);
+      return null;
     } catch (err: any) {
       const errorMessage = err.message || 'Login failed';
       setError(errorMessage);
@@ -65,6 +75,20 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
     }
   };
 
+  const completeTwoFactorLogin = async (challenge: TwoFactorChallenge, factor: TwoFactorCode) => {
+    setLoading(true);
+    setError(null);
+    try {
+      startSession(await cleanAuthService.completeTwoFactorLogin(challenge, factor));
+    } catch (err: any) {
+      const errorMessage = err.message || 'Login failed';
+      setError(errorMessage);
+      throw err;
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const signup = async (userData: SignupData) => {
     setLoading(true);
     setError(null);
@@ -133,6 +157,7 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
     user,
     session,
     login,
+    completeTwoFactorLogin,
     signup,
     logout,
     refreshUserProfile,
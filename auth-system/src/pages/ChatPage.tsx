@@ -1,14 +1,27 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { useNavigate, useParams } from 'react-router-dom';
 import styled from 'styled-components';
-import { chatService, Chat, ChatMessage, DocumentSource } from '../services/chatService';
-import { documentService } from '../services/documentService';
+import {
+  chatService,
+  AnswerProfile,
+  AnswerProfileName,
+  Chat,
+  ChatMessage,
+  ChatScope,
+  ChatStrategy,
+  DocumentSource,
+  GroundingResult
+} from '../services/chatService';
+import { documentService, Document } from '../services/documentService';
 import { useAuth } from '../contexts/AuthContext';
 import { useToast } from '../contexts/ToastContext';
 import AnimatedBackground from '../components/ui/AnimatedBackground';
 import { PrimaryButton } from '../components/ui/Button';
 import FileUploadButton from '../components/ui/FileUploadButton';
 import UploadProgress, { UploadFile } from '../components/ui/UploadProgress';
+import DocumentScopePicker from '../components/chat/DocumentScopePicker';
+import EmailVerificationNotice from '../components/EmailVerificationNotice';
+import { isEmailNotVerifiedError } from '../utils/apiError';
 
 const ChatContainer = styled.div`
   min-height: 100vh;
@@ -136,6 +149,33 @@ const MessageContent = styled.div`
   white-space: pre-wrap;
 `;
 
+const UnsupportedClaim = styled.span`
+  background: rgba(245, 158, 11, 0.18);
+  border-bottom: 2px dotted #f59e0b;
+  cursor: help;
+
+  &::after {
+    content: ' ⚠️';
+    font-size: 0.75rem;
+  }
+`;
+
+const GroundingNotice = styled.div`
+  margin-top: 8px;
+  padding: 6px 10px;
+  border-radius: 6px;
+  background: rgba(245, 158, 11, 0.12);
+  color: #92400e;
+  font-size: 0.8rem;
+`;
+
+const InterruptedNotice = styled.div`
+  margin-top: 8px;
+  font-size: 0.8rem;
+  font-style: italic;
+  color: #999;
+`;
+
 const SourcesContainer = styled.div`
   margin-top: 12px;
   padding-top: 12px;
@@ -159,6 +199,12 @@ const InputContainer = styled.div`
   flex-shrink: 0;
 `;
 
+const VerificationNotice = styled(EmailVerificationNotice)`
+  max-width: 1000px;
+  margin: 0 auto 16px;
+  background: rgba(255, 255, 255, 0.95);
+`;
+
 const InputWrapper = styled.div`
   display: flex;
   gap: 12px;
@@ -206,6 +252,15 @@ const SendButton = styled(PrimaryButton)`
   justify-content: center;
 `;
 
+const StopButton = styled(PrimaryButton)`
+  min-width: 60px;
+  height: 50px;
+  border-radius: 25px;
+  display: flex;
+  align-items: center;
+  justify-content: center;
+`;
+
 const ChatListItem = styled.div<{ $isActive: boolean }>`
   padding: 12px 16px;
   margin: 8px 0;
@@ -396,6 +451,40 @@ const DashboardButton = styled(PrimaryButton)`
   margin-left: auto;
 `;
 
+const StrategySelect = styled.select`
+  margin-right: 12px;
+  padding: 8px 12px;
+  border-radius: 8px;
+  border: 1px solid rgba(255, 255, 255, 0.3);
+  background: rgba(255, 255, 255, 0.15);
+  color: white;
+  font-size: 0.9rem;
+  cursor: pointer;
+
+  option {
+    color: #333;
+  }
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+`;
+
+const MessageMeta = styled.div`
+  margin-top: 8px;
+  font-size: 0.75rem;
+  color: #999;
+`;
+
+const STRATEGY_OPTIONS: { value: ChatStrategy; label: string }[] = [
+  { value: 'auto', label: 'Auto strategy' },
+  { value: 'simple', label: 'Simple lookup' },
+  { value: 'analytical', label: 'Analytical' },
+  { value: 'comparison', label: 'Comparison' },
+  { value: 'differentiation', label: 'Differentiation' }
+];
+
 const LoadingMessage = styled.div`
   display: flex;
   align-items: center;
@@ -462,9 +551,20 @@ const ChatPage: React.FC = () => {
   const [uploadProgress, setUploadProgress] = useState(0);
   const [searchQuery, setSearchQuery] = useState('');
   const [documentCount, setDocumentCount] = useState(0);
+  const [documents, setDocuments] = useState<Document[]>([]);
+  const [streamingText, setStreamingText] = useState<string | null>(null);
+  const [streamingChatId, setStreamingChatId] = useState<number | null>(null);
+  const [newChatStrategy, setNewChatStrategy] = useState<ChatStrategy>('auto');
+  const [newChatScope, setNewChatScope] = useState<ChatScope | null>(null);
+  const [answerProfiles, setAnswerProfiles] = useState<AnswerProfile[]>([]);
+  const [defaultAnswerProfile, setDefaultAnswerProfile] = useState<AnswerProfileName>('legal');
+  const [newChatAnswerProfile, setNewChatAnswerProfile] = useState<AnswerProfileName | null>(null);
+  // Set when chat or uploads are refused until the email address is verified
+  const [emailNotVerified, setEmailNotVerified] = useState(false);
   
   const messagesEndRef = useRef<HTMLDivElement>(null);
   const inputRef = useRef<HTMLTextAreaElement>(null);
+  const streamAbortRef = useRef<AbortController | null>(null);
 
   useEffect(() => {
     if (!user) {
@@ -473,6 +573,7 @@ const ChatPage: React.FC = () => {
     }
     loadChats();
     loadDocumentCount();
+    loadAnswerProfiles();
   }, [user, navigate]);
 
   useEffect(() => {
@@ -483,7 +584,7 @@ const ChatPage: React.FC = () => {
 
   useEffect(() => {
     scrollToBottom();
-  }, [messages]);
+  }, [messages, streamingText]);
 
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
@@ -501,13 +602,24 @@ const ChatPage: React.FC = () => {
 
   const loadDocumentCount = async () => {
     try {
-      const documents = await documentService.getUserDocuments();
+      const documents = await documentService.getUserDocuments({ limit: 1000 });
+      setDocuments(documents.documents);
       setDocumentCount(documents.documents.length);
     } catch (error) {
       console.error('Failed to load document count:', error);
     }
   };
 
+  const loadAnswerProfiles = async () => {
+    try {
+      const { profiles, defaultProfile } = await chatService.getAnswerProfiles();
+      setAnswerProfiles(profiles);
+      setDefaultAnswerProfile(defaultProfile);
+    } catch (error) {
+      console.error('Failed to load answer profiles:', error);
+    }
+  };
+
   const handleQuickSearch = () => {
     if (searchQuery.trim()) {
       navigate(`/documents/search?q=${encodeURIComponent(searchQuery.trim())}`);
@@ -533,6 +645,57 @@ const ChatPage: React.FC = () => {
     }
   };
 
+  const changeStrategy = async (strategy: ChatStrategy) => {
+    if (!currentChat) {
+      // Applied when the first message creates the chat
+      setNewChatStrategy(strategy);
+      return;
+    }
+
+    try {
+      const updatedChat = await chatService.updateChatStrategy(currentChat.id, strategy);
+      setCurrentChat(updatedChat);
+      setChats(prev => prev.map(chat => chat.id === updatedChat.id ? updatedChat : chat));
+    } catch (error) {
+      console.error('Failed to update chat strategy:', error);
+      showError('Failed to update chat strategy');
+    }
+  };
+
+  const changeScope = async (scope: ChatScope | null) => {
+    if (!currentChat) {
+      // Applied when the first message creates the chat
+      setNewChatScope(scope);
+      return;
+    }
+
+    try {
+      const updatedChat = await chatService.updateChatScope(currentChat.id, scope);
+      setCurrentChat(updatedChat);
+      setChats(prev => prev.map(chat => chat.id === updatedChat.id ? updatedChat : chat));
+    } catch (error) {
+      console.error('Failed to update chat scope:', error);
+      showError('Failed to update chat scope');
+    }
+  };
+
+  const changeAnswerProfile = async (answerProfile: AnswerProfileName | null) => {
+    if (!currentChat) {
+      // Applied when the first message creates the chat
+      setNewChatAnswerProfile(answerProfile);
+      return;
+    }
+
+    try {
+      const updatedChat = await chatService.updateChatAnswerProfile(currentChat.id, answerProfile);
+      setCurrentChat(updatedChat);
+      setChats(prev => prev.map(chat => chat.id === updatedChat.id ? updatedChat : chat));
+    } catch (error) {
+      console.error('Failed to update chat answer profile:', error);
+      showError('Failed to update answer format');
+    }
+  };
+
   const createNewChat = async () => {
     try {
       const newChat = await chatService.createChat();
@@ -540,7 +703,11 @@ const ChatPage: React.FC = () => {
       navigate(`/chat/${newChat.id}`);
     } catch (error) {
       console.error('Failed to create chat:', error);
-      showError('Failed to create new chat');
+      if (isEmailNotVerifiedError(error)) {
+        setEmailNotVerified(true);
+      } else {
+        showError('Failed to create new chat');
+      }
     }
   };
 
@@ -552,38 +719,98 @@ const ChatPage: React.FC = () => {
     // Create new chat if none exists
     if (!activeChatId) {
       try {
-        const newChat = await chatService.createChat();
+        const newChat = await chatService.createChat('New Chat', newChatStrategy, newChatScope, newChatAnswerProfile);
         setChats(prev => [newChat, ...prev]);
         setCurrentChat(newChat);
         activeChatId = newChat.id;
         navigate(`/chat/${newChat.id}`);
       } catch (error) {
-        showError('Failed to create chat');
+        if (isEmailNotVerifiedError(error)) {
+          setEmailNotVerified(true);
+        } else {
+          showError('Failed to create chat');
+        }
         return;
       }
     }
 
     const messageText = inputMessage.trim();
+    const isFirstMessage = messages.length === 0;
+    const abortController = new AbortController();
+    streamAbortRef.current = abortController;
     setInputMessage('');
     setIsLoading(true);
+    setStreamingChatId(activeChatId);
+
+    let userMessageSaved = false;
+    let answerReceived = false;
 
     try {
-      const response = await chatService.sendMessage(activeChatId, messageText);
-      
-      // Add both user and assistant messages
-      setMessages(prev => [...prev, response.userMessage, response.assistantMessage]);
+      await chatService.streamMessage(activeChatId, messageText, {
+        onSources: (data) => {
+          userMessageSaved = true;
+          setMessages(prev => [...prev, data.userMessage]);
+          setStreamingText('');
+        },
+        onToken: (delta) => {
+          setStreamingText(prev => (prev || '') + delta);
+        },
+        onDone: (data) => {
+          // Replace the streamed text with the persisted (formatted) answer
+          setStreamingText(null);
+          setMessages(prev => [...prev, data.assistantMessage]);
+          // The chat is free again; the grounding check may still follow
+          answerReceived = true;
+          streamAbortRef.current = null;
+          setStreamingChatId(null);
+          setIsLoading(false);
+        },
+        onGrounding: (data) => {
+          setMessages(prev => prev.map(msg => (msg.id === data.messageId ? { ...msg, grounding: data.grounding } : msg)));
+        },
+        onError: (error) => {
+          showError(error || 'Failed to send message');
+        }
+      }, abortController.signal);
       
       // Update chat list if title changed
-      if (messages.length === 0) {
+      if (isFirstMessage) {
         loadChats();
       }
       
     } catch (error: any) {
-      console.error('Failed to send message:', error);
-      showError(error.message || 'Failed to send message');
-      setInputMessage(messageText); // Restore message on error
+      if (answerReceived) {
+        // Only the grounding check was lost; the answer is already shown
+        console.warn('Stream ended before the grounding check:', error);
+      } else if (isEmailNotVerifiedError(error)) {
+        setEmailNotVerified(true);
+      } else if (error.name !== 'AbortError') {
+        console.error('Failed to send message:', error);
+        showError(error.message || 'Failed to send message');
+      }
+      if (!userMessageSaved) {
+        setInputMessage(messageText); // Restore message on error
+      }
     } finally {
-      setIsLoading(false);
+      // After `done` another message may already be streaming
+      if (streamAbortRef.current === abortController) {
+        streamAbortRef.current = null;
+        setStreamingText(null);
+        setStreamingChatId(null);
+        setIsLoading(false);
+      }
+    }
+  };
+
+  const stopResponse = async () => {
+    if (!streamingChatId) return;
+
+    try {
+      // The server saves the partial answer and finishes the stream with a done event
+      await chatService.cancelStream(streamingChatId);
+    } catch (error) {
+      // Fall back to dropping the connection, which also stops generation server-side
+      streamAbortRef.current?.abort();
     }
   };
 
@@ -690,6 +917,10 @@ const ChatPage: React.FC = () => {
       const results = await Promise.all(uploadPromises);
       const successCount = results.filter(r => r.success).length;
       const failCount = results.length - successCount;
+      const blockedByVerification = results.some(r => !r.success && isEmailNotVerifiedError(r.error));
+      if (blockedByVerification) {
+        setEmailNotVerified(true);
+      }
       
       // Remove the upload progress message and add completion message
       setMessages(prev => {
@@ -714,7 +945,7 @@ const ChatPage: React.FC = () => {
         );
         // Refresh document count
         loadDocumentCount();
-      } else {
+      } else if (!blockedByVerification) {
         showError('Failed to upload documents');
       }
 
@@ -757,6 +988,33 @@ const ChatPage: React.FC = () => {
     return date.toLocaleDateString();
   };
 
+  // Highlight answer sentences the grounding check could not match to the cited chunks
+  const renderMessageContent = (content: string, grounding?: GroundingResult | null) => {
+    const unsupported = (grounding?.claims || []).filter(claim => !claim.supported);
+    if (unsupported.length === 0) return content;
+
+    const parts: React.ReactNode[] = [];
+    let position = 0;
+
+    unsupported
+      .map(claim => ({ claim, index: content.indexOf(claim.text) }))
+      .filter(({ index }) => index >= 0)
+      .sort((a, b) => a.index - b.index)
+      .forEach(({ claim, index }) => {
+        if (index < position) return;
+        parts.push(content.slice(position, index));
+        parts.push(
+          <UnsupportedClaim key={index} title="Not supported by the cited document excerpts">
+            {claim.text}
+          </UnsupportedClaim>
+        );
+        position = index + claim.text.length;
+      });
+
+    parts.push(content.slice(position));
+    return parts;
+  };
+
   const renderSources = (sources: DocumentSource[] | string) => {
     let sourcesArray: DocumentSource[] = [];
     
@@ -866,6 +1124,36 @@ const ChatPage: React.FC = () => {
           <ChatTitle>
             {currentChat?.title || 'AI Document Assistant'}
           </ChatTitle>
+          <DocumentScopePicker
+            documents={documents}
+            scope={currentChat ? currentChat.scope : newChatScope}
+            onChange={changeScope}
+            disabled={isLoading}
+          />
+          <StrategySelect
+            value={currentChat?.strategy || newChatStrategy}
+            onChange={(e) => changeStrategy(e.target.value as ChatStrategy)}
+            disabled={isLoading}
+          >
+            {STRATEGY_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </StrategySelect>
+          {answerProfiles.length > 0 && (
+            <StrategySelect
+              value={(currentChat ? currentChat.answerProfile : newChatAnswerProfile) || ''}
+              onChange={(e) => changeAnswerProfile((e.target.value || null) as AnswerProfileName | null)}
+              disabled={isLoading}
+              title="Answer format"
+            >
+              <option value="">
+                Default format ({answerProfiles.find(profile => profile.name === defaultAnswerProfile)?.label || defaultAnswerProfile})
+              </option>
+              {answerProfiles.map(profile => (
+                <option key={profile.name} value={profile.name} title={profile.description}>{profile.label}</option>
+              ))}
+            </StrategySelect>
+          )}
           <DashboardButton 
             onClick={() => navigate('/dashboard')} 
             variant="secondary"
@@ -890,10 +1178,32 @@ const ChatPage: React.FC = () => {
           
           {messages.map(message => (
             <MessageBubble key={message.id} $isUser={message.role === 'user'}>
-              <MessageContent>{message.content}</MessageContent>
+              <MessageContent>
+                {message.role === 'assistant' ? renderMessageContent(message.content, message.grounding) : message.content}
+              </MessageContent>
+              {message.role === 'assistant' && message.grounding && message.grounding.unsupported > 0 && (
+                <GroundingNotice>
+                  ⚠️ {message.grounding.unsupported} of {message.grounding.checked} statements could not be verified against the cited documents
+                </GroundingNotice>
+              )}
+              {message.status === 'interrupted' && (
+                <InterruptedNotice>Response stopped before it finished</InterruptedNotice>
+              )}
+              {message.role === 'assistant' && message.strategy && (
+                <MessageMeta>Strategy: {message.strategy}</MessageMeta>
+              )}
+              {message.role === 'assistant' && message.queryRewrite && message.queryRewrite.method !== 'none' && (
+                <MessageMeta>Searched for: "{message.queryRewrite.rewritten}"</MessageMeta>
+              )}
               {message.role === 'assistant' && renderSources(message.sources)}
             </MessageBubble>
           ))}
+
+          {streamingText && (
+            <MessageBubble $isUser={false}>
+              <MessageContent>{streamingText}</MessageContent>
+            </MessageBubble>
+          )}
           
           {/* Upload Progress Indicator */}
           {uploadFiles.length > 0 && (
@@ -903,7 +1213,7 @@ const ChatPage: React.FC = () => {
             />
           )}
           
-          {isLoading && (
+          {isLoading && !streamingText && (
             <MessageBubble $isUser={false}>
               <LoadingMessage>
                 AI is thinking
@@ -920,6 +1230,9 @@ const ChatPage: React.FC = () => {
         </MessagesContainer>
 
         <InputContainer>
+          {emailNotVerified && (
+            <VerificationNotice onDismiss={() => setEmailNotVerified(false)} />
+          )}
           <InputWrapper>
             <MessageInput
               ref={inputRef}
@@ -936,13 +1249,22 @@ const ChatPage: React.FC = () => {
               >
                 {isUploading ? '⏳' : '📎'}
               </FileUploadButton>
-              <SendButton
-                onClick={sendMessage}
-                disabled={!inputMessage.trim() || isLoading}
-                variant="primary"
-              >
-                {isLoading ? '...' : '→'}
-              </SendButton>
+              {isLoading ? (
+                <StopButton
+                  onClick={stopResponse}
+                  variant="secondary"
+                >
+                  ■
+                </StopButton>
+              ) : (
+                <SendButton
+                  onClick={sendMessage}
+                  disabled={!inputMessage.trim()}
+                  variant="primary"
+                >
+                  →
+                </SendButton>
+              )}
             </InputActions>
           </InputWrapper>
         </InputContainer>
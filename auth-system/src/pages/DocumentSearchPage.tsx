@@ -237,6 +237,17 @@ const BackButton = styled(SecondaryButton)`
   z-index: 20;
 `;
 
+const formatPageReference = (pageNumber: number, pageEnd?: number) =>
+  pageEnd && pageEnd > pageNumber ? `📄 Pages ${pageNumber}-${pageEnd}` : `📄 Page ${pageNumber}`;
+
+const formatRowReference = (rowStart: number, rowEnd?: number, sheetName?: string) => {
+  const rows = rowEnd && rowEnd > rowStart ? `Rows ${rowStart}-${rowEnd}` : `Row ${rowStart}`;
+  return sheetName ? `📊 ${sheetName}, ${rows.toLowerCase()}` : `📊 ${rows}`;
+};
+
+const formatLineReference = (lineStart: number, lineEnd?: number) =>
+  lineEnd && lineEnd > lineStart ? `🧾 Lines ${lineStart}-${lineEnd}` : `🧾 Line ${lineStart}`;
+
 const DocumentSearchPage: React.FC = () => {
   const navigate = useNavigate();
   const location = useLocation();
@@ -399,6 +410,14 @@ const DocumentSearchPage: React.FC = () => {
       case 'docx': return '📝';
       case 'html': return '🌐';
       case 'txt': return '📃';
+      case 'csv':
+      case 'xlsx': return '📊';
+      case 'pptx': return '🖼️';
+      case 'eml':
+      case 'mbox': return '✉️';
+      case 'epub': return '📖';
+      case 'odt':
+      case 'rtf': return '📝';
       default: return '📄';
     }
   };
@@ -519,6 +538,13 @@ const DocumentSearchPage: React.FC = () => {
                             <ChunkScore score={chunk.score}>
                               {Math.round(chunk.score * 100)}%
                             </ChunkScore>
+                            {chunk.pageNumber && `${formatPageReference(chunk.pageNumber, chunk.pageEnd)} • `}
+                            {chunk.slideNumber && `🖼️ Slide ${chunk.slideNumber} • `}
+                            {chunk.rowStart && `${formatRowReference(chunk.rowStart, chunk.rowEnd, chunk.sheetName)} • `}
+                            {chunk.lineStart && `${formatLineReference(chunk.lineStart, chunk.lineEnd)} • `}
+                            {chunk.sender && `✉️ ${chunk.sender}${chunk.sentAt ? `, ${new Date(chunk.sentAt).toLocaleDateString()}` : ''} • `}
+                            {(chunk.chapter || chunk.chapterNumber) && `📖 ${chunk.chapter || `Chapter ${chunk.chapterNumber}`} • `}
+                            {chunk.section && `📑 ${chunk.section} • `}
                             Section {chunk.chunkIndex} • {chunk.wordCount} words
                           </div>
                           <ChunkText>
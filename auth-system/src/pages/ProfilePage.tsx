@@ -4,6 +4,9 @@ import { useAuth } from '../contexts/AuthContext';
 import styled, { keyframes } from 'styled-components';
 import AnimatedBackground from '../components/ui/AnimatedBackground';
 import ProfileEditor from '../components/profile/ProfileEditor';
+import TwoFactorSettings from '../components/profile/TwoFactorSettings';
+import ApiKeySettings from '../components/profile/ApiKeySettings';
+import SessionSettings from '../components/profile/SessionSettings';
 import { SecondaryButton } from '../components/ui/Button';
 import { profileService, ProfileUpdateRequest } from '../services/profileService';
 
@@ -227,6 +230,15 @@ const ProfilePage: React.FC = () => {
           onPictureUpload={handlePictureUpload}
           onPictureRemove={handlePictureRemove}
         />
+
+        <TwoFactorSettings
+          user={user}
+          onChange={(twoFactorEnabled) => updateUser?.({ ...user, twoFactorEnabled })}
+        />
+
+        <SessionSettings />
+
+        <ApiKeySettings />
       </PageContent>
     </PageContainer>
   );
@@ -0,0 +1,130 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import styled, { keyframes } from 'styled-components';
+import AnimatedBackground from '../components/ui/AnimatedBackground';
+import ColorfulCard from '../components/ui/ColorfulCard';
+import { PrimaryButton, SecondaryButton } from '../components/ui/Button';
+import { cleanAuthService } from '../services/cleanAuthService';
+
+const fadeInUp = keyframes`
+  from {
+    opacity: 0;
+    transform: translateY(30px);
+  }
+  to {
+    opacity: 1;
+    transform: translateY(0);
+  }
+`;
+
+const PageContainer = styled.div`
+  min-height: 100vh;
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  padding: 20px;
+  position: relative;
+`;
+
+const UnlockContainer = styled.div`
+  width: 100%;
+  max-width: 450px;
+  animation: ${fadeInUp} 1s ease-out;
+  position: relative;
+  z-index: 10;
+`;
+
+const Content = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 16px;
+  text-align: center;
+`;
+
+const IconContainer = styled.div`
+  font-size: 4rem;
+`;
+
+const Title = styled.h1`
+  font-size: 2rem;
+  font-weight: 800;
+  margin: 0;
+  background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+  -webkit-background-clip: text;
+  -webkit-text-fill-color: transparent;
+  background-clip: text;
+`;
+
+const Message = styled.p`
+  color: #6b7280;
+  font-size: 1rem;
+  line-height: 1.5;
+  margin: 0;
+`;
+
+type UnlockState = 'unlocking' | 'unlocked' | 'failed';
+
+const UnlockAccountPage: React.FC = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [state, setState] = useState<UnlockState>('unlocking');
+  const [message, setMessage] = useState('Unlocking your account...');
+
+  useEffect(() => {
+    const unlock = async () => {
+      if (!token) {
+        setState('failed');
+        setMessage('This unlock link is incomplete. Please open the link from your email again.');
+        return;
+      }
+
+      try {
+        await cleanAuthService.unlockAccount(token);
+        setState('unlocked');
+        setMessage('Your account is unlocked. If the failed sign in attempts were not yours, change your password after signing in.');
+      } catch (err: any) {
+        setState('failed');
+        setMessage(err.message || 'Invalid or expired unlock link.');
+      }
+    };
+
+    unlock();
+  }, [token]);
+
+  return (
+    <PageContainer>
+      <AnimatedBackground />
+      <UnlockContainer>
+        <ColorfulCard variant="white">
+          <Content>
+            <IconContainer>{state === 'unlocked' ? '🔓' : state === 'failed' ? '⚠️' : '🔒'}</IconContainer>
+            <Title>
+              {state === 'unlocked' ? 'Account Unlocked' : state === 'failed' ? 'Unlock Failed' : 'Unlocking...'}
+            </Title>
+            <Message>{message}</Message>
+
+            {state === 'unlocked' && (
+              <PrimaryButton fullWidth onClick={() => navigate('/login')} animated>
+                🚀 Go to Login
+              </PrimaryButton>
+            )}
+
+            {state === 'failed' && (
+              <>
+                <PrimaryButton fullWidth onClick={() => navigate('/login')}>
+                  Try Signing In
+                </PrimaryButton>
+                <SecondaryButton fullWidth onClick={() => navigate('/forgot-password')}>
+                  Reset Password
+                </SecondaryButton>
+              </>
+            )}
+          </Content>
+        </ColorfulCard>
+      </UnlockContainer>
+    </PageContainer>
+  );
+};
+
+export default UnlockAccountPage;
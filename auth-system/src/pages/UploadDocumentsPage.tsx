@@ -4,7 +4,9 @@ import styled, { keyframes } from 'styled-components';
 import AnimatedBackground from '../components/ui/AnimatedBackground';
 import ColorfulCard from '../components/ui/ColorfulCard';
 import { PrimaryButton, SecondaryButton } from '../components/ui/Button';
-import { documentService, Document, ProcessingMetrics } from '../services/documentService';
+import EmailVerificationNotice from '../components/EmailVerificationNotice';
+import { documentService, Document, ProcessingMetrics, ChunkingStrategy, ArchiveUploadResponse } from '../services/documentService';
+import { isEmailNotVerifiedError } from '../utils/apiError';
 
 const fadeInUp = keyframes`
   from {
@@ -76,6 +78,31 @@ const ChunkCountBadge = styled.span`
   margin-left: 8px;
 `;
 
+const ChunkingOption = styled.label`
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  gap: 10px;
+  margin-bottom: 15px;
+  color: #ffffff;
+  font-weight: 600;
+  text-shadow: 0 1px 2px rgba(0, 0, 0, 0.5);
+`;
+
+const ChunkingSelect = styled.select`
+  padding: 8px 12px;
+  background: rgba(255, 255, 255, 0.15);
+  border: 1px solid rgba(255, 255, 255, 0.3);
+  border-radius: 8px;
+  color: #ffffff;
+  font-size: 0.9rem;
+  cursor: pointer;
+
+  option {
+    color: #333333;
+  }
+`;
+
 const ToggleButton = styled.button<{ active: boolean }>`
   padding: 12px 24px;
   background: ${props => props.active ? 'linear-gradient(135deg, #ff6b6b 0%, #feca57 100%)' : 'rgba(255, 255, 255, 0.15)'};
@@ -444,8 +471,11 @@ const UploadDocumentsPage: React.FC = () => {
   const [isUploading, setIsUploading] = useState(false);
   const [uploadProgress, setUploadProgress] = useState(0);
   const [statusMessage, setStatusMessage] = useState<{ type: 'success' | 'error' | 'info'; text: string } | null>(null);
+  // Set when uploads are refused until the email address is verified
+  const [emailNotVerified, setEmailNotVerified] = useState(false);
   const [fileQueue, setFileQueue] = useState<QueuedFileItem[]>([]);
   const [isBatchMode, setIsBatchMode] = useState(false);
+  const [chunkingStrategy, setChunkingStrategy] = useState<ChunkingStrategy>('recursive');
   const [documentStats, setDocumentStats] = useState<DocumentStats>({
     totalDocuments: 0,
     totalSize: 0,
@@ -519,7 +549,7 @@ const UploadDocumentsPage: React.FC = () => {
 
     // Validate files
     const validFiles = newQueueItems.filter(item => {
-      const validation = documentService.validateFile(item.file);
+      const validation = documentService.validateFile(item.file, chunkingStrategy);
       if (!validation.isValid) {
         setStatusMessage({ 
           type: 'error', 
@@ -562,8 +592,35 @@ const UploadDocumentsPage: React.FC = () => {
           : item
       ));
 
+      // Archives are expanded server-side as their own jobs; the other files go through the batch upload
+      const archiveItems = pendingFiles.filter(item => documentService.isArchive(item.file));
+      for (const archiveItem of archiveItems) {
+        try {
+          const result = await documentService.uploadArchive(archiveItem.file, chunkingStrategy);
+          setFileQueue(prev => prev.map(item =>
+            item.id === archiveItem.id ? { ...item, status: 'completed', progress: 100 } : item
+          ));
+          setStatusMessage({ type: 'success', text: describeArchiveUpload(archiveItem.file, result) });
+        } catch (error: any) {
+          setFileQueue(prev => prev.map(item =>
+            item.id === archiveItem.id ? { ...item, status: 'error', progress: 0, error: error.message } : item
+          ));
+          if (isEmailNotVerifiedError(error)) {
+            setEmailNotVerified(true);
+            setStatusMessage(null);
+          } else {
+            setStatusMessage({ type: 'error', text: `❌ ${archiveItem.file.name} failed: ${error.message}` });
+          }
+        }
+      }
+
       // Extract files from pending queue items
-      const filesToUpload = pendingFiles.map(item => item.file);
+      const filesToUpload = pendingFiles.filter(item => !documentService.isArchive(item.file)).map(item => item.file);
+      if (filesToUpload.length === 0) {
+        setProcessingStatus('completed');
+        await loadUserDocuments();
+        return;
+      }
       
       // Use streaming batch upload with real-time progress
       await documentService.batchUploadDocumentsWithProgress(filesToUpload, (event) => {
@@ -638,7 +695,7 @@ const UploadDocumentsPage: React.FC = () => {
             });
             break;
         }
-      });
+      }, chunkingStrategy);
 
       // Reload documents and metrics after completion
       await loadUserDocuments();
@@ -652,6 +709,11 @@ const UploadDocumentsPage: React.FC = () => {
       ));
       
       setProcessingStatus('failed');
+      if (isEmailNotVerifiedError(error)) {
+        setEmailNotVerified(true);
+        setStatusMessage(null);
+        return;
+      }
       setStatusMessage({ 
         type: 'error', 
         text: error.message || 'Batch upload failed' 
@@ -661,16 +723,55 @@ const UploadDocumentsPage: React.FC = () => {
     }
   };
 
+  const describeArchiveUpload = (file: File, result: ArchiveUploadResponse) => {
+    const skipped = result.archive.skippedEntries.length;
+    return `📦 ${file.name} expanded into ${result.archive.extractedFiles} documents, processing ${result.totalFiles}` +
+      (skipped > 0 ? ` (${skipped} skipped: ${result.archive.skippedEntries.slice(0, 3).map(entry => entry.entryName).join(', ')}${skipped > 3 ? ', …' : ''})` : '');
+  };
+
+  const handleArchiveUpload = async (file: File) => {
+    setIsUploading(true);
+    setProcessingStatus('processing');
+    setStatusMessage({ type: 'info', text: `Expanding archive ${file.name}...` });
+
+    try {
+      const result = await documentService.uploadArchive(file, chunkingStrategy);
+      setProcessingStatus('completed');
+      setStatusMessage({ type: 'success', text: describeArchiveUpload(file, result) });
+
+      // Documents are added as the queued job works through the archive
+      await loadUserDocuments();
+    } catch (error: any) {
+      setProcessingStatus('failed');
+      if (isEmailNotVerifiedError(error)) {
+        setEmailNotVerified(true);
+        setStatusMessage(null);
+        return;
+      }
+      setStatusMessage({
+        type: 'error',
+        text: error.message || 'Failed to upload archive. Please try again.'
+      });
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
   const handleFileUpload = async (file: File) => {
     if (isUploading) return;
 
     // Validate file
-    const validation = documentService.validateFile(file);
+    const validation = documentService.validateFile(file, chunkingStrategy);
     if (!validation.isValid) {
       setStatusMessage({ type: 'error', text: validation.error! });
       return;
     }
 
+    if (documentService.isArchive(file)) {
+      await handleArchiveUpload(file);
+      return;
+    }
+
     setIsUploading(true);
     setUploadProgress(0);
     setProcessingStatus('processing');
@@ -682,7 +783,7 @@ const UploadDocumentsPage: React.FC = () => {
         setUploadProgress(prev => Math.min(prev + 10, 90));
       }, 200);
 
-      const result = await documentService.uploadDocument(file);
+      const result = await documentService.uploadDocument(file, chunkingStrategy);
       
       clearInterval(progressInterval);
       setUploadProgress(100);
@@ -711,6 +812,11 @@ const UploadDocumentsPage: React.FC = () => {
     } catch (error: any) {
       setUploadProgress(0);
       setProcessingStatus('failed');
+      if (isEmailNotVerifiedError(error)) {
+        setEmailNotVerified(true);
+        setStatusMessage(null);
+        return;
+      }
       setStatusMessage({ 
         type: 'error', 
         text: error.message || 'Failed to upload document. Please try again.' 
@@ -767,7 +873,7 @@ const UploadDocumentsPage: React.FC = () => {
         <Header>
           <PageTitle>📄 Upload Documents</PageTitle>
           <PageSubtitle>
-            Upload your documents (PDF, DOCX, HTML, TXT) to build your searchable knowledge database
+            Upload your documents (PDF, DOCX, HTML, TXT, CSV, XLSX, PPTX, EPUB, ODT, RTF, email) to build your searchable knowledge database
           </PageSubtitle>
           
           {/* Document Statistics */}
@@ -950,6 +1056,19 @@ const UploadDocumentsPage: React.FC = () => {
               }
             </p>
           </div>
+          <ChunkingOption>
+            Chunking:
+            <ChunkingSelect
+              value={chunkingStrategy}
+              onChange={(e) => setChunkingStrategy(e.target.value as ChunkingStrategy)}
+              disabled={isUploading}
+              title="How documents are split into searchable chunks"
+            >
+              <option value="recursive">Fixed size (200 characters)</option>
+              <option value="structured">By headings, lists and tables</option>
+              <option value="code">Source code (functions and classes)</option>
+            </ChunkingSelect>
+          </ChunkingOption>
           <DropZone
             isDragOver={isDragOver}
             isUploading={isUploading}
@@ -972,7 +1091,8 @@ const UploadDocumentsPage: React.FC = () => {
             </UploadText>
             
             <UploadSubtext>
-              Supports PDF, DOCX, HTML, and TXT files (max 10MB each)
+              Supports PDF, DOCX, HTML, TXT, Markdown, reStructuredText, CSV, XLSX, PPTX, EPUB, ODT, RTF, and EML/MBOX email files (max 10MB each) • ZIP archives are expanded into individual documents (max 100MB)
+              {chunkingStrategy === 'code' && ' • Source code files (max 2MB each)'}
               {isBatchMode && ' • Multiple files supported'}
               <br />
               <strong style={{ color: '#ffffff', textShadow: '0 1px 2px rgba(0, 0, 0, 0.5)' }}>
@@ -989,7 +1109,7 @@ const UploadDocumentsPage: React.FC = () => {
             <FileInput
               id="file-input"
               type="file"
-              accept=".pdf,.docx,.html,.txt"
+              accept={documentService.getSupportedFileTypes(chunkingStrategy).join(',')}
               onChange={handleFileSelect}
               disabled={isUploading}
               multiple={isBatchMode}
@@ -1000,6 +1120,10 @@ const UploadDocumentsPage: React.FC = () => {
             <ProgressBar progress={uploadProgress} />
           )}
 
+          {emailNotVerified && (
+            <EmailVerificationNotice onDismiss={() => setEmailNotVerified(false)} />
+          )}
+
           {statusMessage && (
             <StatusMessage type={statusMessage.type}>
               {statusMessage.text}
@@ -0,0 +1,149 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import styled, { keyframes } from 'styled-components';
+import AnimatedBackground from '../components/ui/AnimatedBackground';
+import ColorfulCard from '../components/ui/ColorfulCard';
+import { PrimaryButton, SecondaryButton } from '../components/ui/Button';
+import { cleanAuthService } from '../services/cleanAuthService';
+import { useAuth } from '../contexts/AuthContext';
+
+const fadeInUp = keyframes`
+  from {
+    opacity: 0;
+    transform: translateY(30px);
+  }
+  to {
+    opacity: 1;
+    transform: translateY(0);
+  }
+`;
+
+const PageContainer = styled.div`
+  min-height: 100vh;
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  padding: 20px;
+  position: relative;
+`;
+
+const VerifyContainer = styled.div`
+  width: 100%;
+  max-width: 450px;
+  animation: ${fadeInUp} 1s ease-out;
+  position: relative;
+  z-index: 10;
+`;
+
+const Content = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 16px;
+  text-align: center;
+`;
+
+const IconContainer = styled.div`
+  font-size: 4rem;
+`;
+
+const Title = styled.h1`
+  font-size: 2rem;
+  font-weight: 800;
+  margin: 0;
+  background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+  -webkit-background-clip: text;
+  -webkit-text-fill-color: transparent;
+  background-clip: text;
+`;
+
+const Message = styled.p`
+  color: #6b7280;
+  font-size: 1rem;
+  line-height: 1.5;
+  margin: 0;
+`;
+
+type VerifyState = 'verifying' | 'verified' | 'failed';
+
+const VerifyEmailPage: React.FC = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const { user, updateUser } = useAuth();
+  const token = searchParams.get('token');
+  const [state, setState] = useState<VerifyState>('verifying');
+  const [message, setMessage] = useState('Verifying your email address...');
+  const [resending, setResending] = useState(false);
+
+  useEffect(() => {
+    const verify = async () => {
+      if (!token) {
+        setState('failed');
+        setMessage('This verification link is incomplete. Please open the link from your email again.');
+        return;
+      }
+
+      try {
+        await cleanAuthService.verifyEmail(token);
+        setState('verified');
+        setMessage('Your email address is verified. You can now upload documents and chat with them.');
+        if (user && updateUser) {
+          updateUser({ ...user, emailVerified: true });
+        }
+      } catch (err: any) {
+        setState('failed');
+        setMessage(err.message || 'Invalid or expired verification link.');
+      }
+    };
+
+    verify();
+  }, [token]);
+
+  const handleResend = async () => {
+    setResending(true);
+    try {
+      setMessage(await cleanAuthService.resendVerificationEmail());
+    } catch (err: any) {
+      setMessage(err.message || 'Failed to send verification email');
+    } finally {
+      setResending(false);
+    }
+  };
+
+  return (
+    <PageContainer>
+      <AnimatedBackground />
+      <VerifyContainer>
+        <ColorfulCard variant="white">
+          <Content>
+            <IconContainer>{state === 'verified' ? '✅' : state === 'failed' ? '⚠️' : '📬'}</IconContainer>
+            <Title>
+              {state === 'verified' ? 'Email Verified' : state === 'failed' ? 'Verification Failed' : 'Verifying...'}
+            </Title>
+            <Message>{message}</Message>
+
+            {state === 'verified' && (
+              <PrimaryButton fullWidth onClick={() => navigate(user ? '/dashboard' : '/login')} animated>
+                {user ? '🚀 Go to Dashboard' : '🚀 Go to Login'}
+              </PrimaryButton>
+            )}
+
+            {state === 'failed' && (
+              <>
+                {user && (
+                  <PrimaryButton fullWidth onClick={handleResend} loading={resending} disabled={resending}>
+                    Send a New Link
+                  </PrimaryButton>
+                )}
+                <SecondaryButton fullWidth onClick={() => navigate(user ? '/dashboard' : '/login')}>
+                  {user ? 'Back to Dashboard' : 'Go to Login'}
+                </SecondaryButton>
+              </>
+            )}
+          </Content>
+        </ColorfulCard>
+      </VerifyContainer>
+    </PageContainer>
+  );
+};
+
+export default VerifyEmailPage;
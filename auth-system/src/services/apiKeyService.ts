@@ -0,0 +1,89 @@
+const API_BASE = 'http://localhost:3001/api';
+
+export type ApiKeyScope = 'search' | 'upload' | 'chat';
+
+export interface ApiKey {
+  id: number;
+  name: string;
+  keyPrefix: string;
+  scopes: ApiKeyScope[];
+  rateLimitPerMinute: number;
+  expiresAt: string | null;
+  lastUsedAt: string | null;
+  revokedAt: string | null;
+  createdAt: string;
+  status: 'active' | 'expired' | 'revoked';
+}
+
+export interface ApiKeyRequest {
+  name: string;
+  scopes: ApiKeyScope[];
+  expiresInDays?: number;
+  rateLimitPerMinute?: number;
+}
+
+class ApiKeyService {
+  private getAuthToken(): string | null {
+    const session = localStorage.getItem('authSession');
+    if (session) {
+      const parsedSession = JSON.parse(session);
+      return parsedSession.accessToken;
+    }
+    return null;
+  }
+
+  private getAuthHeaders(): HeadersInit {
+    const token = this.getAuthToken();
+    return {
+      'Content-Type': 'application/json',
+      'Authorization': token ? `Bearer ${token}` : '',
+    };
+  }
+
+  async listKeys(): Promise<{ apiKeys: ApiKey[]; scopes: ApiKeyScope[] }> {
+    const response = await fetch(`${API_BASE}/api-keys`, {
+      headers: this.getAuthHeaders(),
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to get API keys');
+    }
+
+    return data.data;
+  }
+
+  // The returned key is only available here; the server keeps a hash
+  async createKey(request: ApiKeyRequest): Promise<{ apiKey: ApiKey; key: string }> {
+    const response = await fetch(`${API_BASE}/api-keys`, {
+      method: 'POST',
+      headers: this.getAuthHeaders(),
+      body: JSON.stringify(request),
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      const details = Array.isArray(data.details) ? data.details.map((detail: { message: string }) => detail.message).join('. ') : '';
+      throw new Error(details || data.error || 'Failed to create API key');
+    }
+
+    return data.data;
+  }
+
+  async revokeKey(id: number): Promise<void> {
+    const response = await fetch(`${API_BASE}/api-keys/${id}`, {
+      method: 'DELETE',
+      headers: this.getAuthHeaders(),
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to revoke API key');
+    }
+  }
+}
+
+export const apiKeyService = new ApiKeyService();
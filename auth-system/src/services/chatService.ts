@@ -1,11 +1,77 @@
+import { ApiError } from '../utils/apiError';
+
 const API_BASE = 'http://localhost:3001/api';
 
+export type ChatStrategy = 'auto' | 'simple' | 'analytical' | 'comparison' | 'differentiation';
+
+export type AnswerProfileName = 'legal' | 'technical' | 'concise' | 'study-notes' | 'executive-summary';
+
+// Named answer layout: system prompt, section headings, disclaimer and validation rules
+export interface AnswerProfile {
+  name: AnswerProfileName;
+  label: string;
+  description: string;
+  sections: string[];
+}
+
+// Documents a chat searches: listed IDs or tagged documents, within an inclusive upload date range
+export interface ChatScope {
+  documentIds?: number[];
+  tags?: string[];
+  uploadedAfter?: string;
+  uploadedBefore?: string;
+}
+
+export interface StrategyInfo {
+  name: Exclude<ChatStrategy, 'auto'>;
+  params: {
+    requested: ChatStrategy;
+    queryType: string;
+    confidence: number;
+    entities?: string[];
+    limit: number;
+    chunksPerDoc: number;
+    minRelevanceScore: number;
+    retrievalMode?: string;
+  };
+}
+
+// Standalone search query used for a follow-up question
+export interface QueryRewrite {
+  original: string;
+  rewritten: string;
+  method: 'none' | 'llm' | 'heuristic';
+}
+
+export interface GroundingClaim {
+  text: string;
+  supported: boolean;
+  method: 'quote' | 'embedding' | 'lexical';
+  score: number;
+  source: { fileName: string; chunkIndex: number } | null;
+}
+
+// Post-generation check of each answer claim against the cited document chunks
+export interface GroundingResult {
+  checked: number;
+  supported: number;
+  unsupported: number;
+  groundedRatio: number;
+  method: 'embedding' | 'lexical';
+  claims: GroundingClaim[];
+}
+
 export interface ChatMessage {
   id: number;
   chatId: number;
   role: 'user' | 'assistant';
   content: string;
   sources: DocumentSource[] | string;
+  status?: 'complete' | 'interrupted';
+  strategy?: StrategyInfo['name'] | null;
+  strategyParams?: StrategyInfo['params'] | null;
+  queryRewrite?: QueryRewrite | null;
+  grounding?: GroundingResult | null;
   createdAt: string;
 }
 
@@ -19,6 +85,9 @@ export interface Chat {
   id: number;
   userId: number;
   title: string;
+  strategy: ChatStrategy;
+  scope: ChatScope | null;
+  answerProfile: AnswerProfileName | null; // null uses the user's default profile
   createdAt: string;
   updatedAt: string;
 }
@@ -31,8 +100,48 @@ export interface SendMessageResponse {
     sources: DocumentSource[];
     hasContext: boolean;
     totalSources: number;
+    strategy: StrategyInfo | null;
+    answerProfile: AnswerProfileName | null;
+    grounding: GroundingResult | null;
   };
   error?: string;
+  code?: string;
+}
+
+export interface StreamSourcesEvent {
+  userMessage: ChatMessage;
+  sources: DocumentSource[];
+  totalSources: number;
+  hasContext: boolean;
+  retrievalMode?: string;
+  reranked?: boolean;
+  strategy?: StrategyInfo;
+  queryRewrite?: QueryRewrite;
+}
+
+export interface StreamDoneEvent {
+  assistantMessage: ChatMessage;
+  citations: unknown;
+  sources: DocumentSource[];
+  hasContext: boolean;
+  totalSources: number;
+  strategy: StrategyInfo | null;
+  answerProfile: AnswerProfileName | null;
+  interrupted: boolean;
+}
+
+// Sent after `done` once the finished answer's claims have been checked
+export interface StreamGroundingEvent {
+  messageId: number;
+  grounding: GroundingResult | null;
+}
+
+export interface StreamMessageHandlers {
+  onSources?: (data: StreamSourcesEvent) => void;
+  onToken?: (delta: string) => void;
+  onDone?: (data: StreamDoneEvent) => void;
+  onGrounding?: (data: StreamGroundingEvent) => void;
+  onError?: (error: string) => void;
 }
 
 export interface ChatResponse {
@@ -72,18 +181,23 @@ class ChatService {
     };
   }
 
-  async createChat(title: string = 'New Chat'): Promise<Chat> {
+  async createChat(
+    title: string = 'New Chat',
+    strategy?: ChatStrategy,
+    scope?: ChatScope | null,
+    answerProfile?: AnswerProfileName | null
+  ): Promise<Chat> {
     try {
       const response = await fetch(`${API_BASE}/chat`, {
         method: 'POST',
         headers: this.getAuthHeaders(),
-        body: JSON.stringify({ title })
+        body: JSON.stringify({ title, strategy, scope, answerProfile })
       });
 
       const result = await response.json();
 
       if (!response.ok) {
-        throw new Error(result.error || 'Failed to create chat');
+        throw new ApiError(result.error || 'Failed to create chat', response.status, result.code);
       }
 
       return result.data.chat;
@@ -133,18 +247,18 @@ class ChatService {
     }
   }
 
-  async sendMessage(chatId: number, message: string): Promise<SendMessageResponse['data']> {
+  async sendMessage(chatId: number, message: string, strategy?: ChatStrategy): Promise<SendMessageResponse['data']> {
     try {
       const response = await fetch(`${API_BASE}/chat/${chatId}/messages`, {
         method: 'POST',
         headers: this.getAuthHeaders(),
-        body: JSON.stringify({ message })
+        body: JSON.stringify({ message, strategy })
       });
 
       const result: SendMessageResponse = await response.json();
 
       if (!response.ok) {
-        throw new Error(result.error || 'Failed to send message');
+        throw new ApiError(result.error || 'Failed to send message', response.status, result.code);
       }
 
       return result.data;
@@ -154,6 +268,186 @@ class ChatService {
     }
   }
 
+  async streamMessage(
+    chatId: number,
+    message: string,
+    handlers: StreamMessageHandlers,
+    signal?: AbortSignal,
+    strategy?: ChatStrategy
+  ): Promise<void> {
+    const response = await fetch(`${API_BASE}/chat/${chatId}/messages/stream`, {
+      method: 'POST',
+      headers: this.getAuthHeaders(),
+      body: JSON.stringify({ message, strategy }),
+      signal
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new ApiError(errorData.error || 'Failed to send message', response.status, errorData.code);
+    }
+
+    const reader = response.body?.getReader();
+    const decoder = new TextDecoder();
+
+    if (!reader) {
+      throw new Error('Failed to get response stream');
+    }
+
+    let currentEventType = '';
+    let buffer = '';
+
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+
+        // Keep the last incomplete line in the buffer
+        buffer = lines.pop() || '';
+
+        for (const line of lines) {
+          if (line.startsWith('event:')) {
+            currentEventType = line.substring(6).trim();
+          } else if (line.startsWith('data:')) {
+            try {
+              const eventData = JSON.parse(line.substring(5).trim());
+              switch (currentEventType) {
+                case 'sources':
+                  handlers.onSources?.(eventData);
+                  break;
+                case 'token':
+                  handlers.onToken?.(eventData.delta);
+                  break;
+                case 'done':
+                  handlers.onDone?.(eventData);
+                  break;
+                case 'grounding':
+                  handlers.onGrounding?.(eventData);
+                  break;
+                case 'error':
+                  handlers.onError?.(eventData.error);
+                  break;
+              }
+            } catch (e) {
+              // Skip invalid JSON
+              console.warn('Failed to parse SSE data:', line);
+            }
+          } else if (line.trim() === '' && currentEventType) {
+            // Empty line indicates end of event
+            currentEventType = '';
+          }
+        }
+      }
+    } finally {
+      reader.releaseLock();
+    }
+  }
+
+  async cancelStream(chatId: number): Promise<void> {
+    try {
+      const response = await fetch(`${API_BASE}/chat/${chatId}/messages/cancel`, {
+        method: 'POST',
+        headers: this.getAuthHeaders()
+      });
+
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.error || 'Failed to cancel response');
+      }
+    } catch (error) {
+      console.error('Cancel stream error:', error);
+      throw error;
+    }
+  }
+
+  async updateChatStrategy(chatId: number, strategy: ChatStrategy): Promise<Chat> {
+    try {
+      const response = await fetch(`${API_BASE}/chat/${chatId}/strategy`, {
+        method: 'PUT',
+        headers: this.getAuthHeaders(),
+        body: JSON.stringify({ strategy })
+      });
+
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.error || 'Failed to update chat strategy');
+      }
+
+      return result.data.chat;
+    } catch (error) {
+      console.error('Update chat strategy error:', error);
+      throw error;
+    }
+  }
+
+  async updateChatScope(chatId: number, scope: ChatScope | null): Promise<Chat> {
+    try {
+      const response = await fetch(`${API_BASE}/chat/${chatId}/scope`, {
+        method: 'PUT',
+        headers: this.getAuthHeaders(),
+        body: JSON.stringify({ scope })
+      });
+
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.error || 'Failed to update chat scope');
+      }
+
+      return result.data.chat;
+    } catch (error) {
+      console.error('Update chat scope error:', error);
+      throw error;
+    }
+  }
+
+  async getAnswerProfiles(): Promise<{ profiles: AnswerProfile[]; defaultProfile: AnswerProfileName }> {
+    try {
+      const response = await fetch(`${API_BASE}/chat/answer-profiles`, {
+        method: 'GET',
+        headers: this.getAuthHeaders()
+      });
+
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.error || 'Failed to fetch answer profiles');
+      }
+
+      return result.data;
+    } catch (error) {
+      console.error('Get answer profiles error:', error);
+      throw error;
+    }
+  }
+
+  async updateChatAnswerProfile(chatId: number, answerProfile: AnswerProfileName | null): Promise<Chat> {
+    try {
+      const response = await fetch(`${API_BASE}/chat/${chatId}/answer-profile`, {
+        method: 'PUT',
+        headers: this.getAuthHeaders(),
+        body: JSON.stringify({ answerProfile })
+      });
+
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.error || 'Failed to update chat answer profile');
+      }
+
+      return result.data.chat;
+    } catch (error) {
+      console.error('Update chat answer profile error:', error);
+      throw error;
+    }
+  }
+
   async deleteChat(chatId: number): Promise<void> {
     try {
       const response = await fetch(`${API_BASE}/chat/${chatId}`, {
@@ -1,9 +1,9 @@
-import { LoginCredentials, SignupData, AuthSession, User } from '../types/auth';
+import { LoginCredentials, SignupData, AuthSession, User, TwoFactorChallenge, TwoFactorCode } from '../types/auth';
 
 const API_BASE = 'http://localhost:3001/api';
 
 class CleanAuthService {
-  async login(credentials: LoginCredentials): Promise<AuthSession> {
+  async login(credentials: LoginCredentials): Promise<AuthSession | TwoFactorChallenge> {
     const response = await fetch(`${API_BASE}/auth/login`, {
       method: 'POST',
       headers: {
@@ -18,8 +18,35 @@ class CleanAuthService {
       throw new Error(data.error || 'Login failed');
     }
 
-    const { user: userData, tokens } = data.data;
-    
+    if (data.data.twoFactorRequired) {
+      return {
+        challengeToken: data.data.challengeToken,
+        expiresAt: new Date(data.data.expiresAt),
+      };
+    }
+
+    return this.toSession(data.data);
+  }
+
+  async completeTwoFactorLogin(challenge: TwoFactorChallenge, factor: TwoFactorCode): Promise<AuthSession> {
+    const response = await fetch(`${API_BASE}/auth/login/2fa`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ challengeToken: challenge.challengeToken, ...factor }),
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Login failed');
+    }
+
+    return this.toSession(data.data);
+  }
+
+  private toSession({ user: userData, tokens }: { user: any; tokens: any }): AuthSession {    
     const user: User = {
       id: userData.id,
       databaseId: userData.databaseId,
@@ -31,6 +58,7 @@ class CleanAuthService {
       pineconeId: userData.pineconeId,
       authProvider: userData.authProvider,
       emailVerified: userData.emailVerified,
+      twoFactorEnabled: userData.twoFactorEnabled,
       createdAt: new Date(),
       updatedAt: new Date(),
     };
@@ -75,6 +103,52 @@ class CleanAuthService {
     }
   }
 
+  async verifyEmail(token: string): Promise<{ email: string; firstName: string }> {
+    const response = await fetch(`${API_BASE}/auth/verify-email/${token}`);
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Invalid verification link');
+    }
+
+    return data.data;
+  }
+
+  // Ends a sign-in lockout with the token from the account locked email
+  async unlockAccount(token: string): Promise<string> {
+    const response = await fetch(`${API_BASE}/auth/unlock-account/${token}`);
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Invalid unlock link');
+    }
+
+    return data.message;
+  }
+
+  // Sends for the signed-in user when there is a session, otherwise for the account with this email
+  async resendVerificationEmail(email?: string): Promise<string> {
+    const savedSession = localStorage.getItem('authSession');
+    const accessToken = savedSession ? JSON.parse(savedSession).accessToken : null;
+
+    const response = await fetch(`${API_BASE}/auth/verify-email/resend`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(accessToken ? { 'Authorization': `Bearer ${accessToken}` } : {}),
+      },
+      body: JSON.stringify({ email }),
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to send verification email');
+    }
+
+    return data.message || 'Verification email sent';
+  }
+
   async uploadProfilePicture(file: File): Promise<string> {
     const formData = new FormData();
     formData.append('profilePicture', file);
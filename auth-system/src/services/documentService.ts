@@ -1,7 +1,28 @@
 import { User } from '../types/auth';
+import { ApiError } from '../utils/apiError';
 
 const API_BASE = 'http://localhost:3001/api';
 
+// 'recursive' splits text into fixed-size overlapping chunks; 'structured' keeps chunks
+// within the document's sections and records their heading path; 'code' accepts source
+// files as plain text and chunks them on function and class boundaries
+export type ChunkingStrategy = 'recursive' | 'structured' | 'code';
+
+// Text formats typed by extension, since browsers send no or a generic MIME type for them
+const MARKUP_FILE_TYPES = ['.md', '.markdown', '.rst'];
+const EMAIL_FILE_TYPES = ['.eml', '.mbox'];
+const BOOK_FILE_TYPES = ['.epub', '.odt', '.rtf'];
+
+// ZIP archives are expanded on the server into one document per supported file
+const ARCHIVE_FILE_TYPES = ['.zip'];
+const MAX_ARCHIVE_SIZE = 100 * 1024 * 1024; // 100MB
+
+// Source files accepted when uploading with the 'code' strategy
+const CODE_FILE_TYPES = [
+  '.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.py', '.java', '.kt', '.cs', '.swift', '.go',
+  '.rb', '.php', '.rs', '.c', '.h', '.cpp', '.hpp', '.sh', '.sql'
+];
+
 export interface Document {
   id: string;
   userId: string;
@@ -16,12 +37,25 @@ export interface Document {
   uploadStatus: 'processing' | 'completed' | 'failed';
   createdAt: string;
   updatedAt: string;
+  tags?: string[];
+  // Set on attachments ingested from an email, to the email's document id
+  parentDocumentId?: string | null;
+  // Folder the document was in, for documents uploaded in a ZIP archive
+  folderPath?: string | null;
+  // Re-uploads are new versions of a document; versionGroupId is the id of its first version
+  version?: number;
+  versionGroupId?: string;
+  isLatestVersion?: boolean;
+  supersededAt?: string | null;
   // Enhanced tracking fields
   chunkCount: number;
   processingTime: number;
   embeddingModel: string;
   chunkSize: number;
   chunkOverlap: number;
+  // Spreadsheets are always chunked by 'rows', presentations by 'slides', email by 'messages',
+  // e-books by 'chapters' and Markdown, ODT and RTF by 'structured'
+  chunkingStrategy?: ChunkingStrategy | 'rows' | 'slides' | 'messages' | 'chapters';
   processingMetrics?: ProcessingMetrics;
 }
 
@@ -42,6 +76,8 @@ export interface UploadResponse {
   textPreview: string;
   wordCount: number;
   processingMetrics?: ProcessingMetrics;
+  // Attachments of an uploaded email, ingested as documents of their own
+  attachments?: Array<{ fileName: string; success: boolean; document?: Document; error?: string }>;
 }
 
 export interface SearchResult {
@@ -58,10 +94,43 @@ export interface SearchResult {
     textPreview: string;
     fullText: string;
     wordCount: number;
+    // Exact pages, for chunks of paged documents (PDF)
+    pageNumber?: number;
+    pageEnd?: number;
+    // Heading path, e.g. "Chapter 3 > 3.2 Penalties", for structured chunks
+    section?: string;
+    // Sheet (XLSX only) and rows, for chunks of spreadsheets
+    sheetName?: string;
+    rowStart?: number;
+    rowEnd?: number;
+    // Slide, for chunks of presentations
+    slideNumber?: number;
+    // Lines, for chunks of Markdown, reStructuredText and code documents
+    lineStart?: number;
+    lineEnd?: number;
+    // Sender, date and subject, for chunks of email messages and their attachments
+    sender?: string;
+    sentAt?: string;
+    subject?: string;
+    // Chapter, for chunks of e-books; untitled chapters only have their number
+    chapterNumber?: number;
+    chapter?: string;
   }>;
   document?: Document;
 }
 
+export interface ArchiveUploadResponse {
+  jobId: string;
+  totalFiles: number;
+  trackingUrl: string;
+  archive: {
+    fileName: string;
+    extractedFiles: number;
+    // Entries that were not extracted or failed validation
+    skippedEntries: Array<{ entryName: string; reason: string }>;
+  };
+}
+
 export interface BatchUploadProgressEvent {
   type: 'batch-started' | 'file-started' | 'file-extracted' | 'file-completed' | 'file-failed' | 'batch-completed' | 'end';
   data: any;
@@ -175,9 +244,17 @@ class DocumentService {
     };
   }
 
-  async uploadDocument(file: File): Promise<UploadResponse> {
+  // A file with the name of an existing document is uploaded as its next version;
+  // previousVersionId makes the file a new version of that document whatever its name
+  async uploadDocument(file: File, chunkingStrategy?: ChunkingStrategy, previousVersionId?: string): Promise<UploadResponse> {
     const formData = new FormData();
     formData.append('document', file);
+    if (chunkingStrategy) {
+      formData.append('chunkingStrategy', chunkingStrategy);
+    }
+    if (previousVersionId) {
+      formData.append('previousVersionId', previousVersionId);
+    }
 
     const response = await fetch(`${API_BASE}/documents/upload`, {
       method: 'POST',
@@ -190,17 +267,20 @@ class DocumentService {
     const data = await response.json();
 
     if (!response.ok) {
-      throw new Error(data.error || 'Document upload failed');
+      throw new ApiError(data.error || 'Document upload failed', response.status, data.code);
     }
 
     return data.data;
   }
 
-  async batchUploadDocuments(files: File[]): Promise<BatchUploadResponse> {
+  async batchUploadDocuments(files: File[], chunkingStrategy?: ChunkingStrategy): Promise<BatchUploadResponse> {
     const formData = new FormData();
     files.forEach(file => {
       formData.append('documents', file);
     });
+    if (chunkingStrategy) {
+      formData.append('chunkingStrategy', chunkingStrategy);
+    }
 
     const response = await fetch(`${API_BASE}/documents/batch-upload`, {
       method: 'POST',
@@ -213,7 +293,31 @@ class DocumentService {
     const data = await response.json();
 
     if (!response.ok) {
-      throw new Error(data.error || 'Batch upload failed');
+      throw new ApiError(data.error || 'Batch upload failed', response.status, data.code);
+    }
+
+    return data.data;
+  }
+
+  async uploadArchive(file: File, chunkingStrategy?: ChunkingStrategy): Promise<ArchiveUploadResponse> {
+    const formData = new FormData();
+    formData.append('archive', file);
+    if (chunkingStrategy) {
+      formData.append('chunkingStrategy', chunkingStrategy);
+    }
+
+    const response = await fetch(`${API_BASE}/documents/upload-archive`, {
+      method: 'POST',
+      headers: {
+        ...this.getAuthHeaders(),
+      },
+      body: formData,
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new ApiError(data.error || 'Archive upload failed', response.status, data.code);
     }
 
     return data.data;
@@ -221,12 +325,16 @@ class DocumentService {
 
   async batchUploadDocumentsWithProgress(
     files: File[], 
-    onProgress: (event: BatchUploadProgressEvent) => void
+    onProgress: (event: BatchUploadProgressEvent) => void,
+    chunkingStrategy?: ChunkingStrategy
   ): Promise<void> {
     const formData = new FormData();
     files.forEach(file => {
       formData.append('documents', file);
     });
+    if (chunkingStrategy) {
+      formData.append('chunkingStrategy', chunkingStrategy);
+    }
 
     const response = await fetch(`${API_BASE}/documents/batch-upload-stream`, {
       method: 'POST',
@@ -238,7 +346,7 @@ class DocumentService {
 
     if (!response.ok) {
       const errorData = await response.json();
-      throw new Error(errorData.error || 'Batch upload failed');
+      throw new ApiError(errorData.error || 'Batch upload failed', response.status, errorData.code);
     }
 
     const reader = response.body?.getReader();
@@ -370,6 +478,43 @@ class DocumentService {
     }
   }
 
+  async getDocumentVersions(documentId: string): Promise<Document[]> {
+    const response = await fetch(`${API_BASE}/documents/${documentId}/versions`, {
+      method: 'GET',
+      headers: {
+        'Content-Type': 'application/json',
+        ...this.getAuthHeaders(),
+      },
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to fetch document versions');
+    }
+
+    return data.data.versions;
+  }
+
+  async updateDocumentTags(documentId: string, tags: string[]): Promise<Document> {
+    const response = await fetch(`${API_BASE}/documents/${documentId}/tags`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        ...this.getAuthHeaders(),
+      },
+      body: JSON.stringify({ tags }),
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to update document tags');
+    }
+
+    return data.data.document;
+  }
+
   async getProcessingMetrics(days: number = 30): Promise<EnhancedProcessingMetrics> {
     const response = await fetch(`${API_BASE}/documents/processing-metrics?days=${days}`, {
       method: 'GET',
@@ -406,16 +551,35 @@ class DocumentService {
     });
   }
 
-  getSupportedFileTypes(): string[] {
-    return ['.pdf', '.docx', '.html', '.txt'];
+  getSupportedFileTypes(chunkingStrategy?: ChunkingStrategy): string[] {
+    const fileTypes = ['.pdf', '.docx', '.html', '.txt', ...MARKUP_FILE_TYPES, '.csv', '.xlsx', '.pptx', ...EMAIL_FILE_TYPES, ...BOOK_FILE_TYPES, ...ARCHIVE_FILE_TYPES];
+    return chunkingStrategy === 'code' ? [...fileTypes, ...CODE_FILE_TYPES] : fileTypes;
+  }
+
+  isArchive(file: File): boolean {
+    const extension = file.name.includes('.') ? file.name.slice(file.name.lastIndexOf('.')).toLowerCase() : '';
+    return ARCHIVE_FILE_TYPES.includes(extension);
   }
 
-  isValidFileType(file: File): boolean {
+  isValidFileType(file: File, chunkingStrategy?: ChunkingStrategy): boolean {
+    const extension = file.name.includes('.') ? file.name.slice(file.name.lastIndexOf('.')).toLowerCase() : '';
+    if (MARKUP_FILE_TYPES.includes(extension) || EMAIL_FILE_TYPES.includes(extension) || BOOK_FILE_TYPES.includes(extension) || ARCHIVE_FILE_TYPES.includes(extension) || (chunkingStrategy === 'code' && CODE_FILE_TYPES.includes(extension))) {
+      return true;
+    }
+
     const supportedTypes = [
       'application/pdf',
       'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
       'text/html',
-      'text/plain'
+      'text/plain',
+      'text/csv',
+      'application/vnd.ms-excel', // CSV files on Windows
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+      'application/epub+zip',
+      'application/vnd.oasis.opendocument.text',
+      'application/rtf',
+      'text/rtf'
     ];
     return supportedTypes.includes(file.type);
   }
@@ -424,14 +588,22 @@ class DocumentService {
     return 10 * 1024 * 1024; // 10MB
   }
 
-  validateFile(file: File): { isValid: boolean; error?: string } {
-    if (!this.isValidFileType(file)) {
+  validateFile(file: File, chunkingStrategy?: ChunkingStrategy): { isValid: boolean; error?: string } {
+    if (!this.isValidFileType(file, chunkingStrategy)) {
       return {
         isValid: false,
-        error: 'Invalid file type. Please upload PDF, DOCX, HTML, or TXT files.'
+        error: chunkingStrategy === 'code'
+          ? 'Invalid file type. Please upload PDF, DOCX, HTML, TXT, Markdown, reStructuredText, CSV, XLSX, PPTX, EPUB, ODT, RTF, email, ZIP or source code files.'
+          : 'Invalid file type. Please upload PDF, DOCX, HTML, TXT, Markdown, reStructuredText, CSV, XLSX, PPTX, EPUB, ODT, RTF, email, or ZIP files. Select source code chunking to upload source files.'
       };
     }
 
+    if (this.isArchive(file)) {
+      return file.size > MAX_ARCHIVE_SIZE
+        ? { isValid: false, error: 'Archive too large. Maximum size is 100MB.' }
+        : { isValid: true };
+    }
+
     if (file.size > this.getMaxFileSize()) {
       return {
         isValid: false,
@@ -456,7 +628,7 @@ class DocumentService {
     const data = await response.json();
 
     if (!response.ok) {
-      throw new Error(data.error || 'Failed to create upload queue');
+      throw new ApiError(data.error || 'Failed to create upload queue', response.status, data.code);
     }
 
     return data.data;
@@ -1,3 +1,5 @@
+import { AnswerProfileName } from './chatService';
+
 const API_BASE = 'http://localhost:3001/api';
 
 export interface ProfileUpdateRequest {
@@ -7,6 +9,7 @@ export interface ProfileUpdateRequest {
   displayName?: string;
   bio?: string;
   timezone?: string;
+  answerProfile?: AnswerProfileName; // default answer format for chats
 }
 
 export interface ProfilePictureUploadResponse {
@@ -0,0 +1,76 @@
+const API_BASE = 'http://localhost:3001/api';
+
+export interface ActiveSession {
+  id: number;
+  device: string;
+  userAgent: string | null;
+  ipAddress: string | null;
+  createdAt: string;
+  lastRefreshedAt: string | null;
+  expiresAt: string;
+  current: boolean;
+}
+
+class SessionService {
+  private getAuthToken(): string | null {
+    const session = localStorage.getItem('authSession');
+    if (session) {
+      const parsedSession = JSON.parse(session);
+      return parsedSession.accessToken;
+    }
+    return null;
+  }
+
+  private getAuthHeaders(): HeadersInit {
+    const token = this.getAuthToken();
+    return {
+      'Content-Type': 'application/json',
+      'Authorization': token ? `Bearer ${token}` : '',
+    };
+  }
+
+  async listSessions(): Promise<ActiveSession[]> {
+    const response = await fetch(`${API_BASE}/auth/sessions`, {
+      headers: this.getAuthHeaders(),
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to get sessions');
+    }
+
+    return data.data.sessions;
+  }
+
+  async revokeSession(id: number): Promise<void> {
+    const response = await fetch(`${API_BASE}/auth/sessions/${id}`, {
+      method: 'DELETE',
+      headers: this.getAuthHeaders(),
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to sign out session');
+    }
+  }
+
+  // Signs out every device except this one
+  async revokeOtherSessions(): Promise<number> {
+    const response = await fetch(`${API_BASE}/auth/sessions`, {
+      method: 'DELETE',
+      headers: this.getAuthHeaders(),
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || 'Failed to sign out other sessions');
+    }
+
+    return data.data.revokedCount;
+  }
+}
+
+export const sessionService = new SessionService();
@@ -0,0 +1,63 @@
+import { TwoFactorCode, TwoFactorSetup, TwoFactorStatus } from '../types/auth';
+
+const API_BASE = 'http://localhost:3001/api';
+
+class TwoFactorService {
+  private getAuthToken(): string | null {
+    const session = localStorage.getItem('authSession');
+    if (session) {
+      const parsedSession = JSON.parse(session);
+      return parsedSession.accessToken;
+    }
+    return null;
+  }
+
+  private getAuthHeaders(): HeadersInit {
+    const token = this.getAuthToken();
+    return {
+      'Content-Type': 'application/json',
+      'Authorization': token ? `Bearer ${token}` : '',
+    };
+  }
+
+  private async request<T>(path: string, body?: Record<string, unknown>, fallbackError = 'Request failed'): Promise<T> {
+    const response = await fetch(`${API_BASE}/auth/2fa${path}`, {
+      method: body ? 'POST' : 'GET',
+      headers: this.getAuthHeaders(),
+      body: body ? JSON.stringify(body) : undefined,
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error || fallbackError);
+    }
+
+    return data.data;
+  }
+
+  async getStatus(): Promise<TwoFactorStatus> {
+    return this.request('', undefined, 'Failed to get two-factor authentication status');
+  }
+
+  // Starts enrollment; the secret is only used once the first code is confirmed
+  async setup(): Promise<TwoFactorSetup> {
+    return this.request('/setup', {}, 'Failed to start two-factor authentication setup');
+  }
+
+  async confirm(code: string): Promise<string[]> {
+    const data = await this.request<{ recoveryCodes: string[] }>('/confirm', { code }, 'Failed to turn on two-factor authentication');
+    return data.recoveryCodes;
+  }
+
+  async regenerateRecoveryCodes(code: string): Promise<string[]> {
+    const data = await this.request<{ recoveryCodes: string[] }>('/recovery-codes', { code }, 'Failed to create new recovery codes');
+    return data.recoveryCodes;
+  }
+
+  async disable(password: string, factor: TwoFactorCode): Promise<void> {
+    await this.request('/disable', { password, ...factor }, 'Failed to turn off two-factor authentication');
+  }
+}
+
+export const twoFactorService = new TwoFactorService();
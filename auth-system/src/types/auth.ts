@@ -9,6 +9,7 @@ export interface User {
   pineconeId: string; // Explicit Pinecone ID field
   authProvider: 'email';
   emailVerified: boolean;
+  twoFactorEnabled?: boolean;
   createdAt: Date;
   updatedAt: Date;
 }
@@ -20,6 +21,28 @@ export interface AuthSession {
   expiresAt: Date;
 }
 
+// Returned by login instead of a session when the account has two-factor authentication on
+export interface TwoFactorChallenge {
+  challengeToken: string;
+  expiresAt: Date;
+}
+
+export interface TwoFactorCode {
+  code?: string;
+  recoveryCode?: string;
+}
+
+export interface TwoFactorStatus {
+  enabled: boolean;
+  pendingEnrollment: boolean;
+  recoveryCodesRemaining: number;
+}
+
+export interface TwoFactorSetup {
+  secret: string;
+  otpauthUri: string;
+}
+
 export interface LoginCredentials {
   email: string;
   password: string;
@@ -53,7 +76,8 @@ export interface FileUploadState {
 export interface AuthContextType {
   user: User | null;
   session: AuthSession | null;
-  login: (credentials: LoginCredentials) => Promise<void>;
+  login: (credentials: LoginCredentials) => Promise<TwoFactorChallenge | null>;
+  completeTwoFactorLogin: (challenge: TwoFactorChallenge, factor: TwoFactorCode) => Promise<void>;
   signup: (userData: SignupData) => Promise<void>;
   logout: () => void;
   refreshUserProfile: () => Promise<void>;
@@ -121,6 +121,53 @@ export const ERROR_MESSAGES = {
     ]
   },
 
+  INVALID_TWO_FACTOR_CODE: {
+    title: "Invalid Code",
+    message: "Invalid authentication code - please enter the current code from your authenticator app, or one of your recovery codes",
+    type: "error" as const,
+    dismissible: true,
+    actions: [
+      { label: "Try Again", action: "focus:code", variant: "primary" as const }
+    ]
+  },
+
+  TWO_FACTOR_CHALLENGE_EXPIRED: {
+    title: "Sign In Expired",
+    message: "Your sign in expired - please enter your email and password again",
+    type: "error" as const,
+    dismissible: true,
+    actions: [
+      { label: "Start Over", action: "restart", variant: "primary" as const }
+    ]
+  },
+
+  ACCOUNT_LOCKED: {
+    title: "Account Locked",
+    message: "Too many failed sign in attempts - this account is temporarily locked. If it is yours, check your email for a link to unlock it",
+    type: "error" as const,
+    dismissible: true,
+    actions: [
+      { label: "Reset Password", action: "navigate:/forgot-password", variant: "secondary" as const }
+    ]
+  },
+
+  TOO_MANY_ATTEMPTS: {
+    title: "Too Many Attempts",
+    message: "Too many failed attempts - please wait a moment before trying again",
+    type: "warning" as const,
+    dismissible: true
+  },
+
+  EMAIL_NOT_VERIFIED: {
+    title: "Verify Your Email",
+    message: "Please verify your email address first - check your inbox for the verification link, or send a new one",
+    type: "warning" as const,
+    dismissible: true,
+    actions: [
+      { label: "Resend Verification Email", action: "resend-verification", variant: "primary" as const }
+    ]
+  },
+
   // Email-Specific Validation
   DISPOSABLE_EMAIL_NOT_ALLOWED: {
     title: "Temporary Email Not Allowed",
@@ -344,7 +391,7 @@ export function getErrorTypesByCategory(category: 'validation' | 'network' | 'fi
     ],
     network: ['NETWORK_ERROR', 'SERVER_UNAVAILABLE', 'REQUEST_TIMEOUT', 'UNEXPECTED_ERROR'],
     file: ['FILE_TOO_LARGE', 'FILE_TYPE_NOT_SUPPORTED', 'FILE_CORRUPTED'],
-    account: ['ACCOUNT_ALREADY_EXISTS', 'ACCOUNT_NOT_FOUND', 'INCORRECT_PASSWORD'],
+    account: ['ACCOUNT_ALREADY_EXISTS', 'ACCOUNT_NOT_FOUND', 'INCORRECT_PASSWORD', 'INVALID_TWO_FACTOR_CODE', 'TWO_FACTOR_CHALLENGE_EXPIRED', 'ACCOUNT_LOCKED', 'TOO_MANY_ATTEMPTS', 'EMAIL_NOT_VERIFIED'],
     success: ['ACCOUNT_CREATED_SUCCESS', 'LOGIN_SUCCESS', 'PROFILE_PICTURE_UPDATED', 'LOGOUT_SUCCESS']
   };
   
@@ -0,0 +1,22 @@
+/**
+ * Error from an API request that keeps the server's error code, so callers can
+ * react to a specific failure instead of only showing its message
+ */
+export class ApiError extends Error {
+  status: number;
+  code?: string;
+
+  constructor(message: string, status: number, code?: string) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Whether the request was refused because the account's email address is not verified yet
+ */
+export function isEmailNotVerifiedError(error: unknown): error is ApiError {
+  return error instanceof ApiError && error.code === 'EMAIL_NOT_VERIFIED';
+}